@@ -0,0 +1,157 @@
+/**
+ * AccessControl - Whitelist and ban list checked when a player logs in
+ *
+ * Both lists are JSON arrays of entries keyed by account UUID, with the
+ * username kept alongside for display:
+ *   whitelist.json        - [{ uuid, name }]
+ *   banned-players.json   - [{ uuid, name, reason, source, created, expires }]
+ *
+ * Bans without an expiry time are permanent; expired bans are dropped the
+ * next time they are looked at. The whitelist only applies while it is
+ * enabled, and operators always get in.
+ */
+
+const EventEmitter = require('events');
+const { writeJsonAtomic, readJsonFile } = require('../utils/atomicFile');
+
+class AccessControl extends EventEmitter {
+  /**
+   * Create access control
+   * @param {Object} options - Options
+   * @param {string} options.whitelistFile - Path of the whitelist file
+   * @param {string} options.banFile - Path of the ban list file
+   * @param {boolean} options.whitelistEnabled - Whether only whitelisted players may join
+   */
+  constructor(options = {}) {
+    super();
+    this.whitelistFile = options.whitelistFile || null;
+    this.banFile = options.banFile || null;
+    this.whitelistEnabled = options.whitelistEnabled || false;
+
+    // UUID -> entry
+    this.whitelist = new Map();
+    this.bans = new Map();
+    this.load();
+  }
+
+  /**
+   * Read both lists. Missing files mean empty lists.
+   */
+  load() {
+    this.whitelist = this.readEntries(this.whitelistFile);
+    this.bans = this.readEntries(this.banFile);
+  }
+
+  /**
+   * Check whether an account may join
+   * @param {Object} account - { uuid, username }
+   * @param {Object} options - { operator: whether the player is an operator }
+   * @returns {string|null} Why the player may not join, or null when they may
+   */
+  checkLogin(account, { operator = false } = {}) {
+    const ban = this.getBan(account.uuid);
+    if (ban) {
+      const until = ban.expires ? ` until ${new Date(ban.expires).toISOString()}` : '';
+      return `You are banned from this server${until}. Reason: ${ban.reason}`;
+    }
+    if (this.whitelistEnabled && !operator && !this.whitelist.has(account.uuid)) {
+      return 'You are not whitelisted on this server';
+    }
+    return null;
+  }
+
+  /**
+   * Ban an account
+   * @param {Object} account - { uuid, username }
+   * @param {Object} options - { reason, source, expires (timestamp, permanent when omitted) }
+   * @returns {Object} Ban entry
+   */
+  ban(account, { reason = 'Banned by an operator', source = 'Server', expires = null } = {}) {
+    const entry = { uuid: account.uuid, name: account.username, reason, source, created: Date.now(), expires };
+    this.bans.set(account.uuid, entry);
+    this.writeEntries(this.banFile, this.bans);
+    this.emit('banned', entry);
+    return entry;
+  }
+
+  /**
+   * Lift a ban
+   * @param {string} uuid - Account UUID
+   * @returns {boolean} Whether the account was banned
+   */
+  pardon(uuid) {
+    if (!this.bans.delete(uuid)) return false;
+    this.writeEntries(this.banFile, this.bans);
+    return true;
+  }
+
+  /**
+   * Get the active ban of an account
+   * @param {string} uuid - Account UUID
+   * @returns {Object|null} Ban entry
+   */
+  getBan(uuid) {
+    const ban = this.bans.get(uuid);
+    if (ban && ban.expires && ban.expires <= Date.now()) {
+      this.pardon(uuid);
+      return null;
+    }
+    return ban || null;
+  }
+
+  /**
+   * Add an account to the whitelist
+   * @param {Object} account - { uuid, username }
+   * @returns {boolean} Whether the account was not whitelisted yet
+   */
+  addToWhitelist(account) {
+    if (this.whitelist.has(account.uuid)) return false;
+    this.whitelist.set(account.uuid, { uuid: account.uuid, name: account.username });
+    this.writeEntries(this.whitelistFile, this.whitelist);
+    return true;
+  }
+
+  /**
+   * Remove an account from the whitelist
+   * @param {string} uuid - Account UUID
+   * @returns {boolean} Whether the account was whitelisted
+   */
+  removeFromWhitelist(uuid) {
+    if (!this.whitelist.delete(uuid)) return false;
+    this.writeEntries(this.whitelistFile, this.whitelist);
+    return true;
+  }
+
+  /**
+   * Turn the whitelist on or off
+   * @param {boolean} enabled - Whether only whitelisted players may join
+   */
+  setWhitelistEnabled(enabled) {
+    this.whitelistEnabled = enabled;
+    this.emit('whitelistChanged', { enabled });
+  }
+
+  /**
+   * @private
+   */
+  readEntries(file) {
+    const entries = new Map();
+    if (file) {
+      for (const entry of readJsonFile(file, [])) {
+        entries.set(entry.uuid, entry);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * @private
+   */
+  writeEntries(file, entries) {
+    if (file) {
+      writeJsonAtomic(file, [...entries.values()]);
+    }
+  }
+}
+
+module.exports = AccessControl;
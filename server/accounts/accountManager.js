@@ -0,0 +1,230 @@
+/**
+ * AccountManager - Local player accounts for the login handshake
+ *
+ * Each account has a stable UUID that identifies the player everywhere
+ * else (player ids, profiles, world saves), a case-insensitively unique
+ * username, and a password stored as a salted scrypt hash. A password login
+ * issues a session token so clients can log in again without keeping the
+ * password; only a SHA-256 hash of each token is stored, and tokens expire.
+ *
+ * Results are returned as { success, ... } objects; failures carry an
+ * error message and a code clients can act on:
+ *   invalid_username, weak_password, username_taken,
+ *   unknown_account, invalid_credentials
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { writeJsonAtomic, readJsonFile } = require('../utils/atomicFile');
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,16}$/;
+const MIN_PASSWORD_LENGTH = 6;
+const KEY_LENGTH = 64;
+const TOKEN_LIFETIME = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_TOKENS = 5;
+
+class AccountManager extends EventEmitter {
+  /**
+   * Create a new account manager
+   * @param {Object} options - Manager options
+   * @param {string} options.file - Path of the accounts file; accounts are kept in memory only without one
+   * @param {number} options.tokenLifetime - How long session tokens stay valid, in milliseconds
+   */
+  constructor(options = {}) {
+    super();
+    this.file = options.file || null;
+    this.tokenLifetime = options.tokenLifetime || TOKEN_LIFETIME;
+
+    // UUID -> stored account record
+    this.accounts = new Map();
+    this.load();
+  }
+
+  /**
+   * Read the accounts file. A missing file means there are no accounts yet.
+   */
+  load() {
+    this.accounts.clear();
+    if (!this.file) return;
+
+    for (const account of readJsonFile(this.file, [])) {
+      this.accounts.set(account.uuid, account);
+    }
+  }
+
+  /**
+   * Write the accounts file
+   */
+  save() {
+    if (!this.file) return;
+    writeJsonAtomic(this.file, [...this.accounts.values()]);
+  }
+
+  /**
+   * Create an account
+   * @param {string} username - Username, 3-16 letters, digits or underscores
+   * @param {string} password - Password, at least 6 characters
+   * @returns {Object} { success, account } with the public account data
+   */
+  register(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return this.failure('invalid_username', 'Usernames are 3-16 letters, digits or underscores');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return this.failure('weak_password', `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (this.findRecord(username)) {
+      return this.failure('username_taken', `The username ${username} is already taken`);
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const record = {
+      uuid: uuidv4(),
+      username,
+      salt,
+      passwordHash: AccountManager.hashPassword(password, salt),
+      tokens: [],
+      created: Date.now()
+    };
+    this.accounts.set(record.uuid, record);
+    this.save();
+    this.emit('accountCreated', this.toAccount(record));
+
+    return { success: true, account: this.toAccount(record) };
+  }
+
+  /**
+   * Check login credentials. A password login issues a new session token.
+   * @param {Object} credentials - { username, password } or { username, token }
+   * @returns {Object} { success, account, token }
+   */
+  authenticate(credentials = {}) {
+    const { username, password, token } = credentials;
+    const record = typeof username === 'string' ? this.findRecord(username) : null;
+    if (!record) {
+      return this.failure('unknown_account', 'There is no account with that username');
+    }
+
+    if (typeof token === 'string') {
+      const hash = AccountManager.hashToken(token);
+      const valid = record.tokens.some(entry => entry.hash === hash && entry.expires > Date.now());
+      if (!valid) {
+        return this.failure('invalid_credentials', 'Your session has expired, please log in again');
+      }
+      return { success: true, account: this.toAccount(record), token };
+    }
+
+    if (typeof password !== 'string' || !this.checkPassword(record, password)) {
+      return this.failure('invalid_credentials', 'Wrong username or password');
+    }
+    return { success: true, account: this.toAccount(record), token: this.issueToken(record.uuid) };
+  }
+
+  /**
+   * Issue a session token for an account
+   * @param {string} uuid - Account UUID
+   * @returns {string|null} Token, or null for unknown accounts
+   */
+  issueToken(uuid) {
+    const record = this.accounts.get(uuid);
+    if (!record) return null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    record.tokens = record.tokens
+      .filter(entry => entry.expires > now)
+      .concat({ hash: AccountManager.hashToken(token), expires: now + this.tokenLifetime })
+      .slice(-MAX_TOKENS);
+    this.save();
+    return token;
+  }
+
+  /**
+   * Invalidate every session token of an account, e.g. after a ban
+   * @param {string} uuid - Account UUID
+   */
+  revokeTokens(uuid) {
+    const record = this.accounts.get(uuid);
+    if (!record) return;
+    record.tokens = [];
+    this.save();
+  }
+
+  /**
+   * Get an account by UUID
+   * @param {string} uuid - Account UUID
+   * @returns {Object|null} { uuid, username }
+   */
+  getAccount(uuid) {
+    const record = this.accounts.get(uuid);
+    return record ? this.toAccount(record) : null;
+  }
+
+  /**
+   * Get an account by username, ignoring case
+   * @param {string} username - Username
+   * @returns {Object|null} { uuid, username }
+   */
+  getAccountByName(username) {
+    const record = this.findRecord(username);
+    return record ? this.toAccount(record) : null;
+  }
+
+  /**
+   * Hash a password with scrypt
+   * @param {string} password - Password
+   * @param {string} salt - Hex salt
+   * @returns {string} Hex hash
+   */
+  static hashPassword(password, salt) {
+    return crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  }
+
+  /**
+   * @private
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  checkPassword(record, password) {
+    const expected = Buffer.from(record.passwordHash, 'hex');
+    const actual = Buffer.from(AccountManager.hashPassword(password, record.salt), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * @private
+   */
+  findRecord(username) {
+    const name = username.toLowerCase();
+    for (const record of this.accounts.values()) {
+      if (record.username.toLowerCase() === name) {
+        return record;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  toAccount(record) {
+    return { uuid: record.uuid, username: record.username };
+  }
+
+  /**
+   * @private
+   */
+  failure(code, error) {
+    return { success: false, code, error };
+  }
+}
+
+AccountManager.USERNAME_PATTERN = USERNAME_PATTERN;
+
+module.exports = AccountManager;
@@ -0,0 +1,120 @@
+/**
+ * ProfileStore - Per-player profile files
+ *
+ * A profile holds everything about a player that outlives a connection:
+ * position, rotation and dimension, health and game mode, inventory and
+ * ender chest, experience, active status effects, spawn point and last
+ * death location. Profiles are stored as <uuid>.json in one directory,
+ * loaded when the player joins and saved when they leave.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic, readJsonFile } = require('../utils/atomicFile');
+
+const PROFILE_VERSION = 1;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Player fields copied to and from profiles as they are
+const PROFILE_FIELDS = [
+  'position', 'rotation', 'dimension', 'health', 'maxHealth', 'hunger', 'saturation', 'exhaustion', 'gameMode',
+  'inventory', 'enderChest', 'xp', 'level', 'spawnPoint', 'lastDeathLocation', 'offhandItem'
+];
+
+class ProfileStore {
+  /**
+   * Create a profile store
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory holding the profile files
+   */
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('ProfileStore requires a directory');
+    }
+    this.directory = options.directory;
+  }
+
+  /**
+   * Read a player's profile
+   * @param {string} uuid - Player UUID
+   * @returns {Object|null} Profile, or null for players that never joined
+   */
+  load(uuid) {
+    try {
+      return readJsonFile(this.getPath(uuid), null);
+    } catch (error) {
+      console.error(`Failed to read profile of ${uuid}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Write a player's profile
+   * @param {Object} profile - Profile with a uuid
+   */
+  save(profile) {
+    writeJsonAtomic(this.getPath(profile.uuid), profile);
+  }
+
+  /**
+   * Whether a player has a profile
+   * @param {string} uuid - Player UUID
+   * @returns {boolean} Whether the profile file exists
+   */
+  has(uuid) {
+    return fs.existsSync(this.getPath(uuid));
+  }
+
+  /**
+   * Build a profile from a live player
+   * @param {Object} player - Player object, with its UUID as id
+   * @param {Array<Object>} effects - Active effects from StatusEffectsManager.getEffects
+   * @returns {Object} Profile
+   */
+  static fromPlayer(player, effects = []) {
+    const profile = { version: PROFILE_VERSION, uuid: player.id, username: player.name };
+    for (const field of PROFILE_FIELDS) {
+      if (player[field] !== undefined) {
+        profile[field] = JSON.parse(JSON.stringify(player[field]));
+      }
+    }
+    profile.effects = effects.map(effect => ({
+      type: effect.type,
+      level: effect.level,
+      duration: effect.remainingTime,
+      ambient: effect.ambient,
+      showParticles: effect.showParticles,
+      showIcon: effect.showIcon
+    }));
+    return profile;
+  }
+
+  /**
+   * Copy a profile onto a player. Effects are not applied here because they
+   * need the player to be known to StatusEffectsManager first.
+   * @param {Object} player - Player object
+   * @param {Object} profile - Stored profile
+   */
+  static applyToPlayer(player, profile) {
+    for (const field of PROFILE_FIELDS) {
+      if (profile[field] !== undefined) {
+        player[field] = profile[field];
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  getPath(uuid) {
+    // UUIDs become file names, so nothing else may get through
+    if (!UUID_PATTERN.test(uuid)) {
+      throw new Error(`Invalid player UUID: ${uuid}`);
+    }
+    return path.join(this.directory, `${uuid.toLowerCase()}.json`);
+  }
+}
+
+ProfileStore.PROFILE_FIELDS = PROFILE_FIELDS;
+
+module.exports = ProfileStore;
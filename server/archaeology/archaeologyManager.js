@@ -3,6 +3,8 @@
  * Part of the Trails & Tales Update
  */
 
+const { getDefaultLootTableLoader } = require('../loot/lootTableLoader');
+
 class ArchaeologyManager {
   /**
    * Create a new archaeology manager
@@ -11,6 +13,7 @@ class ArchaeologyManager {
   constructor(world) {
     this.world = world;
     this.sites = new Map(); // Map of archaeology sites (position key -> site data)
+    this.lootTableLoader = getDefaultLootTableLoader();
     this.lootTables = this.initializeLootTables();
     this.initialized = false;
   }
@@ -30,120 +33,16 @@ class ArchaeologyManager {
   }
   
   /**
-   * Initialize loot tables for archaeology sites
+   * Loot tables for archaeology sites
    * @private
-   * @returns {Object} Loot tables organized by site type
+   * @returns {Object} Loot table ID for each site type
    */
   initializeLootTables() {
     return {
-      desert: [
-        { 
-          item: 'pottery_sherd_arms_up', 
-          rarity: 0.15, 
-          metadata: { pattern: 'arms_up' }
-        },
-        { 
-          item: 'pottery_sherd_skull', 
-          rarity: 0.15, 
-          metadata: { pattern: 'skull' }
-        },
-        {
-          item: 'emerald',
-          rarity: 0.05,
-          metadata: { count: { min: 1, max: 3 } }
-        },
-        {
-          item: 'gold_nugget',
-          rarity: 0.1,
-          metadata: { count: { min: 2, max: 8 } }
-        },
-        {
-          item: 'diamond',
-          rarity: 0.02,
-          metadata: { count: 1 }
-        }
-      ],
-      underwater: [
-        { 
-          item: 'pottery_sherd_brewer', 
-          rarity: 0.15, 
-          metadata: { pattern: 'brewer' } 
-        },
-        { 
-          item: 'pottery_sherd_heartbreak', 
-          rarity: 0.15, 
-          metadata: { pattern: 'heartbreak' } 
-        },
-        {
-          item: 'prismarine_shard',
-          rarity: 0.15,
-          metadata: { count: { min: 1, max: 4 } }
-        },
-        {
-          item: 'nautilus_shell',
-          rarity: 0.05,
-          metadata: { count: 1 }
-        },
-        {
-          item: 'gold_ingot',
-          rarity: 0.08,
-          metadata: { count: { min: 1, max: 2 } }
-        }
-      ],
-      jungle: [
-        { 
-          item: 'pottery_sherd_explorer', 
-          rarity: 0.15, 
-          metadata: { pattern: 'explorer' } 
-        },
-        { 
-          item: 'pottery_sherd_friend', 
-          rarity: 0.15, 
-          metadata: { pattern: 'friend' } 
-        },
-        {
-          item: 'emerald',
-          rarity: 0.08,
-          metadata: { count: { min: 1, max: 2 } }
-        },
-        {
-          item: 'bamboo',
-          rarity: 0.15,
-          metadata: { count: { min: 2, max: 6 } }
-        },
-        {
-          item: 'golden_apple',
-          rarity: 0.01,
-          metadata: { count: 1 }
-        }
-      ],
-      plains: [
-        { 
-          item: 'pottery_sherd_archer', 
-          rarity: 0.15, 
-          metadata: { pattern: 'archer' } 
-        },
-        { 
-          item: 'pottery_sherd_prize', 
-          rarity: 0.15, 
-          metadata: { pattern: 'prize' } 
-        },
-        {
-          item: 'iron_nugget',
-          rarity: 0.15,
-          metadata: { count: { min: 3, max: 9 } }
-        },
-        {
-          item: 'bone',
-          rarity: 0.1,
-          metadata: { count: { min: 1, max: 3 } }
-        },
-        {
-          item: 'name_tag',
-          rarity: 0.03,
-          metadata: { count: 1 }
-        }
-      ]
+      desert: 'archaeology/desert',
+      underwater: 'archaeology/underwater',
+      jungle: 'archaeology/jungle',
+      plains: 'archaeology/plains'
     };
   }
   
@@ -351,40 +250,17 @@ class ArchaeologyManager {
    * @returns {Object|null} Selected loot item or null
    */
   selectLoot(siteType, random) {
-    const lootTable = this.lootTables[siteType];
-    if (!lootTable || lootTable.length === 0) return null;
-    
-    // Get the total rarity weight
-    let totalWeight = 0;
-    for (const entry of lootTable) {
-      totalWeight += entry.rarity;
-    }
-    
-    // Select an item based on weighted probability
-    let r = random() * totalWeight;
-    let cumulativeWeight = 0;
+    const tableId = this.lootTables[siteType];
+    if (!tableId) return null;
     
-    for (const entry of lootTable) {
-      cumulativeWeight += entry.rarity;
-      if (r <= cumulativeWeight) {
-        // Create a copy of the entry to prevent reference issues
-        const result = { ...entry };
-        
-        // Handle count ranges
-        if (result.metadata && result.metadata.count && 
-            typeof result.metadata.count === 'object' && 
-            result.metadata.count.min !== undefined && 
-            result.metadata.count.max !== undefined) {
-          const min = result.metadata.count.min;
-          const max = result.metadata.count.max;
-          result.metadata.count = Math.floor(random() * (max - min + 1)) + min;
-        }
-        
-        return result;
-      }
-    }
+    const [stack] = this.lootTableLoader.generate(tableId, { random });
+    if (!stack) return null;
     
-    return null;
+    // Sherd patterns come through as NBT; keep them next to the count
+    return {
+      item: stack.item,
+      metadata: { ...stack.nbt, count: stack.count }
+    };
   }
   
   /**
@@ -20,6 +20,7 @@ class BackupSystem {
     this.maxErrors = options.maxErrors || 3;
     this.recoveryDelay = options.recoveryDelay || 5000; // 5 seconds
     this.directoryLock = false;
+    this.worldSaves = new Map(); // Maps world name -> WorldSave
     
     // Ensure backup directory exists
     if (!fs.existsSync(this.backupDir)) {
@@ -238,6 +239,9 @@ class BackupSystem {
       // Backup world data
       await this.backupWorldData(backupPath);
 
+      // Snapshot incremental world saves
+      await this.backupWorldSaves(backupPath);
+
       // Backup player data
       await this.backupPlayerData(backupPath);
 
@@ -303,6 +307,34 @@ class BackupSystem {
     }
   }
 
+  /**
+   * Register an incremental world save to include in backups
+   * @param {WorldSave} worldSave - World save to snapshot
+   */
+  addWorldSave(worldSave) {
+    this.worldSaves.set(worldSave.name, worldSave);
+  }
+
+  /**
+   * Stop including a world save in backups
+   * @param {string} name - World name
+   */
+  removeWorldSave(name) {
+    this.worldSaves.delete(name);
+  }
+
+  /**
+   * Snapshot registered world saves. Each snapshot is taken synchronously,
+   * so chunk and journal writes from the running server cannot interleave
+   * with the copy.
+   * @param {string} backupPath - Path to backup directory
+   */
+  async backupWorldSaves(backupPath) {
+    for (const [name, worldSave] of this.worldSaves) {
+      worldSave.snapshot(path.join(backupPath, 'saves', name));
+    }
+  }
+
   /**
    * Backup player data
    * @param {string} backupPath - Path to backup directory
@@ -407,6 +439,22 @@ class BackupSystem {
       throw new Error('Backup directory not found');
     }
 
+    // Restore incremental world saves (only while they aren't open)
+    const savesBackupPath = path.join(backupPath, 'saves');
+    if (fs.existsSync(savesBackupPath)) {
+      for (const name of fs.readdirSync(savesBackupPath)) {
+        const worldSave = this.worldSaves.get(name);
+        if (worldSave && worldSave.isOpen) {
+          throw new Error(`Cannot restore world save "${name}" while it is open`);
+        }
+        const savePath = worldSave ? worldSave.directory : path.join(__dirname, '../../saves', name);
+        if (fs.existsSync(savePath)) {
+          fs.rmSync(savePath, { recursive: true, force: true });
+        }
+        await this.copyDirectory(path.join(savesBackupPath, name), savePath);
+      }
+    }
+
     // Restore world data
     const worldPath = path.join(__dirname, '../../world');
     const worldBackupPath = path.join(backupPath, 'world');
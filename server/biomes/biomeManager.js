@@ -353,21 +353,6 @@ class BiomeManager {
     return features;
   }
 
-  /**
-   * Get structures to place at this position
-   * @param {number} x - X coordinate
-   * @param {number} z - Z coordinate
-   * @param {number} seed - World seed
-   * @returns {Array} - Array of structures to place
-   */
-  getStructuresAt(x, z, seed) {
-    // Structures aren't blended - just use the primary biome
-    const biome = this.getBiomeAt(x, z, seed);
-    const random = () => this.pseudoRandom(x, z, 0, seed);
-    
-    return biome.getStructuresAt(x, z, random);
-  }
-
   /**
    * Deterministic pseudo-random number generator based on position
    * @param {number} x - X coordinate
@@ -20,6 +20,7 @@ const LargeAmethystBud = require('./largeAmethystBud');
 const DeepslateBricksBlock = require('./deepslateBricksBlock');
 const DeepslateChiseledBlock = require('./deepslateChiseledBlock');
 const DeepslateTilesBlock = require('./deepslateTilesBlock');
+const ReinforcedDeepslateBlock = require('./reinforcedDeepslateBlock');
 const { CaveVineHeadBlock, CaveVineBodyBlock } = require('./caveVineBlock');
 const MudBlock = require('./mudBlock');
 const PackedMudBlock = require('./packedMudBlock');
@@ -60,16 +61,21 @@ const {
   BambooSlabBlock,
   BambooStairsBlock
 } = require('./bambooBlock');
+const { getBlockTags } = require('../registry/tagRegistry');
 
 class BlockRegistry {
   /**
    * Create a new block registry
+   * @param {Object} options - Registry options
+   * @param {TagRegistry} options.tags - Block tags, defaults to the shared block tags
    */
-  constructor() {
+  constructor(options = {}) {
     // Map of block types by ID
     this.blocks = new Map();
     // Map of block classes by ID
     this.blockClasses = new Map();
+    // Block tags (#logs, #mineable/pickaxe, ...)
+    this.tags = options.tags || getBlockTags();
     
     // Register default blocks
     this.registerDefaultBlocks();
@@ -174,6 +180,42 @@ class BlockRegistry {
     return result;
   }
   
+  /**
+   * Check whether a block is in a tag
+   * @param {Block|string} block - Block or block ID
+   * @param {string} tag - Tag name, with or without the leading #
+   * @returns {boolean} Whether the tag holds the block
+   */
+  isInTag(block, tag) {
+    return this.tags.contains(tag, block);
+  }
+  
+  /**
+   * Get the block IDs in a tag, nested tags included
+   * @param {string} tag - Tag name
+   * @returns {string[]} Array of block IDs
+   */
+  getBlockIdsInTag(tag) {
+    return this.tags.getValues(tag);
+  }
+  
+  /**
+   * Get the tags a block belongs to
+   * @param {Block|string} block - Block or block ID
+   * @returns {string[]} Array of tag names
+   */
+  getTagsOfBlock(block) {
+    return this.tags.getTagsOf(block);
+  }
+  
+  /**
+   * Load the block tags from the datapacks again
+   * @returns {Object} { count, errors }
+   */
+  reloadTags() {
+    return this.tags.reload();
+  }
+  
   /**
    * Register all default blocks
    * @private
@@ -207,6 +249,7 @@ class BlockRegistry {
     this.registerBlock(new DeepslateBricksBlock());
     this.registerBlock(new DeepslateChiseledBlock());
     this.registerBlock(new DeepslateTilesBlock());
+    this.registerBlock(new ReinforcedDeepslateBlock());
     
     // Register Wild Update blocks (Mangrove Swamp)
     this.registerBlock(new MudBlock());
@@ -29,14 +29,6 @@ class FireBlock {
     // Convert time to ticks (assuming 20 ticks per second)
     const dt = deltaTime / 50;
     
-    // Update burn time
-    this.burnTime += dt;
-    
-    // Check if fire should extinguish due to time
-    if (this.burnTime >= this.maxBurnTime) {
-      return { type: 'air' };
-    }
-    
     // Check if fire has a valid block beneath it
     const blockBelow = world.getBlockAt(position.x, position.y - 1, position.z);
     
@@ -52,6 +44,19 @@ class FireBlock {
       }
     }
     
+    // With doFireTick off fire neither burns out nor spreads
+    if (world.gameRules && !world.gameRules.getBoolean('doFireTick')) {
+      return null;
+    }
+    
+    // Update burn time
+    this.burnTime += dt;
+    
+    // Check if fire should extinguish due to time
+    if (this.burnTime >= this.maxBurnTime) {
+      return { type: 'air' };
+    }
+    
     // Try to spread fire (with reduced chance based on burn time)
     if (Math.random() < this.spreadChance * (1 - this.burnTime / this.maxBurnTime * 0.5)) {
       this.trySpreadFire(world, position);
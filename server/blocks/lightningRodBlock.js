@@ -95,6 +95,13 @@ class LightningRodBlock extends Block {
   emitRedstoneSignal() {
     if (!this.world) return;
     
+    // Let the redstone engine propagate the signal and notify sinks
+    if (this.world.updateRedstoneSignal) {
+      this.world.updateRedstoneSignal({ x: this.x, y: this.y, z: this.z }, this.getRedstonePower());
+      this.powerEmitted = true;
+      return;
+    }
+    
     // Get adjacent blocks
     const adjacentBlocks = this.world.getAdjacentBlocks?.(this.x, this.y, this.z) || [];
 
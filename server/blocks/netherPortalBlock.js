@@ -93,11 +93,8 @@ class NetherPortalBlock extends Block {
     // Find the source dimension
     const sourceDimension = entity.dimension || 'overworld';
     
-    // Determine target dimension
-    const targetDimension = sourceDimension === 'overworld' ? 'nether' : 'overworld';
-    
-    // Use the dimension manager to handle teleportation
-    return server.dimensionManager.teleportEntity(entity, targetDimension, position);
+    // The dimension manager finds or builds the linked portal on the other side
+    return server.dimensionManager.travelThroughPortal(entity, sourceDimension, position);
   }
   
   /**
@@ -34,6 +34,7 @@ class PointedDripstoneBlock extends Block {
     this.isDripping = options.isDripping !== undefined ? options.isDripping : false;
     this.canCollapse = options.canCollapse !== undefined ? options.canCollapse : true;
     this.isPartOfColumn = options.isPartOfColumn !== undefined ? options.isPartOfColumn : false;
+    this.waterlogged = options.waterlogged || false; // Holds a water source
   }
 
   onPlace(world, x, y, z) {
@@ -440,10 +441,19 @@ class PointedDripstoneBlock extends Block {
       transparent: false,
       collidable: true,
       hardness: 1.0,
-      isPartOfColumn: this.isPartOfColumn
+      isPartOfColumn: this.isPartOfColumn,
+      waterlogged: this.waterlogged
     };
   }
   
+  /**
+   * Get the fluid state of this block (for waterlogged blocks)
+   * @returns {String|null} - Fluid type or null if not fluid
+   */
+  getFluidType() {
+    return this.waterlogged ? 'water' : null;
+  }
+  
   /**
    * Get the drop item when this block is broken
    * @returns {Object|null} - The item to drop, or null if nothing
@@ -477,7 +487,8 @@ class PointedDripstoneBlock extends Block {
       canGrow: this.canGrow,
       isDripping: this.isDripping,
       canCollapse: this.canCollapse,
-      isPartOfColumn: this.isPartOfColumn
+      isPartOfColumn: this.isPartOfColumn,
+      waterlogged: this.waterlogged
     };
   }
   
@@ -498,6 +509,7 @@ class PointedDripstoneBlock extends Block {
     if (data.isDripping !== undefined) this.isDripping = data.isDripping;
     if (data.canCollapse !== undefined) this.canCollapse = data.canCollapse;
     if (data.isPartOfColumn !== undefined) this.isPartOfColumn = data.isPartOfColumn;
+    if (data.waterlogged !== undefined) this.waterlogged = data.waterlogged;
   }
 }
 
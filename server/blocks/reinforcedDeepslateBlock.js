@@ -1 +1,30 @@
-const Block = require('./baseBlock'); 
\ No newline at end of file
+const Block = require('./baseBlock');
+
+/**
+ * Reinforced Deepslate - Unbreakable block found in ancient cities
+ * Cannot be mined in survival, drops nothing and can't be moved by pistons.
+ */
+class ReinforcedDeepslateBlock extends Block {
+  constructor() {
+    super({
+      id: 'reinforced_deepslate',
+      name: 'Reinforced Deepslate',
+      hardness: 55.0,
+      resistance: 1200.0,
+      requiresTool: false,
+      drops: []
+    });
+
+    this.pistonBehavior = 'block';
+  }
+
+  /**
+   * Reinforced deepslate never drops anything, even with silk touch
+   * @returns {Array} Empty drop list
+   */
+  getDrops() {
+    return [];
+  }
+}
+
+module.exports = ReinforcedDeepslateBlock;
@@ -4,6 +4,7 @@
 
 const Block = require('./baseBlock');
 const EventEmitter = require('events');
+const { getBlockTags } = require('../registry/tagRegistry');
 
 class SculkCatalystBlock extends Block {
   /**
@@ -192,14 +193,7 @@ class SculkCatalystBlock extends Block {
   canReplace(block) {
     if (!block) return false;
     
-    // List of replaceable blocks
-    const replaceableBlocks = [
-      'stone', 'dirt', 'grass_block', 'coarse_dirt', 'podzol', 'gravel',
-      'sand', 'sandstone', 'clay', 'snow', 'andesite', 'diorite', 'granite',
-      'deepslate', 'cobbled_deepslate', 'tuff', 'moss_block'
-    ];
-    
-    return replaceableBlocks.includes(block.id);
+    return getBlockTags().contains('sculk_replaceable', block.id);
   }
 
   /**
@@ -116,6 +116,12 @@ class SculkSensorBlock extends Block {
    * Emit a redstone signal to adjacent blocks
    */
   emitRedstoneSignal() {
+    // Let the redstone engine propagate the signal and notify sinks
+    if (this.world.updateRedstoneSignal) {
+      this.world.updateRedstoneSignal({ x: this.x, y: this.y, z: this.z }, this.getRedstonePower());
+      return;
+    }
+
     // Get adjacent blocks
     const adjacentBlocks = this.world.getAdjacentBlocks(this.x, this.y, this.z);
 
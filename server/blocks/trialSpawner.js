@@ -5,6 +5,10 @@
 
 const Block = require('./baseBlock');
 const { EventEmitter } = require('events');
+const { getDefaultLootTableLoader } = require('../loot/lootTableLoader');
+const { hashSeed } = require('../utils/mathUtils');
+
+const REWARD_LOOT_TABLE = 'chests/trial_chambers/reward';
 
 class TrialSpawnerBlock extends Block {
   /**
@@ -282,13 +286,21 @@ class TrialSpawnerBlock extends Block {
       (block) => block && block.id === 'reward_chest'
     );
     
-    // Fill chests with loot
+    // Fill chests with loot, seeded by world seed and chest position so a
+    // chamber gives the same rewards every time the world is generated.
+    // Clearing more waves adds luck: bonus rolls and better entries.
+    const difficultyFactor = this.waveCount / this.totalWaves;
     for (const chestPos of chestPositions) {
       const chest = world.getBlock(chestPos);
       if (chest && chest.fillWithLoot) {
         chest.fillWithLoot('trial_reward', {
           waveCount: this.waveCount,
-          difficultyFactor: this.waveCount / this.totalWaves
+          difficultyFactor,
+          items: getDefaultLootTableLoader().generate(REWARD_LOOT_TABLE, {
+            seed: hashSeed(world.seed || 0, chestPos.x, chestPos.y, chestPos.z),
+            luck: difficultyFactor,
+            position: chestPos
+          })
         });
       }
     }
@@ -86,8 +86,11 @@ class WindEnergyTransmitter extends Block {
   emitRedstoneSignal() {
     if (!this.world) return;
     
-    // Update redstone signal in the world
-    this.world.updateRedstoneSignal(this.position, this.energyLevel);
+    // Let the redstone engine propagate the signal and notify sinks
+    if (this.world.updateRedstoneSignal) {
+      this.world.updateRedstoneSignal(this.position, this.energyLevel);
+      return;
+    }
     
     // Get adjacent blocks
     const adjacentBlocks = this.world.getAdjacentBlocks?.(this.position.x, this.position.y, this.position.z) || [];
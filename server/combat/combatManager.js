@@ -10,11 +10,13 @@ class CombatManager extends EventEmitter {
    * @param {Object} options - Configuration options
    * @param {Object} options.server - Server instance for emitting events
    * @param {Object} options.statusEffectsManager - Status effects manager
+   * @param {Object} options.difficultyManager - Scales mob damage by difficulty
    */
   constructor(options = {}) {
     super();
     this.server = options.server;
     this.statusEffectsManager = options.statusEffectsManager;
+    this.difficultyManager = options.difficultyManager || null;
     
     // Track player attack cooldowns
     this.attackCooldowns = new Map();
@@ -522,19 +524,22 @@ class CombatManager extends EventEmitter {
    * Process an attack
    * @param {string} playerId - Attacking player ID
    * @param {string} targetId - Target entity ID
-   * @param {Object} attackData - Attack data
+   * @param {Object} attackData - Attack data; attackerType 'mob' marks a mob hitting a player,
+   *   which scales with difficulty
    * @returns {Object} - Attack result
    */
   processAttack(playerId, targetId, attackData) {
-    // Start attack cooldown if not a heavy attack
-    if (!attackData.isHeavyAttack) {
+    const fromMob = attackData.attackerType === 'mob';
+    
+    // Start attack cooldown if not a heavy attack; mobs keep their own attack timers
+    if (!attackData.isHeavyAttack && !fromMob) {
       this.startAttackCooldown(playerId, attackData.itemId);
     }
     
-    // Get damage multiplier from cooldown (only for regular attacks)
+    // Get damage multiplier from cooldown (only for regular player attacks)
     let damageMultiplier = attackData.isHeavyAttack ? 
       (attackData.damageMultiplier || 1.0) : 
-      this.getDamageMultiplier(playerId);
+      (fromMob ? 1.0 : this.getDamageMultiplier(playerId));
     
     // Base damage
     let damage = attackData.damage || 1;
@@ -553,6 +558,11 @@ class CombatManager extends EventEmitter {
     
     // Calculate final damage accounting for armor piercing
     let finalDamage = damage;
+    
+    // Mobs hit players harder on hard and softer on easy; PvP is never scaled
+    if (fromMob && this.difficultyManager) {
+      finalDamage = this.difficultyManager.scaleDamage(finalDamage);
+    }
     const armorPiercing = attackData.armorPiercing || 0;
     
     // Emit attack event
@@ -0,0 +1,463 @@
+/**
+ * Argument types for chat commands
+ *
+ * Every type reads a fixed number of whitespace separated tokens (`tokens`,
+ * 1 when omitted; fewer are passed when the input ends early), turns them
+ * into a value with parse(tokens, context) and offers completions for the
+ * token being typed with suggest(partial, context, index), where index is
+ * the position of that token within the argument. Both receive the command context
+ * { source, server, dispatcher } and parse throws a CommandError for input
+ * it does not accept, with a tokenOffset when it is about a later token.
+ */
+
+const CommandError = require('./commandError');
+const EntitySelector = require('./entitySelector');
+const { StructureTemplateManager } = require('../utils/structures/structureTemplateManager');
+
+const NAMED_TIMES = { day: 1000, noon: 6000, night: 13000, midnight: 18000 };
+const TIME_UNITS = { t: 1, s: 20, d: 24000 };
+
+/**
+ * Strip the optional "minecraft:" namespace from an id
+ * @param {string} id - Typed id
+ * @returns {string} Bare id
+ */
+function normalizeId(id) {
+  const lower = id.toLowerCase();
+  return lower.startsWith('minecraft:') ? lower.slice('minecraft:'.length) : lower;
+}
+
+/**
+ * Whole number, optionally bounded
+ * @param {Object} options - { min, max }
+ */
+function integer({ min = -Infinity, max = Infinity } = {}) {
+  return {
+    parse([token]) {
+      const value = Number(token);
+      if (!/^-?\d+$/.test(token) || !Number.isSafeInteger(value)) {
+        throw new CommandError(`Expected a whole number but found '${token}'`);
+      }
+      if (value < min) {
+        throw new CommandError(`Number must not be less than ${min}, found ${value}`);
+      }
+      if (value > max) {
+        throw new CommandError(`Number must not be more than ${max}, found ${value}`);
+      }
+      return value;
+    },
+    suggest() {
+      return [];
+    }
+  };
+}
+
+/**
+ * Number that may have a fraction, optionally bounded
+ * @param {Object} options - { min, max }
+ */
+function decimal({ min = -Infinity, max = Infinity } = {}) {
+  return {
+    parse([token]) {
+      const value = Number(token);
+      if (!/^-?(\d+\.?\d*|\.\d+)$/.test(token)) {
+        throw new CommandError(`Expected a number but found '${token}'`);
+      }
+      if (value < min) {
+        throw new CommandError(`Number must not be less than ${min}, found ${value}`);
+      }
+      if (value > max) {
+        throw new CommandError(`Number must not be more than ${max}, found ${value}`);
+      }
+      return value;
+    },
+    suggest() {
+      return [];
+    }
+  };
+}
+
+/**
+ * One of a fixed set of words
+ * @param {Array<string>} values - Accepted words
+ */
+function choice(values) {
+  return {
+    parse([token]) {
+      const value = token.toLowerCase();
+      if (!values.includes(value)) {
+        throw new CommandError(`Expected one of ${values.join(', ')} but found '${token}'`);
+      }
+      return value;
+    },
+    suggest() {
+      return values;
+    }
+  };
+}
+
+/**
+ * true or false
+ */
+function bool() {
+  const type = choice(['true', 'false']);
+  return {
+    parse(tokens) {
+      return type.parse(tokens) === 'true';
+    },
+    suggest: type.suggest
+  };
+}
+
+/**
+ * A duration in game ticks, written as a number with an optional unit:
+ * t (ticks, the default), s (seconds) or d (in-game days)
+ */
+function time() {
+  return {
+    parse([token]) {
+      const match = /^(\d+(?:\.\d+)?)([tsd]?)$/.exec(token.toLowerCase());
+      if (!match) {
+        throw new CommandError(`Expected a time such as 100, 5s or 1d but found '${token}'`);
+      }
+      return Math.round(Number(match[1]) * TIME_UNITS[match[2] || 't']);
+    },
+    suggest() {
+      return [];
+    }
+  };
+}
+
+/**
+ * A time of day, either a duration or one of day, noon, night and midnight
+ */
+function timeOfDay() {
+  const duration = time();
+  return {
+    parse(tokens) {
+      const named = NAMED_TIMES[tokens[0].toLowerCase()];
+      return named !== undefined ? named : duration.parse(tokens);
+    },
+    suggest() {
+      return Object.keys(NAMED_TIMES);
+    }
+  };
+}
+
+/**
+ * Read three coordinates, each absolute or relative to the source with ~.
+ * Errors carry the offset of the word they are about, so input that is a
+ * coordinate but incomplete is reported as such.
+ * @private
+ */
+function parseCoordinates(tokens, { source }) {
+  const origin = source.position || { x: 0, y: 0, z: 0 };
+  const coordinates = ['x', 'y', 'z'].slice(0, tokens.length).map((axis, i) => {
+    const token = tokens[i];
+    const relative = token.startsWith('~');
+    const text = relative ? token.slice(1) : token;
+    if (!(relative && text === '') && !/^-?(\d+\.?\d*|\.\d+)$/.test(text)) {
+      throw coordinateError(`Expected a coordinate but found '${token}'`, i);
+    }
+    return { axis, relative, value: relative ? origin[axis] + Number(text) : Number(text) };
+  });
+
+  if (coordinates.length < 3) {
+    throw coordinateError('Incomplete coordinates, expected 3 values', tokens.length);
+  }
+  return coordinates;
+}
+
+/**
+ * @private
+ */
+function coordinateError(message, tokenOffset) {
+  const error = new CommandError(message);
+  error.tokenOffset = tokenOffset;
+  return error;
+}
+
+/**
+ * Three coordinates, each absolute or relative to the source with ~.
+ * Absolute whole x and z coordinates point at the middle of the block.
+ */
+function vec3() {
+  return {
+    tokens: 3,
+    parse(tokens, context) {
+      const position = {};
+      for (const { axis, relative, value } of parseCoordinates(tokens, context)) {
+        const centered = axis !== 'y' && !relative && Number.isInteger(value);
+        position[axis] = centered ? value + 0.5 : value;
+      }
+      return position;
+    },
+    suggest(partial, { source }) {
+      return source.position ? ['~'] : [];
+    }
+  };
+}
+
+/**
+ * Three whole block coordinates, each absolute or relative to the source with ~
+ */
+function blockPos() {
+  return {
+    tokens: 3,
+    parse(tokens, context) {
+      const position = {};
+      parseCoordinates(tokens, context).forEach(({ axis, relative, value }, i) => {
+        if (!relative && !Number.isInteger(value)) {
+          throw coordinateError(`Expected a whole block coordinate but found '${tokens[i]}'`, i);
+        }
+        position[axis] = Math.floor(value);
+      });
+      return position;
+    },
+    suggest(partial, { source }) {
+      return source.position ? ['~'] : [];
+    }
+  };
+}
+
+/**
+ * Entities picked by a selector such as @e[type=zombie] or by player name
+ * @param {Object} options - { single: at most one entity, playersOnly: only players }
+ */
+function entities({ single = false, playersOnly = false } = {}) {
+  return {
+    parse([token], { source, server }) {
+      let found;
+      if (token.startsWith('@')) {
+        const selector = EntitySelector.parse(token);
+        if (single && selector.limit > 1) {
+          throw new CommandError(playersOnly
+            ? 'Only one player is allowed, but the provided selector allows more than one'
+            : 'Only one entity is allowed, but the provided selector allows more than one');
+        }
+        if (playersOnly && !selector.playersOnly && !selector.self) {
+          throw new CommandError('Only players may be affected by this command, but the provided selector includes entities');
+        }
+        found = selector.select(source, server);
+        if (playersOnly) {
+          const players = server.getPlayers();
+          found = found.filter(entity => players.includes(entity));
+        }
+      } else {
+        found = server.getPlayers().filter(player => (player.name || player.id) === token);
+      }
+
+      if (found.length === 0) {
+        throw new CommandError(playersOnly ? 'No player was found' : 'No entity was found');
+      }
+      return found;
+    },
+    suggest(partial, { server, dispatcher }) {
+      if (partial.startsWith('@')) {
+        return EntitySelector.suggest(partial, { types: dispatcher.getEntityTypes() });
+      }
+      const names = server.getPlayers().map(player => player.name || player.id);
+      return EntitySelector.KINDS.map(kind => `@${kind}`).concat(names);
+    }
+  };
+}
+
+/**
+ * A registered account by username, whether or not the player is online
+ */
+function account() {
+  return {
+    parse([token], { server }) {
+      const found = server.accounts.getAccountByName(token);
+      if (!found) {
+        throw new CommandError(`There is no player called '${token}'`);
+      }
+      return found;
+    },
+    suggest(partial, { server }) {
+      return server.getPlayers().map(player => player.name || player.id);
+    }
+  };
+}
+
+/**
+ * The rest of the command line as one string, e.g. a kick reason
+ */
+function greedyString() {
+  return {
+    tokens: Infinity,
+    parse(tokens) {
+      return tokens.join(' ');
+    },
+    suggest() {
+      return [];
+    }
+  };
+}
+
+/**
+ * A block id from the block registry or the basic block types; air removes blocks
+ */
+function block() {
+  return {
+    parse([token], { dispatcher }) {
+      const id = normalizeId(token);
+      if (id !== 'air' && !dispatcher.isBlock(id)) {
+        throw new CommandError(`Unknown block type '${token}'`);
+      }
+      return id;
+    },
+    suggest(partial, { dispatcher }) {
+      return ['air', ...dispatcher.getBlockIds()];
+    }
+  };
+}
+
+/**
+ * An item id from the item registry; blocks are items too
+ */
+function item() {
+  return {
+    parse([token], { dispatcher }) {
+      const id = normalizeId(token);
+      if (!dispatcher.isItem(id)) {
+        throw new CommandError(`Unknown item '${token}'`);
+      }
+      return id;
+    },
+    suggest(partial, { dispatcher }) {
+      return dispatcher.getItemIds();
+    }
+  };
+}
+
+/**
+ * A mob type that MobManager can spawn
+ */
+function entityType() {
+  return {
+    parse([token], { dispatcher }) {
+      const id = normalizeId(token);
+      if (!dispatcher.getEntityTypes().includes(id)) {
+        throw new CommandError(`Unknown entity type '${token}'`);
+      }
+      return id;
+    },
+    suggest(partial, { dispatcher }) {
+      return dispatcher.getEntityTypes();
+    }
+  };
+}
+
+/**
+ * A status effect known to StatusEffectsManager, typed in lower case
+ */
+function effect() {
+  return {
+    parse([token], { dispatcher }) {
+      const id = normalizeId(token);
+      if (!dispatcher.getEffects().includes(id)) {
+        throw new CommandError(`Unknown effect '${token}'`);
+      }
+      return id.toUpperCase();
+    },
+    suggest(partial, { dispatcher }) {
+      return dispatcher.getEffects();
+    }
+  };
+}
+
+/**
+ * A structure template name, e.g. village/plains/house; unless new names are
+ * allowed it must be loaded by the server's structure templates
+ * @param {Object} options - { allowNew }
+ */
+function structureTemplate({ allowNew = false } = {}) {
+  return {
+    parse([token], { server }) {
+      const id = normalizeId(token);
+      if (!StructureTemplateManager.isValidId(id)) {
+        throw new CommandError(`Invalid structure template name '${token}'`);
+      }
+      if (!allowNew && !server.structureTemplates.hasTemplate(id)) {
+        throw new CommandError(`Unknown structure template '${token}'`);
+      }
+      return id;
+    },
+    suggest(partial, { server }) {
+      return server.structureTemplates.getTemplateIds();
+    }
+  };
+}
+
+/**
+ * A template pool loaded by the server's structure templates
+ */
+function templatePool() {
+  return {
+    parse([token], { server }) {
+      const id = normalizeId(token);
+      if (!server.structureTemplates.getPool(id)) {
+        throw new CommandError(`Unknown template pool '${token}'`);
+      }
+      return id;
+    },
+    suggest(partial, { server }) {
+      return server.structureTemplates.getPoolIds();
+    }
+  };
+}
+
+/**
+ * A game rule known to the server's GameRules, e.g. keepInventory
+ */
+function gameRule() {
+  return {
+    parse([token], { server }) {
+      if (!server.gameRules.has(token)) {
+        throw new CommandError(`Unknown game rule '${token}'`);
+      }
+      return token;
+    },
+    suggest(partial, { server }) {
+      return server.gameRules.getRuleNames();
+    }
+  };
+}
+
+/**
+ * A game rule value as typed; GameRules checks it against the rule's type
+ */
+function gameRuleValue() {
+  return {
+    parse([token]) {
+      return token;
+    },
+    suggest() {
+      return ['true', 'false'];
+    }
+  };
+}
+
+module.exports = {
+  normalizeId,
+  integer,
+  decimal,
+  choice,
+  bool,
+  time,
+  timeOfDay,
+  vec3,
+  blockPos,
+  entities,
+  account,
+  greedyString,
+  block,
+  item,
+  entityType,
+  effect,
+  structureTemplate,
+  templatePool,
+  gameRule,
+  gameRuleValue
+};
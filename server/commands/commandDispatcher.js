@@ -0,0 +1,405 @@
+/**
+ * CommandDispatcher - Parses and runs chat commands such as /tp or /give
+ *
+ * A command has a name, optional aliases, the permission level needed to
+ * use it and one or more syntaxes. Each syntax is a list of arguments,
+ * either literal words ({ literal: 'set' }) or typed arguments
+ * ({ name, type, optional, default }) using the types in argumentTypes, and
+ * a run(context, args) function returning the feedback message. The first
+ * syntax the input parses against runs; when none does, the error of the
+ * syntax that got furthest is reported.
+ *
+ * Commands act on the server through a facade passed as options.server:
+ *   getPlayers(), getEntities()          - players and non-player entities
+ *   getBlock(x, y, z), setBlock(x, y, z, block)
+ *   teleport(entity, position)
+ *   giveItem(player, itemId, count)
+ *   setGameMode(player, mode)
+ *   getTime(), setTime(time)             - time of day in ticks
+ *   kick(player, reason)
+ *   mobManager, weatherSystem, difficultyManager, gameRules,
+ *   statusEffectsManager, accounts, accessControl, recipeLoader, lootTableLoader,
+ *   structureTemplates
+ *
+ * A command source describes who runs a command:
+ * { type: 'player' | 'console' | 'commandBlock', name, player, position, dimension }.
+ */
+
+const EventEmitter = require('events');
+const { blockRegistry: defaultBlockRegistry } = require('../blocks/blockRegistry');
+const defaultItemRegistry = require('../items/itemRegistry');
+const CommandError = require('./commandError');
+const PermissionManager = require('./permissionManager');
+const defaultCommands = require('./defaultCommands');
+
+// Registry ids that can be typed: registries also hold generated ids
+const ID_PATTERN = /^[a-z0-9_]+$/;
+
+class CommandDispatcher extends EventEmitter {
+  /**
+   * Create a new command dispatcher
+   * @param {Object} options - Dispatcher options
+   * @param {Object} options.server - Server facade commands act through
+   * @param {PermissionManager} options.permissions - Operators and permission levels
+   * @param {BlockRegistry} options.blockRegistry - Registry of placeable blocks
+   * @param {ItemRegistry} options.itemRegistry - Registry of items
+   * @param {Object} options.blockTypes - Basic block types that are not in the block registry
+   * @param {Object} options.itemTypes - Basic item types, such as tools, that are not in the item registry
+   * @param {boolean} options.defaultCommands - Whether to register the built-in commands
+   */
+  constructor(options = {}) {
+    super();
+    this.server = options.server || {};
+    this.permissions = options.permissions || new PermissionManager();
+    this.blockRegistry = options.blockRegistry || defaultBlockRegistry;
+    this.itemRegistry = options.itemRegistry || defaultItemRegistry;
+    this.blockTypes = options.blockTypes || {};
+    this.itemTypes = options.itemTypes || {};
+
+    // Command name -> command, including aliases
+    this.commands = new Map();
+
+    if (options.defaultCommands !== false) {
+      for (const command of defaultCommands) {
+        this.register(command);
+      }
+    }
+  }
+
+  /**
+   * Create the source for a player running a command
+   * @param {Object} player - Player object
+   * @returns {Object} Command source
+   */
+  static playerSource(player) {
+    return {
+      type: 'player',
+      name: player.name || player.id,
+      player,
+      position: player.position,
+      dimension: player.dimension || 'overworld'
+    };
+  }
+
+  /**
+   * Create the source for the server console
+   * @returns {Object} Command source
+   */
+  static consoleSource() {
+    return { type: 'console', name: 'Server', player: null, position: null, dimension: 'overworld' };
+  }
+
+  /**
+   * Register a command
+   * @param {Object} command - Command definition with name, permission and syntaxes
+   */
+  register(command) {
+    const definition = { aliases: [], permission: 0, description: '', ...command };
+    for (const name of [definition.name, ...definition.aliases]) {
+      this.commands.set(name, definition);
+    }
+  }
+
+  /**
+   * Get a command by name or alias
+   * @param {string} name - Command name
+   * @returns {Object|null} Command definition
+   */
+  getCommand(name) {
+    return this.commands.get(name.toLowerCase()) || null;
+  }
+
+  /**
+   * Get the commands a source may use, without aliases
+   * @param {Object} source - Command source
+   * @returns {Array<Object>} Command definitions sorted by name
+   */
+  getCommands(source) {
+    return [...new Set(this.commands.values())]
+      .filter(command => this.canUse(source, command))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Check whether a source has the permission level a command needs
+   * @param {Object} source - Command source
+   * @param {Object} command - Command definition
+   * @returns {boolean} Whether the source may use the command
+   */
+  canUse(source, command) {
+    return this.permissions.hasLevel(source, command.permission);
+  }
+
+  /**
+   * Get the usage lines of a command, e.g. "/time set <time>"
+   * @param {Object} command - Command definition
+   * @returns {Array<string>} One line per syntax
+   */
+  getUsage(command) {
+    return command.syntaxes.map(syntax => [`/${command.name}`, ...syntax.args.map(arg => {
+      if (arg.literal) return arg.literal;
+      return arg.optional ? `[<${arg.name}>]` : `<${arg.name}>`;
+    })].join(' '));
+  }
+
+  /**
+   * Parse and run a command line
+   * @param {Object} source - Command source
+   * @param {string} input - Command line, with or without the leading slash
+   * @returns {Object} { success, message } or { success: false, error }
+   */
+  execute(source, input) {
+    const tokens = this.tokenize(input.startsWith('/') ? input.slice(1) : input).map(token => token.text);
+    const command = tokens.length ? this.getCommand(tokens[0]) : null;
+
+    // Commands a source may not use look the same as unknown ones
+    if (!command || !this.canUse(source, command)) {
+      return { success: false, error: `Unknown command '${tokens[0] || ''}'` };
+    }
+
+    const context = { source, server: this.server, dispatcher: this };
+    let failure = null;
+    for (const syntax of command.syntaxes) {
+      let args;
+      try {
+        args = this.parseArguments(syntax, tokens.slice(1), context);
+      } catch (error) {
+        if (!(error instanceof CommandError)) return this.unexpectedError(input, error);
+        if (!failure || error.tokenIndex > failure.tokenIndex) {
+          failure = error;
+        }
+        continue;
+      }
+      return this.run(command, syntax, context, args, input);
+    }
+
+    return { success: false, error: failure.message };
+  }
+
+  /**
+   * Complete the last word of a partially typed command line
+   * @param {Object} source - Command source
+   * @param {string} input - Command line typed so far, with or without the leading slash
+   * @returns {Object} { start, suggestions }: where the completed word starts in input
+   *   and the words that can replace it
+   */
+  getCompletions(source, input) {
+    const offset = input.startsWith('/') ? 1 : 0;
+    const text = input.slice(offset);
+    const tokens = this.tokenize(text);
+
+    // An input ending in whitespace starts a new, empty word
+    if (tokens.length === 0 || this.endsWord(text)) {
+      tokens.push({ text: '', start: text.length });
+    }
+    const partial = tokens[tokens.length - 1];
+    const start = partial.start + offset;
+
+    let candidates = [];
+    if (tokens.length === 1) {
+      candidates = this.getCommands(source).flatMap(command => [command.name, ...command.aliases]);
+    } else {
+      const command = this.getCommand(tokens[0].text);
+      if (command && this.canUse(source, command)) {
+        const context = { source, server: this.server, dispatcher: this };
+        const words = tokens.slice(1).map(token => token.text);
+        for (const syntax of command.syntaxes) {
+          candidates.push(...this.suggestArgument(syntax, words, context));
+        }
+      }
+    }
+
+    const prefix = partial.text.toLowerCase();
+    const suggestions = [...new Set(candidates)]
+      .filter(candidate => candidate.toLowerCase().startsWith(prefix) && candidate !== partial.text)
+      .sort();
+    return { start, suggestions };
+  }
+
+  /**
+   * Whether an id can be placed as a block
+   * @param {string} id - Block id
+   * @returns {boolean} Whether the block exists
+   */
+  isBlock(id) {
+    return ID_PATTERN.test(id) && (Object.prototype.hasOwnProperty.call(this.blockTypes, id) || this.blockRegistry.hasBlock(id));
+  }
+
+  /**
+   * Whether an id can be given as an item; blocks are items too
+   * @param {string} id - Item id
+   * @returns {boolean} Whether the item exists
+   */
+  isItem(id) {
+    return (ID_PATTERN.test(id) && (Object.prototype.hasOwnProperty.call(this.itemTypes, id) || this.itemRegistry.hasItem(id)))
+      || this.isBlock(id);
+  }
+
+  /**
+   * @returns {Array<string>} Block ids that can be typed
+   */
+  getBlockIds() {
+    return [...new Set([...Object.keys(this.blockTypes), ...this.blockRegistry.blocks.keys()])]
+      .filter(id => ID_PATTERN.test(id));
+  }
+
+  /**
+   * @returns {Array<string>} Item ids that can be typed, blocks included
+   */
+  getItemIds() {
+    return [...new Set([...Object.keys(this.itemTypes), ...this.itemRegistry.items.keys(), ...this.getBlockIds()])]
+      .filter(id => ID_PATTERN.test(id));
+  }
+
+  /**
+   * @returns {Array<string>} Mob types the mob manager can spawn
+   */
+  getEntityTypes() {
+    const { mobManager } = this.server;
+    return mobManager ? Object.keys(mobManager.mobRegistry) : [];
+  }
+
+  /**
+   * @returns {Array<string>} Status effect ids in lower case
+   */
+  getEffects() {
+    const { statusEffectsManager } = this.server;
+    return statusEffectsManager
+      ? Object.keys(statusEffectsManager.effectDefinitions).map(effect => effect.toLowerCase())
+      : [];
+  }
+
+  /**
+   * Split a command line into words. Whitespace inside selector brackets
+   * such as @e[type=zombie, limit=2] does not split.
+   * @param {string} text - Command line without the slash
+   * @returns {Array<Object>} Words as { text, start }
+   */
+  tokenize(text) {
+    const tokens = [];
+    let current = null;
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (/\s/.test(char) && depth === 0) {
+        if (current) tokens.push(current);
+        current = null;
+        continue;
+      }
+      if (char === '[') depth++;
+      if (char === ']') depth = Math.max(0, depth - 1);
+      current = current || { text: '', start: i };
+      current.text += char;
+    }
+    if (current) tokens.push(current);
+    return tokens;
+  }
+
+  /**
+   * @private
+   */
+  endsWord(text) {
+    const tokens = this.tokenize(text);
+    if (tokens.length === 0) return false;
+    const last = tokens[tokens.length - 1];
+    return last.start + last.text.length < text.length;
+  }
+
+  /**
+   * Match words against a syntax. Errors carry the index of the word they
+   * are about so the most complete syntax can be reported.
+   * @private
+   */
+  parseArguments(syntax, words, context) {
+    const args = {};
+    let index = 0;
+    for (const arg of syntax.args) {
+      if (index >= words.length) {
+        if (arg.optional) {
+          if (arg.name) {
+            args[arg.name] = typeof arg.default === 'function' ? arg.default(context) : arg.default;
+          }
+          continue;
+        }
+        throw this.argumentError(`Missing ${arg.literal ? `'${arg.literal}'` : `<${arg.name}>`}`, index);
+      }
+
+      if (arg.literal) {
+        if (words[index].toLowerCase() !== arg.literal) {
+          throw this.argumentError(`Expected '${arg.literal}' but found '${words[index]}'`, index);
+        }
+        index++;
+        continue;
+      }
+
+      const count = arg.type.tokens || 1;
+      try {
+        args[arg.name] = arg.type.parse(words.slice(index, index + count), context);
+      } catch (error) {
+        if (error instanceof CommandError) error.tokenIndex = index + (error.tokenOffset || 0);
+        throw error;
+      }
+      index = Math.min(index + count, words.length);
+    }
+
+    if (index < words.length) {
+      throw this.argumentError(`Unexpected '${words[index]}' after the end of the command`, index);
+    }
+    return args;
+  }
+
+  /**
+   * Suggestions for the last word against one syntax. Earlier words only
+   * have to match literals, so typing stays fast and free of side effects.
+   * @private
+   */
+  suggestArgument(syntax, words, context) {
+    const last = words.length - 1;
+    let index = 0;
+    for (const arg of syntax.args) {
+      const count = arg.literal ? 1 : (arg.type.tokens || 1);
+      if (last < index + count) {
+        if (arg.literal) return [arg.literal];
+        return arg.type.suggest(words[last], context, last - index);
+      }
+      if (arg.literal && words[index].toLowerCase() !== arg.literal) return [];
+      index += count;
+    }
+    return [];
+  }
+
+  /**
+   * @private
+   */
+  run(command, syntax, context, args, input) {
+    try {
+      const message = syntax.run(context, args);
+      this.emit('commandExecuted', { source: context.source, command: command.name, input });
+      return { success: true, message: message || '' };
+    } catch (error) {
+      if (error instanceof CommandError) {
+        return { success: false, error: error.message };
+      }
+      return this.unexpectedError(input, error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  unexpectedError(input, error) {
+    console.error(`Error running command '${input}':`, error);
+    return { success: false, error: 'An unexpected error occurred trying to execute that command' };
+  }
+
+  /**
+   * @private
+   */
+  argumentError(message, tokenIndex) {
+    const error = new CommandError(message);
+    error.tokenIndex = tokenIndex;
+    return error;
+  }
+}
+
+module.exports = CommandDispatcher;
@@ -0,0 +1,13 @@
+/**
+ * CommandError - A command failed in a way that should be reported to the
+ * player who ran it, such as bad syntax or a target that does not exist.
+ * Any other error thrown while running a command is a bug and is logged.
+ */
+class CommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandError';
+  }
+}
+
+module.exports = CommandError;
@@ -0,0 +1,792 @@
+/**
+ * Built-in commands
+ *
+ * Every command needs permission level 2 (cheats) except help, which anyone
+ * may use, and the player management commands (op, deop, kick, ban, pardon
+ * and whitelist), which need level 3. See
+ * CommandDispatcher for the command definition format and the server
+ * facade the commands act through.
+ */
+
+const path = require('path');
+const CommandError = require('./commandError');
+const EntitySelector = require('./entitySelector');
+const types = require('./argumentTypes');
+const { DIFFICULTIES } = require('../systems/difficultyManager');
+const StructureTemplate = require('../utils/structures/structureTemplate');
+const JigsawAssembler = require('../utils/structures/jigsawAssembler');
+
+const MAX_FILL_VOLUME = 32768;
+const TICKS_PER_DAY = 24000;
+const TICKS_PER_SECOND = 20;
+// Largest region /structure save captures along each axis, as a structure block does
+const MAX_STRUCTURE_SIZE = 48;
+
+// /structure rotation names -> degrees clockwise
+const STRUCTURE_ROTATIONS = { none: 0, clockwise_90: 90, '180': 180, counterclockwise_90: 270 };
+
+const GAME_MODE_NAMES = {
+  survival: 'Survival Mode',
+  creative: 'Creative Mode',
+  adventure: 'Adventure Mode',
+  spectator: 'Spectator Mode'
+};
+
+/**
+ * Display name of a player or entity
+ * @private
+ */
+function nameOf(entity) {
+  if (entity.name) return entity.name;
+  if (entity.type) return entity.type.replace(/_/g, ' ').replace(/\b\w/g, char => char.toUpperCase());
+  return entity.id;
+}
+
+/**
+ * "Steve" for one target, "3 entities" for several
+ * @private
+ */
+function describeTargets(targets, noun = 'entities') {
+  return targets.length === 1 ? nameOf(targets[0]) : `${targets.length} ${noun}`;
+}
+
+/**
+ * @private
+ */
+function formatPosition({ x, y, z }) {
+  return [x, y, z].map(value => Number(value.toFixed(2))).join(', ');
+}
+
+/**
+ * The player running the command, for syntaxes that act on the sender
+ * @private
+ */
+function requirePlayer({ source }) {
+  if (!source.player) {
+    throw new CommandError('A player is required to run this command here');
+  }
+  return source.player;
+}
+
+/**
+ * Refuse to act on a player whose operator level is above the sender's
+ * @private
+ */
+function requireNotOutranked({ source, dispatcher }, name) {
+  const { permissions } = dispatcher;
+  if (permissions.getOperatorLevel(name) > permissions.getLevel(source)) {
+    throw new CommandError(`${name} has a higher permission level than you`);
+  }
+}
+
+/**
+ * Default for optional target arguments: the player running the command
+ * @private
+ */
+function self(context) {
+  return [requirePlayer(context)];
+}
+
+/**
+ * @private
+ */
+function teleportAll({ server }, targets, position) {
+  for (const target of targets) {
+    server.teleport(target, { ...position });
+  }
+  return `Teleported ${describeTargets(targets)} to ${formatPosition(position)}`;
+}
+
+/**
+ * Block at a position is of the given id; air matches an empty position
+ * @private
+ */
+function isBlockType(block, id) {
+  return block ? block.type === id : id === 'air';
+}
+
+/**
+ * @private
+ */
+function placeBlock(server, { x, y, z }, id) {
+  server.setBlock(x, y, z, id === 'air' ? null : { type: id });
+}
+
+const tp = {
+  name: 'tp',
+  aliases: ['teleport'],
+  description: 'Teleports entities to a location or another entity',
+  permission: 2,
+  syntaxes: [
+    {
+      args: [{ name: 'destination', type: types.entities({ single: true }) }],
+      run: (context, { destination }) => teleportAll(context, [requirePlayer(context)], destination[0].position)
+    },
+    {
+      args: [{ name: 'location', type: types.vec3() }],
+      run: (context, { location }) => teleportAll(context, [requirePlayer(context)], location)
+    },
+    {
+      args: [
+        { name: 'targets', type: types.entities() },
+        { name: 'destination', type: types.entities({ single: true }) }
+      ],
+      run: (context, { targets, destination }) => teleportAll(context, targets, destination[0].position)
+    },
+    {
+      args: [
+        { name: 'targets', type: types.entities() },
+        { name: 'location', type: types.vec3() }
+      ],
+      run: (context, { targets, location }) => teleportAll(context, targets, location)
+    }
+  ]
+};
+
+const give = {
+  name: 'give',
+  description: 'Gives items to players',
+  permission: 2,
+  syntaxes: [{
+    args: [
+      { name: 'targets', type: types.entities({ playersOnly: true }) },
+      { name: 'item', type: types.item() },
+      { name: 'count', type: types.integer({ min: 1, max: 6400 }), optional: true, default: 1 }
+    ],
+    run: ({ server }, { targets, item, count }) => {
+      for (const player of targets) {
+        server.giveItem(player, item, count);
+      }
+      return `Gave ${count} [${item}] to ${describeTargets(targets, 'players')}`;
+    }
+  }]
+};
+
+const summon = {
+  name: 'summon',
+  description: 'Summons a mob',
+  permission: 2,
+  syntaxes: [{
+    args: [
+      { name: 'entity', type: types.entityType() },
+      { name: 'pos', type: types.vec3(), optional: true, default: ({ source }) => source.position }
+    ],
+    run: ({ server }, { entity, pos }) => {
+      if (!pos) {
+        throw new CommandError('A position is required to summon from here');
+      }
+      const mob = server.mobManager.spawnMob(entity, { ...pos });
+      if (!mob) {
+        throw new CommandError('Unable to summon entity');
+      }
+      return `Summoned new ${nameOf(mob)}`;
+    }
+  }]
+};
+
+const setblock = {
+  name: 'setblock',
+  description: 'Changes a block',
+  permission: 2,
+  syntaxes: [{
+    args: [
+      { name: 'pos', type: types.blockPos() },
+      { name: 'block', type: types.block() },
+      { name: 'mode', type: types.choice(['replace', 'keep']), optional: true, default: 'replace' }
+    ],
+    run: ({ server }, { pos, block, mode }) => {
+      const existing = server.getBlock(pos.x, pos.y, pos.z);
+      if ((mode === 'keep' && existing) || isBlockType(existing, block)) {
+        throw new CommandError('Could not set the block');
+      }
+      placeBlock(server, pos, block);
+      return `Changed the block at ${formatPosition(pos)}`;
+    }
+  }]
+};
+
+/**
+ * Fill a box; filter limits the fill to blocks of one type
+ * @private
+ */
+function fill({ server }, { from, to, block, mode, filter }) {
+  const min = { x: Math.min(from.x, to.x), y: Math.min(from.y, to.y), z: Math.min(from.z, to.z) };
+  const max = { x: Math.max(from.x, to.x), y: Math.max(from.y, to.y), z: Math.max(from.z, to.z) };
+  const volume = (max.x - min.x + 1) * (max.y - min.y + 1) * (max.z - min.z + 1);
+  if (volume > MAX_FILL_VOLUME) {
+    throw new CommandError(`Too many blocks in the specified area (maximum ${MAX_FILL_VOLUME}, specified ${volume})`);
+  }
+
+  let changed = 0;
+  for (let x = min.x; x <= max.x; x++) {
+    for (let y = min.y; y <= max.y; y++) {
+      for (let z = min.z; z <= max.z; z++) {
+        const edge = x === min.x || x === max.x || y === min.y || y === max.y || z === min.z || z === max.z;
+        const existing = server.getBlock(x, y, z);
+
+        let id = block;
+        if (!edge && mode === 'hollow') id = 'air';
+        if (!edge && mode === 'outline') continue;
+        if (mode === 'keep' && existing) continue;
+        if (filter && !isBlockType(existing, filter)) continue;
+        if (isBlockType(existing, id)) continue;
+
+        placeBlock(server, { x, y, z }, id);
+        changed++;
+      }
+    }
+  }
+
+  if (changed === 0) {
+    throw new CommandError('No blocks were filled');
+  }
+  return `Successfully filled ${changed} block${changed === 1 ? '' : 's'}`;
+}
+
+const fillCommand = {
+  name: 'fill',
+  description: 'Fills a region with a block',
+  permission: 2,
+  syntaxes: [
+    {
+      args: [
+        { name: 'from', type: types.blockPos() },
+        { name: 'to', type: types.blockPos() },
+        { name: 'block', type: types.block() },
+        { name: 'mode', type: types.choice(['replace', 'keep', 'hollow', 'outline']), optional: true, default: 'replace' }
+      ],
+      run: fill
+    },
+    {
+      args: [
+        { name: 'from', type: types.blockPos() },
+        { name: 'to', type: types.blockPos() },
+        { name: 'block', type: types.block() },
+        { literal: 'replace' },
+        { name: 'filter', type: types.block() }
+      ],
+      run: (context, args) => fill(context, { ...args, mode: 'replace' })
+    }
+  ]
+};
+
+const time = {
+  name: 'time',
+  description: 'Changes or queries the time of day',
+  permission: 2,
+  syntaxes: [
+    {
+      args: [{ literal: 'set' }, { name: 'time', type: types.timeOfDay() }],
+      run: ({ server }, { time: value }) => {
+        server.setTime(value % TICKS_PER_DAY);
+        return `Set the time to ${value % TICKS_PER_DAY}`;
+      }
+    },
+    {
+      args: [{ literal: 'add' }, { name: 'time', type: types.time() }],
+      run: ({ server }, { time: value }) => {
+        const next = (server.getTime() + value) % TICKS_PER_DAY;
+        server.setTime(next);
+        return `Set the time to ${next}`;
+      }
+    },
+    {
+      args: [{ literal: 'query' }, { literal: 'daytime' }],
+      run: ({ server }) => `The time is ${server.getTime()}`
+    }
+  ]
+};
+
+const weather = {
+  name: 'weather',
+  description: 'Sets the weather',
+  permission: 2,
+  syntaxes: [{
+    args: [
+      { name: 'type', type: types.choice(['clear', 'rain', 'thunder']) },
+      { name: 'duration', type: types.time(), optional: true }
+    ],
+    run: ({ server }, { type, duration }) => {
+      server.weatherSystem.setWeather(type, duration);
+      const names = { clear: 'clear', rain: 'rain', thunder: 'rain & thunder' };
+      return `Set the weather to ${names[type]}`;
+    }
+  }]
+};
+
+const difficulty = {
+  name: 'difficulty',
+  description: 'Sets or shows the world difficulty',
+  permission: 2,
+  syntaxes: [
+    {
+      args: [],
+      run: ({ server }) => `The difficulty is ${server.difficultyManager.getDifficulty()}`
+    },
+    {
+      args: [{ name: 'difficulty', type: types.choice(DIFFICULTIES) }],
+      run: ({ server }, { difficulty: value }) => {
+        if (server.difficultyManager.locked) {
+          throw new CommandError('The difficulty is locked');
+        }
+        if (!server.difficultyManager.setDifficulty(value)) {
+          throw new CommandError(`The difficulty did not change; it is already set to ${value}`);
+        }
+        return `The difficulty has been set to ${value}`;
+      }
+    }
+  ]
+};
+
+const gamerule = {
+  name: 'gamerule',
+  description: 'Shows or changes a game rule',
+  permission: 2,
+  syntaxes: [
+    {
+      args: [{ name: 'rule', type: types.gameRule() }],
+      run: ({ server }, { rule }) => `Gamerule ${rule} is currently set to: ${server.gameRules.get(rule)}`
+    },
+    {
+      args: [{ name: 'rule', type: types.gameRule() }, { name: 'value', type: types.gameRuleValue() }],
+      run: ({ server }, { rule, value }) => {
+        try {
+          return `Gamerule ${rule} is now set to: ${server.gameRules.set(rule, value)}`;
+        } catch (error) {
+          throw new CommandError(error.message);
+        }
+      }
+    }
+  ]
+};
+
+const effect = {
+  name: 'effect',
+  description: 'Adds or removes status effects',
+  permission: 2,
+  syntaxes: [
+    {
+      args: [
+        { literal: 'give' },
+        { name: 'targets', type: types.entities() },
+        { name: 'effect', type: types.effect() },
+        { name: 'seconds', type: types.integer({ min: 1, max: 1000000 }), optional: true, default: 30 },
+        { name: 'amplifier', type: types.integer({ min: 0, max: 255 }), optional: true, default: 0 },
+        { name: 'hideParticles', type: types.bool(), optional: true, default: false }
+      ],
+      run: ({ server }, { targets, effect: type, seconds, amplifier, hideParticles }) => {
+        const affected = targets.filter(target => server.statusEffectsManager.addEffect(target.id, type, {
+          level: amplifier + 1,
+          duration: seconds * TICKS_PER_SECOND,
+          showParticles: !hideParticles,
+          source: 'command'
+        }));
+        if (affected.length === 0) {
+          throw new CommandError('Unable to apply this effect (target is either immune to effects, or has something stronger)');
+        }
+        return `Applied effect ${type.toLowerCase()} to ${describeTargets(affected)}`;
+      }
+    },
+    {
+      args: [
+        { literal: 'clear' },
+        { name: 'targets', type: types.entities(), optional: true, default: self },
+        { name: 'effect', type: types.effect(), optional: true }
+      ],
+      run: ({ server }, { targets, effect: type }) => {
+        const effects = server.statusEffectsManager;
+        const affected = targets.filter(target => (type
+          ? effects.hasEffect(target.id, type) && effects.removeEffect(target.id, type)
+          : effects.getEffects(target.id).length > 0 && effects.clearEffects(target.id)));
+        if (affected.length === 0) {
+          throw new CommandError(type
+            ? 'Failed to remove effect: the target doesn\'t have the requested effect'
+            : 'Failed to remove effects: the target has no effects to remove');
+        }
+        return type
+          ? `Removed effect ${type.toLowerCase()} from ${describeTargets(affected)}`
+          : `Removed every effect from ${describeTargets(affected)}`;
+      }
+    }
+  ]
+};
+
+const gamemode = {
+  name: 'gamemode',
+  description: 'Sets a player\'s game mode',
+  permission: 2,
+  syntaxes: [{
+    args: [
+      { name: 'mode', type: types.choice(EntitySelector.GAME_MODES) },
+      { name: 'target', type: types.entities({ playersOnly: true }), optional: true, default: self }
+    ],
+    run: ({ source, server }, { mode, target }) => {
+      const changed = target.filter(player => (player.gameMode || 'survival') !== mode);
+      for (const player of changed) {
+        server.setGameMode(player, mode);
+      }
+      if (changed.length === 1 && changed[0] === source.player) {
+        return `Set own game mode to ${GAME_MODE_NAMES[mode]}`;
+      }
+      return changed.map(player => `Set ${nameOf(player)}'s game mode to ${GAME_MODE_NAMES[mode]}`).join('\n');
+    }
+  }]
+};
+
+const spawnpoint = {
+  name: 'spawnpoint',
+  description: 'Sets where players respawn',
+  permission: 2,
+  syntaxes: [{
+    args: [
+      { name: 'targets', type: types.entities({ playersOnly: true }), optional: true, default: self },
+      { name: 'pos', type: types.blockPos(), optional: true }
+    ],
+    run: ({ source }, { targets, pos }) => {
+      if (!pos && !source.position) {
+        throw new CommandError('A position is required to set a spawn point from here');
+      }
+      const spawn = pos || {
+        x: Math.floor(source.position.x),
+        y: Math.floor(source.position.y),
+        z: Math.floor(source.position.z)
+      };
+      for (const player of targets) {
+        player.spawnPoint = { x: spawn.x + 0.5, y: spawn.y, z: spawn.z + 0.5, dimension: source.dimension || 'overworld' };
+      }
+      return `Set spawn point to ${formatPosition(spawn)} for ${describeTargets(targets, 'players')}`;
+    }
+  }]
+};
+
+const op = {
+  name: 'op',
+  description: 'Grants operator status to players',
+  permission: 3,
+  syntaxes: [{
+    args: [
+      { name: 'targets', type: types.entities({ playersOnly: true }) },
+      {
+        name: 'level',
+        type: types.integer({ min: 0, max: 4 }),
+        optional: true,
+        default: ({ source, dispatcher }) => dispatcher.permissions.getLevel(source)
+      }
+    ],
+    run: (context, { targets, level }) => {
+      const { permissions } = context.dispatcher;
+      const sourceLevel = permissions.getLevel(context.source);
+      if (level > sourceLevel) {
+        throw new CommandError(`You can't grant a permission level above your own (${sourceLevel})`);
+      }
+      for (const player of targets) {
+        requireNotOutranked(context, nameOf(player));
+      }
+
+      const changed = targets.filter(player => permissions.getOperatorLevel(nameOf(player)) !== level);
+      if (changed.length === 0) {
+        throw new CommandError('Nothing changed. The player already is an operator');
+      }
+      for (const player of changed) {
+        permissions.op(nameOf(player), level);
+      }
+      return changed.map(player => `Made ${nameOf(player)} a server operator`).join('\n');
+    }
+  }]
+};
+
+const deop = {
+  name: 'deop',
+  description: 'Revokes operator status from players',
+  permission: 3,
+  syntaxes: [{
+    args: [{ name: 'targets', type: types.entities({ playersOnly: true }) }],
+    run: (context, { targets }) => {
+      for (const player of targets) {
+        requireNotOutranked(context, nameOf(player));
+      }
+
+      const changed = targets.filter(player => context.dispatcher.permissions.deop(nameOf(player)));
+      if (changed.length === 0) {
+        throw new CommandError('Nothing changed. The player is not an operator');
+      }
+      return changed.map(player => `Made ${nameOf(player)} no longer a server operator`).join('\n');
+    }
+  }]
+};
+
+const kick = {
+  name: 'kick',
+  description: 'Disconnects players from the server',
+  permission: 3,
+  syntaxes: [{
+    args: [
+      { name: 'targets', type: types.entities({ playersOnly: true }) },
+      { name: 'reason', type: types.greedyString(), optional: true, default: 'Kicked by an operator' }
+    ],
+    run: (context, { targets, reason }) => {
+      for (const player of targets) {
+        requireNotOutranked(context, nameOf(player));
+      }
+      for (const player of targets) {
+        context.server.kick(player, reason);
+      }
+      return targets.map(player => `Kicked ${nameOf(player)}: ${reason}`).join('\n');
+    }
+  }]
+};
+
+const ban = {
+  name: 'ban',
+  description: 'Bans a player from the server',
+  permission: 3,
+  syntaxes: [{
+    args: [
+      { name: 'player', type: types.account() },
+      { name: 'reason', type: types.greedyString(), optional: true, default: 'Banned by an operator' }
+    ],
+    run: (context, { player, reason }) => {
+      const { source, server } = context;
+      requireNotOutranked(context, player.username);
+      if (server.accessControl.getBan(player.uuid)) {
+        throw new CommandError('Nothing changed. The player is already banned');
+      }
+      server.accessControl.ban(player, { reason, source: source.name });
+      server.accounts.revokeTokens(player.uuid);
+
+      const online = server.getPlayers().find(entity => entity.id === player.uuid);
+      if (online) {
+        server.kick(online, `You are banned from this server. Reason: ${reason}`);
+      }
+      return `Banned ${player.username}: ${reason}`;
+    }
+  }]
+};
+
+const pardon = {
+  name: 'pardon',
+  description: 'Lifts a player\'s ban',
+  permission: 3,
+  syntaxes: [{
+    args: [{ name: 'player', type: types.account() }],
+    run: ({ server }, { player }) => {
+      if (!server.accessControl.pardon(player.uuid)) {
+        throw new CommandError('Nothing changed. The player isn\'t banned');
+      }
+      return `Unbanned ${player.username}`;
+    }
+  }]
+};
+
+const whitelist = {
+  name: 'whitelist',
+  description: 'Manages the players allowed to join',
+  permission: 3,
+  syntaxes: [
+    {
+      args: [{ literal: 'on' }],
+      run: ({ server }) => {
+        server.accessControl.setWhitelistEnabled(true);
+        return 'Whitelist is now turned on';
+      }
+    },
+    {
+      args: [{ literal: 'off' }],
+      run: ({ server }) => {
+        server.accessControl.setWhitelistEnabled(false);
+        return 'Whitelist is now turned off';
+      }
+    },
+    {
+      args: [{ literal: 'list' }],
+      run: ({ server }) => {
+        const names = [...server.accessControl.whitelist.values()].map(entry => entry.name);
+        return names.length
+          ? `There are ${names.length} whitelisted players: ${names.join(', ')}`
+          : 'There are no whitelisted players';
+      }
+    },
+    {
+      args: [{ literal: 'add' }, { name: 'player', type: types.account() }],
+      run: ({ server }, { player }) => {
+        if (!server.accessControl.addToWhitelist(player)) {
+          throw new CommandError('Player is already whitelisted');
+        }
+        return `Added ${player.username} to the whitelist`;
+      }
+    },
+    {
+      args: [{ literal: 'remove' }, { name: 'player', type: types.account() }],
+      run: ({ server }, { player }) => {
+        if (!server.accessControl.removeFromWhitelist(player.uuid)) {
+          throw new CommandError('Player is not whitelisted');
+        }
+        return `Removed ${player.username} from the whitelist`;
+      }
+    }
+  ]
+};
+
+const reload = {
+  name: 'reload',
+  description: 'Reloads recipes, tags, loot tables and structure templates from the datapacks',
+  permission: 2,
+  syntaxes: [{
+    args: [],
+    run: ({ server, dispatcher }) => {
+      const errors = [];
+      for (const registry of [dispatcher.blockRegistry, dispatcher.itemRegistry]) {
+        if (registry && typeof registry.reloadTags === 'function') {
+          errors.push(...registry.reloadTags().errors);
+        }
+      }
+      const recipes = server.recipeLoader.reload();
+      errors.push(...recipes.errors);
+      const counts = [`${recipes.count} recipes`];
+      if (server.lootTableLoader) {
+        const lootTables = server.lootTableLoader.reload();
+        errors.push(...lootTables.errors);
+        counts.push(`${lootTables.count} loot tables`);
+      }
+      if (server.structureTemplates) {
+        const templates = server.structureTemplates.reload();
+        errors.push(...templates.errors);
+        counts.push(`${templates.count} structure templates`);
+      }
+      const last = counts.pop();
+      const summary = `Reloaded ${counts.length > 0 ? `${counts.join(', ')} and ` : ''}${last}`;
+
+      if (errors.length === 0) {
+        return summary;
+      }
+      const details = errors.map(error => `${path.basename(error.file)}: ${error.message}`);
+      return [`${summary}, skipped ${errors.length} invalid files:`, ...details].join('\n');
+    }
+  }]
+};
+
+/**
+ * Capture a region into a template saved with the generated templates
+ * @private
+ */
+function saveStructure({ server }, { name, from, to, includeAir }) {
+  const size = ['x', 'y', 'z'].map(axis => Math.abs(to[axis] - from[axis]) + 1);
+  if (size.some(length => length > MAX_STRUCTURE_SIZE)) {
+    throw new CommandError(`Structures can be at most ${MAX_STRUCTURE_SIZE} blocks along each side, specified ${size.join('x')}`);
+  }
+
+  const template = StructureTemplate.capture(server.getBlock, from, to, { includeAir });
+  try {
+    server.structureTemplates.saveTemplate(name, template);
+  } catch (error) {
+    throw new CommandError(`Could not save structure '${name}': ${error.message}`);
+  }
+  return `Saved structure '${name}' (${size.join('x')}, ${template.blocks.length} blocks)`;
+}
+
+/**
+ * Place a template with its origin at pos
+ * @private
+ */
+function loadStructure({ server }, { name, pos, rotation, mirror, integrity, seed }) {
+  const template = server.structureTemplates.getTemplate(name);
+  const placed = template.place((x, y, z, block) => server.setBlock(x, y, z, block), {
+    position: pos,
+    rotation: STRUCTURE_ROTATIONS[rotation],
+    mirror,
+    integrity,
+    seed,
+    getBlock: server.getBlock
+  });
+  return `Placed structure '${name}' at ${formatPosition(pos)} (${placed} blocks)`;
+}
+
+const structure = {
+  name: 'structure',
+  description: 'Saves a region as a structure template, places templates and assembles jigsaw structures',
+  permission: 2,
+  syntaxes: [
+    {
+      args: [
+        { literal: 'save' },
+        { name: 'name', type: types.structureTemplate({ allowNew: true }) },
+        { name: 'from', type: types.blockPos() },
+        { name: 'to', type: types.blockPos() },
+        { name: 'includeAir', type: types.bool(), optional: true, default: true }
+      ],
+      run: saveStructure
+    },
+    {
+      args: [
+        { literal: 'load' },
+        { name: 'name', type: types.structureTemplate() },
+        { name: 'pos', type: types.blockPos() },
+        { name: 'rotation', type: types.choice(Object.keys(STRUCTURE_ROTATIONS)), optional: true, default: 'none' },
+        { name: 'mirror', type: types.choice(StructureTemplate.MIRRORS), optional: true, default: 'none' },
+        { name: 'integrity', type: types.decimal({ min: 0, max: 1 }), optional: true, default: 1 },
+        { name: 'seed', type: types.integer(), optional: true }
+      ],
+      run: loadStructure
+    },
+    {
+      args: [
+        { literal: 'jigsaw' },
+        { name: 'pool', type: types.templatePool() },
+        { name: 'pos', type: types.blockPos() },
+        { name: 'depth', type: types.integer({ min: 0, max: 20 }), optional: true, default: JigsawAssembler.DEFAULT_MAX_DEPTH },
+        { name: 'seed', type: types.integer(), optional: true }
+      ],
+      run: ({ server }, { pool, pos, depth, seed }) => {
+        const assembler = new JigsawAssembler({ templates: server.structureTemplates, maxDepth: depth });
+        const assembly = assembler.generate(pool, pos, (x, y, z, block) => server.setBlock(x, y, z, block),
+          { seed, getBlock: server.getBlock });
+        if (!assembly) {
+          throw new CommandError(`Template pool '${pool}' has no pieces to start from`);
+        }
+        const count = assembly.pieces.length;
+        return `Placed ${count} piece${count === 1 ? '' : 's'} from pool '${pool}' at ${formatPosition(pos)}`;
+      }
+    },
+    {
+      args: [{ literal: 'list' }],
+      run: ({ server }) => {
+        const ids = server.structureTemplates.getTemplateIds();
+        return ids.length > 0 ? `Structure templates: ${ids.join(', ')}` : 'There are no structure templates';
+      }
+    }
+  ]
+};
+
+const help = {
+  name: 'help',
+  description: 'Lists commands or shows how to use one',
+  syntaxes: [
+    {
+      args: [],
+      run: ({ source, dispatcher }) => dispatcher.getCommands(source)
+        .map(command => `/${command.name} - ${command.description}`)
+        .join('\n')
+    },
+    {
+      args: [{
+        name: 'command',
+        type: {
+          parse: ([name], { source, dispatcher }) => {
+            const command = dispatcher.getCommand(name.replace(/^\//, ''));
+            if (!command || !dispatcher.canUse(source, command)) {
+              throw new CommandError(`Unknown command '${name}'`);
+            }
+            return command;
+          },
+          suggest: (partial, { source, dispatcher }) => dispatcher.getCommands(source).map(command => command.name)
+        }
+      }],
+      run: ({ dispatcher }, { command }) => dispatcher.getUsage(command).join('\n')
+    }
+  ]
+};
+
+module.exports = [
+  tp, give, summon, setblock, fillCommand, time, weather, difficulty, gamerule, effect,
+  gamemode, spawnpoint, op, deop, kick, ban, pardon, whitelist, reload, structure, help
+];
@@ -0,0 +1,262 @@
+/**
+ * EntitySelector - Target selectors such as @p, @a or @e[type=zombie,distance=..10]
+ *
+ * Selector kinds:
+ *   @p - nearest player
+ *   @r - random player
+ *   @a - all players
+ *   @e - all entities
+ *   @s - the entity running the command
+ *
+ * Options narrow the selection: type (entity type, `!` to exclude), distance
+ * (a range such as 5, ..5, 2.. or 2..5), name, gamemode, limit and sort
+ * (nearest, furthest, random or arbitrary). Distance is measured from the
+ * command source and only matches entities in the source's dimension.
+ */
+
+const CommandError = require('./commandError');
+
+const KINDS = {
+  p: { playersOnly: true, sort: 'nearest', limit: 1 },
+  r: { playersOnly: true, sort: 'random', limit: 1 },
+  a: { playersOnly: true, sort: 'arbitrary', limit: Infinity },
+  e: { playersOnly: false, sort: 'arbitrary', limit: Infinity },
+  s: { playersOnly: false, sort: 'arbitrary', limit: 1, self: true }
+};
+
+const OPTIONS = ['type', 'distance', 'name', 'gamemode', 'limit', 'sort'];
+const SORTS = ['nearest', 'furthest', 'random', 'arbitrary'];
+const GAME_MODES = ['survival', 'creative', 'adventure', 'spectator'];
+
+class EntitySelector {
+  /**
+   * Create a selector; use EntitySelector.parse for selector strings
+   * @param {Object} options - Selector options
+   * @param {string} options.kind - Selector kind letter
+   */
+  constructor(options = {}) {
+    const kind = KINDS[options.kind];
+    this.kind = options.kind;
+    this.playersOnly = kind.playersOnly;
+    this.self = kind.self || false;
+    this.sort = options.sort || kind.sort;
+    this.limit = options.limit || kind.limit;
+    this.type = options.type || null;
+    this.excludedTypes = options.excludedTypes || [];
+    this.distance = options.distance || null;
+    this.name = options.name || null;
+    this.excludedNames = options.excludedNames || [];
+    this.gameMode = options.gameMode || null;
+    this.excludedGameModes = options.excludedGameModes || [];
+
+    if (this.type === 'player') {
+      this.playersOnly = true;
+    }
+  }
+
+  /**
+   * Parse a selector string
+   * @param {string} text - Selector such as "@e[type=zombie,limit=2]"
+   * @returns {EntitySelector} Parsed selector
+   */
+  static parse(text) {
+    const match = /^@([a-z])(?:\[(.*)\])?$/.exec(text);
+    if (!match) {
+      throw new CommandError(`Invalid entity selector '${text}'`);
+    }
+    if (!KINDS[match[1]]) {
+      throw new CommandError(`Unknown selector type '@${match[1]}'`);
+    }
+
+    const options = { kind: match[1], excludedTypes: [], excludedNames: [], excludedGameModes: [] };
+    const body = (match[2] || '').trim();
+    for (const entry of body ? body.split(',') : []) {
+      const separator = entry.indexOf('=');
+      const key = entry.slice(0, separator).trim();
+      const raw = entry.slice(separator + 1).trim();
+      if (separator < 0 || !OPTIONS.includes(key)) {
+        throw new CommandError(`Unknown selector option '${entry.trim()}'`);
+      }
+
+      const negated = raw.startsWith('!');
+      const value = negated ? raw.slice(1) : raw;
+      if (!value) {
+        throw new CommandError(`Expected a value for selector option '${key}'`);
+      }
+
+      switch (key) {
+        case 'type':
+          if (negated) options.excludedTypes.push(value);
+          else options.type = value;
+          break;
+        case 'name':
+          if (negated) options.excludedNames.push(value);
+          else options.name = value;
+          break;
+        case 'gamemode':
+          if (!GAME_MODES.includes(value)) {
+            throw new CommandError(`Unknown game mode '${value}'`);
+          }
+          if (negated) options.excludedGameModes.push(value);
+          else options.gameMode = value;
+          break;
+        case 'distance':
+          options.distance = EntitySelector.parseRange(value);
+          break;
+        case 'limit': {
+          const limit = Number(value);
+          if (!Number.isInteger(limit) || limit < 1) {
+            throw new CommandError(`Invalid limit '${value}', expected a whole number of at least 1`);
+          }
+          options.limit = limit;
+          break;
+        }
+        case 'sort':
+          if (!SORTS.includes(value)) {
+            throw new CommandError(`Unknown sort '${value}'`);
+          }
+          options.sort = value;
+          break;
+      }
+    }
+
+    return new EntitySelector(options);
+  }
+
+  /**
+   * Parse a number range such as 5, ..5, 2.. or 2..5
+   * @param {string} text - Range text
+   * @returns {Object} Range with min and max
+   */
+  static parseRange(text) {
+    const parts = text.includes('..') ? text.split('..') : [text, text];
+    if (parts.length !== 2 || (parts[0] === '' && parts[1] === '')) {
+      throw new CommandError(`Invalid range '${text}'`);
+    }
+
+    const [min, max] = parts.map((part, i) => {
+      if (part === '') return i === 0 ? 0 : Infinity;
+      const value = Number(part);
+      if (!Number.isFinite(value)) {
+        throw new CommandError(`Invalid range '${text}'`);
+      }
+      return value;
+    });
+    if (min > max) {
+      throw new CommandError(`Invalid range '${text}', the minimum is above the maximum`);
+    }
+    return { min, max };
+  }
+
+  /**
+   * Suggest completions for a partially typed selector
+   * @param {string} partial - Typed text starting with @
+   * @param {Object} values - Known values: { types: Array<string> }
+   * @returns {Array<string>} Completed selector strings
+   */
+  static suggest(partial, values = {}) {
+    const open = partial.indexOf('[');
+    if (open < 0) {
+      return Object.keys(KINDS).map(kind => `@${kind}`).concat(partial.length === 2 ? [`${partial}[`] : []);
+    }
+
+    // Complete the option currently being typed
+    const head = partial.slice(0, Math.max(partial.lastIndexOf(','), open) + 1);
+    const entry = partial.slice(head.length);
+    const separator = entry.indexOf('=');
+    if (separator < 0) {
+      return OPTIONS.map(option => `${head}${option}=`);
+    }
+
+    const key = entry.slice(0, separator);
+    const prefix = `${head}${key}=${entry[separator + 1] === '!' ? '!' : ''}`;
+    const choices = {
+      type: ['player', ...(values.types || [])],
+      gamemode: GAME_MODES,
+      sort: SORTS
+    }[key] || [];
+    return choices.map(choice => `${prefix}${choice}`);
+  }
+
+  /**
+   * Select the matching entities
+   * @param {Object} source - Command source with position, dimension and, for players, the player
+   * @param {Object} server - Server facade with getPlayers and getEntities
+   * @returns {Array<Object>} Matching entities
+   */
+  select(source, server) {
+    const origin = source.position || { x: 0, y: 0, z: 0 };
+    const dimension = source.dimension || 'overworld';
+
+    let candidates = server.getPlayers();
+    if (!this.playersOnly) {
+      candidates = candidates.concat(server.getEntities());
+    }
+    if (this.self) {
+      candidates = candidates.filter(entity => entity === source.player);
+    }
+
+    const players = new Set(server.getPlayers());
+    const matches = candidates.filter(entity => {
+      const type = players.has(entity) ? 'player' : entity.type;
+      if (this.type && type !== this.type) return false;
+      if (this.excludedTypes.includes(type)) return false;
+
+      const name = entity.name || (players.has(entity) ? entity.id : null);
+      if (this.name && name !== this.name) return false;
+      if (this.excludedNames.includes(name)) return false;
+
+      if (this.gameMode || this.excludedGameModes.length) {
+        if (!players.has(entity)) return false;
+        const gameMode = entity.gameMode || 'survival';
+        if (this.gameMode && gameMode !== this.gameMode) return false;
+        if (this.excludedGameModes.includes(gameMode)) return false;
+      }
+
+      if (this.distance) {
+        if ((entity.dimension || 'overworld') !== dimension) return false;
+        const distance = this.distanceTo(origin, entity.position);
+        if (distance < this.distance.min || distance > this.distance.max) return false;
+      }
+      return true;
+    });
+
+    this.sortEntities(matches, origin);
+    return matches.slice(0, this.limit);
+  }
+
+  /**
+   * @private
+   */
+  sortEntities(entities, origin) {
+    switch (this.sort) {
+      case 'nearest':
+        entities.sort((a, b) => this.distanceTo(origin, a.position) - this.distanceTo(origin, b.position));
+        break;
+      case 'furthest':
+        entities.sort((a, b) => this.distanceTo(origin, b.position) - this.distanceTo(origin, a.position));
+        break;
+      case 'random':
+        for (let i = entities.length - 1; i > 0; i--) {
+          const j = Math.floor(Math.random() * (i + 1));
+          [entities[i], entities[j]] = [entities[j], entities[i]];
+        }
+        break;
+    }
+  }
+
+  /**
+   * @private
+   */
+  distanceTo(origin, position) {
+    const dx = position.x - origin.x;
+    const dy = position.y - origin.y;
+    const dz = position.z - origin.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+}
+
+EntitySelector.KINDS = Object.keys(KINDS);
+EntitySelector.GAME_MODES = GAME_MODES;
+
+module.exports = EntitySelector;
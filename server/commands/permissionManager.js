@@ -0,0 +1,176 @@
+/**
+ * PermissionManager - Operators and command permission levels
+ *
+ * Permission levels follow the vanilla scheme:
+ *   0 - everyone, harmless commands only
+ *   1 - may bypass spawn protection
+ *   2 - cheat commands such as tp, give or gamemode
+ *   3 - player management such as op and deop
+ *   4 - everything, including server management
+ *
+ * Operators are stored in an ops file as a JSON array of { name, level }
+ * entries. Players are matched by name, falling back to their id, so an
+ * operator keeps their level across reconnects. The server console always
+ * has the highest level. When cheats are enabled every player is treated as
+ * at least a level 2 operator, and command blocks only run commands while
+ * they are enabled.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const { writeJsonAtomic } = require('../utils/atomicFile');
+
+const MAX_LEVEL = 4;
+const CHEATS_LEVEL = 2;
+const COMMAND_BLOCK_LEVEL = 2;
+
+class PermissionManager extends EventEmitter {
+  /**
+   * Create a new permission manager
+   * @param {Object} options - Manager options
+   * @param {string} options.file - Path of the ops file; operators are kept in memory only without one
+   * @param {number} options.defaultLevel - Level of players that are not operators
+   * @param {boolean} options.cheats - Whether every player may use cheat commands
+   * @param {boolean} options.commandBlocks - Whether command blocks may run commands
+   */
+  constructor(options = {}) {
+    super();
+    this.file = options.file || null;
+    this.defaultLevel = options.defaultLevel || 0;
+    this.cheats = options.cheats || false;
+    this.commandBlocks = options.commandBlocks || false;
+
+    // Operator name -> permission level
+    this.operators = new Map();
+    this.load();
+  }
+
+  /**
+   * Read the ops file. A missing file means there are no operators yet.
+   */
+  load() {
+    this.operators.clear();
+    if (!this.file || !fs.existsSync(this.file)) return;
+
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const { name, level } of entries) {
+        if (typeof name === 'string') {
+          this.operators.set(name, this.clampLevel(level));
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to read ops file ${this.file}:`, error.message);
+    }
+  }
+
+  /**
+   * Write the ops file
+   */
+  save() {
+    if (!this.file) return;
+
+    const entries = [...this.operators].map(([name, level]) => ({ name, level }));
+    writeJsonAtomic(this.file, entries);
+  }
+
+  /**
+   * Get the permission level of a command source
+   * @param {Object} source - Command source with a type and, for players, the player
+   * @returns {number} Permission level
+   */
+  getLevel(source) {
+    switch (source.type) {
+      case 'console':
+        return MAX_LEVEL;
+      case 'commandBlock':
+        return this.commandBlocks ? COMMAND_BLOCK_LEVEL : -1;
+      default: {
+        const player = source.player || {};
+        const level = this.getOperatorLevel(player.name || player.id);
+        return Math.max(level, this.cheats ? CHEATS_LEVEL : this.defaultLevel);
+      }
+    }
+  }
+
+  /**
+   * Check whether a source may use something that needs a permission level
+   * @param {Object} source - Command source
+   * @param {number} level - Required level
+   * @returns {boolean} Whether the source has the level
+   */
+  hasLevel(source, level) {
+    return this.getLevel(source) >= level;
+  }
+
+  /**
+   * Get the level an operator was given
+   * @param {string} name - Player name
+   * @returns {number} Level, or the default level for players that are not operators
+   */
+  getOperatorLevel(name) {
+    return this.operators.has(name) ? this.operators.get(name) : this.defaultLevel;
+  }
+
+  /**
+   * Whether a player is an operator at any level
+   * @param {string} name - Player name
+   * @returns {boolean} Whether the player is in the ops file
+   */
+  isOperator(name) {
+    return this.operators.has(name);
+  }
+
+  /**
+   * Make a player an operator and persist the change
+   * @param {string} name - Player name
+   * @param {number} level - Permission level, 4 when omitted
+   */
+  op(name, level = MAX_LEVEL) {
+    level = this.clampLevel(level);
+    this.operators.set(name, level);
+    this.save();
+    this.emit('operatorChanged', { name, level });
+  }
+
+  /**
+   * Remove a player from the operators and persist the change
+   * @param {string} name - Player name
+   * @returns {boolean} Whether the player was an operator
+   */
+  deop(name) {
+    if (!this.operators.delete(name)) return false;
+    this.save();
+    this.emit('operatorChanged', { name, level: this.defaultLevel });
+    return true;
+  }
+
+  /**
+   * Allow or forbid cheat commands for every player
+   * @param {boolean} enabled - Whether cheats are enabled
+   */
+  setCheats(enabled) {
+    this.cheats = enabled;
+  }
+
+  /**
+   * Allow or forbid command blocks to run commands
+   * @param {boolean} enabled - Whether command blocks are enabled
+   */
+  setCommandBlocks(enabled) {
+    this.commandBlocks = enabled;
+  }
+
+  /**
+   * @private
+   */
+  clampLevel(level) {
+    const value = Math.floor(Number(level));
+    return Number.isFinite(value) ? Math.max(0, Math.min(MAX_LEVEL, value)) : MAX_LEVEL;
+  }
+}
+
+PermissionManager.MAX_LEVEL = MAX_LEVEL;
+PermissionManager.CHEATS_LEVEL = CHEATS_LEVEL;
+
+module.exports = PermissionManager;
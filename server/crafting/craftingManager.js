@@ -1,11 +1,21 @@
 /**
  * CraftingManager - Manages all crafting recipes in the game
+ *
+ * Recipes come from two places: the JSON datapacks read by the RecipeLoader,
+ * which are queried live so /reload takes effect straight away, and recipes
+ * registered from code (pottery, hanging signs) which are checked first.
  */
+const { RecipeType, getDefaultRecipeLoader } = require('./recipeLoader');
+
 class CraftingManager {
   /**
    * Create a new crafting manager
+   * @param {Object} options - Manager options
+   * @param {RecipeLoader} options.recipeLoader - Loaded datapack recipes (defaults to the shared loader)
    */
-  constructor() {
+  constructor(options = {}) {
+    this.recipeLoader = options.recipeLoader || getDefaultRecipeLoader();
+
     // Store shaped and shapeless recipes separately
     this.shapedRecipes = [];
     this.shapelessRecipes = [];
@@ -70,13 +80,19 @@ class CraftingManager {
   }
   
   /**
-   * Get all registered recipes
+   * Get all registered and loaded recipes
    * @returns {Object} All recipes
    */
   getRecipes() {
     return {
-      shaped: this.shapedRecipes,
-      shapeless: this.shapelessRecipes
+      shaped: [
+        ...this.shapedRecipes,
+        ...this.recipeLoader.getRecipes(RecipeType.CRAFTING_SHAPED).map(recipe => this.toCraftingRecipe(recipe))
+      ],
+      shapeless: [
+        ...this.shapelessRecipes,
+        ...this.recipeLoader.getRecipes(RecipeType.CRAFTING_SHAPELESS).map(recipe => this.toCraftingRecipe(recipe))
+      ]
     };
   }
   
@@ -97,12 +113,27 @@ class CraftingManager {
   /**
    * Find a shaped recipe that matches the given ingredients and positions
    * @private
-   * @param {Array<Object>} ingredients - Array of items with positions
+   * @param {Array<Object>} ingredients - Array of items with positions (slot index 0-8 in the 3x3 grid)
    * @returns {Object|null} Matching recipe or null
    */
   findShapedRecipe(ingredients) {
-    // TODO: Implement shaped recipe matching
-    return null;
+    const grid = [[null, null, null], [null, null, null], [null, null, null]];
+    for (const item of ingredients) {
+      if (!item || !item.id || typeof item.position !== 'number') continue;
+      grid[Math.floor(item.position / 3)][item.position % 3] = item.id;
+    }
+
+    const rows = trimPattern(grid);
+    for (const recipe of this.shapedRecipes) {
+      const pattern = trimPattern(recipe.pattern);
+      if (pattern.length === rows.length &&
+          pattern.every((row, y) => row.length === rows[y].length && row.every((item, x) => item === rows[y][x]))) {
+        return recipe;
+      }
+    }
+
+    const loaded = this.recipeLoader.findCraftingRecipe(grid);
+    return loaded && loaded.type === RecipeType.CRAFTING_SHAPED ? this.toCraftingRecipe(loaded) : null;
   }
   
   /**
@@ -145,43 +176,60 @@ class CraftingManager {
       }
     }
     
-    return null;
+    // Then the loaded recipes, one grid slot per item
+    const items = [];
+    for (const id of Object.keys(ingredientMap)) {
+      for (let i = 0; i < ingredientMap[id]; i++) {
+        items.push(id);
+      }
+    }
+    const loaded = this.recipeLoader.findCraftingRecipe([items]);
+    return loaded && loaded.type === RecipeType.CRAFTING_SHAPELESS ? this.toCraftingRecipe(loaded) : null;
   }
-  
+
   /**
-   * Register default crafting recipes
+   * Describe a loaded recipe the way registered recipes are described:
+   * shaped patterns as rows of item ids and shapeless ingredients as { id, count }.
+   * Tag ingredients show their first item.
+   * @private
+   * @param {Object} recipe - Loaded recipe
+   * @returns {Object} Recipe in the registered form
    */
-  registerDefaultRecipes() {
-    // Register Wild Update recipes
-    this.registerWildUpdateRecipes();
-    
-    // Register Trails & Tales Update recipes
-    this.registerTrailsAndTalesRecipes();
-    
-    // Register 1.20 Update recipes
-    this.register120UpdateRecipes();
+  toCraftingRecipe(recipe) {
+    const firstItem = (ingredient) => this.recipeLoader.getIngredientItems(ingredient)[0] || null;
+    const converted = {
+      id: recipe.id,
+      type: recipe.type === RecipeType.CRAFTING_SHAPED ? 'shaped' : 'shapeless',
+      result: { id: recipe.result.id, item: recipe.result.id, count: recipe.result.count },
+      category: recipe.category,
+      source: recipe
+    };
+
+    if (recipe.type === RecipeType.CRAFTING_SHAPED) {
+      converted.pattern = recipe.pattern.map(row => Array.from(row).map(symbol => symbol === ' ' ? null : firstItem(recipe.key[symbol])));
+      converted.ingredients = {};
+      for (const ingredient of Object.values(recipe.key)) {
+        const item = firstItem(ingredient);
+        converted.ingredients[item] = { type: item, alternatives: this.recipeLoader.getIngredientItems(ingredient) };
+      }
+    } else {
+      const counts = new Map();
+      for (const ingredient of recipe.ingredients) {
+        const item = firstItem(ingredient);
+        counts.set(item, (counts.get(item) || 0) + 1);
+      }
+      converted.ingredients = Array.from(counts, ([id, count]) => ({ id, count }));
+    }
+    return converted;
   }
   
   /**
-   * Register Wild Update recipes
+   * Register default crafting recipes that are built in code. Everything
+   * else (recovery compass, bamboo, tuff...) lives in server/data/recipes.
    */
-  registerWildUpdateRecipes() {
-    // Register Recovery Compass recipe (8 Echo Shards + 1 Compass)
-    this.registerShapedRecipe({
-      id: 'recovery_compass_recipe',
-      type: 'shaped',
-      pattern: [
-        ['echo_shard', 'echo_shard', 'echo_shard'],
-        ['echo_shard', 'compass', 'echo_shard'],
-        ['echo_shard', 'echo_shard', 'echo_shard']
-      ],
-      ingredients: {
-        'echo_shard': { type: 'echo_shard' },
-        'compass': { type: 'compass' }
-      },
-      result: { item: 'recovery_compass', count: 1 },
-      category: 'TOOLS'
-    });
+  registerDefaultRecipes() {
+    // Register Trails & Tales Update recipes
+    this.registerTrailsAndTalesRecipes();
   }
   
   /**
@@ -196,17 +244,31 @@ class CraftingManager {
     const { registerHangingSignRecipes } = require('./hangingSignRecipes');
     registerHangingSignRecipes(this);
   }
-  
-  /**
-   * Register 1.20 Update recipes
-   */
-  register120UpdateRecipes() {
-    // Register bamboo recipes
-    const { registerBambooRecipes } = require('./bambooRecipes');
-    registerBambooRecipes(this);
-    
-    // Future: Register other 1.20 update recipes
-  }
+}
+
+/**
+ * Cut a pattern down to the rows and columns that hold items
+ * @private
+ * @param {Array<Array>} pattern - Rows of item ids, null or '' for empty
+ * @returns {Array<Array>} Trimmed rows
+ */
+function trimPattern(pattern) {
+  const rows = pattern.map(row => row.map(item => item || null));
+  const used = (item) => item !== null;
+  const ys = rows.map((row, y) => (row.some(used) ? y : -1)).filter(y => y >= 0);
+  if (ys.length === 0) return [];
+
+  const xs = [];
+  rows.forEach(row => row.forEach((item, x) => { if (used(item)) xs.push(x); }));
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  return rows.slice(ys[0], ys[ys.length - 1] + 1).map(row => {
+    const trimmed = [];
+    for (let x = minX; x <= maxX; x++) {
+      trimmed.push(row[x] || null);
+    }
+    return trimmed;
+  });
 }
 
 module.exports = CraftingManager; 
\ No newline at end of file
@@ -1,15 +1,23 @@
 /**
  * FurnaceManager - Handles furnace operations including smelting, fuel consumption, and recipe management
+ *
+ * Smelting, blasting and smoking recipes come from the datapacks through the
+ * RecipeLoader; recipes registered here are extra smelting recipes checked first.
  */
 
 const { ItemStack } = require('../items/itemStack');
 const { ItemType } = require('../items/itemType');
+const { RecipeType, getDefaultRecipeLoader } = require('./recipeLoader');
 
 class FurnaceManager {
-  constructor() {
+  /**
+   * @param {Object} options - Manager options
+   * @param {RecipeLoader} options.recipeLoader - Loaded datapack recipes (defaults to the shared loader)
+   */
+  constructor(options = {}) {
+    this.recipeLoader = options.recipeLoader || getDefaultRecipeLoader();
     this.recipes = new Map();
     this.fuelTypes = new Map();
-    this.registerDefaultRecipes();
     this.registerDefaultFuelTypes();
   }
 
@@ -49,19 +57,33 @@ class FurnaceManager {
   /**
    * Get the recipe for an input item
    * @param {string} inputId - Input item ID
+   * @param {string} type - Furnace kind: smelting, blasting or smoking
    * @returns {Object|null} Recipe object or null if no recipe
    */
-  getRecipe(inputId) {
-    return this.recipes.get(inputId) || null;
+  getRecipe(inputId, type = RecipeType.SMELTING) {
+    if (type === RecipeType.SMELTING && this.recipes.has(inputId)) {
+      return this.recipes.get(inputId);
+    }
+
+    const recipe = this.recipeLoader.findCookingRecipe(type, inputId);
+    if (!recipe) return null;
+
+    return {
+      outputId: recipe.result.id,
+      count: recipe.result.count,
+      cookTime: recipe.cookingTime,
+      experience: recipe.experience
+    };
   }
 
   /**
    * Check if an item can be smelted
    * @param {string} itemId - Item ID
+   * @param {string} type - Furnace kind: smelting, blasting or smoking
    * @returns {boolean} Whether the item can be smelted
    */
-  canSmelt(itemId) {
-    return this.recipes.has(itemId);
+  canSmelt(itemId, type = RecipeType.SMELTING) {
+    return this.getRecipe(itemId, type) !== null;
   }
 
   /**
@@ -73,38 +95,6 @@ class FurnaceManager {
     return this.fuelTypes.has(itemId);
   }
 
-  /**
-   * Register default smelting recipes
-   * @private
-   */
-  registerDefaultRecipes() {
-    // Ores
-    this.registerRecipe('iron_ore', 'iron_ingot');
-    this.registerRecipe('gold_ore', 'gold_ingot');
-    this.registerRecipe('copper_ore', 'copper_ingot');
-    this.registerRecipe('nether_gold_ore', 'gold_ingot');
-    this.registerRecipe('nether_quartz_ore', 'quartz');
-    this.registerRecipe('ancient_debris', 'netherite_scrap');
-
-    // Food
-    this.registerRecipe('beef', 'cooked_beef');
-    this.registerRecipe('porkchop', 'cooked_porkchop');
-    this.registerRecipe('chicken', 'cooked_chicken');
-    this.registerRecipe('mutton', 'cooked_mutton');
-    this.registerRecipe('rabbit', 'cooked_rabbit');
-    this.registerRecipe('potato', 'baked_potato');
-
-    // Other
-    this.registerRecipe('cobblestone', 'stone');
-    this.registerRecipe('stone', 'smooth_stone');
-    this.registerRecipe('sand', 'glass');
-    this.registerRecipe('clay_ball', 'brick');
-    this.registerRecipe('netherrack', 'nether_brick');
-    this.registerRecipe('cactus', 'green_dye');
-    this.registerRecipe('sea_pickle', 'lime_dye');
-    this.registerRecipe('wet_sponge', 'sponge');
-  }
-
   /**
    * Register default fuel types
    * @private
@@ -0,0 +1,599 @@
+/**
+ * RecipeLoader - Loads recipes and item tags from JSON datapacks
+ *
+ * Layout of a datapack directory:
+ *   recipes/<path>.json    - one recipe per file; the id is <path>, subfolders included
+ *   tags/items/<name>.json - item tags: { "replace": false, "values": ["oak_planks", "#logs"] }
+ *
+ * Directories load in order, then the packs found in the datapacks directory
+ * in name order, so a later pack overrides recipes with the same id and
+ * extends (or with "replace" swaps out) tags from earlier ones.
+ * A file that fails validation is skipped and reported in `errors`; the rest
+ * of the pack still loads. load() builds the new recipe set before swapping it
+ * in, so queries never see a half-loaded pack.
+ *
+ * Recipe files:
+ *   crafting_shaped     { pattern: ["##", "##"], key: { "#": ingredient }, result }
+ *   crafting_shapeless  { ingredients: [ingredient, ...], result }
+ *   smelting, blasting, smoking
+ *                       { ingredient, result, experience?, cookingtime? }
+ *   stonecutting        { ingredient, result }
+ *   smithing_transform  { template, base, addition, result }
+ *   smithing_trim       { template, base, addition }
+ *
+ * An ingredient is an item id ("stick"), a tag ("#planks"), { "item": id },
+ * { "tag": name } or an array of any of those. A result is an item id or
+ * { "item": id, "count": n }.
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const {
+  BUILTIN_DATA_DIRECTORY,
+  DATAPACKS_DIRECTORY,
+  DataFileError,
+  getPackDirectories,
+  collectJsonFiles,
+  readDataFile
+} = require('../utils/datapackFiles');
+const { readTagFiles, resolveTags } = require('../registry/tagRegistry');
+
+const RecipeType = Object.freeze({
+  CRAFTING_SHAPED: 'crafting_shaped',
+  CRAFTING_SHAPELESS: 'crafting_shapeless',
+  SMELTING: 'smelting',
+  BLASTING: 'blasting',
+  SMOKING: 'smoking',
+  STONECUTTING: 'stonecutting',
+  SMITHING_TRANSFORM: 'smithing_transform',
+  SMITHING_TRIM: 'smithing_trim'
+});
+
+// Cooking time in ticks when a file doesn't give one
+const DEFAULT_COOKING_TIME = {
+  smelting: 200,
+  blasting: 100,
+  smoking: 100
+};
+
+const MAX_GRID_SIZE = 3;
+const MAX_STACK_SIZE = 64;
+const ITEM_ID_PATTERN = /^[a-z0-9_.\-/]+$/;
+
+class RecipeLoader extends EventEmitter {
+  /**
+   * Creates a recipe loader
+   * @param {Object} options - Loader options
+   * @param {Array<String>} options.directories - Datapack directories, lowest priority first
+   * @param {String} options.datapacksDirectory - Directory whose subdirectories are datapacks,
+   *   scanned again on every load so packs can be added without a restart
+   */
+  constructor(options = {}) {
+    super();
+
+    this.directories = options.directories || [];
+    this.datapacksDirectory = options.datapacksDirectory || null;
+
+    this.recipes = new Map();
+    this.tags = new Map();
+    this.errors = [];
+
+    // Tag name -> Set of item ids, with nested tags expanded
+    this.resolvedTags = new Map();
+  }
+
+  /**
+   * Add a datapack directory after the ones already listed
+   * @param {String} directory - Datapack directory
+   */
+  addDirectory(directory) {
+    if (!this.directories.includes(directory)) {
+      this.directories.push(directory);
+    }
+  }
+
+  /**
+   * Get the directories the next load reads, lowest priority first
+   * @returns {Array<String>} Datapack directories
+   */
+  getPackDirectories() {
+    return getPackDirectories(this.directories, this.datapacksDirectory);
+  }
+
+  /**
+   * Load every datapack directory, replacing the recipes loaded before
+   * @returns {Object} { count: recipes loaded, errors: [{ file, message }] }
+   */
+  load() {
+    const errors = [];
+    const tagFiles = new Map();
+    const files = new Map();
+
+    for (const directory of this.getPackDirectories()) {
+      readTagFiles(directory, 'items', tagFiles, errors);
+      collectJsonFiles(path.join(directory, 'recipes'), files);
+    }
+
+    const rawTags = new Map(Array.from(tagFiles, ([name, entry]) => [name, entry.values]));
+    const resolvedTags = resolveTags(rawTags, errors, 'items');
+    const recipes = new Map();
+
+    for (const [id, file] of files) {
+      try {
+        const data = readDataFile(file);
+        recipes.set(id, this.parseRecipe(id, data, resolvedTags));
+      } catch (error) {
+        errors.push({ file, message: error.message });
+      }
+    }
+
+    this.recipes = recipes;
+    this.tags = rawTags;
+    this.resolvedTags = resolvedTags;
+    this.errors = errors;
+
+    for (const error of errors) {
+      console.error(`Invalid recipe file ${error.file}: ${error.message}`);
+    }
+
+    const result = { count: recipes.size, errors };
+    this.emit('loaded', result);
+    return result;
+  }
+
+  /**
+   * Load the datapacks again, picking up added, changed and removed files
+   * @returns {Object} { count, errors }
+   */
+  reload() {
+    return this.load();
+  }
+
+  /**
+   * Get a recipe by ID
+   * @param {String} id - Recipe ID
+   * @returns {Object|null} Recipe or null if not loaded
+   */
+  getRecipe(id) {
+    return this.recipes.get(id) || null;
+  }
+
+  /**
+   * Get all loaded recipes, optionally of one type
+   * @param {String} type - RecipeType value
+   * @returns {Array<Object>} Recipes
+   */
+  getRecipes(type) {
+    const recipes = Array.from(this.recipes.values());
+    return type ? recipes.filter(recipe => recipe.type === type) : recipes;
+  }
+
+  /**
+   * Get the items in a tag, nested tags included
+   * @param {String} name - Tag name, with or without the leading #
+   * @returns {Array<String>} Item IDs
+   */
+  getTagItems(name) {
+    const items = this.resolvedTags.get(name.replace(/^#/, ''));
+    return items ? Array.from(items) : [];
+  }
+
+  /**
+   * Get every item an ingredient accepts
+   * @param {Object} ingredient - Parsed ingredient { items, tags }
+   * @returns {Array<String>} Item IDs
+   */
+  getIngredientItems(ingredient) {
+    const items = new Set(ingredient.items);
+    for (const tag of ingredient.tags) {
+      for (const item of this.getTagItems(tag)) {
+        items.add(item);
+      }
+    }
+    return Array.from(items);
+  }
+
+  /**
+   * Check whether an item satisfies an ingredient
+   * @param {Object} ingredient - Parsed ingredient { items, tags }
+   * @param {String|Object} item - Item ID or item { id } / { type }
+   * @returns {boolean} Whether the item matches
+   */
+  matchesIngredient(ingredient, item) {
+    const itemId = getItemId(item);
+    if (!ingredient || !itemId) return false;
+
+    if (ingredient.items.includes(itemId)) return true;
+    return ingredient.tags.some(tag => {
+      const items = this.resolvedTags.get(tag);
+      return Boolean(items && items.has(itemId));
+    });
+  }
+
+  /**
+   * Find the crafting recipe for a crafting grid
+   * @param {Array<Array>} grid - Rows of item IDs or items { id }; empty slots are null
+   * @returns {Object|null} Matching shaped or shapeless recipe
+   */
+  findCraftingRecipe(grid) {
+    const rows = trimGrid(grid);
+    if (rows.length === 0) return null;
+
+    for (const recipe of this.recipes.values()) {
+      if (recipe.type === RecipeType.CRAFTING_SHAPED && this.matchesShaped(recipe, rows)) {
+        return recipe;
+      }
+    }
+
+    const items = [].concat(...rows).filter(item => item !== null);
+    for (const recipe of this.recipes.values()) {
+      if (recipe.type === RecipeType.CRAFTING_SHAPELESS && this.matchesShapeless(recipe, items)) {
+        return recipe;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the cooking recipe for an item
+   * @param {String} type - smelting, blasting or smoking
+   * @param {String|Object} item - Input item ID or item
+   * @returns {Object|null} Matching recipe
+   */
+  findCookingRecipe(type, item) {
+    for (const recipe of this.recipes.values()) {
+      if (recipe.type === type && this.matchesIngredient(recipe.ingredient, item)) {
+        return recipe;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get every stonecutter recipe that takes an item
+   * @param {String|Object} item - Input item ID or item
+   * @returns {Array<Object>} Matching recipes
+   */
+  getStonecuttingRecipes(item) {
+    return this.getRecipes(RecipeType.STONECUTTING)
+      .filter(recipe => this.matchesIngredient(recipe.ingredient, item));
+  }
+
+  /**
+   * Find the smithing recipe for the three smithing table slots
+   * @param {String|Object} template - Template item ID or item
+   * @param {String|Object} base - Base item ID or item
+   * @param {String|Object} addition - Addition item ID or item
+   * @returns {Object|null} Matching smithing_transform or smithing_trim recipe
+   */
+  findSmithingRecipe(template, base, addition) {
+    for (const recipe of this.recipes.values()) {
+      if (recipe.type !== RecipeType.SMITHING_TRANSFORM && recipe.type !== RecipeType.SMITHING_TRIM) {
+        continue;
+      }
+      if (this.matchesIngredient(recipe.template, template) &&
+          this.matchesIngredient(recipe.base, base) &&
+          this.matchesIngredient(recipe.addition, addition)) {
+        return recipe;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check a trimmed grid against a shaped recipe, mirrored too
+   * @private
+   */
+  matchesShaped(recipe, rows) {
+    if (rows.length !== recipe.height || rows[0].length !== recipe.width) {
+      return false;
+    }
+    return this.matchesPatternAt(recipe, rows, false) || this.matchesPatternAt(recipe, rows, true);
+  }
+
+  /**
+   * @private
+   */
+  matchesPatternAt(recipe, rows, mirrored) {
+    for (let y = 0; y < recipe.height; y++) {
+      for (let x = 0; x < recipe.width; x++) {
+        const symbol = recipe.pattern[y][mirrored ? recipe.width - 1 - x : x];
+        const item = rows[y][x];
+        if (symbol === ' ') {
+          if (item !== null) return false;
+        } else if (!this.matchesIngredient(recipe.key[symbol], item)) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Check grid items against a shapeless recipe, trying each way of pairing
+   * items with ingredients since tags can overlap
+   * @private
+   */
+  matchesShapeless(recipe, items) {
+    if (items.length !== recipe.ingredients.length) return false;
+
+    const used = new Array(items.length).fill(false);
+    const assign = (index) => {
+      if (index === recipe.ingredients.length) return true;
+      for (let i = 0; i < items.length; i++) {
+        if (!used[i] && this.matchesIngredient(recipe.ingredients[index], items[i])) {
+          used[i] = true;
+          if (assign(index + 1)) return true;
+          used[i] = false;
+        }
+      }
+      return false;
+    };
+    return assign(0);
+  }
+
+  /**
+   * Validate a recipe file and turn it into the loaded recipe form
+   * @private
+   */
+  parseRecipe(id, data, tags) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new DataFileError('Recipe must be a JSON object');
+    }
+
+    const type = typeof data.type === 'string' ? data.type.replace(/^minecraft:/, '') : data.type;
+    const recipe = {
+      id,
+      type,
+      group: data.group || null,
+      category: data.category || null
+    };
+    const ingredient = (value, field) => parseIngredient(value, field, tags);
+
+    switch (type) {
+      case RecipeType.CRAFTING_SHAPED:
+        return Object.assign(recipe, parseShaped(data, ingredient), {
+          result: parseResult(data.result)
+        });
+
+      case RecipeType.CRAFTING_SHAPELESS: {
+        if (!Array.isArray(data.ingredients) || data.ingredients.length === 0 ||
+            data.ingredients.length > MAX_GRID_SIZE * MAX_GRID_SIZE) {
+          throw new DataFileError(`"ingredients" must list 1 to ${MAX_GRID_SIZE * MAX_GRID_SIZE} ingredients`);
+        }
+        recipe.ingredients = data.ingredients.map((value, index) => ingredient(value, `ingredients[${index}]`));
+        recipe.result = parseResult(data.result);
+        return recipe;
+      }
+
+      case RecipeType.SMELTING:
+      case RecipeType.BLASTING:
+      case RecipeType.SMOKING: {
+        const experience = data.experience !== undefined ? data.experience : 0;
+        const cookingTime = data.cookingtime !== undefined ? data.cookingtime : DEFAULT_COOKING_TIME[type];
+        if (typeof experience !== 'number' || experience < 0) {
+          throw new DataFileError('"experience" must be a number of at least 0');
+        }
+        if (!Number.isInteger(cookingTime) || cookingTime <= 0) {
+          throw new DataFileError('"cookingtime" must be a positive whole number of ticks');
+        }
+        recipe.ingredient = ingredient(data.ingredient, 'ingredient');
+        recipe.result = parseResult(data.result);
+        recipe.experience = experience;
+        recipe.cookingTime = cookingTime;
+        return recipe;
+      }
+
+      case RecipeType.STONECUTTING:
+        recipe.ingredient = ingredient(data.ingredient, 'ingredient');
+        recipe.result = parseResult(data.result);
+        return recipe;
+
+      case RecipeType.SMITHING_TRANSFORM:
+      case RecipeType.SMITHING_TRIM:
+        recipe.template = ingredient(data.template, 'template');
+        recipe.base = ingredient(data.base, 'base');
+        recipe.addition = ingredient(data.addition, 'addition');
+        if (type === RecipeType.SMITHING_TRANSFORM) {
+          recipe.result = parseResult(data.result);
+        }
+        return recipe;
+
+      default:
+        throw new DataFileError(type === undefined
+          ? 'Missing recipe "type"'
+          : `Unknown recipe type "${data.type}"`);
+    }
+  }
+}
+
+/**
+ * Validate a shaped recipe's pattern and key
+ * @private
+ */
+function parseShaped(data, ingredient) {
+  const pattern = data.pattern;
+  if (!Array.isArray(pattern) || pattern.length === 0 || pattern.length > MAX_GRID_SIZE ||
+      pattern.some(row => typeof row !== 'string')) {
+    throw new DataFileError(`"pattern" must be 1 to ${MAX_GRID_SIZE} strings`);
+  }
+  const width = pattern[0].length;
+  if (width === 0 || width > MAX_GRID_SIZE || pattern.some(row => row.length !== width)) {
+    throw new DataFileError(`"pattern" rows must all be 1 to ${MAX_GRID_SIZE} characters long`);
+  }
+  if (!data.key || typeof data.key !== 'object' || Array.isArray(data.key)) {
+    throw new DataFileError('"key" must map pattern symbols to ingredients');
+  }
+
+  const key = {};
+  for (const [symbol, value] of Object.entries(data.key)) {
+    if (symbol.length !== 1 || symbol === ' ') {
+      throw new DataFileError(`Invalid key symbol "${symbol}"`);
+    }
+    if (!pattern.some(row => row.includes(symbol))) {
+      throw new DataFileError(`Key symbol "${symbol}" is not used in the pattern`);
+    }
+    key[symbol] = ingredient(value, `key.${symbol}`);
+  }
+  for (const row of pattern) {
+    for (const symbol of row) {
+      if (symbol !== ' ' && !key[symbol]) {
+        throw new DataFileError(`Pattern symbol "${symbol}" is missing from "key"`);
+      }
+    }
+  }
+  if (pattern.every(row => row.trim() === '')) {
+    throw new DataFileError('"pattern" is empty');
+  }
+
+  return { pattern: [...pattern], key, width, height: pattern.length };
+}
+
+/**
+ * Parse an ingredient into { items, tags }
+ * @private
+ */
+function parseIngredient(value, field, tags) {
+  const ingredient = { items: [], tags: [] };
+  const alternatives = Array.isArray(value) ? value : [value];
+  if (value === undefined || alternatives.length === 0) {
+    throw new DataFileError(`Missing ingredient "${field}"`);
+  }
+
+  for (const alternative of alternatives) {
+    let itemId = null;
+    let tagName = null;
+
+    if (typeof alternative === 'string') {
+      if (alternative.startsWith('#')) {
+        tagName = alternative.slice(1);
+      } else {
+        itemId = alternative;
+      }
+    } else if (alternative && typeof alternative === 'object' && !Array.isArray(alternative)) {
+      itemId = alternative.item !== undefined ? alternative.item : null;
+      tagName = alternative.tag !== undefined ? alternative.tag : null;
+    }
+
+    if (tagName !== null && itemId === null) {
+      tagName = stripNamespace(tagName);
+      if (!tags.has(tagName)) {
+        throw new DataFileError(`Ingredient "${field}" references unknown tag #${tagName}`);
+      }
+      ingredient.tags.push(tagName);
+    } else if (itemId !== null && tagName === null && isItemId(itemId)) {
+      ingredient.items.push(stripNamespace(itemId));
+    } else {
+      throw new DataFileError(`Invalid ingredient "${field}": expected an item id, a #tag, { "item" } or { "tag" }`);
+    }
+  }
+  return ingredient;
+}
+
+/**
+ * Parse a result into { id, count }
+ * @private
+ */
+function parseResult(value) {
+  if (typeof value === 'string' && isItemId(value)) {
+    return { id: stripNamespace(value), count: 1 };
+  }
+  if (!value || typeof value !== 'object') {
+    throw new DataFileError('Missing "result"');
+  }
+
+  const itemId = value.item !== undefined ? value.item : value.id;
+  if (!isItemId(itemId)) {
+    throw new DataFileError('"result" must name an item');
+  }
+  const count = value.count !== undefined ? value.count : 1;
+  if (!Number.isInteger(count) || count < 1 || count > MAX_STACK_SIZE) {
+    throw new DataFileError(`"result.count" must be a whole number from 1 to ${MAX_STACK_SIZE}`);
+  }
+  return { id: stripNamespace(itemId), count };
+}
+
+/**
+ * @private
+ */
+function isItemId(value) {
+  return typeof value === 'string' && ITEM_ID_PATTERN.test(stripNamespace(value));
+}
+
+/**
+ * @private
+ */
+function stripNamespace(value) {
+  return value.replace(/^minecraft:/, '');
+}
+
+/**
+ * Item ID of a grid entry: an ID string or an item { id } / { type }
+ * @private
+ */
+function getItemId(item) {
+  if (!item) return null;
+  if (typeof item === 'string') return item;
+  return item.id || item.type || null;
+}
+
+/**
+ * Cut a crafting grid down to the rows and columns that hold items
+ * @private
+ */
+function trimGrid(grid) {
+  const rows = (grid || []).map(row => (row || []).map(item => {
+    if (!item || (typeof item === 'object' && item.count !== undefined && item.count < 1)) {
+      return null;
+    }
+    return getItemId(item);
+  }));
+
+  const filledRows = rows.map((row, y) => row.some(item => item !== null) ? y : -1).filter(y => y >= 0);
+  if (filledRows.length === 0) return [];
+
+  let minX = Infinity;
+  let maxX = -Infinity;
+  for (const row of rows) {
+    row.forEach((item, x) => {
+      if (item !== null) {
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+      }
+    });
+  }
+
+  const trimmed = [];
+  for (let y = filledRows[0]; y <= filledRows[filledRows.length - 1]; y++) {
+    const row = [];
+    for (let x = minX; x <= maxX; x++) {
+      row.push(rows[y][x] !== undefined ? rows[y][x] : null);
+    }
+    trimmed.push(row);
+  }
+  return trimmed;
+}
+
+let defaultLoader = null;
+
+/**
+ * The server's shared loader: built-in recipes from server/data, then every
+ * pack under server/datapacks. Created and loaded on first use.
+ * @returns {RecipeLoader} Shared loader
+ */
+function getDefaultRecipeLoader() {
+  if (!defaultLoader) {
+    defaultLoader = new RecipeLoader({
+      directories: [BUILTIN_DATA_DIRECTORY],
+      datapacksDirectory: DATAPACKS_DIRECTORY
+    });
+    defaultLoader.load();
+  }
+  return defaultLoader;
+}
+
+module.exports = {
+  RecipeLoader,
+  RecipeType,
+  getDefaultRecipeLoader
+};
@@ -1,35 +1,86 @@
 /**
  * RecipeManager - Handles recipe validation and crafting
+ *
+ * Recipes are 3x3 patterns of item ids with alternatives for each id. The
+ * shaped crafting recipes loaded from the datapacks are added in that form,
+ * and added again whenever the loader reloads.
  */
 
+const { RecipeType, getDefaultRecipeLoader } = require('./recipeLoader');
+
 class RecipeManager {
-  constructor() {
+  /**
+   * @param {Object} options - Manager options
+   * @param {RecipeLoader} options.recipeLoader - Loaded datapack recipes (defaults to the shared loader)
+   */
+  constructor(options = {}) {
+    this.recipeLoader = (options && options.recipeLoader) || getDefaultRecipeLoader();
     this.recipes = new Map();
+
+    // Ids of the recipes that came from the loader, replaced on reload
+    this.loadedRecipeIds = new Set();
+    this.loadedRecipes = null;
     this.initializeRecipes();
   }
 
   /**
-   * Initialize default recipes
+   * Initialize default recipes from the loaded shaped crafting recipes
    */
   initializeRecipes() {
-    // Wooden Pickaxe Recipe - accepts both wood_planks and oak_planks
-    this.addRecipe({
-      id: 'wooden_pickaxe',
-      pattern: [
-        ['wood_planks', 'wood_planks', 'wood_planks'],
-        [null, 'stick', null],
-        [null, 'stick', null]
-      ],
-      result: {
-        id: 'wooden_pickaxe',
-        count: 1
-      },
-      alternatives: {
-        'wood_planks': ['oak_planks', 'birch_planks', 'spruce_planks', 'jungle_planks', 'acacia_planks', 'dark_oak_planks']
+    for (const id of this.loadedRecipeIds) {
+      this.recipes.delete(id);
+    }
+    this.loadedRecipeIds.clear();
+
+    for (const recipe of this.recipeLoader.getRecipes(RecipeType.CRAFTING_SHAPED)) {
+      if (recipe.width > 3 || recipe.height > 3) continue;
+
+      this.addRecipe(this.toGridRecipe(recipe));
+      this.loadedRecipeIds.add(recipe.id);
+    }
+    this.loadedRecipes = this.recipeLoader.recipes;
+  }
+
+  /**
+   * Pick up a reload of the loader before a lookup
+   * @private
+   */
+  refreshLoadedRecipes() {
+    if (this.loadedRecipes !== this.recipeLoader.recipes) {
+      this.initializeRecipes();
+    }
+  }
+
+  /**
+   * Turn a loaded shaped recipe into a 3x3 pattern, anchored top-left.
+   * Each key becomes its first item, with the rest as alternatives.
+   * @private
+   * @param {Object} recipe - Loaded recipe
+   * @returns {Object} Recipe definition
+   */
+  toGridRecipe(recipe) {
+    const pattern = [[null, null, null], [null, null, null], [null, null, null]];
+    const alternatives = {};
+
+    for (let y = 0; y < recipe.height; y++) {
+      for (let x = 0; x < recipe.width; x++) {
+        const symbol = recipe.pattern[y][x];
+        if (symbol === ' ') continue;
+
+        const [item, ...others] = this.recipeLoader.getIngredientItems(recipe.key[symbol]);
+        pattern[y][x] = item;
+        if (others.length > 0) {
+          alternatives[item] = others;
+        }
       }
-    });
+    }
 
-    // Add more recipes as needed
+    return {
+      id: recipe.id,
+      pattern,
+      result: { id: recipe.result.id, count: recipe.result.count },
+      alternatives
+    };
   }
 
   /**
@@ -46,6 +97,7 @@ class RecipeManager {
    * @returns {Object|null} Recipe definition or null if not found
    */
   getRecipe(id) {
+    this.refreshLoadedRecipes();
     return this.recipes.get(id) || null;
   }
 
@@ -84,6 +136,7 @@ class RecipeManager {
    * @returns {Object|null} Matching recipe or null if none found
    */
   findMatchingRecipe(grid) {
+    this.refreshLoadedRecipes();
     for (const recipe of this.recipes.values()) {
       if (this.matchesPattern(grid, recipe.pattern, recipe.alternatives)) {
         return recipe;
@@ -3,14 +3,17 @@
  * Part of the Minecraft 1.21 Tricky Trials Update
  */
 const RecipeManager = require('./recipeManager');
+const { RecipeType } = require('./recipeLoader');
 const { v4: uuidv4 } = require('uuid');
 
 class SmithingManager extends RecipeManager {
   /**
    * Create a smithing manager
+   * @param {Object} options - Manager options
+   * @param {RecipeLoader} options.recipeLoader - Loaded datapack recipes (defaults to the shared loader)
    */
-  constructor() {
-    super('smithing');
+  constructor(options = {}) {
+    super(options);
     
     // Recipe categories
     this.categories = {
@@ -73,9 +76,29 @@ class SmithingManager extends RecipeManager {
         return recipe;
       }
     }
-    return null;
+    
+    // Fall back to the smithing recipes loaded from the datapacks
+    if (!base || !addition || !template) {
+      return null;
+    }
+    const loaded = this.recipeLoader.findSmithingRecipe(template, base, addition);
+    if (!loaded) {
+      return null;
+    }
+    return {
+      id: loaded.id,
+      type: loaded.type === RecipeType.SMITHING_TRIM ? this.categories.TRIM : this.types.NETHERITE,
+      category: loaded.type === RecipeType.SMITHING_TRIM ? this.categories.TRIM : this.categories.UPGRADE,
+      result: loaded.result ? { ...loaded.result } : null,
+      source: loaded
+    };
   }
   
+  /**
+   * Smithing recipes aren't 3x3 patterns, so none are copied from the loader
+   */
+  initializeRecipes() {}
+  
   /**
    * Check if ingredients match a recipe
    * @param {Object} recipe - The recipe to check
@@ -4,12 +4,17 @@
 
 const { ArmorTrimMaterials } = require('../items/armorItem');
 const { v4: uuidv4 } = require('uuid');
+const { RecipeType, getDefaultRecipeLoader } = require('./recipeLoader');
 
 class SmithingTable {
   /**
    * Create a new smithing table
+   * @param {Object} options - Table options
+   * @param {RecipeLoader} options.recipeLoader - Loaded datapack recipes (defaults to the shared loader)
    */
-  constructor() {
+  constructor(options = {}) {
+    this.recipeLoader = options.recipeLoader || getDefaultRecipeLoader();
+    
     // Regular smithing recipes (for upgrading gear)
     this.recipes = [];
     
@@ -33,21 +38,22 @@ class SmithingTable {
   }
   
   /**
-   * Register default smithing recipes
+   * Register default smithing recipes from the loaded smithing_transform recipes
    * @private
    */
   registerDefaultRecipes() {
-    // Diamond to Netherite upgrade recipes
-    const itemTypes = ['helmet', 'chestplate', 'leggings', 'boots', 'sword', 'pickaxe', 'axe', 'shovel', 'hoe'];
-    
-    for (const itemType of itemTypes) {
+    for (const recipe of this.recipeLoader.getRecipes(RecipeType.SMITHING_TRANSFORM)) {
+      const [templateType] = this.recipeLoader.getIngredientItems(recipe.template);
+      const [baseType] = this.recipeLoader.getIngredientItems(recipe.base);
+      const [additionType] = this.recipeLoader.getIngredientItems(recipe.addition);
+      
       this.registerRecipe({
-        id: `diamond_to_netherite_${itemType}`,
-        base: { type: `diamond_${itemType}` },
-        addition: { type: 'netherite_ingot' },
-        result: { type: `netherite_${itemType}`, id: `netherite_${itemType}` },
+        id: recipe.id,
+        base: { type: baseType },
+        addition: { type: additionType },
+        result: { type: recipe.result.id, id: recipe.result.id },
         requiresTemplate: true, // New flag for 1.20 update
-        templateType: 'netherite_upgrade_template'
+        templateType
       });
     }
   }
@@ -1,7 +1,7 @@
 const Dimension = require('./dimension');
 const { Vector3 } = require('../math/vector3');
 const RoomGenerator = require('../generators/roomGenerator');
-const LootTable = require('../loot/lootTable');
+const { LootTable } = require('../loot/lootTable');
 
 class VaultDimension extends Dimension {
   constructor() {
@@ -31,8 +31,8 @@ class VaultDimension extends Dimension {
     return room;
   }
 
-  generateLoot(level) {
-    return this.lootTable.generateLoot(level);
+  generateLoot(level, context = {}) {
+    return this.lootTable.generateLoot(level, context);
   }
 
   onPlayerEnter(player) {
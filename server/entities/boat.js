@@ -84,9 +84,8 @@ class Boat extends Entity {
     const block = this.world.getBlock(x, y, z);
     const blockBelow = this.world.getBlock(x, y - 1, z);
     
-    // Check if boat is in water
-    this.isInWater = (block && block.material === 'water') || 
-                     (blockBelow && blockBelow.material === 'water');
+    // Check if boat is in water, including flowing and waterlogged water
+    this.isInWater = this.isWaterBlock(block) || this.isWaterBlock(blockBelow);
     
     // Find water level
     if (this.isInWater) {
@@ -95,6 +94,17 @@ class Boat extends Entity {
     }
   }
   
+  /**
+   * Check whether a block holds water
+   * @param {Object} block - Block to check
+   * @returns {boolean} Whether the block is water
+   */
+  isWaterBlock(block) {
+    if (!block) return false;
+    return block.material === 'water' || block.type === 'water' || block.type === 'flowing_water' ||
+      block.waterlogged === true;
+  }
+
   /**
    * Override the isInWater state for testing
    * @param {boolean} value - New isInWater value
@@ -31,8 +31,8 @@ class EndCrystal extends EventEmitter {
     this.health = 1; // Only 1 health, one-hit kill
     this.invulnerable = false;
     this.lightLevel = 15; // Emits light
-    this.boundingBox = this.calculateBoundingBox();
     this.size = { width: 2, height: 2, depth: 2 };
+    this.boundingBox = this.calculateBoundingBox();
     
     // Visual properties
     this.isBeaming = true; // Whether the crystal is beaming to target
@@ -124,7 +124,8 @@ class EndCrystal extends EventEmitter {
           position: this.position,
           power: 6, // Fairly powerful explosion
           fire: false,
-          source: this
+          source: this,
+          sourceType: 'end_crystal'
         });
       }
     }
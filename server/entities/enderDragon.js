@@ -39,6 +39,7 @@ class EnderDragon extends EventEmitter {
     this.targetPosition = null;
     this.pathPoints = [];
     this.nearestCrystal = null;
+    this.navigator = null; // FlyingNavigator steering around the pillars, attached by DragonFight
     
     // State flags
     this.isFiringDragonBreath = false;
@@ -386,6 +387,11 @@ class EnderDragon extends EventEmitter {
    * @param {Number} deltaTime - Time since last update
    */
   moveToward(targetPos, speed, deltaTime) {
+    // Steer around terrain when a navigator is attached; fly straight when no path is found
+    if (this.navigator) {
+      targetPos = this.navigator.getNextWaypoint(targetPos, deltaTime * 20) || targetPos;
+    }
+    
     // Calculate direction vector
     const dx = targetPos.x - this.position.x;
     const dy = targetPos.y - this.position.y;
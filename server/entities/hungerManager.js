@@ -0,0 +1,343 @@
+/**
+ * HungerManager - Drains and refills player hunger and drives natural regeneration
+ *
+ * Actions add exhaustion; every 4 points of exhaustion cost one point of
+ * saturation, or one point of hunger once saturation is gone. A full hunger
+ * bar heals the player, an empty one starves them depending on difficulty.
+ */
+
+const EventEmitter = require('events');
+const { getFoodProperties } = require('../items/foodItem');
+
+const MAX_HUNGER = 20;
+const MAX_EXHAUSTION = 40;
+
+// Exhaustion added per action
+const Exhaustion = Object.freeze({
+  SPRINT: 0.1, // per block
+  SWIM: 0.01, // per block
+  JUMP: 0.05,
+  SPRINT_JUMP: 0.2,
+  BLOCK_BREAK: 0.005,
+  ATTACK: 0.1,
+  DAMAGE: 0.1,
+  REGENERATION: 6 // per point healed
+});
+
+// Hunger needed to heal at all, and to heal quickly from saturation
+const REGEN_HUNGER = 18;
+// Ticks between heals from saturation and from the hunger bar
+const SATURATED_REGEN_TICKS = 10;
+const REGEN_TICKS = 80;
+const STARVATION_TICKS = 80;
+const PEACEFUL_REGEN_TICKS = 20;
+
+class HungerManager extends EventEmitter {
+  /**
+   * Create a hunger manager
+   * @param {Object} options - Options
+   * @param {Object} [options.statusEffectsManager] - Applies food effects
+   * @param {Object} [options.settings] - Object with difficulty and naturalRegeneration, read every tick
+   */
+  constructor(options = {}) {
+    super();
+    this.statusEffectsManager = options.statusEffectsManager || null;
+    this.settings = options.settings || { difficulty: 'normal', naturalRegeneration: true };
+
+    // Regeneration and starvation timers by player id
+    this.timers = new Map();
+
+    // Food each player started eating, by player id: { item, startTick }
+    this.eating = new Map();
+    this.currentTick = 0;
+  }
+
+  /**
+   * Add exhaustion to a player
+   * @param {Object} player - Player
+   * @param {number} amount - Exhaustion points
+   */
+  addExhaustion(player, amount) {
+    if (!player || !(amount > 0) || !this.usesHunger(player)) return;
+    this.ensureFields(player);
+    player.exhaustion = Math.min(MAX_EXHAUSTION, player.exhaustion + amount);
+  }
+
+  /**
+   * Add exhaustion for a validated move
+   * @param {Object} player - Player
+   * @param {Object} move - { distance (horizontal blocks), sprinting, swimming, jumped }
+   */
+  recordMove(player, move = {}) {
+    const distance = move.distance || 0;
+    if (move.swimming) {
+      this.addExhaustion(player, Exhaustion.SWIM * distance);
+    } else if (move.sprinting) {
+      this.addExhaustion(player, Exhaustion.SPRINT * distance);
+    }
+    if (move.jumped) {
+      this.addExhaustion(player, move.sprinting ? Exhaustion.SPRINT_JUMP : Exhaustion.JUMP);
+    }
+  }
+
+  /**
+   * Check whether a player can eat an item right now
+   * @param {Object} player - Player
+   * @param {Object|string} item - Item, stack or item id
+   * @returns {boolean} Whether the item is food the player can eat
+   */
+  canEat(player, item) {
+    const food = getFoodProperties(item);
+    if (!player || !food) return false;
+    this.ensureFields(player);
+    return food.alwaysEdible || player.hunger < MAX_HUNGER || player.gameMode === 'creative';
+  }
+
+  /**
+   * Start eating an item; finishEating accepts it once its eat time has passed
+   * @param {Object} player - Player
+   * @param {Object|string} item - Item, stack or item id
+   * @returns {Object} { success, eatTicks } or { success: false, reason }
+   */
+  startEating(player, item) {
+    const food = getFoodProperties(item);
+    if (!food) return { success: false, reason: 'not_food' };
+    if (!this.canEat(player, item)) return { success: false, reason: 'not_hungry' };
+
+    this.eating.set(player.id, { item: food.id, startTick: this.currentTick });
+    return { success: true, eatTicks: food.eatTicks };
+  }
+
+  /**
+   * Finish eating the item started with startEating, rejecting it when the
+   * food's eat time has not passed yet. The caller removes the item from the inventory.
+   * @param {Object} player - Player
+   * @param {Object|string} item - Item, stack or item id
+   * @returns {Object} Result of eat, or { success: false, reason }
+   */
+  finishEating(player, item) {
+    const food = getFoodProperties(item);
+    if (!food) return { success: false, reason: 'not_food' };
+
+    const eating = this.eating.get(player.id);
+    if (!eating || eating.item !== food.id) return { success: false, reason: 'not_eating' };
+    if (this.currentTick - eating.startTick < food.eatTicks) return { success: false, reason: 'too_fast' };
+
+    this.eating.delete(player.id);
+    return this.eat(player, item);
+  }
+
+  /**
+   * Feed an item to a player. The caller removes the item from the inventory.
+   * @param {Object} player - Player
+   * @param {Object|string} item - Item, stack or item id
+   * @returns {Object} { success, hunger, saturation, effects, remainder } or { success: false, reason }
+   */
+  eat(player, item) {
+    const food = getFoodProperties(item);
+    if (!food) return { success: false, reason: 'not_food' };
+    if (!this.canEat(player, item)) return { success: false, reason: 'not_hungry' };
+
+    player.hunger = Math.min(MAX_HUNGER, player.hunger + food.nutrition);
+    player.saturation = Math.min(player.hunger, player.saturation + food.saturation);
+
+    const applied = [];
+    if (food.curesPoison && this.statusEffectsManager) {
+      this.statusEffectsManager.removeEffect(player.id, 'POISON');
+    }
+    for (const effect of food.effects) {
+      if (effect.chance < 1 && Math.random() >= effect.chance) continue;
+      if (this.statusEffectsManager &&
+          this.statusEffectsManager.addEffect(player.id, effect.effect, {
+            level: effect.level,
+            duration: effect.duration,
+            source: `food:${food.id}`
+          })) {
+        applied.push(effect.effect);
+      }
+    }
+
+    this.emit('foodEaten', { player, item: food.id, effects: applied });
+    this.emitUpdate(player);
+
+    return {
+      success: true,
+      hunger: player.hunger,
+      saturation: player.saturation,
+      effects: applied,
+      remainder: food.remainder
+    };
+  }
+
+  /**
+   * Run one game tick for every player
+   * @param {Map|Object} players - Players by id
+   */
+  tick(players) {
+    this.currentTick++;
+    const list = players instanceof Map ? players.values() : Object.values(players || {});
+    for (const player of list) {
+      this.tickPlayer(player);
+    }
+  }
+
+  /**
+   * Run one game tick for a player
+   * @param {Object} player - Player
+   */
+  tickPlayer(player) {
+    if (!player || player.health <= 0 || !this.usesHunger(player)) return;
+    this.ensureFields(player);
+
+    const before = { hunger: player.hunger, saturation: player.saturation };
+    const difficulty = this.settings.difficulty || 'normal';
+    const timer = this.getTimer(player.id);
+
+    if (player.exhaustion >= 4) {
+      player.exhaustion -= 4;
+      if (player.saturation > 0) {
+        player.saturation = Math.max(0, player.saturation - 1);
+      } else if (difficulty !== 'peaceful') {
+        player.hunger = Math.max(0, player.hunger - 1);
+      }
+    }
+
+    const regenerates = this.settings.naturalRegeneration !== false;
+    const maxHealth = getMaxHealth(player);
+    const injured = player.health < maxHealth;
+
+    // Peaceful refills the hunger bar and heals regardless of food
+    if (difficulty === 'peaceful') {
+      if (player.hunger < MAX_HUNGER && timer.ticks % 10 === 0) {
+        player.hunger += 1;
+      }
+      if (regenerates && injured && timer.ticks % PEACEFUL_REGEN_TICKS === 0) {
+        this.heal(player, 1);
+      }
+    }
+
+    if (regenerates && player.saturation > 0 && injured && player.hunger >= MAX_HUNGER) {
+      timer.regen++;
+      if (timer.regen >= SATURATED_REGEN_TICKS) {
+        const amount = Math.min(player.saturation, 6) / 6;
+        this.heal(player, amount);
+        this.addExhaustion(player, amount * Exhaustion.REGENERATION);
+        timer.regen = 0;
+      }
+    } else if (regenerates && player.hunger >= REGEN_HUNGER && injured) {
+      timer.regen++;
+      if (timer.regen >= REGEN_TICKS) {
+        this.heal(player, 1);
+        this.addExhaustion(player, Exhaustion.REGENERATION);
+        timer.regen = 0;
+      }
+    } else if (player.hunger <= 0) {
+      timer.regen++;
+      if (timer.regen >= STARVATION_TICKS) {
+        if (canStarve(player, difficulty, maxHealth)) {
+          this.emit('starvation', { player, damage: 1 });
+        }
+        timer.regen = 0;
+      }
+    } else {
+      timer.regen = 0;
+    }
+
+    timer.ticks++;
+
+    if (player.hunger !== before.hunger || player.saturation !== before.saturation) {
+      this.emitUpdate(player);
+    }
+  }
+
+  /**
+   * Forget a player's timers
+   * @param {string} playerId - Player ID
+   */
+  removePlayer(playerId) {
+    this.timers.delete(playerId);
+    this.eating.delete(playerId);
+  }
+
+  /**
+   * Whether hunger applies to a player
+   * @param {Object} player - Player
+   * @returns {boolean} False in creative and spectator mode
+   */
+  usesHunger(player) {
+    return player.gameMode !== 'creative' && player.gameMode !== 'spectator';
+  }
+
+  /**
+   * Give players created before hunger existed the default values
+   * @private
+   */
+  ensureFields(player) {
+    if (typeof player.hunger !== 'number') player.hunger = MAX_HUNGER;
+    if (typeof player.saturation !== 'number') player.saturation = 5;
+    if (typeof player.exhaustion !== 'number') player.exhaustion = 0;
+  }
+
+  /**
+   * @private
+   */
+  getTimer(playerId) {
+    if (!this.timers.has(playerId)) {
+      this.timers.set(playerId, { regen: 0, ticks: 0 });
+    }
+    return this.timers.get(playerId);
+  }
+
+  /**
+   * @private
+   */
+  heal(player, amount) {
+    const before = player.health;
+    player.health = Math.min(getMaxHealth(player), player.health + amount);
+    if (player.health !== before) {
+      this.emit('regenerate', { player, amount: player.health - before });
+    }
+  }
+
+  /**
+   * @private
+   */
+  emitUpdate(player) {
+    this.emit('hungerChanged', {
+      player,
+      hunger: player.hunger,
+      saturation: player.saturation
+    });
+  }
+}
+
+/**
+ * Get a player's max health, which is 100 on the runtime server and 20 on Player entities
+ * @private
+ */
+function getMaxHealth(player) {
+  return player.maxHealth || 20;
+}
+
+/**
+ * Starvation stops at half health on easy and at one health on normal
+ * @private
+ */
+function canStarve(player, difficulty, maxHealth) {
+  switch (difficulty) {
+    case 'peaceful':
+      return false;
+    case 'easy':
+      return player.health > maxHealth / 2;
+    case 'hard':
+      return true;
+    default:
+      return player.health > 1;
+  }
+}
+
+module.exports = {
+  HungerManager,
+  Exhaustion,
+  MAX_HUNGER
+};
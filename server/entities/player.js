@@ -12,6 +12,8 @@ class Player extends Entity {
     this.maxHealth = 20;
     this.hunger = 20;
     this.maxHunger = 20;
+    this.saturation = 5;
+    this.exhaustion = 0;
     this.experience = 0;
     this.level = 0;
     this.gameMode = 'survival';
@@ -51,6 +53,19 @@ class Player extends Entity {
     this.hunger = Math.min(Math.max(0, hunger), this.maxHunger);
   }
 
+  getSaturation() {
+    return this.saturation;
+  }
+
+  setSaturation(saturation) {
+    // Saturation never exceeds the hunger level
+    this.saturation = Math.min(Math.max(0, saturation), this.hunger);
+  }
+
+  getExhaustion() {
+    return this.exhaustion;
+  }
+
   getExperience() {
     return this.experience;
   }
@@ -2,6 +2,17 @@ const EventEmitter = require('events');
 const { World } = require('../world/world');
 const { Player } = require('../entities/player');
 const { Inventory } = require('../inventory/inventory');
+const { HungerManager } = require('../entities/hungerManager');
+const { DifficultyManager } = require('../systems/difficultyManager');
+const { GameRules } = require('../systems/gameRules');
+
+// Events the per-rule setters have always emitted, by game rule
+const RULE_EVENTS = {
+  pvp: 'pvpUpdate',
+  keepInventory: 'keepInventoryUpdate',
+  naturalRegeneration: 'naturalRegenerationUpdate',
+  doMobSpawning: 'mobSpawningUpdate'
+};
 
 class Game extends EventEmitter {
   constructor() {
@@ -9,15 +20,27 @@ class Game extends EventEmitter {
     this.world = new World();
     this.players = new Map();
     this.gameMode = 'survival';
-    this.difficulty = 'normal';
+    this.difficultyManager = new DifficultyManager();
+    this.difficultyManager.on('difficultyChanged', ({ difficulty }) => {
+      this.emit('difficultyUpdate', difficulty);
+    });
     this.dayTime = 0;
     this.weather = 'clear';
-    this.pvpEnabled = true;
-    this.keepInventory = false;
-    this.naturalRegeneration = true;
-    this.mobSpawning = true;
+    this.gameRules = new GameRules();
+    this.gameRules.on('ruleChanged', ({ rule, value }) => {
+      this.emit('gameRuleUpdate', { rule, value });
+      if (RULE_EVENTS[rule]) {
+        this.emit(RULE_EVENTS[rule], value);
+      }
+    });
     this.commandBlocks = false;
     this.cheats = false;
+
+    // Reads difficulty and naturalRegeneration from the game each tick
+    this.hungerManager = new HungerManager({ settings: this });
+    this.hungerManager.on('starvation', ({ player, damage }) => {
+      player.setHealth(player.getHealth() - damage);
+    });
   }
 
   initialize() {
@@ -45,12 +68,18 @@ class Game extends EventEmitter {
     for (const player of this.players.values()) {
       player.update();
     }
+    this.hungerManager.tick(this.players);
+    this.difficultyManager.tick(this.players);
     
     // Update day/night cycle
-    this.updateDayNightCycle();
+    if (this.gameRules.getBoolean('doDaylightCycle')) {
+      this.updateDayNightCycle();
+    }
     
     // Update weather
-    this.updateWeather();
+    if (this.gameRules.getBoolean('doWeatherCycle')) {
+      this.updateWeather();
+    }
     
     // Emit tick event
     this.emit('tick');
@@ -79,6 +108,7 @@ class Game extends EventEmitter {
     const player = this.players.get(playerId);
     if (player) {
       this.players.delete(playerId);
+      this.hungerManager.removePlayer(playerId);
       this.emit('playerLeave', player);
     }
   }
@@ -95,12 +125,16 @@ class Game extends EventEmitter {
     }
   }
 
+  get difficulty() {
+    return this.difficultyManager.getDifficulty();
+  }
+
+  set difficulty(difficulty) {
+    this.difficultyManager.setDifficulty(difficulty);
+  }
+
   setDifficulty(difficulty) {
-    const validDifficulties = ['peaceful', 'easy', 'normal', 'hard'];
-    if (validDifficulties.includes(difficulty)) {
-      this.difficulty = difficulty;
-      this.emit('difficultyUpdate', difficulty);
-    }
+    return this.difficultyManager.setDifficulty(difficulty);
   }
 
   setWeather(weather) {
@@ -118,24 +152,42 @@ class Game extends EventEmitter {
     }
   }
 
+  // The boolean settings below are game rules kept under their old names
+
+  get pvpEnabled() {
+    return this.gameRules.getBoolean('pvp');
+  }
+
+  get keepInventory() {
+    return this.gameRules.getBoolean('keepInventory');
+  }
+
+  get naturalRegeneration() {
+    return this.gameRules.getBoolean('naturalRegeneration');
+  }
+
+  get mobSpawning() {
+    return this.gameRules.getBoolean('doMobSpawning');
+  }
+
   setPvP(enabled) {
-    this.pvpEnabled = enabled;
-    this.emit('pvpUpdate', enabled);
+    this.gameRules.set('pvp', enabled);
   }
 
   setKeepInventory(enabled) {
-    this.keepInventory = enabled;
-    this.emit('keepInventoryUpdate', enabled);
+    this.gameRules.set('keepInventory', enabled);
   }
 
   setNaturalRegeneration(enabled) {
-    this.naturalRegeneration = enabled;
-    this.emit('naturalRegenerationUpdate', enabled);
+    this.gameRules.set('naturalRegeneration', enabled);
   }
 
   setMobSpawning(enabled) {
-    this.mobSpawning = enabled;
-    this.emit('mobSpawningUpdate', enabled);
+    this.gameRules.set('doMobSpawning', enabled);
+  }
+
+  setGameRule(rule, value) {
+    return this.gameRules.set(rule, value);
   }
 
   setCommandBlocks(enabled) {
@@ -156,13 +208,10 @@ class Game extends EventEmitter {
         data: player.serialize()
       })),
       gameMode: this.gameMode,
-      difficulty: this.difficulty,
+      difficulty: this.difficultyManager.serialize(),
       dayTime: this.dayTime,
       weather: this.weather,
-      pvpEnabled: this.pvpEnabled,
-      keepInventory: this.keepInventory,
-      naturalRegeneration: this.naturalRegeneration,
-      mobSpawning: this.mobSpawning,
+      gameRules: this.gameRules.serialize(),
       commandBlocks: this.commandBlocks,
       cheats: this.cheats
     };
@@ -184,13 +233,20 @@ class Game extends EventEmitter {
     
     // Load game settings
     this.gameMode = gameState.gameMode;
-    this.difficulty = gameState.difficulty;
+    if (typeof gameState.difficulty === 'object') {
+      this.difficultyManager.deserialize(gameState.difficulty);
+    } else {
+      this.difficulty = gameState.difficulty;
+    }
     this.dayTime = gameState.dayTime;
     this.weather = gameState.weather;
-    this.pvpEnabled = gameState.pvpEnabled;
-    this.keepInventory = gameState.keepInventory;
-    this.naturalRegeneration = gameState.naturalRegeneration;
-    this.mobSpawning = gameState.mobSpawning;
+    // Saves from before the rule registry stored four of the rules flat
+    this.gameRules.deserialize(gameState.gameRules || {
+      pvp: gameState.pvpEnabled,
+      keepInventory: gameState.keepInventory,
+      naturalRegeneration: gameState.naturalRegeneration,
+      doMobSpawning: gameState.mobSpawning
+    });
     this.commandBlocks = gameState.commandBlocks;
     this.cheats = gameState.cheats;
     
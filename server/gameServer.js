@@ -7,6 +7,7 @@ const CraftingManager = require('./crafting/craftingManager');
 const MessageManager = require('./message/messageManager');
 const TrailblazerManager = require('./trailblazer/trailblazerManager');
 const AnimalManager = require('./animal/animalManager');
+const MapManager = require('./systems/mapManager');
 
 class GameServer {
   constructor(config) {
@@ -19,6 +20,7 @@ class GameServer {
     this.messageManager = new MessageManager();
     this.trailblazerManager = new TrailblazerManager();
     this.animalManager = new AnimalManager();
+    this.mapManager = new MapManager();
   }
   
   async initialize() {
@@ -31,7 +33,8 @@ class GameServer {
       craftingManager: this.craftingManager,
       messageManager: this.messageManager,
       trailblazerManager: this.trailblazerManager,
-      animalManager: this.animalManager
+      animalManager: this.animalManager,
+      mapManager: this.mapManager
     };
     
     // Initialize managers with context
@@ -4,6 +4,10 @@
  */
 
 const MapItem = require('./mapItem');
+const MapRenderer = require('../rendering/mapRenderer');
+
+// Draws biome previews into the shared map data of bound maps
+const renderer = new MapRenderer();
 
 class BiomeMapItem extends MapItem {
   /**
@@ -66,6 +70,18 @@ class BiomeMapItem extends MapItem {
     return true;
   }
   
+  /**
+   * Fill the map with biome colors, the target biome standing out
+   * @param {Object} world - World exposing getBiomeAt(x, z)
+   * @returns {boolean} Whether there was map data to draw into
+   */
+  renderPreview(world) {
+    if (!this.mapData) return false;
+    
+    renderer.renderBiomePreview(this.mapData, world, { highlightBiome: this.targetBiome });
+    return true;
+  }
+  
   /**
    * Use the biome map - shows biome information
    * @param {Object} player - Player using the item
@@ -89,7 +105,7 @@ class BiomeMapItem extends MapItem {
       // In a real implementation, this would show actual biome data
       if (context && context.world && player.position) {
         const currentBiome = context.world.getBiomeAt ? 
-          context.world.getBiomeAt(player.position) : 'unknown';
+          getBiomeName(context.world.getBiomeAt(player.position.x, player.position.z)) : 'unknown';
           
         if (currentBiome) {
           player.sendMessage(`You are currently in: ${currentBiome.charAt(0).toUpperCase() + currentBiome.slice(1)}`);
@@ -123,7 +139,7 @@ class BiomeMapItem extends MapItem {
     // If we have a player and world, we could add current biome info
     if (player && player.position && player.world) {
       const currentBiome = player.world.getBiomeAt ? 
-        player.world.getBiomeAt(player.position) : 'unknown';
+        getBiomeName(player.world.getBiomeAt(player.position.x, player.position.z)) : 'unknown';
         
       biomeData.currentBiome = currentBiome;
     }
@@ -172,6 +188,7 @@ class BiomeMapItem extends MapItem {
       showPlayers: data.showPlayers,
       locationMarkers: data.locationMarkers,
       exploredAreas: data.exploredAreas,
+      mapId: data.mapId,
       mapColor: data.mapColor,
       borderColor: data.borderColor,
       targetBiome: data.targetBiome,
@@ -183,4 +200,12 @@ class BiomeMapItem extends MapItem {
   }
 }
 
+/**
+ * Worlds return a biome id or a biome object
+ * @private
+ */
+function getBiomeName(biome) {
+  return biome && typeof biome === 'object' ? biome.id : biome;
+}
+
 module.exports = BiomeMapItem; 
\ No newline at end of file
@@ -157,23 +157,22 @@ class ExplorerCompassItem extends CompassItem {
    * @param {Object} world - World reference
    */
   findStructureTarget(player, world) {
-    // In a real implementation, this would query the world's structure data
-    // For now, simulate finding a structure
-    
     // If we have a preferred structure, use that
     const structureType = this.preferStructure || this.getRandomStructureType();
     
-    // Random angle
-    const angle = Math.random() * Math.PI * 2;
+    const structure = world.findNearestStructure ?
+      world.findNearestStructure(structureType, player.position, this.searchRadius) : null;
     
-    // Random distance between 500 and search radius
-    const distance = 500 + Math.random() * (this.searchRadius - 500);
+    // Nothing of that type within range; try again after more travel
+    if (!structure) {
+      this.targetLocation = null;
+      return;
+    }
     
-    // Calculate position
     this.targetLocation = {
-      x: Math.floor(player.position.x + Math.cos(angle) * distance),
-      y: 64, // Approximate surface level
-      z: Math.floor(player.position.z + Math.sin(angle) * distance),
+      x: Math.floor(structure.position.x),
+      y: Math.floor(structure.position.y),
+      z: Math.floor(structure.position.z),
       type: 'structure',
       structureType
     };
@@ -198,8 +197,8 @@ class ExplorerCompassItem extends CompassItem {
    */
   getRandomStructureType() {
     const structures = [
-      'village', 'fortress', 'stronghold', 'monument',
-      'mansion', 'pyramid', 'temple', 'shipwreck'
+      'village', 'stronghold', 'ocean_monument', 'desert_pyramid',
+      'witch_hut', 'ocean_ruins', 'ancient_city'
     ];
     
     return structures[Math.floor(Math.random() * structures.length)];
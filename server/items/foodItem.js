@@ -0,0 +1,254 @@
+/**
+ * FoodItem - Items players eat to refill hunger and saturation
+ *
+ * Nutrition refills the hunger bar (20 points) and saturation is the hidden
+ * reserve drained before hunger; both follow the vanilla values. Some foods
+ * also give status effects, each with a chance to apply.
+ */
+
+const Item = require('./item');
+
+// Ticks it takes to eat most foods
+const EAT_TICKS = 32;
+
+/**
+ * Effect of a suspicious stew by the flower it was made with; level 1,
+ * duration in ticks
+ */
+const STEW_FLOWER_EFFECTS = Object.freeze({
+  allium: { effect: 'FIRE_RESISTANCE', duration: 80 },
+  azure_bluet: { effect: 'BLINDNESS', duration: 160 },
+  blue_orchid: { effect: 'SATURATION', duration: 7 },
+  cornflower: { effect: 'JUMP_BOOST', duration: 120 },
+  dandelion: { effect: 'SATURATION', duration: 7 },
+  lily_of_the_valley: { effect: 'POISON', duration: 240 },
+  orange_tulip: { effect: 'WEAKNESS', duration: 180 },
+  oxeye_daisy: { effect: 'REGENERATION', duration: 160 },
+  pink_tulip: { effect: 'WEAKNESS', duration: 180 },
+  poppy: { effect: 'NIGHT_VISION', duration: 100 },
+  red_tulip: { effect: 'WEAKNESS', duration: 180 },
+  torchflower: { effect: 'NIGHT_VISION', duration: 100 },
+  white_tulip: { effect: 'WEAKNESS', duration: 180 },
+  wither_rose: { effect: 'WITHER', duration: 160 }
+});
+
+/**
+ * Food values by item id
+ * nutrition: hunger points restored
+ * saturation: saturation points restored, never above the new hunger level
+ * effects: [{ effect, level, duration (ticks), chance }]
+ * alwaysEdible: can be eaten with a full hunger bar
+ * remainder: item left after eating
+ * eatTicks: eating time when not EAT_TICKS
+ */
+const FOOD_PROPERTIES = {
+  apple: { nutrition: 4, saturation: 2.4 },
+  baked_potato: { nutrition: 5, saturation: 6 },
+  beef: { nutrition: 3, saturation: 1.8 },
+  beetroot: { nutrition: 1, saturation: 1.2 },
+  beetroot_soup: { nutrition: 6, saturation: 7.2, remainder: 'bowl' },
+  bread: { nutrition: 5, saturation: 6 },
+  carrot: { nutrition: 3, saturation: 3.6 },
+  chicken: { nutrition: 2, saturation: 1.2, effects: [{ effect: 'HUNGER', level: 1, duration: 600, chance: 0.3 }] },
+  chorus_fruit: { nutrition: 4, saturation: 2.4, alwaysEdible: true },
+  cod: { nutrition: 2, saturation: 0.4 },
+  cooked_beef: { nutrition: 8, saturation: 12.8 },
+  cooked_chicken: { nutrition: 6, saturation: 7.2 },
+  cooked_cod: { nutrition: 5, saturation: 6 },
+  cooked_mutton: { nutrition: 6, saturation: 9.6 },
+  cooked_porkchop: { nutrition: 8, saturation: 12.8 },
+  cooked_rabbit: { nutrition: 5, saturation: 6 },
+  cooked_salmon: { nutrition: 6, saturation: 9.6 },
+  cookie: { nutrition: 2, saturation: 0.4 },
+  dried_kelp: { nutrition: 1, saturation: 0.6, eatTicks: 16 },
+  enchanted_golden_apple: {
+    nutrition: 4,
+    saturation: 9.6,
+    alwaysEdible: true,
+    effects: [
+      { effect: 'REGENERATION', level: 2, duration: 400, chance: 1 },
+      { effect: 'ABSORPTION', level: 4, duration: 2400, chance: 1 },
+      { effect: 'RESISTANCE', level: 1, duration: 6000, chance: 1 },
+      { effect: 'FIRE_RESISTANCE', level: 1, duration: 6000, chance: 1 }
+    ]
+  },
+  glow_berries: { nutrition: 2, saturation: 0.4 },
+  golden_apple: {
+    nutrition: 4,
+    saturation: 9.6,
+    alwaysEdible: true,
+    effects: [
+      { effect: 'REGENERATION', level: 2, duration: 100, chance: 1 },
+      { effect: 'ABSORPTION', level: 1, duration: 2400, chance: 1 }
+    ]
+  },
+  golden_carrot: { nutrition: 6, saturation: 14.4 },
+  honey_bottle: { nutrition: 6, saturation: 1.2, remainder: 'glass_bottle', eatTicks: 40, curesPoison: true },
+  melon_slice: { nutrition: 2, saturation: 1.2 },
+  mushroom_stew: { nutrition: 6, saturation: 7.2, remainder: 'bowl' },
+  mutton: { nutrition: 2, saturation: 1.2 },
+  poisonous_potato: { nutrition: 2, saturation: 1.2, effects: [{ effect: 'POISON', level: 1, duration: 100, chance: 0.6 }] },
+  porkchop: { nutrition: 3, saturation: 1.8 },
+  potato: { nutrition: 1, saturation: 0.6 },
+  pufferfish: {
+    nutrition: 1,
+    saturation: 0.2,
+    effects: [
+      { effect: 'POISON', level: 2, duration: 1200, chance: 1 },
+      { effect: 'HUNGER', level: 3, duration: 300, chance: 1 },
+      { effect: 'NAUSEA', level: 1, duration: 300, chance: 1 }
+    ]
+  },
+  pumpkin_pie: { nutrition: 8, saturation: 4.8 },
+  rabbit: { nutrition: 3, saturation: 1.8 },
+  rabbit_stew: { nutrition: 10, saturation: 12, remainder: 'bowl' },
+  rotten_flesh: { nutrition: 4, saturation: 0.8, effects: [{ effect: 'HUNGER', level: 1, duration: 600, chance: 0.8 }] },
+  salmon: { nutrition: 2, saturation: 0.4 },
+  spider_eye: { nutrition: 2, saturation: 3.2, effects: [{ effect: 'POISON', level: 1, duration: 100, chance: 1 }] },
+  // Its effect comes from the flower it was made with, see getStewEffects
+  suspicious_stew: { nutrition: 6, saturation: 7.2, remainder: 'bowl', alwaysEdible: true },
+  sweet_berries: { nutrition: 2, saturation: 0.4 },
+  tropical_fish: { nutrition: 1, saturation: 0.2 }
+};
+
+class FoodItem extends Item {
+  /**
+   * Create a new food item
+   * @param {Object} options - Item options; food values default to FOOD_PROPERTIES[id]
+   */
+  constructor(options = {}) {
+    const food = FOOD_PROPERTIES[options.id] || {};
+    super({
+      stackable: !food.remainder || food.remainder === 'glass_bottle',
+      maxStackSize: food.remainder === 'bowl' ? 1 : (food.remainder ? 16 : 64),
+      type: 'food',
+      subtype: 'edible',
+      category: 'food',
+      ...options
+    });
+
+    this.nutrition = options.nutrition !== undefined ? options.nutrition : food.nutrition || 0;
+    this.saturation = options.saturation !== undefined ? options.saturation : food.saturation || 0;
+    this.effects = options.effects || food.effects || [];
+    this.alwaysEdible = options.alwaysEdible !== undefined ? options.alwaysEdible : Boolean(food.alwaysEdible);
+    this.remainder = options.remainder || food.remainder || null;
+    this.eatTicks = options.eatTicks || food.eatTicks || EAT_TICKS;
+  }
+
+  /**
+   * Eat the item
+   * @param {Player} player - The player eating
+   * @param {Object} context - Use context with the hungerManager that feeds the player
+   * @returns {boolean} Whether the player ate it
+   */
+  use(player, context = {}) {
+    if (!player || !context.hungerManager) return false;
+
+    const result = context.hungerManager.eat(player, this);
+    if (result.success) {
+      this.emit('sound', {
+        type: 'entity.player.eat',
+        position: player.position,
+        volume: 1.0,
+        pitch: 1.0
+      });
+    }
+    return result.success;
+  }
+
+  /**
+   * Convert food item to JSON representation for serialization
+   * @returns {Object} JSON representation
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      nutrition: this.nutrition,
+      saturation: this.saturation
+    };
+  }
+
+  /**
+   * Create food item from JSON data
+   * @param {Object} data - JSON data
+   * @returns {FoodItem} Item instance
+   */
+  static fromJSON(data) {
+    return new FoodItem({
+      id: data.id,
+      name: data.name,
+      nutrition: data.nutrition,
+      saturation: data.saturation,
+      data: data.data
+    });
+  }
+}
+
+/**
+ * Get the food values of an item
+ * @param {Object|string} item - Item, stack or item id
+ * @returns {Object|null} { id, nutrition, saturation, effects, alwaysEdible, remainder, eatTicks, curesPoison }, null if inedible
+ */
+function getFoodProperties(item) {
+  const id = typeof item === 'string' ? item : item && (item.id || item.item || item.type);
+  const food = FOOD_PROPERTIES[id];
+  if (!food && !(item instanceof FoodItem)) return null;
+
+  const source = item instanceof FoodItem ? item : food;
+  return {
+    id,
+    nutrition: source.nutrition,
+    saturation: source.saturation,
+    effects: [...(source.effects || []), ...getStewEffects(item)],
+    alwaysEdible: Boolean(source.alwaysEdible),
+    remainder: source.remainder || null,
+    eatTicks: source.eatTicks || EAT_TICKS,
+    curesPoison: Boolean(food && food.curesPoison)
+  };
+}
+
+/**
+ * Effect of a suspicious stew, looked up from the flower it was made with:
+ * { id: "suspicious_stew", flower: "poppy" }. Effects stored on the item
+ * itself are never read, so other foods and unknown flowers give none.
+ * @param {Object|string} item - Item or stack
+ * @returns {Array<Object>} Effects { effect, level, duration, chance }
+ */
+function getStewEffects(item) {
+  if (!item || typeof item !== 'object') return [];
+  const id = item.id || item.item || item.type;
+  if (id !== 'suspicious_stew' || typeof item.flower !== 'string') return [];
+
+  const flower = item.flower.replace(/^minecraft:/, '');
+  const stew = Object.prototype.hasOwnProperty.call(STEW_FLOWER_EFFECTS, flower) && STEW_FLOWER_EFFECTS[flower];
+  return stew ? [{ effect: stew.effect, level: 1, duration: stew.duration, chance: 1 }] : [];
+}
+
+/**
+ * Human-readable name from an item id ("cooked_beef" -> "Cooked Beef")
+ * @private
+ */
+function toDisplayName(id) {
+  return id.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Create a FoodItem for every food in FOOD_PROPERTIES except glow berries,
+ * which have their own item class
+ * @returns {Array<FoodItem>} Food items
+ */
+function createFoodItems() {
+  return Object.keys(FOOD_PROPERTIES)
+    .filter(id => id !== 'glow_berries')
+    .map(id => new FoodItem({ id, name: toDisplayName(id) }));
+}
+
+module.exports = {
+  FoodItem,
+  FOOD_PROPERTIES,
+  STEW_FLOWER_EFFECTS,
+  EAT_TICKS,
+  getFoodProperties,
+  getStewEffects,
+  createFoodItems
+};
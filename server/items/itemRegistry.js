@@ -5,6 +5,7 @@
 // Import items
 const Item = require('./item');
 const GlowBerryItem = require('./glowBerryItem');
+const { createFoodItems } = require('./foodItem');
 const FlintAndSteelItem = require('./flintAndSteelItem');
 const ShieldItem = require('./shieldItem');
 const { InkSacItem, GlowInkSacItem } = require('./inkSacItem');
@@ -45,14 +46,19 @@ const EnhancedPotItem = require('./enhancedPotItem');
 const EnhancedPotBaseItem = require('./enhancedPotBaseItem');
 // Import items for Minecraft 1.23 Ancient Seeds feature
 const AncientSeedItem = require('./ancientSeedItem');
+const { getItemTags } = require('../registry/tagRegistry');
 
 class ItemRegistry {
   /**
    * Create a new item registry
+   * @param {Object} options - Registry options
+   * @param {TagRegistry} options.tags - Item tags, defaults to the shared item tags
    */
-  constructor() {
+  constructor(options = {}) {
     // Map of item types by ID
     this.items = new Map();
+    // Item tags (#logs, #piglin_loved, ...)
+    this.tags = options.tags || getItemTags();
     
     // Create a potion registry
     this.potionRegistry = new PotionRegistry();
@@ -145,6 +151,42 @@ class ItemRegistry {
     return this.potionRegistry;
   }
   
+  /**
+   * Check whether an item is in a tag
+   * @param {Item|string} item - Item or item ID
+   * @param {string} tag - Tag name, with or without the leading #
+   * @returns {boolean} Whether the tag holds the item
+   */
+  isInTag(item, tag) {
+    return this.tags.contains(tag, item);
+  }
+  
+  /**
+   * Get the item IDs in a tag, nested tags included
+   * @param {string} tag - Tag name
+   * @returns {string[]} Array of item IDs
+   */
+  getItemIdsInTag(tag) {
+    return this.tags.getValues(tag);
+  }
+  
+  /**
+   * Get the tags an item belongs to
+   * @param {Item|string} item - Item or item ID
+   * @returns {string[]} Array of tag names
+   */
+  getTagsOfItem(item) {
+    return this.tags.getTagsOf(item);
+  }
+  
+  /**
+   * Load the item tags from the datapacks again
+   * @returns {Object} { count, errors }
+   */
+  reloadTags() {
+    return this.tags.reload();
+  }
+  
   /**
    * Register all default items
    * @private
@@ -162,6 +204,9 @@ class ItemRegistry {
     // Register Caves & Cliffs items
     this.registerItem(new GlowBerryItem());
     
+    // Register food items
+    this.registerFoodItems();
+    
     // Register special test items
     this.registerItem(new Item({
       id: 'test_item',
@@ -249,6 +294,16 @@ class ItemRegistry {
     }
   }
   
+  /**
+   * Register every food item except glow berries
+   * @private
+   */
+  registerFoodItems() {
+    for (const food of createFoodItems()) {
+      this.registerItem(food);
+    }
+  }
+  
   /**
    * Register items for the Wild Update
    * @private
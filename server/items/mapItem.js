@@ -4,8 +4,12 @@
  */
 
 const Item = require('./item');
+const MapRenderer = require('../rendering/mapRenderer');
 const { v4: uuidv4 } = require('uuid');
 
+// Draws explored terrain into the shared map data of bound maps
+const renderer = new MapRenderer();
+
 class MapItem extends Item {
   /**
    * Create a new map item
@@ -26,7 +30,7 @@ class MapItem extends Item {
     // Map coordinates and properties
     this.centerX = options.centerX || 0;
     this.centerZ = options.centerZ || 0;
-    this.scale = options.scale || 1; // 1 = 1:1 scale, 2 = 1:2 scale, etc.
+    this.scale = options.scale || 1; // Zoom level 1-8; the map spans 256 * scale blocks
     this.explored = options.explored || false;
     this.lockedCoordinates = options.lockedCoordinates || false;
     this.dimension = options.dimension || 'overworld';
@@ -38,11 +42,37 @@ class MapItem extends Item {
     this.locationMarkers = options.locationMarkers || []; // Points of interest
     this.exploredAreas = options.exploredAreas || []; // Areas the player has seen
     
+    // Shared pixels, see MapManager; copies of a map carry the same map id
+    this.mapId = options.mapId || null;
+    this.mapData = null;
+    
     // Item appearance
     this.mapColor = options.mapColor || '#e6d4a0'; // Default map color
     this.borderColor = options.borderColor || '#7d6642';
   }
   
+  /**
+   * Attach the shared map data this item shows; the data decides where the map is
+   * @param {MapData} mapData - Map data
+   */
+  bindMapData(mapData) {
+    this.mapData = mapData;
+    this.mapId = mapData.id;
+    this.centerX = mapData.centerX;
+    this.centerZ = mapData.centerZ;
+    this.scale = mapData.scale;
+    this.dimension = mapData.dimension;
+  }
+  
+  /**
+   * Let go of the shared map data, e.g. after re-centering or rescaling;
+   * the next bind starts a new map
+   */
+  unbindMapData() {
+    this.mapData = null;
+    this.mapId = null;
+  }
+  
   /**
    * Calculate map boundaries based on center coordinates and scale
    * @returns {Object} Map boundaries
@@ -114,6 +144,11 @@ class MapItem extends Item {
     // Check if player's position is within map boundaries
     if (!this.isPositionInBounds(player.position)) return;
     
+    // Draw the terrain around the player
+    if (this.mapData && world) {
+      renderer.update(this.mapData, world, player.position);
+    }
+    
     // Calculate chunk coordinates
     const chunkX = Math.floor(player.position.x / 16);
     const chunkZ = Math.floor(player.position.z / 16);
@@ -157,6 +192,7 @@ class MapItem extends Item {
     // Clear existing exploration data when re-centering
     this.exploredAreas = [];
     this.explored = false;
+    this.unbindMapData();
     
     return true;
   }
@@ -174,7 +210,21 @@ class MapItem extends Item {
     // Clear existing exploration data when scaling
     this.exploredAreas = [];
     this.explored = false;
+    this.unbindMapData();
+    
+    return true;
+  }
+  
+  /**
+   * Fill the map with biome colors so it shows the lie of the land before
+   * anyone has been there
+   * @param {Object} world - World exposing getBiomeAt(x, z)
+   * @returns {boolean} Whether there was map data to draw into
+   */
+  renderPreview(world) {
+    if (!this.mapData) return false;
     
+    renderer.renderBiomePreview(this.mapData, world);
     return true;
   }
   
@@ -238,6 +288,12 @@ class MapItem extends Item {
       borderColor: this.borderColor
     };
     
+    // Pixels of the shared map data, one palette byte each
+    if (this.mapData) {
+      mapState.mapId = this.mapId;
+      mapState.colors = this.mapData.encodeColors();
+    }
+    
     // If we have a player, add player position to the map data if appropriate
     if (player && this.showPlayers && player.dimension === this.dimension) {
       mapState.playerPosition = {
@@ -272,6 +328,7 @@ class MapItem extends Item {
       showPlayers: this.showPlayers,
       locationMarkers: this.locationMarkers,
       exploredAreas: this.exploredAreas,
+      mapId: this.mapId,
       mapColor: this.mapColor,
       borderColor: this.borderColor
     };
@@ -297,6 +354,7 @@ class MapItem extends Item {
       showPlayers: data.showPlayers,
       locationMarkers: data.locationMarkers,
       exploredAreas: data.exploredAreas,
+      mapId: data.mapId,
       mapColor: data.mapColor,
       borderColor: data.borderColor,
       data: data.data
@@ -95,9 +95,11 @@ class StructureMapItem extends MapItem {
       this.name = `Map to ${this.formatStructureName(structure.type)}`;
     }
     
-    // Center map on structure
-    this.centerX = structure.position.x;
-    this.centerZ = structure.position.z;
+    // Center map on structure, unless it already shows drawn terrain
+    if (!this.mapData) {
+      this.centerX = structure.position.x;
+      this.centerZ = structure.position.z;
+    }
     
     // Add marker for structure
     this.addMarker({
@@ -124,20 +126,16 @@ class StructureMapItem extends MapItem {
     if (player.dimension !== this.dimension) return;
     
     // If we have a target structure, check if player is close enough to reveal it
-    if (this.targetStructure && this.locationMarkers.length === 0) {
-      // In a real implementation, this would use world.findNearestStructure
-      // For now, simulate finding it
-      const simulatedStructure = {
-        type: this.targetStructure,
-        position: {
-          x: this.centerX + (Math.random() * 200 - 100),
-          y: 64,
-          z: this.centerZ + (Math.random() * 200 - 100)
-        },
-        name: this.formatStructureName(this.targetStructure)
-      };
+    if (this.targetStructure && this.locationMarkers.length === 0 && world.findNearestStructure) {
+      const structure = world.findNearestStructure(
+        this.targetStructure,
+        player.position,
+        this.revealDistance
+      );
       
-      this.setTargetStructureLocation(simulatedStructure);
+      if (structure) {
+        this.setTargetStructureLocation(structure);
+      }
     }
     
     // For non-targeted maps, reveal various structures in range
@@ -303,6 +301,7 @@ class StructureMapItem extends MapItem {
       showPlayers: data.showPlayers,
       locationMarkers: data.locationMarkers,
       exploredAreas: data.exploredAreas,
+      mapId: data.mapId,
       mapColor: data.mapColor,
       borderColor: data.borderColor,
       targetStructure: data.targetStructure,
@@ -3,6 +3,17 @@
  */
 
 const Item = require('./item');
+const { getBlockTags } = require('../registry/tagRegistry');
+
+// Block tags naming the mining level a block needs, highest first
+const NEEDS_TOOL_TAGS = [
+  ['needs_diamond_tool', 3],
+  ['needs_iron_tool', 2],
+  ['needs_stone_tool', 1]
+];
+
+// Tools with a mineable/<toolType> block tag
+const MINEABLE_TOOL_TYPES = ['pickaxe', 'axe', 'shovel', 'hoe'];
 
 /**
  * Base class for all tool items
@@ -65,10 +76,22 @@ class ToolItem extends Item {
     if (block.miningLevel > this.miningLevel) {
       return false;
     }
+    if (ToolItem.getRequiredMiningLevel(block) > this.miningLevel) {
+      return false;
+    }
     
     return true;
   }
   
+  /**
+   * Check if this is the right kind of tool for a block (#mineable/<toolType>)
+   * @param {Object|string} block - Block or block ID
+   * @returns {boolean} Whether this tool mines the block quickly
+   */
+  isEffectiveOn(block) {
+    return getBlockTags().contains(`mineable/${this.toolType}`, block);
+  }
+  
   /**
    * Get the mining speed for a specific block
    * @param {Object} block - Block to mine
@@ -79,9 +102,28 @@ class ToolItem extends Item {
       return 1.0; // Default slow speed for incorrect tool
     }
     
+    // Blocks in a mineable tag are only quick to mine with that tool
+    const blockTags = getBlockTags();
+    const needsTool = MINEABLE_TOOL_TYPES.some(type => blockTags.contains(`mineable/${type}`, block));
+    if (needsTool && !this.isEffectiveOn(block)) {
+      return 1.0;
+    }
+    
     return this.miningSpeed;
   }
   
+  /**
+   * Get the mining level a block needs from its #needs_*_tool tags
+   * @param {Object|string} block - Block or block ID
+   * @returns {number} 0 none, 1 stone, 2 iron, 3 diamond
+   * @static
+   */
+  static getRequiredMiningLevel(block) {
+    const blockTags = getBlockTags();
+    const match = NEEDS_TOOL_TAGS.find(([tag]) => blockTags.contains(tag, block));
+    return match ? match[1] : 0;
+  }
+  
   /**
    * Damage the tool when used
    * @param {number} amount - Damage amount
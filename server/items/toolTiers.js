@@ -0,0 +1,83 @@
+/**
+ * Tool tiers - mining speed, harvest level and durability per tool material
+ *
+ * Tool ids follow <material>_<toolType> ("stone_pickaxe", "golden_axe").
+ * The harvest level is compared against the #needs_stone_tool (1),
+ * #needs_iron_tool (2) and #needs_diamond_tool (3) block tags.
+ */
+
+const ToolTier = Object.freeze({
+  wooden: Object.freeze({ miningSpeed: 2, miningLevel: 0, durability: 59, enchantability: 15 }),
+  stone: Object.freeze({ miningSpeed: 4, miningLevel: 1, durability: 131, enchantability: 5 }),
+  iron: Object.freeze({ miningSpeed: 6, miningLevel: 2, durability: 250, enchantability: 14 }),
+  golden: Object.freeze({ miningSpeed: 12, miningLevel: 0, durability: 32, enchantability: 22 }),
+  diamond: Object.freeze({ miningSpeed: 8, miningLevel: 3, durability: 1561, enchantability: 10 }),
+  netherite: Object.freeze({ miningSpeed: 9, miningLevel: 4, durability: 2031, enchantability: 15 })
+});
+
+// Material names used by ToolItem for the same tiers
+const MATERIAL_ALIASES = {
+  wood: 'wooden',
+  gold: 'golden'
+};
+
+const TOOL_TYPES = ['pickaxe', 'axe', 'shovel', 'hoe', 'sword', 'shears'];
+
+const TOOL_ID_PATTERN = /^(?:minecraft:)?([a-z]+)_(pickaxe|axe|shovel|hoe|sword)$/;
+
+/**
+ * Get the mining properties of a held item
+ * @param {Object|string} item - Item, item id or ToolItem; null for an empty hand
+ * @returns {Object|null} { id, toolType, tier, miningSpeed, miningLevel }, null when it is not a tool
+ */
+function getToolInfo(item) {
+  const id = typeof item === 'string' ? item : item && (item.id || item.type);
+  if (!id) return null;
+
+  const match = TOOL_ID_PATTERN.exec(id);
+  if (match && ToolTier[MATERIAL_ALIASES[match[1]] || match[1]]) {
+    const tier = MATERIAL_ALIASES[match[1]] || match[1];
+    return { id, toolType: match[2], tier, miningSpeed: ToolTier[tier].miningSpeed, miningLevel: ToolTier[tier].miningLevel };
+  }
+  if (id === 'shears') {
+    return { id, toolType: 'shears', tier: null, miningSpeed: 1, miningLevel: 0 };
+  }
+
+  // Tools with their own ids (ToolItem subclasses) carry their stats
+  if (typeof item === 'object' && TOOL_TYPES.includes(item.toolType)) {
+    const tier = MATERIAL_ALIASES[item.material] || item.material;
+    const defaults = ToolTier[tier] || { miningSpeed: 1, miningLevel: 0 };
+    return {
+      id,
+      toolType: item.toolType,
+      tier: ToolTier[tier] ? tier : null,
+      miningSpeed: typeof item.miningSpeed === 'number' ? item.miningSpeed : defaults.miningSpeed,
+      miningLevel: typeof item.miningLevel === 'number' ? item.miningLevel : defaults.miningLevel
+    };
+  }
+  return null;
+}
+
+/**
+ * Rebuild the item a player holds from what the server knows about it. Only
+ * the id is taken from the client, and only when the inventory has that item;
+ * tool type, tier and speed follow from the id. Stats and enchantments sent
+ * with the item are ignored, as the server keeps no state for them.
+ * @param {Object} inventory - Item counts keyed by id
+ * @param {Object|string} itemInHand - Held item as sent by the client
+ * @returns {Object|null} { id }, null for an empty hand or an item the player lacks
+ */
+function getHeldItem(inventory, itemInHand) {
+  const id = typeof itemInHand === 'string'
+    ? itemInHand
+    : itemInHand && typeof itemInHand === 'object' && (itemInHand.id || itemInHand.type);
+  if (typeof id !== 'string' || !inventory || !(inventory[id] > 0)) return null;
+  return { id };
+}
+
+module.exports = {
+  ToolTier,
+  TOOL_TYPES,
+  getToolInfo,
+  getHeldItem
+};
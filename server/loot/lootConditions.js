@@ -0,0 +1,172 @@
+/**
+ * Loot conditions - gates on loot pools, entries and functions
+ *
+ * A condition is { "condition": type, ...parameters }; a list of conditions
+ * passes when every one of them does. Each type has a validate step run when
+ * the table loads and a test run against the loot context.
+ */
+
+const { getItemId, getEnchantmentLevel } = require('./lootContext');
+const { getItemTags } = require('../registry/tagRegistry');
+
+const LootConditions = {
+  // { "inverse": true } drops only when no player got the kill
+  killed_by_player: {
+    validate: () => null,
+    test: (condition, context) => context.killedByPlayer !== Boolean(condition.inverse)
+  },
+
+  // { "entity_types": ["skeleton", "stray"] }
+  killed_by: {
+    validate: (condition) => isStringList(condition.entity_types) ? null : '"entity_types" must list mob types',
+    test: (condition, context) => Boolean(context.killer && condition.entity_types.includes(context.killer.type))
+  },
+
+  // { "chance": 0.5 }
+  random_chance: {
+    validate: (condition) => isChance(condition.chance) ? null : '"chance" must be between 0 and 1',
+    test: (condition, context) => context.random() < condition.chance
+  },
+
+  // { "chance": 0.025, "looting_multiplier": 0.01 } - chance grows per Looting level
+  random_chance_with_looting: {
+    validate: (condition) => {
+      if (!isChance(condition.chance)) return '"chance" must be between 0 and 1';
+      return typeof condition.looting_multiplier === 'number' ? null : '"looting_multiplier" must be a number';
+    },
+    test: (condition, context) =>
+      context.random() < condition.chance + context.lootingLevel * condition.looting_multiplier
+  },
+
+  // { "predicate": { "items": ["shears"], "enchantments": [{ "enchantment": "silk_touch", "levels": { "min": 1 } }] } }
+  // or { "predicate": { "tag": "pickaxes" } } for any tool in an item tag
+  match_tool: {
+    validate: (condition) => {
+      const predicate = condition.predicate;
+      if (!predicate || typeof predicate !== 'object') return '"predicate" must be an object';
+      if (predicate.items !== undefined && !isStringList(predicate.items)) return '"predicate.items" must list item ids';
+      if (predicate.tag !== undefined && typeof predicate.tag !== 'string') return '"predicate.tag" must name an item tag';
+      if (predicate.enchantments !== undefined && (!Array.isArray(predicate.enchantments) ||
+          predicate.enchantments.some(entry => !entry || typeof entry.enchantment !== 'string'))) {
+        return '"predicate.enchantments" must list { "enchantment", "levels" }';
+      }
+      return null;
+    },
+    test: (condition, context) => {
+      const { items, tag, enchantments } = condition.predicate;
+      if (items && !items.includes(getItemId(context.tool))) return false;
+      if (tag && !getItemTags().contains(tag, getItemId(context.tool))) return false;
+      return (enchantments || []).every(entry =>
+        isWithin(getEnchantmentLevel(context.tool, entry.enchantment), entry.levels));
+    }
+  },
+
+  // { "biomes": ["desert", "badlands"] }
+  biome: {
+    validate: (condition) => isStringList(condition.biomes) ? null : '"biomes" must list biome ids',
+    test: (condition, context) => condition.biomes.includes(context.biome)
+  },
+
+  // Each drop from an explosion survives with a chance of 1 / radius
+  survives_explosion: {
+    validate: () => null,
+    test: (condition, context) => !context.explosionRadius || context.random() < 1 / context.explosionRadius
+  },
+
+  // { "term": condition }
+  inverted: {
+    validate: (condition) => validateCondition(condition.term, 'term'),
+    test: (condition, context) => !testCondition(condition.term, context)
+  },
+
+  // { "terms": [condition, ...] } passes when any term does
+  any_of: {
+    validate: (condition) => validateConditions(condition.terms, 'terms', true),
+    test: (condition, context) => condition.terms.some(term => testCondition(term, context))
+  }
+};
+
+/**
+ * Check one condition
+ * @param {Object} condition - Condition from a loot table
+ * @param {string} field - Where it sits, for the error message
+ * @returns {string|null} Problem, or null when valid
+ */
+function validateCondition(condition, field) {
+  if (!condition || typeof condition !== 'object') {
+    return `"${field}" must be a condition object`;
+  }
+  const type = LootConditions[condition.condition];
+  if (!type) {
+    return `Unknown loot condition "${condition.condition}" in "${field}"`;
+  }
+  return type.validate(condition);
+}
+
+/**
+ * Check a list of conditions
+ * @param {Array} conditions - Conditions, may be undefined
+ * @param {string} field - Where they sit
+ * @param {boolean} required - Whether the list must be present
+ * @returns {string|null} First problem, or null when valid
+ */
+function validateConditions(conditions, field, required = false) {
+  if (conditions === undefined && !required) return null;
+  if (!Array.isArray(conditions)) return `"${field}" must be a list of conditions`;
+
+  for (let i = 0; i < conditions.length; i++) {
+    const problem = validateCondition(conditions[i], `${field}[${i}]`);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+/**
+ * @param {Object} condition - Valid condition
+ * @param {Object} context - Loot context
+ * @returns {boolean} Whether it passes
+ */
+function testCondition(condition, context) {
+  return LootConditions[condition.condition].test(condition, context);
+}
+
+/**
+ * @param {Array} conditions - Valid conditions, may be undefined
+ * @param {Object} context - Loot context
+ * @returns {boolean} Whether all of them pass
+ */
+function testConditions(conditions, context) {
+  return !conditions || conditions.every(condition => testCondition(condition, context));
+}
+
+/**
+ * @private
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(entry => typeof entry === 'string');
+}
+
+/**
+ * @private
+ */
+function isChance(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+/**
+ * Whether a value is in a range given as an exact number or { min, max }
+ * @private
+ */
+function isWithin(value, range) {
+  if (range === undefined) return value > 0;
+  if (typeof range === 'number') return value === range;
+  return (range.min === undefined || value >= range.min) && (range.max === undefined || value <= range.max);
+}
+
+module.exports = {
+  LootConditions,
+  validateCondition,
+  validateConditions,
+  testCondition,
+  testConditions
+};
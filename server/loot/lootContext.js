@@ -0,0 +1,136 @@
+/**
+ * Loot context - what a loot table is rolled against
+ *
+ * Callers pass the facts they know; everything else gets a neutral default:
+ *   seed             - roll with a seeded generator so the result is reproducible
+ *   random           - or bring a random function (defaults to Math.random)
+ *   luck             - adds bonus rolls and shifts entry weights by quality
+ *   killer           - entity that dealt the killing blow
+ *   killedByPlayer   - whether a player got the kill
+ *   tool             - item used: the mining tool, or the killer's weapon
+ *   lootingLevel     - Looting on the weapon (read from tool when left out)
+ *   biome            - biome id at the loot position
+ *   position         - { x, y, z }
+ *   explosionRadius  - set when the loot comes from an explosion
+ *   recipeLoader     - recipes used by furnace_smelt (defaults to the shared loader)
+ */
+
+const { createSeededRandom } = require('../utils/mathUtils');
+
+/**
+ * Fill in a loot context
+ * @param {Object} options - Known facts, see above
+ * @returns {Object} Loot context
+ */
+function createLootContext(options = {}) {
+  let random = options.random;
+  if (!random) {
+    random = options.seed !== undefined ? createSeededRandom(options.seed) : Math.random;
+  }
+
+  return {
+    ...options,
+    random,
+    luck: options.luck || 0,
+    killer: options.killer || null,
+    killedByPlayer: Boolean(options.killedByPlayer),
+    tool: options.tool || null,
+    lootingLevel: options.lootingLevel !== undefined
+      ? options.lootingLevel
+      : getEnchantmentLevel(options.tool, 'looting'),
+    biome: options.biome || null,
+    position: options.position || null,
+    explosionRadius: options.explosionRadius || 0
+  };
+}
+
+/**
+ * Item id of an item given as an id string or an item { id } / { type }
+ * @param {string|Object} item - Item
+ * @returns {string|null} Item id
+ */
+function getItemId(item) {
+  if (!item) return null;
+  if (typeof item === 'string') return item;
+  return item.id || item.type || null;
+}
+
+/**
+ * Level of an enchantment on an item; items keep enchantments as
+ * { name: level } or as a list of { id, level }
+ * @param {Object} item - Item, may be null
+ * @param {string} enchantment - Enchantment id
+ * @returns {number} Level, 0 when absent
+ */
+function getEnchantmentLevel(item, enchantment) {
+  if (!item || typeof item !== 'object' || !item.enchantments) return 0;
+
+  const enchantments = item.enchantments;
+  if (Array.isArray(enchantments)) {
+    const found = enchantments.find(entry => entry && entry.id === enchantment);
+    return found ? found.level || 1 : 0;
+  }
+  return enchantments[enchantment] || 0;
+}
+
+/**
+ * Check a number provider: a number, { min, max } (uniform) or
+ * { type: "binomial", n, p }
+ * @param {*} value - Provider from a loot table
+ * @param {string} field - Field name for the error message
+ * @returns {string|null} Problem, or null when valid
+ */
+function validateNumberProvider(value, field) {
+  if (typeof value === 'number') return null;
+  if (value && typeof value === 'object') {
+    if (value.type === 'binomial') {
+      return Number.isInteger(value.n) && typeof value.p === 'number' ? null : `"${field}" binomial needs whole "n" and "p"`;
+    }
+    if ((value.type === undefined || value.type === 'uniform') &&
+        typeof value.min === 'number' && typeof value.max === 'number') {
+      return value.min <= value.max ? null : `"${field}" min is above max`;
+    }
+  }
+  return `"${field}" must be a number, { "min", "max" } or { "type": "binomial", "n", "p" }`;
+}
+
+/**
+ * Roll a number provider as a whole number (uniform ranges include both ends)
+ * @param {*} value - Valid number provider
+ * @param {Function} random - Random function
+ * @returns {number} Rolled value
+ */
+function rollInt(value, random) {
+  if (typeof value === 'number') return Math.floor(value);
+  if (value.type === 'binomial') {
+    let successes = 0;
+    for (let i = 0; i < value.n; i++) {
+      if (random() < value.p) successes++;
+    }
+    return successes;
+  }
+  const min = Math.ceil(value.min);
+  const max = Math.floor(value.max);
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Roll a number provider as a decimal
+ * @param {*} value - Valid number provider
+ * @param {Function} random - Random function
+ * @returns {number} Rolled value
+ */
+function rollFloat(value, random) {
+  if (typeof value === 'number') return value;
+  if (value.type === 'binomial') return rollInt(value, random);
+  return value.min + random() * (value.max - value.min);
+}
+
+module.exports = {
+  createLootContext,
+  getItemId,
+  getEnchantmentLevel,
+  validateNumberProvider,
+  rollInt,
+  rollFloat
+};
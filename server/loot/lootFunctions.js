@@ -0,0 +1,280 @@
+/**
+ * Loot functions - change the stacks a loot entry produces
+ *
+ * A function is { "function": type, ...parameters, "conditions"?: [...] } and
+ * is applied to each stack in turn: entry functions first, then the pool's,
+ * then the table's. Stacks are { item, count, enchantments?, nbt? }.
+ */
+
+const { getEnchantmentLevel, validateNumberProvider, rollInt, rollFloat } = require('./lootContext');
+const { validateConditions, testConditions } = require('./lootConditions');
+const { allEnchantments, getValidEnchantmentsForItem } = require('../enchantments/enchantmentTypes');
+const { RecipeType, getDefaultRecipeLoader } = require('../crafting/recipeLoader');
+
+const BONUS_FORMULAS = ['ore_drops', 'uniform_bonus_count', 'binomial_with_bonus_count'];
+
+const LootFunctions = {
+  // { "count": 3 | { "min", "max" }, "add": false }
+  set_count: {
+    validate: (fn) => validateNumberProvider(fn.count, 'count'),
+    apply: (stack, fn, context) => {
+      const count = rollInt(fn.count, context.random);
+      stack.count = fn.add ? stack.count + count : count;
+    }
+  },
+
+  // { "enchantment": "fortune", "formula": "ore_drops" | "uniform_bonus_count" | "binomial_with_bonus_count",
+  //   "parameters": { "bonusMultiplier" } | { "extra", "probability" } }
+  apply_bonus: {
+    validate: (fn) => {
+      if (typeof fn.enchantment !== 'string') return '"enchantment" must be an enchantment id';
+      if (!BONUS_FORMULAS.includes(fn.formula)) return `"formula" must be one of ${BONUS_FORMULAS.join(', ')}`;
+      const parameters = fn.parameters || {};
+      if (fn.formula === 'uniform_bonus_count' && typeof parameters.bonusMultiplier !== 'number') {
+        return '"parameters.bonusMultiplier" must be a number';
+      }
+      if (fn.formula === 'binomial_with_bonus_count' &&
+          (!Number.isInteger(parameters.extra) || typeof parameters.probability !== 'number')) {
+        return '"parameters" needs a whole "extra" and a "probability"';
+      }
+      return null;
+    },
+    apply: (stack, fn, context) => {
+      const level = getEnchantmentLevel(context.tool, fn.enchantment);
+      if (fn.formula === 'ore_drops') {
+        if (level > 0) {
+          const bonus = Math.max(0, Math.floor(context.random() * (level + 2)) - 1);
+          stack.count *= bonus + 1;
+        }
+      } else if (fn.formula === 'uniform_bonus_count') {
+        stack.count += Math.floor(context.random() * (level * fn.parameters.bonusMultiplier + 1));
+      } else {
+        stack.count += rollInt({ type: 'binomial', n: level + fn.parameters.extra, p: fn.parameters.probability }, context.random);
+      }
+    }
+  },
+
+  // { "count": { "min": 0, "max": 1 }, "limit": 5 } - extra items per Looting level
+  looting_enchant: {
+    validate: (fn) => validateNumberProvider(fn.count, 'count') ||
+      (fn.limit === undefined || Number.isInteger(fn.limit) ? null : '"limit" must be a whole number'),
+    apply: (stack, fn, context) => {
+      if (context.lootingLevel <= 0) return;
+      stack.count += Math.round(rollFloat(fn.count, context.random) * context.lootingLevel);
+      if (fn.limit > 0) {
+        stack.count = Math.min(stack.count, fn.limit);
+      }
+    }
+  },
+
+  // { "enchantments": ["sharpness", "looting"] } - one random enchantment at a random level;
+  // left out, any enchantment that fits the item. Books become enchanted books.
+  enchant_randomly: {
+    validate: (fn) => {
+      if (fn.enchantments === undefined) return null;
+      if (!Array.isArray(fn.enchantments) || fn.enchantments.length === 0) return '"enchantments" must list enchantment ids';
+      const unknown = fn.enchantments.find(id => !allEnchantments.some(enchantment => enchantment.id === id));
+      return unknown ? `Unknown enchantment "${unknown}"` : null;
+    },
+    apply: (stack, fn, context) => {
+      const isBook = stack.item === 'book' || stack.item === 'enchanted_book';
+      let candidates;
+      if (fn.enchantments) {
+        candidates = allEnchantments.filter(enchantment => fn.enchantments.includes(enchantment.id));
+      } else {
+        candidates = isBook ? allEnchantments : getValidEnchantmentsForItem(stack.item.split('_').pop());
+      }
+      if (candidates.length === 0) return;
+
+      const enchantment = candidates[Math.floor(context.random() * candidates.length)];
+      const level = 1 + Math.floor(context.random() * enchantment.maxLevel);
+      if (isBook) {
+        stack.item = 'enchanted_book';
+      }
+      stack.enchantments = { ...stack.enchantments, [enchantment.id]: level };
+    }
+  },
+
+  // { "tag": { "pattern": "prize" } } or an SNBT string: "{pattern:\"prize\"}"
+  set_nbt: {
+    validate: (fn) => {
+      if (fn.tag && typeof fn.tag === 'object' && !Array.isArray(fn.tag)) return null;
+      if (typeof fn.tag !== 'string') return '"tag" must be an object or an SNBT string';
+      try {
+        const parsed = parseSnbt(fn.tag);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? null : '"tag" must be a compound';
+      } catch (error) {
+        return `Invalid "tag": ${error.message}`;
+      }
+    },
+    apply: (stack, fn) => {
+      const tag = typeof fn.tag === 'string' ? parseSnbt(fn.tag) : JSON.parse(JSON.stringify(fn.tag));
+      stack.nbt = { ...stack.nbt, ...tag };
+    }
+  },
+
+  // Replace the item with what it smelts into, when it smelts
+  furnace_smelt: {
+    validate: () => null,
+    apply: (stack, fn, context) => {
+      const recipeLoader = context.recipeLoader || getDefaultRecipeLoader();
+      const recipe = recipeLoader.findCookingRecipe(RecipeType.SMELTING, stack.item);
+      if (recipe) {
+        stack.item = recipe.result.id;
+      }
+    }
+  },
+
+  // { "limit": 4 | { "min", "max" } }
+  limit_count: {
+    validate: (fn) => typeof fn.limit === 'number' || (fn.limit && typeof fn.limit === 'object')
+      ? null : '"limit" must be a number or { "min", "max" }',
+    apply: (stack, fn) => {
+      const min = typeof fn.limit === 'number' ? fn.limit : fn.limit.min;
+      const max = typeof fn.limit === 'number' ? fn.limit : fn.limit.max;
+      if (min !== undefined) stack.count = Math.max(stack.count, min);
+      if (max !== undefined) stack.count = Math.min(stack.count, max);
+    }
+  },
+
+  // Each item in the stack survives an explosion with a chance of 1 / radius
+  explosion_decay: {
+    validate: () => null,
+    apply: (stack, fn, context) => {
+      if (!context.explosionRadius) return;
+      let survivors = 0;
+      for (let i = 0; i < stack.count; i++) {
+        if (context.random() < 1 / context.explosionRadius) survivors++;
+      }
+      stack.count = survivors;
+    }
+  }
+};
+
+/**
+ * Check a list of functions
+ * @param {Array} functions - Functions, may be undefined
+ * @param {string} field - Where they sit, for the error message
+ * @returns {string|null} First problem, or null when valid
+ */
+function validateFunctions(functions, field) {
+  if (functions === undefined) return null;
+  if (!Array.isArray(functions)) return `"${field}" must be a list of functions`;
+
+  for (let i = 0; i < functions.length; i++) {
+    const fn = functions[i];
+    const type = fn && LootFunctions[fn.function];
+    if (!type) {
+      return `Unknown loot function "${fn && fn.function}" in "${field}[${i}]"`;
+    }
+    const problem = type.validate(fn) || validateConditions(fn.conditions, `${field}[${i}].conditions`);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+/**
+ * Apply functions to a stack, skipping those whose conditions fail
+ * @param {Object} stack - Stack to change in place
+ * @param {Array} functions - Valid functions, may be undefined
+ * @param {Object} context - Loot context
+ */
+function applyFunctions(stack, functions, context) {
+  for (const fn of functions || []) {
+    if (testConditions(fn.conditions, context)) {
+      LootFunctions[fn.function].apply(stack, fn, context);
+    }
+  }
+}
+
+/**
+ * Parse stringified NBT (SNBT) into plain values: compounds become objects,
+ * lists arrays, numbers drop their b/s/l/f/d suffix
+ * @param {string} text - SNBT text
+ * @returns {*} Parsed value
+ */
+function parseSnbt(text) {
+  let index = 0;
+
+  const fail = (message) => {
+    throw new Error(`${message} at position ${index}`);
+  };
+  const skipSpace = () => {
+    while (index < text.length && /\s/.test(text[index])) index++;
+  };
+  const readQuoted = () => {
+    const quote = text[index++];
+    let value = '';
+    while (index < text.length && text[index] !== quote) {
+      if (text[index] === '\\') index++;
+      value += text[index++];
+    }
+    if (text[index] !== quote) fail('Unterminated string');
+    index++;
+    return value;
+  };
+  const readBare = () => {
+    const start = index;
+    while (index < text.length && /[A-Za-z0-9_\-.+]/.test(text[index])) index++;
+    if (start === index) fail('Expected a value');
+    return text.slice(start, index);
+  };
+  const readValue = () => {
+    skipSpace();
+    const char = text[index];
+    if (char === '{') {
+      index++;
+      const compound = {};
+      skipSpace();
+      while (text[index] !== '}') {
+        skipSpace();
+        const key = text[index] === '"' || text[index] === '\'' ? readQuoted() : readBare();
+        skipSpace();
+        if (text[index++] !== ':') fail('Expected ":"');
+        compound[key] = readValue();
+        skipSpace();
+        if (text[index] === ',') index++;
+        else if (text[index] !== '}') fail('Expected "," or "}"');
+      }
+      index++;
+      return compound;
+    }
+    if (char === '[') {
+      index++;
+      // Typed arrays ([I; 1, 2]) read like lists
+      if (/^[BIL];/.test(text.slice(index, index + 2))) index += 2;
+      const list = [];
+      skipSpace();
+      while (text[index] !== ']') {
+        list.push(readValue());
+        skipSpace();
+        if (text[index] === ',') index++;
+        else if (text[index] !== ']') fail('Expected "," or "]"');
+        skipSpace();
+      }
+      index++;
+      return list;
+    }
+    if (char === '"' || char === '\'') {
+      return readQuoted();
+    }
+    const bare = readBare();
+    if (bare === 'true' || bare === 'false') return bare === 'true';
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?[bslfdBSLFD]?$/.test(bare)) {
+      return Number(bare.replace(/[bslfdBSLFD]$/, ''));
+    }
+    return bare;
+  };
+
+  const value = readValue();
+  skipSpace();
+  if (index < text.length) fail('Unexpected text');
+  return value;
+}
+
+module.exports = {
+  LootFunctions,
+  validateFunctions,
+  applyFunctions,
+  parseSnbt
+};
@@ -1,75 +1,88 @@
+const { getDefaultLootTableLoader } = require('./lootTableLoader');
+
+// Loot table rolled for each difficulty tier
+const TIER_TABLES = {
+  common: 'chests/vault/common',
+  uncommon: 'chests/vault/uncommon',
+  rare: 'chests/vault/rare'
+};
+
 class LootTable {
-  constructor() {
-    this.lootPools = {
-      common: [
-        { item: 'iron_ingot', weight: 10, min: 1, max: 5 },
-        { item: 'gold_ingot', weight: 8, min: 1, max: 3 },
-        { item: 'emerald', weight: 5, min: 1, max: 2 },
-        { item: 'diamond', weight: 3, min: 1, max: 1 },
-        { item: 'enchanted_book', weight: 2, min: 1, max: 1 }
-      ],
-      uncommon: [
-        { item: 'diamond', weight: 10, min: 1, max: 3 },
-        { item: 'emerald', weight: 8, min: 1, max: 4 },
-        { item: 'enchanted_book', weight: 6, min: 1, max: 2 },
-        { item: 'netherite_scrap', weight: 4, min: 1, max: 1 },
-        { item: 'ancient_debris', weight: 2, min: 1, max: 1 }
-      ],
-      rare: [
-        { item: 'netherite_ingot', weight: 10, min: 1, max: 1 },
-        { item: 'enchanted_golden_apple', weight: 8, min: 1, max: 1 },
-        { item: 'enchanted_book', weight: 6, min: 1, max: 3 },
-        { item: 'trident', weight: 4, min: 1, max: 1 },
-        { item: 'elytra', weight: 2, min: 1, max: 1 }
-      ]
-    };
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.lootTableLoader - Loader holding the tier tables, defaults to the shared loader
+   */
+  constructor(options = {}) {
+    this.lootTableLoader = options.lootTableLoader || getDefaultLootTableLoader();
+
+    // Items each tier can give, read from the tier tables
+    this.lootPools = {};
+    for (const [tier, id] of Object.entries(TIER_TABLES)) {
+      this.lootPools[tier] = this.describeTable(id);
+    }
   }
 
-  generateLoot(difficulty) {
-    const loot = [];
-    
-    // Determine loot pool based on difficulty
-    let pool;
+  /**
+   * Roll the loot table for a difficulty
+   * @param {number} difficulty - 0-1 common, 2-3 uncommon, 4+ rare
+   * @param {Object} context - Loot context options, e.g. { seed } for reproducible loot
+   * @returns {Array<Object>} Stacks { item, count, ... }
+   */
+  generateLoot(difficulty, context = {}) {
+    let tier;
     if (difficulty <= 1) {
-      pool = this.lootPools.common;
+      tier = 'common';
     } else if (difficulty <= 3) {
-      pool = this.lootPools.uncommon;
+      tier = 'uncommon';
     } else {
-      pool = this.lootPools.rare;
-    }
-
-    // Generate 2-4 items
-    const itemCount = 2 + Math.floor(Math.random() * 3);
-    for (let i = 0; i < itemCount; i++) {
-      const item = this.selectRandomItem(pool);
-      if (item) {
-        loot.push({
-          item: item.item,
-          count: this.getRandomCount(item.min, item.max)
-        });
-      }
+      tier = 'rare';
     }
 
-    return loot;
+    return this.lootTableLoader.generate(TIER_TABLES[tier], context);
   }
 
   selectRandomItem(pool) {
     const totalWeight = pool.reduce((sum, item) => sum + item.weight, 0);
     let random = Math.random() * totalWeight;
-    
+
     for (const item of pool) {
       random -= item.weight;
       if (random <= 0) {
         return item;
       }
     }
-    
+
     return pool[0];
   }
 
   getRandomCount(min, max) {
     return min + Math.floor(Math.random() * (max - min + 1));
   }
+
+  /**
+   * List the item entries of a table as { item, weight, min, max }
+   * @private
+   */
+  describeTable(id) {
+    const table = this.lootTableLoader.getTable(id);
+    if (!table) return [];
+
+    const items = [];
+    for (const pool of table.pools) {
+      for (const entry of pool.entries) {
+        if (entry.type !== 'item') continue;
+        const setCount = (entry.functions || []).find(fn => fn.function === 'set_count');
+        const count = setCount ? setCount.count : 1;
+        items.push({
+          item: entry.name,
+          weight: entry.weight,
+          min: typeof count === 'number' ? count : count.min,
+          max: typeof count === 'number' ? count : count.max
+        });
+      }
+    }
+    return items;
+  }
 }
 
-module.exports = { LootTable }; 
\ No newline at end of file
+module.exports = { LootTable };
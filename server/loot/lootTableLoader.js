@@ -0,0 +1,370 @@
+/**
+ * LootTableLoader - Loads loot tables from JSON datapacks and rolls them
+ *
+ * Tables live at loot_tables/<path>.json in a datapack directory and are
+ * known by <path> ("entities/zombie", "chests/vault/rare"). Directories load
+ * in the same order as recipes, so a later pack overrides a table by id.
+ *
+ * Table files:
+ *   { "pools": [pool, ...], "functions"?: [function, ...] }
+ * Pools:
+ *   { "rolls": number provider, "bonus_rolls"?: number,
+ *     "conditions"?: [...], "functions"?: [...], "entries": [entry, ...] }
+ * Entries:
+ *   { "type": "item", "name": item id, "weight"?: 1, "quality"?: 0,
+ *     "conditions"?: [...], "functions"?: [...] }
+ *   { "type": "empty", "weight"?: 1 }
+ *   { "type": "loot_table", "name": table id, "weight"?: 1 }
+ *
+ * Every roll of a pool picks one entry by weight among those whose conditions
+ * pass. Luck adds floor(bonus_rolls * luck) rolls and shifts each weight by
+ * quality * luck. See lootConditions.js and lootFunctions.js for the
+ * condition and function types, and lootContext.js for what a roll can know.
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const {
+  BUILTIN_DATA_DIRECTORY,
+  DATAPACKS_DIRECTORY,
+  DataFileError,
+  getPackDirectories,
+  collectJsonFiles,
+  readDataFile
+} = require('../utils/datapackFiles');
+const { createLootContext, validateNumberProvider, rollInt } = require('./lootContext');
+const { validateConditions, testConditions } = require('./lootConditions');
+const { validateFunctions, applyFunctions } = require('./lootFunctions');
+
+const LootEntryType = Object.freeze({
+  ITEM: 'item',
+  EMPTY: 'empty',
+  LOOT_TABLE: 'loot_table'
+});
+
+// Nested loot_table entries deeper than this are ignored, guarding against cycles
+const MAX_TABLE_DEPTH = 8;
+
+class LootTableLoader extends EventEmitter {
+  /**
+   * Creates a loot table loader
+   * @param {Object} options - Loader options
+   * @param {Array<String>} options.directories - Datapack directories, lowest priority first
+   * @param {String} options.datapacksDirectory - Directory whose subdirectories are datapacks
+   * @param {Object} options.recipeLoader - Recipes for furnace_smelt, when not the shared loader
+   */
+  constructor(options = {}) {
+    super();
+
+    this.directories = options.directories || [];
+    this.datapacksDirectory = options.datapacksDirectory || null;
+    this.recipeLoader = options.recipeLoader || null;
+
+    this.tables = new Map();
+    this.errors = [];
+  }
+
+  /**
+   * Add a datapack directory after the ones already listed
+   * @param {String} directory - Datapack directory
+   */
+  addDirectory(directory) {
+    if (!this.directories.includes(directory)) {
+      this.directories.push(directory);
+    }
+  }
+
+  /**
+   * Get the directories the next load reads, lowest priority first
+   * @returns {Array<String>} Datapack directories
+   */
+  getPackDirectories() {
+    return getPackDirectories(this.directories, this.datapacksDirectory);
+  }
+
+  /**
+   * Load every datapack directory, replacing the tables loaded before
+   * @returns {Object} { count: tables loaded, errors: [{ file, message }] }
+   */
+  load() {
+    const errors = [];
+    const files = new Map();
+
+    for (const directory of this.getPackDirectories()) {
+      collectJsonFiles(path.join(directory, 'loot_tables'), files);
+    }
+
+    const tables = new Map();
+    for (const [id, file] of files) {
+      try {
+        tables.set(id, this.parseTable(readDataFile(file)));
+      } catch (error) {
+        errors.push({ file, message: error.message });
+      }
+    }
+
+    this.dropMissingReferences(tables, files, errors);
+
+    this.tables = tables;
+    this.errors = errors;
+
+    for (const error of errors) {
+      console.error(`Invalid loot table file ${error.file}: ${error.message}`);
+    }
+
+    const result = { count: tables.size, errors };
+    this.emit('loaded', result);
+    return result;
+  }
+
+  /**
+   * Load the datapacks again, picking up added, changed and removed files
+   * @returns {Object} { count, errors }
+   */
+  reload() {
+    return this.load();
+  }
+
+  /**
+   * Get a loot table by ID
+   * @param {String} id - Table ID
+   * @returns {Object|null} Table or null if not loaded
+   */
+  getTable(id) {
+    return this.tables.get(id) || null;
+  }
+
+  /**
+   * Check whether a table is loaded
+   * @param {String} id - Table ID
+   * @returns {boolean} Whether it is
+   */
+  hasTable(id) {
+    return this.tables.has(id);
+  }
+
+  /**
+   * Roll a loot table
+   * @param {String} id - Table ID
+   * @param {Object} options - Loot context options (seed, random, luck, killer, tool, ...)
+   * @returns {Array<Object>} Stacks { item, count, enchantments?, nbt? }; empty for unknown tables
+   */
+  generate(id, options = {}) {
+    const table = this.getTable(id);
+    if (!table) return [];
+
+    const context = createLootContext({ recipeLoader: this.recipeLoader || undefined, ...options });
+    return this.rollTable(table, context, 0);
+  }
+
+  /**
+   * Roll every pool of a table and apply the table functions
+   * @private
+   */
+  rollTable(table, context, depth) {
+    const stacks = [];
+
+    for (const pool of table.pools) {
+      if (!testConditions(pool.conditions, context)) continue;
+
+      const rolls = rollInt(pool.rolls, context.random) + Math.floor(pool.bonus_rolls * context.luck);
+      for (let i = 0; i < rolls; i++) {
+        for (const stack of this.rollPool(pool, context, depth)) {
+          applyFunctions(stack, pool.functions, context);
+          stacks.push(stack);
+        }
+      }
+    }
+
+    for (const stack of stacks) {
+      applyFunctions(stack, table.functions, context);
+    }
+    return stacks.filter(stack => stack.count > 0);
+  }
+
+  /**
+   * Pick one entry of a pool by weight and produce its stacks
+   * @private
+   */
+  rollPool(pool, context, depth) {
+    const candidates = [];
+    let totalWeight = 0;
+
+    for (const entry of pool.entries) {
+      if (!testConditions(entry.conditions, context)) continue;
+      const weight = Math.max(Math.floor(entry.weight + entry.quality * context.luck), 0);
+      if (weight > 0) {
+        candidates.push({ entry, weight });
+        totalWeight += weight;
+      }
+    }
+    if (totalWeight === 0) return [];
+
+    let roll = Math.floor(context.random() * totalWeight);
+    let chosen = candidates[candidates.length - 1].entry;
+    for (const candidate of candidates) {
+      roll -= candidate.weight;
+      if (roll < 0) {
+        chosen = candidate.entry;
+        break;
+      }
+    }
+
+    let stacks = [];
+    if (chosen.type === LootEntryType.ITEM) {
+      stacks = [{ item: chosen.name, count: 1 }];
+    } else if (chosen.type === LootEntryType.LOOT_TABLE) {
+      const table = this.tables.get(chosen.name);
+      if (table && depth < MAX_TABLE_DEPTH) {
+        stacks = this.rollTable(table, context, depth + 1);
+      }
+    }
+
+    for (const stack of stacks) {
+      applyFunctions(stack, chosen.functions, context);
+    }
+    return stacks;
+  }
+
+  /**
+   * Validate a table file and fill in defaults
+   * @private
+   */
+  parseTable(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new DataFileError('Loot table must be a JSON object');
+    }
+    if (!Array.isArray(data.pools)) {
+      throw new DataFileError('"pools" must be a list');
+    }
+    check(validateFunctions(data.functions, 'functions'));
+
+    return {
+      pools: data.pools.map((pool, index) => this.parsePool(pool, `pools[${index}]`)),
+      functions: data.functions || []
+    };
+  }
+
+  /**
+   * @private
+   */
+  parsePool(pool, field) {
+    if (!pool || typeof pool !== 'object') {
+      throw new DataFileError(`"${field}" must be an object`);
+    }
+    check(validateNumberProvider(pool.rolls, `${field}.rolls`));
+    if (pool.bonus_rolls !== undefined && typeof pool.bonus_rolls !== 'number') {
+      throw new DataFileError(`"${field}.bonus_rolls" must be a number`);
+    }
+    check(validateConditions(pool.conditions, `${field}.conditions`));
+    check(validateFunctions(pool.functions, `${field}.functions`));
+    if (!Array.isArray(pool.entries) || pool.entries.length === 0) {
+      throw new DataFileError(`"${field}.entries" must list at least one entry`);
+    }
+
+    return {
+      rolls: pool.rolls,
+      bonus_rolls: pool.bonus_rolls || 0,
+      conditions: pool.conditions,
+      functions: pool.functions,
+      entries: pool.entries.map((entry, index) => this.parseEntry(entry, `${field}.entries[${index}]`))
+    };
+  }
+
+  /**
+   * @private
+   */
+  parseEntry(entry, field) {
+    if (!entry || !Object.values(LootEntryType).includes(entry.type)) {
+      throw new DataFileError(`"${field}.type" must be one of ${Object.values(LootEntryType).join(', ')}`);
+    }
+    if (entry.type !== LootEntryType.EMPTY && (typeof entry.name !== 'string' || entry.name === '')) {
+      throw new DataFileError(`"${field}.name" must name an ${entry.type === LootEntryType.ITEM ? 'item' : 'loot table'}`);
+    }
+    const weight = entry.weight === undefined ? 1 : entry.weight;
+    if (!Number.isInteger(weight) || weight < 0) {
+      throw new DataFileError(`"${field}.weight" must be a whole number of at least 0`);
+    }
+    if (entry.quality !== undefined && typeof entry.quality !== 'number') {
+      throw new DataFileError(`"${field}.quality" must be a number`);
+    }
+    check(validateConditions(entry.conditions, `${field}.conditions`));
+    check(validateFunctions(entry.functions, `${field}.functions`));
+
+    return {
+      type: entry.type,
+      name: entry.name || null,
+      weight,
+      quality: entry.quality || 0,
+      conditions: entry.conditions,
+      functions: entry.functions
+    };
+  }
+
+  /**
+   * Drop tables whose loot_table entries name a table that didn't load,
+   * repeating until no dropped table is still referenced
+   * @private
+   */
+  dropMissingReferences(tables, files, errors) {
+    let dropped = true;
+    while (dropped) {
+      dropped = false;
+      for (const [id, table] of tables) {
+        const missing = findTableReferences(table).find(name => !tables.has(name));
+        if (missing) {
+          tables.delete(id);
+          errors.push({ file: files.get(id), message: `Unknown loot table "${missing}"` });
+          dropped = true;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Throw a validation problem as a DataFileError
+ * @private
+ */
+function check(problem) {
+  if (problem) {
+    throw new DataFileError(problem);
+  }
+}
+
+/**
+ * @private
+ */
+function findTableReferences(table) {
+  const names = [];
+  for (const pool of table.pools) {
+    for (const entry of pool.entries) {
+      if (entry.type === LootEntryType.LOOT_TABLE) names.push(entry.name);
+    }
+  }
+  return names;
+}
+
+let defaultLoader = null;
+
+/**
+ * The server's shared loader: built-in tables from server/data, then every
+ * datapack in server/datapacks. Loaded on first use.
+ * @returns {LootTableLoader} Shared loader
+ */
+function getDefaultLootTableLoader() {
+  if (!defaultLoader) {
+    defaultLoader = new LootTableLoader({
+      directories: [BUILTIN_DATA_DIRECTORY],
+      datapacksDirectory: DATAPACKS_DIRECTORY
+    });
+    defaultLoader.load();
+  }
+  return defaultLoader;
+}
+
+module.exports = {
+  LootTableLoader,
+  LootEntryType,
+  getDefaultLootTableLoader
+};
@@ -0,0 +1,130 @@
+/**
+ * Goal - one reusable piece of mob behavior
+ *
+ * Mobs are assembled from goals added to a GoalSelector with a priority.
+ * Each goal declares the flags it needs (MOVE, LOOK, JUMP, TARGET); two
+ * goals holding the same flag can't run at once, so a higher priority goal
+ * takes the flag from a lower priority one when that goal is interruptable.
+ *
+ * Goals see the world through a context object passed to every call:
+ *   { world, players, mobs, deltaTime }
+ */
+
+const GoalFlag = Object.freeze({
+  MOVE: 'move',
+  LOOK: 'look',
+  JUMP: 'jump',
+  TARGET: 'target'
+});
+
+class Goal {
+  /**
+   * Create a goal
+   * @param {Object} mob - Mob running the goal
+   * @param {Array<string>} flags - GoalFlag values the goal needs while running
+   */
+  constructor(mob, flags = []) {
+    this.mob = mob;
+    this.flags = new Set(flags);
+
+    // Reported as mob.state while this is the mob's movement goal
+    this.state = null;
+  }
+
+  /**
+   * Whether the goal should start
+   * @param {Object} context - Update context
+   * @returns {boolean} Whether the goal can start
+   */
+  canUse(context) {
+    return false;
+  }
+
+  /**
+   * Whether the running goal should keep running
+   * @param {Object} context - Update context
+   * @returns {boolean} Whether the goal can continue
+   */
+  canContinueToUse(context) {
+    return this.canUse(context);
+  }
+
+  /**
+   * Whether a higher priority goal may take this goal's flags while it runs
+   * @returns {boolean} Whether the goal can be interrupted
+   */
+  isInterruptable() {
+    return true;
+  }
+
+  /**
+   * Called when the goal starts running
+   * @param {Object} context - Update context
+   */
+  start(context) {}
+
+  /**
+   * Called when the goal stops running, finished or interrupted
+   * @param {Object} context - Update context
+   */
+  stop(context) {}
+
+  /**
+   * Called every update while the goal runs
+   * @param {Object} context - Update context
+   * @returns {Object|undefined} Update result for the MobManager (projectiles, spawns...)
+   */
+  tick(context) {}
+
+  /**
+   * Whether the goal needs a flag
+   * @param {string} flag - GoalFlag value
+   * @returns {boolean} Whether the flag is needed
+   */
+  hasFlag(flag) {
+    return this.flags.has(flag);
+  }
+}
+
+/**
+ * Whether an entity is still a valid target: alive and still in the world
+ * @param {Object} target - Player or mob
+ * @param {Object} context - Update context
+ * @returns {boolean} Whether the target is valid
+ */
+function isTargetValid(target, context) {
+  if (!target || target.dead || (typeof target.health === 'number' && target.health <= 0)) {
+    return false;
+  }
+  const players = context.players || {};
+  const mobs = context.mobs || {};
+  return Boolean(players[target.id] || mobs[target.id]);
+}
+
+/**
+ * Nearest of some entities within range
+ * @param {Object} mob - Mob measuring from
+ * @param {Array<Object>} candidates - Players or mobs
+ * @param {number} range - Maximum distance in blocks
+ * @returns {Object|null} Nearest living candidate, or null when none is in range
+ */
+function findNearest(mob, candidates, range) {
+  let nearest = null;
+  let nearestDistance = range;
+  for (const candidate of candidates) {
+    if (!candidate || candidate.dead || !candidate.position) continue;
+    const distance = mob.distanceTo(candidate.position);
+    if (distance <= nearestDistance) {
+      nearest = candidate;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+module.exports = {
+  Goal,
+  GoalFlag,
+  isTargetValid,
+  findNearest
+};
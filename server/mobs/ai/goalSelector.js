@@ -0,0 +1,175 @@
+/**
+ * GoalSelector - runs a mob's goals by priority
+ *
+ * Lower numbers are higher priority. Every update the selector:
+ *   1. stops running goals that can no longer continue
+ *   2. starts goals that can be used and whose flags are free, or held only
+ *      by interruptable goals of lower priority (those are stopped)
+ *   3. ticks every running goal
+ *
+ * Mobs have two selectors: goalSelector for what the mob does and
+ * targetSelector for who it is after.
+ */
+
+class GoalSelector {
+  constructor() {
+    this.goals = []; // { priority, goal, running }, kept sorted by priority
+    this.lockedFlags = new Map(); // flag -> entry holding it
+    this.disabledFlags = new Set();
+  }
+
+  /**
+   * Add a goal
+   * @param {number} priority - Priority, lower runs first
+   * @param {Goal} goal - Goal to add
+   */
+  addGoal(priority, goal) {
+    this.goals.push({ priority, goal, running: false });
+    // Array.prototype.sort is stable, so goals with equal priority keep the order they were added in
+    this.goals.sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * Remove a goal, stopping it if it runs
+   * @param {Goal} goal - Goal to remove
+   * @param {Object} context - Update context passed to stop
+   */
+  removeGoal(goal, context = {}) {
+    const entry = this.goals.find(candidate => candidate.goal === goal);
+    if (!entry) return;
+
+    if (entry.running) {
+      this.stopEntry(entry, context);
+    }
+    this.goals.splice(this.goals.indexOf(entry), 1);
+  }
+
+  /**
+   * Run one update
+   * @param {Object} context - Update context
+   * @returns {Object|undefined} Last update result returned by a running goal
+   */
+  tick(context) {
+    for (const entry of this.goals) {
+      if (entry.running && (this.usesDisabledFlag(entry.goal) || !entry.goal.canContinueToUse(context))) {
+        this.stopEntry(entry, context);
+      }
+    }
+
+    for (const entry of this.goals) {
+      if (entry.running || this.usesDisabledFlag(entry.goal) || !this.canTakeFlags(entry)) {
+        continue;
+      }
+      if (!entry.goal.canUse(context)) {
+        continue;
+      }
+
+      for (const flag of entry.goal.flags) {
+        const holder = this.lockedFlags.get(flag);
+        if (holder && holder.running) {
+          this.stopEntry(holder, context);
+        }
+        this.lockedFlags.set(flag, entry);
+      }
+      entry.running = true;
+      entry.goal.start(context);
+    }
+
+    let result;
+    for (const entry of this.goals) {
+      if (entry.running) {
+        const goalResult = entry.goal.tick(context);
+        if (goalResult) {
+          result = goalResult;
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Stop every running goal
+   * @param {Object} context - Update context passed to stop
+   */
+  stopAll(context = {}) {
+    for (const entry of this.goals) {
+      if (entry.running) {
+        this.stopEntry(entry, context);
+      }
+    }
+  }
+
+  /**
+   * Goals that are running, highest priority first
+   * @returns {Array<Goal>} Running goals
+   */
+  getRunningGoals() {
+    return this.goals.filter(entry => entry.running).map(entry => entry.goal);
+  }
+
+  /**
+   * Whether a goal is running
+   * @param {Goal} goal - Goal to check
+   * @returns {boolean} Whether it runs
+   */
+  isRunning(goal) {
+    return this.goals.some(entry => entry.goal === goal && entry.running);
+  }
+
+  /**
+   * Keep goals needing a flag from running, e.g. MOVE while a mob is ridden
+   * @param {string} flag - GoalFlag value
+   */
+  disableFlag(flag) {
+    this.disabledFlags.add(flag);
+  }
+
+  /**
+   * Let goals needing a flag run again
+   * @param {string} flag - GoalFlag value
+   */
+  enableFlag(flag) {
+    this.disabledFlags.delete(flag);
+  }
+
+  /**
+   * @private
+   */
+  canTakeFlags(entry) {
+    for (const flag of entry.goal.flags) {
+      const holder = this.lockedFlags.get(flag);
+      if (holder && holder.running && holder !== entry &&
+          (holder.priority <= entry.priority || !holder.goal.isInterruptable())) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  usesDisabledFlag(goal) {
+    for (const flag of goal.flags) {
+      if (this.disabledFlags.has(flag)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  stopEntry(entry, context) {
+    entry.running = false;
+    for (const flag of entry.goal.flags) {
+      if (this.lockedFlags.get(flag) === entry) {
+        this.lockedFlags.delete(flag);
+      }
+    }
+    entry.goal.stop(context);
+  }
+}
+
+module.exports = GoalSelector;
@@ -0,0 +1,496 @@
+/**
+ * Reusable mob goals
+ *
+ * Movement goals move the mob with mob.navigateTo / mob.navigateAwayFrom, so
+ * they follow paths when the mob has a navigator and walk straight otherwise.
+ * Goals read what the mob knows from its memory (see sensors.js) and the
+ * mob's target from mob.targetEntity, which the target goals in
+ * targetGoals.js set.
+ */
+
+const { Goal, GoalFlag, isTargetValid, findNearest } = require('./goal');
+const { MemoryType } = require('./mobMemory');
+
+// Walk to a random spot nearby now and then
+class WanderGoal extends Goal {
+  /**
+   * @param {Object} mob - Mob
+   * @param {Object} options - { interval: average ticks between walks (120);
+   *   radius: blocks (10); timeout: ticks before giving up on a spot (200) }
+   */
+  constructor(mob, options = {}) {
+    super(mob, [GoalFlag.MOVE]);
+    this.state = 'wander';
+    this.interval = options.interval || 120;
+    this.radius = options.radius || 10;
+    this.timeout = options.timeout || 200;
+    this.target = null;
+    this.ticksLeft = 0;
+    this.reachable = true;
+  }
+
+  canUse(context) {
+    if (Math.random() >= 1 / this.interval) {
+      return false;
+    }
+    const position = this.mob.position;
+    this.target = {
+      x: position.x + (Math.random() * 2 - 1) * this.radius,
+      y: position.y,
+      z: position.z + (Math.random() * 2 - 1) * this.radius
+    };
+    return true;
+  }
+
+  canContinueToUse(context) {
+    return this.reachable && this.ticksLeft > 0 && this.mob.distanceTo(this.target) >= 0.5;
+  }
+
+  start(context) {
+    this.ticksLeft = this.timeout;
+    this.reachable = true;
+  }
+
+  stop(context) {
+    this.target = null;
+    this.mob.stopNavigation();
+  }
+
+  tick(context) {
+    this.ticksLeft -= context.deltaTime;
+    this.reachable = this.mob.navigateTo(this.target, context.deltaTime);
+  }
+}
+
+// Run away after taking damage, for as long as the mob remembers it
+class PanicGoal extends Goal {
+  constructor(mob) {
+    super(mob, [GoalFlag.MOVE]);
+    this.state = 'flee';
+  }
+
+  canUse(context) {
+    return this.mob.memory.has(MemoryType.HURT_BY);
+  }
+
+  stop(context) {
+    this.mob.stopNavigation();
+  }
+
+  tick(context) {
+    const hurt = this.mob.memory.get(MemoryType.HURT_BY);
+    const threat = hurt.attacker && hurt.attacker.position ? hurt.attacker.position : hurt.position;
+    this.mob.navigateAwayFrom(threat, context.deltaTime);
+  }
+}
+
+// Follow a player holding one of the mob's favourite items
+class TemptGoal extends Goal {
+  /**
+   * @param {Object} mob - Mob
+   * @param {Object} options - { items: item types that tempt the mob;
+   *   range: blocks (10); stopDistance: blocks (2.5) }
+   */
+  constructor(mob, options = {}) {
+    super(mob, [GoalFlag.MOVE, GoalFlag.LOOK]);
+    this.state = 'follow';
+    this.items = options.items || [];
+    this.range = options.range || 10;
+    this.stopDistance = options.stopDistance || 2.5;
+    this.player = null;
+  }
+
+  canUse(context) {
+    const players = this.mob.memory.get(MemoryType.NEAREST_PLAYERS) || [];
+    this.player = players.find(player => this.isTempting(player)) || null;
+    return this.player !== null;
+  }
+
+  canContinueToUse(context) {
+    return isTargetValid(this.player, context) && this.isTempting(this.player);
+  }
+
+  stop(context) {
+    this.player = null;
+    this.mob.stopNavigation();
+  }
+
+  tick(context) {
+    this.mob.lookAt(this.player.position);
+    if (this.mob.distanceTo(this.player.position) > this.stopDistance) {
+      this.mob.navigateTo(this.player.position, context.deltaTime);
+    } else {
+      this.mob.stopNavigation();
+    }
+  }
+
+  /**
+   * @private
+   */
+  isTempting(player) {
+    return this.mob.distanceTo(player.position) <= this.range && this.items.includes(getHeldItemType(player));
+  }
+}
+
+// Keep up with the player that tamed the mob, teleporting when left behind
+class FollowOwnerGoal extends Goal {
+  /**
+   * @param {Object} mob - Mob with tamed, owner (player id) and sitting
+   * @param {Object} options - { startDistance: blocks (10); stopDistance: blocks (2);
+   *   teleportDistance: blocks (12) }
+   */
+  constructor(mob, options = {}) {
+    super(mob, [GoalFlag.MOVE, GoalFlag.LOOK]);
+    this.state = 'follow';
+    this.startDistance = options.startDistance || 10;
+    this.stopDistance = options.stopDistance || 2;
+    this.teleportDistance = options.teleportDistance || 12;
+  }
+
+  canUse(context) {
+    const owner = this.getOwner(context);
+    return owner !== null && this.mob.distanceTo(owner.position) > this.startDistance;
+  }
+
+  canContinueToUse(context) {
+    const owner = this.getOwner(context);
+    return owner !== null && this.mob.distanceTo(owner.position) > this.stopDistance;
+  }
+
+  stop(context) {
+    this.mob.stopNavigation();
+  }
+
+  tick(context) {
+    const owner = this.getOwner(context);
+    this.mob.lookAt(owner.position);
+
+    if (this.mob.distanceTo(owner.position) >= this.teleportDistance) {
+      this.mob.position = {
+        x: owner.position.x + (Math.random() * 2 - 1),
+        y: owner.position.y,
+        z: owner.position.z + (Math.random() * 2 - 1)
+      };
+      this.mob.stopNavigation();
+      return;
+    }
+    this.mob.navigateTo(owner.position, context.deltaTime);
+  }
+
+  /**
+   * @private
+   */
+  getOwner(context) {
+    const mob = this.mob;
+    if (!mob.tamed || !mob.owner || mob.sitting) {
+      return null;
+    }
+    const owner = (context.players || {})[mob.owner];
+    return owner && !owner.dead ? owner : null;
+  }
+}
+
+// Chase the target and hit it once in reach
+class MeleeAttackGoal extends Goal {
+  /**
+   * @param {Object} mob - Mob with attackRange and attackDamage
+   * @param {Object} options - { cooldown: ticks between hits (20) }
+   */
+  constructor(mob, options = {}) {
+    super(mob, [GoalFlag.MOVE, GoalFlag.LOOK]);
+    this.state = 'follow';
+    this.cooldown = options.cooldown || 20;
+  }
+
+  canUse(context) {
+    return isTargetValid(this.mob.targetEntity, context);
+  }
+
+  start(context) {
+    this.state = 'follow';
+  }
+
+  stop(context) {
+    this.mob.stopNavigation();
+  }
+
+  tick(context) {
+    const mob = this.mob;
+    const target = mob.targetEntity;
+
+    if (mob.distanceTo(target.position) > mob.attackRange) {
+      this.state = 'follow';
+      mob.navigateTo(target.position, context.deltaTime);
+      return;
+    }
+
+    this.state = 'attack';
+    mob.lookAt(target.position);
+    if (mob.attackCooldown <= 0) {
+      mob.attack(target);
+      mob.attackCooldown = this.cooldown;
+    }
+  }
+}
+
+// Keep the target at shooting distance and shoot it
+class RangedAttackGoal extends Goal {
+  /**
+   * @param {Object} mob - Mob implementing performRangedAttack(target), which
+   *   returns the projectile for the MobManager
+   * @param {Object} options - { interval: ticks between shots (40);
+   *   minDistance: blocks to back off within (5); maxDistance: blocks to close in from (12) }
+   */
+  constructor(mob, options = {}) {
+    super(mob, [GoalFlag.MOVE, GoalFlag.LOOK]);
+    this.state = 'attack';
+    this.interval = options.interval || 40;
+    this.minDistance = options.minDistance || 5;
+    this.maxDistance = options.maxDistance || 12;
+    this.cooldown = 0;
+  }
+
+  canUse(context) {
+    return isTargetValid(this.mob.targetEntity, context);
+  }
+
+  stop(context) {
+    this.mob.stopNavigation();
+  }
+
+  tick(context) {
+    const mob = this.mob;
+    const target = mob.targetEntity;
+    const distance = mob.distanceTo(target.position);
+
+    if (this.cooldown > 0) {
+      this.cooldown -= context.deltaTime;
+    }
+
+    if (distance < this.minDistance) {
+      mob.navigateAwayFrom(target.position, context.deltaTime);
+      return undefined;
+    }
+    if (distance > this.maxDistance) {
+      mob.navigateTo(target.position, context.deltaTime);
+      return undefined;
+    }
+
+    mob.stopNavigation();
+    mob.lookAt(target.position);
+    if (this.cooldown > 0) {
+      return undefined;
+    }
+    this.cooldown = this.interval;
+    return mob.performRangedAttack(target);
+  }
+}
+
+// Keep away from certain mobs or players
+class AvoidEntityGoal extends Goal {
+  /**
+   * @param {Object} mob - Mob
+   * @param {Object} options - { mobTypes: mob types to avoid; players: avoid players too;
+   *   distance: blocks at which to start running (6); the mob runs until 1.5 times as far }
+   */
+  constructor(mob, options = {}) {
+    super(mob, [GoalFlag.MOVE]);
+    this.state = 'flee';
+    this.mobTypes = options.mobTypes || [];
+    this.players = options.players === true;
+    this.distance = options.distance || 6;
+    this.threat = null;
+  }
+
+  canUse(context) {
+    const candidates = [
+      ...(this.mob.memory.get(MemoryType.NEAREST_ENTITIES) || []).filter(other => this.mobTypes.includes(other.type)),
+      ...(this.players ? this.mob.memory.get(MemoryType.NEAREST_PLAYERS) || [] : [])
+    ];
+    this.threat = findNearest(this.mob, candidates, this.distance);
+    return this.threat !== null;
+  }
+
+  canContinueToUse(context) {
+    return isTargetValid(this.threat, context) && this.mob.distanceTo(this.threat.position) < this.distance * 1.5;
+  }
+
+  stop(context) {
+    this.threat = null;
+    this.mob.stopNavigation();
+  }
+
+  tick(context) {
+    this.mob.navigateAwayFrom(this.threat.position, context.deltaTime);
+  }
+}
+
+// Find a partner that is also in love and make a baby with it
+class BreedGoal extends Goal {
+  /**
+   * @param {Object} mob - Mob
+   * @param {Object} options - { duration: ticks together before the baby comes (60);
+   *   range: blocks to look for a partner in (8) }
+   */
+  constructor(mob, options = {}) {
+    super(mob, [GoalFlag.MOVE, GoalFlag.LOOK]);
+    this.state = 'follow';
+    this.duration = options.duration || 60;
+    this.range = options.range || 8;
+    this.partner = null;
+    this.ticks = 0;
+  }
+
+  canUse(context) {
+    if (!this.mob.isInLove()) {
+      return false;
+    }
+    const candidates = (this.mob.memory.get(MemoryType.NEAREST_ENTITIES) || [])
+      .filter(other => other.type === this.mob.type && typeof other.isInLove === 'function' && other.isInLove());
+    this.partner = findNearest(this.mob, candidates, this.range);
+    return this.partner !== null;
+  }
+
+  canContinueToUse(context) {
+    return this.mob.isInLove() && isTargetValid(this.partner, context) && this.partner.isInLove();
+  }
+
+  start(context) {
+    this.ticks = 0;
+  }
+
+  stop(context) {
+    this.partner = null;
+    this.mob.stopNavigation();
+  }
+
+  tick(context) {
+    this.mob.lookAt(this.partner.position);
+    this.mob.navigateTo(this.partner.position, context.deltaTime);
+
+    this.ticks += context.deltaTime;
+    if (this.ticks >= this.duration && this.mob.distanceTo(this.partner.position) < 3) {
+      return this.mob.breed(this.partner);
+    }
+    return undefined;
+  }
+}
+
+// Stay put while ordered to sit
+class SitGoal extends Goal {
+  constructor(mob) {
+    super(mob, [GoalFlag.MOVE, GoalFlag.JUMP]);
+    this.state = 'idle';
+  }
+
+  canUse(context) {
+    return this.mob.sitting === true;
+  }
+
+  isInterruptable() {
+    return false;
+  }
+
+  start(context) {
+    this.mob.stopNavigation();
+  }
+}
+
+// Turn to a nearby player now and then
+class LookAtPlayerGoal extends Goal {
+  /**
+   * @param {Object} mob - Mob
+   * @param {Object} options - { range: blocks (8); chance: per update (0.02); duration: ticks (40) }
+   */
+  constructor(mob, options = {}) {
+    super(mob, [GoalFlag.LOOK]);
+    this.range = options.range || 8;
+    this.chance = options.chance || 0.02;
+    this.duration = options.duration || 40;
+    this.player = null;
+    this.ticksLeft = 0;
+  }
+
+  canUse(context) {
+    if (Math.random() >= this.chance) {
+      return false;
+    }
+    this.player = this.mob.memory.get(MemoryType.NEAREST_PLAYER);
+    return this.player !== null && this.mob.distanceTo(this.player.position) <= this.range;
+  }
+
+  canContinueToUse(context) {
+    return this.ticksLeft > 0 && isTargetValid(this.player, context) &&
+      this.mob.distanceTo(this.player.position) <= this.range;
+  }
+
+  start(context) {
+    this.ticksLeft = this.duration;
+  }
+
+  stop(context) {
+    this.player = null;
+  }
+
+  tick(context) {
+    this.ticksLeft -= context.deltaTime;
+    this.mob.lookAt(this.player.position);
+  }
+}
+
+// Go to where the last vibration came from, like the warden does
+class InvestigateVibrationGoal extends Goal {
+  /**
+   * @param {Object} mob - Mob with a VibrationSensor
+   * @param {Object} options - { arriveDistance: blocks (2) }
+   */
+  constructor(mob, options = {}) {
+    super(mob, [GoalFlag.MOVE]);
+    this.state = 'investigating';
+    this.arriveDistance = options.arriveDistance || 2;
+  }
+
+  canUse(context) {
+    return this.mob.memory.has(MemoryType.VIBRATION);
+  }
+
+  stop(context) {
+    this.mob.stopNavigation();
+  }
+
+  tick(context) {
+    const vibration = this.mob.memory.get(MemoryType.VIBRATION);
+    if (this.mob.distanceTo(vibration.position) <= this.arriveDistance ||
+        !this.mob.navigateTo(vibration.position, context.deltaTime)) {
+      // Nothing more to find here
+      this.mob.memory.erase(MemoryType.VIBRATION);
+    }
+  }
+}
+
+/**
+ * Type of the item a player holds: players carry it as heldItem, either an
+ * item type or an item with a type
+ * @param {Object} player - Player
+ * @returns {string|null} Item type
+ */
+function getHeldItemType(player) {
+  const held = player.heldItem;
+  if (!held) return null;
+  return typeof held === 'string' ? held : held.type || null;
+}
+
+module.exports = {
+  WanderGoal,
+  PanicGoal,
+  TemptGoal,
+  FollowOwnerGoal,
+  MeleeAttackGoal,
+  RangedAttackGoal,
+  AvoidEntityGoal,
+  BreedGoal,
+  SitGoal,
+  LookAtPlayerGoal,
+  InvestigateVibrationGoal,
+  getHeldItemType
+};
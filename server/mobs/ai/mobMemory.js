@@ -0,0 +1,93 @@
+/**
+ * MobMemory - what a mob knows about its surroundings
+ *
+ * Sensors and events write memories, goals read them. A memory can expire
+ * after a number of ticks, the way the warden forgets a vibration it has not
+ * followed up on.
+ */
+
+const MemoryType = Object.freeze({
+  NEAREST_PLAYER: 'nearest_player',
+  NEAREST_PLAYERS: 'nearest_players',
+  NEAREST_ENTITIES: 'nearest_entities',
+  HURT_BY: 'hurt_by', // { attacker, position } of the last damage taken
+  VIBRATION: 'vibration' // { type, position, entity } of the last vibration heard
+});
+
+class MobMemory {
+  constructor() {
+    this.memories = new Map(); // key -> { value, ticksLeft }
+  }
+
+  /**
+   * Remember a value
+   * @param {string} key - Memory key, usually a MemoryType
+   * @param {*} value - Value to remember
+   * @param {number} ticks - Ticks until the memory expires; omit to keep it until erased
+   */
+  set(key, value, ticks = Infinity) {
+    this.memories.set(key, { value, ticksLeft: ticks });
+  }
+
+  /**
+   * Get a remembered value
+   * @param {string} key - Memory key
+   * @returns {*} The value, or null when there is no such memory
+   */
+  get(key) {
+    const memory = this.memories.get(key);
+    return memory ? memory.value : null;
+  }
+
+  /**
+   * Whether there is a memory for a key
+   * @param {string} key - Memory key
+   * @returns {boolean} Whether it is remembered
+   */
+  has(key) {
+    return this.memories.has(key);
+  }
+
+  /**
+   * Ticks until a memory expires
+   * @param {string} key - Memory key
+   * @returns {number} Ticks left, 0 when there is no such memory
+   */
+  getTicksLeft(key) {
+    const memory = this.memories.get(key);
+    return memory ? memory.ticksLeft : 0;
+  }
+
+  /**
+   * Forget a memory
+   * @param {string} key - Memory key
+   */
+  erase(key) {
+    this.memories.delete(key);
+  }
+
+  /**
+   * Forget everything
+   */
+  clear() {
+    this.memories.clear();
+  }
+
+  /**
+   * Age memories and drop the expired ones
+   * @param {number} deltaTime - Time since last update in ticks
+   */
+  tick(deltaTime) {
+    for (const [key, memory] of this.memories) {
+      memory.ticksLeft -= deltaTime;
+      if (memory.ticksLeft <= 0) {
+        this.memories.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  MobMemory,
+  MemoryType
+};
@@ -0,0 +1,157 @@
+/**
+ * Sensors - fill a mob's memory from the world
+ *
+ * Polling sensors scan every few ticks instead of every update, so a mob
+ * notices a player a moment after they come close. The vibration sensor is
+ * fed by events instead: it hears vibrations handed to mob.handleVibration,
+ * with the same range and cooldown model as the warden's listener.
+ */
+
+const { MemoryType } = require('./mobMemory');
+
+class Sensor {
+  /**
+   * Create a sensor
+   * @param {number} scanRate - Ticks between scans
+   */
+  constructor(scanRate = 20) {
+    this.scanRate = scanRate;
+    this.timer = 0;
+  }
+
+  /**
+   * Scan when it is time to
+   * @param {Object} mob - Mob the sensor belongs to
+   * @param {Object} context - Update context
+   */
+  tick(mob, context) {
+    this.timer -= context.deltaTime;
+    if (this.timer > 0) return;
+
+    this.timer = this.scanRate;
+    this.sense(mob, context);
+  }
+
+  /**
+   * Update the mob's memory
+   * @param {Object} mob - Mob the sensor belongs to
+   * @param {Object} context - Update context
+   */
+  sense(mob, context) {}
+}
+
+// Remembers the players within range, nearest first
+class NearestPlayerSensor extends Sensor {
+  /**
+   * @param {Object} options - { range: blocks, defaults to the mob's aggro range; scanRate }
+   */
+  constructor(options = {}) {
+    super(options.scanRate);
+    this.range = options.range;
+  }
+
+  sense(mob, context) {
+    const range = this.range || mob.aggroRange;
+    const nearby = [];
+    for (const playerId in context.players || {}) {
+      const player = context.players[playerId];
+      if (player.dead || !player.position) continue;
+
+      const distance = mob.distanceTo(player.position);
+      if (distance <= range) {
+        nearby.push({ player, distance });
+      }
+    }
+    nearby.sort((a, b) => a.distance - b.distance);
+
+    if (nearby.length === 0) {
+      mob.memory.erase(MemoryType.NEAREST_PLAYERS);
+      mob.memory.erase(MemoryType.NEAREST_PLAYER);
+      return;
+    }
+    mob.memory.set(MemoryType.NEAREST_PLAYERS, nearby.map(entry => entry.player));
+    mob.memory.set(MemoryType.NEAREST_PLAYER, nearby[0].player);
+  }
+}
+
+// Remembers the other mobs within range, nearest first
+class NearestEntitiesSensor extends Sensor {
+  /**
+   * @param {Object} options - { range: blocks, defaults to 16; scanRate }
+   */
+  constructor(options = {}) {
+    super(options.scanRate);
+    this.range = options.range || 16;
+  }
+
+  sense(mob, context) {
+    const nearby = [];
+    for (const mobId in context.mobs || {}) {
+      const other = context.mobs[mobId];
+      if (other === mob || other.dead || !other.position) continue;
+
+      const distance = mob.distanceTo(other.position);
+      if (distance <= this.range) {
+        nearby.push({ other, distance });
+      }
+    }
+    nearby.sort((a, b) => a.distance - b.distance);
+    mob.memory.set(MemoryType.NEAREST_ENTITIES, nearby.map(entry => entry.other));
+  }
+}
+
+// Remembers the last vibration heard within range
+class VibrationSensor extends Sensor {
+  /**
+   * @param {Object} options - { range: blocks (16); cooldown: ticks before the next
+   *   vibration is heard (40); memoryTime: ticks the vibration is remembered (200) }
+   */
+  constructor(options = {}) {
+    super(options.scanRate);
+    this.range = options.range || 16;
+    this.cooldown = options.cooldown !== undefined ? options.cooldown : 40;
+    this.memoryTime = options.memoryTime || 200;
+    this.cooldownLeft = 0;
+  }
+
+  // Vibrations arrive through onVibration; ticks only count down the listener cooldown
+  tick(mob, context) {
+    if (this.cooldownLeft > 0) {
+      this.cooldownLeft -= context.deltaTime;
+    }
+  }
+
+  /**
+   * Hear a vibration
+   * @param {Object} mob - Mob the sensor belongs to
+   * @param {Object} vibration - { type, position, entity }
+   * @returns {boolean} Whether the vibration was heard
+   */
+  onVibration(mob, vibration) {
+    if (this.cooldownLeft > 0 || !vibration || !vibration.position) {
+      return false;
+    }
+    // Mobs don't listen to their own steps
+    if (vibration.entity && vibration.entity.id === mob.id) {
+      return false;
+    }
+    if (mob.distanceTo(vibration.position) > this.range) {
+      return false;
+    }
+
+    mob.memory.set(MemoryType.VIBRATION, {
+      type: vibration.type,
+      position: { ...vibration.position },
+      entity: vibration.entity || null
+    }, this.memoryTime);
+    this.cooldownLeft = this.cooldown;
+    return true;
+  }
+}
+
+module.exports = {
+  Sensor,
+  NearestPlayerSensor,
+  NearestEntitiesSensor,
+  VibrationSensor
+};
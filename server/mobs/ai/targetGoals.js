@@ -0,0 +1,100 @@
+/**
+ * Target goals - decide who a mob is after
+ *
+ * Target goals run in a mob's targetSelector and set mob.targetEntity; the
+ * attack goals in goals.js go after whatever it is. A target is dropped when
+ * it dies, leaves the world or gets further away than the mob's aggro range.
+ */
+
+const { Goal, GoalFlag, isTargetValid, findNearest } = require('./goal');
+const { MemoryType } = require('./mobMemory');
+
+class TargetGoal extends Goal {
+  constructor(mob) {
+    super(mob, [GoalFlag.TARGET]);
+    this.target = null;
+  }
+
+  canContinueToUse(context) {
+    return this.mob.targetEntity === this.target && this.isSuitable(this.target, context);
+  }
+
+  start(context) {
+    this.mob.targetEntity = this.target;
+  }
+
+  stop(context) {
+    if (this.mob.targetEntity === this.target) {
+      this.mob.targetEntity = null;
+    }
+    this.target = null;
+  }
+
+  /**
+   * @private
+   */
+  isSuitable(target, context) {
+    return isTargetValid(target, context) && this.mob.distanceTo(target.position) <= this.mob.aggroRange;
+  }
+}
+
+// Go after whoever hurt the mob last
+class HurtByTargetGoal extends TargetGoal {
+  /**
+   * @param {Object} mob - Mob
+   * @param {Object} options - { ignore: function(attacker) returning true for
+   *   attackers to leave alone, such as a tamed mob's owner }
+   */
+  constructor(mob, options = {}) {
+    super(mob);
+    this.ignore = options.ignore || (() => false);
+  }
+
+  canUse(context) {
+    const hurt = this.mob.memory.get(MemoryType.HURT_BY);
+    if (!hurt || !hurt.attacker || this.ignore(hurt.attacker)) {
+      return false;
+    }
+    this.target = hurt.attacker;
+    return this.isSuitable(this.target, context);
+  }
+}
+
+// Go after the nearest player or mob of a kind, checking now and then
+class NearestAttackableTargetGoal extends TargetGoal {
+  /**
+   * @param {Object} mob - Mob
+   * @param {Object} options - { players: target players (true); mobTypes: mob types
+   *   to target; chance: of looking per update (0.1); condition: function(mob)
+   *   returning false while the mob should not look for targets }
+   */
+  constructor(mob, options = {}) {
+    super(mob);
+    this.players = options.players !== false;
+    this.mobTypes = options.mobTypes || [];
+    this.chance = options.chance || 0.1;
+    this.condition = options.condition || (() => true);
+  }
+
+  canUse(context) {
+    if (this.mob.targetEntity || !this.condition(this.mob) || Math.random() >= this.chance) {
+      return false;
+    }
+    const candidates = [
+      ...(this.players ? this.mob.memory.get(MemoryType.NEAREST_PLAYERS) || [] : []),
+      ...(this.mob.memory.get(MemoryType.NEAREST_ENTITIES) || []).filter(other => this.mobTypes.includes(other.type))
+    ];
+    this.target = findNearest(this.mob, candidates.filter(candidate => isTargetValid(candidate, context)), this.mob.aggroRange);
+    return this.target !== null;
+  }
+
+  canContinueToUse(context) {
+    return this.condition(this.mob) && super.canContinueToUse(context);
+  }
+}
+
+module.exports = {
+  TargetGoal,
+  HurtByTargetGoal,
+  NearestAttackableTargetGoal
+};
@@ -564,6 +564,11 @@ class Allay extends MobBase {
   moveToward(target, speed) {
     if (!target) return;
     
+    // Fly around obstacles when pathfinding is available; hover in place if there is no way through
+    if (this.navigator) {
+      target = this.navigator.getNextWaypoint(target) || this.position;
+    }
+    
     // Calculate direction to target
     const dx = target.x - this.position.x;
     const dy = target.y - this.position.y;
@@ -54,6 +54,9 @@ class Squid extends MobBase {
     // Set size for collision
     this.width = 0.8;
     this.height = 0.8;
+    
+    // Paths stay in water
+    this.navigationType = 'swimming';
   }
 
   /**
@@ -50,6 +50,10 @@ class Axolotl extends MobBase {
     this.bucketable = true;
     this.targetingCooldown = 0;
     
+    // Paths prefer water but may cross land
+    this.navigationType = 'swimming';
+    this.amphibious = true;
+    
     // Mobs that axolotls specifically target
     this.targetMobs = [
       'drowned', 'guardian', 'elder_guardian', 'squid', 'glow_squid', 
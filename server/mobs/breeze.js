@@ -181,10 +181,10 @@ class Breeze extends MobBase {
     // Apply movement based on pattern
     switch (this.movementPattern) {
       case 'approach':
-        this.moveTowards(this.targetEntity.position, deltaTime);
+        this.navigateTo(this.targetEntity.position, deltaTime);
         break;
       case 'retreat':
-        this.fleeFrom(this.targetEntity.position, deltaTime);
+        this.navigateAwayFrom(this.targetEntity.position, deltaTime);
         break;
       case 'circle':
         this.circleTarget(deltaTime);
@@ -237,7 +237,7 @@ class Breeze extends MobBase {
     };
     
     // Move towards calculated position
-    this.moveTowards(targetPos, deltaTime);
+    this.navigateTo(targetPos, deltaTime);
     
     // Update rotation to face the target
     this.rotation.y = Math.atan2(
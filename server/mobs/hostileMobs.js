@@ -1,5 +1,7 @@
 // Hostile mobs implementation
 const MobBase = require('./mobBase');
+const { WanderGoal, MeleeAttackGoal, RangedAttackGoal, AvoidEntityGoal, LookAtPlayerGoal } = require('./ai/goals');
+const { HurtByTargetGoal, NearestAttackableTargetGoal } = require('./ai/targetGoals');
 
 // Zombie - basic hostile mob that follows and attacks players
 class Zombie extends MobBase {
@@ -14,29 +16,16 @@ class Zombie extends MobBase {
     this.daytime = false;
   }
 
-  update(world, players, mobs, deltaTime) {
-    super.update(world, players, mobs, deltaTime);
+  registerGoals() {
+    this.goalSelector.addGoal(2, new MeleeAttackGoal(this));
+    this.goalSelector.addGoal(7, new WanderGoal(this));
+    this.goalSelector.addGoal(8, new LookAtPlayerGoal(this));
+    this.targetSelector.addGoal(1, new HurtByTargetGoal(this));
+    this.targetSelector.addGoal(2, new NearestAttackableTargetGoal(this));
+  }
 
-    // Check for nearby players to target
-    if (this.state === 'idle' && Math.random() < 0.1) {
-      let closestPlayer = null;
-      let shortestDistance = this.aggroRange;
-      
-      for (const playerId in players) {
-        const player = players[playerId];
-        const distance = this.distanceTo(player.position);
-        
-        if (distance < shortestDistance) {
-          shortestDistance = distance;
-          closestPlayer = player;
-        }
-      }
-      
-      if (closestPlayer) {
-        this.targetEntity = closestPlayer;
-        this.state = 'follow';
-      }
-    }
+  update(world, players, mobs, deltaTime) {
+    const result = super.update(world, players, mobs, deltaTime);
 
     // Burn in sunlight if applicable
     if (this.burnInSunlight && this.daytime && this.isExposedToSky()) {
@@ -50,6 +39,8 @@ class Zombie extends MobBase {
     } else {
       this.isBurning = false;
     }
+
+    return result;
   }
 
   // Mock implementation - would need actual sky exposure check
@@ -63,37 +54,6 @@ class Zombie extends MobBase {
     this.daytime = isDaytime;
   }
 
-  getDrops() {
-    const drops = [];
-    
-    // Rotten flesh
-    drops.push({
-      type: 'rotten_flesh',
-      count: Math.floor(Math.random() * 2) + 1 // 1-2 rotten flesh
-    });
-    
-    // Small chance to drop iron ingot, potato, or carrot
-    const rareDrop = Math.random();
-    if (rareDrop < 0.03) { // 3% chance
-      drops.push({
-        type: 'iron_ingot',
-        count: 1
-      });
-    } else if (rareDrop < 0.06) { // 3% chance
-      drops.push({
-        type: 'potato',
-        count: 1
-      });
-    } else if (rareDrop < 0.09) { // 3% chance
-      drops.push({
-        type: 'carrot',
-        count: 1
-      });
-    }
-    
-    return drops;
-  }
-
   isHostile() {
     return true;
   }
@@ -121,34 +81,22 @@ class Skeleton extends MobBase {
     this.shootingCooldown = 40; // 2 seconds between shots
   }
 
-  update(world, players, mobs, deltaTime) {
-    super.update(world, players, mobs, deltaTime);
+  registerGoals() {
+    this.goalSelector.addGoal(3, new AvoidEntityGoal(this, { mobTypes: ['wolf'] }));
+    this.goalSelector.addGoal(4, new RangedAttackGoal(this, { interval: this.shootingCooldown, minDistance: 5, maxDistance: 12 }));
+    this.goalSelector.addGoal(5, new WanderGoal(this));
+    this.goalSelector.addGoal(6, new LookAtPlayerGoal(this));
+    this.targetSelector.addGoal(1, new HurtByTargetGoal(this));
+    this.targetSelector.addGoal(2, new NearestAttackableTargetGoal(this));
+  }
 
+  update(world, players, mobs, deltaTime) {
     // Update shooting cooldown
     if (this.lastShotTime > 0) {
       this.lastShotTime -= deltaTime;
     }
 
-    // Check for nearby players to target
-    if (this.state === 'idle' && Math.random() < 0.1) {
-      let closestPlayer = null;
-      let shortestDistance = this.aggroRange;
-      
-      for (const playerId in players) {
-        const player = players[playerId];
-        const distance = this.distanceTo(player.position);
-        
-        if (distance < shortestDistance) {
-          shortestDistance = distance;
-          closestPlayer = player;
-        }
-      }
-      
-      if (closestPlayer) {
-        this.targetEntity = closestPlayer;
-        this.state = 'attack';
-      }
-    }
+    const result = super.update(world, players, mobs, deltaTime);
 
     // Burn in sunlight if applicable
     if (this.burnInSunlight && this.daytime && this.isExposedToSky()) {
@@ -163,25 +111,13 @@ class Skeleton extends MobBase {
       this.isBurning = false;
     }
 
-    // Ranged attack behavior - maintain distance from target
-    if (this.state === 'attack' && this.targetEntity) {
-      const distanceToTarget = this.distanceTo(this.targetEntity.position);
-      
-      // Try to maintain ideal shooting distance
-      if (distanceToTarget < 5) {
-        // Move away
-        this.fleeFrom(this.targetEntity.position, deltaTime);
-      } else if (distanceToTarget > 12) {
-        // Move closer
-        this.moveTowards(this.targetEntity.position, deltaTime);
-      } else {
-        // Shoot if cooldown is complete
-        if (this.lastShotTime <= 0) {
-          this.shoot(this.targetEntity);
-          this.lastShotTime = this.shootingCooldown;
-        }
-      }
-    }
+    return result;
+  }
+
+  // Shoot at the target for the ranged attack goal
+  performRangedAttack(target) {
+    this.lastShotTime = this.shootingCooldown;
+    return this.shoot(target);
   }
 
   // Shoot an arrow at the target
@@ -231,34 +167,6 @@ class Skeleton extends MobBase {
     this.daytime = isDaytime;
   }
 
-  getDrops() {
-    const drops = [];
-    
-    // Bones
-    drops.push({
-      type: 'bone',
-      count: Math.floor(Math.random() * 2) + 1 // 1-2 bones
-    });
-    
-    // Arrows
-    if (Math.random() < 0.5) {
-      drops.push({
-        type: 'arrow',
-        count: Math.floor(Math.random() * 2) + 1 // 1-2 arrows
-      });
-    }
-    
-    // Small chance to drop bow
-    if (Math.random() < 0.1) { // 10% chance
-      drops.push({
-        type: 'bow',
-        count: 1
-      });
-    }
-    
-    return drops;
-  }
-
   isHostile() {
     return true;
   }
@@ -328,8 +236,8 @@ class Creeper extends MobBase {
       
       // Check if fuse is complete
       if (this.fuseTimer >= this.fuseTime) {
-        // Explode
-        this.explode();
+        // Explode; MobManager hands the result to the explosion manager
+        return this.explode();
       }
     } else {
       this.fuseTimer = 0;
@@ -342,9 +250,13 @@ class Creeper extends MobBase {
     
     // Calculate explosion damage to nearby entities
     const explosionData = {
+      type: 'explosion',
       position: { ...this.position },
+      power: this.powered ? 6 : 3, // Charged creepers explode twice as hard
+      powered: this.powered,
       radius: this.attackRange,
       damage: this.powered ? 49 : 25,
+      breaksBlocks: this.canGrief(),
       sourceId: this.id
     };
     
@@ -365,51 +277,6 @@ class Creeper extends MobBase {
     }
   }
 
-  getDrops() {
-    const drops = [];
-    
-    // Gunpowder
-    drops.push({
-      type: 'gunpowder',
-      count: Math.floor(Math.random() * 2) + 1 // 1-2 gunpowder
-    });
-    
-    // Music discs if killed by skeleton
-    if (this.lastDamageDealer && (
-        this.lastDamageDealer.type === 'skeleton' || 
-        this.lastDamageDealer.type === 'stray')) {
-      const discTypes = [
-        'music_disc_13',
-        'music_disc_cat',
-        'music_disc_blocks',
-        'music_disc_chirp',
-        'music_disc_far',
-        'music_disc_mall',
-        'music_disc_mellohi',
-        'music_disc_stal',
-        'music_disc_strad',
-        'music_disc_ward',
-        'music_disc_11',
-        'music_disc_wait'
-      ];
-      drops.push({
-        type: discTypes[Math.floor(Math.random() * discTypes.length)],
-        count: 1
-      });
-    }
-    
-    return drops;
-  }
-
-  takeDamage(amount, attacker) {
-    // Record last damage dealer for potential music disc drops
-    if (attacker) {
-      this.lastDamageDealer = attacker;
-    }
-    
-    return super.takeDamage(amount, attacker);
-  }
-
   isHostile() {
     return true;
   }
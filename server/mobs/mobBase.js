@@ -1,5 +1,14 @@
 // Base mob class for all mobs in the game
 const { v4: uuidv4 } = require('uuid');
+const GoalSelector = require('./ai/goalSelector');
+const { GoalFlag } = require('./ai/goal');
+const { MobMemory, MemoryType } = require('./ai/mobMemory');
+const { NearestPlayerSensor, NearestEntitiesSensor } = require('./ai/sensors');
+const { getDefaultLootTableLoader } = require('../loot/lootTableLoader');
+
+const HURT_MEMORY_TICKS = 100; // How long a mob remembers who hurt it
+const LOVE_TICKS = 600; // How long a fed mob looks for a partner
+const BREEDING_COOLDOWN = 6000; // Ticks before parents can breed again
 
 class MobBase {
   constructor(type, position, health, speed) {
@@ -30,6 +39,25 @@ class MobBase {
     this.aggroRange = 16;
     this.fleeHealth = 0; // Health threshold for fleeing (0 = never flee)
     this.persistent = false; // If true, will not despawn naturally
+    this.navigator = null; // Pathfinding navigator, attached by MobManager
+    this.difficultyManager = null; // Scales damage dealt to players, attached by MobManager
+    this.gameRules = null; // World game rules such as mobGriefing, attached by MobManager
+    this.equipment = {}; // Armor and held items by slot (head, chest, legs, feet, mainHand)
+    this.canPickUpLoot = false;
+    this.lootTable = `entities/${type}`; // Loot table rolled for drops on death
+    this.lastAttacker = null; // Who dealt the latest damage, for loot conditions
+
+    // Goal-based AI; mobs add their goals in registerGoals
+    this.goalSelector = new GoalSelector();
+    this.targetSelector = new GoalSelector();
+    this.memory = new MobMemory();
+    this.sensors = [];
+    this.goalsRegistered = false;
+
+    // Breeding
+    this.breedingItems = []; // Items that make the mob fall in love
+    this.loveTicks = 0;
+    this.breedingCooldown = 0;
   }
 
   // Update the mob's state and actions
@@ -44,6 +72,13 @@ class MobBase {
       this.attackCooldown -= deltaTime;
     }
 
+    // Mobs built from goals run them; the others use the state switch below
+    if (this.usesGoals()) {
+      const result = this.updateGoals(world, players, mobs, deltaTime);
+      this.checkDespawn(players);
+      return result;
+    }
+
     // Different AI behaviors based on mob type
     switch (this.state) {
       case 'idle':
@@ -67,6 +102,71 @@ class MobBase {
     this.checkDespawn(players);
   }
 
+  // Add the mob's goals and target goals. Called once, on the mob's first
+  // update, so subclass fields set after super() can be used as goal options.
+  registerGoals() {
+    // Override in subclasses
+  }
+
+  // Add the sensors that feed the mob's memory; mobs with goals see nearby players and mobs
+  registerSensors() {
+    this.addSensor(new NearestPlayerSensor());
+    this.addSensor(new NearestEntitiesSensor());
+  }
+
+  addSensor(sensor) {
+    this.sensors.push(sensor);
+  }
+
+  // Whether the mob is driven by goals
+  usesGoals() {
+    if (!this.goalsRegistered) {
+      this.goalsRegistered = true;
+      this.registerGoals();
+      if (this.goalSelector.goals.length > 0 || this.targetSelector.goals.length > 0) {
+        this.registerSensors();
+      }
+    }
+    return this.goalSelector.goals.length > 0 || this.targetSelector.goals.length > 0;
+  }
+
+  // Sense, pick a target, then run goals. Returns the update result of a goal, if any.
+  updateGoals(world, players, mobs, deltaTime) {
+    const context = { world, players: players || {}, mobs: mobs || {}, deltaTime };
+
+    if (this.loveTicks > 0) {
+      this.loveTicks -= deltaTime;
+    }
+    if (this.breedingCooldown > 0) {
+      this.breedingCooldown -= deltaTime;
+    }
+
+    this.memory.tick(deltaTime);
+    for (const sensor of this.sensors) {
+      sensor.tick(this, context);
+    }
+
+    this.targetSelector.tick(context);
+    const result = this.goalSelector.tick(context);
+
+    // Report what the mob is doing through the same states as the state switch
+    const movement = this.goalSelector.getRunningGoals().find(goal => goal.hasFlag(GoalFlag.MOVE) && goal.state);
+    this.state = movement ? movement.state : 'idle';
+
+    return result;
+  }
+
+  // Pass a vibration (step, block break, ...) to the mob's sensors. Returns whether it was heard.
+  handleVibration(vibration) {
+    let heard = false;
+    for (const sensor of this.sensors) {
+      if (typeof sensor.onVibration === 'function' && sensor.onVibration(this, vibration)) {
+        heard = true;
+      }
+    }
+    return heard;
+  }
+
   updateIdle(deltaTime) {
     // Random chance to start wandering
     if (Math.random() < 0.01) {
@@ -83,11 +183,11 @@ class MobBase {
     }
 
     // Move towards the wander target
-    this.moveTowards(this.wanderTarget, deltaTime);
+    const reachable = this.navigateTo(this.wanderTarget, deltaTime);
 
-    // If we reached the target or it's taking too long, go back to idle
+    // If we reached the target, can't get there or it's taking too long, go back to idle
     const distanceToTarget = this.distanceTo(this.wanderTarget);
-    if (distanceToTarget < 0.5 || (this.wanderTimeout && Date.now() > this.wanderTimeout)) {
+    if (!reachable || distanceToTarget < 0.5 || (this.wanderTimeout && Date.now() > this.wanderTimeout)) {
       this.state = 'idle';
       this.wanderTarget = null;
       this.wanderTimeout = null;
@@ -102,7 +202,7 @@ class MobBase {
     }
 
     // Move towards the target
-    this.moveTowards(this.targetEntity.position, deltaTime);
+    this.navigateTo(this.targetEntity.position, deltaTime);
 
     // If we're close enough, potentially attack
     const distanceToTarget = this.distanceTo(this.targetEntity.position);
@@ -162,7 +262,7 @@ class MobBase {
     }
 
     // Move away from the threat
-    this.fleeFrom(this.targetEntity.position, deltaTime);
+    this.navigateAwayFrom(this.targetEntity.position, deltaTime);
 
     // If we've fled far enough, go back to idle
     const distanceToThreat = this.distanceTo(this.targetEntity.position);
@@ -172,7 +272,42 @@ class MobBase {
     }
   }
 
-  // Basic pathfinding - move towards a target
+  // Move towards a target along a path; mobs without a navigator move in a straight line.
+  // Returns false when the navigator can't find any way towards the target.
+  navigateTo(targetPos, deltaTime) {
+    if (!this.navigator) {
+      this.moveTowards(targetPos, deltaTime);
+      return true;
+    }
+    return this.navigator.moveTo(targetPos, deltaTime);
+  }
+
+  // Move away from a threat along a path; mobs without a navigator move in a straight line
+  navigateAwayFrom(threatPos, deltaTime) {
+    if (!this.navigator) {
+      this.fleeFrom(threatPos, deltaTime);
+      return true;
+    }
+    return this.navigator.flee(threatPos, deltaTime);
+  }
+
+  // Drop the current path, e.g. when a goal stops
+  stopNavigation() {
+    if (this.navigator) {
+      this.navigator.stop();
+    }
+  }
+
+  // Turn to face a position
+  lookAt(targetPos) {
+    const dirX = targetPos.x - this.position.x;
+    const dirZ = targetPos.z - this.position.z;
+    if (dirX !== 0 || dirZ !== 0) {
+      this.rotation.y = Math.atan2(dirX, dirZ);
+    }
+  }
+
+  // Move in a straight line towards a target
   moveTowards(targetPos, deltaTime) {
     // Calculate direction vector
     const dirX = targetPos.x - this.position.x;
@@ -238,7 +373,8 @@ class MobBase {
     if (!target) return;
     
     // Deal damage
-    target.health -= this.attackDamage;
+    const damage = this.getAttackDamageAgainst(target);
+    target.health -= damage;
     
     // Check for death
     if (target.health <= 0) {
@@ -251,12 +387,23 @@ class MobBase {
     return {
       attackerId: this.id,
       targetId: target.id,
-      damage: this.attackDamage
+      damage
     };
   }
 
+  // Damage of a melee hit; hits on players scale with difficulty
+  getAttackDamageAgainst(target) {
+    if (!this.difficultyManager || target instanceof MobBase) {
+      return this.attackDamage;
+    }
+    return this.difficultyManager.scaleDamage(this.attackDamage);
+  }
+
   // Take damage
   takeDamage(amount, attacker) {
+    if (attacker) {
+      this.lastAttacker = attacker;
+    }
     this.health -= amount;
     if (this.health <= 0) {
       this.health = 0;
@@ -264,6 +411,15 @@ class MobBase {
       return true; // Died
     }
     
+    // Mobs with goals react through their panic and hurt-by goals
+    this.memory.set(MemoryType.HURT_BY, {
+      attacker: attacker || null,
+      position: { ...this.position }
+    }, HURT_MEMORY_TICKS);
+    if (this.usesGoals()) {
+      return false;
+    }
+    
     // Respond to damage
     if (this.isNeutral() || this.isHostile()) {
       // Target the attacker
@@ -278,6 +434,44 @@ class MobBase {
     return false; // Survived
   }
 
+  // Whether the mob is looking for a partner
+  isInLove() {
+    return this.loveTicks > 0;
+  }
+
+  // Whether the mob can be fed into love mode
+  canBreed() {
+    return this.breedingCooldown <= 0 && !this.isBaby && !this.isInLove();
+  }
+
+  // Feed the mob; its breeding items make it fall in love. Returns whether the item was eaten.
+  tryFeed(itemType) {
+    if (!this.breedingItems.includes(itemType) || !this.canBreed()) {
+      return false;
+    }
+    this.loveTicks = LOVE_TICKS;
+    return true;
+  }
+
+  // Breed with a partner; the MobManager spawns the baby from the returned update result
+  breed(partner) {
+    this.loveTicks = 0;
+    partner.loveTicks = 0;
+    this.breedingCooldown = BREEDING_COOLDOWN;
+    partner.breedingCooldown = BREEDING_COOLDOWN;
+
+    return {
+      type: 'breed',
+      mobType: this.type,
+      position: {
+        x: (this.position.x + partner.position.x) / 2,
+        y: (this.position.y + partner.position.y) / 2,
+        z: (this.position.z + partner.position.z) / 2
+      },
+      parents: [this.id, partner.id]
+    };
+  }
+
   // Calculate distance to another position
   distanceTo(pos) {
     const dx = this.position.x - pos.x;
@@ -309,6 +503,24 @@ class MobBase {
     return false;
   }
 
+  // What the loot table knows about this mob's death: the killer, whether
+  // it was a player (anything that isn't a mob) and the weapon they held
+  getLootContext() {
+    const killer = this.lastAttacker;
+    return {
+      killer,
+      killedByPlayer: Boolean(killer) && !(killer instanceof MobBase),
+      tool: (killer && killer.heldItem) || null,
+      position: { ...this.position }
+    };
+  }
+
+  // Items dropped on death, rolled from the mob's loot table
+  getDrops(context = this.getLootContext()) {
+    return getDefaultLootTableLoader().generate(this.lootTable, context)
+      .map(({ item, ...stack }) => ({ type: item, ...stack }));
+  }
+
   // Mob classification methods
   isPassive() {
     return false; // Override in subclasses
@@ -322,6 +534,16 @@ class MobBase {
     return false; // Override in subclasses
   }
 
+  // Whether mobGriefing lets the mob change blocks
+  canGrief() {
+    return !this.gameRules || this.gameRules.getBoolean('mobGriefing');
+  }
+
+  // Whether the mob is removed while the world is on peaceful
+  despawnsInPeaceful() {
+    return this.isHostile();
+  }
+
   // Prepare mob data for sending to clients
   serialize() {
     return {
@@ -332,7 +554,8 @@ class MobBase {
       health: this.health,
       maxHealth: this.maxHealth,
       state: this.state,
-      dead: this.dead
+      dead: this.dead,
+      equipment: this.equipment
     };
   }
 }
@@ -0,0 +1,81 @@
+/**
+ * Mob equipment - armor and weapons hostile mobs spawn with
+ *
+ * Follows vanilla: the chance of armor and of picking up loot scale with the
+ * clamped local difficulty, hard difficulty makes full sets and zombie
+ * weapons more likely, and skeletons always carry a bow.
+ */
+
+const ARMOR_SLOTS = ['feet', 'legs', 'chest', 'head'];
+const ARMOR_PIECES = { feet: 'boots', legs: 'leggings', chest: 'chestplate', head: 'helmet' };
+const ARMOR_MATERIALS = ['leather', 'golden', 'chainmail', 'iron', 'diamond'];
+
+// Mobs that can spawn wearing armor, with their weapon rules
+const EQUIPMENT_MOBS = {
+  zombie: { weapon: 'zombie' },
+  husk: { weapon: 'zombie' },
+  zombie_villager: { weapon: 'zombie' },
+  drowned: {},
+  skeleton: { mainHand: 'bow' },
+  stray: { mainHand: 'bow' }
+};
+
+/**
+ * Whether a mob type spawns with equipment
+ * @param {string} type - Mob type
+ * @returns {boolean} True for zombies and skeletons
+ */
+function canSpawnWithEquipment(type) {
+  return Object.prototype.hasOwnProperty.call(EQUIPMENT_MOBS, type);
+}
+
+/**
+ * Roll the equipment a mob spawns with
+ * @param {string} type - Mob type
+ * @param {Object} options - Options
+ * @param {string} options.difficulty - World difficulty
+ * @param {number} options.localDifficulty - Clamped local difficulty, 0 to 1
+ * @param {Function} [options.random=Math.random] - Random source
+ * @returns {Object} { equipment: { head, chest, legs, feet, mainHand }, canPickUpLoot }
+ */
+function rollEquipment(type, options = {}) {
+  const rules = EQUIPMENT_MOBS[type];
+  const random = options.random || Math.random;
+  const localDifficulty = options.localDifficulty || 0;
+  const hard = options.difficulty === 'hard';
+  const equipment = {};
+
+  if (!rules) return { equipment, canPickUpLoot: false };
+
+  if (random() < 0.15 * localDifficulty) {
+    let tier = Math.floor(random() * 2);
+    for (let i = 0; i < 3; i++) {
+      if (random() < 0.095) tier++;
+    }
+
+    // Boots first; each further piece may stop the set
+    const stopChance = hard ? 0.1 : 0.25;
+    for (let i = 0; i < ARMOR_SLOTS.length; i++) {
+      if (i > 0 && random() < stopChance) break;
+      const slot = ARMOR_SLOTS[i];
+      equipment[slot] = { id: `${ARMOR_MATERIALS[tier]}_${ARMOR_PIECES[slot]}`, count: 1 };
+    }
+  }
+
+  if (rules.mainHand) {
+    equipment.mainHand = { id: rules.mainHand, count: 1 };
+  } else if (rules.weapon === 'zombie' && random() < (hard ? 0.05 : 0.01)) {
+    equipment.mainHand = { id: Math.floor(random() * 3) === 0 ? 'iron_sword' : 'iron_shovel', count: 1 };
+  }
+
+  return {
+    equipment,
+    canPickUpLoot: random() < 0.55 * localDifficulty
+  };
+}
+
+module.exports = {
+  ARMOR_MATERIALS,
+  canSpawnWithEquipment,
+  rollEquipment
+};
@@ -9,11 +9,14 @@ const ZombieVillager = require('./zombieVillager');
 const Warden = require('./warden');
 const { Frog, Tadpole } = require('./frogAndTadpole');
 const Allay = require('./allay');
+const LightManager = require('../systems/lightManager');
+const { createNavigator } = require('./navigation');
 const Sniffer = require('./sniffer');
 const Camel = require('./camel');
 const Breeze = require('./breeze');
 const Armadillo = require('./armadillo'); // Import Armadillo mob for 1.22 Sorcery Update
 const CopperGolem = require('./copperGolem');
+const { canSpawnWithEquipment, rollEquipment } = require('./mobEquipment');
 
 class MobManager {
   constructor() {
@@ -80,9 +83,24 @@ class MobManager {
     // Reference to the biome manager (set by server when initializing)
     this.biomeManager = null;
     
+    // Light engine used for spawn light checks (set by server when initializing)
+    this.lightManager = null;
+    
+    // Shared pathfinding service for mob navigators (set by server when initializing)
+    this.pathfinding = null;
+    
     // World seed (set by server when initializing)
     this.worldSeed = 0;
     
+    // World and local difficulty (set by server when initializing)
+    this.difficultyManager = null;
+    
+    // Game rules: doMobSpawning, doMobLoot and mobGriefing (set by server when initializing)
+    this.gameRules = null;
+    
+    // Sets off creeper explosions (set by server when initializing)
+    this.explosionManager = null;
+    
     // Weather conditions
     this.isRaining = false;
     this.moonPhase = 0; // 0-7, with 0 being full moon
@@ -96,6 +114,70 @@ class MobManager {
     this.biomeManager = biomeManager;
   }
   
+  // Set the light engine reference
+  setLightManager(lightManager) {
+    this.lightManager = lightManager;
+  }
+  
+  // Set the pathfinding service and give every mob a navigator
+  setPathfinding(pathfinding) {
+    this.pathfinding = pathfinding;
+    for (const mobId in this.mobs) {
+      this.attachNavigator(this.mobs[mobId]);
+    }
+  }
+  
+  // Give a mob the navigator matching how it moves
+  attachNavigator(mob) {
+    if (this.pathfinding && !mob.navigator) {
+      mob.navigator = createNavigator(mob, this.pathfinding);
+    }
+  }
+  
+  // Set the difficulty manager and let existing mobs scale their damage by it
+  setDifficultyManager(difficultyManager) {
+    this.difficultyManager = difficultyManager;
+    for (const mobId in this.mobs) {
+      this.mobs[mobId].difficultyManager = difficultyManager;
+    }
+  }
+  
+  // Set the explosion manager that creeper explosions go through
+  setExplosionManager(explosionManager) {
+    this.explosionManager = explosionManager;
+  }
+  
+  // Set the game rules and share them with existing mobs
+  setGameRules(gameRules) {
+    this.gameRules = gameRules;
+    for (const mobId in this.mobs) {
+      this.mobs[mobId].gameRules = gameRules;
+    }
+  }
+  
+  // Whether a boolean game rule is on; every rule counts as on without game rules
+  isRuleEnabled(rule) {
+    return !this.gameRules || this.gameRules.getBoolean(rule);
+  }
+  
+  // Whether the world is on peaceful
+  isPeaceful() {
+    return Boolean(this.difficultyManager && this.difficultyManager.isPeaceful());
+  }
+  
+  /**
+   * Local difficulty at a position, from the world difficulty, the time
+   * players spent in its chunk and the moon phase
+   * @param {Object} position - Position
+   * @returns {Object} { value, clamped }, zero without a difficulty manager
+   */
+  getLocalDifficulty(position) {
+    if (!this.difficultyManager) {
+      return { value: 0, clamped: 0 };
+    }
+    return this.difficultyManager.getLocalDifficulty(position, this.moonPhase);
+  }
+  
   // Set the world seed
   setWorldSeed(seed) {
     this.worldSeed = seed;
@@ -126,9 +208,16 @@ class MobManager {
     }
     
     // Update existing mobs
+    const peaceful = this.isPeaceful();
     for (const mobId in this.mobs) {
       const mob = this.mobs[mobId];
       
+      // Peaceful removes hostile mobs outright
+      if (peaceful && mob.despawnsInPeaceful()) {
+        delete this.mobs[mobId];
+        continue;
+      }
+      
       // Update mob
       const updateResult = mob.update(world, players, this.mobs, deltaTime);
       
@@ -192,6 +281,18 @@ class MobManager {
         this.spawnMob('allay', newAllayData.position, newAllayData.options);
         break;
         
+      case 'explosion':
+        // Creeper blew up: break blocks and hurt everything around it
+        if (this.explosionManager) {
+          this.explosionManager.explodeCreeper(mob);
+        }
+        break;
+        
+      case 'breed':
+        // Two mobs in love made a baby
+        this.spawnMob(updateResult.mobType, updateResult.position, { isBaby: true });
+        break;
+        
       default:
         // Unknown update result
         console.log('Unknown update result:', updateResult);
@@ -211,6 +312,8 @@ class MobManager {
 
   // Spawn new mobs
   spawnMobs(world, players) {
+    if (!this.isRuleEnabled('doMobSpawning')) return;
+    
     // Count current mobs by type
     const mobCounts = {
       passive: 0,
@@ -246,8 +349,8 @@ class MobManager {
         mobCounts.neutral++;
       }
       
-      // Spawn hostile mobs (only at night or in dark areas)
-      if (mobCounts.hostile < this.mobCap.hostile && (!this.daytime || Math.random() < 0.3)) {
+      // Spawn hostile mobs (only in dark areas, see canSpawnAtLightLevel, and never on peaceful)
+      if (mobCounts.hostile < this.mobCap.hostile && !this.isPeaceful()) {
         this.trySpawnMobNearPlayer(player, 'hostile');
         mobCounts.hostile++;
       }
@@ -272,6 +375,10 @@ class MobManager {
       z: player.position.z + Math.cos(angle) * distance
     };
     
+    if (!this.canSpawnAtLightLevel(spawnPos, mobCategory)) {
+      return false;
+    }
+    
     // If biome manager is available, use biome-specific spawning
     if (this.biomeManager) {
       return this.trySpawnBiomeSpecificMob(spawnPos, mobCategory);
@@ -288,6 +395,37 @@ class MobManager {
     return false;
   }
 
+  /**
+   * Check the light at a spawn position the way vanilla does: hostile mobs
+   * need no block light and a dim sky, animals need a bright spot. Without
+   * light data for the position only the time of day is considered.
+   * @param {Object} position - Spawn position
+   * @param {string} category - Mob category (passive, neutral, hostile)
+   * @returns {boolean} - Whether the light allows the spawn
+   */
+  canSpawnAtLightLevel(position, category) {
+    const light = this.lightManager;
+    if (!light || !light.hasLightData(position.x, position.z)) {
+      return category !== 'hostile' || !this.daytime || Math.random() < 0.3;
+    }
+    
+    const { x, y, z } = position;
+    if (category === 'hostile') {
+      const skyLight = light.getSkyLight(x, y, z);
+      if (skyLight > Math.floor(Math.random() * 32)) return false;
+      if (light.getBlockLight(x, y, z) > 0) return false;
+      
+      const darkening = LightManager.getSkyDarkening(this.worldTime);
+      return light.getLightLevel(x, y, z, darkening) <= Math.floor(Math.random() * 8);
+    }
+    
+    if (category === 'passive') {
+      return light.getLightLevel(x, y, z) > 8;
+    }
+    
+    return true;
+  }
+
   /**
    * Try to spawn a biome-specific mob at the given position
    * @param {Object} position - Spawn position
@@ -416,6 +554,19 @@ class MobManager {
     // Create a new mob instance
     const mob = new MobClass(position, options);
     this.mobs[mob.id] = mob;
+    this.attachNavigator(mob);
+    mob.difficultyManager = this.difficultyManager;
+    mob.gameRules = this.gameRules;
+    
+    // Zombies and skeletons may spawn armored, more so in harder regions
+    if (canSpawnWithEquipment(mobType) && !options.equipment) {
+      const { equipment, canPickUpLoot } = rollEquipment(mobType, {
+        difficulty: this.difficultyManager ? this.difficultyManager.getDifficulty() : 'normal',
+        localDifficulty: this.getLocalDifficulty(position).clamped
+      });
+      mob.equipment = equipment;
+      mob.canPickUpLoot = canPickUpLoot;
+    }
     
     console.log(`Spawned ${mobType} at`, position);
     
@@ -424,7 +575,7 @@ class MobManager {
 
   // Handle loot dropping from mob death
   dropLoot(mob) {
-    if (!mob.getDrops) return;
+    if (!mob.getDrops || !this.isRuleEnabled('doMobLoot')) return;
     
     const drops = mob.getDrops();
     
@@ -556,6 +707,17 @@ class MobManager {
       return { success: false, error: 'Mob not found' };
     }
     
+    // Feeding a goal-driven mob its breeding item puts it in love mode
+    if (data.action === 'feed' && typeof mob.usesGoals === 'function' && mob.usesGoals() &&
+        mob.breedingItems.includes(data.itemId)) {
+      const success = mob.tryFeed(data.itemId);
+      return {
+        success: success,
+        consumeItem: success,
+        inLove: mob.isInLove()
+      };
+    }
+    
     // Different interactions based on mob type
     switch (mob.type) {
       case 'sheep':
@@ -0,0 +1,268 @@
+/**
+ * Mob navigation - steering mobs along paths from the PathfindingManager
+ *
+ * Each mob with pathfinding gets a navigator for how it moves:
+ *   - GroundNavigator: walking mobs; jumps, drops and swims as the path says
+ *   - FlyingNavigator: Allay, Breeze, the Ender Dragon; moves freely in 3D
+ *   - SwimmingNavigator: squids and axolotls; stays in water unless amphibious
+ *
+ * A navigator searches a path when it has none, when the path was
+ * invalidated by a block change, or when the target has moved away from the
+ * goal of the current path. Searches are rate-limited per mob, and mobs
+ * follow the best partial path while the target is out of reach.
+ */
+
+const REPATH_INTERVAL = 10; // ticks between searches for the same mob
+const REPATH_DISTANCE = 1.5; // blocks the target may move before searching again
+const WAYPOINT_REACHED = 0.35;
+const FLEE_DISTANCE = 10;
+const FLEE_SPEED_MULTIPLIER = 1.5;
+
+class Navigator {
+  /**
+   * Create a navigator
+   * @param {Object} mob - Mob to move, with position, rotation and speed
+   * @param {PathfindingManager} pathfinding - Shared pathfinding service
+   * @param {Object} options - Search options passed to findPath (mode, height, canOpenDoors, ...)
+   */
+  constructor(mob, pathfinding, options = {}) {
+    this.mob = mob;
+    this.pathfinding = pathfinding;
+    this.options = {
+      height: mob.height || 2,
+      canOpenDoors: mob.canOpenDoors === true,
+      ...options
+    };
+
+    this.path = null;
+    this.index = 0;
+    this.target = null;
+    this.repathCooldown = 0;
+  }
+
+  /**
+   * Move the mob one step along a path towards a target
+   * @param {Object} target - Target position
+   * @param {number} deltaTime - Time since last update in ticks
+   * @param {Object} options - { range: how close counts as arriving, speedMultiplier }
+   * @returns {boolean} Whether the mob is making its way; false when the
+   *   target cannot be reached at all from here
+   */
+  moveTo(target, deltaTime, options = {}) {
+    const waypoint = this.getNextWaypoint(target, deltaTime, options);
+    if (!waypoint) {
+      return false;
+    }
+    this.steer(waypoint, deltaTime, options.speedMultiplier || 1);
+    return true;
+  }
+
+  /**
+   * Move the mob away from a threat, around obstacles
+   * @param {Object} threat - Position to get away from
+   * @param {number} deltaTime - Time since last update in ticks
+   * @returns {boolean} Whether the mob found somewhere to run to
+   */
+  flee(threat, deltaTime) {
+    const position = this.mob.position;
+    let dx = position.x - threat.x;
+    let dy = this.isFreeMoving() ? position.y - threat.y : 0;
+    let dz = position.z - threat.z;
+    let length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (length === 0) {
+      const angle = Math.random() * Math.PI * 2;
+      dx = Math.sin(angle);
+      dy = 0;
+      dz = Math.cos(angle);
+      length = 1;
+    }
+
+    // Keep running towards the same spot until it is reached or stops being away from the threat
+    const fleeTarget = {
+      x: position.x + dx / length * FLEE_DISTANCE,
+      y: position.y + dy / length * FLEE_DISTANCE,
+      z: position.z + dz / length * FLEE_DISTANCE
+    };
+    if (this.target && this.path && this.path.valid &&
+        distanceBetween(this.target, threat) > distanceBetween(position, threat)) {
+      fleeTarget.x = this.target.x;
+      fleeTarget.y = this.target.y;
+      fleeTarget.z = this.target.z;
+    }
+
+    return this.moveTo(fleeTarget, deltaTime, { range: 3, speedMultiplier: FLEE_SPEED_MULTIPLIER });
+  }
+
+  /**
+   * Next point to steer towards on the way to a target, searching a new
+   * path when needed. Mobs with their own movement physics use this
+   * instead of moveTo.
+   * @param {Object} target - Target position
+   * @param {number} deltaTime - Time since last update in ticks
+   * @param {Object} options - { range: how close counts as arriving }
+   * @returns {Object|null} Waypoint position, or null when the target is unreachable
+   */
+  getNextWaypoint(target, deltaTime = 1, options = {}) {
+    this.repathCooldown -= deltaTime;
+    if (this.needsPath(target)) {
+      this.computePath(target, options.range);
+    }
+
+    const nodes = this.path ? this.path.nodes : [];
+    while (this.index < nodes.length && this.hasReached(this.toWaypoint(nodes[this.index]))) {
+      this.index++;
+    }
+
+    if (this.index < nodes.length) {
+      return this.toWaypoint(nodes[this.index]);
+    }
+    // Past the last node of a complete path the target itself is close enough to head for
+    if (this.path && this.path.complete) {
+      return target;
+    }
+    return null;
+  }
+
+  /**
+   * Forget the current path
+   */
+  stop() {
+    this.path = null;
+    this.index = 0;
+    this.target = null;
+  }
+
+  /**
+   * Whether the mob is following a path
+   * @returns {boolean} Whether there is a path with nodes left
+   */
+  isNavigating() {
+    return this.path !== null && this.index < this.path.nodes.length;
+  }
+
+  /**
+   * @private
+   */
+  needsPath(target) {
+    if (!this.path || !this.path.valid) {
+      return true;
+    }
+    if (this.repathCooldown > 0) {
+      return false;
+    }
+    return distanceBetween(target, this.target) > REPATH_DISTANCE || !this.isNavigating();
+  }
+
+  /**
+   * @private
+   */
+  computePath(target, range) {
+    const options = range === undefined ? this.options : { ...this.options, range };
+    this.path = this.pathfinding.findPath(this.mob.position, target, options);
+    this.target = { x: target.x, y: target.y, z: target.z };
+    this.repathCooldown = REPATH_INTERVAL;
+
+    // The first node is the cell the mob is already in
+    this.index = this.path.nodes.length > 1 ? 1 : 0;
+  }
+
+  /**
+   * Move the mob straight towards a waypoint without overshooting it
+   * @private
+   */
+  steer(waypoint, deltaTime, speedMultiplier) {
+    const position = this.mob.position;
+    const dx = waypoint.x - position.x;
+    const dy = waypoint.y - position.y;
+    const dz = waypoint.z - position.z;
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (length === 0) return;
+
+    const step = Math.min(length, this.mob.speed * speedMultiplier * deltaTime / 20);
+    position.x += dx / length * step;
+    position.y += dy / length * step;
+    position.z += dz / length * step;
+
+    if (dx !== 0 || dz !== 0) {
+      this.mob.rotation.y = Math.atan2(dx, dz);
+    }
+  }
+
+  /**
+   * @private
+   */
+  hasReached(waypoint) {
+    const position = this.mob.position;
+    const dx = waypoint.x - position.x;
+    const dz = waypoint.z - position.z;
+    return Math.sqrt(dx * dx + dz * dz) < WAYPOINT_REACHED && Math.abs(waypoint.y - position.y) < 0.6;
+  }
+
+  /**
+   * @private
+   */
+  toWaypoint(node) {
+    return { x: node.x + 0.5, y: node.y, z: node.z + 0.5 };
+  }
+
+  /**
+   * @private
+   */
+  isFreeMoving() {
+    return this.options.mode === 'flying' || this.options.mode === 'swimming';
+  }
+}
+
+class GroundNavigator extends Navigator {
+  constructor(mob, pathfinding, options = {}) {
+    super(mob, pathfinding, { mode: 'ground', ...options });
+  }
+}
+
+class FlyingNavigator extends Navigator {
+  constructor(mob, pathfinding, options = {}) {
+    super(mob, pathfinding, { mode: 'flying', ...options });
+  }
+}
+
+class SwimmingNavigator extends Navigator {
+  constructor(mob, pathfinding, options = {}) {
+    super(mob, pathfinding, { mode: 'swimming', amphibious: mob.amphibious === true, ...options });
+  }
+}
+
+/**
+ * Create the navigator matching how a mob moves. Mobs declare it with
+ * navigationType ('ground', 'flying' or 'swimming'); mobs flagged as flying
+ * get a flying navigator, everything else walks.
+ * @param {Object} mob - Mob to navigate
+ * @param {PathfindingManager} pathfinding - Shared pathfinding service
+ * @returns {Navigator} Navigator
+ */
+function createNavigator(mob, pathfinding) {
+  const type = mob.navigationType || (mob.flying || mob.flyingMob ? 'flying' : 'ground');
+  switch (type) {
+    case 'flying':
+      return new FlyingNavigator(mob, pathfinding);
+    case 'swimming':
+      return new SwimmingNavigator(mob, pathfinding);
+    default:
+      return new GroundNavigator(mob, pathfinding);
+  }
+}
+
+function distanceBetween(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+module.exports = {
+  Navigator,
+  GroundNavigator,
+  FlyingNavigator,
+  SwimmingNavigator,
+  createNavigator,
+  REPATH_INTERVAL
+};
@@ -5,6 +5,7 @@
 
 const MobBase = require('./mobBase');
 const { calculateDistance, getRandomInt } = require('../utils/mathUtils');
+const { getItemTags } = require('../registry/tagRegistry');
 
 /**
  * Piglin - Neutral mob that attacks players without gold armor
@@ -48,11 +49,6 @@ class Piglin extends MobBase {
     this.zombifyingProgress = 0;
     this.maxZombifyingTime = 300; // 15 seconds at 20 ticks/sec
     this.aggroToPlayersWithoutGold = true;
-    this.preferredItems = [
-      'gold_ingot', 'gold_block', 'golden_helmet', 'golden_chestplate', 
-      'golden_leggings', 'golden_boots', 'golden_sword', 'golden_axe',
-      'golden_pickaxe', 'golden_shovel', 'golden_hoe'
-    ];
     
     // Barter loot table
     this.barterLoot = [
@@ -146,9 +142,17 @@ class Piglin extends MobBase {
     if (!player.equipment) return false;
     
     const armor = player.equipment;
-    return Object.values(armor).some(item => 
-      item && item.id && item.id.startsWith('golden_')
-    );
+    const itemTags = getItemTags();
+    return Object.values(armor).some(item => itemTags.contains('piglin_safe_armor', item));
+  }
+
+  /**
+   * Checks if the Piglin wants an item (#piglin_loved)
+   * @param {Object|String} item - Item or item ID
+   * @returns {Boolean} - Whether the Piglin picks it up and admires it
+   */
+  isLovedItem(item) {
+    return getItemTags().contains('piglin_loved', item);
   }
 
   /**
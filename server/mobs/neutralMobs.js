@@ -1,5 +1,7 @@
 // Neutral mobs implementation
 const MobBase = require('./mobBase');
+const { WanderGoal, SitGoal, MeleeAttackGoal, FollowOwnerGoal, LookAtPlayerGoal } = require('./ai/goals');
+const { HurtByTargetGoal, NearestAttackableTargetGoal } = require('./ai/targetGoals');
 
 // Wolf - can be tamed or will attack when provoked
 class Wolf extends MobBase {
@@ -39,62 +41,20 @@ class Wolf extends MobBase {
     return wolf;
   }
 
-  update(world, players, mobs, deltaTime) {
-    super.update(world, players, mobs, deltaTime);
-
-    // If sitting, don't move
-    if (this.sitting) {
-      this.state = 'idle';
-      return;
-    }
-
-    // If tamed, follow owner
-    if (this.tamed && this.owner && !this.sitting) {
-      const owner = players[this.owner];
-      if (owner) {
-        const distanceToOwner = this.distanceTo(owner.position);
-        
-        // Follow owner if too far away
-        if (distanceToOwner > 3 && distanceToOwner < 20) {
-          this.targetEntity = owner;
-          this.state = 'follow';
-        } else if (distanceToOwner <= 3) {
-          // Stay close to owner but don't follow too closely
-          this.state = 'idle';
-        }
-        
-        // Teleport to owner if too far away
-        if (distanceToOwner > 20) {
-          this.position = {
-            x: owner.position.x + (Math.random() * 2 - 1),
-            y: owner.position.y,
-            z: owner.position.z + (Math.random() * 2 - 1)
-          };
-        }
-      }
-    }
-
-    // Check for potential targets (sheep, rabbits)
-    if (!this.tamed && this.state === 'idle' && Math.random() < 0.01) {
-      let nearestPrey = null;
-      let shortestDistance = this.aggroRange;
-      
-      for (const mobId in mobs) {
-        const mob = mobs[mobId];
-        if ((mob.type === 'sheep' || mob.type === 'rabbit') && !mob.dead) {
-          const distance = this.distanceTo(mob.position);
-          if (distance < shortestDistance) {
-            shortestDistance = distance;
-            nearestPrey = mob;
-          }
-        }
-      }
-      
-      if (nearestPrey) {
-        this.targetEntity = nearestPrey;
-        this.state = 'follow';
-      }
-    }
+  registerGoals() {
+    this.goalSelector.addGoal(1, new SitGoal(this));
+    this.goalSelector.addGoal(2, new MeleeAttackGoal(this));
+    this.goalSelector.addGoal(3, new FollowOwnerGoal(this, { startDistance: 3, stopDistance: 2, teleportDistance: 20 }));
+    this.goalSelector.addGoal(5, new WanderGoal(this));
+    this.goalSelector.addGoal(6, new LookAtPlayerGoal(this));
+    this.targetSelector.addGoal(1, new HurtByTargetGoal(this, { ignore: attacker => attacker.id === this.owner }));
+    // Wild wolves hunt sheep and rabbits
+    this.targetSelector.addGoal(2, new NearestAttackableTargetGoal(this, {
+      players: false,
+      mobTypes: ['sheep', 'rabbit'],
+      chance: 0.01,
+      condition: wolf => !wolf.tamed
+    }));
   }
 
   // Try to tame the wolf with a bone
@@ -326,29 +286,15 @@ class Spider extends MobBase {
     }
   }
 
-  getDrops() {
-    const drops = [
-      {
-        type: 'string',
-        count: Math.floor(Math.random() * 2) + 1 // 1-2 string
-      }
-    ];
-    
-    // Small chance to drop spider eye
-    if (Math.random() < 0.33) {
-      drops.push({
-        type: 'spider_eye',
-        count: 1
-      });
-    }
-    
-    return drops;
-  }
-
   isNeutral() {
     return this.daytime; // Neutral during day
   }
 
+  // Removed on peaceful even during the day
+  despawnsInPeaceful() {
+    return true;
+  }
+
   isHostile() {
     return !this.daytime; // Hostile at night
   }
@@ -417,7 +363,7 @@ class Enderman extends MobBase {
     }
 
     // Random block picking/placing
-    if (this.state === 'idle' && Math.random() < 0.001) {
+    if (this.state === 'idle' && this.canGrief() && Math.random() < 0.001) {
       if (this.heldBlock) {
         // Place block
         this.heldBlock = null;
@@ -493,21 +439,15 @@ class Enderman extends MobBase {
     return super.takeDamage(amount, attacker);
   }
 
-  getDrops() {
-    const drops = [
-      {
-        type: 'ender_pearl',
-        count: Math.random() < 0.5 ? 1 : 0 // 50% chance to drop 1 ender pearl
-      }
-    ];
-    
-    return drops;
-  }
-
   isNeutral() {
     return !this.staredAt;
   }
 
+  // Removed on peaceful even while calm
+  despawnsInPeaceful() {
+    return true;
+  }
+
   isHostile() {
     return this.staredAt;
   }
@@ -1,5 +1,15 @@
 // Passive mobs implementation
 const MobBase = require('./mobBase');
+const { WanderGoal, PanicGoal, TemptGoal, BreedGoal, LookAtPlayerGoal } = require('./ai/goals');
+
+// Goals shared by the farm animals: run when hurt, breed, follow food, wander
+function registerFarmAnimalGoals(mob, temptItems) {
+  mob.goalSelector.addGoal(1, new PanicGoal(mob));
+  mob.goalSelector.addGoal(2, new BreedGoal(mob));
+  mob.goalSelector.addGoal(3, new TemptGoal(mob, { items: temptItems }));
+  mob.goalSelector.addGoal(5, new WanderGoal(mob));
+  mob.goalSelector.addGoal(6, new LookAtPlayerGoal(mob));
+}
 
 // Sheep - a basic passive mob that drops wool when killed
 class Sheep extends MobBase {
@@ -11,10 +21,15 @@ class Sheep extends MobBase {
     this.eatingGrassTimer = 0;
     this.isEating = false;
     this.fleeHealth = 4; // Flee at half health
+    this.breedingItems = ['wheat'];
+  }
+
+  registerGoals() {
+    registerFarmAnimalGoals(this, this.breedingItems);
   }
 
   update(world, players, mobs, deltaTime) {
-    super.update(world, players, mobs, deltaTime);
+    const result = super.update(world, players, mobs, deltaTime);
 
     // Regrow wool over time
     if (!this.hasWool) {
@@ -39,6 +54,8 @@ class Sheep extends MobBase {
         this.hasWool = true; // Eating grass regrows wool
       }
     }
+
+    return result;
   }
 
   getRandomColor() {
@@ -51,24 +68,18 @@ class Sheep extends MobBase {
     return colors[Math.floor(Math.random() * colors.length)];
   }
 
-  getDrops() {
-    const drops = [];
+  getDrops(context) {
+    const drops = super.getDrops(context);
     
-    // Drop wool if has wool
+    // Drop wool if has wool, in the sheep's color
     if (this.hasWool) {
-      drops.push({
+      drops.unshift({
         type: 'wool',
         color: this.woolColor,
         count: 1
       });
     }
     
-    // Always drop raw mutton
-    drops.push({
-      type: 'raw_mutton',
-      count: Math.floor(Math.random() * 2) + 1 // 1-2 raw mutton
-    });
-    
     return drops;
   }
 
@@ -102,19 +113,11 @@ class Cow extends MobBase {
   constructor(position) {
     super('cow', position, 10, 0.7); // type, position, health, speed
     this.fleeHealth = 5; // Flee at half health
+    this.breedingItems = ['wheat'];
   }
 
-  getDrops() {
-    return [
-      {
-        type: 'leather',
-        count: Math.floor(Math.random() * 2) + 1 // 1-2 leather
-      },
-      {
-        type: 'raw_beef',
-        count: Math.floor(Math.random() * 3) + 1 // 1-3 raw beef
-      }
-    ];
+  registerGoals() {
+    registerFarmAnimalGoals(this, this.breedingItems);
   }
 
   isPassive() {
@@ -128,10 +131,15 @@ class Chicken extends MobBase {
     super('chicken', position, 4, 0.5); // type, position, health, speed
     this.eggLayTimer = Math.floor(Math.random() * 6000) + 6000; // 5-10 minutes
     this.fleeHealth = 2; // Flee at half health
+    this.breedingItems = ['wheat_seeds', 'melon_seeds', 'pumpkin_seeds', 'beetroot_seeds'];
+  }
+
+  registerGoals() {
+    registerFarmAnimalGoals(this, this.breedingItems);
   }
 
   update(world, players, mobs, deltaTime) {
-    super.update(world, players, mobs, deltaTime);
+    const result = super.update(world, players, mobs, deltaTime);
 
     // Egg laying logic
     if (this.eggLayTimer > 0) {
@@ -142,19 +150,8 @@ class Chicken extends MobBase {
         return { type: 'layEgg', position: { ...this.position } };
       }
     }
-  }
 
-  getDrops() {
-    return [
-      {
-        type: 'feather',
-        count: Math.floor(Math.random() * 2) + 1 // 1-2 feathers
-      },
-      {
-        type: 'raw_chicken',
-        count: 1
-      }
-    ];
+    return result;
   }
 
   isPassive() {
@@ -175,15 +172,15 @@ class Pig extends MobBase {
     super('pig', position, 10, 0.6); // type, position, health, speed
     this.saddled = false;
     this.fleeHealth = 5; // Flee at half health
+    this.breedingItems = ['carrot', 'potato', 'beetroot'];
   }
 
-  getDrops() {
-    const drops = [
-      {
-        type: 'raw_porkchop',
-        count: Math.floor(Math.random() * 3) + 1 // 1-3 raw porkchop
-      }
-    ];
+  registerGoals() {
+    registerFarmAnimalGoals(this, [...this.breedingItems, 'carrot_on_a_stick']);
+  }
+
+  getDrops(context) {
+    const drops = super.getDrops(context);
     
     // Drop saddle if saddled
     if (this.saddled) {
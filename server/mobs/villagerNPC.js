@@ -38,6 +38,7 @@ class VillagerNPC extends MobBase {
     this.isSleeping = false;
     this.isWorking = false;
     this.persistent = true; // Villagers don't despawn naturally
+    this.canOpenDoors = true; // Paths may lead through wooden doors
     this.fleeHealth = 10; // Flee at half health
     
     // Breeding related
@@ -2,9 +2,37 @@
  * PhysicsEngine - Handles physics simulation for the world
  */
 
+const AABB = require('./aabb');
+
+// Blocks entities walk through even though they are not air
+const NON_COLLIDING_BLOCKS = new Set([
+  'air', 'cave_air', 'void_air', 'water', 'flowing_water', 'lava', 'flowing_lava',
+  'short_grass', 'tall_grass', 'fern', 'large_fern', 'dead_bush', 'flower',
+  'dandelion', 'poppy', 'sapling', 'seagrass', 'kelp', 'kelp_plant', 'sugar_cane',
+  'wheat', 'carrots', 'potatoes', 'beetroots', 'torch', 'wall_torch', 'soul_torch',
+  'redstone_torch', 'redstone_wall_torch', 'redstone_wire', 'redstone_dust',
+  'lever', 'stone_button', 'oak_button', 'rail', 'powered_rail', 'detector_rail',
+  'fire', 'soul_fire', 'cobweb', 'vine', 'glow_lichen', 'sculk_vein',
+  'cave_vines', 'glow_berry_vine', 'weeping_vines', 'twisting_vines',
+  'spore_blossom', 'nether_portal', 'end_portal', 'light', 'structure_void'
+]);
+
+// Overlaps smaller than this are treated as touching, not colliding
+const COLLISION_EPSILON = 1e-4;
+
+// Distance between the points hasLineOfSight samples along a line
+const RAY_STEP = 0.2;
+
 class PhysicsEngine {
-  constructor(world) {
+  /**
+   * Create a new physics engine
+   * @param {Object} world - World to simulate
+   * @param {Object} options - Engine options
+   * @param {FluidManager} options.fluidManager - Fluid simulation whose currents push entities
+   */
+  constructor(world, options = {}) {
     this.world = world;
+    this.fluidManager = options.fluidManager || (world && world.fluids) || null;
     this.gravity = 9.8; // m/s^2
     this.airResistance = 0.02;
     this.maxFallDistance = 100;
@@ -39,6 +67,9 @@ class PhysicsEngine {
     entity.velocity.x *= (1 - this.airResistance);
     entity.velocity.z *= (1 - this.airResistance);
 
+    // Let flowing water and lava carry the entity
+    this.applyFluidCurrents(entity, deltaTime);
+
     // Update position
     const newPosition = {
       x: entity.position.x + entity.velocity.x * deltaTime,
@@ -60,6 +91,157 @@ class PhysicsEngine {
     entity.isOnGround = this.checkOnGround(entity);
   }
 
+  /**
+   * Push an entity along the flow of the fluids it is in. Flows of all
+   * fluid blocks the entity touches are combined per fluid type.
+   * @param {Entity} entity - The entity to push
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  applyFluidCurrents(entity, deltaTime) {
+    if (!this.fluidManager) {
+      return;
+    }
+
+    const halfWidth = (entity.width || 0.6) / 2;
+    const height = entity.height || 1.8;
+    const { x, y, z } = entity.position;
+    const currents = {};
+
+    for (let bx = Math.floor(x - halfWidth); bx <= Math.floor(x + halfWidth - 0.001); bx++) {
+      for (let by = Math.floor(y); by <= Math.floor(y + height - 0.001); by++) {
+        for (let bz = Math.floor(z - halfWidth); bz <= Math.floor(z + halfWidth - 0.001); bz++) {
+          const fluid = this.fluidManager.getFluidAt(bx, by, bz);
+          if (!fluid) {
+            continue;
+          }
+
+          const flow = this.fluidManager.getFlow(bx, by, bz);
+          const current = currents[fluid.type] || (currents[fluid.type] = { x: 0, y: 0, z: 0 });
+          current.x += flow.x;
+          current.y += flow.y;
+          current.z += flow.z;
+        }
+      }
+    }
+
+    for (const type in currents) {
+      const current = currents[type];
+      const length = Math.sqrt(current.x * current.x + current.y * current.y + current.z * current.z);
+      if (length === 0) {
+        continue;
+      }
+
+      const push = this.fluidManager.getCurrentStrength(type) * deltaTime / length;
+      entity.velocity.x += current.x * push;
+      entity.velocity.y += current.y * push;
+      entity.velocity.z += current.z * push;
+    }
+  }
+
+  /**
+   * Whether a block stops entities from moving through it
+   * @param {Object} block - The block to check
+   * @returns {boolean} Whether the block is solid
+   */
+  isSolidBlock(block) {
+    if (!block) {
+      return false;
+    }
+    if (block.isSolid === false || block.solid === false) {
+      return false;
+    }
+    return !NON_COLLIDING_BLOCKS.has(block.type || block.id);
+  }
+
+  /**
+   * Get all blocks overlapping a box. Boxes that only touch a block face
+   * do not overlap it.
+   * @param {AABB} box - The box to check
+   * @returns {Array<Object>} Blocks with their block positions as { x, y, z, block }
+   */
+  getBlocksInBox(box) {
+    const blocks = [];
+
+    for (let x = Math.floor(box.min.x + COLLISION_EPSILON); x <= Math.floor(box.max.x - COLLISION_EPSILON); x++) {
+      for (let y = Math.floor(box.min.y + COLLISION_EPSILON); y <= Math.floor(box.max.y - COLLISION_EPSILON); y++) {
+        for (let z = Math.floor(box.min.z + COLLISION_EPSILON); z <= Math.floor(box.max.z - COLLISION_EPSILON); z++) {
+          const block = this.world.getBlock(x, y, z);
+          if (block) {
+            blocks.push({ x, y, z, block });
+          }
+        }
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Get the solid blocks a box overlaps
+   * @param {AABB} box - The box to check
+   * @returns {Array<Object>} Colliding blocks as { x, y, z, block }
+   */
+  getBlockCollisions(box) {
+    return this.getBlocksInBox(box).filter(({ block }) => this.isSolidBlock(block));
+  }
+
+  /**
+   * Check whether a box rests on top of a solid block
+   * @param {AABB} box - The box to check
+   * @returns {boolean} Whether there is solid ground right below the box
+   */
+  isBoxOnGround(box) {
+    const below = new AABB(
+      { x: box.min.x, y: box.min.y - 0.05, z: box.min.z },
+      { x: box.max.x, y: box.min.y, z: box.max.z }
+    );
+    return this.getBlockCollisions(below).length > 0;
+  }
+
+  /**
+   * Check that no solid block lies on the straight line between two points,
+   * sampling the line every RAY_STEP blocks
+   * @param {Object} from - Start point { x, y, z }
+   * @param {Object} to - End point { x, y, z }
+   * @returns {boolean} Whether the line is clear
+   */
+  hasLineOfSight(from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const dz = to.z - from.z;
+    const steps = Math.ceil(Math.sqrt(dx * dx + dy * dy + dz * dz) / RAY_STEP);
+
+    for (let i = 0; i <= steps; i++) {
+      const t = steps === 0 ? 0 : i / steps;
+      const block = this.world.getBlock(
+        Math.floor(from.x + dx * t),
+        Math.floor(from.y + dy * t),
+        Math.floor(from.z + dz * t)
+      );
+      if (this.isSolidBlock(block)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Push an entity, e.g. away from an explosion
+   * @param {Entity} entity - The entity to push
+   * @param {Object} impulse - Velocity to add as { x, y, z }
+   */
+  applyKnockback(entity, impulse) {
+    if (!entity.velocity) {
+      entity.velocity = { x: 0, y: 0, z: 0 };
+    }
+    entity.velocity.x += impulse.x;
+    entity.velocity.y += impulse.y;
+    entity.velocity.z += impulse.z;
+    if (impulse.y > 0) {
+      entity.isOnGround = false;
+    }
+  }
+
   /**
    * Check if an entity is on the ground
    * @param {Entity} entity - The entity to check
@@ -138,4 +320,4 @@ class PhysicsEngine {
   }
 }
 
-module.exports = { PhysicsEngine }; 
\ No newline at end of file
+module.exports = { PhysicsEngine };
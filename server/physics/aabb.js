@@ -1,7 +1,7 @@
 /**
  * AABB - Axis-Aligned Bounding Box for collision detection
  */
-const Vector3 = require('../math/vector3');
+const { Vector3 } = require('../math/vector3');
 
 class AABB {
   /**
@@ -0,0 +1,479 @@
+/**
+ * MovementValidator - Server-authoritative player movement
+ *
+ * Clients send their inputs and the delta they moved by; the server only
+ * applies a delta after checking it against what the player could legally do:
+ *   - Horizontal speed comes out of a per-player budget refilled every game
+ *     tick with one tick of movement, scaled by Speed and Slowness effects.
+ *     Up to MAX_BUFFERED_TICKS of budget can be saved up to absorb lag
+ *   - The player's box may not pass through solid blocks anywhere along the
+ *     move (noclip)
+ *   - While airborne the player can be no higher above their take-off point
+ *     than a vanilla jump (with Jump Boost and Slow Falling) would carry them,
+ *     which catches both flying and hovering
+ *   - Fall distance is tracked here, so clients cannot skip fall damage by
+ *     claiming to be on the ground
+ *
+ * Rejected moves leave the player where they were and emit a 'correction'
+ * so the client can be teleported back. Accepted moves emit a 'move' that
+ * hunger uses for exhaustion.
+ */
+
+const { EventEmitter } = require('events');
+const AABB = require('./aabb');
+const { PhysicsEngine } = require('./PhysicsEngine');
+
+const PLAYER_WIDTH = 0.6;
+const PLAYER_HEIGHT = 1.8;
+
+// Movement speeds in blocks per tick
+const SPRINT_SPEED = 0.2806;
+const FLY_SPEED = 0.546;
+const SPEED_TOLERANCE = 1.3;
+const SPEED_EPSILON = 0.01;
+const MAX_BUFFERED_TICKS = 10;
+const MAX_MOVE_DISTANCE = 10;
+
+// Vanilla jump physics per tick
+const JUMP_VELOCITY = 0.42;
+const JUMP_BOOST_VELOCITY = 0.1;
+const GRAVITY = 0.08;
+const SLOW_FALLING_GRAVITY = 0.01;
+const DRAG = 0.98;
+const VERTICAL_TOLERANCE = 0.5;
+
+const SAFE_FALL_DISTANCE = 3;
+const SWEEP_STEP = 0.25;
+
+const FLYING_GAME_MODES = new Set(['creative', 'spectator']);
+const INPUT_FLAGS = { sneaking: 'isSneaking', sprinting: 'isSprinting', flying: 'isFlying' };
+
+const FLUID_BLOCKS = new Set(['water', 'flowing_water', 'lava', 'flowing_lava', 'bubble_column']);
+const CLIMBABLE_BLOCKS = new Set([
+  'ladder', 'vine', 'scaffolding', 'weeping_vines', 'twisting_vines', 'cave_vines', 'glow_berry_vine'
+]);
+
+class MovementValidator extends EventEmitter {
+  /**
+   * Create a new movement validator
+   * @param {Object} options - Validator options
+   * @param {Object} options.world - Overworld exposing getBlock(x, y, z)
+   * @param {Object} options.worlds - Worlds of other dimensions keyed by dimension id
+   * @param {StatusEffectsManager} options.statusEffectsManager - Source of Speed, Slowness and jump effects
+   */
+  constructor(options = {}) {
+    super();
+    this.statusEffectsManager = options.statusEffectsManager || null;
+
+    // One physics engine per dimension for block collisions
+    this.engines = new Map();
+    const worlds = { overworld: options.world, ...(options.worlds || {}) };
+    for (const dimension in worlds) {
+      if (worlds[dimension]) {
+        this.engines.set(dimension, new PhysicsEngine(worlds[dimension]));
+      }
+    }
+
+    // Movement state per player id
+    this.players = new Map();
+  }
+
+  /**
+   * Start tracking a player's movement from where they are now
+   * @param {Object} player - Player with id and position
+   */
+  addPlayer(player) {
+    this.players.set(player.id, this.createState(player));
+  }
+
+  /**
+   * Stop tracking a player
+   * @param {string} playerId - Player id
+   */
+  removePlayer(playerId) {
+    this.players.delete(playerId);
+  }
+
+  /**
+   * Refill movement budgets and count airborne ticks
+   * @param {Object} players - Players keyed by id
+   */
+  tick(players = {}) {
+    for (const [playerId, state] of this.players) {
+      const player = players[playerId];
+      const maxSpeed = player ? this.getMaxSpeed(player) : SPRINT_SPEED;
+
+      state.budget = Math.min(state.budget + maxSpeed, maxSpeed * MAX_BUFFERED_TICKS);
+      if (!state.onGround) {
+        state.airTicks++;
+      }
+      if (state.exemptTicks > 0) {
+        state.exemptTicks--;
+      }
+    }
+  }
+
+  /**
+   * Apply a movement packet from a client. Only the movement delta, rotation
+   * and input flags are read; everything else the client sends is ignored.
+   * @param {Object} player - Player that moved
+   * @param {Object} data - Packet with delta, rotation and sneaking/sprinting/flying flags
+   * @returns {boolean} Whether the packet was accepted
+   */
+  handleMove(player, data) {
+    const input = MovementValidator.sanitizeInput(data);
+    if (!input) {
+      return false;
+    }
+
+    if (!this.players.has(player.id)) {
+      this.addPlayer(player);
+    }
+    const state = this.players.get(player.id);
+
+    if (input.rotation) {
+      player.rotation = { ...player.rotation, ...input.rotation };
+    }
+    for (const flag in INPUT_FLAGS) {
+      if (flag in input) {
+        player[INPUT_FLAGS[flag]] = input[flag];
+      }
+    }
+    if (player.isFlying && !this.canFly(player)) {
+      player.isFlying = false;
+    }
+
+    if (!input.delta) {
+      return true;
+    }
+
+    const reason = this.validateMove(player, state, input.delta);
+    if (reason) {
+      this.emit('correction', { player, position: { ...player.position }, reason });
+      return false;
+    }
+
+    this.applyMove(player, state, input.delta);
+    return true;
+  }
+
+  /**
+   * Move a player without any checks, e.g. on respawn or when changing
+   * dimension. The client is expected to be told by the caller.
+   * @param {Object} player - Player to move
+   * @param {Object} position - New feet position
+   */
+  teleport(player, position) {
+    player.position = { x: position.x, y: position.y, z: position.z };
+    this.players.set(player.id, this.createState(player));
+  }
+
+  /**
+   * Skip speed and fly checks for a while, for movement the server caused
+   * itself such as knockback or explosions
+   * @param {string} playerId - Player id
+   * @param {number} ticks - Number of ticks to skip the checks for
+   */
+  exempt(playerId, ticks) {
+    const state = this.players.get(playerId);
+    if (state) {
+      state.exemptTicks = Math.max(state.exemptTicks, ticks);
+    }
+  }
+
+  /**
+   * Get a player's tracked movement state
+   * @param {string} playerId - Player id
+   * @returns {Object|null} Movement state
+   */
+  getState(playerId) {
+    return this.players.get(playerId) || null;
+  }
+
+  /**
+   * Fastest horizontal speed a player may move at, in blocks per tick
+   * @param {Object} player - The player
+   * @returns {number} Speed limit
+   */
+  getMaxSpeed(player) {
+    const base = player.isFlying && this.canFly(player) ? FLY_SPEED : SPRINT_SPEED;
+    const speed = this.getEffectLevel(player, 'SPEED');
+    const slowness = this.getEffectLevel(player, 'SLOWNESS');
+    // Same multipliers StatusEffectsManager applies to movementSpeed
+    const multiplier = (1 + speed * 0.2) * Math.max(0, 1 - slowness * 0.15);
+    return base * multiplier * SPEED_TOLERANCE;
+  }
+
+  /**
+   * Highest a player can be above their take-off point after some ticks in
+   * the air, following vanilla jump physics
+   * @param {number} ticks - Ticks since leaving the ground
+   * @param {number} jumpBoost - Jump Boost level
+   * @param {boolean} slowFalling - Whether Slow Falling is active
+   * @returns {number} Height in blocks
+   */
+  getJumpHeight(ticks, jumpBoost = 0, slowFalling = false) {
+    let height = 0;
+    let velocity = JUMP_VELOCITY + jumpBoost * JUMP_BOOST_VELOCITY;
+
+    for (let i = 0; i < ticks; i++) {
+      height += velocity;
+      const gravity = slowFalling && velocity <= 0 ? SLOW_FALLING_GRAVITY : GRAVITY;
+      velocity = (velocity - gravity) * DRAG;
+    }
+
+    return height;
+  }
+
+  /**
+   * Whether a player may fly
+   * @param {Object} player - The player
+   * @returns {boolean} Whether flight is allowed
+   */
+  canFly(player) {
+    return FLYING_GAME_MODES.has(player.gameMode) || player.allowFlight === true;
+  }
+
+  /**
+   * Get the bounding box of a player standing at a position
+   * @param {Object} position - Feet position
+   * @returns {AABB} Player bounding box
+   */
+  getPlayerBox(position) {
+    const halfWidth = PLAYER_WIDTH / 2;
+    return new AABB(
+      { x: position.x - halfWidth, y: position.y, z: position.z - halfWidth },
+      { x: position.x + halfWidth, y: position.y + PLAYER_HEIGHT, z: position.z + halfWidth }
+    );
+  }
+
+  /**
+   * Keep only the fields a client is allowed to send
+   * @param {Object} data - Raw packet
+   * @returns {Object|null} Sanitized input, or null if the packet is malformed
+   */
+  static sanitizeInput(data) {
+    if (!data || typeof data !== 'object') {
+      return null;
+    }
+
+    const input = {};
+
+    if (data.delta !== undefined) {
+      const delta = data.delta || {};
+      if (![delta.x, delta.y, delta.z].every(Number.isFinite)) {
+        return null;
+      }
+      input.delta = { x: delta.x, y: delta.y, z: delta.z };
+    }
+
+    if (data.rotation !== undefined) {
+      const rotation = data.rotation || {};
+      if (![rotation.x, rotation.y].every(Number.isFinite)) {
+        return null;
+      }
+      input.rotation = {
+        x: Math.max(-Math.PI / 2, Math.min(Math.PI / 2, rotation.x)),
+        y: rotation.y
+      };
+    }
+
+    for (const flag in INPUT_FLAGS) {
+      if (flag in data) {
+        input[flag] = data[flag] === true;
+      }
+    }
+
+    return input;
+  }
+
+  /**
+   * Check a move, returning why it is illegal
+   * @private
+   */
+  validateMove(player, state, delta) {
+    const distance = Math.sqrt(delta.x * delta.x + delta.y * delta.y + delta.z * delta.z);
+    if (distance > MAX_MOVE_DISTANCE) {
+      return 'speed';
+    }
+
+    const physics = this.getPhysics(player);
+    const from = player.position;
+    const to = { x: from.x + delta.x, y: from.y + delta.y, z: from.z + delta.z };
+    const endBox = this.getPlayerBox(to);
+    const exempt = state.exemptTicks > 0;
+    const flying = player.isFlying && this.canFly(player);
+    const swimming = this.isInFluidOrClimbing(physics, endBox) || this.isInFluidOrClimbing(physics, this.getPlayerBox(from));
+
+    if (!exempt && this.getTravelDistance(delta, swimming) > state.budget + SPEED_EPSILON) {
+      return 'speed';
+    }
+
+    if (player.gameMode !== 'spectator' && this.passesThroughBlocks(physics, from, delta, distance)) {
+      return 'noclip';
+    }
+
+    if (!exempt && !flying && !swimming && !this.isLevitating(player) && !physics.isBoxOnGround(endBox)) {
+      const airTime = Math.max(state.airMoves + 1, state.airTicks - MAX_BUFFERED_TICKS);
+      const maxHeight = this.getJumpHeight(
+        airTime,
+        this.getEffectLevel(player, 'JUMP_BOOST'),
+        this.hasSlowFalling(player)
+      );
+      if (to.y - state.takeoffY > maxHeight + VERTICAL_TOLERANCE) {
+        return 'fly';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Move the player and update ground and fall state
+   * @private
+   */
+  applyMove(player, state, delta) {
+    const physics = this.getPhysics(player);
+    const position = {
+      x: player.position.x + delta.x,
+      y: player.position.y + delta.y,
+      z: player.position.z + delta.z
+    };
+    const box = this.getPlayerBox(position);
+    const wasOnGround = state.onGround;
+    const flying = player.isFlying && this.canFly(player);
+    const cushioned = this.isInFluidOrClimbing(physics, box);
+    const swimming = cushioned || this.isInFluidOrClimbing(physics, this.getPlayerBox(player.position));
+
+    player.position = position;
+    state.budget = Math.max(0, state.budget - this.getTravelDistance(delta, swimming));
+    state.onGround = physics.isBoxOnGround(box);
+
+    if (flying || cushioned || this.hasSlowFalling(player)) {
+      state.fallDistance = 0;
+    } else if (delta.y < 0) {
+      state.fallDistance -= delta.y;
+    }
+
+    if (state.onGround || flying || cushioned || state.exemptTicks > 0 || this.isLevitating(player)) {
+      if (state.onGround && !wasOnGround && state.fallDistance > SAFE_FALL_DISTANCE) {
+        const distance = state.fallDistance;
+        this.emit('fallDamage', { player, distance, damage: Math.ceil(distance - SAFE_FALL_DISTANCE) });
+      }
+      if (state.onGround) {
+        state.fallDistance = 0;
+      }
+      state.takeoffY = position.y;
+      state.airMoves = 0;
+      state.airTicks = 0;
+    } else {
+      state.airMoves++;
+    }
+
+    this.emit('move', {
+      player,
+      distance: Math.sqrt(delta.x * delta.x + delta.z * delta.z),
+      sprinting: Boolean(player.isSprinting),
+      swimming,
+      jumped: wasOnGround && !state.onGround && delta.y > 0
+    });
+  }
+
+  /**
+   * Distance a move takes from the speed budget. Swimming and climbing draw
+   * upward movement from the same budget; otherwise only horizontal movement
+   * counts, since jumping and falling are checked separately.
+   * @private
+   */
+  getTravelDistance(delta, swimming) {
+    const rise = swimming ? Math.max(0, delta.y) : 0;
+    return Math.sqrt(delta.x * delta.x + rise * rise + delta.z * delta.z);
+  }
+
+  /**
+   * Whether the player's box runs into a solid block anywhere along a move.
+   * Players already stuck inside blocks may move out of them.
+   * @private
+   */
+  passesThroughBlocks(physics, from, delta, distance) {
+    if (physics.getBlockCollisions(this.getPlayerBox(from)).length > 0) {
+      return false;
+    }
+
+    const steps = Math.max(1, Math.ceil(distance / SWEEP_STEP));
+    for (let step = 1; step <= steps; step++) {
+      const t = step / steps;
+      const box = this.getPlayerBox({
+        x: from.x + delta.x * t,
+        y: from.y + delta.y * t,
+        z: from.z + delta.z * t
+      });
+      if (physics.getBlockCollisions(box).length > 0) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  isInFluidOrClimbing(physics, box) {
+    return physics.getBlocksInBox(box).some(({ block }) => {
+      const type = block.type || block.id;
+      return FLUID_BLOCKS.has(type) || CLIMBABLE_BLOCKS.has(type) || block.waterlogged === true;
+    });
+  }
+
+  /**
+   * @private
+   */
+  createState(player) {
+    return {
+      budget: this.getMaxSpeed(player),
+      onGround: this.getPhysics(player).isBoxOnGround(this.getPlayerBox(player.position)),
+      takeoffY: player.position.y,
+      airMoves: 0,
+      airTicks: 0,
+      fallDistance: 0,
+      exemptTicks: 0
+    };
+  }
+
+  /**
+   * @private
+   */
+  getPhysics(player) {
+    return this.engines.get(player.dimension || 'overworld') || this.engines.get('overworld');
+  }
+
+  /**
+   * @private
+   */
+  getEffectLevel(player, effectType) {
+    if (!this.statusEffectsManager) return 0;
+    return this.statusEffectsManager.getEffectLevel(player.id, effectType);
+  }
+
+  /**
+   * @private
+   */
+  isLevitating(player) {
+    return player.isLevitating === true || this.getEffectLevel(player, 'LEVITATION') > 0;
+  }
+
+  /**
+   * @private
+   */
+  hasSlowFalling(player) {
+    return player.hasSlowFalling === true || this.getEffectLevel(player, 'SLOW_FALLING') > 0;
+  }
+}
+
+MovementValidator.PLAYER_WIDTH = PLAYER_WIDTH;
+MovementValidator.PLAYER_HEIGHT = PLAYER_HEIGHT;
+MovementValidator.MAX_BUFFERED_TICKS = MAX_BUFFERED_TICKS;
+MovementValidator.SAFE_FALL_DISTANCE = SAFE_FALL_DISTANCE;
+
+module.exports = MovementValidator;
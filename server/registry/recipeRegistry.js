@@ -74,6 +74,21 @@ class RecipeRegistry {
     this.recipes.clear();
     this.stonecutterRecipes.clear();
   }
+
+  /**
+   * Replace the registered recipes with a recipe loader's crafting and stonecutting recipes
+   * @param {RecipeLoader} recipeLoader - Loader holding the datapack recipes
+   */
+  loadFrom(recipeLoader) {
+    this.clear();
+    for (const recipe of recipeLoader.getRecipes()) {
+      if (recipe.type === 'crafting_shaped' || recipe.type === 'crafting_shapeless') {
+        this.recipes.set(recipe.id, recipe);
+      } else if (recipe.type === 'stonecutting') {
+        this.stonecutterRecipes.set(recipe.id, recipe);
+      }
+    }
+  }
 }
 
 // Create singleton instance
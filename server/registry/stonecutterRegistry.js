@@ -53,6 +53,22 @@ class StonecutterRegistry {
   clear() {
     this.recipes.clear();
   }
+
+  /**
+   * Replace the registered recipes with a recipe loader's stonecutting recipes,
+   * one per input item when the ingredient is a tag
+   * @param {RecipeLoader} recipeLoader - Loader holding the datapack recipes
+   */
+  loadFrom(recipeLoader) {
+    this.clear();
+    for (const recipe of recipeLoader.getRecipes('stonecutting')) {
+      const inputs = recipeLoader.getIngredientItems(recipe.ingredient);
+      for (const input of inputs) {
+        const id = inputs.length > 1 ? `${recipe.id}/${input}` : recipe.id;
+        this.recipes.set(id, { id, input, result: { ...recipe.result } });
+      }
+    }
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,316 @@
+/**
+ * TagRegistry - Named groups of block or item ids, loaded from datapacks
+ *
+ * Tag files live at tags/<kind>/<name>.json in a datapack directory, where
+ * kind is "blocks" or "items" and the name keeps its subfolders
+ * ("mineable/pickaxe"):
+ *   { "replace": false, "values": ["oak_log", "#logs"] }
+ * A value starting with # pulls in another tag of the same kind, so tags nest.
+ * Later packs add to a tag, or with "replace": true swap it out. Tags
+ * registered in code load first, so packs can extend or replace them too.
+ *
+ * Queries take tag names with or without the leading # and ids as strings or
+ * as blocks/items carrying an id or type.
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const {
+  BUILTIN_DATA_DIRECTORY,
+  DATAPACKS_DIRECTORY,
+  DataFileError,
+  getPackDirectories,
+  collectJsonFiles,
+  readDataFile
+} = require('../utils/datapackFiles');
+
+class TagRegistry extends EventEmitter {
+  /**
+   * Creates a tag registry
+   * @param {Object} options - Registry options
+   * @param {String} options.kind - Tag kind, the folder under tags/ ("blocks" or "items")
+   * @param {Array<String>} options.directories - Datapack directories, lowest priority first
+   * @param {String} options.datapacksDirectory - Directory whose subdirectories are datapacks
+   */
+  constructor(options = {}) {
+    super();
+
+    this.kind = options.kind || 'items';
+    this.directories = options.directories || [];
+    this.datapacksDirectory = options.datapacksDirectory || null;
+
+    // Tags added in code: name -> values
+    this.registered = new Map();
+    // Tag files from the last load and the problems reading them
+    this.fileTags = new Map();
+    this.fileErrors = [];
+
+    this.tags = new Map();
+    this.resolved = new Map();
+    this.errors = [];
+
+    // Id -> Set of tag names holding it
+    this.tagsById = new Map();
+  }
+
+  /**
+   * Add values to a tag from code; they stay through reloads
+   * @param {String} name - Tag name
+   * @param {Array<String>} values - Ids and #tags
+   */
+  register(name, values) {
+    const key = normalizeName(name);
+    this.registered.set(key, [...(this.registered.get(key) || []), ...values]);
+    this.build(this.fileTags, [...this.fileErrors]);
+  }
+
+  /**
+   * Load every datapack directory, replacing the tags loaded before
+   * @returns {Object} { count: tags loaded, errors: [{ file, message }] }
+   */
+  load() {
+    const errors = [];
+    const fileTags = new Map();
+
+    for (const directory of getPackDirectories(this.directories, this.datapacksDirectory)) {
+      readTagFiles(directory, this.kind, fileTags, errors);
+    }
+
+    this.fileTags = fileTags;
+    this.fileErrors = [...errors];
+    this.build(fileTags, errors);
+
+    for (const error of errors) {
+      console.error(`Invalid ${this.kind} tag file ${error.file}: ${error.message}`);
+    }
+
+    const result = { count: this.tags.size, errors: this.errors };
+    this.emit('loaded', result);
+    return result;
+  }
+
+  /**
+   * Load the datapacks again
+   * @returns {Object} { count, errors }
+   */
+  reload() {
+    return this.load();
+  }
+
+  /**
+   * Check whether a tag exists
+   * @param {String} name - Tag name
+   * @returns {boolean} Whether the tag is loaded
+   */
+  hasTag(name) {
+    return this.resolved.has(normalizeName(name));
+  }
+
+  /**
+   * Get the names of every loaded tag
+   * @returns {Array<String>} Tag names, sorted
+   */
+  getTagNames() {
+    return Array.from(this.resolved.keys()).sort();
+  }
+
+  /**
+   * Get the ids in a tag, nested tags included
+   * @param {String} name - Tag name
+   * @returns {Array<String>} Ids, empty for unknown tags
+   */
+  getValues(name) {
+    const values = this.resolved.get(normalizeName(name));
+    return values ? Array.from(values) : [];
+  }
+
+  /**
+   * Check whether an id is in a tag
+   * @param {String} name - Tag name
+   * @param {String|Object} entry - Id, or block/item with an id or type
+   * @returns {boolean} Whether the tag holds it
+   */
+  contains(name, entry) {
+    const values = this.resolved.get(normalizeName(name));
+    const id = getEntryId(entry);
+    return Boolean(values && id && values.has(id));
+  }
+
+  /**
+   * Check whether an id is in any of several tags
+   * @param {Array<String>} names - Tag names
+   * @param {String|Object} entry - Id, or block/item with an id or type
+   * @returns {boolean} Whether one of the tags holds it
+   */
+  containsAny(names, entry) {
+    return names.some(name => this.contains(name, entry));
+  }
+
+  /**
+   * Get the tags an id belongs to
+   * @param {String|Object} entry - Id, or block/item with an id or type
+   * @returns {Array<String>} Tag names, sorted
+   */
+  getTagsOf(entry) {
+    const names = this.tagsById.get(getEntryId(entry));
+    return names ? Array.from(names).sort() : [];
+  }
+
+  /**
+   * Merge code and file tags, resolve them and index them by id
+   * @private
+   */
+  build(fileTags, errors = []) {
+    const tags = new Map(Array.from(this.registered, ([name, values]) => [name, [...values]]));
+    for (const [name, entry] of fileTags) {
+      tags.set(name, entry.replace ? [...entry.values] : [...(tags.get(name) || []), ...entry.values]);
+    }
+
+    const resolved = resolveTags(tags, errors, this.kind);
+    const tagsById = new Map();
+    for (const [name, values] of resolved) {
+      for (const id of values) {
+        if (!tagsById.has(id)) tagsById.set(id, new Set());
+        tagsById.get(id).add(name);
+      }
+    }
+
+    this.tags = tags;
+    this.resolved = resolved;
+    this.tagsById = tagsById;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Read the tag files of one kind from a datapack directory, adding to or
+ * (with "replace") replacing the values read from earlier directories
+ * @param {string} directory - Datapack directory
+ * @param {string} kind - Tag kind, the folder under tags/
+ * @param {Map} rawTags - Tag name -> { replace, values }, updated in place
+ * @param {Array} errors - Collects { file, message } for unusable files
+ */
+function readTagFiles(directory, kind, rawTags, errors) {
+  const noun = kind.replace(/s$/, '');
+  for (const [name, file] of collectJsonFiles(path.join(directory, 'tags', kind))) {
+    try {
+      const data = readDataFile(file);
+      if (!data || !Array.isArray(data.values) || data.values.some(value => typeof value !== 'string')) {
+        throw new DataFileError(`"values" must be an array of ${noun} ids and #tags`);
+      }
+      const earlier = rawTags.get(name);
+      if (data.replace === true || !earlier) {
+        rawTags.set(name, { replace: data.replace === true, values: [...data.values] });
+      } else {
+        earlier.values.push(...data.values);
+      }
+    } catch (error) {
+      errors.push({ file, message: error.message });
+    }
+  }
+}
+
+/**
+ * Expand nested tag references into plain id sets; a tag that references
+ * an unknown tag or itself is reported and left empty
+ * @param {Map} rawTags - Tag name -> values (ids and #tags)
+ * @param {Array} errors - Collects { file, message }
+ * @param {string} kind - Tag kind, for the file in error reports
+ * @returns {Map} Tag name -> Set of ids
+ */
+function resolveTags(rawTags, errors, kind) {
+  const resolved = new Map();
+
+  const resolve = (name, trail) => {
+    if (resolved.has(name)) return resolved.get(name);
+    if (trail.includes(name)) {
+      throw new DataFileError(`Tag #${name} includes itself through ${trail.map(tag => `#${tag}`).join(' -> ')}`);
+    }
+
+    const ids = new Set();
+    for (const value of rawTags.get(name)) {
+      if (!value.startsWith('#')) {
+        ids.add(value);
+        continue;
+      }
+      const nested = value.slice(1);
+      if (!rawTags.has(nested)) {
+        throw new DataFileError(`Tag #${name} references unknown tag ${value}`);
+      }
+      for (const id of resolve(nested, [...trail, name])) {
+        ids.add(id);
+      }
+    }
+    resolved.set(name, ids);
+    return ids;
+  };
+
+  for (const name of rawTags.keys()) {
+    try {
+      resolve(name, []);
+    } catch (error) {
+      errors.push({ file: `tags/${kind}/${name}.json`, message: error.message });
+      resolved.set(name, new Set());
+    }
+  }
+  return resolved;
+}
+
+/**
+ * @private
+ */
+function normalizeName(name) {
+  return name.replace(/^#/, '').replace(/^minecraft:/, '');
+}
+
+/**
+ * @private
+ */
+function getEntryId(entry) {
+  if (!entry) return null;
+  if (typeof entry === 'string') return entry;
+  return entry.id || entry.type || null;
+}
+
+const defaultRegistries = {};
+
+/**
+ * The server's shared tag registry of a kind: built-in tags from server/data,
+ * then every datapack in server/datapacks. Loaded on first use.
+ * @param {string} kind - "blocks" or "items"
+ * @returns {TagRegistry} Shared registry
+ * @private
+ */
+function getDefaultTags(kind) {
+  if (!defaultRegistries[kind]) {
+    defaultRegistries[kind] = new TagRegistry({
+      kind,
+      directories: [BUILTIN_DATA_DIRECTORY],
+      datapacksDirectory: DATAPACKS_DIRECTORY
+    });
+    defaultRegistries[kind].load();
+  }
+  return defaultRegistries[kind];
+}
+
+/**
+ * @returns {TagRegistry} Shared block tags
+ */
+function getBlockTags() {
+  return getDefaultTags('blocks');
+}
+
+/**
+ * @returns {TagRegistry} Shared item tags
+ */
+function getItemTags() {
+  return getDefaultTags('items');
+}
+
+module.exports = {
+  TagRegistry,
+  readTagFiles,
+  resolveTags,
+  getBlockTags,
+  getItemTags
+};
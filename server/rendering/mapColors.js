@@ -0,0 +1,192 @@
+/**
+ * Map colors - The palette maps are drawn with
+ *
+ * A map pixel is one byte: base color * 4 + shade. Base color 0 is
+ * transparent (not yet explored); the four shades darken the base color the
+ * way vanilla does, so the same byte always means the same RGB on the
+ * client, in saves and in exported images.
+ */
+
+// Base colors by id; ids are stored in map data, so only ever append
+const BASE_COLORS = [
+  { name: 'none', rgb: [0, 0, 0] },
+  { name: 'grass', rgb: [127, 178, 56] },
+  { name: 'sand', rgb: [247, 233, 163] },
+  { name: 'wool', rgb: [199, 199, 199] },
+  { name: 'fire', rgb: [255, 0, 0] },
+  { name: 'ice', rgb: [160, 160, 255] },
+  { name: 'metal', rgb: [167, 167, 167] },
+  { name: 'plant', rgb: [0, 124, 0] },
+  { name: 'snow', rgb: [255, 255, 255] },
+  { name: 'clay', rgb: [164, 168, 184] },
+  { name: 'dirt', rgb: [151, 109, 77] },
+  { name: 'stone', rgb: [112, 112, 112] },
+  { name: 'water', rgb: [64, 64, 255] },
+  { name: 'wood', rgb: [143, 119, 72] },
+  { name: 'quartz', rgb: [255, 252, 245] },
+  { name: 'orange', rgb: [216, 127, 51] },
+  { name: 'magenta', rgb: [178, 76, 216] },
+  { name: 'light_blue', rgb: [102, 153, 216] },
+  { name: 'yellow', rgb: [229, 229, 51] },
+  { name: 'lime', rgb: [127, 204, 25] },
+  { name: 'pink', rgb: [242, 127, 165] },
+  { name: 'gray', rgb: [76, 76, 76] },
+  { name: 'light_gray', rgb: [153, 153, 153] },
+  { name: 'cyan', rgb: [76, 127, 153] },
+  { name: 'purple', rgb: [127, 63, 178] },
+  { name: 'blue', rgb: [51, 76, 178] },
+  { name: 'brown', rgb: [102, 76, 51] },
+  { name: 'green', rgb: [102, 127, 51] },
+  { name: 'red', rgb: [153, 51, 51] },
+  { name: 'black', rgb: [25, 25, 25] },
+  { name: 'gold', rgb: [250, 238, 77] },
+  { name: 'diamond', rgb: [92, 219, 213] },
+  { name: 'lapis', rgb: [74, 128, 255] },
+  { name: 'emerald', rgb: [0, 217, 58] },
+  { name: 'podzol', rgb: [129, 86, 49] },
+  { name: 'nether', rgb: [112, 2, 0] },
+  { name: 'terracotta_orange', rgb: [159, 82, 36] },
+  { name: 'terracotta_white', rgb: [209, 177, 161] },
+  { name: 'crimson_nylium', rgb: [189, 48, 49] },
+  { name: 'warped_nylium', rgb: [22, 126, 134] },
+  { name: 'deepslate', rgb: [100, 100, 100] },
+  { name: 'raw_iron', rgb: [216, 175, 147] },
+  { name: 'glow_lichen', rgb: [127, 167, 150] }
+];
+
+// Base color id by name
+const BaseColor = Object.freeze(Object.fromEntries(BASE_COLORS.map(({ name }, id) => [name.toUpperCase(), id])));
+
+// Shades, in the order they are packed into a pixel byte, and their brightness out of 255
+const Shade = Object.freeze({
+  LOW: 0,
+  NORMAL: 1,
+  HIGH: 2,
+  LOWEST: 3
+});
+const SHADE_BRIGHTNESS = [180, 220, 255, 135];
+
+// Base color of block types; types not listed fall back on their name, then stone
+const BLOCK_COLORS = {
+  grass_block: 'grass', grass: 'grass', short_grass: 'plant', tall_grass: 'plant', fern: 'plant',
+  dirt: 'dirt', coarse_dirt: 'dirt', rooted_dirt: 'dirt', farmland: 'dirt', dirt_path: 'dirt', mud: 'gray',
+  podzol: 'podzol', mycelium: 'purple',
+  sand: 'sand', sandstone: 'sand', red_sand: 'orange', red_sandstone: 'orange', gravel: 'stone',
+  stone: 'stone', cobblestone: 'stone', andesite: 'stone', diorite: 'quartz', granite: 'dirt', tuff: 'gray',
+  deepslate: 'deepslate', cobbled_deepslate: 'deepslate', bedrock: 'stone', calcite: 'terracotta_white',
+  clay: 'clay', terracotta: 'terracotta_orange',
+  water: 'water', flowing_water: 'water', ice: 'ice', packed_ice: 'ice', blue_ice: 'ice',
+  lava: 'fire', flowing_lava: 'fire', fire: 'fire', magma_block: 'nether',
+  snow: 'snow', snow_block: 'snow', powder_snow: 'snow',
+  leaves: 'plant', oak_leaves: 'plant', birch_leaves: 'plant', spruce_leaves: 'plant',
+  jungle_leaves: 'plant', acacia_leaves: 'plant', dark_oak_leaves: 'plant', mangrove_leaves: 'plant',
+  azalea_leaves: 'plant', cherry_leaves: 'pink', cactus: 'plant', vine: 'plant', lily_pad: 'plant',
+  wood: 'wood', log: 'wood', planks: 'wood', wooden_planks: 'wood', oak_log: 'wood', oak_planks: 'wood',
+  crafting_table: 'wood', chest: 'wood', bookshelf: 'wood',
+  netherrack: 'nether', nether_bricks: 'nether', soul_sand: 'brown', soul_soil: 'brown',
+  crimson_nylium: 'crimson_nylium', warped_nylium: 'warped_nylium', blackstone: 'black', basalt: 'black',
+  end_stone: 'sand', obsidian: 'black', crying_obsidian: 'black',
+  iron_block: 'metal', gold_block: 'gold', diamond_block: 'diamond', emerald_block: 'emerald',
+  lapis_block: 'lapis', raw_iron_block: 'raw_iron', glow_lichen: 'glow_lichen',
+  pumpkin: 'orange', melon: 'lime', hay_block: 'yellow', tnt: 'fire', bricks: 'red', brick: 'red'
+};
+
+// Blocks the color of the biome they grow in, and their base color per biome
+const BIOME_TINTED_BLOCKS = new Set(['grass_block', 'grass', 'short_grass', 'tall_grass', 'fern', 'leaves',
+  'oak_leaves', 'jungle_leaves', 'acacia_leaves', 'dark_oak_leaves', 'mangrove_leaves', 'vine']);
+const BIOME_COLORS = {
+  plains: 'grass', sunflower_plains: 'grass', meadow: 'grass', forest: 'plant', flower_forest: 'plant',
+  birch_forest: 'grass', dark_forest: 'green', taiga: 'green', old_growth_taiga: 'green',
+  jungle: 'plant', bamboo_jungle: 'plant', sparse_jungle: 'plant',
+  swamp: 'green', mangrove_swamp: 'green',
+  savanna: 'yellow', savanna_plateau: 'yellow', badlands: 'terracotta_orange', eroded_badlands: 'terracotta_orange',
+  desert: 'sand', beach: 'sand', snowy_plains: 'snow', snowy_taiga: 'snow', ice_spikes: 'ice', snowy_beach: 'snow',
+  mountains: 'stone', windswept_hills: 'stone', stony_peaks: 'stone', jagged_peaks: 'snow', frozen_peaks: 'snow',
+  ocean: 'water', deep_ocean: 'water', warm_ocean: 'water', lukewarm_ocean: 'water', cold_ocean: 'water',
+  frozen_ocean: 'ice', river: 'water', frozen_river: 'ice',
+  mushroom_fields: 'purple', cherry_grove: 'pink', lush_caves: 'plant', deep_dark: 'black',
+  nether_wastes: 'nether', crimson_forest: 'crimson_nylium', warped_forest: 'warped_nylium',
+  soul_sand_valley: 'brown', basalt_deltas: 'black', the_end: 'sand', end_highlands: 'sand'
+};
+
+// Blocks that are not drawn; the map shows what lies under them
+const INVISIBLE_BLOCKS = new Set(['air', 'cave_air', 'void_air', 'glass', 'barrier', 'light', 'structure_void']);
+
+/**
+ * Base color of a block, tinted by biome for grass and leaves
+ * @param {string} type - Block type
+ * @param {string} [biome] - Biome id at the block
+ * @returns {number} Base color id, 0 for blocks the map does not draw
+ */
+function getBlockColor(type, biome) {
+  if (!type || INVISIBLE_BLOCKS.has(type)) return BaseColor.NONE;
+  if (biome && BIOME_TINTED_BLOCKS.has(type) && BIOME_COLORS[biome]) {
+    return BaseColor[BIOME_COLORS[biome].toUpperCase()];
+  }
+
+  const name = BLOCK_COLORS[type] || (BaseColor[type.toUpperCase()] !== undefined ? type : null) ||
+    guessBlockColor(type);
+  return BaseColor[name.toUpperCase()];
+}
+
+/**
+ * Base color of a biome, for maps that show biomes instead of blocks
+ * @param {string} biome - Biome id
+ * @returns {number} Base color id
+ */
+function getBiomeColor(biome) {
+  return BaseColor[(BIOME_COLORS[biome] || 'grass').toUpperCase()];
+}
+
+/**
+ * Pack a base color and a shade into a pixel byte
+ * @param {number} baseColor - Base color id
+ * @param {number} shade - Shade, see Shade
+ * @returns {number} Pixel byte
+ */
+function packColor(baseColor, shade) {
+  return baseColor === BaseColor.NONE ? 0 : baseColor * 4 + shade;
+}
+
+/**
+ * RGBA of a pixel byte
+ * @param {number} pixel - Pixel byte
+ * @returns {Array<number>} [r, g, b, a]
+ */
+function getPixelRGBA(pixel) {
+  const base = BASE_COLORS[pixel >> 2];
+  if (!base || (pixel >> 2) === BaseColor.NONE) return [0, 0, 0, 0];
+
+  const brightness = SHADE_BRIGHTNESS[pixel & 3];
+  return [
+    Math.floor(base.rgb[0] * brightness / 255),
+    Math.floor(base.rgb[1] * brightness / 255),
+    Math.floor(base.rgb[2] * brightness / 255),
+    255
+  ];
+}
+
+/**
+ * Base color of a block type not in the table, by what its name suggests
+ * @private
+ */
+function guessBlockColor(type) {
+  if (type.endsWith('_leaves') || type.endsWith('_sapling')) return 'plant';
+  if (type.endsWith('_log') || type.endsWith('_planks') || type.endsWith('_wood')) return 'wood';
+  if (type.endsWith('_ore')) return 'stone';
+  if (type.endsWith('_wool') || type.endsWith('_concrete') || type.endsWith('_terracotta')) {
+    const color = type.slice(0, type.lastIndexOf('_'));
+    return BaseColor[color.toUpperCase()] !== undefined ? color : 'wool';
+  }
+  return 'stone';
+}
+
+module.exports = {
+  BASE_COLORS,
+  BaseColor,
+  Shade,
+  getBlockColor,
+  getBiomeColor,
+  packColor,
+  getPixelRGBA
+};
@@ -0,0 +1,262 @@
+/**
+ * MapRenderer - Draws the world into map data as players explore
+ *
+ * Works the way vanilla maps do:
+ *   - Each pixel covers blocksPerPixel x blocksPerPixel columns and shows the
+ *     most common color of their top blocks, tinted by biome for grass and leaves
+ *   - Pixels are shaded by the height difference to the pixel north of them,
+ *     with a checkerboard dither so gentle slopes still read
+ *   - Water is shaded by depth instead: shallow water is bright, deep water dark
+ *   - Only pixels within 128 blocks of the holder are drawn, one in every
+ *     16 pixel columns per update, so a held map fills in over a second or so
+ */
+
+const { BaseColor, Shade, getBlockColor, getBiomeColor, packColor, getPixelRGBA } = require('./mapColors');
+const { encodePNG } = require('./png');
+
+// Map size in pixels
+const MAP_SIZE = 128;
+
+// Blocks around the holder that get drawn, and how many pixel columns one update skips
+const VIEW_DISTANCE = 128;
+const COLUMN_STRIDE = 16;
+
+// Columns sampled per pixel along each axis at most
+const MAX_SAMPLES = 2;
+
+const WATER_TYPES = new Set(['water', 'flowing_water']);
+
+class MapRenderer {
+  /**
+   * Create a new map renderer
+   * @param {Object} [options] - Renderer options
+   * @param {number} [options.viewDistance=128] - Blocks around the holder that get drawn
+   */
+  constructor(options = {}) {
+    this.viewDistance = options.viewDistance || VIEW_DISTANCE;
+  }
+
+  /**
+   * Draw the part of a map around its holder
+   * @param {MapData} mapData - Map to draw into
+   * @param {Object} world - World exposing getBlock(x, y, z), getMaxHeight() and
+   *   optionally getMinHeight(), getHighestBlockY(x, z) and getBiomeAt(x, z)
+   * @param {Object} position - Holder position { x, z }
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.full=false] - Draw every column instead of one in 16
+   * @returns {number} Pixels that changed
+   */
+  update(mapData, world, position, options = {}) {
+    if (mapData.locked || !world || !position) return 0;
+
+    const blocksPerPixel = mapData.getBlocksPerPixel();
+    const holder = mapData.worldToPixel(position.x, position.z);
+    const radius = Math.floor(this.viewDistance / blocksPerPixel);
+    const step = options.full ? 1 : COLUMN_STRIDE;
+    const offset = options.full ? 0 : mapData.step++ % COLUMN_STRIDE;
+    let changed = 0;
+
+    for (let px = holder.x - radius + offset; px < holder.x + radius; px += step) {
+      if (px < 0 || px >= MAP_SIZE) continue;
+
+      // Height of the pixel north of the current one, for shading
+      let previousHeight = null;
+      for (let pz = holder.z - radius - 1; pz < holder.z + radius; pz++) {
+        if (pz < -1 || pz >= MAP_SIZE) continue;
+
+        const dx = px - holder.x;
+        const dz = pz - holder.z;
+        const sample = this.samplePixel(mapData, world, px, pz, blocksPerPixel);
+        const inView = pz >= 0 && dx * dx + dz * dz < radius * radius;
+
+        if (inView && previousHeight !== null) {
+          const pixel = packColor(sample.color, this.getShade(sample, previousHeight, px, pz, blocksPerPixel));
+          if (mapData.setPixel(px, pz, pixel)) {
+            changed++;
+          }
+        }
+        previousHeight = sample.height;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Fill a whole map with biome colors, for explorer maps handed out before
+   * anyone has been there
+   * @param {MapData} mapData - Map to draw into
+   * @param {Object} world - World exposing getBiomeAt(x, z)
+   * @param {Object} [options] - Options
+   * @param {string} [options.highlightBiome] - Biome drawn in a bright color to stand out
+   * @returns {number} Pixels that changed
+   */
+  renderBiomePreview(mapData, world, options = {}) {
+    if (!world || typeof world.getBiomeAt !== 'function') return 0;
+
+    const blocksPerPixel = mapData.getBlocksPerPixel();
+    let changed = 0;
+
+    for (let px = 0; px < MAP_SIZE; px++) {
+      for (let pz = 0; pz < MAP_SIZE; pz++) {
+        const { x, z } = mapData.pixelToWorld(px, pz);
+        const biome = getBiomeId(world.getBiomeAt(x + blocksPerPixel / 2, z + blocksPerPixel / 2));
+        const pixel = biome === options.highlightBiome ?
+          packColor(BaseColor.LIME, Shade.HIGH) :
+          packColor(getBiomeColor(biome), (px + pz) % 2 === 0 ? Shade.NORMAL : Shade.LOW);
+        if (mapData.setPixel(px, pz, pixel)) {
+          changed++;
+        }
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Most common top-block color, average height and water depth of the columns a pixel covers
+   * @param {MapData} mapData - Map
+   * @param {Object} world - World
+   * @param {number} px - Pixel x
+   * @param {number} pz - Pixel z
+   * @param {number} blocksPerPixel - Blocks per pixel
+   * @returns {Object} { color, height, waterDepth }
+   */
+  samplePixel(mapData, world, px, pz, blocksPerPixel) {
+    const origin = mapData.pixelToWorld(px, pz);
+    const samples = Math.min(blocksPerPixel, MAX_SAMPLES);
+    const spacing = blocksPerPixel / samples;
+    const votes = new Map();
+    let height = 0;
+    let waterDepth = 0;
+
+    for (let i = 0; i < samples; i++) {
+      for (let j = 0; j < samples; j++) {
+        const x = Math.floor(origin.x + i * spacing);
+        const z = Math.floor(origin.z + j * spacing);
+        const column = this.sampleColumn(world, x, z);
+        votes.set(column.color, (votes.get(column.color) || 0) + 1);
+        height += column.height;
+        waterDepth += column.waterDepth;
+      }
+    }
+
+    let color = BaseColor.NONE;
+    let best = 0;
+    for (const [candidate, count] of votes) {
+      if (count > best) {
+        color = candidate;
+        best = count;
+      }
+    }
+
+    const total = samples * samples;
+    return { color, height: height / total, waterDepth: waterDepth / total };
+  }
+
+  /**
+   * Top visible block of a column
+   * @param {Object} world - World
+   * @param {number} x - Block x
+   * @param {number} z - Block z
+   * @returns {Object} { color, height, waterDepth }
+   */
+  sampleColumn(world, x, z) {
+    const minY = typeof world.getMinHeight === 'function' ? world.getMinHeight() : 0;
+    let y = typeof world.getHighestBlockY === 'function' ?
+      world.getHighestBlockY(x, z) :
+      (typeof world.getMaxHeight === 'function' ? world.getMaxHeight() : 256) - 1;
+    const biome = typeof world.getBiomeAt === 'function' ? getBiomeId(world.getBiomeAt(x, z)) : null;
+
+    for (; y >= minY; y--) {
+      const type = getBlockType(world.getBlock(x, y, z));
+      const color = getBlockColor(type, biome);
+      if (color === BaseColor.NONE) continue;
+
+      // Look through water to measure how deep it is
+      let waterDepth = 0;
+      if (WATER_TYPES.has(type)) {
+        while (y - waterDepth - 1 >= minY && WATER_TYPES.has(getBlockType(world.getBlock(x, y - waterDepth - 1, z)))) {
+          waterDepth++;
+        }
+        waterDepth++;
+      }
+      return { color, height: y, waterDepth };
+    }
+
+    return { color: BaseColor.NONE, height: minY, waterDepth: 0 };
+  }
+
+  /**
+   * Shade of a pixel: water by depth, land by slope towards the north
+   * @param {Object} sample - Pixel sample
+   * @param {number} previousHeight - Height of the pixel to the north
+   * @param {number} px - Pixel x
+   * @param {number} pz - Pixel z
+   * @param {number} blocksPerPixel - Blocks per pixel
+   * @returns {number} Shade
+   */
+  getShade(sample, previousHeight, px, pz, blocksPerPixel) {
+    const dither = (px + pz) & 1;
+
+    if (sample.color === BaseColor.WATER) {
+      const depth = sample.waterDepth * 0.1 + dither * 0.2;
+      if (depth < 0.5) return Shade.HIGH;
+      if (depth > 0.9) return Shade.LOW;
+      return Shade.NORMAL;
+    }
+
+    const slope = (sample.height - previousHeight) * 4 / (blocksPerPixel + 4) + (dither - 0.5) * 0.4;
+    if (slope > 0.6) return Shade.HIGH;
+    if (slope < -0.6) return Shade.LOW;
+    return Shade.NORMAL;
+  }
+
+  /**
+   * Colors of a map as RGBA bytes, row by row
+   * @param {MapData} mapData - Map
+   * @returns {Uint8ClampedArray} MAP_SIZE * MAP_SIZE * 4 bytes
+   */
+  toRGBA(mapData) {
+    const rgba = new Uint8ClampedArray(MAP_SIZE * MAP_SIZE * 4);
+    for (let pz = 0; pz < MAP_SIZE; pz++) {
+      for (let px = 0; px < MAP_SIZE; px++) {
+        rgba.set(getPixelRGBA(mapData.getPixel(px, pz)), (pz * MAP_SIZE + px) * 4);
+      }
+    }
+    return rgba;
+  }
+
+  /**
+   * Export a map as a PNG image
+   * @param {MapData} mapData - Map
+   * @param {Object} [options] - Options
+   * @param {number} [options.zoom=1] - Image pixels per map pixel
+   * @returns {Buffer} PNG file contents
+   */
+  toPNG(mapData, options = {}) {
+    return encodePNG(this.toRGBA(mapData), MAP_SIZE, MAP_SIZE, options);
+  }
+
+}
+
+/**
+ * @private
+ */
+function getBlockType(block) {
+  if (!block) return null;
+  return typeof block === 'string' ? block : (block.type || block.id);
+}
+
+/**
+ * Biome lookups return an id or a biome object depending on the world
+ * @private
+ */
+function getBiomeId(biome) {
+  if (!biome) return null;
+  return typeof biome === 'string' ? biome : (biome.id || biome.type || null);
+}
+
+MapRenderer.MAP_SIZE = MAP_SIZE;
+
+module.exports = MapRenderer;
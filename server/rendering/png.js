@@ -0,0 +1,37 @@
+/**
+ * PNG export of RGBA pixel buffers, shared by map and web map images
+ */
+
+/**
+ * Encode RGBA pixels as a PNG image
+ * @param {Uint8ClampedArray} rgba - width * height * 4 bytes, row by row
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} [options] - Options
+ * @param {number} [options.zoom=1] - Image pixels per source pixel, scaled without smoothing
+ * @returns {Buffer} PNG file contents
+ */
+function encodePNG(rgba, width, height, options = {}) {
+  // canvas is a native module; load it only when an image is actually asked for
+  const { createCanvas } = require('canvas');
+  const zoom = Math.max(1, Math.floor(options.zoom || 1));
+
+  const source = createCanvas(width, height);
+  const sourceContext = source.getContext('2d');
+  const image = sourceContext.createImageData(width, height);
+  image.data.set(rgba);
+  sourceContext.putImageData(image, 0, 0);
+  if (zoom === 1) {
+    return source.toBuffer('image/png');
+  }
+
+  const canvas = createCanvas(width * zoom, height * zoom);
+  const context = canvas.getContext('2d');
+  context.imageSmoothingEnabled = false;
+  context.drawImage(source, 0, 0, width * zoom, height * zoom);
+  return canvas.toBuffer('image/png');
+}
+
+module.exports = {
+  encodePNG
+};
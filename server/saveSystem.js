@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const WorldSave = require('./world/worldSave');
+const { writeFileAtomic } = require('./utils/atomicFile');
 
 // Create saves directory if it doesn't exist
 const savesDir = path.join(__dirname, '../saves');
@@ -18,7 +20,7 @@ function saveGame(worldName, players, blocks, mobs) {
     };
 
     const saveFile = path.join(savesDir, `${worldName}.json`);
-    fs.writeFileSync(saveFile, JSON.stringify(saveData, null, 2));
+    writeFileAtomic(saveFile, JSON.stringify(saveData, null, 2));
     
     console.log(`Game saved to ${saveFile}`);
     return true;
@@ -28,9 +30,95 @@ function saveGame(worldName, players, blocks, mobs) {
   }
 }
 
+// Open world saves, keyed by world name
+const openWorldSaves = new Map();
+
+// Open (and recover if needed) the incremental save of a world
+function openWorld(worldName) {
+  if (!/^[\w-]+$/.test(worldName)) {
+    throw new Error(`Invalid world name: ${worldName}`);
+  }
+
+  if (!openWorldSaves.has(worldName)) {
+    const worldSave = new WorldSave({
+      directory: path.join(savesDir, worldName),
+      name: worldName
+    });
+    worldSave.open();
+    openWorldSaves.set(worldName, worldSave);
+  }
+
+  return openWorldSaves.get(worldName);
+}
+
+// Incrementally save a world: only dirty chunks are rewritten
+function saveWorld(worldName, state) {
+  try {
+    const worldSave = openWorld(worldName);
+
+    // A world that was never written in this format needs every chunk
+    const dirtyChunks = worldSave.exists() ? state.dirtyChunks : null;
+    const result = worldSave.save({
+      blocks: state.blocks,
+      dirtyChunks,
+      players: state.players,
+      entities: state.mobs,
+      level: state.level
+    });
+    if (!dirtyChunks && state.dirtyChunks) {
+      state.dirtyChunks.clear();
+    }
+
+    console.log(`World "${worldName}" saved (${result.chunksWritten} chunks written)`);
+    return true;
+  } catch (error) {
+    console.error('Error saving world:', error);
+    return false;
+  }
+}
+
+// Load an incremental world save
+function loadWorld(worldName) {
+  const worldSave = openWorld(worldName);
+  const level = worldSave.loadLevel();
+  if (!level) {
+    return null;
+  }
+
+  return {
+    ...level,
+    players: worldSave.players,
+    blocks: worldSave.loadBlocks('overworld'),
+    mobs: worldSave.entities
+  };
+}
+
+// Close the save of one world, releasing its session lock and journal
+function closeWorld(worldName) {
+  if (openWorldSaves.has(worldName)) {
+    openWorldSaves.get(worldName).close();
+    openWorldSaves.delete(worldName);
+  }
+}
+
+// Close all open world saves (called on shutdown)
+function closeWorlds() {
+  for (const worldSave of openWorldSaves.values()) {
+    worldSave.close();
+  }
+  openWorldSaves.clear();
+}
+
 // Load game state from file
 function loadGame(worldName) {
   try {
+    // Prefer the incremental format when the world has been saved in it
+    if (fs.existsSync(path.join(savesDir, worldName, 'level.json'))) {
+      const saveData = loadWorld(worldName);
+      console.log(`Game loaded from ${path.join(savesDir, worldName)}`);
+      return saveData;
+    }
+
     const saveFile = path.join(savesDir, `${worldName}.json`);
     
     if (!fs.existsSync(saveFile)) {
@@ -52,8 +140,10 @@ function loadGame(worldName) {
 function listSaves() {
   try {
     const files = fs.readdirSync(savesDir);
+    const worldDirs = files.filter(file =>
+      fs.existsSync(path.join(savesDir, file, 'level.json')));
     const saves = files
-      .filter(file => file.endsWith('.json'))
+      .filter(file => file.endsWith('.json') && !worldDirs.includes(file.replace('.json', '')))
       .map(file => {
         const worldName = file.replace('.json', '');
         try {
@@ -71,6 +161,15 @@ function listSaves() {
         }
       });
     
+    for (const worldName of worldDirs) {
+      try {
+        const level = JSON.parse(fs.readFileSync(path.join(savesDir, worldName, 'level.json'), 'utf8'));
+        saves.push({ name: worldName, timestamp: level.timestamp });
+      } catch (error) {
+        saves.push({ name: worldName, timestamp: null, error: 'Corrupted save file' });
+      }
+    }
+    
     return saves;
   } catch (error) {
     console.error('Error listing saves:', error);
@@ -82,13 +181,16 @@ function listSaves() {
 function deleteSave(worldName) {
   try {
     const saveFile = path.join(savesDir, `${worldName}.json`);
+    const worldDir = path.join(savesDir, worldName);
     
-    if (!fs.existsSync(saveFile)) {
+    if (!fs.existsSync(saveFile) && !fs.existsSync(worldDir)) {
       console.error(`Save file not found: ${saveFile}`);
       return false;
     }
     
-    fs.unlinkSync(saveFile);
+    closeWorld(worldName);
+    fs.rmSync(saveFile, { force: true });
+    fs.rmSync(worldDir, { recursive: true, force: true });
     console.log(`Save deleted: ${saveFile}`);
     return true;
   } catch (error) {
@@ -101,5 +203,10 @@ module.exports = {
   saveGame,
   loadGame,
   listSaves,
-  deleteSave
+  deleteSave,
+  openWorld,
+  saveWorld,
+  loadWorld,
+  closeWorld,
+  closeWorlds
 }; 
\ No newline at end of file
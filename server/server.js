@@ -10,6 +10,7 @@ const EnchantmentTable = require('./enchantments/enchantmentTable');
 const EnchantmentManager = require('./enchantments/enchantmentManager');
 const BrewingSystem = require('./potions/brewingSystem');
 const StatusEffectsManager = require('./entities/statusEffectsManager');
+const { HungerManager, Exhaustion } = require('./entities/hungerManager');
 const BrewingHandler = require('./blocks/brewingHandler');
 const PotionRegistry = require('./items/potionRegistry');
 const PortalManager = require('./world/portalManager');
@@ -18,10 +19,36 @@ const NetherDimension = require('./world/netherDimension');
 const VillageReputationManager = require('./world/villageReputationManager');
 const CombatManager = require('./combat/combatManager');
 const WeatherSystem = require('./weather/weatherSystem');
-const BlockRegistry = require('./blocks/blockRegistry');
+const { blockRegistry } = require('./blocks/blockRegistry');
 const ItemRegistry = require('./items/itemRegistry');
 const CraftingManager = require('./crafting/craftingManager');
+const { getDefaultRecipeLoader } = require('./crafting/recipeLoader');
+const { getDefaultLootTableLoader } = require('./loot/lootTableLoader');
+const { getDefaultStructureTemplateManager } = require('./utils/structures/structureTemplateManager');
+const recipeRegistry = require('./registry/recipeRegistry');
+const { getBlockTags } = require('./registry/tagRegistry');
+const stonecutterRegistry = require('./registry/stonecutterRegistry');
 const BackupSystem = require('./backup/backupSystem');
+const WorldSave = require('./world/worldSave');
+const RedstoneManager = require('./systems/redstoneManager');
+const PistonManager = require('./systems/pistonManager');
+const MiningManager = require('./systems/miningManager');
+const { getHeldItem } = require('./items/toolTiers');
+const ExplosionManager = require('./systems/explosionManager');
+const MapManager = require('./systems/mapManager');
+const WebMapManager = require('./systems/webMapManager');
+const { DifficultyManager } = require('./systems/difficultyManager');
+const { GameRules } = require('./systems/gameRules');
+const LightManager = require('./systems/lightManager');
+const FluidManager = require('./systems/fluidManager');
+const PathfindingManager = require('./systems/pathfindingManager');
+const MovementValidator = require('./physics/movementValidator');
+const InterestManager = require('./world/interestManager');
+const CommandDispatcher = require('./commands/commandDispatcher');
+const PermissionManager = require('./commands/permissionManager');
+const AccountManager = require('./accounts/accountManager');
+const ProfileStore = require('./accounts/profileStore');
+const AccessControl = require('./accounts/accessControl');
 
 const app = express();
 const httpServer = createServer(app);
@@ -43,7 +70,21 @@ app.get('/', (req, res) => {
 
 // Game state
 const players = {};
+// Sockets of the players in the game, keyed by player UUID
+const playerSockets = new Map();
+const DEFAULT_SPAWN = { x: 0, y: 1, z: 0 };
+// Clients must log in this soon after connecting
+const LOGIN_TIMEOUT = 30000;
+// Web map tiles of the nether look in from under its bedrock roof, and
+// are rendered again after a minute since nether block changes are not tracked
+const NETHER_MAP_TOP_Y = 120;
+const NETHER_TILE_MAX_AGE = 60000;
+// Ticks a player's moves are not speed-checked after an explosion pushes them
+const KNOCKBACK_EXEMPT_TICKS = 40;
+// Glowstone a respawn anchor holds
+const RESPAWN_ANCHOR_MAX_CHARGES = 4;
 let blocks = {};
+const VIEW_DISTANCE = 8; // Chunks streamed around each player
 const mobs = {};
 const mobTypes = {};
 const projectiles = {};
@@ -117,20 +158,20 @@ const blockTypes = {
   black_candle: { name: 'Black Candle', hardness: 0.1, light: 3, transparent: true }
 };
 
-// Tool types and their properties
+// Tool types and their properties; mining speed and harvest level come from the tier (see items/toolTiers.js)
 const toolTypes = {
-  wooden_pickaxe: { name: 'Wooden Pickaxe', durability: 60, efficiency: 1.2 },
-  wooden_axe: { name: 'Wooden Axe', durability: 60, efficiency: 1.2 },
-  wooden_sword: { name: 'Wooden Sword', durability: 60, damage: 4 },
-  stone_pickaxe: { name: 'Stone Pickaxe', durability: 132, efficiency: 1.5 },
-  stone_axe: { name: 'Stone Axe', durability: 132, efficiency: 1.5 },
-  stone_sword: { name: 'Stone Sword', durability: 132, damage: 5 },
-  iron_pickaxe: { name: 'Iron Pickaxe', durability: 251, efficiency: 2 },
-  iron_axe: { name: 'Iron Axe', durability: 251, efficiency: 2 },
-  iron_sword: { name: 'Iron Sword', durability: 251, damage: 6 },
-  diamond_pickaxe: { name: 'Diamond Pickaxe', durability: 1562, efficiency: 3 },
-  diamond_axe: { name: 'Diamond Axe', durability: 1562, efficiency: 3 },
-  diamond_sword: { name: 'Diamond Sword', durability: 1562, damage: 7 }
+  wooden_pickaxe: { name: 'Wooden Pickaxe', durability: 60, toolType: 'pickaxe', tier: 'wooden' },
+  wooden_axe: { name: 'Wooden Axe', durability: 60, toolType: 'axe', tier: 'wooden' },
+  wooden_sword: { name: 'Wooden Sword', durability: 60, damage: 4, toolType: 'sword', tier: 'wooden' },
+  stone_pickaxe: { name: 'Stone Pickaxe', durability: 132, toolType: 'pickaxe', tier: 'stone' },
+  stone_axe: { name: 'Stone Axe', durability: 132, toolType: 'axe', tier: 'stone' },
+  stone_sword: { name: 'Stone Sword', durability: 132, damage: 5, toolType: 'sword', tier: 'stone' },
+  iron_pickaxe: { name: 'Iron Pickaxe', durability: 251, toolType: 'pickaxe', tier: 'iron' },
+  iron_axe: { name: 'Iron Axe', durability: 251, toolType: 'axe', tier: 'iron' },
+  iron_sword: { name: 'Iron Sword', durability: 251, damage: 6, toolType: 'sword', tier: 'iron' },
+  diamond_pickaxe: { name: 'Diamond Pickaxe', durability: 1562, toolType: 'pickaxe', tier: 'diamond' },
+  diamond_axe: { name: 'Diamond Axe', durability: 1562, toolType: 'axe', tier: 'diamond' },
+  diamond_sword: { name: 'Diamond Sword', durability: 1562, damage: 7, toolType: 'sword', tier: 'diamond' }
 };
 
 // Initialize mob manager
@@ -156,6 +197,12 @@ const worldGenerator = new WorldGenerator({
 mobManager.setBiomeManager(worldGenerator.biomeManager);
 mobManager.setWorldSeed(worldSeed);
 
+// Game rules, saved with the level data and changed with /gamerule
+global.gameRules = new GameRules();
+global.gameRules.on('ruleChanged', ({ rule, value }) => {
+  io.emit('gameRuleUpdate', { rule, value });
+});
+
 // Create "world" object that will be used by various systems
 const world = {
   getBlock: (x, y, z) => {
@@ -164,10 +211,88 @@ const world = {
   },
   getMaxHeight: () => 256,
   getMinHeight: () => 0,
+  getBiomeAt: (x, z) => worldGenerator.biomeManager.getBiomeAt(x, z, worldSeed),
   seed: worldSeed,
-  generator: worldGenerator
+  generator: worldGenerator,
+  gameRules: global.gameRules,
+  createExplosion: (options) => global.explosionManager.explode(options),
+  getRedstonePowerAt: (x, y, z) => global.redstoneManager.getPowerAt(x, y, z),
+  updateRedstoneSignal: (position, level) => global.redstoneManager.updateRedstoneSignal(position, level),
+  updateComparatorOutput: (x, y, z, output) => global.redstoneManager.updateComparatorOutput(x, y, z, output),
+  setBlock: (x, y, z, block) => {
+    const posKey = `${x},${y},${z}`;
+    if (block) {
+      blocks[posKey] = block;
+    } else {
+      delete blocks[posKey];
+    }
+    onBlockChanged(posKey);
+    emitBlockUpdate(posKey, { position: posKey, type: block ? block.type : null, state: block ? block.state : undefined });
+  },
+  getEntities: () => [...Object.values(players), ...Object.values(mobManager.mobs)],
+  findNearestStructure: (type, position, radius) => worldGenerator.structurePlacement.locate(type, position, radius),
+  getStructuresInRange: (position, radius, includeRare) =>
+    worldGenerator.structurePlacement.getStructuresInRange(position, radius, includeRare),
+  getStructures: (type) => worldGenerator.structurePlacement.getStarts()
+    .filter(structure => !type || structure.type === type)
 };
 
+// Server-authoritative redstone; clients only render the resulting states
+global.redstoneManager = new RedstoneManager({ world });
+global.redstoneManager.on('componentChanged', (change) => {
+  io.emit('redstoneUpdate', change);
+});
+global.redstoneManager.on('powerChanged', ({ position, block, power, previous }) => {
+  io.emit('redstonePowerUpdate', { position, power });
+  // A redstone signal lights TNT
+  if (block && block.type === 'tnt' && power > 0 && !(previous > 0)) {
+    global.explosionManager.primeTnt(position);
+  }
+});
+
+// Pistons react to redstone power changes on the following tick
+global.pistonManager = new PistonManager({ world, redstoneManager: global.redstoneManager });
+global.pistonManager.on('moved', ({ piston, direction, blocks: movedBlocks }) => {
+  io.emit('pistonMoved', { piston, direction, blocks: movedBlocks });
+});
+
+// Water and lava flow on scheduled ticks; changes reach clients as block updates
+global.fluidManager = new FluidManager({ world, dimension: 'overworld' });
+global.fluidManager.on('fluidInteraction', ({ position, result }) => {
+  io.emit('fluidInteraction', { position, result });
+});
+
+// Server-side block and sky light; clients get packed light per chunk section
+global.lightManager = new LightManager({ world, blockTypes });
+global.lightManager.on('lightUpdate', ({ sections }) => {
+  io.emit('lightUpdate', { sections: encodeLightSections(sections) });
+});
+mobManager.setLightManager(global.lightManager);
+
+// Mobs walk, fly and swim along A* paths; block changes invalidate the paths they cross
+global.pathfindingManager = new PathfindingManager({ world });
+mobManager.setPathfinding(global.pathfindingManager);
+
+// World difficulty and regional difficulty; peaceful removes hostile mobs
+global.difficultyManager = new DifficultyManager();
+mobManager.setDifficultyManager(global.difficultyManager);
+global.difficultyManager.on('difficultyChanged', ({ difficulty }) => {
+  io.emit('difficultyUpdate', { difficulty });
+});
+mobManager.setGameRules(global.gameRules);
+
+// Each player only receives the chunks and entities within their view distance
+global.interestManager = new InterestManager({ blocks, viewDistance: VIEW_DISTANCE });
+global.interestManager.on('chunkData', ({ playerId, x, z, blocks: chunkBlocks }) => {
+  io.to(playerId).emit('chunkData', { x, z, blocks: chunkBlocks });
+});
+global.interestManager.on('chunkUnload', ({ playerId, x, z }) => {
+  io.to(playerId).emit('chunkUnload', { x, z });
+});
+global.interestManager.on('entityUpdates', ({ playerId, spawned, updated, despawned }) => {
+  io.to(playerId).emit('entityUpdates', { spawned, updated, despawned });
+});
+
 // Weather state
 let isRaining = false;
 let moonPhase = 0;
@@ -178,7 +303,7 @@ const enchantmentTable = new EnchantmentTable();
 const enchantmentManager = new EnchantmentManager();
 
 // Initialize status effects manager
-global.statusEffectsManager = new StatusEffectsManager();
+global.statusEffectsManager = new StatusEffectsManager({ players, mobManager, io });
 
 // Initialize brewing system
 global.brewingSystem = new BrewingSystem(io);
@@ -186,11 +311,20 @@ global.brewingSystem = new BrewingSystem(io);
 // Initialize combat manager
 global.combatManager = new CombatManager({
   server: io,
-  statusEffectsManager: global.statusEffectsManager
+  statusEffectsManager: global.statusEffectsManager,
+  difficultyManager: global.difficultyManager
 });
 
-// Initialize dimension manager
-global.dimensionManager = new DimensionManager({ server: io });
+// Initialize dimension manager; it links nether portals and carries entities through them
+global.dimensionManager = new DimensionManager({
+  server: io,
+  isPlayer: (entity) => Boolean(players[entity.id])
+});
+global.dimensionManager.on('entityTeleported', ({ entity }) => {
+  if (players[entity.id] === entity) {
+    sendDimensionChange(entity);
+  }
+});
 
 // Initialize portal manager
 global.portalManager = new PortalManager();
@@ -207,11 +341,81 @@ const netherDimension = new NetherDimension({
   server: io 
 });
 
+// Server-authoritative movement; clients only send inputs and position deltas
+global.movementValidator = new MovementValidator({
+  world,
+  worlds: {
+    nether: { getBlock: (x, y, z) => netherDimension.blocks.get(`${x},${y},${z}`) || null }
+  },
+  statusEffectsManager: global.statusEffectsManager
+});
+global.movementValidator.on('correction', ({ player, position, reason }) => {
+  io.to(player.id).emit('positionCorrection', { position, reason });
+});
+global.movementValidator.on('fallDamage', ({ player, damage }) => {
+  if (player.gameMode === 'creative' || player.gameMode === 'spectator') return;
+
+  player.health = Math.max(0, player.health - damage);
+  if (player.health === 0) {
+    handlePlayerDeath(player);
+  }
+  global.hungerManager.addExhaustion(player, Exhaustion.DAMAGE);
+  io.to(player.id).emit('playerDamaged', { damage, source: 'fall' });
+  io.emit('playerUpdate', player);
+});
+global.movementValidator.on('move', ({ player, ...move }) => {
+  global.hungerManager.recordMove(player, move);
+});
+
+// Hunger, saturation and natural regeneration
+const gameSettings = {
+  get difficulty() {
+    return global.difficultyManager.getDifficulty();
+  },
+  get naturalRegeneration() {
+    return global.gameRules.getBoolean('naturalRegeneration');
+  }
+};
+global.hungerManager = new HungerManager({
+  statusEffectsManager: global.statusEffectsManager,
+  settings: gameSettings
+});
+global.hungerManager.on('hungerChanged', ({ player, hunger, saturation }) => {
+  io.to(player.id).emit('hungerUpdate', { hunger, saturation });
+});
+global.hungerManager.on('regenerate', ({ player }) => {
+  io.emit('playerUpdate', player);
+});
+global.hungerManager.on('starvation', ({ player, damage }) => {
+  player.health = Math.max(0, player.health - damage);
+  if (player.health === 0) {
+    handlePlayerDeath(player);
+  }
+  io.to(player.id).emit('playerDamaged', { damage, source: 'starvation' });
+  io.emit('playerUpdate', player);
+});
+
+// Server-side block breaking; clients report digging and the server times it
+global.miningManager = new MiningManager({
+  world,
+  worlds: {
+    nether: { getBlock: (x, y, z) => netherDimension.blocks.get(`${x},${y},${z}`) || null }
+  },
+  blockTypes,
+  blockRegistry,
+  statusEffectsManager: global.statusEffectsManager,
+  movementValidator: global.movementValidator
+});
+global.miningManager.on('progress', ({ player, posKey, position, stage }) => {
+  emitBlockUpdate(posKey, { playerId: player.id, position, stage }, 'blockBreakProgress');
+});
+
 // Initialize weather system
 const weatherSystem = new WeatherSystem();
 
 // Initialize weather system with world reference
 weatherSystem.world = world;
+weatherSystem.gameRules = global.gameRules;
 
 // Listen for weather change events
 weatherSystem.on('weatherChange', (data) => {
@@ -223,13 +427,214 @@ weatherSystem.on('lightningStrike', (strike) => {
   console.log(`Lightning strike at: ${strike.x}, ${strike.y}, ${strike.z}`);
 });
 
+// Accounts, player profiles, whitelist and bans; players log in before they join
+global.accountManager = new AccountManager({ file: path.join(__dirname, 'accounts.json') });
+global.profileStore = new ProfileStore({ directory: path.join(__dirname, 'playerdata') });
+global.accessControl = new AccessControl({
+  whitelistFile: path.join(__dirname, 'whitelist.json'),
+  banFile: path.join(__dirname, 'banned-players.json'),
+  whitelistEnabled: process.env.WHITELIST === 'true'
+});
+
+// Recipes and item tags from server/data plus the packs in server/datapacks;
+// /reload reads them again and the registries follow
+global.recipeLoader = getDefaultRecipeLoader();
+const syncRecipeRegistries = () => {
+  recipeRegistry.loadFrom(global.recipeLoader);
+  stonecutterRegistry.loadFrom(global.recipeLoader);
+};
+syncRecipeRegistries();
+global.recipeLoader.on('loaded', syncRecipeRegistries);
+
+// Loot tables for mob drops, chests and archaeology, reloaded with /reload
+global.lootTableLoader = getDefaultLootTableLoader();
+
+// Structure templates and jigsaw pools from the datapacks plus those saved
+// with /structure save, which go to server/generated
+global.structureTemplates = getDefaultStructureTemplateManager();
+worldGenerator.structureGenerator.setTemplateManager(global.structureTemplates);
+
+// Explosions break blocks by blast resistance, hurt and push entities and set off TNT
+global.explosionManager = new ExplosionManager({
+  world,
+  worlds: {
+    nether: {
+      getBlock: (x, y, z) => netherDimension.blocks.get(`${x},${y},${z}`) || null,
+      setBlock: (x, y, z, block) => (block ?
+        netherDimension.blocks.set(`${x},${y},${z}`, block) : netherDimension.blocks.delete(`${x},${y},${z}`))
+    }
+  },
+  blockTypes,
+  blockRegistry,
+  lootTableLoader: global.lootTableLoader,
+  getBlockDrops,
+  getEntities: (dimension) => [
+    ...Object.values(players).filter(player => (player.dimension || 'overworld') === dimension),
+    ...(dimension === 'overworld' ? Object.values(mobManager.mobs) : [])
+  ],
+  gameRules: global.gameRules
+});
+mobManager.setExplosionManager(global.explosionManager);
+global.explosionManager.on('explosion', ({ position, power, dimension, sourceType, drops, damaged }) => {
+  for (const { entity, damage, knockback } of damaged) {
+    if (players[entity.id] === entity) {
+      hurtPlayerByExplosion(entity, damage, knockback);
+    }
+  }
+  io.emit('explosion', { position, power, dimension, sourceType, drops });
+});
+global.explosionManager.on('tntPrimed', ({ id, position, fuse, dimension }) => {
+  io.emit('tntPrimed', { id, position, fuse, dimension });
+});
+
+// Filled maps share their pixels by map id; clients get the changed rectangle
+global.mapManager = new MapManager();
+global.mapManager.on('mapUpdated', ({ id, patch }) => {
+  io.emit('mapUpdate', { id, patch });
+});
+
+// Top-down tiles of the whole world for the admin web map at /webmap
+global.webMapManager = new WebMapManager({
+  getPlayers: () => Object.values(players),
+  getVillages: () => mobManager.getVillages(),
+  getStructures: () => worldGenerator.structurePlacement.getStarts()
+});
+global.webMapManager.addDimension('overworld', {
+  getChunkBlocks: (chunkX, chunkZ) => global.interestManager.getChunkBlocks(chunkX, chunkZ)
+});
+// Nether blocks change without going through onBlockChanged, so its tiles expire instead
+global.webMapManager.addDimension('nether', {
+  getBlock: (x, y, z) => netherDimension.blocks.get(`${x},${y},${z}`) || null,
+  topY: NETHER_MAP_TOP_Y,
+  maxAge: NETHER_TILE_MAX_AGE
+});
+
+// Browsers viewing the web map connect here; they do not log in
+const webMapViewers = io.of('/webmap');
+webMapViewers.on('connection', (socket) => {
+  socket.emit('dimensions', global.webMapManager.getDimensions());
+  socket.emit('markers', global.webMapManager.getMarkers());
+});
+global.webMapManager.on('tileInvalidated', (tile) => {
+  webMapViewers.emit('tileInvalidated', tile);
+});
+global.webMapManager.on('cleared', () => {
+  webMapViewers.emit('cleared');
+});
+
+app.get('/webmap', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/webmap.html'));
+});
+
+app.get('/webmap/tiles/:dimension/:zoom/:x/:z.png', (req, res) => {
+  const [zoom, x, z] = [req.params.zoom, req.params.x, req.params.z].map(Number);
+  if (![zoom, x, z].every(Number.isInteger)) {
+    res.status(400).send('Bad tile coordinates');
+    return;
+  }
+  try {
+    const png = global.webMapManager.getTile(req.params.dimension, zoom, x, z);
+    if (!png) {
+      res.status(404).send('Unknown dimension or zoom level');
+      return;
+    }
+    res.type('png').send(png);
+  } catch (error) {
+    console.error(`Failed to render web map tile ${req.path}:`, error);
+    res.status(500).send('Tile rendering failed');
+  }
+});
+
+// Map images, e.g. /maps/map_0.png?zoom=4
+app.get('/maps/:id.png', (req, res) => {
+  const zoom = req.query.zoom === undefined ? 1 : Number(req.query.zoom);
+  if (!Number.isInteger(zoom) || zoom < 1 || zoom > 8) {
+    res.status(400).send('Zoom must be an integer from 1 to 8');
+    return;
+  }
+  if (!global.mapManager.getMap(req.params.id)) {
+    res.status(404).send('Unknown map');
+    return;
+  }
+  try {
+    const png = global.mapManager.exportPNG(req.params.id, { zoom });
+    res.type('png').send(png);
+  } catch (error) {
+    console.error(`Failed to export map ${req.params.id}:`, error);
+    res.status(500).send('Map export failed');
+  }
+});
+
+// Chat commands; operators and their permission levels live in ops.json
+global.commandDispatcher = new CommandDispatcher({
+  permissions: new PermissionManager({ file: path.join(__dirname, 'ops.json') }),
+  blockTypes,
+  itemTypes: toolTypes,
+  server: {
+    getPlayers: () => Object.values(players),
+    getEntities: () => Object.values(mobManager.mobs),
+    getBlock: world.getBlock,
+    setBlock: world.setBlock,
+    teleport: (entity, position) => {
+      if (!players[entity.id]) {
+        entity.position = position;
+        return;
+      }
+      global.movementValidator.teleport(entity, position);
+      global.interestManager.updatePlayer(entity);
+      io.to(entity.id).emit('positionCorrection', { position: entity.position, reason: 'teleport' });
+      io.emit('playerUpdate', entity);
+    },
+    giveItem: (player, itemId, count) => {
+      player.inventory[itemId] = (player.inventory[itemId] || 0) + count;
+      io.emit('playerUpdate', player);
+    },
+    setGameMode: (player, mode) => {
+      player.gameMode = mode;
+      io.emit('playerUpdate', player);
+    },
+    getTime: () => Math.floor(worldTime),
+    setTime: (time) => {
+      worldTime = time;
+      mobManager.worldTime = time;
+    },
+    kick: kickPlayer,
+    accounts: global.accountManager,
+    accessControl: global.accessControl,
+    mobManager,
+    weatherSystem,
+    difficultyManager: global.difficultyManager,
+    gameRules: global.gameRules,
+    statusEffectsManager: global.statusEffectsManager,
+    recipeLoader: global.recipeLoader,
+    lootTableLoader: global.lootTableLoader,
+    structureTemplates: global.structureTemplates
+  }
+});
+
 // Initialize dimension manager and register dimensions
 global.dimensionManager.addDimension('overworld', { 
   id: 'overworld',
   getBlockType: (posKey) => blocks[posKey] ? blocks[posKey].type : null,
   setBlock: (posKey, blockData) => {
     blocks[posKey] = blockData;
-    io.emit('blockUpdate', { position: posKey, type: blockData.type });
+    onBlockChanged(posKey);
+    emitBlockUpdate(posKey, { position: posKey, type: blockData.type });
+  },
+  removeBlock: (posKey) => {
+    delete blocks[posKey];
+    onBlockChanged(posKey);
+    emitBlockUpdate(posKey, { position: posKey, type: null });
+  },
+  // Players stay in the player list; mobs move in and out of the mob manager
+  getEntity: (entityId) => mobManager.mobs[entityId] || players[entityId] || null,
+  addEntity: (entity) => {
+    if (!players[entity.id]) {
+      mobManager.mobs[entity.id] = entity;
+    }
+  },
+  removeEntity: (entityId) => {
+    delete mobManager.mobs[entityId];
   }
 });
 global.dimensionManager.addDimension('nether', netherDimension);
@@ -239,7 +644,7 @@ const potionRegistry = new PotionRegistry();
 global.villageReputationManager = new VillageReputationManager();
 
 // Initialize managers
-global.craftingManager = new CraftingManager();
+global.craftingManager = new CraftingManager({ recipeLoader: global.recipeLoader });
 global.craftingManager.registerDefaultRecipes();
 
 // Initialize backup system
@@ -251,10 +656,301 @@ global.backupSystem = new BackupSystem({
   recoveryDelay: 5000 // 5 seconds
 });
 
+// Open the incremental save of the current world. If the last session
+// crashed, the write-ahead journal is replayed here.
+let worldSave = saveSystem.openWorld(currentWorld);
+global.backupSystem.addWorldSave(worldSave);
+
+// Chunks ("chunkX,chunkZ") modified since the last save
+const dirtyChunks = new Set();
+
+// Mark the chunk holding a block position as needing a save
+function markBlockDirty(posKey) {
+  dirtyChunks.add(WorldSave.getChunkKeyForBlock(posKey));
+}
+
+// Record a block change: mark it for saving and let redstone, light and fluids react
+function onBlockChanged(posKey) {
+  markBlockDirty(posKey);
+  global.interestManager.onBlockChanged(posKey);
+  const [x, y, z] = posKey.split(',').map(Number);
+  global.redstoneManager.onBlockChanged(x, y, z);
+  global.lightManager.onBlockChanged(x, y, z);
+  global.fluidManager.onBlockChanged(x, y, z);
+  global.pathfindingManager.onBlockChanged(x, y, z);
+  global.webMapManager.onBlockChanged('overworld', x, z);
+}
+
+// Send a block change to the players that can see its chunk. The interest
+// manager tracks overworld viewers; elsewhere it goes to players in that
+// dimension within view distance
+function emitBlockUpdate(posKey, update, event = 'blockUpdate', dimension = 'overworld') {
+  if (dimension === global.interestManager.dimension) {
+    for (const playerId of global.interestManager.getBlockViewers(posKey)) {
+      io.to(playerId).emit(event, update);
+    }
+    return;
+  }
+
+  const [x, , z] = posKey.split(',').map(Number);
+  const chunkX = Math.floor(x / 16);
+  const chunkZ = Math.floor(z / 16);
+  for (const player of Object.values(players)) {
+    if ((player.dimension || 'overworld') !== dimension || !player.position) continue;
+    if (Math.abs(Math.floor(player.position.x / 16) - chunkX) <= VIEW_DISTANCE &&
+        Math.abs(Math.floor(player.position.z / 16) - chunkZ) <= VIEW_DISTANCE) {
+      io.to(player.id).emit(event, update);
+    }
+  }
+}
+
+// Tell a player they arrived in the nether or the overworld, with the blocks
+// around them there, and restart movement checks from their new position
+function sendDimensionChange(player) {
+  const dimension = player.dimension || 'overworld';
+  let dimensionBlocks = blocks;
+  
+  if (dimension === 'nether') {
+    netherDimension.generateAroundPlayer(player);
+    
+    dimensionBlocks = {};
+    const radius = 32;
+    const px = Math.floor(player.position.x);
+    const py = Math.floor(player.position.y);
+    const pz = Math.floor(player.position.z);
+    for (let x = px - radius; x <= px + radius; x++) {
+      for (let y = Math.max(0, py - radius); y <= Math.min(netherDimension.ceilingHeight, py + radius); y++) {
+        for (let z = pz - radius; z <= pz + radius; z++) {
+          const block = netherDimension.blocks.get(`${x},${y},${z}`);
+          if (block) {
+            dimensionBlocks[`${x},${y},${z}`] = block;
+          }
+        }
+      }
+    }
+  }
+  
+  if (dimension === 'nether' || dimension === 'overworld') {
+    io.to(player.id).emit('dimensionChanged', {
+      dimension,
+      position: player.position,
+      blocks: dimensionBlocks
+    });
+  }
+  
+  global.movementValidator.teleport(player, player.position);
+  global.interestManager.updatePlayer(player);
+  io.except(player.id).emit('playerUpdate', player);
+}
+
+// Entities, players included, travel when the server sees them standing in a portal block
+function enterPortalIfInside(entity, dimension, getBlock) {
+  if (!entity.position) return;
+  
+  const x = Math.floor(entity.position.x);
+  const y = Math.floor(entity.position.y);
+  const z = Math.floor(entity.position.z);
+  const block = getBlock(`${x},${y},${z}`);
+  if (block && block.type === 'nether_portal') {
+    global.dimensionManager.handleEntityEnterPortal({ entity, portalPosition: { x, y, z }, dimension });
+  }
+}
+
+// Light every chunk column that holds blocks from scratch
+function relightWorld() {
+  global.lightManager.clear();
+  const columns = new Set();
+  for (const posKey in blocks) {
+    const [x, , z] = posKey.split(',').map(Number);
+    columns.add(`${Math.floor(x / 16)},${Math.floor(z / 16)}`);
+  }
+  for (const column of columns) {
+    const [chunkX, chunkZ] = column.split(',').map(Number);
+    global.lightManager.lightColumn(chunkX, chunkZ);
+  }
+}
+
+// Packed light goes over the wire as one byte per block
+function encodeLightSections(sections) {
+  return sections.map(({ x, y, z, light }) => ({ x, y, z, light: Buffer.from(light).toString('base64') }));
+}
+
+// Collect the state that goes into a world save
+function getWorldSaveState() {
+  return {
+    players,
+    blocks,
+    mobs: mobManager.getMobData(),
+    dirtyChunks,
+    level: {
+      seed: worldSeed,
+      worldTime,
+      moonPhase,
+      difficulty: global.difficultyManager.serialize(),
+      gameRules: global.gameRules.serialize(),
+      maps: global.mapManager.serialize(),
+      reputation: global.villageReputationManager ?
+        global.villageReputationManager.serialize() : null,
+      dimensions: global.dimensionManager.serialize(),
+      structures: worldGenerator.structurePlacement.serialize()
+    }
+  };
+}
+
+// Where a player without a spawn point appears: anywhere within spawnRadius
+// blocks of the world spawn
+function getWorldSpawnPosition() {
+  const radius = global.gameRules.getInt('spawnRadius');
+  return {
+    x: DEFAULT_SPAWN.x + Math.floor((Math.random() * 2 - 1) * radius),
+    y: DEFAULT_SPAWN.y,
+    z: DEFAULT_SPAWN.z + Math.floor((Math.random() * 2 - 1) * radius)
+  };
+}
+
+// A player's health reached zero: remember where for the recovery compass and,
+// unless keepInventory is on, drop their items and experience
+function handlePlayerDeath(player) {
+  player.health = 0;
+  player.lastDeathLocation = {
+    x: player.position.x,
+    y: player.position.y,
+    z: player.position.z,
+    dimension: player.dimension || 'overworld' // Track dimension for cross-dimension support
+  };
+
+  let drops = [];
+  if (!global.gameRules.getBoolean('keepInventory')) {
+    drops = Object.entries(player.inventory || {})
+      .filter(([, count]) => count > 0)
+      .map(([type, count]) => ({ type, count }));
+    for (const { type } of drops) {
+      player.inventory[type] = 0;
+    }
+    player.xp = 0;
+    player.level = 0;
+  }
+
+  io.emit('playerDeath', { playerId: player.id, position: player.lastDeathLocation, drops });
+}
+
+// Explosion damage scales with difficulty like other mob damage; the blast
+// pushes the player, so their next moves may go further than walking would
+function hurtPlayerByExplosion(player, damage, knockback) {
+  if (player.gameMode === 'creative' || player.gameMode === 'spectator') return;
+
+  const scaled = global.difficultyManager.scaleDamage(damage);
+  player.health = Math.max(0, player.health - scaled);
+  if (player.health === 0) {
+    handlePlayerDeath(player);
+  }
+  global.movementValidator.exempt(player.id, KNOCKBACK_EXEMPT_TICKS);
+  global.hungerManager.addExhaustion(player, Exhaustion.DAMAGE);
+  io.to(player.id).emit('playerDamaged', { damage: scaled, source: 'explosion', knockback });
+  io.emit('playerUpdate', player);
+}
+
+// Create a player for an account that has no profile yet
+function createPlayer(account) {
+  return {
+    id: account.uuid,
+    name: account.username,
+    position: getWorldSpawnPosition(),
+    rotation: { y: 0 },
+    dimension: 'overworld',
+    health: 100,
+    maxHealth: 100,
+    hunger: 20,
+    saturation: 5,
+    exhaustion: 0,
+    gameMode: 'survival',
+    movementMode: 'walk',
+    isBlocking: false,
+    offhandItem: null,
+    mainHandItem: null,
+    xp: 0,
+    level: 0,
+    spawnPoint: null,
+    enderChest: {},
+    inventory: {
+      grass: 64,
+      dirt: 64,
+      stone: 64,
+      wood: 64,
+      leaves: 64,
+      sand: 64,
+      glass: 64,
+      brick: 64,
+      cobblestone: 0,
+      iron_ore: 0,
+      diamond_ore: 0,
+      iron_ingot: 0,
+      diamond: 0,
+      wooden_planks: 0,
+      stick: 0
+    }
+  };
+}
+
+// Write a player's profile file
+function savePlayerProfile(player) {
+  try {
+    global.profileStore.save(ProfileStore.fromPlayer(player, global.statusEffectsManager.getEffects(player.id)));
+  } catch (error) {
+    console.error(`Failed to save profile of ${player.name}:`, error);
+  }
+}
+
+// Take a player out of the game, saving their profile first
+function leaveGame(playerId) {
+  const player = players[playerId];
+  playerSockets.delete(playerId);
+  if (!player) return;
+  console.log(`Player ${player.name} left (${playerId})`);
+
+  savePlayerProfile(player);
+  // Journal the player's final state before dropping it
+  worldSave.recordPlayer(playerId, player);
+
+  delete players[playerId];
+  global.movementValidator.removePlayer(playerId);
+  global.miningManager.stopMining(player);
+  global.hungerManager.removePlayer(playerId);
+  global.interestManager.removePlayer(playerId);
+  global.statusEffectsManager.clearEffects(playerId);
+  io.emit('playerLeave', playerId);
+}
+
+// Disconnect a player with a reason shown to them
+function kickPlayer(player, reason) {
+  const socket = playerSockets.get(player.id);
+  leaveGame(player.id);
+  if (socket) {
+    socket.emit('kicked', { reason });
+    socket.disconnect(true);
+  }
+}
+
+// Replicate mobs and projectiles to the players near them
+function syncEntities() {
+  const entities = {};
+  const mobs = mobManager.getMobData();
+  const projectiles = mobManager.getProjectileData();
+  for (const id in mobs) {
+    entities[id] = { ...mobs[id], kind: 'mob' };
+  }
+  for (const id in projectiles) {
+    entities[id] = { ...projectiles[id], kind: 'projectile' };
+  }
+  global.interestManager.syncEntities(entities);
+}
+
 // Generate initial world
 function generateWorld() {
   // Generate a small world area (41x41 blocks centered at origin)
   blocks = worldGenerator.generateWorld(41, 41);
+  global.interestManager.indexBlocks(blocks);
+  relightWorld();
   
   // Spawn initial mobs
   spawnInitialMobs();
@@ -289,7 +985,11 @@ function spawnInitialMobs() {
 
 // Game update loop
 const TICK_RATE = 20; // 20 ticks per second
+const JOURNAL_INTERVAL_TICKS = 100; // Journal player and mob state every 5 seconds
+const AUTOSAVE_INTERVAL_TICKS = 6000; // Save dirty chunks every 5 minutes
+const WEB_MAP_MARKER_INTERVAL_TICKS = 20; // Move web map markers every second
 let lastUpdateTime = Date.now();
+let tickCount = 0;
 
 function gameLoop() {
   const now = Date.now();
@@ -299,8 +999,10 @@ function gameLoop() {
   // Convert to game ticks
   const deltaTicks = deltaTime * TICK_RATE / 1000;
   
-  // Update world time
-  worldTime += deltaTicks;
+  // Update world time; doDaylightCycle stops the sun and the moon
+  if (global.gameRules.getBoolean('doDaylightCycle')) {
+    worldTime += deltaTicks;
+  }
   if (worldTime >= 24000) {
     worldTime = worldTime % 24000;
     
@@ -333,15 +1035,29 @@ function gameLoop() {
   // Update mobs
   mobManager.update({blocks}, players, deltaTicks);
   
-  // Send updated mob data to all clients
-  io.emit('mobUpdate', mobManager.getMobData());
+  // Send mob and projectile changes to the players that can see them
+  syncEntities();
   
-  // Send projectile data
-  io.emit('projectileUpdate', mobManager.getProjectileData());
+  // Players, mobs and other entities standing in nether portals travel through them
+  for (const player of Object.values(players)) {
+    if (player.dimension === 'nether') {
+      enterPortalIfInside(player, 'nether', (posKey) => netherDimension.blocks.get(posKey));
+    } else if ((player.dimension || 'overworld') === 'overworld') {
+      enterPortalIfInside(player, 'overworld', (posKey) => blocks[posKey]);
+    }
+  }
+  for (const mob of Object.values(mobManager.mobs)) {
+    enterPortalIfInside(mob, 'overworld', (posKey) => blocks[posKey]);
+  }
+  for (const entity of Array.from(netherDimension.entities.values())) {
+    if (!players[entity.id]) {
+      enterPortalIfInside(entity, 'nether', (posKey) => netherDimension.blocks.get(posKey));
+    }
+  }
   
   // Process pending portal teleports
   if (global.dimensionManager) {
-    // global.dimensionManager.processPendingTeleports(); // Method doesn't exist yet
+    global.dimensionManager.processPendingTeleports();
   }
   
   // Update status effects
@@ -367,6 +1083,42 @@ function gameLoop() {
     global.villageReputationManager.update(deltaTime);
   }
   
+  // Refill player movement budgets
+  global.movementValidator.tick(players);
+  
+  // Advance block breaking
+  global.miningManager.tick(players);
+  
+  // Drain hunger, regenerate health and starve
+  global.hungerManager.tick(players);
+  
+  // Age the world and the chunks players are in, for local difficulty
+  global.difficultyManager.tick(players);
+  
+  // Run scheduled redstone ticks, then move pistons they powered
+  global.redstoneManager.tick();
+  global.pistonManager.tick();
+  global.fluidManager.tick();
+  
+  // Burn down primed TNT fuses
+  global.explosionManager.tick();
+  
+  // Persist state: cheap journal appends often, dirty chunks less often
+  tickCount++;
+  if (tickCount % JOURNAL_INTERVAL_TICKS === 0) {
+    try {
+      worldSave.recordState({ players, entities: mobManager.getMobData() });
+    } catch (error) {
+      console.error('Error journaling world state:', error);
+    }
+  }
+  if (tickCount % AUTOSAVE_INTERVAL_TICKS === 0) {
+    saveSystem.saveWorld(currentWorld, getWorldSaveState());
+  }
+  if (tickCount % WEB_MAP_MARKER_INTERVAL_TICKS === 0 && webMapViewers.sockets.size > 0) {
+    webMapViewers.emit('markers', global.webMapManager.getMarkers());
+  }
+  
   // Schedule next update
   setTimeout(gameLoop, 1000 / TICK_RATE);
 }
@@ -378,60 +1130,99 @@ generateWorld();
 gameLoop();
 
 io.on('connection', (socket) => {
-  console.log('Player connected:', socket.id);
+  console.log('Client connected:', socket.id);
+
+  // Nothing but the login handshake is handled until the client logs in
+  const loginTimer = setTimeout(() => {
+    socket.emit('kicked', { reason: 'Took too long to log in' });
+    socket.disconnect(true);
+  }, LOGIN_TIMEOUT);
+
+  const login = (result) => {
+    if (socket.data.playerId) return;
+    if (!result.success) {
+      socket.emit('loginResult', { success: false, code: result.code, error: result.error });
+      return;
+    }
 
-  // Create new player with inventory
-  const player = {
-    id: socket.id,
-    position: { x: 0, y: 1, z: 0 },
-    rotation: { y: 0 },
-    health: 100,
-    maxHealth: 100,
-    movementMode: 'walk',
-    isBlocking: false,
-    offhandItem: null,
-    mainHandItem: null,
-    inventory: {
-      grass: 64,
-      dirt: 64,
-      stone: 64,
-      wood: 64,
-      leaves: 64,
-      sand: 64,
-      glass: 64,
-      brick: 64,
-      cobblestone: 0,
-      iron_ore: 0,
-      diamond_ore: 0,
-      iron_ingot: 0,
-      diamond: 0,
-      wooden_planks: 0,
-      stick: 0
+    const { account, token } = result;
+    const operator = global.commandDispatcher.permissions.isOperator(account.username);
+    const denied = global.accessControl.checkLogin(account, { operator });
+    if (denied) {
+      socket.emit('loginResult', { success: false, code: 'denied', error: denied });
+      socket.disconnect(true);
+      return;
+    }
+
+    // One connection per account; the newest login wins
+    if (playerSockets.has(account.uuid)) {
+      kickPlayer(players[account.uuid], 'You logged in from another location');
     }
+
+    clearTimeout(loginTimer);
+    socket.emit('loginResult', { success: true, uuid: account.uuid, username: account.username, token });
+    joinGame(socket, account);
   };
-  players[socket.id] = player;
 
-  // Send initial game state to the new player
-  socket.emit('gameState', { 
-    players, 
-    blocks, 
-    mobs: mobManager.getMobData(),
-    projectiles: mobManager.getProjectileData() 
+  socket.on('login', (data) => {
+    login(global.accountManager.authenticate(data || {}));
+  });
+
+  socket.on('register', (data) => {
+    const { username, password } = data || {};
+    const result = global.accountManager.register(username, password);
+    login(result.success ? global.accountManager.authenticate({ username, password }) : result);
+  });
+
+  socket.on('disconnect', () => {
+    clearTimeout(loginTimer);
   });
+});
+
+// Put a logged in player into the game and handle their gameplay events.
+// Players are keyed by account UUID, and the socket joins a room of that
+// name so io.to(player.id) reaches it.
+function joinGame(socket, account) {
+  const playerId = account.uuid;
+  socket.data.playerId = playerId;
+  socket.join(playerId);
+  playerSockets.set(playerId, socket);
+  console.log(`Player ${account.username} joined (${playerId})`);
+
+  const player = createPlayer(account);
+  const profile = global.profileStore.load(playerId);
+  if (profile) {
+    ProfileStore.applyToPlayer(player, profile);
+  }
+  players[playerId] = player;
+  for (const effect of (profile && profile.effects) || []) {
+    global.statusEffectsManager.addEffect(playerId, effect.type, effect);
+  }
+  global.movementValidator.addPlayer(player);
+
+  // Send initial game state to the new player; chunks and entities around
+  // them follow through the interest manager
+  socket.emit('gameState', { players, difficulty: global.difficultyManager.getDifficulty() });
+  global.interestManager.addPlayer(player);
+  socket.emit('lightUpdate', { sections: encodeLightSections(global.lightManager.getAllSectionData()) });
 
   // Broadcast new player to others
   socket.broadcast.emit('playerJoin', player);
 
   // Handle save game request
   socket.on('saveGame', (worldName) => {
-    // Get mob data for saving
-    const mobData = mobManager.getMobData();
+    const state = getWorldSaveState();
     
-    // Get reputation data if available
-    const reputationData = global.villageReputationManager ? 
-      global.villageReputationManager.serialize() : null;
+    // Dirty chunk tracking only applies to the world currently being played
+    if (worldName !== currentWorld) {
+      state.dirtyChunks = null;
+    }
+    
+    for (const id in players) {
+      savePlayerProfile(players[id]);
+    }
     
-    if (saveSystem.saveGame(worldName, players, blocks, mobData, { reputation: reputationData })) {
+    if (saveSystem.saveWorld(worldName, state)) {
       socket.emit('saveComplete', { success: true, worldName });
     } else {
       socket.emit('saveComplete', { success: false, error: 'Failed to save game' });
@@ -442,8 +1233,14 @@ io.on('connection', (socket) => {
   socket.on('loadGame', (worldName) => {
     const saveData = saveSystem.loadGame(worldName);
     if (saveData) {
-      Object.assign(players, saveData.players);
+      // Saved players are keyed by UUID; only those online are restored
+      for (const id in saveData.players) {
+        if (players[id]) {
+          Object.assign(players[id], saveData.players[id]);
+        }
+      }
       Object.assign(blocks, saveData.blocks);
+      global.interestManager.indexBlocks(blocks);
       
       // Load mobs if available
       if (saveData.mobs) {
@@ -462,18 +1259,40 @@ io.on('connection', (socket) => {
         }
       }
       
+      // Restore the difficulty and how long chunks were inhabited
+      global.difficultyManager.deserialize(saveData.difficulty);
+      global.gameRules.deserialize(saveData.gameRules);
+      global.mapManager.deserialize(saveData.maps);
+      global.dimensionManager.deserialize(saveData.dimensions || {});
+      worldGenerator.structurePlacement.deserialize(saveData.structures);
+      
       // Load reputation data if available
       if (saveData.reputation && global.villageReputationManager) {
         global.villageReputationManager.deserialize(saveData.reputation);
       }
       
+      // Release the previous world's session lock and journal before switching
+      if (currentWorld !== worldName) {
+        global.backupSystem.removeWorldSave(currentWorld);
+        saveSystem.closeWorld(currentWorld);
+      }
       currentWorld = worldName;
-      io.emit('gameState', { 
-        players, 
-        blocks, 
-        mobs: mobManager.getMobData(),
-        projectiles: mobManager.getProjectileData() 
-      });
+      worldSave = saveSystem.openWorld(worldName);
+      global.backupSystem.addWorldSave(worldSave);
+      dirtyChunks.clear();
+      relightWorld();
+      global.webMapManager.clear();
+      io.emit('gameState', { players });
+      
+      // Refresh the chunks players already see, then move them to their saved positions
+      global.interestManager.resendChunks();
+      for (const playerId in players) {
+        if (global.movementValidator.getState(playerId)) {
+          global.movementValidator.teleport(players[playerId], players[playerId].position);
+          global.interestManager.updatePlayer(players[playerId]);
+        }
+      }
+      io.emit('lightUpdate', { sections: encodeLightSections(global.lightManager.getAllSectionData()) });
       socket.emit('loadComplete', { success: true, worldName });
     } else {
       socket.emit('loadComplete', { success: false, error: 'Failed to load game' });
@@ -483,7 +1302,7 @@ io.on('connection', (socket) => {
   // Handle block updates
   socket.on('blockUpdate', (data) => {
     const { position, type } = data;
-    const player = players[socket.id];
+    const player = players[playerId];
     
     if (!player) return;
 
@@ -494,71 +1313,187 @@ io.on('connection', (socket) => {
 
     // Update block
     if (type === null) {
-      // Removing block
+      // Removing block, once the player has dug long enough
       if (blocks[position]) {
+        const mined = global.miningManager.finishMining(player, position);
+        if (!mined.success) {
+          socket.emit('blockUpdate', { position, type: blocks[position].type });
+          return;
+        }
+        global.hungerManager.addExhaustion(player, Exhaustion.BLOCK_BREAK);
         const removedType = blocks[position].type;
-        // Only add to inventory if it's a collectible block
-        if (blockTypes[removedType] && removedType !== 'water' && removedType !== 'lava') {
+        // Only add to inventory if it's a collectible block the tool can harvest
+        if (mined.canHarvest && blockTypes[removedType] && removedType !== 'water' && removedType !== 'lava') {
           player.inventory[removedType] = (player.inventory[removedType] || 0) + 1;
         }
         delete blocks[position];
+        onBlockChanged(position);
       }
     } else {
       // Placing block
       if (!blocks[position]) {
         player.inventory[type]--;
         blocks[position] = { type };
+        onBlockChanged(position);
       }
     }
 
-    // Broadcast block update to all players
-    io.emit('blockUpdate', { position, type });
+    // Send the block update to players that can see it
+    emitBlockUpdate(position, { position, type });
     // Update player's inventory
     io.emit('playerUpdate', player);
   });
 
-  // Handle chat messages
+  // Handle levers and buttons; the redstone engine broadcasts the result
+  socket.on('redstoneInteract', (data) => {
+    const player = players[playerId];
+    if (!player || !data) return;
+
+    // Redstone runs in the overworld; like other block interaction, the
+    // component has to be in the player's dimension and within reach
+    if ((player.dimension || 'overworld') !== 'overworld') return;
+    const block = global.miningManager.getReachableBlock(player, data.position);
+    if (!block) return;
+
+    const position = MiningManager.parsePosition(data.position);
+    if (block.type === 'lever') {
+      global.redstoneManager.setLever(position);
+    } else if (block.type.endsWith('_button')) {
+      global.redstoneManager.pressButton(position);
+    }
+  });
+
+  // Handle filling in an empty map: it starts centred on the player
+  socket.on('createMap', (data = {}) => {
+    const player = players[playerId];
+    if (!player) return;
+    if (player.gameMode !== 'creative') {
+      if (!player.inventory.map) return;
+      player.inventory.map--;
+    }
+
+    const mapData = global.mapManager.createMap({
+      centerX: player.position.x,
+      centerZ: player.position.z,
+      scale: data.scale,
+      dimension: player.dimension || 'overworld'
+    });
+    global.mapManager.updateMap(mapData, world, player.position, { full: true });
+    socket.emit('mapCreated', { id: mapData.id, map: mapData.toJSON() });
+  });
+
+  // Handle a player holding a filled map: draw the terrain around them
+  socket.on('holdMap', (data) => {
+    const player = players[playerId];
+    const mapData = player && data && global.mapManager.getMap(data.mapId);
+    if (!mapData || mapData.dimension !== (player.dimension || 'overworld')) return;
+
+    // Only the overworld keeps its blocks on the server's world facade
+    if (mapData.dimension === 'overworld') {
+      global.mapManager.updateMap(mapData, world, player.position);
+    }
+  });
+
+  // Handle using a block that can blow up: lighting TNT, sleeping in a bed
+  // outside the overworld and charging or using a respawn anchor
+  socket.on('useBlock', (data) => {
+    const player = players[playerId];
+    if (!player || !data || typeof data.position !== 'string') return;
+
+    const dimension = player.dimension || 'overworld';
+    const block = dimension === 'nether' ? netherDimension.blocks.get(data.position) : blocks[data.position];
+    if (!block) return;
+
+    const [x, y, z] = data.position.split(',').map(Number);
+    const position = { x, y, z };
+
+    if (block.type === 'tnt' && data.itemId === 'flint_and_steel') {
+      global.explosionManager.primeTnt(position, { dimension });
+    } else if (block.type === 'bed' || block.type.endsWith('_bed')) {
+      if (dimension !== 'overworld') {
+        global.explosionManager.explodeBlock(position, 'bed', dimension);
+      } else {
+        player.spawnPoint = { ...position, y: y + 1 };
+        socket.emit('spawnPointSet', { position: player.spawnPoint });
+      }
+    } else if (block.type === 'respawn_anchor') {
+      const charges = block.charges || 0;
+      if (data.itemId === 'glowstone' && charges < RESPAWN_ANCHOR_MAX_CHARGES) {
+        if (!player.inventory.glowstone) return;
+        block.charges = charges + 1;
+        if (player.gameMode !== 'creative') player.inventory.glowstone--;
+        emitBlockUpdate(data.position, { position: data.position, block }, 'blockUpdate', dimension);
+      } else if (charges > 0 && dimension !== 'nether') {
+        global.explosionManager.explodeBlock(position, 'respawn_anchor', dimension);
+      } else if (charges > 0) {
+        player.spawnPoint = { ...position, y: y + 1 };
+        player.spawnDimension = 'nether';
+        socket.emit('spawnPointSet', { position: player.spawnPoint, dimension: 'nether' });
+      }
+    }
+  });
+
+  // Handle chat messages; messages starting with a slash are commands
   socket.on('chatMessage', (data) => {
-    io.emit('chatMessage', data);
+    const player = players[playerId];
+    if (!player || !data || typeof data.message !== 'string') return;
+
+    if (data.message.startsWith('/')) {
+      const result = global.commandDispatcher.execute(CommandDispatcher.playerSource(player), data.message);
+      socket.emit('commandResult', result);
+      return;
+    }
+    io.emit('chatMessage', { id: playerId, name: player.name, message: data.message, timestamp: Date.now() });
+  });
+
+  // Tab-complete the last word of a partially typed command
+  socket.on('commandSuggestions', (data) => {
+    const player = players[playerId];
+    if (!player || !data || typeof data.input !== 'string') return;
+
+    const { start, suggestions } = global.commandDispatcher.getCompletions(
+      CommandDispatcher.playerSource(player), data.input);
+    socket.emit('commandSuggestions', { input: data.input, start, suggestions });
   });
 
   // Handle player position update
   socket.on('playerUpdate', (data) => {
-    const player = players[socket.id];
+    const player = players[playerId];
     if (!player) return;
     
-    // Update player data
-    Object.assign(player, data);
-    
-    // Broadcast to other players
-    socket.broadcast.emit('playerUpdate', player);
+    // Only inputs and deltas are read; rejected moves are corrected by the validator
+    if (global.movementValidator.handleMove(player, data)) {
+      global.interestManager.updatePlayer(player);
+      socket.broadcast.emit('playerUpdate', player);
+    }
   });
 
   // Handle player attacking a mob
   socket.on('attackMob', (data) => {
-    const player = players[socket.id];
+    const player = players[playerId];
     if (!player) return;
     
     const { mobId, damage, itemId } = data;
     
     // Check attack cooldown through Combat Manager
-    const cooldown = global.combatManager.getAttackCooldown(socket.id);
+    const cooldown = global.combatManager.getAttackCooldown(playerId);
     if (cooldown && cooldown.progress < 1) {
       // Attack still on cooldown, apply damage multiplier
-      const damageMultiplier = global.combatManager.getDamageMultiplier(socket.id);
+      const damageMultiplier = global.combatManager.getDamageMultiplier(playerId);
       data.damage = (damage || 1) * damageMultiplier;
     }
     
     // Process the attack
-    const result = mobManager.handlePlayerAttack(socket.id, mobId, data.damage || 1);
+    const result = mobManager.handlePlayerAttack(playerId, mobId, data.damage || 1);
     
     // Start a new attack cooldown if attack was successful
     if (result.success) {
-      global.combatManager.startAttackCooldown(socket.id, itemId || 'hand');
+      global.combatManager.startAttackCooldown(playerId, itemId || 'hand');
+      global.hungerManager.addExhaustion(player, Exhaustion.ATTACK);
     }
     
     // Send cooldown info with the result
-    const newCooldown = global.combatManager.getAttackCooldown(socket.id);
+    const newCooldown = global.combatManager.getAttackCooldown(playerId);
     result.cooldown = newCooldown;
     
     socket.emit('attackResult', result);
@@ -566,21 +1501,16 @@ io.on('connection', (socket) => {
 
   // Handle player interaction with a mob
   socket.on('interactMob', (data) => {
-    const player = players[socket.id];
+    const player = players[playerId];
     if (!player) return;
     
     const { mobId, action, actionData } = data;
-    const result = mobManager.handlePlayerInteraction(socket.id, mobId, { 
+    const result = mobManager.handlePlayerInteraction(playerId, mobId, { 
       action, 
       ...actionData 
     });
     
     socket.emit('interactResult', result);
-    
-    // If interaction changed the mob, broadcast update
-    if (result.success) {
-      io.emit('mobUpdate', { [mobId]: mobManager.mobs[mobId].serialize() });
-    }
   });
 
   // Handle player hit
@@ -590,6 +1520,12 @@ io.on('connection', (socket) => {
     
     if (!attacker || !target) return;
     
+    // The pvp game rule turns off player versus player damage
+    if (!global.gameRules.getBoolean('pvp')) {
+      io.to(data.attackerId).emit('attackResult', { success: false, damage: 0, message: 'PvP is disabled' });
+      return;
+    }
+    
     // Create attack data object
     const attackData = {
       itemId: data.weaponId || 'hand',
@@ -620,17 +1556,7 @@ io.on('connection', (socket) => {
     
     // Check for death
     if (target.health <= 0) {
-      target.health = 0;
-      
-      // Store the death location for recovery compass
-      target.lastDeathLocation = { 
-        x: target.position.x, 
-        y: target.position.y, 
-        z: target.position.z,
-        dimension: target.dimension || 'overworld' // Track dimension for cross-dimension support
-      };
-
-      io.emit('playerDeath', { playerId: target.id });
+      handlePlayerDeath(target);
     }
 
     // Update target's health
@@ -656,11 +1582,14 @@ io.on('connection', (socket) => {
 
   // Handle player respawn
   socket.on('playerRespawn', () => {
-    const player = players[socket.id];
+    const player = players[playerId];
     if (!player) return;
 
+    const spawn = player.spawnPoint || getWorldSpawnPosition();
     player.health = 100;
-    player.position = { x: 0, y: 1, z: 0 };
+    player.dimension = spawn.dimension || 'overworld';
+    global.movementValidator.teleport(player, spawn);
+    global.interestManager.updatePlayer(player);
     player.rotation = { y: 0 };
     
     // Don't clear lastDeathLocation on respawn - needed for recovery compass
@@ -706,7 +1635,7 @@ io.on('connection', (socket) => {
     }
     
     // Get the player
-    const player = players[socket.id];
+    const player = players[playerId];
     if (!player) {
       return socket.emit('error', { message: 'Player not found' });
     }
@@ -741,21 +1670,9 @@ io.on('connection', (socket) => {
 
   // Handle player disconnection
   socket.on('disconnect', () => {
-    console.log('Player disconnected:', socket.id);
-    
-    // Handle any brewing stands the player had open
-    for (const posKey in brewingHandlers) {
-      const brewingHandler = brewingHandlers[posKey];
-      // Check if the brewing stand needs cleanup for this player
-      // This could involve returning items to the world if the player had some, etc.
-    }
-    
-    delete players[socket.id];
-    io.emit('playerLeave', socket.id);
-    
-    // Clear any status effects on the player
-    if (global.statusEffectsManager && player) {
-      global.statusEffectsManager.clearEffects(player.id);
+    // A newer login or a kick may already have taken the player out of the game
+    if (playerSockets.get(playerId) === socket) {
+      leaveGame(playerId);
     }
   });
 
@@ -770,7 +1687,7 @@ io.on('connection', (socket) => {
     }
     
     // Register player as using the table
-    enchantmentTable.playerOpenTable(tableId, socket.id);
+    enchantmentTable.playerOpenTable(tableId, playerId);
     
     // Send a response with the table state
     socket.emit('enchantmentTableOpened', { tableId });
@@ -779,7 +1696,7 @@ io.on('connection', (socket) => {
   socket.on('closeEnchantmentTable', data => {
     // Unregister player from the enchantment table
     if (data.tableId) {
-      enchantmentTable.playerCloseTable(data.tableId, socket.id);
+      enchantmentTable.playerCloseTable(data.tableId, playerId);
     }
   });
   
@@ -850,6 +1767,10 @@ io.on('connection', (socket) => {
     // Apply the attack to the target
     if (target.health) {
       target.health = Math.max(0, target.health - attackData.damage);
+      global.hungerManager.addExhaustion(players[playerId], Exhaustion.ATTACK);
+      if (players[targetId]) {
+        global.hungerManager.addExhaustion(target, Exhaustion.DAMAGE);
+      }
       
       // Apply effects like fire
       if (attackData.effects && attackData.effects.length > 0) {
@@ -864,7 +1785,7 @@ io.on('connection', (socket) => {
       // Apply knockback
       if (attackData.knockback > 0) {
         // Calculate knockback direction away from player
-        const player = players[socket.id];
+        const player = players[playerId];
         if (player && player.position) {
           const dx = target.position.x - player.position.x;
           const dz = target.position.z - player.position.z;
@@ -903,7 +1824,7 @@ io.on('connection', (socket) => {
         if (players[targetId]) {
           io.to(targetId).emit('playerDamaged', { 
             damage: attackData.damage,
-            attacker: socket.id,
+            attacker: playerId,
             effects: attackData.effects
           });
         } else {
@@ -927,9 +1848,83 @@ io.on('connection', (socket) => {
     }
   });
   
-  // Handle when player mines a block with enchanted tool
+  // Handle a player starting to eat a food item; the server times the eating
+  socket.on('startEating', data => {
+    const player = players[playerId];
+    if (!player || !data || !data.itemId) return;
+    
+    if (!player.inventory[data.itemId] || player.inventory[data.itemId] <= 0) {
+      socket.emit('eatResult', { success: false, itemId: data.itemId, error: 'not_in_inventory' });
+      return;
+    }
+    
+    socket.emit('eatingStarted', { itemId: data.itemId, ...global.hungerManager.startEating(player, data.itemId) });
+  });
+  
+  // Handle a player finishing eating a food item
+  socket.on('eatFood', data => {
+    const player = players[playerId];
+    if (!player || !data || !data.itemId) return;
+    
+    if (!player.inventory[data.itemId] || player.inventory[data.itemId] <= 0) {
+      socket.emit('eatResult', { success: false, itemId: data.itemId, error: 'not_in_inventory' });
+      return;
+    }
+    
+    // Only the stew's flower is taken from the client; its effect comes from a fixed table
+    const flower = data.nbt && typeof data.nbt.flower === 'string' ? data.nbt.flower : undefined;
+    const result = global.hungerManager.finishEating(player, { id: data.itemId, flower });
+    if (result.success && player.gameMode !== 'creative') {
+      player.inventory[data.itemId]--;
+      if (result.remainder) {
+        player.inventory[result.remainder] = (player.inventory[result.remainder] || 0) + 1;
+      }
+      io.emit('playerUpdate', player);
+    }
+    socket.emit('eatResult', { itemId: data.itemId, ...result });
+  });
+  
+  // Handle a player starting to dig a block; the server times the break
+  socket.on('startMining', data => {
+    const player = players[playerId];
+    if (!player || !data) return;
+    
+    const result = global.miningManager.startMining(player, data.position, getHeldItem(player.inventory, data.itemInHand));
+    socket.emit('miningStarted', { position: data.position, ...result });
+  });
+  
+  // Handle a player letting go of a block before it broke
+  socket.on('stopMining', () => {
+    const player = players[playerId];
+    if (player) {
+      global.miningManager.stopMining(player);
+    }
+  });
+  
+  // Handle when player finishes mining a block, with the tool they started digging with
   socket.on('blockMine', data => {
-    const { position, itemInHand } = data;
+    const player = players[playerId];
+    if (!player || !data || !data.position) return;
+    const { position } = data;
+    
+    // Get the block at the position
+    const blockKey = `${position.x},${position.y},${position.z}`;
+    const block = blocks[blockKey];
+    
+    if (!block) {
+      socket.emit('blockMineResult', { success: false, error: 'Block not found' });
+      return;
+    }
+    
+    // Reject breaks that came too soon or out of reach, and put the block back
+    const mined = global.miningManager.finishMining(player, position);
+    if (!mined.success) {
+      socket.emit('blockMineResult', { success: false, position, error: mined.reason });
+      socket.emit('blockUpdate', { position: blockKey, type: block.type });
+      return;
+    }
+    const itemInHand = mined.tool;
+    global.hungerManager.addExhaustion(player, Exhaustion.BLOCK_BREAK);
     
     // Start with base mining data
     let miningData = {
@@ -943,15 +1938,6 @@ io.on('connection', (socket) => {
       miningData = enchantmentManager.applyEnchantmentEffects(itemInHand, 'mining', miningData);
     }
     
-    // Get the block at the position
-    const blockKey = `${position.x},${position.y},${position.z}`;
-    const block = blocks[blockKey];
-    
-    if (!block) {
-      socket.emit('blockMineResult', { success: false, error: 'Block not found' });
-      return;
-    }
-    
     // Get the drops for the block, considering Fortune and Silk Touch
     let drops = [];
     
@@ -969,11 +1955,17 @@ io.on('connection', (socket) => {
       drops = getBlockDrops(block.type);
     }
     
+    // Wrong tool or too low a tier: the block drops nothing
+    if (!mined.canHarvest) {
+      drops = [];
+    }
+    
     // Remove the block
     delete blocks[blockKey];
+    onBlockChanged(blockKey);
     
-    // Broadcast the block break
-    io.emit('blockBreak', { position });
+    // Send the block break to players that can see it
+    emitBlockUpdate(blockKey, { position }, 'blockBreak');
     
     // Send drops to the player
     socket.emit('blockDrops', { position, drops });
@@ -1020,7 +2012,7 @@ io.on('connection', (socket) => {
   // Handle when player collects XP with enchanted items
   socket.on('collectXP', data => {
     const { amount } = data;
-    const player = players[socket.id];
+    const player = players[playerId];
     
     if (!player) {
       socket.emit('xpCollectResult', { success: false, error: 'Player not found' });
@@ -1085,7 +2077,7 @@ io.on('connection', (socket) => {
 
   // Handle player activating a portal with flint and steel
   socket.on('activatePortal', (data) => {
-    const player = players[socket.id];
+    const player = players[playerId];
     if (!player) return;
     
     const { position, heldItemId } = data;
@@ -1101,7 +2093,8 @@ io.on('connection', (socket) => {
         getBlockType: (posKey) => blocks[posKey] ? blocks[posKey].type : null,
         setBlock: (posKey, blockData) => {
           blocks[posKey] = blockData;
-          io.emit('blockUpdate', { position: posKey, type: blockData.type });
+          onBlockChanged(posKey);
+          emitBlockUpdate(posKey, { position: posKey, type: blockData.type });
         },
         playSound: (soundData) => {
           io.emit('playSound', soundData);
@@ -1125,24 +2118,6 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Handle player interacting with a portal
-  socket.on('enterPortal', (data) => {
-    const player = players[socket.id];
-    if (!player) return;
-    
-    const { position, portalType } = data;
-    
-    // Notify the dimension manager that an entity entered a portal
-    if (global.dimensionManager) {
-      global.dimensionManager.handleEntityEnterPortal({
-        entity: player,
-        portalPosition: position,
-        dimension: 'overworld', // Default dimension
-        portalType
-      });
-    }
-  });
-  
   // Handle player placing fire near obsidian (potential portal creation)
   socket.on('placeFire', (data) => {
     const { position } = data;
@@ -1156,78 +2131,6 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Add handler for dimension change requests
-  socket.on('changeDimension', (data) => {
-    const player = players[socket.id];
-    if (!player) return;
-    
-    const { targetDimension } = data;
-    
-    // Only allow valid dimensions
-    if (!global.dimensionManager.dimensions.has(targetDimension)) {
-      return socket.emit('error', { message: `Invalid dimension: ${targetDimension}` });
-    }
-    
-    const currentDimension = player.dimension || 'overworld';
-    
-    // Update player's dimension
-    player.dimension = targetDimension;
-    
-    // Generate terrain around player in the new dimension
-    if (targetDimension === 'nether') {
-      // Scale coordinates by 1/8 when going from overworld to nether
-      if (currentDimension === 'overworld') {
-        player.position.x = Math.floor(player.position.x / 8);
-        player.position.z = Math.floor(player.position.z / 8);
-      }
-      
-      // Generate nether terrain around the player
-      netherDimension.generateAroundPlayer(player);
-      
-      // Send nether blocks to the player
-      const nearbyBlocks = {};
-      const radius = 32;
-      const px = Math.floor(player.position.x);
-      const py = Math.floor(player.position.y);
-      const pz = Math.floor(player.position.z);
-      
-      for (let x = px - radius; x <= px + radius; x++) {
-        for (let y = Math.max(0, py - radius); y <= Math.min(netherDimension.ceilingHeight, py + radius); y++) {
-          for (let z = pz - radius; z <= pz + radius; z++) {
-            const posKey = `${x},${y},${z}`;
-            const block = netherDimension.blocks.get(posKey);
-            if (block) {
-              nearbyBlocks[posKey] = block;
-            }
-          }
-        }
-      }
-      
-      // Send the blocks and confirm dimension change
-      socket.emit('dimensionChanged', {
-        dimension: targetDimension,
-        position: player.position,
-        blocks: nearbyBlocks
-      });
-    } else if (targetDimension === 'overworld') {
-      // Scale coordinates by 8 when going from nether to overworld
-      if (currentDimension === 'nether') {
-        player.position.x = Math.floor(player.position.x * 8);
-        player.position.z = Math.floor(player.position.z * 8);
-      }
-      
-      // Confirm dimension change and let client request blocks as needed
-      socket.emit('dimensionChanged', {
-        dimension: targetDimension,
-        position: player.position,
-        blocks // Send main world blocks
-      });
-    }
-    
-    // Broadcast to other players
-    socket.broadcast.emit('playerUpdate', player);
-  });
-  
   // Add handler for nether block requests (when client needs more nether blocks)
   socket.on('requestNetherBlocks', (data) => {
     const { position, radius } = data;
@@ -1260,7 +2163,7 @@ io.on('connection', (socket) => {
   // Handle villager trade interaction
   socket.on('villagerTrade', (data) => {
     const { mobId, action, tradeId } = data;
-    const player = players[socket.id];
+    const player = players[playerId];
     
     if (!player) return;
     
@@ -1273,18 +2176,18 @@ io.on('connection', (socket) => {
     // Process the trade
     if (action === 'get_trades') {
       // Return available trades
-      const tradeData = mobManager.handleVillagerTrade(socket.id, mobId, { action });
+      const tradeData = mobManager.handleVillagerTrade(playerId, mobId, { action });
       
       // Add village reputation if available
       if (villager.villageId && global.villageReputationManager) {
         tradeData.reputation = global.villageReputationManager.getReputation(
           villager.villageId, 
-          socket.id
+          playerId
         );
         
         tradeData.discount = global.villageReputationManager.getPriceDiscount(
           villager.villageId, 
-          socket.id
+          playerId
         );
       }
       
@@ -1304,7 +2207,7 @@ io.on('connection', (socket) => {
       // If inventory updated, broadcast to other players
       if (result.success) {
         socket.broadcast.emit('playerUpdate', {
-          id: socket.id,
+          id: playerId,
           inventory: player.inventory
         });
       }
@@ -1316,7 +2219,7 @@ io.on('connection', (socket) => {
   // Add handler for zombie villager curing
   socket.on('cureZombieVillager', (data) => {
     const { mobId } = data;
-    const player = players[socket.id];
+    const player = players[playerId];
     
     if (!player) return;
     
@@ -1370,7 +2273,6 @@ io.on('connection', (socket) => {
   // Add handler for reputation events
   socket.on('villageReputationEvent', (data) => {
     const { villageId, eventType } = data;
-    const playerId = socket.id;
     
     if (!global.villageReputationManager) {
       return socket.emit('error', { message: 'Reputation system not available' });
@@ -1398,14 +2300,14 @@ io.on('connection', (socket) => {
 
   // Handle player shield actions
   socket.on('shieldAction', (data) => {
-    const player = players[socket.id];
+    const player = players[playerId];
     if (!player) return;
 
     const { action, shieldItem } = data;
     
     if (action === 'block') {
       // Start blocking with shield
-      const activated = global.combatManager.activateShield(socket.id, shieldItem);
+      const activated = global.combatManager.activateShield(playerId, shieldItem);
       
       socket.emit('shieldActionResult', {
         success: activated,
@@ -1415,13 +2317,13 @@ io.on('connection', (socket) => {
       
       // Broadcast shield state to other players
       socket.broadcast.emit('playerUpdate', {
-        id: socket.id,
+        id: playerId,
         isBlocking: activated
       });
     } 
     else if (action === 'lower') {
       // Stop blocking
-      global.combatManager.deactivateShield(socket.id);
+      global.combatManager.deactivateShield(playerId);
       
       socket.emit('shieldActionResult', {
         success: true,
@@ -1431,7 +2333,7 @@ io.on('connection', (socket) => {
       
       // Broadcast shield state to other players
       socket.broadcast.emit('playerUpdate', {
-        id: socket.id,
+        id: playerId,
         isBlocking: false
       });
     }
@@ -1439,13 +2341,13 @@ io.on('connection', (socket) => {
   
   // Handle offhand item management
   socket.on('setOffhandItem', (data) => {
-    const player = players[socket.id];
+    const player = players[playerId];
     if (!player) return;
     
     const { item } = data;
     
     // Set item in offhand
-    global.combatManager.setOffhandItem(socket.id, item);
+    global.combatManager.setOffhandItem(playerId, item);
     
     // Update player inventory
     player.offhandItem = item;
@@ -1457,11 +2359,11 @@ io.on('connection', (socket) => {
     
     // Broadcast offhand update to other players
     socket.broadcast.emit('playerUpdate', {
-      id: socket.id,
+      id: playerId,
       offhandItem: item
     });
   });
-});
+}
 
 // Start the server
 const PORT = process.env.PORT || 3000;
@@ -1486,14 +2388,13 @@ function getBlockDropsWithFortune(blockType, fortuneLevel) {
   // Default drop
   const normalDrops = getBlockDrops(blockType);
   
-  // Fortune only affects certain blocks
-  const fortuneBlocks = [
-    'coal_ore', 'diamond_ore', 'emerald_ore', 'lapis_ore', 'nether_quartz_ore',
-    'redstone_ore', 'carrot', 'potato', 'wheat', 'beetroot', 'melon'
-  ];
+  // Fortune only affects ores, crops and melons
+  const blockTags = getBlockTags();
+  const isOre = blockTags.contains('fortune_ores', blockType);
+  const isCrop = blockTags.contains('crops', blockType);
   
   // If the block is not affected by Fortune, return normal drops
-  if (!fortuneBlocks.includes(blockType)) {
+  if (!isOre && !isCrop && blockType !== 'melon') {
     return normalDrops;
   }
   
@@ -1503,7 +2404,7 @@ function getBlockDropsWithFortune(blockType, fortuneLevel) {
   // Apply Fortune effect
   for (const drop of drops) {
     // Ores have a chance for extra drops
-    if (blockType.endsWith('_ore')) {
+    if (isOre) {
       // Each Fortune level adds a 1/3 chance per level of doubling drops
       const extraDropChance = fortuneLevel / 3;
       let extraDrops = 0;
@@ -1519,7 +2420,7 @@ function getBlockDropsWithFortune(blockType, fortuneLevel) {
       drop.count += extraDrops;
     } 
     // Crops have different Fortune mechanics
-    else if (['carrot', 'potato', 'wheat', 'beetroot'].includes(blockType)) {
+    else if (isCrop) {
       // Fortune adds a +1 to max additional drops
       const maxAdditionalDrops = Math.min(10, 3 + fortuneLevel);
       const minAdditionalDrops = 1;
@@ -1596,7 +2497,14 @@ process.on('SIGINT', () => {
     global.dimensionManager.cleanup();
   }
   
-  // ... rest of existing shutdown code ...
+  // Save the profiles of everyone still online
+  for (const playerId in players) {
+    savePlayerProfile(players[playerId]);
+  }
+  
+  // Write dirty chunks and close world saves cleanly
+  saveSystem.saveWorld(currentWorld, getWorldSaveState());
+  saveSystem.closeWorlds();
   
   process.exit(0);
 });
@@ -0,0 +1,253 @@
+/**
+ * DifficultyManager - World difficulty and regional (local) difficulty
+ *
+ * The world difficulty (peaceful, easy, normal, hard) decides how hard mobs
+ * hit players, whether hostile mobs exist at all and how far starvation
+ * goes. Local difficulty refines it per position the way vanilla does: it
+ * grows with how long the world has been played, how long players have
+ * spent in the chunk and how full the moon is, and drives mob equipment
+ * chances.
+ */
+
+const EventEmitter = require('events');
+
+const Difficulty = Object.freeze({
+  PEACEFUL: 'peaceful',
+  EASY: 'easy',
+  NORMAL: 'normal',
+  HARD: 'hard'
+});
+
+// Vanilla difficulty ids, also accepted by setDifficulty
+const DIFFICULTY_IDS = Object.freeze({ peaceful: 0, easy: 1, normal: 2, hard: 3 });
+const DIFFICULTIES = Object.keys(DIFFICULTY_IDS);
+
+// Local difficulty grows over 60 hours of play, after the first hour...
+const WORLD_TIME_OFFSET = 72000;
+const WORLD_TIME_RANGE = 1440000;
+// ...and over 50 hours spent in a chunk
+const MAX_INHABITED_TIME = 3600000;
+
+// Moon brightness by phase, 0 being full moon
+const MOON_BRIGHTNESS = [1, 0.75, 0.5, 0.25, 0, 0.25, 0.5, 0.75];
+
+const CHUNK_SIZE = 16;
+
+class DifficultyManager extends EventEmitter {
+  /**
+   * Create a difficulty manager
+   * @param {Object} options - Options
+   * @param {string|number} [options.difficulty='normal'] - Starting difficulty
+   * @param {boolean} [options.locked=false] - Whether the difficulty can no longer be changed
+   */
+  constructor(options = {}) {
+    super();
+    this.difficulty = DifficultyManager.parse(options.difficulty) || Difficulty.NORMAL;
+    this.locked = Boolean(options.locked);
+
+    // Ticks the world has been played
+    this.gameTime = 0;
+    // Ticks players spent in each chunk, keyed "chunkX,chunkZ"
+    this.inhabitedTime = new Map();
+  }
+
+  /**
+   * Normalize a difficulty name or id
+   * @param {string|number} value - "hard", "minecraft:hard", 3, ...
+   * @returns {string|null} Difficulty name, null if unknown
+   */
+  static parse(value) {
+    if (typeof value === 'number') {
+      return DIFFICULTIES[value] || null;
+    }
+    if (typeof value !== 'string') return null;
+    const name = value.toLowerCase().replace(/^minecraft:/, '');
+    return DIFFICULTY_IDS[name] !== undefined ? name : null;
+  }
+
+  /**
+   * Get the world difficulty
+   * @returns {string} Difficulty name
+   */
+  getDifficulty() {
+    return this.difficulty;
+  }
+
+  /**
+   * Get the vanilla id of the world difficulty
+   * @returns {number} 0 (peaceful) to 3 (hard)
+   */
+  getDifficultyId() {
+    return DIFFICULTY_IDS[this.difficulty];
+  }
+
+  /**
+   * Change the world difficulty
+   * @param {string|number} value - Difficulty name or id
+   * @returns {boolean} Whether the difficulty changed
+   */
+  setDifficulty(value) {
+    const difficulty = DifficultyManager.parse(value);
+    if (!difficulty || this.locked || difficulty === this.difficulty) return false;
+
+    const previous = this.difficulty;
+    this.difficulty = difficulty;
+    this.emit('difficultyChanged', { difficulty, previous });
+    return true;
+  }
+
+  /**
+   * Stop the difficulty from being changed again
+   */
+  lock() {
+    this.locked = true;
+  }
+
+  /**
+   * @returns {boolean} Whether the world is on peaceful
+   */
+  isPeaceful() {
+    return this.difficulty === Difficulty.PEACEFUL;
+  }
+
+  /**
+   * Scale damage a mob deals to a player by difficulty
+   * @param {number} damage - Damage on normal
+   * @returns {number} Damage on the current difficulty
+   */
+  scaleDamage(damage) {
+    switch (this.difficulty) {
+      case Difficulty.PEACEFUL:
+        return 0;
+      case Difficulty.EASY:
+        return Math.min(damage / 2 + 1, damage);
+      case Difficulty.HARD:
+        return damage * 1.5;
+      default:
+        return damage;
+    }
+  }
+
+  /**
+   * Count a game tick: the world ages and every chunk with a player in it
+   * becomes more inhabited
+   * @param {Map|Object} players - Players by id
+   */
+  tick(players) {
+    this.gameTime++;
+    const list = players instanceof Map ? players.values() : Object.values(players || {});
+    for (const player of list) {
+      if (!player || !player.position || player.gameMode === 'spectator') continue;
+      const key = getChunkKey(player.position);
+      this.inhabitedTime.set(key, Math.min(MAX_INHABITED_TIME, (this.inhabitedTime.get(key) || 0) + 1));
+    }
+  }
+
+  /**
+   * Get how long players have spent in a position's chunk
+   * @param {Object} position - Position { x, z }
+   * @returns {number} Ticks
+   */
+  getInhabitedTime(position) {
+    return this.inhabitedTime.get(getChunkKey(position)) || 0;
+  }
+
+  /**
+   * Get the local difficulty at a position
+   * @param {Object} position - Position { x, y, z }
+   * @param {number} [moonPhase=0] - Moon phase, 0-7
+   * @returns {Object} { value (0 to 6.75), clamped (0 to 1) }
+   */
+  getLocalDifficulty(position, moonPhase = 0) {
+    const value = computeLocalDifficulty(
+      this.difficulty, this.gameTime, this.getInhabitedTime(position), MOON_BRIGHTNESS[((moonPhase % 8) + 8) % 8]);
+    return { value, clamped: clampLocalDifficulty(value) };
+  }
+
+  /**
+   * Serialize for the level data of a world save
+   * @returns {Object} Saved state
+   */
+  serialize() {
+    return {
+      difficulty: this.difficulty,
+      locked: this.locked,
+      gameTime: this.gameTime,
+      inhabitedTime: Object.fromEntries(this.inhabitedTime)
+    };
+  }
+
+  /**
+   * Restore state written by serialize
+   * @param {Object} data - Saved state
+   */
+  deserialize(data) {
+    if (!data) return;
+    const difficulty = DifficultyManager.parse(data.difficulty);
+    if (difficulty && difficulty !== this.difficulty) {
+      const previous = this.difficulty;
+      this.difficulty = difficulty;
+      this.emit('difficultyChanged', { difficulty, previous });
+    }
+    this.locked = Boolean(data.locked);
+    this.gameTime = data.gameTime || 0;
+    this.inhabitedTime = new Map(Object.entries(data.inhabitedTime || {}));
+  }
+}
+
+/**
+ * Chunk key of a position
+ * @private
+ */
+function getChunkKey(position) {
+  return `${Math.floor(position.x / CHUNK_SIZE)},${Math.floor(position.z / CHUNK_SIZE)}`;
+}
+
+/**
+ * @private
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Vanilla regional difficulty formula
+ * @param {string} difficulty - World difficulty
+ * @param {number} gameTime - Ticks the world has been played
+ * @param {number} inhabitedTime - Ticks spent in the chunk
+ * @param {number} moonBrightness - 0 (new moon) to 1 (full moon)
+ * @returns {number} Local difficulty, 0 to 6.75
+ */
+function computeLocalDifficulty(difficulty, gameTime, inhabitedTime, moonBrightness) {
+  if (difficulty === Difficulty.PEACEFUL) return 0;
+
+  const hard = difficulty === Difficulty.HARD;
+  const timeFactor = clamp((gameTime - WORLD_TIME_OFFSET) / WORLD_TIME_RANGE, 0, 1) * 0.25;
+
+  let chunkFactor = clamp(inhabitedTime / MAX_INHABITED_TIME, 0, 1) * (hard ? 1 : 0.75);
+  chunkFactor += clamp(moonBrightness * 0.25, 0, timeFactor);
+  if (difficulty === Difficulty.EASY) {
+    chunkFactor *= 0.5;
+  }
+
+  return DIFFICULTY_IDS[difficulty] * (0.75 + timeFactor + chunkFactor);
+}
+
+/**
+ * Map local difficulty onto 0-1: below 2 is 0, above 4 is 1
+ * @param {number} value - Local difficulty
+ * @returns {number} Clamped local difficulty
+ */
+function clampLocalDifficulty(value) {
+  if (value < 2) return 0;
+  if (value > 4) return 1;
+  return (value - 2) / 2;
+}
+
+module.exports = {
+  DifficultyManager,
+  Difficulty,
+  DIFFICULTIES,
+  computeLocalDifficulty,
+  clampLocalDifficulty
+};
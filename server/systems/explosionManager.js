@@ -0,0 +1,489 @@
+/**
+ * ExplosionManager - Explosions from creepers, TNT, end crystals, beds and
+ * respawn anchors
+ *
+ * Works the way vanilla does:
+ *   - 1352 rays leave the centre towards the faces of a 16x16x16 cube. Each
+ *     starts with power * (0.7..1.3) intensity and loses 0.225 every 0.3
+ *     blocks, plus (blast resistance + 0.3) * 0.3 in every block it enters;
+ *     blocks reached with intensity left are destroyed
+ *   - Entities within twice the power take
+ *     ((impact^2 + impact) / 2) * 7 * 2 * power + 1 damage and are pushed
+ *     away by impact, where impact is (1 - distance / (2 * power)) times the
+ *     share of their bounding box the centre can see
+ *   - Destroyed blocks drop their loot table rolled with the explosion radius
+ *     (survives_explosion, explosion_decay), or their plain drops with a
+ *     1 / power chance; TNT caught in the blast is primed with a short fuse
+ *   - Fire-causing explosions light a third of the air they reach above
+ *     solid ground
+ * Explosions centred in water or lava break no blocks, and neither do mob
+ * explosions while mobGriefing is off.
+ */
+
+const EventEmitter = require('events');
+const { PhysicsEngine } = require('../physics/PhysicsEngine');
+
+// Explosion power by source
+const EXPLOSION_POWER = Object.freeze({
+  creeper: 3,
+  charged_creeper: 6,
+  tnt: 4,
+  end_crystal: 6,
+  bed: 5,
+  respawn_anchor: 5
+});
+
+// Rays per cube edge, and how far a ray moves and fades per step
+const RAY_GRID = 16;
+const RAY_STEP = 0.3;
+const RAY_FADE = 0.225;
+
+// Primed TNT fuse in ticks, and the fuse range of TNT set off by a blast
+const TNT_FUSE = 80;
+const CHAIN_FUSE_MIN = 10;
+const CHAIN_FUSE_RANGE = 20;
+
+// Blast resistance of common blocks missing from the block tables
+const BLAST_RESISTANCE = {
+  air: 0, cave_air: 0, void_air: 0, fire: 0, soul_fire: 0,
+  grass: 0.6, grass_block: 0.6, dirt: 0.5, sand: 0.5, gravel: 0.6, leaves: 0.2, glass: 0.3,
+  wood: 2, planks: 3, wooden_planks: 3, tnt: 0, bed: 0.2,
+  stone: 6, cobblestone: 6, brick: 6, bricks: 6, deepslate: 6, blackstone: 6,
+  iron_ore: 3, diamond_ore: 3, netherrack: 0.4, end_stone: 9,
+  water: 100, flowing_water: 100, lava: 100, flowing_lava: 100,
+  obsidian: 1200, crying_obsidian: 1200, ancient_debris: 1200, respawn_anchor: 1200,
+  enchanting_table: 1200, anvil: 1200, ender_chest: 600, netherite_block: 1200,
+  bedrock: 3600000, barrier: 3600000, end_portal_frame: 3600000, end_portal: 3600000,
+  nether_portal: 0, command_block: 3600000, structure_block: 3600000, reinforced_deepslate: 1200
+};
+
+const FLUIDS = new Set(['water', 'flowing_water', 'lava', 'flowing_lava']);
+
+// Default entity size when an entity does not say
+const DEFAULT_WIDTH = 0.6;
+const DEFAULT_HEIGHT = 1.8;
+
+class ExplosionManager extends EventEmitter {
+  /**
+   * Create a new explosion manager
+   * @param {Object} options - Manager options
+   * @param {Object} options.world - Overworld exposing getBlock(x, y, z) and setBlock(x, y, z, block)
+   * @param {Object} options.worlds - Worlds of other dimensions keyed by dimension id
+   * @param {Object} options.blockTypes - Block properties by type, for blast_resistance and hardness
+   * @param {BlockRegistry} options.blockRegistry - Registered blocks, for blastResistance of other types
+   * @param {LootTableLoader} options.lootTableLoader - Source of blocks/<type> loot tables
+   * @param {Function} options.getBlockDrops - Plain drops of a block type without a loot table
+   * @param {Function} options.getEntities - Entities of a dimension: (dimension) => Array,
+   *   defaults to the world's own getEntities()
+   * @param {GameRules} options.gameRules - Source of mobGriefing
+   * @param {Function} options.random - Random source, defaults to Math.random
+   */
+  constructor(options = {}) {
+    super();
+    this.worlds = { overworld: options.world, ...(options.worlds || {}) };
+    this.blockTypes = options.blockTypes || {};
+    this.blockRegistry = options.blockRegistry || null;
+    this.lootTableLoader = options.lootTableLoader || null;
+    this.getBlockDrops = options.getBlockDrops || (type => [{ type, count: 1 }]);
+    this.getEntities = options.getEntities || (dimension => {
+      const world = this.worlds[dimension];
+      return world && typeof world.getEntities === 'function' ? world.getEntities() : [];
+    });
+    this.gameRules = options.gameRules || null;
+    this.random = options.random || Math.random;
+
+    // One physics engine per dimension for knockback and exposure rays
+    this.engines = new Map();
+    for (const dimension in this.worlds) {
+      if (this.worlds[dimension]) {
+        this.addWorld(dimension, this.worlds[dimension]);
+      }
+    }
+
+    // Primed TNT by id
+    this.primedTnt = new Map();
+    this.nextTntId = 1;
+  }
+
+  /**
+   * Let explosions happen in another dimension
+   * @param {string} dimension - Dimension id
+   * @param {Object} world - World exposing getBlock(x, y, z), setBlock(x, y, z, block)
+   *   and optionally getEntities()
+   */
+  addWorld(dimension, world) {
+    this.worlds[dimension] = world;
+    this.engines.set(dimension, new PhysicsEngine(world));
+  }
+
+  /**
+   * Set off an explosion
+   * @param {Object} options - Explosion
+   * @param {Object} options.position - Centre { x, y, z }
+   * @param {number} options.power - Power, see EXPLOSION_POWER
+   * @param {string} [options.dimension='overworld'] - Dimension
+   * @param {boolean} [options.fire=false] - Whether the explosion lights fires
+   * @param {boolean} [options.breaksBlocks=true] - Whether blocks are destroyed
+   * @param {boolean} [options.causedByMob=false] - Whether mobGriefing applies
+   * @param {Object} [options.source] - Entity that exploded; it takes no damage
+   * @param {string} [options.sourceType] - creeper, tnt, end_crystal, bed, respawn_anchor, ...
+   * @returns {Object} { position, power, dimension, sourceType, blocks, drops, fires, damaged }
+   */
+  explode(options) {
+    const dimension = options.dimension || 'overworld';
+    const world = this.worlds[dimension];
+    const center = { ...options.position };
+    const power = options.power;
+    const result = {
+      position: center,
+      power,
+      dimension,
+      sourceType: options.sourceType || null,
+      blocks: [],
+      drops: [],
+      fires: [],
+      damaged: []
+    };
+    if (!world || !(power > 0)) return result;
+
+    const affected = this.canBreakBlocks(world, center, options) ? this.collectBlocks(world, center, power) : [];
+
+    result.damaged = this.damageEntities(dimension, center, power, options.source);
+
+    for (const position of affected) {
+      const block = world.getBlock(position.x, position.y, position.z);
+      if (!block || getBlockType(block) === 'air') continue;
+
+      if (getBlockType(block) === 'tnt') {
+        this.primeTnt(position, {
+          dimension,
+          fuse: CHAIN_FUSE_MIN + Math.floor(this.random() * CHAIN_FUSE_RANGE)
+        });
+        continue;
+      }
+
+      world.setBlock(position.x, position.y, position.z, null);
+      result.blocks.push({ ...position, type: getBlockType(block) });
+
+      const drops = this.rollDrops(block, position, power);
+      if (drops.length > 0) {
+        result.drops.push({ position, drops });
+      }
+    }
+
+    if (options.fire) {
+      result.fires = this.lightFires(dimension, affected);
+    }
+
+    this.emit('explosion', result);
+    return result;
+  }
+
+  /**
+   * Prime a TNT block: it turns into a TNT entity that explodes after its fuse
+   * @param {Object} position - Block position
+   * @param {Object} [options] - Options
+   * @param {string} [options.dimension='overworld'] - Dimension
+   * @param {number} [options.fuse=80] - Ticks until it explodes
+   * @returns {Object|null} Primed TNT { id, position, fuse, dimension }, null when there is no TNT
+   */
+  primeTnt(position, options = {}) {
+    const dimension = options.dimension || 'overworld';
+    const world = this.worlds[dimension];
+    const block = world && world.getBlock(position.x, position.y, position.z);
+    if (!block || getBlockType(block) !== 'tnt') return null;
+
+    world.setBlock(position.x, position.y, position.z, null);
+    const tnt = {
+      id: `tnt_${this.nextTntId++}`,
+      type: 'tnt',
+      position: { x: position.x + 0.5, y: position.y, z: position.z + 0.5 },
+      fuse: options.fuse !== undefined ? options.fuse : TNT_FUSE,
+      dimension
+    };
+    this.primedTnt.set(tnt.id, tnt);
+    this.emit('tntPrimed', { ...tnt, blockPosition: { x: position.x, y: position.y, z: position.z } });
+    return tnt;
+  }
+
+  /**
+   * Burn one tick off every primed TNT fuse and set off the ones that run out
+   */
+  tick() {
+    for (const [id, tnt] of this.primedTnt) {
+      tnt.fuse--;
+      if (tnt.fuse > 0) continue;
+
+      this.primedTnt.delete(id);
+      this.explode({
+        position: { x: tnt.position.x, y: tnt.position.y + 0.0625, z: tnt.position.z },
+        power: EXPLOSION_POWER.tnt,
+        dimension: tnt.dimension,
+        source: tnt,
+        sourceType: 'tnt'
+      });
+    }
+  }
+
+  /**
+   * Set off a creeper; charged creepers explode twice as hard
+   * @param {Object} creeper - Creeper, or the explosion data its explode() returned
+   * @returns {Object} Explosion result
+   */
+  explodeCreeper(creeper) {
+    return this.explode({
+      position: creeper.position,
+      power: creeper.powered ? EXPLOSION_POWER.charged_creeper : EXPLOSION_POWER.creeper,
+      breaksBlocks: creeper.breaksBlocks !== false,
+      causedByMob: true,
+      source: creeper,
+      sourceType: 'creeper'
+    });
+  }
+
+  /**
+   * Blow up a bed or a respawn anchor used where it does not work: beds
+   * outside the overworld, charged anchors outside the nether
+   * @param {Object} position - Block position
+   * @param {string} sourceType - 'bed' or 'respawn_anchor'
+   * @param {string} [dimension='overworld'] - Dimension
+   * @returns {Object} Explosion result
+   */
+  explodeBlock(position, sourceType, dimension = 'overworld') {
+    const world = this.worlds[dimension];
+    if (world) {
+      world.setBlock(position.x, position.y, position.z, null);
+    }
+    return this.explode({
+      position: { x: position.x + 0.5, y: position.y + 0.5, z: position.z + 0.5 },
+      power: EXPLOSION_POWER[sourceType] || EXPLOSION_POWER.bed,
+      dimension,
+      fire: true,
+      sourceType
+    });
+  }
+
+  /**
+   * Positions of the blocks an explosion reaches, rays weighted by blast resistance
+   * @param {Object} world - World
+   * @param {Object} center - Explosion centre
+   * @param {number} power - Explosion power
+   * @returns {Array<Object>} Block positions { x, y, z }, air included
+   */
+  collectBlocks(world, center, power) {
+    const reached = new Map();
+
+    for (let i = 0; i < RAY_GRID; i++) {
+      for (let j = 0; j < RAY_GRID; j++) {
+        for (let k = 0; k < RAY_GRID; k++) {
+          const onEdge = i === 0 || i === RAY_GRID - 1 || j === 0 || j === RAY_GRID - 1 ||
+            k === 0 || k === RAY_GRID - 1;
+          if (!onEdge) continue;
+
+          let dx = i / (RAY_GRID - 1) * 2 - 1;
+          let dy = j / (RAY_GRID - 1) * 2 - 1;
+          let dz = k / (RAY_GRID - 1) * 2 - 1;
+          const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+          dx = dx / length * RAY_STEP;
+          dy = dy / length * RAY_STEP;
+          dz = dz / length * RAY_STEP;
+
+          let intensity = power * (0.7 + this.random() * 0.6);
+          let x = center.x;
+          let y = center.y;
+          let z = center.z;
+
+          while (intensity > 0) {
+            const position = { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) };
+            const block = world.getBlock(position.x, position.y, position.z);
+            if (block && getBlockType(block) !== 'air') {
+              intensity -= (this.getBlastResistance(block) + 0.3) * RAY_STEP;
+            }
+            if (intensity > 0) {
+              reached.set(`${position.x},${position.y},${position.z}`, position);
+            }
+
+            x += dx;
+            y += dy;
+            z += dz;
+            intensity -= RAY_FADE;
+          }
+        }
+      }
+    }
+
+    return Array.from(reached.values());
+  }
+
+  /**
+   * Share of an entity's bounding box an explosion centre can see
+   * @param {string} dimension - Dimension
+   * @param {Object} center - Explosion centre
+   * @param {Object} entity - Entity with a position, and optionally width and height
+   * @returns {number} Exposure, 0 to 1
+   */
+  getExposure(dimension, center, entity) {
+    const physics = this.engines.get(dimension);
+    if (!physics) return 1;
+
+    const width = entity.width || (entity.size && entity.size.width) || DEFAULT_WIDTH;
+    const height = entity.height || (entity.size && entity.size.height) || DEFAULT_HEIGHT;
+    const min = { x: entity.position.x - width / 2, y: entity.position.y, z: entity.position.z - width / 2 };
+    const stepX = 1 / (width * 2 + 1);
+    const stepY = 1 / (height * 2 + 1);
+    const stepZ = 1 / (width * 2 + 1);
+
+    let seen = 0;
+    let total = 0;
+    for (let fx = 0; fx <= 1; fx += stepX) {
+      for (let fy = 0; fy <= 1; fy += stepY) {
+        for (let fz = 0; fz <= 1; fz += stepZ) {
+          const point = { x: min.x + width * fx, y: min.y + height * fy, z: min.z + width * fz };
+          if (physics.hasLineOfSight(point, center)) {
+            seen++;
+          }
+          total++;
+        }
+      }
+    }
+    return total === 0 ? 0 : seen / total;
+  }
+
+  /**
+   * Blast resistance of a block: its own, then the block type table, the
+   * registry and the built-in table; unbreakable blocks resist everything
+   * @param {Object} block - Block
+   * @returns {number} Blast resistance
+   */
+  getBlastResistance(block) {
+    const own = readResistance(block);
+    if (own !== null) return own;
+
+    const type = getBlockType(block);
+    const listed = this.blockTypes[type] ? readResistance(this.blockTypes[type]) : null;
+    if (listed !== null) return listed;
+
+    const registered = this.blockRegistry && this.blockRegistry.getBlock(type);
+    const fromRegistry = registered ? readResistance(registered) : null;
+    if (fromRegistry !== null) return fromRegistry;
+
+    if (BLAST_RESISTANCE[type] !== undefined) return BLAST_RESISTANCE[type];
+
+    const hardness = this.blockTypes[type] && this.blockTypes[type].hardness;
+    if (typeof hardness === 'number') {
+      return hardness < 0 ? Infinity : hardness;
+    }
+    return 1;
+  }
+
+  /**
+   * @private
+   */
+  canBreakBlocks(world, center, options) {
+    if (options.breaksBlocks === false) return false;
+    if (options.causedByMob && this.gameRules && !this.gameRules.getBoolean('mobGriefing')) return false;
+
+    const block = world.getBlock(Math.floor(center.x), Math.floor(center.y), Math.floor(center.z));
+    return !(block && (FLUIDS.has(getBlockType(block)) || block.waterlogged === true));
+  }
+
+  /**
+   * Hurt and push the entities around an explosion
+   * @private
+   */
+  damageEntities(dimension, center, power, source) {
+    const diameter = power * 2;
+    const physics = this.engines.get(dimension);
+    const damaged = [];
+
+    for (const entity of this.getEntities(dimension)) {
+      if (!entity || !entity.position || entity === source || (source && entity.id === source.id)) continue;
+      if (entity.dead || entity.gameMode === 'spectator') continue;
+
+      const dx = entity.position.x - center.x;
+      const dy = entity.position.y - center.y;
+      const dz = entity.position.z - center.z;
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (distance === 0 || distance / diameter > 1) continue;
+
+      const impact = (1 - distance / diameter) * this.getExposure(dimension, center, entity);
+      const damage = Math.floor((impact * impact + impact) / 2 * 7 * diameter + 1);
+      const knockback = { x: dx / distance * impact, y: dy / distance * impact, z: dz / distance * impact };
+
+      if (entity.gameMode !== 'creative') {
+        if (typeof entity.takeDamage === 'function') {
+          entity.takeDamage(damage, source || null);
+        } else if (typeof entity.damage === 'function') {
+          entity.damage(damage, { type: 'explosion', source: source || null });
+        }
+      }
+      if (physics) {
+        physics.applyKnockback(entity, knockback);
+      }
+
+      damaged.push({ entity, damage, knockback });
+    }
+
+    return damaged;
+  }
+
+  /**
+   * What a block destroyed by an explosion drops
+   * @private
+   */
+  rollDrops(block, position, power) {
+    const type = getBlockType(block);
+    const table = `blocks/${type}`;
+    if (this.lootTableLoader && this.lootTableLoader.hasTable(table)) {
+      return this.lootTableLoader.generate(table, { position, explosionRadius: power, random: this.random })
+        .map(({ item, ...stack }) => ({ type: item, ...stack }));
+    }
+    if (FLUIDS.has(type) || this.random() >= 1 / power) return [];
+    return this.getBlockDrops(type);
+  }
+
+  /**
+   * Light a third of the reached air blocks that sit on something solid
+   * @private
+   */
+  lightFires(dimension, positions) {
+    const world = this.worlds[dimension];
+    const physics = this.engines.get(dimension);
+    const fires = [];
+
+    for (const position of positions) {
+      if (Math.floor(this.random() * 3) !== 0) continue;
+
+      const block = world.getBlock(position.x, position.y, position.z);
+      const below = world.getBlock(position.x, position.y - 1, position.z);
+      const isAir = !block || getBlockType(block) === 'air';
+      if (!isAir || !physics || !physics.isSolidBlock(below)) continue;
+
+      world.setBlock(position.x, position.y, position.z, { type: 'fire' });
+      fires.push({ ...position });
+    }
+    return fires;
+  }
+}
+
+/**
+ * @private
+ */
+function getBlockType(block) {
+  return block.type || block.id;
+}
+
+/**
+ * Blast resistance a block or block definition states itself, under either spelling
+ * @private
+ */
+function readResistance(block) {
+  if (typeof block.blastResistance === 'number') return block.blastResistance;
+  if (typeof block.blast_resistance === 'number') return block.blast_resistance;
+  return null;
+}
+
+ExplosionManager.EXPLOSION_POWER = EXPLOSION_POWER;
+ExplosionManager.TNT_FUSE = TNT_FUSE;
+
+module.exports = ExplosionManager;
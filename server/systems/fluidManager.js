@@ -0,0 +1,761 @@
+/**
+ * FluidManager - Flowing water and lava driven by scheduled ticks
+ *
+ * Fluid blocks carry a level in their state the way vanilla does:
+ *   - 0 is a source block (blocks without a level, like generated oceans,
+ *     are sources too), 1-7 is flowing fluid further from its source and
+ *     8 is fluid falling straight down
+ *   - Water loses one level per block and looks 4 blocks ahead for a drop to
+ *     flow towards; two sources with solid ground or a source below turn a
+ *     flowing block into a new source
+ *   - Lava loses two levels per block and ticks every 30 game ticks in the
+ *     Overworld; in ultrawarm dimensions such as the Nether it spreads as far
+ *     as water at a 10 tick rate, and placed water evaporates
+ *
+ * Lava touching water turns into obsidian (source) or cobblestone (flowing),
+ * lava flowing down into water makes stone, and lava over soul soil next to
+ * blue ice makes basalt. Blocks that support waterlogging hold a water source
+ * in place of a water block.
+ */
+
+const { EventEmitter } = require('events');
+
+const DIRECTIONS = {
+  west: { x: -1, y: 0, z: 0 },
+  east: { x: 1, y: 0, z: 0 },
+  down: { x: 0, y: -1, z: 0 },
+  up: { x: 0, y: 1, z: 0 },
+  north: { x: 0, y: 0, z: -1 },
+  south: { x: 0, y: 0, z: 1 }
+};
+
+const UPDATE_ORDER = ['west', 'east', 'down', 'up', 'north', 'south'];
+const HORIZONTAL = ['north', 'east', 'south', 'west'];
+
+const OPPOSITE = {
+  west: 'east',
+  east: 'west',
+  down: 'up',
+  up: 'down',
+  north: 'south',
+  south: 'north'
+};
+
+const SOURCE_LEVEL = 0;
+const FALLING_LEVEL = 8;
+
+const FLUID_BLOCKS = {
+  water: 'water',
+  flowing_water: 'water',
+  lava: 'lava',
+  flowing_lava: 'lava'
+};
+
+// Spread settings per fluid; current is the push on entities in blocks/s^2
+const FLUID_SETTINGS = {
+  water: { tickDelay: 5, dropOff: 1, slopeDistance: 4, current: 5.6 },
+  lava: { tickDelay: 30, dropOff: 2, slopeDistance: 2, current: 0.92 }
+};
+
+const ULTRAWARM_LAVA = { tickDelay: 10, dropOff: 1, slopeDistance: 4, current: 2.8 };
+
+// Blocks that flowing fluid washes away
+const REPLACEABLE_BLOCKS = new Set([
+  'air', 'grass', 'tall_grass', 'fern', 'large_fern', 'dead_bush', 'flower',
+  'dandelion', 'poppy', 'sapling', 'torch', 'wall_torch', 'soul_torch',
+  'redstone_torch', 'redstone_wall_torch', 'redstone_wire', 'redstone_dust',
+  'lever', 'rail', 'snow', 'vine', 'sugar_cane', 'wheat', 'carrots',
+  'potatoes', 'beetroots', 'fire', 'soul_fire', 'cobweb', 'glow_lichen',
+  'redstone_repeater', 'redstone_comparator'
+]);
+
+// Blocks that can hold a water source without being a water block
+const WATERLOGGABLE_BLOCKS = new Set([
+  'mangrove_roots', 'mangrove_leaves', 'mangrove_propagule', 'pointed_dripstone',
+  'candle', 'amethyst_cluster', 'small_amethyst_bud', 'medium_amethyst_bud',
+  'large_amethyst_bud', 'spore_blossom', 'big_dripleaf', 'small_dripleaf',
+  'chest', 'ladder', 'lantern', 'soul_lantern', 'sea_pickle', 'conduit',
+  'lightning_rod', 'glow_lichen', 'scaffolding', 'hanging_roots'
+]);
+const WATERLOGGABLE_SUFFIXES = ['_slab', '_stairs', '_fence', '_wall', '_pane', '_trapdoor', '_sign', '_candle'];
+
+// Safety valve against runaway update chains within one tick
+const MAX_UPDATES_PER_TICK = 65536;
+const NO_SLOPE = 1000;
+
+class FluidManager extends EventEmitter {
+  /**
+   * Create a new fluid simulation
+   * @param {Object} options - Simulation options
+   * @param {Object} options.world - World exposing getBlockAt and setBlock (or setBlockAt)
+   * @param {string} options.dimension - Dimension ID; the Nether is ultrawarm
+   * @param {boolean} options.ultrawarm - Override whether water evaporates and lava spreads fast
+   */
+  constructor(options = {}) {
+    super();
+    this.world = options.world || null;
+    this.dimension = options.dimension || 'overworld';
+    this.ultrawarm = options.ultrawarm !== undefined ? options.ultrawarm : this.dimension === 'nether';
+
+    this.currentTick = 0;
+    this.sequence = 0;
+    this.scheduledTicks = [];
+    this.scheduledKeys = new Set();
+  }
+
+  /**
+   * Run the fluid ticks that are due this game tick
+   */
+  tick() {
+    this.currentTick++;
+
+    let processed = 0;
+    while (this.scheduledTicks.length > 0 && this.scheduledTicks[0].tick <= this.currentTick) {
+      const entry = this.scheduledTicks.shift();
+      this.scheduledKeys.delete(entry.key);
+      this.tickFluid(entry.position);
+
+      if (++processed >= MAX_UPDATES_PER_TICK) break;
+    }
+  }
+
+  /**
+   * Legacy update method
+   */
+  update() {
+    this.tick();
+  }
+
+  /**
+   * React to a block change: lava checks for water right away, fluids at
+   * and around the position are scheduled to flow
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   */
+  onBlockChanged(x, y, z) {
+    const origin = { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) };
+    const positions = [origin, ...UPDATE_ORDER.map(direction => this.offset(origin, direction))];
+
+    for (const position of positions) {
+      const fluid = this.getFluidAt(position.x, position.y, position.z);
+      if (!fluid) continue;
+      if (fluid.type === 'lava' && this.tryInteract(position)) continue;
+      this.schedule(position, this.getSettings(fluid.type).tickDelay);
+    }
+  }
+
+  /**
+   * Schedule a fluid tick
+   * @param {Object} position - Block position {x, y, z}
+   * @param {number} delay - Delay in game ticks
+   * @returns {boolean} Whether the tick was scheduled (false if already pending)
+   */
+  schedule(position, delay) {
+    const key = this.getPositionKey(position);
+    if (this.scheduledKeys.has(key)) return false;
+
+    const entry = {
+      key,
+      position: { x: position.x, y: position.y, z: position.z },
+      tick: this.currentTick + Math.max(1, delay),
+      sequence: this.sequence++
+    };
+
+    // Binary insert keeps the queue ordered by (tick, sequence)
+    let low = 0;
+    let high = this.scheduledTicks.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      const other = this.scheduledTicks[mid];
+      if (other.tick < entry.tick || (other.tick === entry.tick && other.sequence < entry.sequence)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    this.scheduledTicks.splice(low, 0, entry);
+    this.scheduledKeys.add(key);
+    return true;
+  }
+
+  /**
+   * Check whether a fluid tick is pending for a position
+   * @param {Object} position - Block position {x, y, z}
+   * @returns {boolean} Whether a tick is scheduled
+   */
+  isScheduled(position) {
+    return this.scheduledKeys.has(this.getPositionKey(position));
+  }
+
+  /**
+   * Empty a bucket of fluid at a position. Water waterlogs blocks that
+   * support it and evaporates in ultrawarm dimensions.
+   * @param {Object} position - Block position {x, y, z}
+   * @param {string} type - Fluid type ('water' or 'lava')
+   * @returns {boolean} Whether the fluid was placed
+   */
+  placeFluid(position, type) {
+    if (!FLUID_SETTINGS[type]) {
+      throw new Error(`Unknown fluid type: ${type}`);
+    }
+
+    if (type === 'water' && this.ultrawarm) {
+      this.emit('evaporated', { position });
+      return false;
+    }
+
+    const block = this.getBlock(position);
+    if (type === 'water' && this.canWaterlog(block)) {
+      if (this.isWaterlogged(block)) return false;
+      this.setWaterlogged(block, true);
+      this.setBlock(position, block);
+      return true;
+    }
+
+    const fluid = this.getFluidFromBlock(block);
+    if (fluid && fluid.level === SOURCE_LEVEL) return false;
+    if (block && !fluid && !this.isReplaceable(block)) return false;
+
+    this.setBlock(position, this.createFluidBlock(type, SOURCE_LEVEL));
+    return true;
+  }
+
+  /**
+   * Fill a bucket from a source block
+   * @param {Object} position - Block position {x, y, z}
+   * @returns {string|null} The fluid picked up, or null if there was no source
+   */
+  removeFluid(position) {
+    const block = this.getBlock(position);
+    const fluid = this.getFluidFromBlock(block);
+    if (!fluid || fluid.level !== SOURCE_LEVEL) return null;
+
+    if (fluid.waterlogged) {
+      this.setWaterlogged(block, false);
+      this.setBlock(position, block);
+    } else {
+      this.setBlock(position, null);
+    }
+    return fluid.type;
+  }
+
+  /**
+   * Get the fluid at a position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @returns {Object|null} {type, level, waterlogged} or null without fluid
+   */
+  getFluidAt(x, y, z) {
+    return this.getFluidFromBlock(this.getBlock({ x, y, z }));
+  }
+
+  /**
+   * Get the fluid a block holds
+   * @param {Object} block - Block object
+   * @returns {Object|null} {type, level, waterlogged} or null without fluid
+   */
+  getFluidFromBlock(block) {
+    if (!block) return null;
+
+    const type = FLUID_BLOCKS[this.getBlockType(block)];
+    if (type) {
+      const level = this.getProperty(block, 'level', SOURCE_LEVEL);
+      return { type, level: Math.max(SOURCE_LEVEL, Math.min(FALLING_LEVEL, level)), waterlogged: false };
+    }
+
+    if (this.isWaterlogged(block)) {
+      return { type: 'water', level: SOURCE_LEVEL, waterlogged: true };
+    }
+    return null;
+  }
+
+  /**
+   * Surface height of the fluid in a block, from 0 to 1
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @returns {number} Fluid height
+   */
+  getFluidHeight(x, y, z) {
+    const fluid = this.getFluidAt(x, y, z);
+    if (!fluid) return 0;
+
+    const above = this.getFluidAt(x, y + 1, z);
+    if (above && above.type === fluid.type) return 1;
+    return this.getAmount(fluid) / 9;
+  }
+
+  /**
+   * Direction the fluid in a block is flowing, as a unit vector
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @returns {Object} Flow vector {x, y, z}
+   */
+  getFlow(x, y, z) {
+    const position = { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) };
+    const fluid = this.getFluidAt(position.x, position.y, position.z);
+    const flow = { x: 0, y: 0, z: 0 };
+    if (!fluid) return flow;
+
+    const amount = this.getAmount(fluid);
+    for (const direction of HORIZONTAL) {
+      const neighbor = this.offset(position, direction);
+      const neighborFluid = this.getFluidAt(neighbor.x, neighbor.y, neighbor.z);
+      let difference = 0;
+
+      if (neighborFluid && neighborFluid.type === fluid.type) {
+        difference = amount - this.getAmount(neighborFluid);
+      } else if (!neighborFluid && this.isPassable(this.getBlock(neighbor))) {
+        // Fluid pours over the edge into the block below the neighbor
+        const below = this.getFluidAt(neighbor.x, neighbor.y - 1, neighbor.z);
+        if (below && below.type === fluid.type) {
+          difference = amount - (this.getAmount(below) - FALLING_LEVEL);
+        }
+      }
+
+      flow.x += DIRECTIONS[direction].x * difference;
+      flow.z += DIRECTIONS[direction].z * difference;
+    }
+
+    if (fluid.level === FALLING_LEVEL) {
+      flow.y -= 6;
+    }
+
+    const length = Math.sqrt(flow.x * flow.x + flow.y * flow.y + flow.z * flow.z);
+    if (length === 0) return flow;
+    return { x: flow.x / length, y: flow.y / length, z: flow.z / length };
+  }
+
+  /**
+   * How hard a fluid's current pushes entities
+   * @param {string} type - Fluid type
+   * @returns {number} Acceleration in blocks per second squared
+   */
+  getCurrentStrength(type) {
+    return FLUID_SETTINGS[type] ? this.getSettings(type).current : 0;
+  }
+
+  /**
+   * Check whether a block can hold a water source
+   * @param {Object} block - Block object
+   * @returns {boolean} Whether the block can be waterlogged
+   */
+  canWaterlog(block) {
+    if (!block || FLUID_BLOCKS[this.getBlockType(block)]) return false;
+    if (typeof block.waterlogged === 'boolean') return true;
+    if (block.state && typeof block.state.waterlogged === 'boolean') return true;
+
+    const id = block.id || block.type;
+    if (typeof id !== 'string') return false;
+    return WATERLOGGABLE_BLOCKS.has(id) || WATERLOGGABLE_SUFFIXES.some(suffix => id.endsWith(suffix));
+  }
+
+  /**
+   * Check whether a block holds a water source
+   * @param {Object} block - Block object
+   * @returns {boolean} Whether the block is waterlogged
+   */
+  isWaterlogged(block) {
+    return !!block && this.getProperty(block, 'waterlogged', false) === true;
+  }
+
+  /**
+   * Run one fluid tick at a position
+   * @private
+   */
+  tickFluid(position) {
+    let fluid = this.getFluidAt(position.x, position.y, position.z);
+    if (!fluid) return;
+    if (fluid.type === 'lava' && this.tryInteract(position)) return;
+
+    if (fluid.level !== SOURCE_LEVEL) {
+      const next = this.getNewFluidState(position, fluid.type);
+      if (!next) {
+        this.setBlock(position, null);
+        return;
+      }
+      if (next.level !== fluid.level) {
+        this.setBlock(position, this.createFluidBlock(fluid.type, next.level));
+        fluid = next;
+      }
+    }
+
+    this.spread(position, fluid);
+  }
+
+  /**
+   * What a flowing block becomes given its neighbors, or null if it dries up
+   * @private
+   */
+  getNewFluidState(position, type) {
+    const settings = this.getSettings(type);
+    let maxAmount = 0;
+    let sources = 0;
+
+    for (const direction of HORIZONTAL) {
+      const neighbor = this.offset(position, direction);
+      const fluid = this.getFluidAt(neighbor.x, neighbor.y, neighbor.z);
+      if (!fluid || fluid.type !== type) continue;
+      if (fluid.level === SOURCE_LEVEL) sources++;
+      maxAmount = Math.max(maxAmount, this.getAmount(fluid));
+    }
+
+    // Water between two sources becomes a source if it has something to rest on
+    if (type === 'water' && sources >= 2) {
+      const below = this.getBlock(this.offset(position, 'down'));
+      const belowFluid = this.getFluidFromBlock(below);
+      const sourceBelow = belowFluid && belowFluid.type === type && belowFluid.level === SOURCE_LEVEL;
+      if (sourceBelow || (below && !belowFluid && this.isSolid(below))) {
+        return { type, level: SOURCE_LEVEL };
+      }
+    }
+
+    const above = this.getFluidAt(position.x, position.y + 1, position.z);
+    if (above && above.type === type) {
+      return { type, level: FALLING_LEVEL };
+    }
+
+    const amount = maxAmount - settings.dropOff;
+    if (amount <= 0) return null;
+    return { type, level: FALLING_LEVEL - amount };
+  }
+
+  /**
+   * Flow down if possible, otherwise (or for pooled sources) to the sides
+   * @private
+   */
+  spread(position, fluid) {
+    const below = this.offset(position, 'down');
+    if (this.canFlowInto(below, fluid.type, FALLING_LEVEL, 'down')) {
+      this.flowInto(below, fluid.type, FALLING_LEVEL, 'down');
+      if (this.countSourceNeighbors(position, fluid.type) >= 3) {
+        this.spreadToSides(position, fluid);
+      }
+    } else if (fluid.level === SOURCE_LEVEL || !this.isHole(below, fluid.type)) {
+      this.spreadToSides(position, fluid);
+    }
+  }
+
+  /**
+   * @private
+   */
+  spreadToSides(position, fluid) {
+    const amount = this.getAmount(fluid) - this.getSettings(fluid.type).dropOff;
+    if (amount <= 0) return;
+
+    const level = FALLING_LEVEL - amount;
+    for (const direction of this.getSpreadDirections(position, fluid.type, level)) {
+      const neighbor = this.offset(position, direction);
+      if (this.canFlowInto(neighbor, fluid.type, level, direction)) {
+        this.flowInto(neighbor, fluid.type, level, direction);
+      }
+    }
+  }
+
+  /**
+   * Horizontal directions to spread in: towards the nearest drop within the
+   * fluid's slope distance, or every open direction if there is none
+   * @private
+   */
+  getSpreadDirections(position, type, level) {
+    let best = NO_SLOPE;
+    let directions = [];
+
+    for (const direction of HORIZONTAL) {
+      const neighbor = this.offset(position, direction);
+      if (!this.canFlowInto(neighbor, type, level, direction)) continue;
+
+      const distance = this.isHole(this.offset(neighbor, 'down'), type) ? 0 :
+        this.getSlopeDistance(neighbor, 1, OPPOSITE[direction], type);
+      if (distance < best) {
+        best = distance;
+        directions = [direction];
+      } else if (distance === best) {
+        directions.push(direction);
+      }
+    }
+
+    return directions;
+  }
+
+  /**
+   * @private
+   */
+  getSlopeDistance(position, depth, from, type) {
+    let best = NO_SLOPE;
+    for (const direction of HORIZONTAL) {
+      if (direction === from) continue;
+
+      const neighbor = this.offset(position, direction);
+      if (!this.canPassThrough(neighbor, type)) continue;
+      if (this.isHole(this.offset(neighbor, 'down'), type)) return depth;
+
+      if (depth < this.getSettings(type).slopeDistance) {
+        best = Math.min(best, this.getSlopeDistance(neighbor, depth + 1, OPPOSITE[direction], type));
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Whether fluid could fall into a position
+   * @private
+   */
+  isHole(position, type) {
+    const fluid = this.getFluidAt(position.x, position.y, position.z);
+    if (fluid) return fluid.type === type;
+    return this.isInHeightLimits(position) && this.isPassable(this.getBlock(position));
+  }
+
+  /**
+   * Whether the slope search can continue through a position
+   * @private
+   */
+  canPassThrough(position, type) {
+    const fluid = this.getFluidAt(position.x, position.y, position.z);
+    if (fluid) return fluid.type === type && fluid.level !== SOURCE_LEVEL;
+    return this.isInHeightLimits(position) && this.isPassable(this.getBlock(position));
+  }
+
+  /**
+   * Whether fluid at the given level may flow into a position
+   * @private
+   */
+  canFlowInto(position, type, level, direction) {
+    if (!this.isInHeightLimits(position)) return false;
+
+    const block = this.getBlock(position);
+    const fluid = this.getFluidFromBlock(block);
+    if (fluid) {
+      if (fluid.type !== type) {
+        // Lava pours down into water and hardens
+        return type === 'lava' && fluid.type === 'water' && direction === 'down' && !fluid.waterlogged;
+      }
+      if (fluid.level === SOURCE_LEVEL) return false;
+      return this.getAmount({ level }) > this.getAmount(fluid);
+    }
+
+    return this.isPassable(block);
+  }
+
+  /**
+   * @private
+   */
+  flowInto(position, type, level, direction) {
+    const block = this.getBlock(position);
+    const fluid = this.getFluidFromBlock(block);
+
+    if (fluid && fluid.type !== type) {
+      this.setBlock(position, { type: 'stone' });
+      this.emit('fluidInteraction', { position, result: 'stone' });
+      return;
+    }
+
+    if (block && !fluid && this.getBlockType(block) !== 'air') {
+      this.emit('blockDestroyed', { position, block, fluid: type });
+    }
+
+    this.setBlock(position, this.createFluidBlock(type, level));
+    this.schedule(position, this.getSettings(type).tickDelay);
+  }
+
+  /**
+   * Harden lava that touches water, or turn it into basalt over soul soil
+   * next to blue ice
+   * @private
+   * @returns {boolean} Whether the lava was replaced
+   */
+  tryInteract(position) {
+    const fluid = this.getFluidAt(position.x, position.y, position.z);
+    if (!fluid || fluid.type !== 'lava') return false;
+
+    const below = this.getBlock(this.offset(position, 'down'));
+    const onSoulSoil = this.getBlockType(below) === 'soul_soil';
+
+    for (const direction of UPDATE_ORDER) {
+      if (direction === 'down') continue;
+
+      const neighbor = this.getBlock(this.offset(position, direction));
+      let result = null;
+      if (onSoulSoil && this.getBlockType(neighbor) === 'blue_ice') {
+        result = 'basalt';
+      } else {
+        const neighborFluid = this.getFluidFromBlock(neighbor);
+        if (neighborFluid && neighborFluid.type === 'water') {
+          result = fluid.level === SOURCE_LEVEL ? 'obsidian' : 'cobblestone';
+        }
+      }
+
+      if (result) {
+        this.setBlock(position, { type: result });
+        this.emit('fluidInteraction', { position, result });
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   */
+  countSourceNeighbors(position, type) {
+    let count = 0;
+    for (const direction of HORIZONTAL) {
+      const neighbor = this.offset(position, direction);
+      const fluid = this.getFluidAt(neighbor.x, neighbor.y, neighbor.z);
+      if (fluid && fluid.type === type && fluid.level === SOURCE_LEVEL) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Whether fluid can occupy a block, washing it away if needed
+   * @private
+   */
+  isPassable(block) {
+    if (!block) return true;
+    if (this.canWaterlog(block)) return false;
+    return this.isReplaceable(block);
+  }
+
+  /**
+   * @private
+   */
+  isReplaceable(block) {
+    const type = this.getBlockType(block);
+    if (type === 'air' || REPLACEABLE_BLOCKS.has(type)) return true;
+    return block.solid === false && !block.transparent;
+  }
+
+  /**
+   * @private
+   */
+  isSolid(block) {
+    if (!block) return false;
+    if (block.solid === false || block.isSolid === false) return false;
+    return !this.isReplaceable(block);
+  }
+
+  /**
+   * Fluid amount out of 8: sources and falling fluid are full
+   * @private
+   */
+  getAmount(fluid) {
+    if (fluid.level === SOURCE_LEVEL || fluid.level === FALLING_LEVEL) return FALLING_LEVEL;
+    return FALLING_LEVEL - fluid.level;
+  }
+
+  /**
+   * @private
+   */
+  getSettings(type) {
+    if (type === 'lava' && this.ultrawarm) return ULTRAWARM_LAVA;
+    return FLUID_SETTINGS[type];
+  }
+
+  /**
+   * @private
+   */
+  createFluidBlock(type, level) {
+    return { type, state: { level } };
+  }
+
+  /**
+   * @private
+   */
+  setWaterlogged(block, waterlogged) {
+    if (block.state && typeof block.state.waterlogged === 'boolean') {
+      block.state.waterlogged = waterlogged;
+    } else {
+      block.waterlogged = waterlogged;
+    }
+  }
+
+  /**
+   * @private
+   */
+  isInHeightLimits(position) {
+    const { minHeight, maxHeight } = this.getHeightLimits();
+    return position.y >= minHeight && position.y < maxHeight;
+  }
+
+  /**
+   * @private
+   */
+  getHeightLimits() {
+    const world = this.world || {};
+    const minHeight = typeof world.getMinHeight === 'function' ? world.getMinHeight() :
+      (typeof world.minHeight === 'number' ? world.minHeight : -Infinity);
+    const maxHeight = typeof world.getMaxHeight === 'function' ? world.getMaxHeight() :
+      (typeof world.maxHeight === 'number' ? world.maxHeight : Infinity);
+    return { minHeight, maxHeight };
+  }
+
+  /**
+   * @private
+   */
+  getBlock(position) {
+    if (!this.world) return null;
+    if (typeof this.world.getBlockAt === 'function') {
+      return this.world.getBlockAt(position.x, position.y, position.z) || null;
+    }
+    if (typeof this.world.getBlock === 'function') {
+      return this.world.getBlock(position.x, position.y, position.z) || null;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  setBlock(position, block) {
+    if (!this.world) return;
+    if (typeof this.world.setBlock === 'function') {
+      this.world.setBlock(position.x, position.y, position.z, block);
+    } else if (typeof this.world.setBlockAt === 'function') {
+      this.world.setBlockAt(position.x, position.y, position.z, block ? block.type : 'air', block ? block.state : {});
+    }
+  }
+
+  /**
+   * @private
+   */
+  getBlockType(block) {
+    if (!block) return null;
+    return block.type || block.id || null;
+  }
+
+  /**
+   * @private
+   */
+  getProperty(block, name, fallback) {
+    for (const source of [block.state, block.metadata, block.properties]) {
+      if (source && source[name] !== undefined) return source[name];
+    }
+    return block[name] !== undefined ? block[name] : fallback;
+  }
+
+  /**
+   * @private
+   */
+  offset(position, direction) {
+    const delta = DIRECTIONS[direction];
+    return { x: position.x + delta.x, y: position.y + delta.y, z: position.z + delta.z };
+  }
+
+  /**
+   * @private
+   */
+  getPositionKey(position) {
+    return `${position.x},${position.y},${position.z}`;
+  }
+}
+
+FluidManager.SOURCE_LEVEL = SOURCE_LEVEL;
+FluidManager.FALLING_LEVEL = FALLING_LEVEL;
+FluidManager.FLUID_SETTINGS = FLUID_SETTINGS;
+
+module.exports = FluidManager;
@@ -0,0 +1,216 @@
+/**
+ * GameRules - Typed registry of world game rules
+ *
+ * Every rule is a boolean or an integer with a vanilla default. Rules are
+ * saved with the world and changed at runtime through set(), which emits
+ * 'ruleChanged' so the systems that consult a rule can react straight away
+ * instead of waiting for their next tick.
+ */
+
+const EventEmitter = require('events');
+
+const RuleType = Object.freeze({
+  BOOLEAN: 'boolean',
+  INTEGER: 'integer'
+});
+
+// Built-in rules and their vanilla defaults
+const DEFAULT_RULES = [
+  { name: 'doDaylightCycle', type: RuleType.BOOLEAN, default: true },
+  { name: 'doWeatherCycle', type: RuleType.BOOLEAN, default: true },
+  { name: 'doFireTick', type: RuleType.BOOLEAN, default: true },
+  { name: 'doMobSpawning', type: RuleType.BOOLEAN, default: true },
+  { name: 'doMobLoot', type: RuleType.BOOLEAN, default: true },
+  { name: 'mobGriefing', type: RuleType.BOOLEAN, default: true },
+  { name: 'keepInventory', type: RuleType.BOOLEAN, default: false },
+  { name: 'naturalRegeneration', type: RuleType.BOOLEAN, default: true },
+  { name: 'pvp', type: RuleType.BOOLEAN, default: true },
+  { name: 'randomTickSpeed', type: RuleType.INTEGER, default: 3, min: 0, max: 4096 },
+  { name: 'spawnRadius', type: RuleType.INTEGER, default: 10, min: 0, max: 1000 }
+];
+
+class GameRules extends EventEmitter {
+  /**
+   * Create a game rule registry with the built-in rules
+   * @param {Object} [values] - Initial values by rule name
+   */
+  constructor(values = {}) {
+    super();
+    // Rule name -> definition
+    this.definitions = new Map();
+    // Rule name -> current value
+    this.values = new Map();
+
+    for (const definition of DEFAULT_RULES) {
+      this.register(definition);
+    }
+    for (const [name, value] of Object.entries(values)) {
+      this.set(name, value, { silent: true });
+    }
+  }
+
+  /**
+   * Register a rule
+   * @param {Object} definition - { name, type, default, min?, max? }
+   */
+  register(definition) {
+    if (!definition || typeof definition.name !== 'string') {
+      throw new Error('Game rule needs a name');
+    }
+    if (!Object.values(RuleType).includes(definition.type)) {
+      throw new Error(`Game rule ${definition.name} has unknown type '${definition.type}'`);
+    }
+    this.definitions.set(definition.name, { ...definition });
+    this.values.set(definition.name, definition.default);
+  }
+
+  /**
+   * @param {string} name - Rule name
+   * @returns {boolean} Whether the rule exists
+   */
+  has(name) {
+    return this.definitions.has(name);
+  }
+
+  /**
+   * Get a rule definition
+   * @param {string} name - Rule name
+   * @returns {Object|null} Definition, null if unknown
+   */
+  getDefinition(name) {
+    return this.definitions.get(name) || null;
+  }
+
+  /**
+   * @returns {Array<string>} Rule names, alphabetically
+   */
+  getRuleNames() {
+    return Array.from(this.definitions.keys()).sort();
+  }
+
+  /**
+   * Get the value of a rule
+   * @param {string} name - Rule name
+   * @returns {boolean|number} Value
+   */
+  get(name) {
+    if (!this.has(name)) {
+      throw new Error(`Unknown game rule '${name}'`);
+    }
+    return this.values.get(name);
+  }
+
+  /**
+   * Get a boolean rule
+   * @param {string} name - Rule name
+   * @returns {boolean} Value
+   */
+  getBoolean(name) {
+    return this.get(name) === true;
+  }
+
+  /**
+   * Get an integer rule
+   * @param {string} name - Rule name
+   * @returns {number} Value
+   */
+  getInt(name) {
+    const value = this.get(name);
+    return typeof value === 'number' ? value : 0;
+  }
+
+  /**
+   * Parse a value for a rule, accepting strings from commands and save files
+   * @param {string} name - Rule name
+   * @param {boolean|number|string} value - Value
+   * @returns {boolean|number} Parsed value
+   * @throws {Error} If the rule is unknown or the value does not fit it
+   */
+  parse(name, value) {
+    const definition = this.getDefinition(name);
+    if (!definition) {
+      throw new Error(`Unknown game rule '${name}'`);
+    }
+
+    if (definition.type === RuleType.BOOLEAN) {
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      throw new Error(`Game rule ${name} expects true or false but got '${value}'`);
+    }
+
+    const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+    if (!Number.isInteger(number)) {
+      throw new Error(`Game rule ${name} expects a whole number but got '${value}'`);
+    }
+    if ((definition.min !== undefined && number < definition.min) ||
+        (definition.max !== undefined && number > definition.max)) {
+      throw new Error(`Game rule ${name} must be between ${definition.min} and ${definition.max}`);
+    }
+    return number;
+  }
+
+  /**
+   * Change a rule
+   * @param {string} name - Rule name
+   * @param {boolean|number|string} value - New value
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.silent=false] - Skip the ruleChanged event
+   * @returns {boolean|number} The value the rule now has
+   * @throws {Error} If the rule is unknown or the value does not fit it
+   */
+  set(name, value, options = {}) {
+    const parsed = this.parse(name, value);
+    const previous = this.values.get(name);
+    if (parsed === previous) return parsed;
+
+    this.values.set(name, parsed);
+    if (!options.silent) {
+      this.emit('ruleChanged', { rule: name, value: parsed, previous });
+    }
+    return parsed;
+  }
+
+  /**
+   * Put a rule back to its default
+   * @param {string} name - Rule name
+   * @returns {boolean|number} The default value
+   */
+  reset(name) {
+    const definition = this.getDefinition(name);
+    if (!definition) {
+      throw new Error(`Unknown game rule '${name}'`);
+    }
+    return this.set(name, definition.default);
+  }
+
+  /**
+   * Serialize for the level data of a world save
+   * @returns {Object} Values by rule name
+   */
+  serialize() {
+    return Object.fromEntries(this.values);
+  }
+
+  /**
+   * Restore values written by serialize; unknown rules and bad values are
+   * skipped so an old save never stops the world from loading
+   * @param {Object} data - Values by rule name
+   */
+  deserialize(data) {
+    if (!data) return;
+    for (const [name, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      try {
+        this.set(name, value);
+      } catch (error) {
+        console.warn(`Skipping saved game rule ${name}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  GameRules,
+  RuleType,
+  DEFAULT_RULES
+};
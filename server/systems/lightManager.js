@@ -0,0 +1,685 @@
+/**
+ * LightManager - Server-side block and sky light engine
+ *
+ * Light is spread with a breadth-first flood fill, one queue per light kind:
+ *   - Block light starts at the emission level of a light source and loses
+ *     one level per block, or more when passing through filtering blocks
+ *   - Sky light is 15 at the top of the world, travels straight down without
+ *     loss through fully transparent blocks and loses one level per block
+ *     sideways, which lights overhangs and cave mouths
+ *
+ * Levels are stored per 16x16x16 chunk in the chunk's lightLevels (block
+ * light) and skyLightLevels arrays. A chunk column has to be lit with
+ * lightColumn() before it takes part in propagation; after that every block
+ * change is applied incrementally by removing the light that depended on the
+ * old block and refilling the hole from the surrounding light.
+ */
+
+const { EventEmitter } = require('events');
+const { Chunk } = require('../world/Chunk');
+
+const CHUNK_SIZE = 16;
+const MAX_LIGHT = 15;
+
+// Neighbor offsets as [dx, dy, dz]; index 2 is straight down
+const NEIGHBORS = [
+  [-1, 0, 0],
+  [1, 0, 0],
+  [0, -1, 0],
+  [0, 1, 0],
+  [0, 0, -1],
+  [0, 0, 1]
+];
+const DOWN = 2;
+
+// Emission for block types that do not declare a light level themselves
+const LIGHT_EMISSION = {
+  torch: 14,
+  wall_torch: 14,
+  soul_torch: 10,
+  soul_wall_torch: 10,
+  redstone_torch: 7,
+  redstone_wall_torch: 7,
+  lantern: 15,
+  soul_lantern: 10,
+  glowstone: 15,
+  sea_lantern: 15,
+  shroomlight: 15,
+  jack_o_lantern: 15,
+  beacon: 15,
+  conduit: 15,
+  end_rod: 14,
+  lava: 15,
+  fire: 15,
+  soul_fire: 10,
+  magma_block: 3,
+  nether_portal: 11,
+  end_portal: 15,
+  crying_obsidian: 10,
+  glow_lichen: 7,
+  amethyst_cluster: 5
+};
+
+// Blocks that only emit while their lit state is set
+const LIT_EMISSION = {
+  redstone_lamp: 15,
+  furnace: 13,
+  blast_furnace: 13,
+  smoker: 13,
+  campfire: 15,
+  soul_campfire: 10,
+  redstone_ore: 9,
+  deepslate_redstone_ore: 9
+};
+
+// Blocks that let light through but dim it by more than one level
+const LIGHT_FILTERING = {
+  water: 1,
+  ice: 1,
+  frosted_ice: 1,
+  leaves: 1,
+  cobweb: 1,
+  slime_block: 1,
+  honey_block: 1
+};
+
+const TRANSPARENT_BLOCKS = new Set([
+  'air', 'glass', 'tinted_glass', 'barrier', 'torch', 'wall_torch',
+  'soul_torch', 'soul_wall_torch', 'redstone_torch', 'redstone_wall_torch',
+  'redstone_wire', 'redstone_dust', 'lever', 'ladder', 'vine', 'rail',
+  'flower', 'dandelion', 'poppy', 'grass', 'tall_grass', 'fern', 'sapling',
+  'sugar_cane', 'fire', 'soul_fire', 'lantern', 'soul_lantern', 'end_rod',
+  'glow_lichen', 'snow', 'piston_head', 'moving_piston', 'nether_portal',
+  'end_portal', 'scaffolding', 'redstone_repeater', 'redstone_comparator'
+]);
+
+class LightManager extends EventEmitter {
+  /**
+   * Create a new light engine
+   * @param {Object} options - Engine options
+   * @param {Object} options.world - World exposing getBlockAt(x, y, z) or getBlock(x, y, z)
+   * @param {Object} options.blockTypes - Block type table with light/transparent/solid flags
+   */
+  constructor(options = {}) {
+    super();
+    this.world = options.world || null;
+    this.blockTypes = options.blockTypes || {};
+
+    // Light storage, one Chunk per 16x16x16 section keyed by "cx,cy,cz"
+    this.sections = new Map();
+    // Columns that have been lit and take part in propagation, keyed by "cx,cz"
+    this.litColumns = new Set();
+    // Sections changed since the last flush
+    this.changedSections = new Set();
+  }
+
+  /**
+   * Compute light for a whole chunk column and blend it with lit neighbors.
+   * Unlike block changes this emits no lightUpdate; callers send the
+   * returned sections along with the chunk.
+   * @param {number} chunkX - Chunk column X
+   * @param {number} chunkZ - Chunk column Z
+   * @returns {Array<Object>} Changed sections, see getSectionData
+   */
+  lightColumn(chunkX, chunkZ) {
+    const columnKey = `${chunkX},${chunkZ}`;
+    if (this.litColumns.has(columnKey)) {
+      this.clearColumn(chunkX, chunkZ);
+    }
+    this.litColumns.add(columnKey);
+
+    const { minHeight, maxHeight } = this.getHeightLimits();
+    const baseX = chunkX * CHUNK_SIZE;
+    const baseZ = chunkZ * CHUNK_SIZE;
+    const skyTops = new Array(CHUNK_SIZE * CHUNK_SIZE);
+    const blockQueue = [];
+    const skyQueue = [];
+
+    // Straight-down sky pass; also collects light sources
+    for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+      for (let lz = 0; lz < CHUNK_SIZE; lz++) {
+        const x = baseX + lx;
+        const z = baseZ + lz;
+        let level = MAX_LIGHT;
+        let skyTop = minHeight;
+
+        for (let y = maxHeight - 1; y >= minHeight; y--) {
+          const block = this.getBlock(x, y, z);
+          if (level > 0) {
+            const opacity = this.getOpacity(block);
+            level = this.getPropagatedLevel('sky', level, opacity, DOWN);
+            if (level < MAX_LIGHT && skyTop === minHeight) skyTop = y + 1;
+            this.setLight('sky', x, y, z, level);
+          }
+
+          const emission = this.getEmission(block);
+          if (emission > 0) {
+            this.setLight('block', x, y, z, emission);
+            blockQueue.push(x, y, z);
+          }
+        }
+
+        skyTops[lx * CHUNK_SIZE + lz] = skyTop;
+      }
+    }
+
+    // Only cells below a neighboring column's sky top can spread sideways
+    for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+      for (let lz = 0; lz < CHUNK_SIZE; lz++) {
+        const x = baseX + lx;
+        const z = baseZ + lz;
+        const skyTop = skyTops[lx * CHUNK_SIZE + lz];
+        const edge = lx === 0 || lz === 0 || lx === CHUNK_SIZE - 1 || lz === CHUNK_SIZE - 1;
+        let reach = skyTop;
+        for (const [dx, dy, dz] of NEIGHBORS) {
+          const nx = lx + dx;
+          const nz = lz + dz;
+          if (dy === 0 && nx >= 0 && nx < CHUNK_SIZE && nz >= 0 && nz < CHUNK_SIZE) {
+            reach = Math.max(reach, skyTops[nx * CHUNK_SIZE + nz]);
+          }
+        }
+
+        // Edge cells also border other columns, which may be lower
+        const top = edge ? maxHeight : Math.min(reach, maxHeight);
+        for (let y = top - 1; y >= minHeight; y--) {
+          const level = this.getLight('sky', x, y, z);
+          if (level > 1 && (y < reach || this.canBrighten('sky', x, y, z, level))) {
+            skyQueue.push(x, y, z);
+          }
+          if (level === 0 && y < skyTop) break;
+        }
+      }
+    }
+
+    // Pull light in from lit neighbor columns
+    this.queueColumnBorders(chunkX, chunkZ, blockQueue, skyQueue);
+
+    this.propagate('block', blockQueue);
+    this.propagate('sky', skyQueue);
+    return this.flushChanges();
+  }
+
+  /**
+   * Forget all light for a chunk column, e.g. when it is unloaded
+   * @param {number} chunkX - Chunk column X
+   * @param {number} chunkZ - Chunk column Z
+   */
+  unloadColumn(chunkX, chunkZ) {
+    this.clearColumn(chunkX, chunkZ);
+    this.litColumns.delete(`${chunkX},${chunkZ}`);
+  }
+
+  /**
+   * Forget all stored light
+   */
+  clear() {
+    this.sections.clear();
+    this.litColumns.clear();
+    this.changedSections.clear();
+  }
+
+  /**
+   * Update light after the block at a position changed
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @returns {Array<Object>} Changed sections, see getSectionData
+   */
+  onBlockChanged(x, y, z) {
+    x = Math.floor(x);
+    y = Math.floor(y);
+    z = Math.floor(z);
+    if (!this.isLoaded(x, y, z)) return [];
+
+    const block = this.getBlock(x, y, z);
+    for (const kind of ['block', 'sky']) {
+      const refill = [];
+      const previous = this.getLight(kind, x, y, z);
+      if (previous > 0) {
+        this.unpropagate(kind, x, y, z, previous, refill);
+      }
+
+      if (kind === 'block') {
+        const emission = this.getEmission(block);
+        if (emission > 0) {
+          this.setLight(kind, x, y, z, emission);
+          refill.push(x, y, z);
+        }
+      }
+
+      // Let neighbors shine into the changed block
+      for (const [dx, dy, dz] of NEIGHBORS) {
+        if (this.isLoaded(x + dx, y + dy, z + dz) && this.getLight(kind, x + dx, y + dy, z + dz) > 0) {
+          refill.push(x + dx, y + dy, z + dz);
+        }
+      }
+
+      this.propagate(kind, refill);
+    }
+
+    const changes = this.flushChanges();
+    if (changes.length > 0) {
+      this.emit('lightUpdate', { sections: changes });
+    }
+    return changes;
+  }
+
+  /**
+   * Get the block light at a position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @returns {number} Light level (0-15)
+   */
+  getBlockLight(x, y, z) {
+    return this.getLight('block', Math.floor(x), Math.floor(y), Math.floor(z));
+  }
+
+  /**
+   * Get the sky light at a position, before any night-time darkening
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @returns {number} Light level (0-15)
+   */
+  getSkyLight(x, y, z) {
+    y = Math.floor(y);
+    if (y >= this.getHeightLimits().maxHeight) return MAX_LIGHT;
+    return this.getLight('sky', Math.floor(x), y, Math.floor(z));
+  }
+
+  /**
+   * Get the combined light level at a position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @param {number} skyDarkening - Levels taken off sky light (0 at noon, 11 at midnight)
+   * @returns {number} Light level (0-15)
+   */
+  getLightLevel(x, y, z, skyDarkening = 0) {
+    const sky = Math.max(0, this.getSkyLight(x, y, z) - skyDarkening);
+    return Math.max(sky, this.getBlockLight(x, y, z));
+  }
+
+  /**
+   * Check whether light has been computed for the column holding a position
+   * @param {number} x - X coordinate
+   * @param {number} z - Z coordinate
+   * @returns {boolean} Whether the column is lit
+   */
+  hasLightData(x, z) {
+    return this.litColumns.has(this.getColumnKey(Math.floor(x), Math.floor(z)));
+  }
+
+  /**
+   * Get the packed light of a section for sending to clients
+   * @param {number} chunkX - Section X
+   * @param {number} chunkY - Section Y
+   * @param {number} chunkZ - Section Z
+   * @returns {Object|null} {x, y, z, light} with light packed as (sky << 4) | block
+   */
+  getSectionData(chunkX, chunkY, chunkZ) {
+    const section = this.sections.get(`${chunkX},${chunkY},${chunkZ}`);
+    if (!section) return null;
+    return { x: chunkX, y: chunkY, z: chunkZ, light: section.getPackedLight() };
+  }
+
+  /**
+   * Get the packed light of every stored section
+   * @returns {Array<Object>} Section data, see getSectionData
+   */
+  getAllSectionData() {
+    return Array.from(this.sections.values(), section => this.getSectionData(section.x, section.y, section.z));
+  }
+
+  /**
+   * Levels of sky darkening for a time of day, the way the sun sets in
+   * vanilla: 0 through the day, rising at dusk to 11 at night
+   * @param {number} worldTime - World time in ticks (0 is sunrise)
+   * @returns {number} Sky darkening (0-11)
+   */
+  static getSkyDarkening(worldTime) {
+    const dayTime = ((worldTime % 24000) + 24000) % 24000;
+    let progress = dayTime / 24000 - 0.25;
+    if (progress < 0) progress += 1;
+    const angle = (progress * 2 + (0.5 - Math.cos(progress * Math.PI) / 2)) / 3;
+    const darkness = 1 - (Math.cos(angle * Math.PI * 2) * 2 + 0.5);
+    return Math.round(Math.min(1, Math.max(0, darkness)) * 11);
+  }
+
+  /**
+   * Light emitted by a block
+   * @param {Object} block - Block object
+   * @returns {number} Emission (0-15)
+   */
+  getEmission(block) {
+    if (!block) return 0;
+    if (typeof block.getLightLevel === 'function') {
+      const level = block.getLightLevel();
+      if (typeof level === 'number') return this.clampLevel(level);
+    }
+    if (typeof block.lightLevel === 'number') return this.clampLevel(block.lightLevel);
+    if (typeof block.light === 'number') return this.clampLevel(block.light);
+
+    const type = this.getBlockType(block);
+    const definition = this.blockTypes[type];
+    if (definition && typeof definition.light === 'number') return this.clampLevel(definition.light);
+    if (LIT_EMISSION[type] !== undefined) {
+      return this.getProperty(block, 'lit', false) ? LIT_EMISSION[type] : 0;
+    }
+    return LIGHT_EMISSION[type] || 0;
+  }
+
+  /**
+   * How many levels of light a block takes away, 15 for opaque blocks
+   * @param {Object} block - Block object
+   * @returns {number} Opacity (0-15)
+   */
+  getOpacity(block) {
+    if (!block) return 0;
+    if (typeof block.getLightOpacity === 'function') {
+      const opacity = block.getLightOpacity();
+      if (typeof opacity === 'number') return this.clampLevel(opacity);
+    }
+    if (typeof block.lightOpacity === 'number') return this.clampLevel(block.lightOpacity);
+
+    const type = this.getBlockType(block);
+    if (LIGHT_FILTERING[type] !== undefined || (type && type.endsWith('_leaves'))) {
+      return LIGHT_FILTERING[type] || 1;
+    }
+
+    const definition = this.blockTypes[type] || {};
+    if (block.transparent === true || definition.transparent === true) return 0;
+    if (block.solid === false || definition.solid === false || block.isSolid === false) return 0;
+    if (TRANSPARENT_BLOCKS.has(type) || (type && /(_glass|_glass_pane|_torch|_button|_carpet|_sign)$/.test(type))) {
+      return 0;
+    }
+    return MAX_LIGHT;
+  }
+
+  /**
+   * Spread light outward from the queued positions
+   * @private
+   */
+  propagate(kind, queue) {
+    for (let i = 0; i < queue.length; i += 3) {
+      const x = queue[i];
+      const y = queue[i + 1];
+      const z = queue[i + 2];
+      const level = this.getLight(kind, x, y, z);
+      if (level <= 1) continue;
+
+      for (let d = 0; d < NEIGHBORS.length; d++) {
+        const [dx, dy, dz] = NEIGHBORS[d];
+        const nx = x + dx;
+        const ny = y + dy;
+        const nz = z + dz;
+        if (!this.isLoaded(nx, ny, nz)) continue;
+
+        // Skip the block lookup when even a transparent block would not help
+        const current = this.getLight(kind, nx, ny, nz);
+        if (current >= this.getPropagatedLevel(kind, level, 0, d)) continue;
+
+        const next = this.getPropagatedLevel(kind, level, this.getOpacity(this.getBlock(nx, ny, nz)), d);
+        if (next > current) {
+          this.setLight(kind, nx, ny, nz, next);
+          queue.push(nx, ny, nz);
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove the light that depended on a position. Neighbors lit from
+   * elsewhere are queued on refill so the hole can be filled again.
+   * @private
+   */
+  unpropagate(kind, x, y, z, level, refill) {
+    const queue = [x, y, z, level];
+    this.setLight(kind, x, y, z, 0);
+
+    for (let i = 0; i < queue.length; i += 4) {
+      const cx = queue[i];
+      const cy = queue[i + 1];
+      const cz = queue[i + 2];
+      const removed = queue[i + 3];
+
+      for (let d = 0; d < NEIGHBORS.length; d++) {
+        const [dx, dy, dz] = NEIGHBORS[d];
+        const nx = cx + dx;
+        const ny = cy + dy;
+        const nz = cz + dz;
+        if (!this.isLoaded(nx, ny, nz)) continue;
+
+        const neighborLevel = this.getLight(kind, nx, ny, nz);
+        if (neighborLevel === 0) continue;
+
+        const fedFromAbove = kind === 'sky' && d === DOWN && removed === MAX_LIGHT && neighborLevel === MAX_LIGHT;
+        if (neighborLevel < removed || fedFromAbove) {
+          this.setLight(kind, nx, ny, nz, 0);
+          queue.push(nx, ny, nz, neighborLevel);
+
+          // Light sources inside the darkened area shine again
+          if (kind === 'block') {
+            const emission = this.getEmission(this.getBlock(nx, ny, nz));
+            if (emission > 0) {
+              this.setLight(kind, nx, ny, nz, emission);
+              refill.push(nx, ny, nz);
+            }
+          }
+        } else {
+          refill.push(nx, ny, nz);
+        }
+      }
+    }
+  }
+
+  /**
+   * Whether light at a position could raise any loaded neighbor, ignoring
+   * the neighbors' opacity
+   * @private
+   */
+  canBrighten(kind, x, y, z, level) {
+    for (let d = 0; d < NEIGHBORS.length; d++) {
+      const [dx, dy, dz] = NEIGHBORS[d];
+      if (!this.isLoaded(x + dx, y + dy, z + dz)) continue;
+      if (this.getLight(kind, x + dx, y + dy, z + dz) < this.getPropagatedLevel(kind, level, 0, d)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Level that reaches a neighbor through a block of the given opacity
+   * @private
+   */
+  getPropagatedLevel(kind, level, opacity, direction) {
+    if (kind === 'sky' && direction === DOWN && level === MAX_LIGHT && opacity === 0) {
+      return MAX_LIGHT;
+    }
+    return Math.max(0, level - Math.max(1, opacity));
+  }
+
+  /**
+   * Queue the lit cells of neighboring columns that touch a column
+   * @private
+   */
+  queueColumnBorders(chunkX, chunkZ, blockQueue, skyQueue) {
+    const { minHeight, maxHeight } = this.getHeightLimits();
+    const baseX = chunkX * CHUNK_SIZE;
+    const baseZ = chunkZ * CHUNK_SIZE;
+    const borders = [
+      { x: baseX - 1, z: baseZ, dx: 0, dz: 1 },
+      { x: baseX + CHUNK_SIZE, z: baseZ, dx: 0, dz: 1 },
+      { x: baseX, z: baseZ - 1, dx: 1, dz: 0 },
+      { x: baseX, z: baseZ + CHUNK_SIZE, dx: 1, dz: 0 }
+    ];
+
+    for (const border of borders) {
+      if (!this.hasLightData(border.x, border.z)) continue;
+      for (let i = 0; i < CHUNK_SIZE; i++) {
+        const x = border.x + border.dx * i;
+        const z = border.z + border.dz * i;
+        for (let y = minHeight; y < maxHeight; y++) {
+          const blockLevel = this.getLight('block', x, y, z);
+          if (blockLevel > 1 && this.canBrighten('block', x, y, z, blockLevel)) blockQueue.push(x, y, z);
+          const skyLevel = this.getLight('sky', x, y, z);
+          if (skyLevel > 1 && this.canBrighten('sky', x, y, z, skyLevel)) skyQueue.push(x, y, z);
+        }
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  clearColumn(chunkX, chunkZ) {
+    for (const [key, section] of this.sections) {
+      if (section.x === chunkX && section.z === chunkZ) {
+        this.sections.delete(key);
+        this.changedSections.delete(key);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  flushChanges() {
+    const changes = [];
+    for (const key of this.changedSections) {
+      const [x, y, z] = key.split(',').map(Number);
+      const data = this.getSectionData(x, y, z);
+      if (data) changes.push(data);
+    }
+    this.changedSections.clear();
+    return changes;
+  }
+
+  /**
+   * @private
+   */
+  isLoaded(x, y, z) {
+    const { minHeight, maxHeight } = this.getHeightLimits();
+    if (y < minHeight || y >= maxHeight) return false;
+    return this.litColumns.has(this.getColumnKey(x, z));
+  }
+
+  /**
+   * @private
+   */
+  getLight(kind, x, y, z) {
+    const section = this.sections.get(this.getSectionKey(x, y, z));
+    if (!section) return 0;
+    const local = this.getLocalPosition(section, x, y, z);
+    return kind === 'sky' ?
+      section.getSkyLightLevel(local.x, local.y, local.z) :
+      section.getLightLevel(local.x, local.y, local.z);
+  }
+
+  /**
+   * @private
+   */
+  setLight(kind, x, y, z, level) {
+    const key = this.getSectionKey(x, y, z);
+    let section = this.sections.get(key);
+    if (!section) {
+      // Sections that were never lit are dark, so zeros need no storage
+      if (level === 0) return;
+      section = new Chunk(
+        Math.floor(x / CHUNK_SIZE), Math.floor(y / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE), CHUNK_SIZE
+      );
+      this.sections.set(key, section);
+    }
+
+    const local = this.getLocalPosition(section, x, y, z);
+    const previous = kind === 'sky' ?
+      section.getSkyLightLevel(local.x, local.y, local.z) :
+      section.getLightLevel(local.x, local.y, local.z);
+    if (previous === level) return;
+
+    if (kind === 'sky') {
+      section.setSkyLightLevel(local.x, local.y, local.z, level);
+    } else {
+      section.setLightLevel(local.x, local.y, local.z, level);
+    }
+    this.changedSections.add(key);
+  }
+
+  /**
+   * @private
+   */
+  getLocalPosition(section, x, y, z) {
+    return section.getChunkPosition(x, y, z);
+  }
+
+  /**
+   * @private
+   */
+  getSectionKey(x, y, z) {
+    return `${Math.floor(x / CHUNK_SIZE)},${Math.floor(y / CHUNK_SIZE)},${Math.floor(z / CHUNK_SIZE)}`;
+  }
+
+  /**
+   * @private
+   */
+  getColumnKey(x, z) {
+    return `${Math.floor(x / CHUNK_SIZE)},${Math.floor(z / CHUNK_SIZE)}`;
+  }
+
+  /**
+   * @private
+   */
+  getHeightLimits() {
+    const world = this.world || {};
+    const minHeight = typeof world.getMinHeight === 'function' ? world.getMinHeight() :
+      (typeof world.minHeight === 'number' ? world.minHeight : 0);
+    const maxHeight = typeof world.getMaxHeight === 'function' ? world.getMaxHeight() :
+      (typeof world.maxHeight === 'number' ? world.maxHeight : 256);
+    return { minHeight, maxHeight };
+  }
+
+  /**
+   * @private
+   */
+  getBlock(x, y, z) {
+    if (!this.world) return null;
+    if (typeof this.world.getBlockAt === 'function') {
+      return this.world.getBlockAt(x, y, z) || null;
+    }
+    if (typeof this.world.getBlock === 'function') {
+      return this.world.getBlock(x, y, z) || null;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  getBlockType(block) {
+    if (!block) return null;
+    return block.type || block.id || null;
+  }
+
+  /**
+   * @private
+   */
+  getProperty(block, name, fallback) {
+    for (const source of [block.state, block.metadata, block.properties]) {
+      if (source && source[name] !== undefined) return source[name];
+    }
+    return block[name] !== undefined ? block[name] : fallback;
+  }
+
+  /**
+   * @private
+   */
+  clampLevel(level) {
+    return Math.max(0, Math.min(MAX_LIGHT, Math.floor(level)));
+  }
+}
+
+LightManager.MAX_LIGHT = MAX_LIGHT;
+
+module.exports = LightManager;
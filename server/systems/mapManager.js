@@ -0,0 +1,312 @@
+/**
+ * MapManager - Map data shared by every copy of a map
+ *
+ * A filled map item only carries its map id; the pixels live here, so
+ * copies made at a cartography table or in a crafting grid all show what any
+ * holder has explored. Changed pixels are reported as a dirty rectangle in
+ * 'mapUpdated' so clients get patches instead of the whole 16 KB image.
+ */
+
+const EventEmitter = require('events');
+const MapRenderer = require('../rendering/mapRenderer');
+
+const { MAP_SIZE } = MapRenderer;
+
+// Zoom levels a map can have; a map spans 256 * scale blocks
+const MIN_SCALE = 1;
+const MAX_SCALE = 8;
+
+class MapData {
+  /**
+   * Create map data
+   * @param {Object} options - Map options
+   * @param {string} options.id - Map id
+   * @param {number} [options.centerX=0] - World x at the centre of the map
+   * @param {number} [options.centerZ=0] - World z at the centre of the map
+   * @param {number} [options.scale=1] - Zoom level, 1 to 8
+   * @param {string} [options.dimension='overworld'] - Dimension the map shows
+   * @param {boolean} [options.locked=false] - Locked maps no longer change
+   * @param {Uint8Array} [options.colors] - Pixel bytes, see mapColors
+   */
+  constructor(options) {
+    this.id = options.id;
+    this.centerX = Math.floor(options.centerX || 0);
+    this.centerZ = Math.floor(options.centerZ || 0);
+    this.scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, Math.floor(options.scale || MIN_SCALE)));
+    this.dimension = options.dimension || 'overworld';
+    this.locked = options.locked || false;
+    this.colors = options.colors || new Uint8Array(MAP_SIZE * MAP_SIZE);
+
+    // Update counter the renderer uses to draw a different set of columns each time
+    this.step = 0;
+    // Changed pixels not yet sent to clients, as an inclusive rectangle
+    this.dirty = null;
+  }
+
+  /**
+   * World blocks along one side of a pixel, matching MapItem.getBoundaries
+   * @returns {number} Blocks per pixel
+   */
+  getBlocksPerPixel() {
+    return this.scale * 2;
+  }
+
+  /**
+   * Pixel a world position falls on; may lie outside the map
+   * @param {number} x - World x
+   * @param {number} z - World z
+   * @returns {Object} { x, z } pixel
+   */
+  worldToPixel(x, z) {
+    const blocksPerPixel = this.getBlocksPerPixel();
+    const half = MAP_SIZE / 2 * blocksPerPixel;
+    return {
+      x: Math.floor((x - this.centerX + half) / blocksPerPixel),
+      z: Math.floor((z - this.centerZ + half) / blocksPerPixel)
+    };
+  }
+
+  /**
+   * North-west world corner of a pixel
+   * @param {number} px - Pixel x
+   * @param {number} pz - Pixel z
+   * @returns {Object} { x, z } world position
+   */
+  pixelToWorld(px, pz) {
+    const blocksPerPixel = this.getBlocksPerPixel();
+    const half = MAP_SIZE / 2 * blocksPerPixel;
+    return {
+      x: this.centerX - half + px * blocksPerPixel,
+      z: this.centerZ - half + pz * blocksPerPixel
+    };
+  }
+
+  /**
+   * @param {number} px - Pixel x
+   * @param {number} pz - Pixel z
+   * @returns {number} Pixel byte, 0 for unexplored or outside the map
+   */
+  getPixel(px, pz) {
+    if (px < 0 || pz < 0 || px >= MAP_SIZE || pz >= MAP_SIZE) return 0;
+    return this.colors[pz * MAP_SIZE + px];
+  }
+
+  /**
+   * Set a pixel and remember it for the next patch
+   * @param {number} px - Pixel x
+   * @param {number} pz - Pixel z
+   * @param {number} pixel - Pixel byte
+   * @returns {boolean} Whether the pixel changed
+   */
+  setPixel(px, pz, pixel) {
+    if (this.locked || px < 0 || pz < 0 || px >= MAP_SIZE || pz >= MAP_SIZE) return false;
+
+    const index = pz * MAP_SIZE + px;
+    if (this.colors[index] === pixel) return false;
+
+    this.colors[index] = pixel;
+    if (!this.dirty) {
+      this.dirty = { minX: px, minZ: pz, maxX: px, maxZ: pz };
+    } else {
+      this.dirty.minX = Math.min(this.dirty.minX, px);
+      this.dirty.minZ = Math.min(this.dirty.minZ, pz);
+      this.dirty.maxX = Math.max(this.dirty.maxX, px);
+      this.dirty.maxZ = Math.max(this.dirty.maxZ, pz);
+    }
+    return true;
+  }
+
+  /**
+   * Take the pixels changed since the last call
+   * @returns {Object|null} { x, z, width, height, colors } with colors base64, null if nothing changed
+   */
+  takeDirty() {
+    if (!this.dirty) return null;
+
+    const { minX, minZ, maxX, maxZ } = this.dirty;
+    const width = maxX - minX + 1;
+    const height = maxZ - minZ + 1;
+    const colors = new Uint8Array(width * height);
+    for (let pz = 0; pz < height; pz++) {
+      colors.set(this.colors.subarray((minZ + pz) * MAP_SIZE + minX, (minZ + pz) * MAP_SIZE + maxX + 1), pz * width);
+    }
+
+    this.dirty = null;
+    return { x: minX, z: minZ, width, height, colors: Buffer.from(colors).toString('base64') };
+  }
+
+  /**
+   * @returns {string} All pixel bytes as base64
+   */
+  encodeColors() {
+    return Buffer.from(this.colors).toString('base64');
+  }
+
+  /**
+   * Serialize for the world save
+   * @returns {Object} Serialized map
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      centerX: this.centerX,
+      centerZ: this.centerZ,
+      scale: this.scale,
+      dimension: this.dimension,
+      locked: this.locked,
+      colors: this.encodeColors()
+    };
+  }
+
+  /**
+   * Create map data from a serialized map
+   * @param {Object} data - Serialized map
+   * @returns {MapData} Map data
+   */
+  static fromJSON(data) {
+    const colors = new Uint8Array(MAP_SIZE * MAP_SIZE);
+    if (typeof data.colors === 'string') {
+      colors.set(Buffer.from(data.colors, 'base64').subarray(0, colors.length));
+    }
+    return new MapData({ ...data, colors });
+  }
+}
+
+class MapManager extends EventEmitter {
+  /**
+   * Create a new map manager
+   * @param {Object} [options] - Manager options
+   * @param {MapRenderer} [options.renderer] - Renderer, a default one if omitted
+   */
+  constructor(options = {}) {
+    super();
+    this.renderer = options.renderer || new MapRenderer();
+
+    // Map data by id
+    this.maps = new Map();
+    this.nextId = 0;
+  }
+
+  /**
+   * Start a new map
+   * @param {Object} [options] - Centre, scale, dimension, see MapData
+   * @returns {MapData} The new map
+   */
+  createMap(options = {}) {
+    const mapData = new MapData({ ...options, id: `map_${this.nextId++}` });
+    this.maps.set(mapData.id, mapData);
+    this.emit('mapCreated', { id: mapData.id });
+    return mapData;
+  }
+
+  /**
+   * @param {string} id - Map id
+   * @returns {MapData|null} Map data, null if unknown
+   */
+  getMap(id) {
+    return this.maps.get(id) || null;
+  }
+
+  /**
+   * Attach shared map data to a map item, creating a map from the item's
+   * centre and scale the first time
+   * @param {MapItem} item - Map item
+   * @returns {MapData} The item's map data
+   */
+  bind(item) {
+    let mapData = item.mapId ? this.getMap(item.mapId) : null;
+    if (!mapData) {
+      mapData = this.createMap({
+        centerX: item.centerX,
+        centerZ: item.centerZ,
+        scale: item.scale,
+        dimension: item.dimension,
+        locked: item.lockedCoordinates
+      });
+    }
+    item.bindMapData(mapData);
+    return mapData;
+  }
+
+  /**
+   * Draw a map around its holder and report the changed pixels
+   * @param {string|MapData} map - Map id or data
+   * @param {Object} world - World of the map's dimension
+   * @param {Object} position - Holder position
+   * @param {Object} [options] - Renderer options, see MapRenderer.update
+   * @returns {number} Pixels that changed
+   */
+  updateMap(map, world, position, options = {}) {
+    const mapData = typeof map === 'string' ? this.getMap(map) : map;
+    if (!mapData) return 0;
+
+    const changed = this.renderer.update(mapData, world, position, options);
+    this.flush(mapData);
+    return changed;
+  }
+
+  /**
+   * Fill a map with biome colors before anyone has explored it
+   * @param {MapData} mapData - Map
+   * @param {Object} world - World
+   * @param {Object} [options] - See MapRenderer.renderBiomePreview
+   * @returns {number} Pixels that changed
+   */
+  renderBiomePreview(mapData, world, options = {}) {
+    const changed = this.renderer.renderBiomePreview(mapData, world, options);
+    this.flush(mapData);
+    return changed;
+  }
+
+  /**
+   * Send out the pixels of a map that changed since the last patch
+   * @param {MapData} mapData - Map
+   */
+  flush(mapData) {
+    const patch = mapData.takeDirty();
+    if (patch) {
+      this.emit('mapUpdated', { id: mapData.id, patch });
+    }
+  }
+
+  /**
+   * Export a map as a PNG image
+   * @param {string} id - Map id
+   * @param {Object} [options] - See MapRenderer.toPNG
+   * @returns {Buffer|null} PNG file contents, null if the map is unknown
+   */
+  exportPNG(id, options = {}) {
+    const mapData = this.getMap(id);
+    return mapData ? this.renderer.toPNG(mapData, options) : null;
+  }
+
+  /**
+   * Serialize for the level data of a world save
+   * @returns {Object} { nextId, maps }
+   */
+  serialize() {
+    return {
+      nextId: this.nextId,
+      maps: Array.from(this.maps.values()).map(mapData => mapData.toJSON())
+    };
+  }
+
+  /**
+   * Restore maps written by serialize
+   * @param {Object} data - Serialized maps
+   */
+  deserialize(data) {
+    this.maps.clear();
+    this.nextId = 0;
+    if (!data) return;
+
+    for (const map of data.maps || []) {
+      this.maps.set(map.id, MapData.fromJSON(map));
+    }
+    this.nextId = Math.max(data.nextId || 0, this.maps.size);
+  }
+}
+
+MapManager.MapData = MapData;
+
+module.exports = MapManager;
@@ -0,0 +1,442 @@
+/**
+ * MiningManager - Server-side block breaking
+ *
+ * Clients say when they start and stop digging a block; the server counts
+ * the breaking progress itself, one step per game tick, the way vanilla does:
+ *   - A tool that suits the block (#mineable/<toolType>, or shears and swords
+ *     on their special blocks) mines at its tier's speed, plus
+ *     Efficiency level^2 + 1
+ *   - Haste adds 20% per level, Mining Fatigue cuts speed to 0.3^level
+ *   - Head underwater without Aqua Affinity and not standing on the ground
+ *     each divide the speed by 5
+ *   - Every tick adds speed / hardness / 30 of progress, or / 100 when the
+ *     block won't drop anything with this tool
+ * Blocks in #requires_correct_tool only drop with a suitable tool whose tier
+ * meets their #needs_*_tool tag.
+ *
+ * A break the client reports before enough progress was made, or out of
+ * reach, is rejected, which stops instant-break cheats. Crack stages (0-9)
+ * are emitted as 'progress' whenever they change, and -1 when digging ends.
+ */
+
+const { EventEmitter } = require('events');
+const { getBlockTags } = require('../registry/tagRegistry');
+const { getToolInfo } = require('../items/toolTiers');
+const { ToolItem } = require('../items/toolItem');
+const { getEnchantmentLevel } = require('../loot/lootContext');
+
+// Progress per tick is divided by this when the block drops with the tool, or by HAND_DIVISOR
+const HARVEST_DIVISOR = 30;
+const HAND_DIVISOR = 100;
+
+// Share of the needed progress a reported break may be short by, for lag
+const BREAK_TOLERANCE = 0.3;
+
+const UNDERWATER_PENALTY = 5;
+const AIRBORNE_PENALTY = 5;
+
+// Eye height and furthest a player may mine from, with some slack for lag
+const EYE_HEIGHT = 1.62;
+const MAX_REACH = 6;
+
+const CRACK_STAGES = 10;
+
+const WATER_BLOCKS = new Set(['water', 'flowing_water', 'bubble_column']);
+
+// Tools that are quick on blocks outside the mineable tags: tag or id -> speed
+const SPECIAL_SPEEDS = {
+  shears: { cobweb: 15, '#leaves': 15, '#wool': 5, vine: 2, glow_lichen: 2 },
+  sword: { cobweb: 15 }
+};
+
+// Tools able to harvest blocks that need a tool but sit in no mineable tag
+const SPECIAL_HARVEST = {
+  cobweb: ['shears', 'sword'],
+  snow: ['shovel'],
+  snow_block: ['shovel'],
+  powder_snow: ['shovel']
+};
+
+class MiningManager extends EventEmitter {
+  /**
+   * Create a new mining manager
+   * @param {Object} options - Manager options
+   * @param {Object} options.world - Overworld exposing getBlock(x, y, z)
+   * @param {Object} options.worlds - Worlds of other dimensions keyed by dimension id
+   * @param {Object} options.blockTypes - Block properties by type, for hardness
+   * @param {BlockRegistry} options.blockRegistry - Registered blocks, for hardness of types not in blockTypes
+   * @param {StatusEffectsManager} options.statusEffectsManager - Source of Haste and Mining Fatigue
+   * @param {MovementValidator} options.movementValidator - Source of whether players stand on the ground
+   * @param {TagRegistry} options.blockTags - Block tags, defaults to the shared block tags
+   */
+  constructor(options = {}) {
+    super();
+    this.worlds = { overworld: options.world, ...(options.worlds || {}) };
+    this.blockTypes = options.blockTypes || {};
+    this.blockRegistry = options.blockRegistry || null;
+    this.statusEffectsManager = options.statusEffectsManager || null;
+    this.movementValidator = options.movementValidator || null;
+    this.blockTags = options.blockTags || getBlockTags();
+
+    // Block being dug per player id
+    this.diggers = new Map();
+  }
+
+  /**
+   * Start digging a block
+   * @param {Object} player - Player digging
+   * @param {Object|string} position - Block position or "x,y,z" key
+   * @param {Object|string} tool - Held item, null for an empty hand
+   * @returns {Object} { success, instant, ticks } or { success: false, reason }
+   */
+  startMining(player, position, tool = null) {
+    this.stopMining(player);
+
+    const pos = MiningManager.parsePosition(position);
+    const block = pos && this.getBlock(player, pos);
+    if (!block) return { success: false, reason: 'no_block' };
+    if (!this.isInReach(player, pos)) return { success: false, reason: 'out_of_reach' };
+    if (this.getHardness(block) < 0 && !this.isCreative(player)) return { success: false, reason: 'unbreakable' };
+
+    const state = {
+      position: pos,
+      posKey: `${pos.x},${pos.y},${pos.z}`,
+      type: getBlockType(block),
+      tool,
+      progress: this.getProgressPerTick(player, block, tool),
+      ticks: 0,
+      stage: -1
+    };
+    this.diggers.set(player.id, state);
+    this.updateStage(player, state);
+
+    return { success: true, instant: state.progress >= 1, ticks: this.getBreakTicks(player, block, tool) };
+  }
+
+  /**
+   * Stop digging, e.g. when the player lets go or looks away
+   * @param {Object} player - Player digging
+   */
+  stopMining(player) {
+    const state = this.diggers.get(player.id);
+    if (!state) return;
+
+    this.diggers.delete(player.id);
+    if (state.stage >= 0) {
+      this.emit('progress', { player, position: state.position, posKey: state.posKey, stage: -1 });
+    }
+  }
+
+  /**
+   * Check a break reported by the client. Creative players break instantly;
+   * everyone else needs enough progress on that block, except for blocks
+   * that break in a single tick.
+   * @param {Object} player - Player breaking the block
+   * @param {Object|string} position - Block position or "x,y,z" key
+   * @returns {Object} { success, canHarvest, tool } or { success: false, reason }
+   */
+  finishMining(player, position) {
+    const pos = MiningManager.parsePosition(position);
+    const block = pos && this.getBlock(player, pos);
+    const state = this.diggers.get(player.id);
+    const sameBlock = Boolean(state && block && state.posKey === `${pos.x},${pos.y},${pos.z}` &&
+      state.type === getBlockType(block));
+    const tool = sameBlock ? state.tool : null;
+
+    this.stopMining(player);
+
+    if (!block) return { success: false, reason: 'no_block' };
+    if (!this.isInReach(player, pos)) return { success: false, reason: 'out_of_reach' };
+    if (this.isCreative(player)) return { success: true, canHarvest: false, tool };
+
+    if (this.getHardness(block) < 0) return { success: false, reason: 'unbreakable' };
+    const progress = sameBlock ? state.progress : this.getProgressPerTick(player, block, null);
+    if (progress < 1 - BREAK_TOLERANCE) {
+      this.emit('rejected', { player, position: pos, progress });
+      return { success: false, reason: sameBlock ? 'too_fast' : 'not_mining' };
+    }
+
+    return { success: true, canHarvest: this.canHarvest(block, tool), tool };
+  }
+
+  /**
+   * Add a tick of progress to every block being dug
+   * @param {Object} players - Players keyed by id
+   */
+  tick(players = {}) {
+    for (const [playerId, state] of this.diggers) {
+      const player = players[playerId];
+      const block = player && this.getBlock(player, state.position);
+      if (!block || getBlockType(block) !== state.type) {
+        this.stopMining(player || { id: playerId });
+        continue;
+      }
+
+      state.ticks++;
+      state.progress += this.getProgressPerTick(player, block, state.tool);
+      this.updateStage(player, state);
+    }
+  }
+
+  /**
+   * Stop tracking a player
+   * @param {string} playerId - Player id
+   */
+  removePlayer(playerId) {
+    this.diggers.delete(playerId);
+  }
+
+  /**
+   * Get how far a player's current dig has come
+   * @param {string} playerId - Player id
+   * @returns {Object|null} { position, progress, ticks, stage }
+   */
+  getProgress(playerId) {
+    const state = this.diggers.get(playerId);
+    if (!state) return null;
+    return { position: { ...state.position }, progress: Math.min(state.progress, 1), ticks: state.ticks, stage: state.stage };
+  }
+
+  /**
+   * Progress a player makes on a block in one tick, 1 being broken
+   * @param {Object} player - Player digging
+   * @param {Object} block - Block being dug
+   * @param {Object|string} tool - Held item
+   * @returns {number} Progress per tick
+   */
+  getProgressPerTick(player, block, tool) {
+    if (this.isCreative(player)) return 1;
+
+    const hardness = this.getHardness(block);
+    if (hardness < 0) return 0;
+    if (hardness === 0) return 1;
+
+    const divisor = this.canHarvest(block, tool) ? HARVEST_DIVISOR : HAND_DIVISOR;
+    return this.getBreakSpeed(player, block, tool) / hardness / divisor;
+  }
+
+  /**
+   * Ticks a player needs to break a block at their current speed
+   * @param {Object} player - Player digging
+   * @param {Object} block - Block being dug
+   * @param {Object|string} tool - Held item
+   * @returns {number} Ticks, 0 for instant breaks and Infinity for unbreakable blocks
+   */
+  getBreakTicks(player, block, tool) {
+    const progress = this.getProgressPerTick(player, block, tool);
+    if (progress >= 1) return 0;
+    if (progress <= 0) return Infinity;
+    return Math.ceil(1 / progress);
+  }
+
+  /**
+   * Mining speed of a player on a block, before hardness
+   * @param {Object} player - Player digging
+   * @param {Object} block - Block being dug
+   * @param {Object|string} tool - Held item
+   * @returns {number} Speed, 1 for a bare hand on solid ground
+   */
+  getBreakSpeed(player, block, tool) {
+    let speed = this.getToolSpeed(block, tool);
+
+    const efficiency = getEnchantmentLevel(tool, 'efficiency');
+    if (speed > 1 && efficiency > 0) {
+      speed += efficiency * efficiency + 1;
+    }
+
+    const haste = this.getEffectLevel(player, 'HASTE');
+    if (haste > 0) {
+      speed *= 1 + 0.2 * haste;
+    }
+    const fatigue = this.getEffectLevel(player, 'MINING_FATIGUE');
+    if (fatigue > 0) {
+      speed *= Math.pow(0.3, Math.min(fatigue, 4));
+    }
+
+    if (this.isHeadUnderwater(player) && !this.hasAquaAffinity(player)) {
+      speed /= UNDERWATER_PENALTY;
+    }
+    if (!this.isOnGround(player)) {
+      speed /= AIRBORNE_PENALTY;
+    }
+    return speed;
+  }
+
+  /**
+   * Speed of a tool on a block: its tier speed when it suits the block, else 1
+   * @param {Object} block - Block being dug
+   * @param {Object|string} tool - Held item
+   * @returns {number} Tool speed
+   */
+  getToolSpeed(block, tool) {
+    const info = getToolInfo(tool);
+    if (!info) return 1;
+
+    const special = SPECIAL_SPEEDS[info.toolType];
+    if (special) {
+      for (const key in special) {
+        const matches = key.startsWith('#') ? this.blockTags.contains(key, block) : getBlockType(block) === key;
+        if (matches) return special[key];
+      }
+    }
+    return this.blockTags.contains(`mineable/${info.toolType}`, block) ? info.miningSpeed : 1;
+  }
+
+  /**
+   * Check whether breaking a block with a tool drops anything
+   * @param {Object} block - Block being broken
+   * @param {Object|string} tool - Held item
+   * @returns {boolean} Whether the block drops
+   */
+  canHarvest(block, tool) {
+    if (!this.blockTags.contains('requires_correct_tool', block) && block.requiresTool !== true) {
+      return true;
+    }
+
+    const info = getToolInfo(tool);
+    if (!info) return false;
+
+    const type = getBlockType(block);
+    const suits = SPECIAL_HARVEST[type]
+      ? SPECIAL_HARVEST[type].includes(info.toolType)
+      : this.blockTags.contains(`mineable/${info.toolType}`, block);
+    return suits && info.miningLevel >= ToolItem.getRequiredMiningLevel(type);
+  }
+
+  /**
+   * Hardness of a block: its own, then the block type table, then the registry
+   * @param {Object} block - Block
+   * @returns {number} Hardness, -1 for unbreakable blocks
+   */
+  getHardness(block) {
+    if (typeof block.hardness === 'number') return block.hardness;
+
+    const type = getBlockType(block);
+    if (this.blockTypes[type] && typeof this.blockTypes[type].hardness === 'number') {
+      return this.blockTypes[type].hardness;
+    }
+    const registered = this.blockRegistry && this.blockRegistry.getBlock(type);
+    if (registered && typeof registered.hardness === 'number') {
+      return registered.hardness;
+    }
+    return 1;
+  }
+
+  /**
+   * Parse a block position given as an object or an "x,y,z" key
+   * @param {Object|string} position - Position
+   * @returns {Object|null} { x, y, z } or null when malformed
+   * @static
+   */
+  static parsePosition(position) {
+    if (typeof position === 'string') {
+      const [x, y, z] = position.split(',').map(Number);
+      position = { x, y, z };
+    }
+    if (!position || ![position.x, position.y, position.z].every(Number.isInteger)) {
+      return null;
+    }
+    return { x: position.x, y: position.y, z: position.z };
+  }
+
+  /**
+   * Emit the crack stage when it changes
+   * @private
+   */
+  updateStage(player, state) {
+    const stage = Math.min(Math.floor(state.progress * CRACK_STAGES), CRACK_STAGES - 1);
+    if (stage !== state.stage) {
+      state.stage = stage;
+      this.emit('progress', { player, position: state.position, posKey: state.posKey, stage });
+    }
+  }
+
+  /**
+   * Get a block a player can interact with: one in their dimension and within reach
+   * @param {Object} player - Player
+   * @param {Object|string} position - Block position or "x,y,z"
+   * @returns {Object|null} The block, null when there is none or it is out of reach
+   */
+  getReachableBlock(player, position) {
+    const pos = MiningManager.parsePosition(position);
+    if (!pos || !this.isInReach(player, pos)) return null;
+    return this.getBlock(player, pos);
+  }
+
+  /**
+   * @private
+   */
+  getBlock(player, position) {
+    const world = this.worlds[player.dimension || 'overworld'] || this.worlds.overworld;
+    return (world && world.getBlock(position.x, position.y, position.z)) || null;
+  }
+
+  /**
+   * @private
+   */
+  isInReach(player, position) {
+    if (!player.position) return true;
+    const dx = position.x + 0.5 - player.position.x;
+    const dy = position.y + 0.5 - (player.position.y + EYE_HEIGHT);
+    const dz = position.z + 0.5 - player.position.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz) <= MAX_REACH;
+  }
+
+  /**
+   * @private
+   */
+  isCreative(player) {
+    return player.gameMode === 'creative';
+  }
+
+  /**
+   * @private
+   */
+  isOnGround(player) {
+    if (player.isFlying) return false;
+    const state = this.movementValidator && this.movementValidator.getState(player.id);
+    if (state) return state.onGround;
+    return player.onGround !== false;
+  }
+
+  /**
+   * @private
+   */
+  isHeadUnderwater(player) {
+    if (!player.position) return false;
+    const eye = {
+      x: Math.floor(player.position.x),
+      y: Math.floor(player.position.y + EYE_HEIGHT),
+      z: Math.floor(player.position.z)
+    };
+    const block = this.getBlock(player, eye);
+    return Boolean(block && (WATER_BLOCKS.has(getBlockType(block)) || block.waterlogged === true));
+  }
+
+  /**
+   * @private
+   */
+  hasAquaAffinity(player) {
+    return Object.values(player.equipment || {}).some(item => getEnchantmentLevel(item, 'aqua_affinity') > 0);
+  }
+
+  /**
+   * @private
+   */
+  getEffectLevel(player, effectType) {
+    if (!this.statusEffectsManager) return 0;
+    return this.statusEffectsManager.getEffectLevel(player.id, effectType);
+  }
+}
+
+/**
+ * @private
+ */
+function getBlockType(block) {
+  return block.type || block.id;
+}
+
+MiningManager.BREAK_TOLERANCE = BREAK_TOLERANCE;
+MiningManager.MAX_REACH = MAX_REACH;
+
+module.exports = MiningManager;
@@ -1,8 +1,35 @@
+const OPPOSITE_FACING = {
+  north: 'south',
+  south: 'north',
+  east: 'west',
+  west: 'east',
+  up: 'down',
+  down: 'up'
+};
+
 class ObserverManager {
-  constructor() {
+  constructor(options = {}) {
     this.observers = new Map();
     this.blockStates = new Map();
     this.lastUpdate = Date.now();
+    this.redstoneManager = options.redstoneManager || null;
+  }
+
+  /**
+   * Connect the redstone engine that receives observer pulses
+   * @param {RedstoneManager} redstoneManager - Redstone engine
+   */
+  setRedstoneManager(redstoneManager) {
+    this.redstoneManager = redstoneManager;
+  }
+
+  /**
+   * Emit a redstone pulse out of the back of an observer
+   * @param {Object} observer - Observer that detected a change
+   */
+  emitPulse(observer) {
+    if (!this.redstoneManager) return;
+    this.redstoneManager.pulse(observer.position, OPPOSITE_FACING[observer.facing]);
   }
 
   createObserver(position) {
@@ -80,6 +107,7 @@ class ObserverManager {
       observer.lastState = currentState;
       observer.lastUpdate = now;
       observer.cooldown = 2; // 2 tick cooldown after detection
+      this.emitPulse(observer);
       return true;
     }
     
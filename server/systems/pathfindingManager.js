@@ -0,0 +1,658 @@
+/**
+ * PathfindingManager - Shared A* pathfinding over block cells for mobs
+ *
+ * Paths are searched over one-block cells where a mob of a given height
+ * fits. Three movement modes share the search:
+ *   - ground: cells standing on a solid block. Mobs step up one block (a
+ *     jump) when there is headroom above them, drop down at most maxFall
+ *     blocks, and swim through water at a higher cost unless they avoid it
+ *   - flying: any open cell, in all six directions
+ *   - swimming: cells filled with water; amphibious mobs may also walk
+ *
+ * Lava, fire and other damaging blocks are never entered, and cells next to
+ * them cost more. Closed doors block every mob except door openers, which
+ * may pass wooden doors (iron doors need redstone). Fences and walls are
+ * too high to jump onto.
+ *
+ * Search results, including failed ones, are cached by start, goal and
+ * options. Each result remembers the area its search looked at; a block
+ * change inside that area drops the path from the cache and marks it
+ * invalid so navigators following it search again. Paths evicted from the
+ * cache are marked invalid too, since nothing watches them any more.
+ */
+
+const EventEmitter = require('events');
+const { PhysicsEngine } = require('../physics/PhysicsEngine');
+
+const MAX_NODES = 1000;
+const MAX_CACHED_PATHS = 256;
+
+// Extra costs on top of the distance moved
+const JUMP_COST = 1;
+const FALL_COST = 0.5;
+const WATER_COST = 8;
+const DOOR_COST = 1;
+const DANGER_NEARBY_COST = 8;
+
+// Cell types, from passable to impassable
+const OPEN = 0;
+const WATER = 1;
+const DOOR = 2;
+const DANGER = 3;
+const FENCE = 4;
+const BLOCKED = 5;
+
+const WATER_BLOCKS = new Set(['water', 'flowing_water', 'bubble_column']);
+const DANGER_BLOCKS = new Set([
+  'lava', 'flowing_lava', 'fire', 'soul_fire', 'magma_block', 'campfire', 'soul_campfire',
+  'cactus', 'sweet_berry_bush', 'wither_rose', 'powder_snow', 'pointed_dripstone'
+]);
+
+const HORIZONTAL = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const DIAGONAL = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+const DEFAULT_OPTIONS = {
+  mode: 'ground',
+  height: 2,
+  maxFall: 3,
+  range: 1,
+  canOpenDoors: false,
+  avoidWater: false,
+  amphibious: false
+};
+
+class PathfindingManager extends EventEmitter {
+  /**
+   * Create a new pathfinding manager
+   * @param {Object} options - Manager options
+   * @param {Object} options.world - World exposing getBlockAt or getBlock(x, y, z)
+   * @param {number} options.maxNodes - Cells a single search may expand
+   * @param {number} options.cacheSize - Search results kept in the cache
+   */
+  constructor(options = {}) {
+    super();
+    this.world = options.world;
+    this.physics = new PhysicsEngine(this.world);
+    this.maxNodes = options.maxNodes || MAX_NODES;
+    this.cacheSize = options.cacheSize || MAX_CACHED_PATHS;
+
+    // Search key -> path, in least recently used order
+    this.cache = new Map();
+
+    // Per-search memo of cell types, keyed "x,y,z"
+    this.cells = null;
+  }
+
+  /**
+   * Find a path between two positions
+   * @param {Object} start - Start position
+   * @param {Object} goal - Goal position
+   * @param {Object} options - Search options
+   * @param {string} options.mode - 'ground', 'flying' or 'swimming'
+   * @param {number} options.height - Mob height in blocks
+   * @param {number} options.maxFall - Highest drop a ground mob takes
+   * @param {number} options.range - How close to the goal cell counts as arriving
+   * @param {boolean} options.canOpenDoors - Whether wooden doors are passable
+   * @param {boolean} options.avoidWater - Whether ground mobs stay out of water
+   * @param {boolean} options.amphibious - Whether swimming mobs may also walk
+   * @returns {Object} Path { nodes, complete, valid }. Incomplete paths end at
+   *   the reachable cell closest to the goal; nodes is empty when the start
+   *   cell itself is not passable.
+   */
+  findPath(start, goal, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    settings.height = Math.max(1, Math.ceil(settings.height));
+
+    this.cells = new Map();
+    try {
+      const from = this.findStartCell(PathfindingManager.toCell(start), settings);
+      const to = PathfindingManager.toCell(goal);
+      const key = this.getCacheKey(from, to, settings);
+
+      const cached = this.cache.get(key);
+      if (cached) {
+        this.cache.delete(key);
+        this.cache.set(key, cached);
+        return cached;
+      }
+
+      const path = this.search(from, to, settings);
+      this.cache.set(key, path);
+      this.evictPaths();
+      return path;
+    } finally {
+      this.cells = null;
+    }
+  }
+
+  /**
+   * React to a block change: drop every cached path whose search looked at
+   * the changed cell
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   */
+  onBlockChanged(x, y, z) {
+    x = Math.floor(x);
+    y = Math.floor(y);
+    z = Math.floor(z);
+
+    let invalidated = 0;
+    for (const [key, path] of this.cache) {
+      const { min, max } = path.bounds;
+      if (x >= min.x && x <= max.x && y >= min.y && y <= max.y && z >= min.z && z <= max.z) {
+        path.valid = false;
+        this.cache.delete(key);
+        invalidated++;
+      }
+    }
+
+    if (invalidated > 0) {
+      this.emit('pathsInvalidated', { position: { x, y, z }, count: invalidated });
+    }
+  }
+
+  /**
+   * Drop every cached path
+   */
+  clear() {
+    for (const path of this.cache.values()) {
+      path.valid = false;
+    }
+    this.cache.clear();
+  }
+
+  /**
+   * Whether a mob fits at a cell in a movement mode
+   * @param {Object} cell - Block position
+   * @param {Object} options - Search options, as for findPath
+   * @returns {boolean} Whether the cell can be part of a path
+   */
+  isPassable(cell, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    settings.height = Math.max(1, Math.ceil(settings.height));
+
+    this.cells = new Map();
+    try {
+      return this.isNode(cell.x, cell.y, cell.z, settings);
+    } finally {
+      this.cells = null;
+    }
+  }
+
+  /**
+   * Block position holding a position
+   * @param {Object} position - World position
+   * @returns {Object} Cell { x, y, z }
+   */
+  static toCell(position) {
+    return { x: Math.floor(position.x), y: Math.floor(position.y), z: Math.floor(position.z) };
+  }
+
+  /**
+   * A* from one cell towards another
+   * @private
+   */
+  search(from, to, settings) {
+    const nodes = new Map();
+    const open = new NodeHeap();
+    const bounds = { min: { ...from }, max: { ...from } };
+
+    const startNode = { ...from, g: 0, h: distance(from, to), parent: null, closed: false };
+    startNode.f = startNode.h;
+    nodes.set(cellKey(from), startNode);
+
+    let best = startNode;
+    let reached = null;
+    let expanded = 0;
+
+    if (this.isNode(from.x, from.y, from.z, settings)) {
+      open.push(startNode);
+    }
+
+    while (open.size > 0 && expanded < this.maxNodes) {
+      const current = open.pop();
+      if (current.closed) continue;
+      current.closed = true;
+      expanded++;
+      extendBounds(bounds, current);
+
+      if (current.h <= settings.range) {
+        reached = current;
+        break;
+      }
+      if (current.h < best.h) {
+        best = current;
+      }
+
+      for (const neighbor of this.getNeighbors(current, settings)) {
+        const key = cellKey(neighbor);
+        const g = current.g + neighbor.cost;
+        let node = nodes.get(key);
+        if (node && (node.closed || node.g <= g)) continue;
+
+        if (!node) {
+          node = { x: neighbor.x, y: neighbor.y, z: neighbor.z, h: distance(neighbor, to), closed: false };
+          nodes.set(key, node);
+        }
+        node.g = g;
+        node.f = g + node.h;
+        node.parent = current;
+        open.push(node);
+      }
+    }
+
+    // Anything within reach of the expanded cells was looked at
+    bounds.min.x -= 1;
+    bounds.min.z -= 1;
+    bounds.max.x += 1;
+    bounds.max.z += 1;
+    bounds.min.y -= settings.maxFall + 1;
+    bounds.max.y += settings.height + 1;
+
+    const end = reached || best;
+    const path = {
+      nodes: startNode.closed ? buildNodes(end) : [],
+      complete: reached !== null,
+      goal: { ...to },
+      valid: true,
+      bounds
+    };
+    this.emit('pathFound', { path, expanded });
+    return path;
+  }
+
+  /**
+   * Cells reachable from a node in one move, with the cost of the move
+   * @private
+   */
+  getNeighbors(node, settings) {
+    const neighbors = [];
+    const { x, y, z } = node;
+    const flying = settings.mode === 'flying';
+    const swimming = settings.mode === 'swimming';
+
+    if (flying || swimming) {
+      const vertical = [[0, 1, 0], [0, -1, 0]];
+      for (const [dx, dy, dz] of [...HORIZONTAL.map(([dx, dz]) => [dx, 0, dz]), ...vertical]) {
+        this.addFreeNeighbor(neighbors, x + dx, y + dy, z + dz, 1, settings);
+      }
+      for (const [dx, dz] of DIAGONAL) {
+        if (this.isFreeCell(x + dx, y, z, settings) && this.isFreeCell(x, y, z + dz, settings)) {
+          this.addFreeNeighbor(neighbors, x + dx, y, z + dz, Math.SQRT2, settings);
+        }
+      }
+      if (!(swimming && settings.amphibious)) {
+        return neighbors;
+      }
+    }
+
+    for (const [dx, dz] of HORIZONTAL) {
+      const target = this.getGroundMove(node, x + dx, z + dz, settings);
+      if (target) neighbors.push(target);
+    }
+
+    for (const [dx, dz] of DIAGONAL) {
+      // No cutting corners: both sides must be clear at the same height
+      if (this.getColumnType(x + dx, y, z, settings) >= DANGER) continue;
+      if (this.getColumnType(x, y, z + dz, settings) >= DANGER) continue;
+
+      const target = this.getGroundMove(node, x + dx, z + dz, settings);
+      if (target && target.y === y) {
+        target.cost += Math.SQRT2 - 1;
+        neighbors.push(target);
+      }
+    }
+
+    // Swimming up out of deep water
+    if (this.getCellType(x, y, z, settings) === WATER) {
+      const up = this.getColumnType(x, y + 1, z, settings);
+      if (up <= WATER) {
+        neighbors.push({ x, y: y + 1, z, cost: 1 + (up === WATER ? this.getWaterCost(settings) : 0) });
+      }
+    }
+
+    return neighbors;
+  }
+
+  /**
+   * Where a ground mob ends up moving from a node into a column: the same
+   * height, one block up with a jump, or the ground below after a drop
+   * @private
+   */
+  getGroundMove(node, x, z, settings) {
+    const { y } = node;
+    const type = this.getColumnType(x, y, z, settings);
+
+    if (type === BLOCKED) {
+      // Jump onto the block, if the mob has headroom to jump from where it is
+      if (this.getCellType(node.x, y + settings.height, node.z, settings) >= DANGER) return null;
+      if (!this.isStandable(x, y + 1, z, settings)) return null;
+      return this.makeGroundNode(x, y + 1, z, 1 + JUMP_COST, settings);
+    }
+    if (type >= DANGER) {
+      return null;
+    }
+
+    if (this.isStandable(x, y, z, settings)) {
+      return this.makeGroundNode(x, y, z, 1, settings);
+    }
+
+    // Drop down to the first cell with ground or water under it
+    for (let drop = 1; drop <= settings.maxFall; drop++) {
+      const below = this.getCellType(x, y - drop, z, settings);
+      if (below >= DANGER) return null;
+      if (this.isStandable(x, y - drop, z, settings)) {
+        return this.makeGroundNode(x, y - drop, z, 1 + drop * FALL_COST, settings);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  makeGroundNode(x, y, z, cost, settings) {
+    const type = this.getColumnType(x, y, z, settings);
+    if (type === WATER) cost += this.getWaterCost(settings);
+    if (type === DOOR) cost += DOOR_COST;
+    if (this.isNearDanger(x, y, z, settings)) cost += DANGER_NEARBY_COST;
+    return { x, y, z, cost };
+  }
+
+  /**
+   * @private
+   */
+  addFreeNeighbor(neighbors, x, y, z, cost, settings) {
+    if (!this.isFreeCell(x, y, z, settings)) return;
+    if (settings.mode === 'flying' && this.getColumnType(x, y, z, settings) === WATER) {
+      cost += WATER_COST;
+    }
+    if (this.isNearDanger(x, y, z, settings)) {
+      cost += DANGER_NEARBY_COST;
+    }
+    neighbors.push({ x, y, z, cost });
+  }
+
+  /**
+   * Whether a flying or swimming mob fits in a column
+   * @private
+   */
+  isFreeCell(x, y, z, settings) {
+    if (settings.mode === 'swimming') {
+      return this.isWaterColumn(x, y, z, settings);
+    }
+    return this.getColumnType(x, y, z, settings) <= WATER;
+  }
+
+  /**
+   * Whether a cell can be part of a path in the given mode
+   * @private
+   */
+  isNode(x, y, z, settings) {
+    if (settings.mode === 'flying') {
+      return this.isFreeCell(x, y, z, settings);
+    }
+    if (settings.mode === 'swimming' && this.isWaterColumn(x, y, z, settings)) {
+      return true;
+    }
+    if (settings.mode === 'swimming' && !settings.amphibious) {
+      return false;
+    }
+    return this.isStandable(x, y, z, settings);
+  }
+
+  /**
+   * Whether a ground mob can stand in a column: it fits, and there is solid
+   * ground below or it is swimming with its feet in water
+   * @private
+   */
+  isStandable(x, y, z, settings) {
+    const type = this.getColumnType(x, y, z, settings);
+    if (type >= DANGER) return false;
+    if (type === WATER) return true;
+
+    return this.getFloorType(x, y - 1, z, settings) === BLOCKED;
+  }
+
+  /**
+   * @private
+   */
+  isWaterColumn(x, y, z, settings) {
+    for (let dy = 0; dy < settings.height; dy++) {
+      if (this.getCellType(x, y + dy, z, settings) !== WATER) return false;
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  isNearDanger(x, y, z, settings) {
+    for (const [dx, dz] of HORIZONTAL) {
+      if (this.getCellType(x + dx, y, z + dz, settings) === DANGER) return true;
+      if (this.getCellType(x + dx, y - 1, z + dz, settings) === DANGER) return true;
+    }
+    return this.getCellType(x, y - 1, z, settings) === DANGER;
+  }
+
+  /**
+   * Worst cell type over the mob's height, starting at its feet
+   * @private
+   */
+  getColumnType(x, y, z, settings) {
+    let worst = this.getCellType(x, y, z, settings);
+    for (let dy = 1; dy < settings.height && worst < BLOCKED; dy++) {
+      worst = Math.max(worst, this.getCellType(x, y + dy, z, settings));
+    }
+    // Only the feet being in water makes a swimming cell
+    return worst === WATER && this.getCellType(x, y, z, settings) !== WATER ? OPEN : worst;
+  }
+
+  /**
+   * What a block under a mob counts as; fences and walls are too high to
+   * stand on from a jump, and closed doors are as good as solid
+   * @private
+   */
+  getFloorType(x, y, z, settings) {
+    const type = this.getCellType(x, y, z, settings);
+    return type === DOOR ? BLOCKED : type;
+  }
+
+  /**
+   * @private
+   */
+  getCellType(x, y, z, settings) {
+    const key = `${x},${y},${z}`;
+    if (this.cells && this.cells.has(key)) {
+      return this.cells.get(key);
+    }
+
+    let type = this.classifyBlock(this.getBlock(x, y, z), settings);
+    if (type === WATER && settings.avoidWater && settings.mode === 'ground') {
+      // Neither entered nor stood on, and kept away from like other hazards
+      type = DANGER;
+    }
+    if (this.cells) {
+      this.cells.set(key, type);
+    }
+    return type;
+  }
+
+  /**
+   * @private
+   */
+  getBlock(x, y, z) {
+    if (!this.world) return null;
+    if (typeof this.world.getBlockAt === 'function') {
+      return this.world.getBlockAt(x, y, z) || null;
+    }
+    if (typeof this.world.getBlock === 'function') {
+      return this.world.getBlock(x, y, z) || null;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  classifyBlock(block, settings) {
+    if (!block) return OPEN;
+    const type = block.type || block.id;
+
+    if (DANGER_BLOCKS.has(type)) return DANGER;
+    if (type.endsWith('_door')) {
+      if (isOpen(block)) return OPEN;
+      return settings.canOpenDoors && type !== 'iron_door' ? DOOR : BLOCKED;
+    }
+    if (type.endsWith('_fence_gate')) {
+      return isOpen(block) ? OPEN : FENCE;
+    }
+    if (type.endsWith('_fence') || type.endsWith('_wall')) return FENCE;
+    if (this.physics.isSolidBlock(block)) return BLOCKED;
+    if (WATER_BLOCKS.has(type) || block.waterlogged === true) return WATER;
+    return OPEN;
+  }
+
+  /**
+   * Ground mobs start on the ground: a mob a little above or sunk into the
+   * ground searches from the cell it is standing in
+   * @private
+   */
+  findStartCell(cell, settings) {
+    if (settings.mode === 'flying' || this.isNode(cell.x, cell.y, cell.z, settings)) {
+      return cell;
+    }
+    if (this.isNode(cell.x, cell.y + 1, cell.z, settings)) {
+      return { ...cell, y: cell.y + 1 };
+    }
+    for (let drop = 1; drop <= settings.maxFall; drop++) {
+      if (this.isNode(cell.x, cell.y - drop, cell.z, settings)) {
+        return { ...cell, y: cell.y - drop };
+      }
+    }
+    return cell;
+  }
+
+  /**
+   * @private
+   */
+  getWaterCost(settings) {
+    return settings.mode === 'swimming' ? 0 : WATER_COST;
+  }
+
+  /**
+   * @private
+   */
+  getCacheKey(from, to, settings) {
+    return [
+      cellKey(from), cellKey(to), settings.mode, settings.height, settings.maxFall, settings.range,
+      settings.canOpenDoors ? 1 : 0, settings.avoidWater ? 1 : 0, settings.amphibious ? 1 : 0
+    ].join('|');
+  }
+
+  /**
+   * @private
+   */
+  evictPaths() {
+    while (this.cache.size > this.cacheSize) {
+      const [key, path] = this.cache.entries().next().value;
+      path.valid = false;
+      this.cache.delete(key);
+    }
+  }
+}
+
+/**
+ * Binary min-heap of search nodes ordered by f, then h
+ * @private
+ */
+class NodeHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(node) {
+    // Nodes whose cost improved are pushed again; stale copies are skipped when popped
+    this.items.push({ node, f: node.f, h: node.h });
+    let index = this.items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.less(index, parent)) break;
+      this.swap(index, parent);
+      index = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < this.items.length && this.less(left, smallest)) smallest = left;
+        if (right < this.items.length && this.less(right, smallest)) smallest = right;
+        if (smallest === index) break;
+        this.swap(index, smallest);
+        index = smallest;
+      }
+    }
+    return top.f === top.node.f ? top.node : { closed: true };
+  }
+
+  less(a, b) {
+    const first = this.items[a];
+    const second = this.items[b];
+    return first.f < second.f || (first.f === second.f && first.h < second.h);
+  }
+
+  swap(a, b) {
+    [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+  }
+}
+
+function cellKey(cell) {
+  return `${cell.x},${cell.y},${cell.z}`;
+}
+
+function distance(a, b) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+function extendBounds(bounds, cell) {
+  for (const axis of ['x', 'y', 'z']) {
+    bounds.min[axis] = Math.min(bounds.min[axis], cell[axis]);
+    bounds.max[axis] = Math.max(bounds.max[axis], cell[axis]);
+  }
+}
+
+function buildNodes(end) {
+  const nodes = [];
+  for (let node = end; node; node = node.parent) {
+    nodes.push({ x: node.x, y: node.y, z: node.z });
+  }
+  return nodes.reverse();
+}
+
+function isOpen(block) {
+  return block.open === true ||
+    (block.state && block.state.open === true) ||
+    (block.metadata && block.metadata.open === true);
+}
+
+PathfindingManager.MAX_NODES = MAX_NODES;
+PathfindingManager.WATER_BLOCKS = WATER_BLOCKS;
+PathfindingManager.DANGER_BLOCKS = DANGER_BLOCKS;
+
+module.exports = PathfindingManager;
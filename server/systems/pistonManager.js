@@ -1,130 +1,726 @@
-class PistonManager {
-  constructor() {
-    this.pushableBlocks = new Set();
-    this.pullableBlocks = new Set();
+/**
+ * PistonManager - Piston extension and retraction
+ *
+ * A piston extending resolves the structure in front of it the way vanilla
+ * does: a straight line of blocks plus anything glued on by slime or honey,
+ * up to 12 blocks. Immovable blocks (obsidian, reinforced deepslate, extended
+ * pistons, ...) stop the push, fragile blocks (dust, torches, plants) break.
+ * Moved blocks spend PUSH_TICKS as moving blocks that carry the original
+ * block object, so container and other block entity state travels with them.
+ * Entities in the way or standing on moved blocks are carried along.
+ */
+
+const { EventEmitter } = require('events');
+const { getBlockTags } = require('../registry/tagRegistry');
+
+const DIRECTIONS = {
+  west: { x: -1, y: 0, z: 0 },
+  east: { x: 1, y: 0, z: 0 },
+  down: { x: 0, y: -1, z: 0 },
+  up: { x: 0, y: 1, z: 0 },
+  north: { x: 0, y: 0, z: -1 },
+  south: { x: 0, y: 0, z: 1 }
+};
+
+const OPPOSITE = {
+  west: 'east',
+  east: 'west',
+  down: 'up',
+  up: 'down',
+  north: 'south',
+  south: 'north'
+};
+
+const AXIS = {
+  west: 'x',
+  east: 'x',
+  down: 'y',
+  up: 'y',
+  north: 'z',
+  south: 'z'
+};
+
+const PUSH_LIMIT = 12;
+const PUSH_TICKS = 2;
+
+const PISTON_TYPES = new Set(['piston', 'sticky_piston']);
+
+// Piston push reactions: normal, destroy, block (immovable) or push_only.
+// Block types pick theirs through the #piston_immovable, #piston_breakable
+// and #glazed_terracotta (push_only) block tags.
+
+// Legacy pistonBehavior property values
+const LEGACY_BEHAVIORS = {
+  pushable: 'push_only',
+  pullable: 'normal',
+  both: 'normal',
+  immovable: 'block'
+};
+
+class PistonManager extends EventEmitter {
+  /**
+   * Create a new piston manager
+   * @param {Object} options - Manager options
+   * @param {Object} options.world - World exposing getBlockAt and setBlock (or setBlockAt)
+   * @param {RedstoneManager} options.redstoneManager - Redstone engine that drives the pistons
+   * @param {TagRegistry} options.blockTags - Block tags deciding push reactions, defaults to the shared block tags
+   */
+  constructor(options = {}) {
+    super();
+    this.world = options.world || null;
+    this.redstoneManager = null;
+    this.blockTags = options.blockTags || getBlockTags();
+
+    // Blocks currently in motion, keyed by block object
     this.movingBlocks = new Map();
+    this.movements = [];
+
+    // Pistons waiting to react to a power change, in arrival order
+    this.pendingPistons = [];
+    this.pendingKeys = new Set();
+
+    if (options.redstoneManager) {
+      this.attachRedstone(options.redstoneManager);
+    }
+  }
+
+  /**
+   * Let power changes from the redstone engine extend and retract pistons
+   * @param {RedstoneManager} redstoneManager - Redstone engine
+   */
+  attachRedstone(redstoneManager) {
+    this.redstoneManager = redstoneManager;
+    redstoneManager.on('powerChanged', ({ position, block }) => {
+      if (block && PISTON_TYPES.has(block.type)) {
+        this.queuePiston(position);
+      }
+    });
+  }
+
+  /**
+   * Queue a piston to compare its power and extension state next tick
+   * @param {Object} position - Piston position
+   */
+  queuePiston(position) {
+    const key = this.getPositionKey(position);
+    if (this.pendingKeys.has(key)) return;
+    this.pendingKeys.add(key);
+    this.pendingPistons.push({ ...position });
   }
 
+  /**
+   * Check whether a block can be pushed
+   * @param {Object} block - Block
+   * @returns {boolean} Whether a piston can push the block
+   */
   canPush(block) {
     if (!block) return false;
-    
-    // Check if block is already being moved
     if (this.movingBlocks.has(block)) return false;
-    
-    // Check block properties
-    if (block.properties && block.properties.pistonBehavior) {
-      return block.properties.pistonBehavior === 'pushable' || 
-             block.properties.pistonBehavior === 'both';
-    }
-    
-    // Default to true for most blocks
-    return true;
+    return this.getPushReaction(block) !== 'block';
   }
 
+  /**
+   * Check whether a block can be pulled by a sticky piston
+   * @param {Object} block - Block
+   * @returns {boolean} Whether a piston can pull the block
+   */
   canPull(block) {
     if (!block) return false;
-    
-    // Check if block is already being moved
     if (this.movingBlocks.has(block)) return false;
-    
-    // Check block properties
-    if (block.properties && block.properties.pistonBehavior) {
-      return block.properties.pistonBehavior === 'pullable' || 
-             block.properties.pistonBehavior === 'both';
-    }
-    
-    // Default to true for most blocks
-    return true;
+    return this.getPushReaction(block) === 'normal';
   }
 
-  push(block, direction, world) {
-    if (!this.canPush(block)) {
-      return false;
+  /**
+   * Get how a block reacts to being pushed
+   * @param {Object} block - Block
+   * @returns {string} 'normal', 'destroy', 'block' or 'push_only'
+   */
+  getPushReaction(block) {
+    const behavior = (block.properties && block.properties.pistonBehavior) || block.pistonBehavior;
+    if (behavior) {
+      return LEGACY_BEHAVIORS[behavior] || behavior;
     }
 
-    // Calculate new position
-    const newPos = {
-      x: block.position.x + direction.x,
-      y: block.position.y + direction.y,
-      z: block.position.z + direction.z
-    };
+    const type = this.getBlockType(block);
+    if (PISTON_TYPES.has(type)) {
+      return this.getProperty(block, 'extended', false) ? 'block' : 'normal';
+    }
+    if (this.blockTags.contains('piston_immovable', type) || block.hardness === -1) return 'block';
+    if (this.blockTags.contains('piston_breakable', type)) return 'destroy';
+    if (this.blockTags.contains('glazed_terracotta', type)) return 'push_only';
+    if (block.solid === false) return 'destroy';
+    return 'normal';
+  }
+
+  /**
+   * Advance pistons by one game tick
+   */
+  tick() {
+    this.advanceMovements();
+
+    const pending = this.pendingPistons;
+    this.pendingPistons = [];
+    this.pendingKeys.clear();
+    for (const position of pending) {
+      this.updatePiston(position);
+    }
+  }
+
+  /**
+   * Advance pistons by one game tick
+   */
+  update() {
+    this.tick();
+  }
+
+  /**
+   * Extend or retract a piston to match its redstone power
+   * @param {Object} position - Piston position
+   */
+  updatePiston(position) {
+    const block = this.getBlock(position);
+    if (!block || !PISTON_TYPES.has(block.type)) return;
+
+    // Let the current movement finish first
+    if (this.isPistonMoving(position)) {
+      this.queuePiston(position);
+      return;
+    }
+
+    const powered = this.isPowered(position, block);
+    const extended = !!this.getProperty(block, 'extended', false);
+    if (powered && !extended) {
+      this.extend(position);
+    } else if (!powered && extended) {
+      this.retract(position);
+    }
+  }
 
-    // Check if new position is valid
-    if (!this.isValidPosition(newPos, world)) {
+  /**
+   * Check whether a piston receives power from any side but its front
+   * @param {Object} position - Piston position
+   * @param {Object} block - Piston block
+   * @returns {boolean} Whether the piston is powered
+   */
+  isPowered(position, block) {
+    if (!this.redstoneManager) return false;
+    return this.redstoneManager.getReceivedPower(position, [this.getFacing(block)]) > 0;
+  }
+
+  /**
+   * Extend a piston, pushing the structure in front of it
+   * @param {Object} position - Piston position
+   * @returns {boolean} Whether the piston extended
+   */
+  extend(position) {
+    const piston = this.getBlock(position);
+    if (!piston || !PISTON_TYPES.has(piston.type) || this.getProperty(piston, 'extended', false)) {
       return false;
     }
 
-    // Start moving the block
-    this.movingBlocks.set(block, {
-      direction,
-      startTime: Date.now(),
-      duration: 200, // 200ms for movement
-      startPos: { ...block.position },
-      endPos: newPos
-    });
+    const facing = this.getFacing(piston);
+    const structure = this.resolveStructure(position, facing, true);
+    if (!structure) {
+      this.emit('blocked', { position: { ...position }, facing });
+      return false;
+    }
+
+    this.moveStructure(position, facing, structure);
 
-    // Update block position in world
-    world.moveBlock(block.position, newPos);
+    this.setProperty(piston, 'extended', true);
+    this.setBlock(position, piston);
+    this.setBlock(this.offset(position, facing), {
+      type: 'piston_head',
+      state: { facing, sticky: piston.type === 'sticky_piston' }
+    });
 
+    this.emit('extended', { position: { ...position }, facing, moved: structure.toPush.length });
     return true;
   }
 
-  pull(block, direction, world) {
-    if (!this.canPull(block)) {
+  /**
+   * Retract a piston; sticky pistons pull the structure in front of the head
+   * @param {Object} position - Piston position
+   * @returns {boolean} Whether the piston retracted
+   */
+  retract(position) {
+    const piston = this.getBlock(position);
+    if (!piston || !PISTON_TYPES.has(piston.type) || !this.getProperty(piston, 'extended', false)) {
       return false;
     }
 
-    // Calculate new position
-    const newPos = {
-      x: block.position.x + direction.x,
-      y: block.position.y + direction.y,
-      z: block.position.z + direction.z
+    const facing = this.getFacing(piston);
+    const headPosition = this.offset(position, facing);
+    const head = this.getBlock(headPosition);
+    if (head && head.type === 'piston_head') {
+      this.setBlock(headPosition, null);
+    }
+
+    this.setProperty(piston, 'extended', false);
+    this.setBlock(position, piston);
+
+    let moved = 0;
+    if (piston.type === 'sticky_piston') {
+      const front = this.getBlock(this.offset(headPosition, facing));
+      if (front && this.getPushReaction(front) === 'normal') {
+        const structure = this.resolveStructure(position, facing, false);
+        if (structure) {
+          this.moveStructure(position, OPPOSITE[facing], structure);
+          moved = structure.toPush.length;
+        }
+      }
+    }
+
+    this.emit('retracted', { position: { ...position }, facing, moved });
+    return true;
+  }
+
+  /**
+   * Work out which blocks a piston moves and which ones break
+   * @param {Object} pistonPosition - Piston position
+   * @param {string} facing - Piston facing
+   * @param {boolean} extending - Whether the piston is extending (false for sticky pulls)
+   * @returns {Object|null} { toPush, toDestroy } position lists, or null if blocked
+   */
+  resolveStructure(pistonPosition, facing, extending) {
+    const pushDirection = extending ? facing : OPPOSITE[facing];
+    const start = extending ?
+      this.offset(pistonPosition, facing) :
+      this.offset(this.offset(pistonPosition, facing), facing);
+
+    const resolver = {
+      pistonKey: this.getPositionKey(pistonPosition),
+      facing,
+      pushDirection,
+      toPush: [],
+      toDestroy: []
     };
 
-    // Check if new position is valid
-    if (!this.isValidPosition(newPos, world)) {
-      return false;
+    const startBlock = this.getBlock(start);
+    if (!this.isPushable(startBlock, start, pushDirection, false, facing)) {
+      if (extending && startBlock && this.getPushReaction(startBlock) === 'destroy') {
+        resolver.toDestroy.push(start);
+        return resolver;
+      }
+      return startBlock ? null : resolver;
     }
 
-    // Start moving the block
-    this.movingBlocks.set(block, {
-      direction,
-      startTime: Date.now(),
-      duration: 200, // 200ms for movement
-      startPos: { ...block.position },
-      endPos: newPos
-    });
+    if (!this.addBlockLine(resolver, start, pushDirection)) {
+      return null;
+    }
+
+    for (let i = 0; i < resolver.toPush.length; i++) {
+      const position = resolver.toPush[i];
+      if (this.isSticky(this.getBlock(position)) && !this.addBranchingBlocks(resolver, position)) {
+        return null;
+      }
+    }
+    return resolver;
+  }
+
+  /**
+   * Add a line of blocks along the push direction, starting at origin and
+   * including sticky blocks glued on behind it
+   * @private
+   */
+  addBlockLine(resolver, origin, lineDirection) {
+    const { pushDirection, toPush } = resolver;
+    let block = this.getBlock(origin);
+
+    if (!block) return true;
+    if (!this.isPushable(block, origin, pushDirection, false, lineDirection)) return true;
+    if (this.getPositionKey(origin) === resolver.pistonKey) return true;
+    if (this.indexOfPosition(toPush, origin) !== -1) return true;
+
+    let count = 1;
+    if (count + toPush.length > PUSH_LIMIT) return false;
+
+    // Walk backwards over blocks stuck to the origin
+    const back = OPPOSITE[pushDirection];
+    while (this.isSticky(block)) {
+      const position = this.offset(origin, back, count);
+      const previous = block;
+      block = this.getBlock(position);
+      if (!block || !this.canStick(previous, block) ||
+          !this.isPushable(block, position, pushDirection, false, back) ||
+          this.getPositionKey(position) === resolver.pistonKey) {
+        break;
+      }
+      count++;
+      if (count + toPush.length > PUSH_LIMIT) return false;
+    }
+
+    let added = 0;
+    for (let k = count - 1; k >= 0; k--) {
+      toPush.push(this.offset(origin, back, k));
+      added++;
+    }
+
+    // Walk forwards over the blocks being pushed into
+    for (let step = 1; ; step++) {
+      const position = this.offset(origin, pushDirection, step);
+      const collision = this.indexOfPosition(toPush, position);
+      if (collision !== -1) {
+        this.reorderAtCollision(resolver, added, collision);
+        for (let m = 0; m <= collision + added; m++) {
+          const moved = toPush[m];
+          if (this.isSticky(this.getBlock(moved)) && !this.addBranchingBlocks(resolver, moved)) {
+            return false;
+          }
+        }
+        return true;
+      }
+
+      block = this.getBlock(position);
+      if (!block) return true;
+      if (!this.isPushable(block, position, pushDirection, true, pushDirection) ||
+          this.getPositionKey(position) === resolver.pistonKey) {
+        return false;
+      }
+      if (this.getPushReaction(block) === 'destroy') {
+        resolver.toDestroy.push(position);
+        return true;
+      }
+      if (toPush.length >= PUSH_LIMIT) return false;
+
+      toPush.push(position);
+      added++;
+    }
+  }
 
-    // Update block position in world
-    world.moveBlock(block.position, newPos);
+  /**
+   * Keep push order consistent when a new line runs into an existing one
+   * @private
+   */
+  reorderAtCollision(resolver, added, collision) {
+    const { toPush } = resolver;
+    const before = toPush.slice(0, collision);
+    const tail = toPush.slice(toPush.length - added);
+    const middle = toPush.slice(collision, toPush.length - added);
+    resolver.toPush = [...before, ...tail, ...middle];
+  }
 
+  /**
+   * Add blocks glued to the sides of a sticky block
+   * @private
+   */
+  addBranchingBlocks(resolver, position) {
+    const block = this.getBlock(position);
+    for (const direction of Object.keys(DIRECTIONS)) {
+      if (AXIS[direction] === AXIS[resolver.pushDirection]) continue;
+      const neighborPosition = this.offset(position, direction);
+      const neighbor = this.getBlock(neighborPosition);
+      if (neighbor && this.canStick(neighbor, block) &&
+          !this.addBlockLine(resolver, neighborPosition, direction)) {
+        return false;
+      }
+    }
     return true;
   }
 
-  isValidPosition(position, world) {
-    // Check if position is within world bounds
-    if (!world.isValidPosition(position)) {
+  /**
+   * Check whether a block may be moved in a direction
+   * @private
+   * @param {Object} block - Block
+   * @param {Object} position - Block position
+   * @param {string} direction - Direction of movement
+   * @param {boolean} allowDestroy - Whether fragile blocks count as movable
+   * @param {string} pistonFacing - Facing of the piston doing the work
+   * @returns {boolean} Whether the block is movable
+   */
+  isPushable(block, position, direction, allowDestroy, pistonFacing) {
+    if (!block) return false;
+    if (this.movingBlocks.has(block)) return false;
+
+    const { minHeight, maxHeight } = this.getHeightLimits();
+    if (position.y < minHeight || position.y >= maxHeight) return false;
+    if (direction === 'down' && position.y === minHeight) return false;
+    if (direction === 'up' && position.y === maxHeight - 1) return false;
+
+    switch (this.getPushReaction(block)) {
+      case 'block':
+        return false;
+      case 'destroy':
+        return allowDestroy;
+      case 'push_only':
+        return direction === pistonFacing;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * @private
+   */
+  isSticky(block) {
+    const type = this.getBlockType(block);
+    return type === 'slime_block' || type === 'honey_block';
+  }
+
+  /**
+   * Slime and honey stick to everything except each other
+   * @private
+   */
+  canStick(a, b) {
+    const typeA = this.getBlockType(a);
+    const typeB = this.getBlockType(b);
+    if ((typeA === 'honey_block' && typeB === 'slime_block') ||
+        (typeA === 'slime_block' && typeB === 'honey_block')) {
       return false;
     }
+    return this.isSticky(a) || this.isSticky(b);
+  }
+
+  /**
+   * Break fragile blocks and turn the pushed blocks into moving blocks
+   * @private
+   * @param {Object} pistonPosition - Piston position
+   * @param {string} direction - Direction the blocks move in
+   * @param {Object} structure - Resolved structure
+   */
+  moveStructure(pistonPosition, direction, structure) {
+    for (const position of structure.toDestroy) {
+      const block = this.getBlock(position);
+      this.setBlock(position, null);
+      this.emit('blockDestroyed', { position: { ...position }, block });
+    }
+
+    const blocks = structure.toPush.map(from => ({
+      block: this.getBlock(from),
+      from,
+      to: this.offset(from, direction)
+    }));
+    if (blocks.length === 0) return;
+
+    const entities = this.findCarriedEntities(blocks, direction);
+
+    // Clear every source first so overlapping moves don't overwrite each other
+    for (const { from } of blocks) {
+      this.setBlock(from, null);
+    }
+    for (const moving of blocks) {
+      this.movingBlocks.set(moving.block, moving);
+      this.setBlock(moving.to, {
+        type: 'moving_piston',
+        state: { facing: direction },
+        movingBlock: moving.block
+      });
+    }
 
-    // Check if position is empty or contains a replaceable block
-    const block = world.getBlock(position.x, position.y, position.z);
-    return !block || block.properties.replaceable;
+    this.movements.push({
+      piston: { ...pistonPosition },
+      direction,
+      blocks,
+      entities,
+      ticks: 0
+    });
   }
 
-  update() {
-    const now = Date.now();
-    
-    // Update all moving blocks
-    for (const [block, data] of this.movingBlocks.entries()) {
-      const elapsed = now - data.startTime;
-      
-      if (elapsed >= data.duration) {
-        // Movement complete
-        this.movingBlocks.delete(block);
+  /**
+   * Move carried entities and place blocks that finished moving
+   * @private
+   */
+  advanceMovements() {
+    const active = this.movements;
+    this.movements = [];
+
+    for (const movement of active) {
+      movement.ticks++;
+      const step = 1 / PUSH_TICKS;
+      const delta = DIRECTIONS[movement.direction];
+      for (const entity of movement.entities) {
+        entity.position.x += delta.x * step;
+        entity.position.y += delta.y * step;
+        entity.position.z += delta.z * step;
+      }
+
+      if (movement.ticks < PUSH_TICKS) {
+        this.movements.push(movement);
+        continue;
+      }
+
+      for (const moving of movement.blocks) {
+        this.movingBlocks.delete(moving.block);
+        this.updateBlockPosition(moving.block, moving.to);
+        this.setBlock(moving.to, moving.block);
+      }
+
+      this.emit('moved', {
+        piston: movement.piston,
+        direction: movement.direction,
+        blocks: movement.blocks.map(({ block, from, to }) => ({ type: this.getBlockType(block), from, to })),
+        entities: movement.entities
+      });
+    }
+  }
+
+  /**
+   * Entities in the path of the moved blocks or standing on top of them
+   * @private
+   */
+  findCarriedEntities(blocks, direction) {
+    const entities = this.getEntities();
+    if (entities.length === 0) return [];
+
+    const cells = new Set();
+    for (const { from, to } of blocks) {
+      cells.add(this.getPositionKey(to));
+      if (direction !== 'down') {
+        cells.add(`${from.x},${from.y + 1},${from.z}`);
       }
     }
+
+    return entities.filter(entity => {
+      const position = entity && entity.position;
+      if (!position) return false;
+      // Entities standing exactly on a block top belong to the cell above it
+      const key = `${Math.floor(position.x)},${Math.floor(position.y)},${Math.floor(position.z)}`;
+      return cells.has(key);
+    });
+  }
+
+  /**
+   * Check whether blocks moved by a piston are still in motion
+   * @private
+   */
+  isPistonMoving(position) {
+    const key = this.getPositionKey(position);
+    return this.movements.some(movement => this.getPositionKey(movement.piston) === key);
+  }
+
+  /**
+   * @private
+   */
+  indexOfPosition(positions, position) {
+    const key = this.getPositionKey(position);
+    return positions.findIndex(candidate => this.getPositionKey(candidate) === key);
+  }
+
+  /**
+   * Keep position fields of block objects in sync after a move
+   * @private
+   */
+  updateBlockPosition(block, position) {
+    if (!block || typeof block !== 'object') return;
+    if (block.position && typeof block.position === 'object') {
+      block.position = { ...position };
+    }
+    if (typeof block.x === 'number' && typeof block.y === 'number' && typeof block.z === 'number') {
+      block.x = position.x;
+      block.y = position.y;
+      block.z = position.z;
+    }
+  }
+
+  /**
+   * @private
+   */
+  getEntities() {
+    if (!this.world) return [];
+    if (typeof this.world.getEntities === 'function') {
+      return this.world.getEntities();
+    }
+    const entities = this.world.entities;
+    if (!entities) return [];
+    if (entities instanceof Map) return Array.from(entities.values());
+    return Array.isArray(entities) ? entities : Object.values(entities);
+  }
+
+  /**
+   * @private
+   */
+  getHeightLimits() {
+    const world = this.world || {};
+    const minHeight = typeof world.getMinHeight === 'function' ? world.getMinHeight() :
+      (typeof world.minHeight === 'number' ? world.minHeight : -Infinity);
+    const maxHeight = typeof world.getMaxHeight === 'function' ? world.getMaxHeight() :
+      (typeof world.maxHeight === 'number' ? world.maxHeight : Infinity);
+    return { minHeight, maxHeight };
+  }
+
+  /**
+   * @private
+   */
+  getBlock(position) {
+    if (!this.world) return null;
+    if (typeof this.world.getBlockAt === 'function') {
+      return this.world.getBlockAt(position.x, position.y, position.z) || null;
+    }
+    return this.world.getBlock(position.x, position.y, position.z) || null;
+  }
+
+  /**
+   * Write a block object (or null for air) into the world
+   * @private
+   */
+  setBlock(position, block) {
+    if (typeof this.world.setBlock === 'function') {
+      this.world.setBlock(position.x, position.y, position.z, block);
+    } else if (block) {
+      this.world.setBlockAt(position.x, position.y, position.z, block.type, block.metadata || block.state || {});
+    } else {
+      this.world.setBlockAt(position.x, position.y, position.z, null);
+    }
+  }
+
+  /**
+   * @private
+   */
+  getFacing(block) {
+    const facing = this.getProperty(block, 'facing', 'up');
+    return DIRECTIONS[facing] ? facing : 'up';
+  }
+
+  /**
+   * Read a block property from its state, metadata or the block itself
+   * @private
+   */
+  getProperty(block, name, fallback) {
+    for (const source of [block.state, block.metadata, block.properties]) {
+      if (source && source[name] !== undefined) return source[name];
+    }
+    return block[name] !== undefined ? block[name] : fallback;
+  }
+
+  /**
+   * @private
+   */
+  setProperty(block, name, value) {
+    if (!block.state && !block.metadata) {
+      block.state = {};
+    }
+    (block.state || block.metadata)[name] = value;
+  }
+
+  /**
+   * @private
+   */
+  getBlockType(block) {
+    if (!block) return null;
+    return block.type || block.id || 'unknown';
+  }
+
+  /**
+   * @private
+   */
+  offset(position, direction, distance = 1) {
+    const delta = DIRECTIONS[direction];
+    return {
+      x: position.x + delta.x * distance,
+      y: position.y + delta.y * distance,
+      z: position.z + delta.z * distance
+    };
+  }
+
+  /**
+   * @private
+   */
+  getPositionKey(position) {
+    return `${position.x},${position.y},${position.z}`;
   }
 }
 
-module.exports = PistonManager; 
\ No newline at end of file
+PistonManager.PUSH_LIMIT = PUSH_LIMIT;
+PistonManager.PUSH_TICKS = PUSH_TICKS;
+
+module.exports = PistonManager;
@@ -1,26 +1,1275 @@
-class RedstoneManager {
-  constructor() {
+/**
+ * RedstoneManager - Server-authoritative redstone signal engine
+ *
+ * Power is evaluated per block position against the world:
+ *   - Dust carries 0-15 and loses one level per block of wire
+ *   - Torches, levers, buttons, repeaters and comparators strongly power the
+ *     solid block they point into; dust only weakly powers blocks. Strongly
+ *     powered blocks feed adjacent dust, weakly powered blocks do not.
+ *   - Torches, repeaters and comparators change state through scheduled
+ *     ticks, which run in (tick, priority, insertion) order so a circuit
+ *     always settles the same way
+ *
+ * Blocks that expose getRedstonePower() and positions fed through
+ * updateRedstoneSignal() act as sources. Blocks with setPowered() or
+ * updateRedstoneState() are notified as sinks when their input changes.
+ */
+
+const { EventEmitter } = require('events');
+
+const DIRECTIONS = {
+  west: { x: -1, y: 0, z: 0 },
+  east: { x: 1, y: 0, z: 0 },
+  down: { x: 0, y: -1, z: 0 },
+  up: { x: 0, y: 1, z: 0 },
+  north: { x: 0, y: 0, z: -1 },
+  south: { x: 0, y: 0, z: 1 }
+};
+
+// Neighbor update order; fixed so propagation is deterministic
+const UPDATE_ORDER = ['west', 'east', 'down', 'up', 'north', 'south'];
+const HORIZONTAL = ['north', 'east', 'south', 'west'];
+
+const OPPOSITE = {
+  west: 'east',
+  east: 'west',
+  down: 'up',
+  up: 'down',
+  north: 'south',
+  south: 'north'
+};
+
+const MAX_POWER = 15;
+const TORCH_DELAY = 2;
+const COMPARATOR_DELAY = 2;
+const OBSERVER_PULSE = 2;
+const STONE_BUTTON_TICKS = 20;
+const WOODEN_BUTTON_TICKS = 30;
+
+// Torch burnout: more than this many toggles within the window burns it out
+const TORCH_BURNOUT_TOGGLES = 8;
+const TORCH_BURNOUT_WINDOW = 60;
+const TORCH_BURNOUT_COOLDOWN = 160;
+
+// Safety valve against runaway update chains within one tick
+const MAX_UPDATES_PER_TICK = 65536;
+const MAX_WIRE_NETWORK = 4096;
+
+const COMPONENT_TYPES = {
+  redstone_wire: 'wire',
+  redstone_dust: 'wire',
+  redstone_torch: 'torch',
+  redstone_wall_torch: 'torch',
+  redstone_repeater: 'repeater',
+  repeater: 'repeater',
+  redstone_comparator: 'comparator',
+  comparator: 'comparator',
+  lever: 'lever',
+  redstone_block: 'redstone_block'
+};
+
+const NON_CONDUCTORS = new Set([
+  'air', 'water', 'lava', 'glass', 'ice', 'leaves', 'slime_block',
+  'honey_block', 'glowstone', 'sea_lantern', 'piston', 'sticky_piston',
+  'piston_head', 'moving_piston', 'observer', 'hopper', 'tinted_glass'
+]);
+
+const SINK_TYPES = new Set([
+  'redstone_lamp', 'piston', 'sticky_piston', 'dispenser', 'dropper',
+  'note_block', 'crafter', 'copper_bulb', 'hopper', 'tnt'
+]);
+
+class RedstoneManager extends EventEmitter {
+  /**
+   * Create a new redstone engine
+   * @param {Object} options - Engine options
+   * @param {Object} options.world - World exposing getBlockAt(x, y, z) or getBlock(x, y, z)
+   * @param {Object} options.observerManager - Observer manager to exchange updates with
+   */
+  constructor(options = {}) {
+    super();
+    this.world = options.world || null;
+
+    this.currentTick = 0;
+    this.sequence = 0;
+
+    // Dynamic state, keyed by "x,y,z"
+    this.wirePower = new Map();
+    this.wireShapes = new Map();
+    this.componentStates = new Map();
+    this.conductorPower = new Map();
+    this.sinkPower = new Map();
+
+    // Signals fed in from outside the engine
+    this.externalSignals = new Map();
+    this.containerOutputs = new Map();
+    this.pulses = new Map();
+
+    // Legacy manual power levels for block objects without a position
     this.poweredBlocks = new Map();
+
+    this.scheduledTicks = [];
+    this.scheduledKeys = new Set();
+
+    this.pendingUpdates = [];
+    this.pendingKeys = new Set();
+    this.processing = false;
+
+    this.observerManager = null;
+    if (options.observerManager) {
+      this.setObserverManager(options.observerManager);
+    }
+  }
+
+  /**
+   * Link an observer manager: observers see redstone state changes and
+   * their detections emit pulses back into the engine
+   * @param {Object} observerManager - Observer manager
+   */
+  setObserverManager(observerManager) {
+    this.observerManager = observerManager;
+    if (observerManager && typeof observerManager.setRedstoneManager === 'function') {
+      observerManager.setRedstoneManager(this);
+    }
   }
 
+  /**
+   * Set the power of a source. Positions ({x, y, z}) become external signals
+   * in the engine; other values are tracked as manual power levels.
+   * @param {Object} block - Block object or position
+   * @param {number} power - Power level (0-15)
+   */
   setPower(block, power) {
-    if (power < 0 || power > 15) {
+    if (power < 0 || power > MAX_POWER) {
       throw new Error('Redstone power must be between 0 and 15');
     }
     this.poweredBlocks.set(block, power);
+
+    const position = this.getBlockPosition(block);
+    if (position) {
+      this.updateRedstoneSignal(position, power);
+    }
   }
 
+  /**
+   * Get the power of a block set through setPower, or the power reaching it
+   * @param {Object} block - Block object or position
+   * @returns {number} Power level (0-15)
+   */
   getPower(block) {
-    return this.poweredBlocks.get(block) || 0;
+    const manual = this.poweredBlocks.get(block) || 0;
+    const position = this.getBlockPosition(block);
+    return position ? Math.max(manual, this.getPowerAt(position.x, position.y, position.z)) : manual;
   }
 
+  /**
+   * Advance the engine by one game tick
+   */
   update() {
-    for (const [block, power] of this.poweredBlocks.entries()) {
-      if (power > 0) {
-        this.poweredBlocks.set(block, power - 1);
+    this.tick();
+  }
+
+  /**
+   * Run the scheduled ticks that are due and propagate their effects
+   */
+  tick() {
+    this.currentTick++;
+
+    while (this.scheduledTicks.length > 0 && this.scheduledTicks[0].tick <= this.currentTick) {
+      const entry = this.scheduledTicks.shift();
+      this.scheduledKeys.delete(this.getScheduleKey(entry.key, entry.action));
+      this.runScheduledTick(entry);
+    }
+
+    this.processUpdates();
+  }
+
+  /**
+   * Notify the engine that the block at a position was placed, removed or changed
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   */
+  onBlockChanged(x, y, z) {
+    const position = { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) };
+    const key = this.getPositionKey(position);
+    const kind = this.getComponentKind(this.getBlock(position));
+
+    const state = this.componentStates.get(key);
+    if (state && state.kind !== kind) {
+      this.componentStates.delete(key);
+    }
+    if (kind !== 'wire') {
+      this.wirePower.delete(key);
+      this.wireShapes.delete(key);
+    }
+
+    this.markDirty(position);
+    this.markNeighborsDirty(position);
+
+    // Dust steps up and down blocks, so diagonal wires may have changed shape
+    for (const direction of HORIZONTAL) {
+      const side = this.offset(position, direction);
+      this.markDirty(this.offset(side, 'up'));
+      this.markDirty(this.offset(side, 'down'));
+    }
+
+    this.processUpdates();
+  }
+
+  /**
+   * Feed an external signal into the engine, e.g. from a wind transmitter
+   * @param {Object} position - Source position {x, y, z}
+   * @param {number} level - Signal strength (0-15)
+   */
+  updateRedstoneSignal(position, level) {
+    const key = this.getPositionKey(position);
+    const power = this.clampPower(level);
+    if ((this.externalSignals.get(key) || 0) === power) return;
+
+    if (power > 0) {
+      this.externalSignals.set(key, power);
+    } else {
+      this.externalSignals.delete(key);
+    }
+
+    this.markDirty(position);
+    this.markNeighborsDirty(position);
+    this.processUpdates();
+  }
+
+  /**
+   * Record the comparator output of a container such as a crafter
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @param {number} output - Comparator output (0-15)
+   */
+  updateComparatorOutput(x, y, z, output) {
+    const position = { x, y, z };
+    this.containerOutputs.set(this.getPositionKey(position), this.clampPower(output));
+    this.markNeighborsDirty(position);
+    this.processUpdates();
+  }
+
+  /**
+   * Emit a short strong pulse out of one face of a block (observers)
+   * @param {Object} position - Emitting block position
+   * @param {string} direction - Face the pulse leaves through
+   * @param {number} power - Pulse strength
+   * @param {number} duration - Pulse length in game ticks
+   */
+  pulse(position, direction, power = MAX_POWER, duration = OBSERVER_PULSE) {
+    const key = this.getPositionKey(position);
+    this.pulses.set(key, { direction, power: this.clampPower(power) });
+    this.schedule(position, duration, 0, 'pulseEnd');
+
+    this.markNeighborsDirty(position);
+    this.processUpdates();
+  }
+
+  /**
+   * Flip or set a lever
+   * @param {Object} position - Lever position
+   * @param {boolean} powered - New state; toggles when omitted
+   * @returns {boolean} Whether the lever is now on
+   */
+  setLever(position, powered) {
+    const block = this.getBlock(position);
+    if (this.getComponentKind(block) !== 'lever') return false;
+
+    const state = this.getComponentState(position, block);
+    const next = powered === undefined ? !state.powered : !!powered;
+    if (next !== state.powered) {
+      this.setComponentState(position, block, { powered: next });
+      this.markNeighborsDirty(position);
+      this.processUpdates();
+    }
+    return next;
+  }
+
+  /**
+   * Press a button; it releases itself after 20 (stone) or 30 (wood) ticks
+   * @param {Object} position - Button position
+   * @returns {boolean} Whether the button was pressed
+   */
+  pressButton(position) {
+    const block = this.getBlock(position);
+    if (this.getComponentKind(block) !== 'button') return false;
+
+    const state = this.getComponentState(position, block);
+    if (state.powered) return false;
+
+    const type = this.getBlockType(block);
+    const duration = type === 'stone_button' || type === 'polished_blackstone_button' ?
+      STONE_BUTTON_TICKS : WOODEN_BUTTON_TICKS;
+
+    this.setComponentState(position, block, { powered: true });
+    this.schedule(position, duration, 0, 'release');
+    this.markNeighborsDirty(position);
+    this.processUpdates();
+    return true;
+  }
+
+  /**
+   * Get the power level at a position: the dust level for wire, otherwise
+   * the strongest signal reaching the block from its neighbors
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @returns {number} Power level (0-15)
+   */
+  getPowerAt(x, y, z) {
+    const position = { x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) };
+    const block = this.getBlock(position);
+    if (this.getComponentKind(block) === 'wire') {
+      return this.wirePower.get(this.getPositionKey(position)) || 0;
+    }
+    return this.getReceivedPower(position);
+  }
+
+  /**
+   * Check whether a solid block is strongly powered
+   * @param {Object} position - Block position
+   * @returns {boolean} Whether the block is strongly powered
+   */
+  isStronglyPowered(position) {
+    return this.getPowerInto(position, true) > 0;
+  }
+
+  /**
+   * Get the engine-side state of a component (torch, repeater, comparator, lever, button)
+   * @param {Object} position - Component position
+   * @returns {Object|null} Copy of the state, or null if there is no component
+   */
+  getState(position) {
+    const block = this.getBlock(position);
+    if (!this.getComponentKind(block)) return null;
+    if (this.getComponentKind(block) === 'wire') {
+      return { kind: 'wire', power: this.wirePower.get(this.getPositionKey(position)) || 0 };
+    }
+    return { ...this.getComponentState(position, block) };
+  }
+
+  /**
+   * Queue a scheduled tick for a position
+   * @param {Object} position - Block position
+   * @param {number} delay - Delay in game ticks
+   * @param {number} priority - Lower values run first within the same tick
+   * @param {string} action - What to do when the tick fires
+   * @returns {boolean} Whether the tick was queued (false if already pending)
+   */
+  schedule(position, delay, priority = 0, action = 'update') {
+    const key = this.getPositionKey(position);
+    const scheduleKey = this.getScheduleKey(key, action);
+    if (this.scheduledKeys.has(scheduleKey)) return false;
+
+    const entry = {
+      tick: this.currentTick + Math.max(1, delay),
+      priority,
+      sequence: this.sequence++,
+      key,
+      position: { ...position },
+      action
+    };
+
+    // Binary insertion keeps the queue ordered by (tick, priority, sequence)
+    let low = 0;
+    let high = this.scheduledTicks.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.compareScheduled(this.scheduledTicks[mid], entry) <= 0) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    this.scheduledTicks.splice(low, 0, entry);
+    this.scheduledKeys.add(scheduleKey);
+    return true;
+  }
+
+  /**
+   * Check whether a tick is pending for a position
+   * @param {Object} position - Block position
+   * @param {string} action - Scheduled action
+   * @returns {boolean} Whether a tick is pending
+   */
+  isScheduled(position, action = 'update') {
+    return this.scheduledKeys.has(this.getScheduleKey(this.getPositionKey(position), action));
+  }
+
+  /**
+   * Order scheduled ticks
+   * @private
+   */
+  compareScheduled(a, b) {
+    return (a.tick - b.tick) || (a.priority - b.priority) || (a.sequence - b.sequence);
+  }
+
+  /**
+   * @private
+   */
+  getScheduleKey(key, action) {
+    return `${key}|${action}`;
+  }
+
+  /**
+   * Execute one scheduled tick
+   * @private
+   * @param {Object} entry - Scheduled tick
+   */
+  runScheduledTick(entry) {
+    const { position, action } = entry;
+
+    if (action === 'pulseEnd') {
+      this.pulses.delete(entry.key);
+      this.markNeighborsDirty(position);
+      return;
+    }
+
+    const block = this.getBlock(position);
+    const kind = this.getComponentKind(block);
+
+    switch (kind) {
+      case 'torch':
+        this.tickTorch(position, block);
+        break;
+      case 'repeater':
+        this.tickRepeater(position, block);
+        break;
+      case 'comparator':
+        this.tickComparator(position, block);
+        break;
+      case 'button':
+        if (action === 'release') {
+          this.setComponentState(position, block, { powered: false });
+          this.markNeighborsDirty(position);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * @private
+   */
+  tickTorch(position, block) {
+    const state = this.getComponentState(position, block);
+    const shouldBeLit = !this.isTorchInputPowered(position, block);
+
+    if (state.burnedOutUntil > this.currentTick) {
+      this.schedule(position, state.burnedOutUntil - this.currentTick, 0);
+      return;
+    }
+    if (shouldBeLit === state.lit) return;
+
+    const toggles = state.toggles.filter(tick => this.currentTick - tick < TORCH_BURNOUT_WINDOW);
+    toggles.push(this.currentTick);
+
+    if (shouldBeLit && toggles.length > TORCH_BURNOUT_TOGGLES) {
+      // Rapid clock: stay off for a while instead of oscillating forever
+      this.setComponentState(position, block, {
+        toggles: [],
+        burnedOutUntil: this.currentTick + TORCH_BURNOUT_COOLDOWN
+      });
+      this.schedule(position, TORCH_BURNOUT_COOLDOWN, 0);
+      this.emit('torchBurnout', { position: { ...position } });
+      return;
+    }
+
+    this.setComponentState(position, block, { lit: shouldBeLit, toggles });
+    this.markNeighborsDirty(position);
+  }
+
+  /**
+   * @private
+   */
+  tickRepeater(position, block) {
+    const state = this.getComponentState(position, block);
+    if (state.locked) return;
+
+    const shouldPower = this.getRepeaterInput(position, block) > 0;
+    if (state.powered && !shouldPower) {
+      this.setComponentState(position, block, { powered: false });
+      this.markNeighborsDirty(position);
+    } else if (!state.powered) {
+      this.setComponentState(position, block, { powered: true });
+      this.markNeighborsDirty(position);
+      // A pulse shorter than the delay is stretched to the delay
+      if (!shouldPower) {
+        this.schedule(position, this.getRepeaterDelay(block), -2);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  tickComparator(position, block) {
+    const state = this.getComponentState(position, block);
+    const output = this.getComparatorOutput(position, block);
+    if (output !== state.output) {
+      this.setComponentState(position, block, { output });
+      this.markNeighborsDirty(position);
+    }
+  }
+
+  /**
+   * Queue a position for re-evaluation
+   * @param {Object} position - Block position
+   */
+  markDirty(position) {
+    const key = this.getPositionKey(position);
+    if (this.pendingKeys.has(key)) return;
+    this.pendingKeys.add(key);
+    this.pendingUpdates.push({ ...position });
+  }
+
+  /**
+   * Queue the six neighbors of a position for re-evaluation
+   * @param {Object} position - Block position
+   * @param {Set} skipKeys - Position keys not to queue
+   */
+  markNeighborsDirty(position, skipKeys = null) {
+    for (const direction of UPDATE_ORDER) {
+      const neighbor = this.offset(position, direction);
+      if (!skipKeys || !skipKeys.has(this.getPositionKey(neighbor))) {
+        this.markDirty(neighbor);
+      }
+    }
+  }
+
+  /**
+   * Evaluate queued positions until the circuit is stable
+   */
+  processUpdates() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let processed = 0;
+      while (this.pendingUpdates.length > 0) {
+        if (++processed > MAX_UPDATES_PER_TICK) {
+          console.warn('[RedstoneManager] Update limit reached, deferring remaining updates');
+          break;
+        }
+        const position = this.pendingUpdates.shift();
+        // Skip positions already handled, e.g. wires solved with their network
+        if (this.pendingKeys.delete(this.getPositionKey(position))) {
+          this.evaluate(position);
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Re-evaluate a single position
+   * @private
+   * @param {Object} position - Block position
+   */
+  evaluate(position) {
+    const block = this.getBlock(position);
+    const kind = this.getComponentKind(block);
+
+    switch (kind) {
+      case 'wire':
+        this.updateWireNetwork(position);
+        return;
+      case 'torch': {
+        const state = this.getComponentState(position, block);
+        if (state.lit === this.isTorchInputPowered(position, block)) {
+          this.schedule(position, TORCH_DELAY, 0);
+        }
+        return;
+      }
+      case 'repeater':
+        this.evaluateRepeater(position, block);
+        return;
+      case 'comparator': {
+        const state = this.getComponentState(position, block);
+        if (this.getComparatorOutput(position, block) !== state.output) {
+          this.schedule(position, COMPARATOR_DELAY, this.isFacingDiode(position, block) ? -1 : 0);
+        }
+        return;
+      }
+      case 'lever':
+      case 'button':
+      case 'redstone_block':
+        return;
+      default:
+        break;
+    }
+
+    const key = this.getPositionKey(position);
+
+    if (this.isConductor(block)) {
+      const strong = this.getPowerInto(position, true);
+      const weak = Math.max(strong, this.getPowerInto(position, false));
+      const signature = strong * 16 + weak;
+      if ((this.conductorPower.get(key) || 0) !== signature) {
+        if (signature > 0) {
+          this.conductorPower.set(key, signature);
+        } else {
+          this.conductorPower.delete(key);
+        }
+        this.markNeighborsDirty(position);
+      }
+    } else {
+      this.conductorPower.delete(key);
+    }
+
+    if (this.isSink(block)) {
+      const power = this.getReceivedPower(position);
+      const previous = this.sinkPower.get(key) || 0;
+      if (power !== previous) {
+        this.sinkPower.set(key, power);
+        this.notifySink(position, block, power, previous);
       }
+    } else {
+      this.sinkPower.delete(key);
+    }
+  }
+
+  /**
+   * @private
+   */
+  evaluateRepeater(position, block) {
+    const state = this.getComponentState(position, block);
+    const locked = this.isRepeaterLocked(position, block);
+    if (locked !== state.locked) {
+      this.setComponentState(position, block, { locked });
     }
+    if (locked) return;
+
+    const shouldPower = this.getRepeaterInput(position, block) > 0;
+    if (shouldPower === state.powered) return;
+
+    let priority = -1;
+    if (this.isFacingDiode(position, block)) {
+      priority = -3;
+    } else if (state.powered) {
+      priority = -2;
+    }
+    this.schedule(position, this.getRepeaterDelay(block), priority);
+  }
+
+  /**
+   * Recompute the power of every wire connected to a position
+   * @private
+   * @param {Object} start - Position of a wire
+   */
+  updateWireNetwork(start) {
+    // Collect the connected wires in breadth-first order
+    const network = [];
+    const indexByKey = new Map();
+    const queue = [start];
+    indexByKey.set(this.getPositionKey(start), 0);
+
+    while (queue.length > 0 && network.length < MAX_WIRE_NETWORK) {
+      const position = queue.shift();
+      network.push(position);
+      for (const neighbor of this.getConnectedWires(position)) {
+        const key = this.getPositionKey(neighbor);
+        if (!indexByKey.has(key)) {
+          indexByKey.set(key, indexByKey.size);
+          queue.push(neighbor);
+        }
+      }
+    }
+
+    // Power entering the network from anything that isn't dust
+    const levels = network.map(position => this.getWireInput(position));
+
+    // Spread the strongest levels first, losing one per wire
+    const buckets = Array.from({ length: MAX_POWER + 1 }, () => []);
+    levels.forEach((level, index) => {
+      if (level > 0) buckets[level].push(index);
+    });
+
+    for (let level = MAX_POWER; level > 1; level--) {
+      for (const index of buckets[level]) {
+        if (levels[index] !== level) continue;
+        for (const neighbor of this.getConnectedWires(network[index])) {
+          const neighborIndex = indexByKey.get(this.getPositionKey(neighbor));
+          if (neighborIndex === undefined || neighborIndex >= network.length) continue;
+          if (levels[neighborIndex] < level - 1) {
+            levels[neighborIndex] = level - 1;
+            buckets[level - 1].push(neighborIndex);
+          }
+        }
+      }
+    }
+
+    const networkKeys = new Set(network.map(position => this.getPositionKey(position)));
+    network.forEach((position, index) => {
+      const key = this.getPositionKey(position);
+      this.pendingKeys.delete(key);
+      const shape = this.getWireOutputs(position).join(',');
+      const previous = this.wirePower.get(key) || 0;
+      const previousShape = this.wireShapes.get(key);
+
+      this.wireShapes.set(key, shape);
+      if (levels[index] === previous && shape === previousShape) return;
+
+      this.wirePower.set(key, levels[index]);
+      this.markNeighborsDirty(position, networkKeys);
+
+      if (levels[index] !== previous) {
+        this.emitComponentChange(position, this.getBlock(position), { kind: 'wire', power: levels[index] });
+      }
+    });
+  }
+
+  /**
+   * Get the strongest non-dust input to a wire
+   * @private
+   */
+  getWireInput(position) {
+    let input = 0;
+    for (const direction of UPDATE_ORDER) {
+      const neighbor = this.offset(position, direction);
+      if (this.getComponentKind(this.getBlock(neighbor)) === 'wire') continue;
+      input = Math.max(input, this.getInputFrom(neighbor, OPPOSITE[direction], true));
+      if (input === MAX_POWER) break;
+    }
+    return input;
+  }
+
+  /**
+   * Get the wires connected to a wire, including wires a step up or down
+   * @private
+   */
+  getConnectedWires(position) {
+    const wires = [];
+    const above = this.getBlock(this.offset(position, 'up'));
+    const canStepUp = !this.isConductor(above);
+
+    for (const direction of HORIZONTAL) {
+      const side = this.offset(position, direction);
+      const sideBlock = this.getBlock(side);
+      if (this.getComponentKind(sideBlock) === 'wire') {
+        wires.push(side);
+        continue;
+      }
+
+      const sideAbove = this.offset(side, 'up');
+      if (canStepUp && this.isConductor(sideBlock) &&
+          this.getComponentKind(this.getBlock(sideAbove)) === 'wire') {
+        wires.push(sideAbove);
+      }
+
+      const sideBelow = this.offset(side, 'down');
+      if (!this.isConductor(sideBlock) &&
+          this.getComponentKind(this.getBlock(sideBelow)) === 'wire') {
+        wires.push(sideBelow);
+      }
+    }
+    return wires;
+  }
+
+  /**
+   * Get the horizontal directions a wire points in. A lone dot points
+   * everywhere and a wire with one connection also points away from it.
+   * @private
+   */
+  getWireOutputs(position) {
+    const above = this.getBlock(this.offset(position, 'up'));
+    const canStepUp = !this.isConductor(above);
+    const connected = [];
+
+    for (const direction of HORIZONTAL) {
+      const side = this.offset(position, direction);
+      const sideBlock = this.getBlock(side);
+      if (this.connectsToWire(side, sideBlock, direction)) {
+        connected.push(direction);
+      } else if (this.isConductor(sideBlock)) {
+        if (canStepUp && this.getComponentKind(this.getBlock(this.offset(side, 'up'))) === 'wire') {
+          connected.push(direction);
+        }
+      } else if (this.getComponentKind(this.getBlock(this.offset(side, 'down'))) === 'wire') {
+        connected.push(direction);
+      }
+    }
+
+    if (connected.length === 0) return HORIZONTAL.slice();
+    if (connected.length === 1) {
+      return HORIZONTAL.filter(direction =>
+        direction === connected[0] || direction === OPPOSITE[connected[0]]);
+    }
+    return connected;
+  }
+
+  /**
+   * Check whether the block beside a wire makes the wire turn towards it
+   * @private
+   */
+  connectsToWire(position, block, direction) {
+    const kind = this.getComponentKind(block);
+    if (kind === 'repeater') {
+      const facing = this.getFacing(block);
+      return facing === direction || facing === OPPOSITE[direction];
+    }
+    if (kind) return true;
+    if (!block) return this.externalSignals.has(this.getPositionKey(position));
+    return typeof block.getRedstonePower === 'function' ||
+      this.externalSignals.has(this.getPositionKey(position));
+  }
+
+  /**
+   * Power a component or sink receives from the block at a position
+   * @private
+   * @param {Object} position - Position of the neighbor providing power
+   * @param {string} direction - Direction from the neighbor to the receiver
+   * @param {boolean} forWire - Whether the receiver is dust (ignores weakly powered blocks)
+   * @returns {number} Power level
+   */
+  getInputFrom(position, direction, forWire = false) {
+    const block = this.getBlock(position);
+    const signal = this.getSignal(position, block, direction);
+    if (this.getComponentKind(block) || !this.isConductor(block)) {
+      return signal;
+    }
+    return Math.max(signal, this.getPowerInto(position, forWire));
+  }
+
+  /**
+   * Power a solid block receives from its neighbors
+   * @private
+   * @param {Object} position - Position of the solid block
+   * @param {boolean} strongOnly - Ignore power from dust
+   * @returns {number} Power level
+   */
+  getPowerInto(position, strongOnly = false) {
+    let power = 0;
+    for (const direction of UPDATE_ORDER) {
+      const neighbor = this.offset(position, direction);
+      const block = this.getBlock(neighbor);
+      if (strongOnly && this.getComponentKind(block) === 'wire') continue;
+      power = Math.max(power, this.getDirectSignal(neighbor, block, OPPOSITE[direction]));
+      if (power === MAX_POWER) break;
+    }
+    return power;
+  }
+
+  /**
+   * Strongest signal reaching a position from its neighbors
+   * @param {Object} position - Receiving position
+   * @param {Array<string>} ignoredSides - Sides to ignore, e.g. a piston's front
+   * @returns {number} Power level (0-15)
+   */
+  getReceivedPower(position, ignoredSides = []) {
+    let power = 0;
+    for (const direction of UPDATE_ORDER) {
+      if (ignoredSides.includes(direction)) continue;
+      power = Math.max(power, this.getInputFrom(this.offset(position, direction), OPPOSITE[direction]));
+      if (power === MAX_POWER) break;
+    }
+    return power;
+  }
+
+  /**
+   * Signal a block emits towards an adjacent component
+   * @private
+   * @param {Object} position - Emitter position
+   * @param {Object} block - Emitter block
+   * @param {string} direction - Direction from the emitter to the receiver
+   * @returns {number} Power level
+   */
+  getSignal(position, block, direction) {
+    const key = this.getPositionKey(position);
+    let power = this.externalSignals.get(key) || 0;
+
+    const pulse = this.pulses.get(key);
+    if (pulse && pulse.direction === direction) {
+      power = Math.max(power, pulse.power);
+    }
+
+    if (block && typeof block.getRedstonePower === 'function') {
+      power = Math.max(power, this.clampPower(block.getRedstonePower()));
+    }
+
+    switch (this.getComponentKind(block)) {
+      case 'wire':
+        if (direction === 'down' || this.getWireOutputs(position).includes(direction)) {
+          power = Math.max(power, this.wirePower.get(key) || 0);
+        }
+        break;
+      case 'torch': {
+        const state = this.getComponentState(position, block);
+        if (state.lit && direction !== this.getAttachment(block)) {
+          power = MAX_POWER;
+        }
+        break;
+      }
+      case 'lever':
+      case 'button':
+        if (this.getComponentState(position, block).powered) {
+          power = MAX_POWER;
+        }
+        break;
+      case 'redstone_block':
+        power = MAX_POWER;
+        break;
+      case 'repeater':
+        if (direction === this.getFacing(block) && this.getComponentState(position, block).powered) {
+          power = MAX_POWER;
+        }
+        break;
+      case 'comparator':
+        if (direction === this.getFacing(block)) {
+          power = Math.max(power, this.getComponentState(position, block).output);
+        }
+        break;
+      default:
+        break;
+    }
+    return power;
+  }
+
+  /**
+   * Signal a block pushes into an adjacent solid block
+   * @private
+   */
+  getDirectSignal(position, block, direction) {
+    const key = this.getPositionKey(position);
+    const pulse = this.pulses.get(key);
+    if (pulse && pulse.direction === direction) {
+      return pulse.power;
+    }
+
+    switch (this.getComponentKind(block)) {
+      case 'wire':
+        return this.getSignal(position, block, direction);
+      case 'torch':
+        return direction === 'up' ? this.getSignal(position, block, direction) : 0;
+      case 'lever':
+      case 'button':
+        return direction === this.getAttachment(block) && this.getComponentState(position, block).powered ?
+          MAX_POWER : 0;
+      case 'repeater':
+      case 'comparator':
+        return this.getSignal(position, block, direction);
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * @private
+   */
+  isTorchInputPowered(position, block) {
+    const attachment = this.getAttachment(block);
+    return this.getInputFrom(this.offset(position, attachment), OPPOSITE[attachment]) > 0;
+  }
+
+  /**
+   * @private
+   */
+  getRepeaterInput(position, block) {
+    const facing = this.getFacing(block);
+    return this.getInputFrom(this.offset(position, OPPOSITE[facing]), facing);
+  }
+
+  /**
+   * @private
+   */
+  getRepeaterDelay(block) {
+    const delay = Math.floor(Number(this.getProperty(block, 'delay', 1))) || 1;
+    return Math.min(4, Math.max(1, delay)) * 2;
+  }
+
+  /**
+   * A repeater is locked while a powered diode points into its side
+   * @private
+   */
+  isRepeaterLocked(position, block) {
+    const facing = this.getFacing(block);
+    for (const side of this.getSides(facing)) {
+      const sidePosition = this.offset(position, side);
+      const sideBlock = this.getBlock(sidePosition);
+      const kind = this.getComponentKind(sideBlock);
+      if ((kind === 'repeater' || kind === 'comparator') &&
+          this.getFacing(sideBlock) === OPPOSITE[side] &&
+          this.getSignal(sidePosition, sideBlock, OPPOSITE[side]) > 0) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Compute a comparator's output from its rear and side inputs
+   * @private
+   */
+  getComparatorOutput(position, block) {
+    const facing = this.getFacing(block);
+    const rearPosition = this.offset(position, OPPOSITE[facing]);
+    const rear = this.getComparatorRearInput(rearPosition, facing);
+
+    let side = 0;
+    for (const direction of this.getSides(facing)) {
+      const sidePosition = this.offset(position, direction);
+      const sideBlock = this.getBlock(sidePosition);
+      const kind = this.getComponentKind(sideBlock);
+      // Only dust, diodes and redstone blocks feed the sides
+      if (kind === 'wire' || kind === 'repeater' || kind === 'comparator' || kind === 'redstone_block') {
+        side = Math.max(side, this.getSignal(sidePosition, sideBlock, OPPOSITE[direction]));
+      }
+    }
+
+    if (this.getProperty(block, 'mode', 'compare') === 'subtract') {
+      return Math.max(0, rear - side);
+    }
+    return rear >= side ? rear : 0;
+  }
+
+  /**
+   * Comparators measure containers behind them, otherwise the signal level
+   * @private
+   */
+  getComparatorRearInput(position, facing) {
+    const block = this.getBlock(position);
+    if (block && typeof block.getComparatorOutput === 'function') {
+      return this.clampPower(block.getComparatorOutput());
+    }
+    const key = this.getPositionKey(position);
+    if (this.containerOutputs.has(key)) {
+      return this.containerOutputs.get(key);
+    }
+    return this.getInputFrom(position, facing);
+  }
+
+  /**
+   * @private
+   */
+  isFacingDiode(position, block) {
+    const front = this.getBlock(this.offset(position, this.getFacing(block)));
+    const kind = this.getComponentKind(front);
+    return (kind === 'repeater' || kind === 'comparator') && this.getFacing(front) !== this.getFacing(block);
+  }
+
+  /**
+   * Notify a sink that the power reaching it changed
+   * @private
+   */
+  notifySink(position, block, power, previous) {
+    if (typeof block.setPowered === 'function') {
+      block.setPowered(power > 0);
+    } else if (typeof block.updateRedstoneState === 'function') {
+      block.updateRedstoneState(power);
+    }
+    this.emit('powerChanged', { position: { ...position }, block, power, previous });
+  }
+
+  /**
+   * Get (and lazily create) the state of a component
+   * @private
+   */
+  getComponentState(position, block) {
+    const key = this.getPositionKey(position);
+    const kind = this.getComponentKind(block);
+    let state = this.componentStates.get(key);
+    if (!state || state.kind !== kind) {
+      state = { kind };
+      switch (kind) {
+        case 'torch':
+          state.lit = true;
+          state.toggles = [];
+          state.burnedOutUntil = 0;
+          break;
+        case 'repeater':
+          state.powered = false;
+          state.locked = false;
+          break;
+        case 'comparator':
+          state.output = 0;
+          break;
+        case 'lever':
+        case 'button':
+          state.powered = !!this.getProperty(block, 'powered', false);
+          break;
+        default:
+          break;
+      }
+      this.componentStates.set(key, state);
+    }
+    return state;
+  }
+
+  /**
+   * @private
+   */
+  setComponentState(position, block, changes) {
+    const state = Object.assign(this.getComponentState(position, block), changes);
+    this.emitComponentChange(position, block, state);
+  }
+
+  /**
+   * Broadcast a component change and let observers see it
+   * @private
+   */
+  emitComponentChange(position, block, state) {
+    const publicState = { ...state };
+    delete publicState.toggles;
+
+    this.emit('componentChanged', {
+      position: { ...position },
+      type: this.getBlockType(block),
+      state: publicState
+    });
+
+    if (this.observerManager) {
+      this.observerManager.updateBlockState({
+        position: { ...position },
+        type: this.getBlockType(block),
+        state: publicState
+      });
+    }
+  }
+
+  /**
+   * Classify a block as a redstone component
+   * @param {Object} block - Block
+   * @returns {string|null} Component kind, or null for other blocks
+   */
+  getComponentKind(block) {
+    const type = this.getBlockType(block);
+    if (!type) return null;
+    if (COMPONENT_TYPES[type]) return COMPONENT_TYPES[type];
+    if (type.endsWith('_button')) return 'button';
+    return null;
+  }
+
+  /**
+   * Check whether a block conducts power (solid, opaque, not a component)
+   * @param {Object} block - Block
+   * @returns {boolean} Whether the block is a conductor
+   */
+  isConductor(block) {
+    const type = this.getBlockType(block);
+    if (!type || this.getComponentKind(block)) return false;
+    if (NON_CONDUCTORS.has(type) || type.endsWith('_glass') || type.endsWith('_leaves')) return false;
+    if (typeof block.getRedstonePower === 'function') return false;
+    return block.solid !== false && block.transparent !== true;
+  }
+
+  /**
+   * @private
+   */
+  isSink(block) {
+    if (!block) return false;
+    return typeof block.setPowered === 'function' ||
+      typeof block.updateRedstoneState === 'function' ||
+      SINK_TYPES.has(this.getBlockType(block));
+  }
+
+  /**
+   * Direction from an attached component to the block holding it
+   * @private
+   */
+  getAttachment(block) {
+    const attached = this.getProperty(block, 'attached', null);
+    if (DIRECTIONS[attached]) return attached;
+    if (this.getBlockType(block) === 'redstone_wall_torch') {
+      return OPPOSITE[this.getFacing(block)];
+    }
+    return 'down';
+  }
+
+  /**
+   * @private
+   */
+  getFacing(block) {
+    const facing = this.getProperty(block, 'facing', 'north');
+    return DIRECTIONS[facing] ? facing : 'north';
+  }
+
+  /**
+   * Horizontal directions to the left and right of a facing
+   * @private
+   */
+  getSides(facing) {
+    if (facing === 'north' || facing === 'south') return ['west', 'east'];
+    if (facing === 'east' || facing === 'west') return ['north', 'south'];
+    return [];
+  }
+
+  /**
+   * Read a block property from its state, metadata or the block itself
+   * @private
+   */
+  getProperty(block, name, fallback) {
+    if (!block) return fallback;
+    for (const source of [block.state, block.metadata, block.properties]) {
+      if (source && source[name] !== undefined) return source[name];
+    }
+    return block[name] !== undefined ? block[name] : fallback;
+  }
+
+  /**
+   * @private
+   */
+  getBlockType(block) {
+    if (!block) return null;
+    return block.type || block.id || null;
+  }
+
+  /**
+   * @private
+   */
+  getBlock(position) {
+    if (!this.world) return null;
+    if (typeof this.world.getBlockAt === 'function') {
+      return this.world.getBlockAt(position.x, position.y, position.z) || null;
+    }
+    if (typeof this.world.getBlock === 'function') {
+      return this.world.getBlock(position.x, position.y, position.z) || null;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  getBlockPosition(block) {
+    if (!block || typeof block !== 'object') return null;
+    if (block.position && typeof block.position.x === 'number') return block.position;
+    if (typeof block.x === 'number' && typeof block.y === 'number' && typeof block.z === 'number') {
+      return { x: block.x, y: block.y, z: block.z };
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  offset(position, direction) {
+    const delta = DIRECTIONS[direction];
+    return { x: position.x + delta.x, y: position.y + delta.y, z: position.z + delta.z };
+  }
+
+  /**
+   * @private
+   */
+  clampPower(level) {
+    const power = Math.floor(Number(level) || 0);
+    return Math.max(0, Math.min(MAX_POWER, power));
+  }
+
+  /**
+   * @private
+   */
+  getPositionKey(position) {
+    return `${position.x},${position.y},${position.z}`;
   }
 }
 
-module.exports = RedstoneManager; 
\ No newline at end of file
+RedstoneManager.DIRECTIONS = DIRECTIONS;
+RedstoneManager.OPPOSITE = OPPOSITE;
+RedstoneManager.MAX_POWER = MAX_POWER;
+
+module.exports = RedstoneManager;
@@ -0,0 +1,364 @@
+/**
+ * WebMapManager - Top-down tiles of the whole world for the browser web map
+ *
+ * Tiles are TILE_SIZE pixels square. At zoom 0 a pixel is one block; each
+ * zoom level above doubles the blocks per pixel, so a zoom 4 tile covers
+ * 4096 blocks. Pixels use the map palette and shading of MapRenderer.
+ *
+ * The top block of every column is worked out once per chunk and kept in a
+ * chunk summary. Summaries and PNG tiles are cached; a block change drops the
+ * summary of its chunk and every cached tile over it, and emits
+ * 'tileInvalidated' so open browsers fetch the tile again.
+ */
+
+const EventEmitter = require('events');
+const MapRenderer = require('../rendering/mapRenderer');
+const { BaseColor, getBlockColor, packColor, getPixelRGBA } = require('../rendering/mapColors');
+const { encodePNG } = require('../rendering/png');
+
+// Tile size in pixels and the coarsest zoom level
+const TILE_SIZE = 256;
+const MAX_ZOOM = 4;
+
+const CHUNK_SIZE = 16;
+
+// Cache sizes: PNG tiles and per-chunk column summaries
+const MAX_CACHED_TILES = 256;
+const MAX_CACHED_CHUNKS = 4096;
+
+const WATER_TYPES = new Set(['water', 'flowing_water']);
+
+class WebMapManager extends EventEmitter {
+  /**
+   * Create a new web map manager
+   * @param {Object} [options] - Manager options
+   * @param {Function} [options.getPlayers] - Online players: () => Array
+   * @param {Function} [options.getVillages] - Known villages: () => Object|Array
+   * @param {Function} [options.getStructures] - Placed structures: () => Iterable
+   * @param {Function} [options.now] - Clock, defaults to Date.now
+   */
+  constructor(options = {}) {
+    super();
+    this.getPlayers = options.getPlayers || (() => []);
+    this.getVillages = options.getVillages || (() => []);
+    this.getStructures = options.getStructures || (() => []);
+    this.now = options.now || Date.now;
+
+    // Renderer for shading and for dimensions read block by block
+    this.renderer = new MapRenderer();
+
+    // Dimension id -> block source
+    this.dimensions = new Map();
+    // "dimension/zoom/x/z" -> { png, renderedAt }, oldest first
+    this.tiles = new Map();
+    // "dimension:chunkX,chunkZ" -> column summary, oldest first
+    this.chunks = new Map();
+  }
+
+  /**
+   * Make a dimension available on the web map
+   * @param {string} dimension - Dimension id
+   * @param {Object} source - Where its blocks come from, either
+   *   getChunkBlocks(chunkX, chunkZ) returning blocks keyed "x,y,z", or
+   *   getBlock(x, y, z) read downwards from topY; the nether uses a topY
+   *   under its bedrock roof
+   * @param {number} [source.topY=255] - Highest y read with getBlock
+   * @param {number} [source.minY=0] - Lowest y read with getBlock
+   * @param {number} [source.maxAge] - Milliseconds a tile stays cached when
+   *   the dimension does not report block changes
+   */
+  addDimension(dimension, source) {
+    this.dimensions.set(dimension, source);
+  }
+
+  /**
+   * @returns {Array<string>} Dimensions on the web map
+   */
+  getDimensions() {
+    return Array.from(this.dimensions.keys());
+  }
+
+  /**
+   * Get a tile as a PNG image, rendering it if it is not cached
+   * @param {string} dimension - Dimension id
+   * @param {number} zoom - Zoom level, 0 to MAX_ZOOM
+   * @param {number} tileX - Tile x
+   * @param {number} tileZ - Tile z
+   * @returns {Buffer|null} PNG file contents, null for an unknown dimension or zoom
+   */
+  getTile(dimension, zoom, tileX, tileZ) {
+    const source = this.dimensions.get(dimension);
+    if (!source || !isValidZoom(zoom)) return null;
+
+    const key = getTileKey(dimension, zoom, tileX, tileZ);
+    const cached = this.tiles.get(key);
+    if (cached && !(source.maxAge && this.now() - cached.renderedAt > source.maxAge)) {
+      // Move to the back so the least recently used tile is evicted first
+      this.tiles.delete(key);
+      this.tiles.set(key, cached);
+      return cached.png;
+    }
+
+    const png = encodePNG(this.renderTile(dimension, zoom, tileX, tileZ), TILE_SIZE, TILE_SIZE);
+    this.tiles.set(key, { png, renderedAt: this.now() });
+    evictOldest(this.tiles, MAX_CACHED_TILES);
+    return png;
+  }
+
+  /**
+   * Render a tile's pixels
+   * @param {string} dimension - Dimension id
+   * @param {number} zoom - Zoom level
+   * @param {number} tileX - Tile x
+   * @param {number} tileZ - Tile z
+   * @returns {Uint8ClampedArray} TILE_SIZE * TILE_SIZE * 4 RGBA bytes, unexplored land transparent
+   */
+  renderTile(dimension, zoom, tileX, tileZ) {
+    const blocksPerPixel = 1 << zoom;
+    const originX = tileX * TILE_SIZE * blocksPerPixel;
+    const originZ = tileZ * TILE_SIZE * blocksPerPixel;
+    const rgba = new Uint8ClampedArray(TILE_SIZE * TILE_SIZE * 4);
+
+    for (let px = 0; px < TILE_SIZE; px++) {
+      const x = originX + px * blocksPerPixel;
+      // Height of the pixel north of the current one, for shading
+      let previousHeight = this.getColumn(dimension, x, originZ - blocksPerPixel).height;
+
+      for (let pz = 0; pz < TILE_SIZE; pz++) {
+        const column = this.getColumn(dimension, x, originZ + pz * blocksPerPixel);
+        if (column.color !== BaseColor.NONE) {
+          const shade = this.renderer.getShade(column, previousHeight, px, pz, blocksPerPixel);
+          rgba.set(getPixelRGBA(packColor(column.color, shade)), (pz * TILE_SIZE + px) * 4);
+        }
+        previousHeight = column.height;
+      }
+    }
+
+    return rgba;
+  }
+
+  /**
+   * Top visible block of a column, from its chunk summary
+   * @param {string} dimension - Dimension id
+   * @param {number} x - Block x
+   * @param {number} z - Block z
+   * @returns {Object} { color, height, waterDepth }
+   */
+  getColumn(dimension, x, z) {
+    const chunkX = Math.floor(x / CHUNK_SIZE);
+    const chunkZ = Math.floor(z / CHUNK_SIZE);
+    const key = `${dimension}:${chunkX},${chunkZ}`;
+
+    let summary = this.chunks.get(key);
+    if (!summary) {
+      summary = this.summarizeChunk(dimension, chunkX, chunkZ);
+      this.chunks.set(key, summary);
+      evictOldest(this.chunks, MAX_CACHED_CHUNKS);
+    }
+
+    const index = (z - chunkZ * CHUNK_SIZE) * CHUNK_SIZE + (x - chunkX * CHUNK_SIZE);
+    if (summary.known && !summary.known[index]) {
+      this.sampleColumn(dimension, summary, index, x, z);
+    }
+    return {
+      color: summary.colors[index],
+      height: summary.heights[index],
+      waterDepth: summary.waterDepths[index]
+    };
+  }
+
+  /**
+   * Summarize the columns of a chunk. Chunk block maps are summarized in one
+   * pass; dimensions read block by block fill in a column when it is first
+   * asked for, since zoomed-out tiles only look at a few columns per chunk
+   * @param {string} dimension - Dimension id
+   * @param {number} chunkX - Chunk x
+   * @param {number} chunkZ - Chunk z
+   * @returns {Object} { colors, heights, waterDepths, known }, one entry per column
+   */
+  summarizeChunk(dimension, chunkX, chunkZ) {
+    const source = this.dimensions.get(dimension);
+    if (!source) return EMPTY_SUMMARY;
+
+    if (typeof source.getChunkBlocks === 'function') {
+      const blocks = source.getChunkBlocks(chunkX, chunkZ);
+      if (!blocks || Object.keys(blocks).length === 0) return EMPTY_SUMMARY;
+
+      const summary = createSummary();
+      summarizeChunkBlocks(summary, blocks, chunkX, chunkZ);
+      return summary;
+    }
+
+    const summary = createSummary();
+    summary.known = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+    return summary;
+  }
+
+  /**
+   * Read one column of a dimension that is read block by block
+   * @private
+   */
+  sampleColumn(dimension, summary, index, x, z) {
+    const source = this.dimensions.get(dimension);
+    const topY = source.topY !== undefined ? source.topY : 255;
+    const minY = source.minY || 0;
+    const column = this.renderer.sampleColumn({
+      getBlock: source.getBlock,
+      getMaxHeight: () => topY + 1,
+      getMinHeight: () => minY
+    }, x, z);
+
+    summary.colors[index] = column.color;
+    summary.heights[index] = column.height;
+    summary.waterDepths[index] = Math.min(255, column.waterDepth);
+    summary.known[index] = 1;
+  }
+
+  /**
+   * Drop what a block change makes stale and tell browsers which tiles to reload
+   * @param {string} dimension - Dimension id
+   * @param {number} x - Block x
+   * @param {number} z - Block z
+   */
+  onBlockChanged(dimension, x, z) {
+    this.chunks.delete(`${dimension}:${Math.floor(x / CHUNK_SIZE)},${Math.floor(z / CHUNK_SIZE)}`);
+
+    for (let zoom = 0; zoom <= MAX_ZOOM; zoom++) {
+      const blocksPerTile = TILE_SIZE << zoom;
+      const tileX = Math.floor(x / blocksPerTile);
+      const tileZ = Math.floor(z / blocksPerTile);
+      if (this.tiles.delete(getTileKey(dimension, zoom, tileX, tileZ))) {
+        this.emit('tileInvalidated', { dimension, zoom, x: tileX, z: tileZ });
+      }
+    }
+  }
+
+  /**
+   * Drop every cached tile and summary, e.g. after another world was loaded
+   */
+  clear() {
+    this.tiles.clear();
+    this.chunks.clear();
+    this.emit('cleared');
+  }
+
+  /**
+   * Players, villages and structures to draw over the tiles
+   * @returns {Object} { players, villages, structures }
+   */
+  getMarkers() {
+    const players = this.getPlayers()
+      .filter(player => player && player.position)
+      .map(player => ({
+        id: player.id,
+        name: player.username || player.name || player.id,
+        dimension: player.dimension || 'overworld',
+        x: Math.floor(player.position.x),
+        y: Math.floor(player.position.y),
+        z: Math.floor(player.position.z)
+      }));
+
+    const villages = Object.values(this.getVillages() || {})
+      .map(village => ({ village, position: village && (village.position || village.center) }))
+      .filter(({ position }) => position)
+      .map(({ village, position }) => ({
+        id: village.id,
+        name: village.name || 'Village',
+        dimension: village.dimension || 'overworld',
+        x: Math.floor(position.x),
+        z: Math.floor(position.z)
+      }));
+
+    const structures = Array.from(this.getStructures() || [])
+      .filter(structure => structure && structure.position)
+      .map(structure => ({
+        type: structure.type,
+        dimension: structure.dimension || 'overworld',
+        x: Math.floor(structure.position.x),
+        z: Math.floor(structure.position.z)
+      }));
+
+    return { players, villages, structures };
+  }
+}
+
+/**
+ * @private
+ */
+function createSummary() {
+  const columns = CHUNK_SIZE * CHUNK_SIZE;
+  return {
+    colors: new Uint8Array(columns),
+    heights: new Int16Array(columns),
+    waterDepths: new Uint8Array(columns),
+    known: null
+  };
+}
+
+// Shared summary of chunks without blocks
+const EMPTY_SUMMARY = Object.freeze(createSummary());
+
+/**
+ * Keep the highest visible block of each column of a chunk's block map
+ * @private
+ */
+function summarizeChunkBlocks(summary, blocks, chunkX, chunkZ) {
+  const waterTops = new Map();
+  summary.heights.fill(-1);
+
+  for (const posKey in blocks) {
+    const block = blocks[posKey];
+    const type = block && (block.type || block.id);
+    const color = getBlockColor(type);
+    if (color === BaseColor.NONE) continue;
+
+    const [x, y, z] = posKey.split(',').map(Number);
+    const index = (z - chunkZ * CHUNK_SIZE) * CHUNK_SIZE + (x - chunkX * CHUNK_SIZE);
+    if (y > summary.heights[index]) {
+      summary.heights[index] = y;
+      summary.colors[index] = color;
+    }
+    if (WATER_TYPES.has(type)) {
+      waterTops.set(index, (waterTops.get(index) || 0) + 1);
+    }
+  }
+
+  // Water depth is the water in the column, counted only where water is on top
+  for (const [index, depth] of waterTops) {
+    if (summary.colors[index] === BaseColor.WATER) {
+      summary.waterDepths[index] = Math.min(255, depth);
+    }
+  }
+  for (let index = 0; index < summary.heights.length; index++) {
+    if (summary.heights[index] < 0) summary.heights[index] = 0;
+  }
+}
+
+/**
+ * @private
+ */
+function getTileKey(dimension, zoom, tileX, tileZ) {
+  return `${dimension}/${zoom}/${tileX}/${tileZ}`;
+}
+
+/**
+ * @private
+ */
+function isValidZoom(zoom) {
+  return Number.isInteger(zoom) && zoom >= 0 && zoom <= MAX_ZOOM;
+}
+
+/**
+ * Drop the oldest entries of an insertion-ordered cache over its size
+ * @private
+ */
+function evictOldest(cache, maxSize) {
+  while (cache.size > maxSize) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+WebMapManager.TILE_SIZE = TILE_SIZE;
+WebMapManager.MAX_ZOOM = MAX_ZOOM;
+
+module.exports = WebMapManager;
@@ -0,0 +1,266 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommandDispatcher = require('../commands/commandDispatcher');
+const PermissionManager = require('../commands/permissionManager');
+const EntitySelector = require('../commands/entitySelector');
+const MobManager = require('../mobs/mobManager');
+const StatusEffectsManager = require('../entities/statusEffectsManager');
+const WeatherSystem = require('../weather/weatherSystem');
+
+describe('Chat commands', () => {
+  let opsFile;
+  let players;
+  let steve;
+  let alex;
+  let blocks;
+  let time;
+  let mobManager;
+  let effects;
+  let weather;
+  let permissions;
+  let dispatcher;
+
+  beforeEach(() => {
+    opsFile = path.join(os.tmpdir(), `ops-${process.pid}.json`);
+    fs.writeFileSync(opsFile, JSON.stringify([{ name: 'Steve', level: 4 }]));
+
+    steve = { id: 's1', name: 'Steve', position: { x: 0.5, y: 1, z: 0.5 }, gameMode: 'survival', inventory: {} };
+    alex = { id: 'a1', name: 'Alex', position: { x: 10.5, y: 1, z: 0.5 }, gameMode: 'survival', inventory: {} };
+    players = { s1: steve, a1: alex };
+    blocks = new Map();
+    time = 0;
+    mobManager = new MobManager();
+    effects = new StatusEffectsManager({ players, mobManager });
+    weather = new WeatherSystem();
+    permissions = new PermissionManager({ file: opsFile });
+
+    dispatcher = new CommandDispatcher({
+      permissions,
+      blockTypes: { stone: {}, dirt: {}, glass: {} },
+      itemTypes: { diamond_sword: {} },
+      server: {
+        getPlayers: () => Object.values(players),
+        getEntities: () => Object.values(mobManager.mobs),
+        getBlock: (x, y, z) => blocks.get(`${x},${y},${z}`) || null,
+        setBlock: (x, y, z, block) => (block ? blocks.set(`${x},${y},${z}`, block) : blocks.delete(`${x},${y},${z}`)),
+        teleport: (entity, position) => { entity.position = position; },
+        giveItem: (player, item, count) => { player.inventory[item] = (player.inventory[item] || 0) + count; },
+        setGameMode: (player, mode) => { player.gameMode = mode; },
+        getTime: () => time,
+        setTime: (value) => { time = value; },
+        mobManager,
+        weatherSystem: weather,
+        statusEffectsManager: effects
+      }
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(opsFile, { force: true });
+  });
+
+  function run(input, player = steve) {
+    return dispatcher.execute(CommandDispatcher.playerSource(player), input);
+  }
+
+  function complete(input, player = steve) {
+    return dispatcher.getCompletions(CommandDispatcher.playerSource(player), input).suggestions;
+  }
+
+  describe('permissions', () => {
+    it('should hide commands from players without the level they need', () => {
+      assert.deepStrictEqual(run('/tp 0 5 0', alex), { success: false, error: "Unknown command 'tp'" });
+      assert.strictEqual(run('/help', alex).success, true);
+      assert.deepStrictEqual(complete('/', alex), ['help']);
+    });
+
+    it('should persist operators to the ops file', () => {
+      assert.strictEqual(run('/op Alex 2').success, true);
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(opsFile, 'utf8')), [
+        { name: 'Steve', level: 4 },
+        { name: 'Alex', level: 2 }
+      ]);
+      assert.strictEqual(new PermissionManager({ file: opsFile }).getOperatorLevel('Alex'), 2);
+      assert.strictEqual(run('/tp 0 5 0', alex).success, true);
+      assert.deepStrictEqual(run('/op Steve', alex), { success: false, error: "Unknown command 'op'" });
+
+      assert.strictEqual(run('/deop Alex').success, true);
+      assert.strictEqual(run('/tp 0 5 0', alex).success, false);
+    });
+
+    it('should not let operators grant a level above their own', () => {
+      permissions.op('Alex', 3);
+      assert.strictEqual(run('/op Alex 4', alex).error, 'You can\'t grant a permission level above your own (3)');
+      assert.strictEqual(permissions.getOperatorLevel('Alex'), 3);
+
+      permissions.deop('Steve');
+      assert.strictEqual(run('/op Steve', alex).success, true);
+      assert.strictEqual(permissions.getOperatorLevel('Steve'), 3);
+    });
+
+    it('should not let operators act on players with a higher level', () => {
+      const kicked = [];
+      dispatcher.server.kick = player => kicked.push(player);
+      permissions.op('Alex', 3);
+
+      assert.strictEqual(run('/deop Steve', alex).error, 'Steve has a higher permission level than you');
+      assert.strictEqual(run('/op Steve 0', alex).error, 'Steve has a higher permission level than you');
+      assert.strictEqual(run('/kick Steve', alex).error, 'Steve has a higher permission level than you');
+      assert.strictEqual(permissions.getOperatorLevel('Steve'), 4);
+      assert.deepStrictEqual(kicked, []);
+
+      assert.strictEqual(run('/kick Alex').success, true);
+      assert.deepStrictEqual(kicked, [alex]);
+    });
+
+    it('should give everyone cheat commands while cheats are enabled', () => {
+      permissions.setCheats(true);
+      assert.strictEqual(run('/time set day', alex).success, true);
+      assert.strictEqual(run('/op Alex', alex).success, false);
+    });
+
+    it('should only let command blocks run commands when they are enabled', () => {
+      const commandBlock = { type: 'commandBlock', position: { x: 0, y: 5, z: 0 } };
+      assert.strictEqual(dispatcher.execute(commandBlock, 'time set noon').success, false);
+      permissions.setCommandBlocks(true);
+      assert.strictEqual(dispatcher.execute(commandBlock, 'time set noon').success, true);
+      assert.strictEqual(dispatcher.execute(CommandDispatcher.consoleSource(), 'op Alex').success, true);
+    });
+  });
+
+  describe('arguments', () => {
+    it('should teleport to absolute and relative coordinates', () => {
+      assert.deepStrictEqual(run('/tp 10 64 -3'), { success: true, message: 'Teleported Steve to 10.5, 64, -2.5' });
+      run('/tp ~ ~5 ~-0.5');
+      assert.deepStrictEqual(steve.position, { x: 10.5, y: 69, z: -3 });
+    });
+
+    it('should teleport targets to another entity', () => {
+      run('/tp @a Alex');
+      assert.deepStrictEqual(steve.position, alex.position);
+      assert.strictEqual(run('/tp @a @a').error,
+        'Only one entity is allowed, but the provided selector allows more than one');
+    });
+
+    it('should report the error of the syntax that got furthest', () => {
+      assert.strictEqual(run('/tp Herobrine').error, 'No entity was found');
+      assert.strictEqual(run('/tp 1 2').error, 'Incomplete coordinates, expected 3 values');
+      assert.strictEqual(run('/tp @s 1 x').error, "Expected a coordinate but found 'x'");
+      assert.strictEqual(run('/give Steve stone 0').error, 'Number must not be less than 1, found 0');
+      assert.strictEqual(run('/give Steve stone 1 extra').error, "Unexpected 'extra' after the end of the command");
+    });
+
+    it('should accept item and block ids from the registries', () => {
+      assert.strictEqual(run('/give @s diamond_sword').success, true);
+      assert.strictEqual(run('/give @a minecraft:stone 32').success, true);
+      assert.strictEqual(run('/give @s compass 2').success, true);
+      assert.deepStrictEqual(steve.inventory, { diamond_sword: 1, stone: 32, compass: 2 });
+      assert.deepStrictEqual(alex.inventory, { stone: 32 });
+      assert.strictEqual(run('/give @s bedrock_sword').error, "Unknown item 'bedrock_sword'");
+      assert.strictEqual(run('/give @e stone').error,
+        'Only players may be affected by this command, but the provided selector includes entities');
+    });
+  });
+
+  describe('selectors', () => {
+    it('should parse options and distance ranges', () => {
+      const selector = EntitySelector.parse('@e[type=!zombie, distance=2..5, limit=3, sort=furthest]');
+      assert.deepStrictEqual(selector.excludedTypes, ['zombie']);
+      assert.deepStrictEqual(selector.distance, { min: 2, max: 5 });
+      assert.strictEqual(selector.limit, 3);
+      assert.deepStrictEqual(EntitySelector.parseRange('..5'), { min: 0, max: 5 });
+      assert.throws(() => EntitySelector.parse('@x'), /Unknown selector type/);
+      assert.throws(() => EntitySelector.parse('@e[colour=red]'), /Unknown selector option/);
+    });
+
+    it('should select by type and distance', () => {
+      const near = mobManager.spawnMob('zombie', { x: 2, y: 1, z: 0 });
+      mobManager.spawnMob('zombie', { x: 50, y: 1, z: 0 });
+      mobManager.spawnMob('cow', { x: 1, y: 1, z: 1 });
+
+      run('/effect give @e[type=zombie,distance=..10] slowness 5');
+      assert.deepStrictEqual(Object.values(mobManager.mobs).filter(mob => effects.hasEffect(mob.id, 'SLOWNESS')), [near]);
+    });
+
+    it('should pick the nearest player with @p', () => {
+      dispatcher.execute({ type: 'console', position: { x: 8, y: 1, z: 0 } }, 'gamemode creative @p');
+      assert.strictEqual(alex.gameMode, 'creative');
+      assert.strictEqual(steve.gameMode, 'survival');
+    });
+  });
+
+  describe('commands', () => {
+    it('should summon mobs through the mob manager', () => {
+      assert.deepStrictEqual(run('/summon zombie ~ ~ ~3'), { success: true, message: 'Summoned new Zombie' });
+      const [zombie] = Object.values(mobManager.mobs);
+      assert.strictEqual(zombie.type, 'zombie');
+      assert.deepStrictEqual(zombie.position, { x: 0.5, y: 1, z: 3.5 });
+      assert.strictEqual(run('/summon dragon').error, "Unknown entity type 'dragon'");
+    });
+
+    it('should set and fill blocks', () => {
+      assert.strictEqual(run('/setblock ~ ~-1 ~ stone').success, true);
+      assert.deepStrictEqual(blocks.get('0,0,0'), { type: 'stone' });
+      assert.strictEqual(run('/setblock 0 0 0 dirt keep').error, 'Could not set the block');
+
+      assert.deepStrictEqual(run('/fill 0 0 0 2 2 2 glass hollow'), { success: true, message: 'Successfully filled 26 blocks' });
+      assert.strictEqual(blocks.has('1,1,1'), false);
+      assert.deepStrictEqual(run('/fill 0 0 0 2 2 2 dirt replace glass'), { success: true, message: 'Successfully filled 26 blocks' });
+      assert.strictEqual(run('/fill 0 0 0 100 100 100 air').error,
+        'Too many blocks in the specified area (maximum 32768, specified 1030301)');
+    });
+
+    it('should change the time of day', () => {
+      run('/time set night');
+      assert.strictEqual(time, 13000);
+      run('/time add 1d');
+      assert.strictEqual(time, 13000);
+      run('/time add 12000');
+      assert.deepStrictEqual(run('/time query daytime'), { success: true, message: 'The time is 1000' });
+    });
+
+    it('should set the weather through the weather system', () => {
+      run('/weather thunder 30s');
+      assert.strictEqual(weather.currentWeather, 'thunder');
+      assert.strictEqual(weather.weatherDuration, 600);
+    });
+
+    it('should give and clear status effects', () => {
+      assert.deepStrictEqual(run('/effect give @s speed 10 1'), { success: true, message: 'Applied effect speed to Steve' });
+      assert.strictEqual(effects.getEffectLevel(steve.id, 'SPEED'), 2);
+      assert.strictEqual(effects.getEffects(steve.id)[0].duration, 200);
+
+      run('/effect clear');
+      assert.strictEqual(effects.hasEffect(steve.id, 'SPEED'), false);
+      assert.strictEqual(run('/effect clear @s').success, false);
+    });
+
+    it('should change game modes', () => {
+      assert.deepStrictEqual(run('/gamemode spectator'), { success: true, message: 'Set own game mode to Spectator Mode' });
+      assert.strictEqual(steve.gameMode, 'spectator');
+    });
+  });
+
+  describe('completion', () => {
+    it('should complete command names and literals', () => {
+      assert.deepStrictEqual(complete('/ti'), ['time']);
+      assert.deepStrictEqual(complete('/time '), ['add', 'query', 'set']);
+      assert.deepStrictEqual(complete('/time set n'), ['night', 'noon']);
+    });
+
+    it('should complete registry ids, selectors and player names', () => {
+      assert.deepStrictEqual(complete('/summon zom'), ['zombie', 'zombified_piglin']);
+      assert.deepStrictEqual(complete('/give A'), ['Alex']);
+      assert.deepStrictEqual(complete('/give @a glas'), ['glass']);
+      assert.deepStrictEqual(complete('/tp @e[type=cre'), ['@e[type=creeper']);
+      assert.deepStrictEqual(complete('/effect give @s spe'), ['speed']);
+    });
+
+    it('should report where the completed word starts', () => {
+      const { start } = dispatcher.getCompletions(CommandDispatcher.playerSource(steve), '/tp @e[type=zombie, li');
+      assert.strictEqual(start, 4);
+    });
+  });
+});
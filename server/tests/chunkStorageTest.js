@@ -0,0 +1,197 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { encodeChunk, decodeChunk, packIndices, unpackIndices, getBitsPerEntry } = require('../world/chunkCodec');
+const RegionFile = require('../world/regionFile');
+const ChunkStorage = require('../world/chunkStorage');
+const ChunkLoader = require('../world/chunkLoader');
+const { Chunk } = require('../world/Chunk');
+
+function createColumn(chunkX, chunkZ, height = 4) {
+  const blocks = {};
+  for (let x = 0; x < 16; x++) {
+    for (let z = 0; z < 16; z++) {
+      const wx = chunkX * 16 + x;
+      const wz = chunkZ * 16 + z;
+      blocks[`${wx},0,${wz}`] = { type: 'bedrock' };
+      for (let y = 1; y < height; y++) {
+        blocks[`${wx},${y},${wz}`] = { type: 'stone' };
+      }
+      blocks[`${wx},${height},${wz}`] = { type: 'grass', metadata: { snowy: false } };
+    }
+  }
+  return blocks;
+}
+
+describe('Region-file chunk storage', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'craftverse-chunks-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('ChunkCodec', () => {
+    it('should pack and unpack palette indices', () => {
+      const indices = new Uint16Array([0, 1, 2, 3, 4, 5, 6, 0, 7]);
+      const bits = getBitsPerEntry(8);
+      assert.strictEqual(bits, 3);
+      const unpacked = unpackIndices(packIndices(indices, bits), bits, indices.length);
+      assert.deepStrictEqual(Array.from(unpacked), Array.from(indices));
+    });
+
+    it('should round-trip a chunk column including negative coordinates', () => {
+      const blocks = createColumn(-2, 3, 20);
+      blocks['-20,-5,60'] = { type: 'deepslate' };
+
+      const decoded = decodeChunk(encodeChunk(-2, 3, blocks));
+      assert.strictEqual(decoded.x, -2);
+      assert.strictEqual(decoded.z, 3);
+      assert.deepStrictEqual(decoded.blocks, blocks);
+    });
+
+    it('should compress repetitive sections well below the JSON size', () => {
+      const blocks = createColumn(0, 0, 60);
+      const encoded = encodeChunk(0, 0, blocks);
+      assert.ok(encoded.length < JSON.stringify(blocks).length / 20);
+    });
+
+    it('should reject blocks outside the chunk and corrupted data', () => {
+      assert.throws(() => encodeChunk(0, 0, { '16,0,0': { type: 'stone' } }));
+      assert.throws(() => decodeChunk(Buffer.from('nope')));
+    });
+  });
+
+  describe('RegionFile', () => {
+    it('should read back chunks after reopening the file', () => {
+      const filePath = path.join(tempDir, 'r.0.0.cvr');
+      const region = new RegionFile(filePath);
+      region.writeChunk(3, 7, Buffer.from('hello'));
+      region.writeChunk(31, 31, Buffer.alloc(10000, 1));
+      region.close();
+
+      const reopened = new RegionFile(filePath);
+      assert.strictEqual(reopened.readChunk(3, 7).toString(), 'hello');
+      assert.strictEqual(reopened.readChunk(31, 31).length, 10000);
+      assert.strictEqual(reopened.readChunk(0, 0), null);
+      assert.deepStrictEqual(reopened.listChunks(), [{ x: 3, z: 7 }, { x: 31, z: 31 }]);
+      reopened.close();
+    });
+
+    it('should reuse freed sectors instead of growing the file', () => {
+      const filePath = path.join(tempDir, 'r.0.0.cvr');
+      const region = new RegionFile(filePath, { compress: false });
+      region.writeChunk(0, 0, Buffer.alloc(100));
+      region.writeChunk(1, 0, Buffer.alloc(100));
+      const size = fs.statSync(filePath).size;
+
+      region.deleteChunk(0, 0);
+      region.writeChunk(2, 0, Buffer.alloc(100));
+      assert.strictEqual(fs.statSync(filePath).size, size);
+      assert.strictEqual(region.hasChunk(0, 0), false);
+      region.close();
+    });
+  });
+
+  describe('ChunkStorage', () => {
+    it('should store chunks in per-dimension region files', async () => {
+      const storage = new ChunkStorage({ directory: tempDir });
+      await storage.saveChunk('overworld', 33, -1, createColumn(33, -1));
+      await storage.saveChunk('nether', 0, 0, createColumn(0, 0));
+
+      assert.ok(fs.existsSync(path.join(tempDir, 'overworld', 'region', 'r.1.-1.cvr')));
+      assert.ok(fs.existsSync(path.join(tempDir, 'nether', 'region', 'r.0.0.cvr')));
+      assert.deepStrictEqual(Array.from(storage.listDimensions()).sort(), ['nether', 'overworld']);
+      assert.deepStrictEqual(storage.listChunks('overworld'), [{ x: 33, z: -1 }]);
+
+      const loaded = await storage.loadChunk('overworld', 33, -1);
+      assert.deepStrictEqual(loaded, createColumn(33, -1));
+      assert.strictEqual(await storage.loadChunk('overworld', 0, 0), null);
+      assert.strictEqual(storage.hasChunk('end', 0, 0), false);
+      storage.close();
+    });
+
+    it('should refuse dimension names that escape the save directory', () => {
+      const storage = new ChunkStorage({ directory: tempDir });
+      assert.throws(() => storage.getDimensionDirectory('../outside'));
+    });
+
+    it('should save and load cubic chunks into their column', () => {
+      const storage = new ChunkStorage({ directory: tempDir });
+      const chunk = new Chunk(1, 4, 2, 16);
+      chunk.setBlock(0, 0, 0, { type: 'stone' });
+      chunk.setBlockState(0, 0, 0, { facing: 'north' });
+      chunk.save(storage, 'overworld');
+      assert.strictEqual(chunk.isDirty, false);
+      assert.deepStrictEqual(storage.readChunk('overworld', 1, 2)['16,64,32'], { type: 'stone', state: { facing: 'north' } });
+
+      const reloaded = new Chunk(1, 4, 2, 16);
+      assert.strictEqual(reloaded.load(storage, 'overworld'), true);
+      assert.deepStrictEqual(reloaded.getBlock(0, 0, 0), { type: 'stone' });
+      assert.deepStrictEqual(reloaded.getBlockState(0, 0, 0), { facing: 'north' });
+      storage.close();
+    });
+  });
+
+  describe('ChunkLoader integration', () => {
+    it('should load stored chunks instead of generating them and save dirty ones on unload', async () => {
+      const storage = new ChunkStorage({ directory: tempDir });
+      await storage.saveChunk('overworld', 0, 0, createColumn(0, 0));
+
+      const generator = { generateChunk: jest.fn((x, z) => createColumn(x, z)) };
+      const world = { storage, generator, dimension: 'overworld' };
+      const loader = new ChunkLoader({ world });
+
+      const chunk = await loader.loadChunk(0, 0);
+      assert.strictEqual(generator.generateChunk.mock.calls.length, 0);
+      assert.deepStrictEqual(chunk['0,4,0'], { type: 'grass', metadata: { snowy: false } });
+
+      chunk['0,5,0'] = { type: 'torch' };
+      loader.markChunkDirty(0, 0);
+      assert.strictEqual(await loader.unloadChunk(0, 0), true);
+      assert.deepStrictEqual(storage.readChunk('overworld', 0, 0)['0,5,0'], { type: 'torch' });
+
+      await loader.loadChunk(1, 0);
+      assert.strictEqual(generator.generateChunk.mock.calls.length, 1);
+      assert.strictEqual(storage.hasChunk('overworld', 1, 0), true);
+
+      loader.dispose();
+      storage.close();
+    });
+
+    it('should keep chunks dirty until their save resolves', async () => {
+      const storage = new ChunkStorage({ directory: tempDir });
+      const generator = { generateChunk: jest.fn((x, z) => createColumn(x, z)) };
+      const world = { storage, generator, dimension: 'overworld' };
+      const loader = new ChunkLoader({ world });
+      await loader.loadChunk(0, 0);
+      const chunkData = loader.loadedChunks.get(loader.getChunkKey(0, 0));
+
+      // A failed write leaves the chunk dirty
+      const saveSpy = jest.spyOn(storage, 'saveChunk').mockRejectedValueOnce(new Error('disk full'));
+      loader.markChunkDirty(0, 0);
+      await assert.rejects(loader.saveAllChunks(), /disk full/);
+      assert.strictEqual(chunkData.dirty, true);
+
+      // A change made while the write is pending is not lost
+      let finishSave;
+      saveSpy.mockImplementationOnce(() => new Promise(resolve => { finishSave = resolve; }));
+      const saving = loader.saveAllChunks();
+      assert.strictEqual(chunkData.dirty, true);
+      loader.markChunkDirty(0, 0);
+      finishSave();
+      await saving;
+      assert.strictEqual(chunkData.dirty, true);
+
+      await loader.saveAllChunks();
+      assert.strictEqual(chunkData.dirty, false);
+
+      loader.dispose();
+      storage.close();
+    });
+  });
+});
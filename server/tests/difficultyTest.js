@@ -0,0 +1,151 @@
+const assert = require('assert');
+const {
+  DifficultyManager,
+  computeLocalDifficulty,
+  clampLocalDifficulty
+} = require('../systems/difficultyManager');
+const { rollEquipment } = require('../mobs/mobEquipment');
+const MobManager = require('../mobs/mobManager');
+const CombatManager = require('../combat/combatManager');
+const CommandDispatcher = require('../commands/commandDispatcher');
+const PermissionManager = require('../commands/permissionManager');
+
+describe('Difficulty', () => {
+  let difficulty;
+
+  beforeEach(() => {
+    difficulty = new DifficultyManager();
+  });
+
+  describe('world difficulty', () => {
+    it('should default to normal and accept names and ids', () => {
+      assert.strictEqual(difficulty.getDifficulty(), 'normal');
+      assert.strictEqual(difficulty.setDifficulty('minecraft:hard'), true);
+      assert.strictEqual(difficulty.getDifficultyId(), 3);
+      assert.strictEqual(difficulty.setDifficulty(1), true);
+      assert.strictEqual(difficulty.getDifficulty(), 'easy');
+      assert.strictEqual(difficulty.setDifficulty('nightmare'), false);
+      assert.strictEqual(difficulty.getDifficulty(), 'easy');
+    });
+
+    it('should emit changes and refuse them once locked', () => {
+      const changes = [];
+      difficulty.on('difficultyChanged', change => changes.push(change));
+
+      difficulty.setDifficulty('peaceful');
+      difficulty.lock();
+      difficulty.setDifficulty('hard');
+
+      assert.deepStrictEqual(changes, [{ difficulty: 'peaceful', previous: 'normal' }]);
+      assert.strictEqual(difficulty.isPeaceful(), true);
+    });
+
+    it('should scale mob damage the vanilla way', () => {
+      assert.strictEqual(difficulty.scaleDamage(6), 6);
+      difficulty.setDifficulty('easy');
+      assert.strictEqual(difficulty.scaleDamage(6), 4);
+      assert.strictEqual(difficulty.scaleDamage(1), 1);
+      difficulty.setDifficulty('hard');
+      assert.strictEqual(difficulty.scaleDamage(6), 9);
+      difficulty.setDifficulty('peaceful');
+      assert.strictEqual(difficulty.scaleDamage(6), 0);
+    });
+  });
+
+  describe('local difficulty', () => {
+    it('should grow with world age, inhabited time and the moon', () => {
+      assert.strictEqual(computeLocalDifficulty('normal', 0, 0, 1), 1.5);
+      assert.strictEqual(computeLocalDifficulty('peaceful', 5000000, 3600000, 1), 0);
+      assert.strictEqual(computeLocalDifficulty('hard', 5000000, 3600000, 1), 6.75);
+      assert.ok(computeLocalDifficulty('normal', 800000, 0, 1) > computeLocalDifficulty('normal', 800000, 0, 0));
+    });
+
+    it('should clamp onto 0-1 between 2 and 4', () => {
+      assert.strictEqual(clampLocalDifficulty(1.5), 0);
+      assert.strictEqual(clampLocalDifficulty(3), 0.5);
+      assert.strictEqual(clampLocalDifficulty(6.75), 1);
+    });
+
+    it('should track time spent per chunk', () => {
+      const player = { position: { x: 5, y: 64, z: -3 } };
+      for (let i = 0; i < 10; i++) {
+        difficulty.tick({ p1: player });
+      }
+
+      assert.strictEqual(difficulty.getInhabitedTime({ x: 15, z: -16 }), 10);
+      assert.strictEqual(difficulty.getInhabitedTime({ x: 16, z: -3 }), 0);
+      assert.ok(difficulty.getLocalDifficulty(player.position, 0).value > difficulty.getLocalDifficulty({ x: 100, z: 100 }, 0).value);
+    });
+  });
+
+  describe('mobs and combat', () => {
+    let mobManager;
+
+    beforeEach(() => {
+      mobManager = new MobManager();
+      mobManager.setDifficultyManager(difficulty);
+    });
+
+    it('should remove hostile mobs and stop hostile spawns on peaceful', () => {
+      const zombie = mobManager.spawnMob('zombie', { x: 0, y: 64, z: 0 });
+      difficulty.setDifficulty('peaceful');
+
+      mobManager.update({}, {}, 1);
+
+      assert.strictEqual(mobManager.mobs[zombie.id], undefined);
+      assert.strictEqual(mobManager.isPeaceful(), true);
+    });
+
+    it('should use the moon phase in local difficulty', () => {
+      difficulty.gameTime = 800000;
+      const position = { x: 0, y: 64, z: 0 };
+
+      mobManager.setMoonPhase(0);
+      const fullMoon = mobManager.getLocalDifficulty(position).value;
+      mobManager.setMoonPhase(4);
+
+      assert.ok(fullMoon > mobManager.getLocalDifficulty(position).value);
+    });
+
+    it('should scale mob hits on players but not PvP', () => {
+      const combat = new CombatManager({ difficultyManager: difficulty });
+      difficulty.setDifficulty('hard');
+
+      assert.strictEqual(combat.processAttack('zombie', 'p1', { damage: 4, attackerType: 'mob' }).finalDamage, 6);
+      assert.strictEqual(combat.processAttack('p2', 'p1', { damage: 4, isHeavyAttack: true }).finalDamage, 4);
+
+      const zombie = mobManager.spawnMob('zombie', { x: 0, y: 64, z: 0 });
+      const player = { id: 'p1', health: 20 };
+      zombie.attack(player);
+      assert.strictEqual(player.health, 20 - zombie.attackDamage * 1.5);
+    });
+
+    it('should give skeletons bows and armor in harder regions', () => {
+      const none = rollEquipment('zombie', { difficulty: 'normal', localDifficulty: 0, random: () => 0 });
+      assert.deepStrictEqual(none.equipment, { mainHand: { id: 'iron_sword', count: 1 } });
+      assert.strictEqual(none.canPickUpLoot, false);
+
+      const full = rollEquipment('skeleton', { difficulty: 'hard', localDifficulty: 1, random: () => 0.12 });
+      assert.deepStrictEqual(Object.keys(full.equipment).sort(), ['chest', 'feet', 'head', 'legs', 'mainHand']);
+      assert.strictEqual(full.equipment.mainHand.id, 'bow');
+      assert.strictEqual(full.equipment.head.id, 'leather_helmet');
+      assert.strictEqual(full.canPickUpLoot, true);
+    });
+  });
+
+  describe('command', () => {
+    it('should show and change the difficulty', () => {
+      const dispatcher = new CommandDispatcher({
+        permissions: new PermissionManager({}),
+        server: { getPlayers: () => [], getEntities: () => [], difficultyManager: difficulty }
+      });
+      const run = input => dispatcher.execute(CommandDispatcher.consoleSource(), input);
+
+      assert.deepStrictEqual(run('/difficulty'), { success: true, message: 'The difficulty is normal' });
+      assert.deepStrictEqual(run('/difficulty hard'), { success: true, message: 'The difficulty has been set to hard' });
+      assert.strictEqual(run('/difficulty hard').success, false);
+      difficulty.lock();
+      assert.strictEqual(run('/difficulty easy').error, 'The difficulty is locked');
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const assert = require('assert');
+const ExplosionManager = require('../systems/explosionManager');
+const { GameRules } = require('../systems/gameRules');
+const MobManager = require('../mobs/mobManager');
+const EndDimension = require('../world/endDimension');
+const EndCrystal = require('../entities/endCrystal');
+
+// Block world stored in a map, with a stone floor under y = 64
+function createWorld() {
+  const blocks = new Map();
+  for (let x = -8; x <= 8; x++) {
+    for (let z = -8; z <= 8; z++) {
+      blocks.set(`${x},63,${z}`, { type: 'stone' });
+    }
+  }
+  return {
+    blocks,
+    entities: [],
+    getBlock: (x, y, z) => blocks.get(`${x},${y},${z}`) || null,
+    setBlock: (x, y, z, block) => (block ? blocks.set(`${x},${y},${z}`, block) : blocks.delete(`${x},${y},${z}`)),
+    getEntities() {
+      return this.entities;
+    }
+  };
+}
+
+// Entity that keeps track of the damage it takes
+function createEntity(id, position) {
+  return {
+    id,
+    position,
+    health: 20,
+    takeDamage(amount) {
+      this.health -= amount;
+    }
+  };
+}
+
+describe('Explosions', () => {
+  let world;
+  let manager;
+
+  beforeEach(() => {
+    world = createWorld();
+    manager = new ExplosionManager({ world, random: () => 0.5 });
+  });
+
+  describe('blocks', () => {
+    it('should destroy weak blocks but not obsidian', () => {
+      world.setBlock(1, 64, 0, { type: 'dirt' });
+      world.setBlock(-1, 64, 0, { type: 'obsidian' });
+
+      const result = manager.explode({ position: { x: 0.5, y: 64.5, z: 0.5 }, power: 4 });
+
+      assert.strictEqual(world.getBlock(1, 64, 0), null);
+      assert.strictEqual(world.getBlock(-1, 64, 0).type, 'obsidian');
+      assert.ok(result.blocks.some(block => block.type === 'dirt'));
+      assert.ok(!result.blocks.some(block => block.type === 'obsidian'));
+    });
+
+    it('should shield blocks behind obsidian', () => {
+      for (let y = 63; y <= 66; y++) {
+        for (let z = -2; z <= 2; z++) {
+          world.setBlock(2, y, z, { type: 'obsidian' });
+        }
+      }
+      world.setBlock(3, 64, 0, { type: 'dirt' });
+
+      manager.explode({ position: { x: 0.5, y: 64.5, z: 0.5 }, power: 4 });
+
+      assert.strictEqual(world.getBlock(3, 64, 0).type, 'dirt');
+    });
+
+    it('should read blast resistance from the block, then the tables', () => {
+      const withTypes = new ExplosionManager({ world, blockTypes: { marble: { hardness: 2 } } });
+
+      assert.strictEqual(withTypes.getBlastResistance({ type: 'dirt', blastResistance: 50 }), 50);
+      assert.strictEqual(withTypes.getBlastResistance({ type: 'obsidian' }), 1200);
+      assert.strictEqual(withTypes.getBlastResistance({ type: 'marble' }), 2);
+    });
+
+    it('should break no blocks when centred in water', () => {
+      world.setBlock(0, 64, 0, { type: 'water' });
+      world.setBlock(1, 64, 0, { type: 'dirt' });
+
+      const result = manager.explode({ position: { x: 0.5, y: 64.5, z: 0.5 }, power: 4 });
+
+      assert.deepStrictEqual(result.blocks, []);
+      assert.strictEqual(world.getBlock(1, 64, 0).type, 'dirt');
+    });
+
+    it('should light fires on solid ground', () => {
+      assert.deepStrictEqual(manager.explode({ position: { x: 0.5, y: 64.5, z: 0.5 }, power: 4 }).fires, []);
+
+      manager.random = () => 0.1;
+      const result = manager.explode({ position: { x: 0.5, y: 64.5, z: 0.5 }, power: 4, fire: true });
+
+      assert.ok(result.fires.length > 0);
+      for (const fire of result.fires) {
+        assert.strictEqual(world.getBlock(fire.x, fire.y, fire.z).type, 'fire');
+        assert.ok(world.getBlock(fire.x, fire.y - 1, fire.z));
+      }
+    });
+  });
+
+  describe('entities', () => {
+    it('should hurt and push entities in range by distance', () => {
+      const near = createEntity('near', { x: 2.5, y: 64, z: 0.5 });
+      const far = createEntity('far', { x: 6.5, y: 64, z: 0.5 });
+      const outside = createEntity('outside', { x: 20, y: 64, z: 0.5 });
+      world.entities.push(near, far, outside);
+
+      const result = manager.explode({ position: { x: 0.5, y: 64.5, z: 0.5 }, power: 4, breaksBlocks: false });
+
+      assert.ok(near.health < far.health);
+      assert.ok(far.health < 20);
+      assert.strictEqual(outside.health, 20);
+      assert.ok(near.velocity.x > 0);
+      assert.strictEqual(result.damaged.length, 2);
+    });
+
+    it('should protect entities behind a wall', () => {
+      for (let y = 64; y <= 67; y++) {
+        for (let z = -3; z <= 3; z++) {
+          world.setBlock(2, y, z, { type: 'obsidian' });
+        }
+      }
+      const hidden = createEntity('hidden', { x: 3.5, y: 64, z: 0.5 });
+      world.entities.push(hidden);
+
+      assert.strictEqual(manager.getExposure('overworld', { x: 0.5, y: 64.5, z: 0.5 }, hidden), 0);
+      manager.explode({ position: { x: 0.5, y: 64.5, z: 0.5 }, power: 4 });
+      assert.strictEqual(hidden.health, 19);
+    });
+  });
+
+  describe('sources', () => {
+    it('should chain primed TNT', () => {
+      world.setBlock(0, 64, 0, { type: 'tnt' });
+      world.setBlock(2, 64, 0, { type: 'tnt' });
+      const primed = [];
+      manager.on('tntPrimed', tnt => primed.push(tnt));
+
+      const tnt = manager.primeTnt({ x: 0, y: 64, z: 0 });
+      assert.strictEqual(tnt.fuse, ExplosionManager.TNT_FUSE);
+      assert.strictEqual(world.getBlock(0, 64, 0), null);
+
+      for (let i = 0; i < ExplosionManager.TNT_FUSE; i++) {
+        manager.tick();
+      }
+
+      assert.strictEqual(primed.length, 2);
+      assert.strictEqual(world.getBlock(2, 64, 0), null);
+      assert.ok(primed[1].fuse < ExplosionManager.TNT_FUSE);
+    });
+
+    it('should not break blocks for creepers without mobGriefing', () => {
+      const rules = new GameRules();
+      rules.set('mobGriefing', false);
+      manager.gameRules = rules;
+      world.setBlock(1, 64, 0, { type: 'dirt' });
+      const player = createEntity('player', { x: 2.5, y: 64, z: 0.5 });
+      world.entities.push(player);
+
+      manager.explodeCreeper({ id: 'creeper', position: { x: 0.5, y: 64, z: 0.5 } });
+
+      assert.strictEqual(world.getBlock(1, 64, 0).type, 'dirt');
+      assert.ok(player.health < 20);
+    });
+
+    it('should explode creepers through the mob manager', () => {
+      const mobManager = new MobManager();
+      mobManager.setExplosionManager(manager);
+      const creeper = mobManager.spawnMob('creeper', { x: 0.5, y: 64, z: 0.5 });
+      world.setBlock(1, 64, 0, { type: 'dirt' });
+      const explosions = [];
+      manager.on('explosion', explosion => explosions.push(explosion));
+
+      mobManager.handleMobUpdateResult(creeper, creeper.explode());
+
+      assert.strictEqual(explosions.length, 1);
+      assert.strictEqual(explosions[0].sourceType, 'creeper');
+      assert.strictEqual(explosions[0].power, ExplosionManager.EXPLOSION_POWER.creeper);
+      assert.strictEqual(world.getBlock(1, 64, 0), null);
+    });
+
+    it('should blow up beds used outside the overworld', () => {
+      const nether = createWorld();
+      manager.addWorld('nether', nether);
+      nether.setBlock(0, 64, 0, { type: 'bed' });
+
+      const result = manager.explodeBlock({ x: 0, y: 64, z: 0 }, 'bed', 'nether');
+
+      assert.strictEqual(result.power, ExplosionManager.EXPLOSION_POWER.bed);
+      assert.notStrictEqual((nether.getBlock(0, 64, 0) || {}).type, 'bed');
+    });
+
+    it('should explode end crystals in the end', () => {
+      const end = new EndDimension({ seed: 1, explosionManager: manager });
+      end.setBlock({ x: 1, y: 64, z: 0 }, { type: 'dirt' });
+      const crystal = new EndCrystal({ position: { x: 0.5, y: 64, z: 0.5 }, world: end });
+
+      crystal.explode();
+
+      assert.strictEqual(end.blocks.has('1,64,0'), false);
+    });
+  });
+});
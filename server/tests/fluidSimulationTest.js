@@ -0,0 +1,241 @@
+const assert = require('assert');
+const FluidManager = require('../systems/fluidManager');
+const { PhysicsEngine } = require('../physics/PhysicsEngine');
+const Boat = require('../entities/boat');
+const MangroveRootsBlock = require('../blocks/mangroveRootsBlock');
+const PointedDripstoneBlock = require('../blocks/pointedDripstoneBlock');
+
+/**
+ * Minimal block grid with a stone floor and fluids attached
+ */
+class GridWorld {
+  constructor(dimension = 'overworld') {
+    this.blocks = new Map();
+    this.minHeight = 0;
+    this.maxHeight = 64;
+    this.fluids = new FluidManager({ world: this, dimension });
+
+    for (let x = -10; x <= 10; x++) {
+      for (let z = -10; z <= 10; z++) {
+        this.blocks.set(`${x},0,${z}`, { type: 'stone' });
+      }
+    }
+  }
+
+  getBlockAt(x, y, z) {
+    return this.blocks.get(`${x},${y},${z}`) || null;
+  }
+
+  getBlock(x, y, z) {
+    return this.getBlockAt(x, y, z);
+  }
+
+  setBlock(x, y, z, block) {
+    if (block) {
+      this.blocks.set(`${x},${y},${z}`, block);
+    } else {
+      this.blocks.delete(`${x},${y},${z}`);
+    }
+    this.fluids.onBlockChanged(x, y, z);
+  }
+
+  type(x, y, z) {
+    const block = this.getBlockAt(x, y, z);
+    return block ? block.type : null;
+  }
+
+  level(x, y, z) {
+    const fluid = this.fluids.getFluidAt(x, y, z);
+    return fluid ? fluid.level : null;
+  }
+
+  run(ticks) {
+    for (let i = 0; i < ticks; i++) {
+      this.fluids.tick();
+    }
+  }
+}
+
+describe('FluidManager', () => {
+  let world;
+  let fluids;
+
+  beforeEach(() => {
+    world = new GridWorld();
+    fluids = world.fluids;
+  });
+
+  describe('water', () => {
+    it('should lose one level per block across flat ground', () => {
+      fluids.placeFluid({ x: 0, y: 1, z: 0 }, 'water');
+      world.run(60);
+
+      assert.strictEqual(world.level(0, 1, 0), 0);
+      assert.strictEqual(world.level(1, 1, 0), 1);
+      assert.strictEqual(world.level(7, 1, 0), 7);
+      assert.strictEqual(world.level(8, 1, 0), null);
+      assert.strictEqual(world.level(3, 1, 3), 6);
+    });
+
+    it('should dry up when its source is removed', () => {
+      fluids.placeFluid({ x: 0, y: 1, z: 0 }, 'water');
+      world.run(60);
+
+      assert.strictEqual(fluids.removeFluid({ x: 0, y: 1, z: 0 }), 'water');
+      world.run(100);
+      assert.strictEqual(world.type(3, 1, 0), null);
+      assert.strictEqual(world.type(1, 1, 0), null);
+    });
+
+    it('should only flow towards the nearest drop', () => {
+      world.setBlock(3, 0, 0, null);
+      fluids.placeFluid({ x: 0, y: 1, z: 0 }, 'water');
+      world.run(5);
+
+      assert.strictEqual(world.level(1, 1, 0), 1);
+      assert.strictEqual(world.level(-1, 1, 0), null);
+      assert.strictEqual(world.level(0, 1, 1), null);
+
+      world.run(15);
+      assert.strictEqual(world.level(3, 0, 0), FluidManager.FALLING_LEVEL);
+    });
+
+    it('should create a source between two sources', () => {
+      fluids.placeFluid({ x: 0, y: 1, z: 0 }, 'water');
+      fluids.placeFluid({ x: 2, y: 1, z: 0 }, 'water');
+      world.run(20);
+      assert.strictEqual(world.level(1, 1, 0), 0);
+    });
+
+    it('should evaporate in the Nether', () => {
+      const nether = new GridWorld('nether');
+      const evaporated = [];
+      nether.fluids.on('evaporated', ({ position }) => evaporated.push(position));
+
+      assert.strictEqual(nether.fluids.placeFluid({ x: 0, y: 1, z: 0 }, 'water'), false);
+      assert.strictEqual(nether.type(0, 1, 0), null);
+      assert.deepStrictEqual(evaporated, [{ x: 0, y: 1, z: 0 }]);
+    });
+  });
+
+  describe('lava', () => {
+    it('should spread three blocks slowly in the Overworld', () => {
+      fluids.placeFluid({ x: 0, y: 1, z: 0 }, 'lava');
+      world.run(10);
+      assert.strictEqual(world.level(1, 1, 0), null);
+
+      world.run(200);
+      assert.deepStrictEqual([1, 2, 3, 4].map(x => world.level(x, 1, 0)), [2, 4, 6, null]);
+    });
+
+    it('should spread as far as water and faster in the Nether', () => {
+      const nether = new GridWorld('nether');
+      nether.fluids.placeFluid({ x: 0, y: 1, z: 0 }, 'lava');
+      nether.run(10);
+      assert.strictEqual(nether.level(1, 1, 0), 1);
+
+      nether.run(100);
+      assert.strictEqual(nether.level(7, 1, 0), 7);
+      assert.strictEqual(nether.level(8, 1, 0), null);
+    });
+  });
+
+  describe('interactions', () => {
+    it('should turn a lava source touching water into obsidian', () => {
+      fluids.placeFluid({ x: 0, y: 1, z: 0 }, 'lava');
+      fluids.placeFluid({ x: 1, y: 1, z: 0 }, 'water');
+      assert.strictEqual(world.type(0, 1, 0), 'obsidian');
+    });
+
+    it('should turn flowing lava touching water into cobblestone', () => {
+      fluids.placeFluid({ x: 0, y: 1, z: 0 }, 'water');
+      world.setBlock(1, 1, 0, { type: 'lava', state: { level: 2 } });
+      assert.strictEqual(world.type(1, 1, 0), 'cobblestone');
+    });
+
+    it('should make stone when lava flows down into water', () => {
+      const results = [];
+      fluids.on('fluidInteraction', ({ result }) => results.push(result));
+
+      world.setBlock(0, 1, 0, { type: 'water' });
+      world.setBlock(0, 3, 0, { type: 'lava' });
+      world.run(60);
+
+      assert.strictEqual(world.type(0, 1, 0), 'stone');
+      assert.deepStrictEqual(results, ['stone']);
+    });
+
+    it('should make basalt over soul soil next to blue ice', () => {
+      world.setBlock(5, 0, 0, { type: 'soul_soil' });
+      world.setBlock(6, 1, 0, { type: 'blue_ice' });
+      fluids.placeFluid({ x: 5, y: 1, z: 0 }, 'lava');
+      assert.strictEqual(world.type(5, 1, 0), 'basalt');
+    });
+  });
+
+  describe('waterlogging', () => {
+    it('should waterlog mangrove roots and let water flow out of them', () => {
+      const roots = new MangroveRootsBlock();
+      world.setBlock(0, 1, 0, roots);
+
+      assert.strictEqual(fluids.placeFluid({ x: 0, y: 1, z: 0 }, 'water'), true);
+      assert.strictEqual(roots.waterlogged, true);
+      assert.strictEqual(world.getBlockAt(0, 1, 0), roots);
+
+      world.run(10);
+      assert.strictEqual(world.level(1, 1, 0), 1);
+
+      assert.strictEqual(fluids.removeFluid({ x: 0, y: 1, z: 0 }), 'water');
+      assert.strictEqual(roots.waterlogged, false);
+    });
+
+    it('should not let flowing water waterlog or wash away dripstone', () => {
+      const dripstone = new PointedDripstoneBlock();
+      world.setBlock(1, 1, 0, dripstone);
+      fluids.placeFluid({ x: 0, y: 1, z: 0 }, 'water');
+      world.run(20);
+
+      assert.strictEqual(world.getBlockAt(1, 1, 0), dripstone);
+      assert.strictEqual(dripstone.waterlogged, false);
+      assert.strictEqual(fluids.canWaterlog(dripstone), true);
+    });
+
+    it('should wash away fragile blocks', () => {
+      const destroyed = [];
+      fluids.on('blockDestroyed', ({ block }) => destroyed.push(block.type));
+
+      world.setBlock(1, 1, 0, { type: 'torch' });
+      fluids.placeFluid({ x: 0, y: 1, z: 0 }, 'water');
+      world.run(5);
+      assert.deepStrictEqual(destroyed, ['torch']);
+      assert.strictEqual(world.level(1, 1, 0), 1);
+    });
+  });
+
+  describe('currents', () => {
+    beforeEach(() => {
+      fluids.placeFluid({ x: 0, y: 1, z: 0 }, 'water');
+      world.run(60);
+    });
+
+    it('should point away from the source', () => {
+      const flow = fluids.getFlow(3, 1, 0);
+      assert.deepStrictEqual(flow, { x: 1, y: 0, z: 0 });
+      assert.deepStrictEqual(fluids.getFlow(0, 1, 0), { x: 0, y: 0, z: 0 });
+    });
+
+    it('should push entities and boats along the flow', () => {
+      const physics = new PhysicsEngine(world);
+      const entity = { position: { x: 3.5, y: 1, z: 0.5 }, velocity: { x: 0, y: 0, z: 0 }, width: 0.6, height: 1.8 };
+      physics.applyFluidCurrents(entity, 0.05);
+      assert.ok(entity.velocity.x > 0);
+      assert.strictEqual(entity.velocity.z, 0);
+
+      const boat = new Boat(world, { position: { x: 3.5, y: 1.85, z: 0.5 } });
+      boat.updateWaterState();
+      assert.strictEqual(boat.isInWater, true);
+      physics.applyFluidCurrents(boat, 0.05);
+      assert.ok(boat.velocity.x > 0);
+    });
+  });
+});
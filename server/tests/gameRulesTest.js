@@ -0,0 +1,126 @@
+const assert = require('assert');
+const { GameRules } = require('../systems/gameRules');
+const WeatherSystem = require('../weather/weatherSystem');
+const MobManager = require('../mobs/mobManager');
+const FireBlock = require('../blocks/fireBlock');
+const CommandDispatcher = require('../commands/commandDispatcher');
+const PermissionManager = require('../commands/permissionManager');
+
+describe('Game rules', () => {
+  let rules;
+
+  beforeEach(() => {
+    rules = new GameRules();
+  });
+
+  describe('registry', () => {
+    it('should start with the vanilla defaults', () => {
+      assert.strictEqual(rules.getBoolean('doDaylightCycle'), true);
+      assert.strictEqual(rules.getBoolean('keepInventory'), false);
+      assert.strictEqual(rules.getInt('randomTickSpeed'), 3);
+      assert.strictEqual(rules.getInt('spawnRadius'), 10);
+      assert.ok(rules.getRuleNames().includes('mobGriefing'));
+    });
+
+    it('should parse values by rule type', () => {
+      assert.strictEqual(rules.set('keepInventory', 'true'), true);
+      assert.strictEqual(rules.set('randomTickSpeed', '20'), 20);
+      assert.throws(() => rules.set('keepInventory', 'yes'), /expects true or false/);
+      assert.throws(() => rules.set('randomTickSpeed', '1.5'), /whole number/);
+      assert.throws(() => rules.set('spawnRadius', -1), /between 0 and 1000/);
+      assert.throws(() => rules.get('flyingPigs'), /Unknown game rule/);
+    });
+
+    it('should notify when a rule changes', () => {
+      const changes = [];
+      rules.on('ruleChanged', change => changes.push(change));
+
+      rules.set('doFireTick', false);
+      rules.set('doFireTick', false);
+      rules.reset('doFireTick');
+
+      assert.deepStrictEqual(changes, [
+        { rule: 'doFireTick', value: false, previous: true },
+        { rule: 'doFireTick', value: true, previous: false }
+      ]);
+    });
+
+    it('should survive a save and skip bad saved values', () => {
+      rules.set('mobGriefing', false);
+      rules.set('spawnRadius', 0);
+
+      const loaded = new GameRules();
+      loaded.deserialize({ ...rules.serialize(), flyingPigs: true, randomTickSpeed: 'fast' });
+
+      assert.strictEqual(loaded.getBoolean('mobGriefing'), false);
+      assert.strictEqual(loaded.getInt('spawnRadius'), 0);
+      assert.strictEqual(loaded.getInt('randomTickSpeed'), 3);
+    });
+  });
+
+  describe('systems', () => {
+    it('should freeze the weather without doWeatherCycle', () => {
+      const weather = new WeatherSystem();
+      weather.gameRules = rules;
+      weather.setWeather('rain', 10);
+      rules.set('doWeatherCycle', false);
+
+      weather.update(100);
+
+      assert.strictEqual(weather.currentWeather, 'rain');
+      assert.strictEqual(weather.weatherTimer, 0);
+    });
+
+    it('should stop mob spawning, mob loot and mob griefing', () => {
+      const mobManager = new MobManager();
+      mobManager.setGameRules(rules);
+      const creeper = mobManager.spawnMob('creeper', { x: 0, y: 64, z: 0 });
+      rules.set('doMobSpawning', false);
+      rules.set('mobGriefing', false);
+
+      let spawned = 0;
+      mobManager.trySpawnMobNearPlayer = () => spawned++;
+      mobManager.spawnMobs({}, { p1: { position: { x: 0, y: 64, z: 0 } } });
+      assert.strictEqual(spawned, 0);
+
+      assert.strictEqual(creeper.explode().breaksBlocks, false);
+
+      rules.set('doMobLoot', false);
+      creeper.getDrops = () => assert.fail('loot should not be rolled');
+      mobManager.dropLoot(creeper);
+    });
+
+    it('should keep fire from burning out or spreading without doFireTick', () => {
+      const placed = [];
+      const world = {
+        gameRules: rules,
+        getBlockAt: (x, y) => ({ type: y < 64 ? 'wood' : 'air' }),
+        setBlock: position => placed.push(position)
+      };
+      const fire = new FireBlock();
+      rules.set('doFireTick', false);
+
+      assert.strictEqual(fire.update(world, { x: 0, y: 64, z: 0 }, 60000), null);
+      assert.strictEqual(fire.burnTime, 0);
+      assert.deepStrictEqual(placed, []);
+    });
+  });
+
+  describe('command', () => {
+    it('should show and change rules', () => {
+      const dispatcher = new CommandDispatcher({
+        permissions: new PermissionManager({}),
+        server: { getPlayers: () => [], getEntities: () => [], gameRules: rules }
+      });
+      const run = input => dispatcher.execute(CommandDispatcher.consoleSource(), input);
+
+      assert.deepStrictEqual(run('/gamerule keepInventory true'),
+        { success: true, message: 'Gamerule keepInventory is now set to: true' });
+      assert.deepStrictEqual(run('/gamerule keepInventory'),
+        { success: true, message: 'Gamerule keepInventory is currently set to: true' });
+      assert.strictEqual(run('/gamerule randomTickSpeed lots').error,
+        "Game rule randomTickSpeed expects a whole number but got 'lots'");
+      assert.strictEqual(run('/gamerule flyingPigs').success, false);
+    });
+  });
+});
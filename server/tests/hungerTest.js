@@ -0,0 +1,242 @@
+const assert = require('assert');
+const { HungerManager, Exhaustion } = require('../entities/hungerManager');
+const { FoodItem, getFoodProperties } = require('../items/foodItem');
+const Player = require('../entities/player');
+const itemRegistry = require('../items/itemRegistry');
+
+describe('Hunger and food', () => {
+  let settings;
+  let added;
+  let removed;
+  let hunger;
+  let player;
+
+  function tick(times) {
+    for (let i = 0; i < times; i++) {
+      hunger.tick({ [player.id]: player });
+    }
+  }
+
+  beforeEach(() => {
+    settings = { difficulty: 'normal', naturalRegeneration: true };
+    added = [];
+    removed = [];
+    hunger = new HungerManager({
+      settings,
+      statusEffectsManager: {
+        addEffect: (id, effect, options) => added.push({ effect, level: options.level, duration: options.duration }) > 0,
+        removeEffect: (id, effect) => removed.push(effect) > 0
+      }
+    });
+    player = { id: 'p1', health: 20, maxHealth: 20, hunger: 20, saturation: 5, exhaustion: 0, gameMode: 'survival' };
+  });
+
+  describe('food', () => {
+    it('should know vanilla food values', () => {
+      assert.deepStrictEqual(
+        [getFoodProperties('cooked_beef').nutrition, getFoodProperties('cooked_beef').saturation], [8, 12.8]);
+      assert.strictEqual(getFoodProperties({ id: 'mushroom_stew' }).remainder, 'bowl');
+      assert.strictEqual(getFoodProperties('dried_kelp').eatTicks, 16);
+      assert.strictEqual(getFoodProperties('stone'), null);
+    });
+
+    it('should register food items with the item registry', () => {
+      const bread = itemRegistry.getItem('bread');
+
+      assert.ok(bread instanceof FoodItem);
+      assert.strictEqual(bread.nutrition, 5);
+      assert.strictEqual(itemRegistry.getItem('rabbit_stew').maxStackSize, 1);
+    });
+
+    it('should refill hunger and cap saturation at the hunger level', () => {
+      player.hunger = 10;
+      player.saturation = 0;
+
+      const result = hunger.eat(player, 'cooked_beef');
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(player.hunger, 18);
+      assert.strictEqual(player.saturation, 12.8);
+
+      hunger.eat(player, 'golden_carrot');
+      assert.strictEqual(player.hunger, 20);
+      assert.strictEqual(player.saturation, 20);
+    });
+
+    it('should refuse food on a full hunger bar unless it is always edible', () => {
+      assert.deepStrictEqual(hunger.eat(player, 'bread'), { success: false, reason: 'not_hungry' });
+      assert.deepStrictEqual(hunger.eat(player, 'dirt'), { success: false, reason: 'not_food' });
+      assert.strictEqual(hunger.eat(player, 'chorus_fruit').success, true);
+    });
+
+    it('should apply golden apple effects through the status effects manager', () => {
+      const result = hunger.eat(player, new FoodItem({ id: 'golden_apple' }));
+
+      assert.deepStrictEqual(added, [
+        { effect: 'REGENERATION', level: 2, duration: 100 },
+        { effect: 'ABSORPTION', level: 1, duration: 2400 }
+      ]);
+      assert.deepStrictEqual(result.effects, ['REGENERATION', 'ABSORPTION']);
+    });
+
+    it('should roll chance effects such as rotten flesh hunger', () => {
+      player.hunger = 10;
+      // Math.random is 0.5 in tests
+      hunger.eat(player, 'rotten_flesh');
+      hunger.eat(player, 'chicken');
+
+      assert.deepStrictEqual(added.map(entry => entry.effect), ['HUNGER']);
+    });
+
+    it('should give suspicious stew the effect of its flower and hand back the bowl', () => {
+      const result = hunger.eat(player, { id: 'suspicious_stew', flower: 'minecraft:poppy' });
+
+      assert.deepStrictEqual(added, [{ effect: 'NIGHT_VISION', level: 1, duration: 100 }]);
+      assert.strictEqual(result.remainder, 'bowl');
+    });
+
+    it('should ignore effects stored on forged items', () => {
+      player.hunger = 10;
+      const forged = { effects: [{ id: 'resistance', level: 255, duration: 1e9 }, { id: 'regeneration', level: 50, duration: 1e9 }] };
+
+      hunger.eat(player, { id: 'bread', nbt: forged, data: forged, flower: 'poppy' });
+      hunger.eat(player, { id: 'suspicious_stew', nbt: forged, data: forged });
+      hunger.eat(player, { id: 'suspicious_stew', flower: 'constructor' });
+
+      assert.deepStrictEqual(added, []);
+    });
+
+    it('should only accept eating once the food\'s eat time has passed', () => {
+      player.hunger = 10;
+      assert.strictEqual(hunger.finishEating(player, 'bread').reason, 'not_eating');
+
+      assert.deepStrictEqual(hunger.startEating(player, 'bread'), { success: true, eatTicks: 32 });
+      tick(31);
+      assert.strictEqual(hunger.finishEating(player, 'bread').reason, 'too_fast');
+      assert.strictEqual(hunger.finishEating(player, 'dried_kelp').reason, 'not_eating');
+      tick(1);
+      assert.strictEqual(hunger.finishEating(player, 'bread').success, true);
+      assert.strictEqual(player.hunger, 15);
+
+      // Each start allows one eat
+      assert.strictEqual(hunger.finishEating(player, 'bread').reason, 'not_eating');
+    });
+
+    it('should cure poison with honey', () => {
+      player.hunger = 10;
+      const result = hunger.eat(player, 'honey_bottle');
+
+      assert.deepStrictEqual(removed, ['POISON']);
+      assert.strictEqual(result.remainder, 'glass_bottle');
+    });
+  });
+
+  describe('exhaustion', () => {
+    it('should add exhaustion for sprinting, swimming and jumping', () => {
+      hunger.recordMove(player, { distance: 10, sprinting: true });
+      assert.ok(Math.abs(player.exhaustion - 1) < 1e-9);
+
+      hunger.recordMove(player, { distance: 10, swimming: true, jumped: true });
+      assert.ok(Math.abs(player.exhaustion - (1 + 0.1 + Exhaustion.JUMP)) < 1e-9);
+
+      player.gameMode = 'creative';
+      hunger.addExhaustion(player, Exhaustion.ATTACK);
+      assert.ok(Math.abs(player.exhaustion - 1.15) < 1e-9);
+    });
+
+    it('should spend saturation before hunger', () => {
+      player.saturation = 1;
+      player.exhaustion = 4;
+      tick(1);
+      assert.deepStrictEqual([player.saturation, player.hunger], [0, 20]);
+
+      hunger.addExhaustion(player, 4);
+      tick(1);
+      assert.deepStrictEqual([player.saturation, player.hunger], [0, 19]);
+    });
+  });
+
+  describe('regeneration and starvation', () => {
+    it('should heal quickly while saturated on a full hunger bar', () => {
+      player.health = 10;
+      player.saturation = 6;
+      tick(10);
+
+      assert.strictEqual(player.health, 11);
+      assert.ok(player.exhaustion >= Exhaustion.REGENERATION);
+    });
+
+    it('should heal slowly above 18 hunger and not at all below it', () => {
+      player.health = 10;
+      player.saturation = 0;
+      player.hunger = 18;
+      tick(80);
+      assert.strictEqual(player.health, 11);
+
+      player.hunger = 17;
+      tick(200);
+      assert.strictEqual(player.health, 11);
+    });
+
+    it('should not heal when natural regeneration is off', () => {
+      settings.naturalRegeneration = false;
+      player.health = 10;
+      tick(100);
+
+      assert.strictEqual(player.health, 10);
+    });
+
+    it('should starve players down to a limit that depends on difficulty', () => {
+      const starved = [];
+      hunger.on('starvation', ({ damage }) => {
+        starved.push(damage);
+        player.health -= damage;
+      });
+      player.hunger = 0;
+      player.saturation = 0;
+
+      settings.difficulty = 'easy';
+      player.health = 11;
+      tick(400);
+      assert.strictEqual(player.health, 10);
+
+      settings.difficulty = 'normal';
+      tick(80 * 10);
+      assert.strictEqual(player.health, 1);
+
+      settings.difficulty = 'hard';
+      tick(80);
+      assert.strictEqual(player.health, 0);
+      assert.strictEqual(starved.length, 11);
+    });
+
+    it('should refill hunger and heal on peaceful', () => {
+      settings.difficulty = 'peaceful';
+      player.hunger = 5;
+      player.saturation = 0;
+      player.health = 10;
+      tick(40);
+
+      assert.strictEqual(player.hunger, 9);
+      assert.ok(player.health > 10);
+    });
+  });
+
+  describe('player entities', () => {
+    it('should starve Player entities through their setters', () => {
+      const entity = new Player('p2', 'Steve');
+      hunger.on('starvation', ({ player: target, damage }) => target.setHealth(target.getHealth() - damage));
+      settings.difficulty = 'hard';
+
+      entity.setHealth(10);
+      entity.setHunger(0);
+      entity.setSaturation(3);
+      assert.strictEqual(entity.getSaturation(), 0);
+
+      for (let i = 0; i < 80; i++) {
+        hunger.tick(new Map([[entity.id, entity]]));
+      }
+      assert.strictEqual(entity.getHealth(), 9);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const assert = require('assert');
+const InterestManager = require('../world/interestManager');
+const ChunkLoader = require('../world/chunkLoader');
+
+describe('InterestManager', () => {
+  let blocks;
+  let interest;
+  let sent;
+
+  beforeEach(() => {
+    blocks = {
+      '1,0,1': { type: 'stone' },
+      '17,0,1': { type: 'dirt' },
+      '200,0,200': { type: 'grass' }
+    };
+    interest = new InterestManager({ blocks, viewDistance: 2 });
+
+    sent = [];
+    for (const event of ['chunkData', 'chunkUnload', 'entityUpdates']) {
+      interest.on(event, data => sent.push({ event, ...data }));
+    }
+  });
+
+  afterEach(() => {
+    interest.dispose();
+  });
+
+  function events(event, playerId = 'alex') {
+    return sent.filter(data => data.event === event && data.playerId === playerId);
+  }
+
+  describe('chunks', () => {
+    it('should send the chunks within view distance when a player joins', () => {
+      interest.addPlayer({ id: 'alex', position: { x: 8, y: 1, z: 8 } });
+
+      const chunks = events('chunkData');
+      assert.strictEqual(chunks.length, 13);
+      const home = chunks.find(({ x, z }) => x === 0 && z === 0);
+      assert.deepStrictEqual(home.blocks, { '1,0,1': { type: 'stone' } });
+      const east = chunks.find(({ x, z }) => x === 1 && z === 0);
+      assert.deepStrictEqual(east.blocks, { '17,0,1': { type: 'dirt' } });
+    });
+
+    it('should only stream the edge of the view when crossing into another chunk', () => {
+      const player = { id: 'alex', position: { x: 8, y: 1, z: 8 } };
+      interest.addPlayer(player);
+      sent = [];
+
+      player.position.x = 12;
+      interest.updatePlayer(player);
+      assert.strictEqual(sent.length, 0);
+
+      player.position.x = 20;
+      interest.updatePlayer(player);
+      assert.deepStrictEqual(events('chunkData').map(({ x, z }) => `${x},${z}`).sort(),
+        ['1,-2', '1,2', '2,-1', '2,1', '3,0']);
+      assert.deepStrictEqual(events('chunkUnload').map(({ x, z }) => `${x},${z}`).sort(),
+        ['-1,-1', '-1,1', '-2,0', '0,-2', '0,2']);
+    });
+
+    it('should unload everything when the player leaves the dimension', () => {
+      const player = { id: 'alex', position: { x: 8, y: 1, z: 8 } };
+      interest.addPlayer(player);
+      sent = [];
+
+      player.dimension = 'nether';
+      interest.updatePlayer(player);
+      assert.strictEqual(events('chunkUnload').length, 13);
+      assert.deepStrictEqual(interest.getViewers(0, 0), []);
+    });
+
+    it('should resend subscribed chunks after the world changed', () => {
+      interest.addPlayer({ id: 'alex', position: { x: 8, y: 1, z: 8 } });
+      sent = [];
+
+      blocks['2,0,2'] = { type: 'sand' };
+      interest.indexBlocks(blocks);
+      interest.resendChunks();
+      const home = events('chunkData').find(({ x, z }) => x === 0 && z === 0);
+      assert.deepStrictEqual(Object.keys(home.blocks).sort(), ['1,0,1', '2,0,2']);
+    });
+  });
+
+  describe('blocks', () => {
+    it('should keep the chunk index up to date', () => {
+      blocks['3,5,3'] = { type: 'torch' };
+      interest.onBlockChanged('3,5,3');
+      assert.ok(interest.getChunkBlocks(0, 0)['3,5,3']);
+
+      delete blocks['1,0,1'];
+      interest.onBlockChanged('1,0,1');
+      assert.deepStrictEqual(Object.keys(interest.getChunkBlocks(0, 0)), ['3,5,3']);
+    });
+
+    it('should route block changes only to players that can see them', () => {
+      interest.addPlayer({ id: 'alex', position: { x: 8, y: 1, z: 8 } });
+      interest.addPlayer({ id: 'sam', position: { x: 200, y: 1, z: 200 } });
+
+      assert.deepStrictEqual(interest.getBlockViewers('1,0,1'), ['alex']);
+      assert.deepStrictEqual(interest.getBlockViewers('200,0,200'), ['sam']);
+      assert.deepStrictEqual(interest.getBlockViewers('-500,0,0'), []);
+    });
+  });
+
+  describe('entities', () => {
+    let zombie;
+
+    beforeEach(() => {
+      interest.addPlayer({ id: 'alex', position: { x: 8, y: 1, z: 8 } });
+      interest.addPlayer({ id: 'sam', position: { x: 200, y: 1, z: 200 } });
+      zombie = { id: 'zombie1', kind: 'mob', type: 'zombie', health: 20, position: { x: 5, y: 1, z: 5 } };
+      sent = [];
+    });
+
+    it('should spawn entities only for players that can see them', () => {
+      interest.syncEntities({ zombie1: zombie });
+
+      const [update] = events('entityUpdates');
+      assert.deepStrictEqual(update.spawned, { zombie1: zombie });
+      assert.deepStrictEqual(events('entityUpdates', 'sam'), []);
+    });
+
+    it('should send only the fields that changed', () => {
+      interest.syncEntities({ zombie1: zombie });
+      sent = [];
+
+      interest.syncEntities({ zombie1: zombie });
+      assert.deepStrictEqual(sent, []);
+
+      zombie.position.x = 6;
+      zombie.health = 15;
+      interest.syncEntities({ zombie1: zombie });
+      const [update] = events('entityUpdates');
+      assert.deepStrictEqual(update.spawned, {});
+      assert.deepStrictEqual(update.updated, {
+        zombie1: { health: 15, position: { x: 6, y: 1, z: 5 } }
+      });
+    });
+
+    it('should despawn entities that leave view or are removed', () => {
+      const arrow = { id: 'arrow1', kind: 'projectile', position: { x: 1, y: 2, z: 1 } };
+      interest.syncEntities({ zombie1: zombie, arrow1: arrow });
+      sent = [];
+
+      zombie.position = { x: 190, y: 1, z: 190 };
+      interest.syncEntities({ zombie1: zombie });
+
+      assert.deepStrictEqual(events('entityUpdates')[0].despawned.sort(), ['arrow1', 'zombie1']);
+      assert.deepStrictEqual(Object.keys(events('entityUpdates', 'sam')[0].spawned), ['zombie1']);
+    });
+  });
+});
+
+describe('ChunkLoader.updatePlayerChunks', () => {
+  it('should report chunks entering and leaving view without loading them', () => {
+    const loader = new ChunkLoader({ world: {}, viewDistance: 1, loadChunks: false });
+    const player = { id: 'alex', position: { x: 0, y: 0, z: 0 } };
+
+    const first = loader.updatePlayerChunks(player);
+    assert.strictEqual(first.added.length, 5);
+    assert.deepStrictEqual(first.removed, []);
+
+    player.position.x = 16;
+    const second = loader.updatePlayerChunks(player);
+    assert.deepStrictEqual(second.added.map(({ x, z }) => `${x},${z}`).sort(), ['1,-1', '1,1', '2,0']);
+    assert.deepStrictEqual(second.removed.map(({ x, z }) => `${x},${z}`).sort(), ['-1,0', '0,-1', '0,1']);
+    assert.strictEqual(loader.loadQueue.length, 0);
+
+    loader.dispose();
+  });
+});
@@ -0,0 +1,224 @@
+const assert = require('assert');
+const LightManager = require('../systems/lightManager');
+const MobManager = require('../mobs/mobManager');
+
+/**
+ * Minimal block grid with a light engine attached
+ */
+class GridWorld {
+  constructor() {
+    this.blocks = new Map();
+    this.minHeight = 0;
+    this.maxHeight = 32;
+    this.light = new LightManager({ world: this });
+  }
+
+  getBlockAt(x, y, z) {
+    return this.blocks.get(`${x},${y},${z}`) || null;
+  }
+
+  setBlock(x, y, z, block) {
+    if (block) {
+      this.blocks.set(`${x},${y},${z}`, block);
+    } else {
+      this.blocks.delete(`${x},${y},${z}`);
+    }
+    this.light.onBlockChanged(x, y, z);
+  }
+
+  // Fill a box without light updates, for building terrain before lighting
+  fill(from, to, type) {
+    for (let x = from.x; x <= to.x; x++) {
+      for (let y = from.y; y <= to.y; y++) {
+        for (let z = from.z; z <= to.z; z++) {
+          this.blocks.set(`${x},${y},${z}`, { type });
+        }
+      }
+    }
+  }
+}
+
+describe('LightManager', () => {
+  let world;
+  let light;
+
+  beforeEach(() => {
+    world = new GridWorld();
+    light = world.light;
+    // Stone floor across two chunk columns
+    world.fill({ x: 0, y: 0, z: 0 }, { x: 31, y: 4, z: 15 }, 'stone');
+  });
+
+  function lightAll() {
+    light.lightColumn(0, 0);
+    light.lightColumn(1, 0);
+  }
+
+  describe('block light', () => {
+    it('should lose one level per block from a source', () => {
+      world.fill({ x: 4, y: 5, z: 4 }, { x: 4, y: 5, z: 4 }, 'glowstone');
+      lightAll();
+
+      assert.strictEqual(light.getBlockLight(4, 5, 4), 15);
+      assert.strictEqual(light.getBlockLight(5, 5, 4), 14);
+      assert.strictEqual(light.getBlockLight(8, 6, 4), 10);
+      // Opaque blocks stay dark
+      assert.strictEqual(light.getBlockLight(4, 4, 4), 0);
+    });
+
+    it('should spread across chunk borders', () => {
+      world.fill({ x: 14, y: 5, z: 8 }, { x: 14, y: 5, z: 8 }, 'sea_lantern');
+      lightAll();
+      assert.strictEqual(light.getBlockLight(18, 5, 8), 11);
+    });
+
+    it('should update incrementally when sources are placed and broken', () => {
+      lightAll();
+      world.setBlock(10, 5, 10, { type: 'torch' });
+      assert.strictEqual(light.getBlockLight(10, 5, 10), 14);
+      assert.strictEqual(light.getBlockLight(10, 5, 7), 11);
+
+      world.setBlock(10, 5, 10, null);
+      assert.strictEqual(light.getBlockLight(10, 5, 10), 0);
+      assert.strictEqual(light.getBlockLight(10, 5, 7), 0);
+    });
+
+    it('should keep light from a second source when one is removed', () => {
+      lightAll();
+      world.setBlock(10, 5, 10, { type: 'glowstone' });
+      world.setBlock(16, 5, 10, { type: 'glowstone' });
+      world.setBlock(10, 5, 10, null);
+
+      assert.strictEqual(light.getBlockLight(13, 5, 10), 12);
+      assert.strictEqual(light.getBlockLight(10, 5, 10), 9);
+    });
+
+    it('should be blocked by walls and flow back when they are broken', () => {
+      lightAll();
+      world.setBlock(2, 5, 2, { type: 'glowstone' });
+      world.setBlock(3, 5, 2, { type: 'stone' });
+      assert.strictEqual(light.getBlockLight(4, 5, 2), 11);
+
+      world.setBlock(3, 5, 2, null);
+      assert.strictEqual(light.getBlockLight(3, 5, 2), 14);
+      assert.strictEqual(light.getBlockLight(4, 5, 2), 13);
+    });
+
+    it('should use the declared light of block types', () => {
+      const typed = new LightManager({ world, blockTypes: { magma_block: { light: 3 }, candle: { light: 3, transparent: true } } });
+      assert.strictEqual(typed.getEmission({ type: 'candle' }), 3);
+      assert.strictEqual(typed.getOpacity({ type: 'candle' }), 0);
+      assert.strictEqual(typed.getEmission({ type: 'redstone_lamp', state: { lit: true } }), 15);
+      assert.strictEqual(typed.getEmission({ type: 'redstone_lamp', state: { lit: false } }), 0);
+    });
+  });
+
+  describe('sky light', () => {
+    it('should be full above ground and dark under a roof', () => {
+      world.fill({ x: 2, y: 8, z: 2 }, { x: 12, y: 8, z: 12 }, 'stone');
+      lightAll();
+
+      assert.strictEqual(light.getSkyLight(0, 5, 0), 15);
+      assert.strictEqual(light.getSkyLight(20, 20, 3), 15);
+      // Under the roof light creeps in from the edge
+      assert.strictEqual(light.getSkyLight(2, 5, 7), 14);
+      assert.strictEqual(light.getSkyLight(7, 5, 7), 9);
+      assert.strictEqual(light.getSkyLight(7, 3, 7), 0);
+    });
+
+    it('should be dimmed by water', () => {
+      world.fill({ x: 6, y: 5, z: 6 }, { x: 6, y: 7, z: 6 }, 'water');
+      world.fill({ x: 5, y: 5, z: 5 }, { x: 7, y: 7, z: 5 }, 'stone');
+      world.fill({ x: 5, y: 5, z: 7 }, { x: 7, y: 7, z: 7 }, 'stone');
+      world.fill({ x: 5, y: 5, z: 6 }, { x: 5, y: 7, z: 6 }, 'stone');
+      world.fill({ x: 7, y: 5, z: 6 }, { x: 7, y: 7, z: 6 }, 'stone');
+      lightAll();
+
+      assert.strictEqual(light.getSkyLight(6, 7, 6), 14);
+      assert.strictEqual(light.getSkyLight(6, 5, 6), 12);
+    });
+
+    it('should darken a shaft when it is covered and relight it when uncovered', () => {
+      lightAll();
+      assert.strictEqual(light.getSkyLight(8, 5, 8), 15);
+
+      world.setBlock(8, 5, 8, { type: 'stone' });
+      world.blocks.delete('8,4,8');
+      world.blocks.delete('8,3,8');
+      world.light.onBlockChanged(8, 4, 8);
+      world.light.onBlockChanged(8, 3, 8);
+      assert.strictEqual(light.getSkyLight(8, 3, 8), 0);
+
+      world.setBlock(8, 5, 8, null);
+      assert.strictEqual(light.getSkyLight(8, 3, 8), 15);
+    });
+
+    it('should report the changed sections for clients', () => {
+      lightAll();
+      const updates = [];
+      light.on('lightUpdate', ({ sections }) => updates.push(...sections));
+
+      world.setBlock(3, 5, 3, { type: 'torch' });
+      const section = updates.find(data => data.x === 0 && data.y === 0 && data.z === 0);
+      // Packed as (sky << 4) | block
+      assert.strictEqual(section.light[3 + 5 * 16 + 3 * 256], (15 << 4) | 14);
+    });
+  });
+
+  describe('sky darkening', () => {
+    it('should follow the time of day', () => {
+      assert.strictEqual(LightManager.getSkyDarkening(6000), 0);
+      assert.strictEqual(LightManager.getSkyDarkening(18000), 11);
+      const dusk = LightManager.getSkyDarkening(12500);
+      assert.ok(dusk > 0 && dusk < 11);
+    });
+  });
+
+  describe('mob spawning', () => {
+    let mobManager;
+
+    beforeEach(() => {
+      world.fill({ x: 2, y: 8, z: 2 }, { x: 12, y: 8, z: 12 }, 'stone');
+      lightAll();
+      mobManager = new MobManager();
+      mobManager.setLightManager(light);
+    });
+
+    it('should only allow hostile mobs in the dark', () => {
+      mobManager.worldTime = 6000;
+      assert.strictEqual(mobManager.canSpawnAtLightLevel({ x: 7, y: 5, z: 7 }, 'hostile'), false);
+
+      // Deep under the roof it is dark enough even at noon
+      world.fill({ x: 3, y: 5, z: 3 }, { x: 11, y: 7, z: 3 }, 'stone');
+      world.fill({ x: 3, y: 5, z: 11 }, { x: 11, y: 7, z: 11 }, 'stone');
+      world.fill({ x: 3, y: 5, z: 3 }, { x: 3, y: 7, z: 11 }, 'stone');
+      world.fill({ x: 11, y: 5, z: 3 }, { x: 11, y: 7, z: 11 }, 'stone');
+      light.lightColumn(0, 0);
+      assert.strictEqual(mobManager.canSpawnAtLightLevel({ x: 7, y: 5, z: 7 }, 'hostile'), true);
+
+      // A torch makes the room safe
+      world.setBlock(7, 5, 8, { type: 'torch' });
+      assert.strictEqual(mobManager.canSpawnAtLightLevel({ x: 7, y: 5, z: 7 }, 'hostile'), false);
+    });
+
+    it('should let hostile mobs spawn in the open only at night', () => {
+      mobManager.worldTime = 6000;
+      assert.strictEqual(mobManager.canSpawnAtLightLevel({ x: 20.5, y: 5, z: 3.5 }, 'hostile'), false);
+      mobManager.worldTime = 18000;
+      assert.strictEqual(mobManager.canSpawnAtLightLevel({ x: 20.5, y: 5, z: 3.5 }, 'hostile'), true);
+    });
+
+    it('should keep animals out of dark places', () => {
+      assert.strictEqual(mobManager.canSpawnAtLightLevel({ x: 20, y: 5, z: 3 }, 'passive'), true);
+      assert.strictEqual(mobManager.canSpawnAtLightLevel({ x: 7, y: 3, z: 7 }, 'passive'), false);
+    });
+
+    it('should not spawn a mob where the light is wrong', () => {
+      mobManager.worldTime = 6000;
+      const player = { position: { x: 20, y: 5, z: 3 } };
+      const spawned = mobManager.trySpawnMobNearPlayer(player, 'hostile');
+      assert.strictEqual(spawned, false);
+      assert.strictEqual(Object.keys(mobManager.mobs).length, 0);
+    });
+  });
+});
@@ -0,0 +1,346 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LootTableLoader, getDefaultLootTableLoader } = require('../loot/lootTableLoader');
+const { parseSnbt } = require('../loot/lootFunctions');
+const { RecipeLoader } = require('../crafting/recipeLoader');
+const { LootTable } = require('../loot/lootTable');
+const ArchaeologyManager = require('../archaeology/archaeologyManager');
+const { Zombie, Creeper, Skeleton } = require('../mobs/hostileMobs');
+const { Sheep } = require('../mobs/passiveMobs');
+const { hashSeed } = require('../utils/mathUtils');
+const CommandDispatcher = require('../commands/commandDispatcher');
+const PermissionManager = require('../commands/permissionManager');
+
+// Random function returning the given values in turn, then the last one
+function sequence(...values) {
+  let index = 0;
+  return () => values[Math.min(index++, values.length - 1)];
+}
+
+describe('Loot tables', () => {
+  let root;
+  let builtin;
+  let datapacks;
+  let loader;
+  let consoleError;
+
+  function write(directory, file, data) {
+    const target = path.join(directory, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, typeof data === 'string' ? data : JSON.stringify(data));
+  }
+
+  function table(id, data) {
+    write(builtin, `loot_tables/${id}.json`, data);
+  }
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'loot-tables-'));
+    builtin = path.join(root, 'data');
+    datapacks = path.join(root, 'datapacks');
+    loader = new LootTableLoader({ directories: [builtin], datapacksDirectory: datapacks });
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('pools and entries', () => {
+    it('should roll each pool and pick entries by weight', () => {
+      table('chests/simple', {
+        pools: [
+          { rolls: 2, entries: [{ type: 'item', name: 'diamond', weight: 1 }, { type: 'item', name: 'dirt', weight: 3 }] },
+          { rolls: 1, entries: [{ type: 'item', name: 'stick' }] }
+        ]
+      });
+      loader.load();
+
+      // Weight 4 in total: rolls below 0.25 land on diamond
+      const loot = loader.generate('chests/simple', { random: sequence(0.1, 0.9, 0.5) });
+      assert.deepStrictEqual(loot, [
+        { item: 'diamond', count: 1 },
+        { item: 'dirt', count: 1 },
+        { item: 'stick', count: 1 }
+      ]);
+    });
+
+    it('should add bonus rolls and shift weights by quality with luck', () => {
+      table('chests/lucky', {
+        pools: [{
+          rolls: 1,
+          bonus_rolls: 1,
+          entries: [
+            { type: 'item', name: 'dirt', weight: 10, quality: -10 },
+            { type: 'item', name: 'diamond', weight: 1, quality: 5 }
+          ]
+        }]
+      });
+      loader.load();
+
+      assert.deepStrictEqual(loader.generate('chests/lucky', { random: () => 0 }), [{ item: 'dirt', count: 1 }]);
+      assert.deepStrictEqual(loader.generate('chests/lucky', { random: () => 0, luck: 1 }), [
+        { item: 'diamond', count: 1 },
+        { item: 'diamond', count: 1 }
+      ]);
+    });
+
+    it('should roll nested tables and drop empty entries', () => {
+      table('gameplay/treasure', { pools: [{ rolls: 1, entries: [{ type: 'item', name: 'emerald' }] }] });
+      table('chests/nested', {
+        pools: [{
+          rolls: 2,
+          entries: [{ type: 'loot_table', name: 'gameplay/treasure' }, { type: 'empty' }]
+        }]
+      });
+      loader.load();
+
+      assert.deepStrictEqual(loader.generate('chests/nested', { random: sequence(0, 0.9) }), [{ item: 'emerald', count: 1 }]);
+      assert.deepStrictEqual(loader.generate('missing/table'), []);
+    });
+
+    it('should give the same loot for the same seed', () => {
+      table('chests/seeded', {
+        pools: [{
+          rolls: { min: 3, max: 6 },
+          entries: ['dirt', 'stone', 'diamond', 'emerald', 'gold_ingot'].map(name => ({
+            type: 'item', name, functions: [{ function: 'set_count', count: { min: 1, max: 16 } }]
+          }))
+        }]
+      });
+      loader.load();
+
+      const seed = hashSeed(12345, 10, 64, -20);
+      const first = loader.generate('chests/seeded', { seed });
+      assert.deepStrictEqual(loader.generate('chests/seeded', { seed }), first);
+      assert.notDeepStrictEqual(loader.generate('chests/seeded', { seed: hashSeed(12345, 10, 64, -21) }), first);
+    });
+  });
+
+  describe('conditions', () => {
+    beforeEach(() => {
+      table('entities/test', {
+        pools: [
+          { rolls: 1, conditions: [{ condition: 'killed_by_player' }], entries: [{ type: 'item', name: 'xp_bottle' }] },
+          {
+            rolls: 1,
+            conditions: [{ condition: 'random_chance_with_looting', chance: 0.1, looting_multiplier: 0.2 }],
+            entries: [{ type: 'item', name: 'rare_drop' }]
+          },
+          {
+            rolls: 1,
+            conditions: [{ condition: 'killed_by', entity_types: ['skeleton'] }],
+            entries: [{ type: 'item', name: 'music_disc_cat' }]
+          }
+        ]
+      });
+      table('blocks/grass', {
+        pools: [{
+          rolls: 1,
+          entries: [
+            {
+              type: 'item',
+              name: 'grass',
+              conditions: [{ condition: 'match_tool', predicate: { items: ['shears'] } }]
+            },
+            {
+              type: 'item',
+              name: 'wheat_seeds',
+              conditions: [{ condition: 'inverted', term: { condition: 'match_tool', predicate: { items: ['shears'] } } }]
+            }
+          ]
+        }]
+      });
+      table('gameplay/biome', {
+        pools: [{
+          rolls: 1,
+          conditions: [{ condition: 'any_of', terms: [{ condition: 'biome', biomes: ['desert'] }, { condition: 'biome', biomes: ['badlands'] }] }],
+          entries: [{ type: 'item', name: 'cactus' }]
+        }]
+      });
+      loader.load();
+    });
+
+    it('should check the killer and looting', () => {
+      const items = (options) => loader.generate('entities/test', { random: () => 0.5, ...options }).map(stack => stack.item);
+
+      assert.deepStrictEqual(items({}), []);
+      assert.deepStrictEqual(items({ killedByPlayer: true }), ['xp_bottle']);
+      assert.deepStrictEqual(items({ killer: { type: 'skeleton' } }), ['music_disc_cat']);
+      // 0.1 + 3 * 0.2 is above the 0.5 roll
+      assert.deepStrictEqual(items({ killedByPlayer: true, tool: { type: 'sword', enchantments: { looting: 3 } } }), [
+        'xp_bottle', 'rare_drop'
+      ]);
+    });
+
+    it('should check the tool and biome', () => {
+      assert.deepStrictEqual(loader.generate('blocks/grass', { tool: 'shears' }), [{ item: 'grass', count: 1 }]);
+      assert.deepStrictEqual(loader.generate('blocks/grass', { tool: { id: 'iron_hoe' } }), [{ item: 'wheat_seeds', count: 1 }]);
+      assert.deepStrictEqual(loader.generate('gameplay/biome', { biome: 'badlands' }), [{ item: 'cactus', count: 1 }]);
+      assert.deepStrictEqual(loader.generate('gameplay/biome', { biome: 'plains' }), []);
+    });
+  });
+
+  describe('functions', () => {
+    it('should apply Fortune with apply_bonus', () => {
+      table('blocks/diamond_ore', {
+        pools: [{
+          rolls: 1,
+          entries: [{
+            type: 'item',
+            name: 'diamond',
+            functions: [{ function: 'apply_bonus', enchantment: 'fortune', formula: 'ore_drops' }]
+          }]
+        }]
+      });
+      table('blocks/redstone_ore', {
+        pools: [{
+          rolls: 1,
+          entries: [{
+            type: 'item',
+            name: 'redstone',
+            functions: [
+              { function: 'set_count', count: 4 },
+              { function: 'apply_bonus', enchantment: 'fortune', formula: 'uniform_bonus_count', parameters: { bonusMultiplier: 1 } }
+            ]
+          }]
+        }]
+      });
+      loader.load();
+
+      const fortune = { type: 'iron_pickaxe', enchantments: { fortune: 3 } };
+      assert.strictEqual(loader.generate('blocks/diamond_ore', { random: () => 0.5 })[0].count, 1);
+      // floor(0.99 * 5) - 1 = 3 bonus, so 4 diamonds
+      assert.strictEqual(loader.generate('blocks/diamond_ore', { random: () => 0.99, tool: fortune })[0].count, 4);
+      assert.strictEqual(loader.generate('blocks/redstone_ore', { random: () => 0.99, tool: fortune })[0].count, 7);
+    });
+
+    it('should enchant, set NBT and smelt', () => {
+      const recipeLoader = new RecipeLoader({ directories: [builtin] });
+      write(builtin, 'recipes/cooked_beef.json', { type: 'smelting', ingredient: 'beef', result: 'cooked_beef' });
+      recipeLoader.load();
+      table('chests/functions', {
+        pools: [
+          { rolls: 1, entries: [{ type: 'item', name: 'book', functions: [{ function: 'enchant_randomly', enchantments: ['mending'] }] }] },
+          { rolls: 1, entries: [{ type: 'item', name: 'pottery_sherd', functions: [{ function: 'set_nbt', tag: '{pattern:"prize",Damage:3s}' }] }] },
+          { rolls: 1, entries: [{ type: 'item', name: 'beef', functions: [{ function: 'furnace_smelt' }, { function: 'limit_count', limit: { min: 2 } }] }] }
+        ]
+      });
+      loader.recipeLoader = recipeLoader;
+      loader.load();
+
+      assert.deepStrictEqual(loader.generate('chests/functions', { random: () => 0 }), [
+        { item: 'enchanted_book', count: 1, enchantments: { mending: 1 } },
+        { item: 'pottery_sherd', count: 1, nbt: { pattern: 'prize', Damage: 3 } },
+        { item: 'cooked_beef', count: 2 }
+      ]);
+    });
+
+    it('should parse SNBT compounds, lists and quoted keys', () => {
+      assert.deepStrictEqual(parseSnbt('{StoredEnchantments:[{id:"minecraft:fortune",lvl:2s}],"display name":\'Prize\',flag:true,ids:[I;1,2]}'), {
+        StoredEnchantments: [{ id: 'minecraft:fortune', lvl: 2 }],
+        'display name': 'Prize',
+        flag: true,
+        ids: [1, 2]
+      });
+      assert.throws(() => parseSnbt('{pattern:"prize"'), /Expected/);
+    });
+  });
+
+  describe('validation and reloading', () => {
+    it('should skip invalid tables and report them', () => {
+      table('good', { pools: [{ rolls: 1, entries: [{ type: 'item', name: 'stone' }] }] });
+      table('bad_json', '{ "pools": [');
+      table('bad_rolls', { pools: [{ rolls: 'many', entries: [{ type: 'item', name: 'stone' }] }] });
+      table('bad_condition', {
+        pools: [{ rolls: 1, conditions: [{ condition: 'moon_phase' }], entries: [{ type: 'item', name: 'stone' }] }]
+      });
+      table('bad_function', {
+        pools: [{ rolls: 1, entries: [{ type: 'item', name: 'stone', functions: [{ function: 'set_count' }] }] }]
+      });
+      table('bad_reference', { pools: [{ rolls: 1, entries: [{ type: 'loot_table', name: 'nowhere' }] }] });
+
+      const result = loader.load();
+      const messages = Object.fromEntries(result.errors.map(error => [path.basename(error.file), error.message]));
+
+      assert.strictEqual(result.count, 1);
+      assert.ok(loader.hasTable('good'));
+      assert.match(messages['bad_json.json'], /^Invalid JSON/);
+      assert.strictEqual(messages['bad_rolls.json'],
+        '"pools[0].rolls" must be a number, { "min", "max" } or { "type": "binomial", "n", "p" }');
+      assert.strictEqual(messages['bad_condition.json'], 'Unknown loot condition "moon_phase" in "pools[0].conditions[0]"');
+      assert.match(messages['bad_function.json'], /"count" must be a number/);
+      assert.strictEqual(messages['bad_reference.json'], 'Unknown loot table "nowhere"');
+    });
+
+    it('should let datapacks override tables and reload through /reload', () => {
+      table('entities/zombie', { pools: [{ rolls: 1, entries: [{ type: 'item', name: 'rotten_flesh' }] }] });
+      write(path.join(datapacks, 'pack'), 'loot_tables/entities/zombie.json', {
+        pools: [{ rolls: 1, entries: [{ type: 'item', name: 'diamond' }] }]
+      });
+      const recipeLoader = new RecipeLoader({ directories: [builtin] });
+      const opsFile = path.join(root, 'ops.json');
+      fs.writeFileSync(opsFile, JSON.stringify([{ name: 'Steve', level: 2 }]));
+      const steve = { id: 's1', name: 'Steve', position: { x: 0, y: 0, z: 0 } };
+      const dispatcher = new CommandDispatcher({
+        permissions: new PermissionManager({ file: opsFile }),
+        server: { getPlayers: () => [steve], getEntities: () => [], recipeLoader, lootTableLoader: loader }
+      });
+      const source = CommandDispatcher.playerSource(steve);
+
+      assert.deepStrictEqual(dispatcher.execute(source, '/reload'), {
+        success: true,
+        message: 'Reloaded 0 recipes and 1 loot tables'
+      });
+      assert.deepStrictEqual(loader.generate('entities/zombie'), [{ item: 'diamond', count: 1 }]);
+
+      table('broken', { pools: {} });
+      assert.deepStrictEqual(dispatcher.execute(source, '/reload'), {
+        success: true,
+        message: 'Reloaded 0 recipes and 1 loot tables, skipped 1 invalid files:\nbroken.json: "pools" must be a list'
+      });
+    });
+  });
+
+  describe('built-in tables', () => {
+    it('should load every built-in table', () => {
+      const builtinLoader = getDefaultLootTableLoader();
+      assert.deepStrictEqual(builtinLoader.errors, []);
+      assert.ok(builtinLoader.hasTable('entities/zombie'));
+      assert.ok(builtinLoader.hasTable('chests/trial_chambers/reward'));
+    });
+
+    it('should drop mob loot from the entity tables', () => {
+      const creeper = new Creeper({ x: 0, y: 64, z: 0 });
+      creeper.takeDamage(100, new Skeleton({ x: 5, y: 64, z: 0 }));
+      const drops = creeper.getDrops();
+      assert.strictEqual(drops[0].type, 'gunpowder');
+      assert.ok(drops.some(drop => drop.type.startsWith('music_disc_')));
+
+      const zombie = new Zombie({ x: 0, y: 64, z: 0 });
+      zombie.takeDamage(100, { name: 'Steve', heldItem: { type: 'diamond_sword', enchantments: { looting: 3 } } });
+      assert.strictEqual(zombie.getLootContext().killedByPlayer, true);
+      assert.strictEqual(zombie.getDrops({ ...zombie.getLootContext(), random: () => 0 })[1].type, 'iron_ingot');
+
+      const sheep = new Sheep({ x: 0, y: 64, z: 0 });
+      assert.deepStrictEqual(sheep.getDrops().map(drop => drop.type), ['wool', 'raw_mutton']);
+    });
+
+    it('should roll vault and archaeology loot from tables', () => {
+      const lootTable = new LootTable();
+      const rareItems = lootTable.lootPools.rare.map(entry => entry.item);
+      const loot = lootTable.generateLoot(4, { seed: 7 });
+      assert.deepStrictEqual(lootTable.generateLoot(4, { seed: 7 }), loot);
+      assert.ok(loot.every(stack => rareItems.includes(stack.item)));
+
+      const archaeology = new ArchaeologyManager(null);
+      assert.deepStrictEqual(archaeology.selectLoot('plains', () => 0), {
+        item: 'pottery_sherd_archer',
+        metadata: { pattern: 'archer', count: 1 }
+      });
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const assert = require('assert');
+const MapManager = require('../systems/mapManager');
+const MapRenderer = require('../rendering/mapRenderer');
+const MapItem = require('../items/mapItem');
+const BiomeMapItem = require('../items/biomeMapItem');
+const TrailblazerManager = require('../trailblazer/trailblazerManager');
+const { BaseColor, Shade, packColor, getPixelRGBA } = require('../rendering/mapColors');
+
+// Flat grass world at y = 64 with a pond east of x = 20 and a hill north of z = -20
+function createWorld(biome = 'plains') {
+  return {
+    getMaxHeight: () => 80,
+    getMinHeight: () => 0,
+    getBiomeAt: () => ({ id: biome }),
+    getBlock(x, y, z) {
+      if (x >= 20 && x < 40 && z >= 0 && z < 20) {
+        if (y > 64) return null;
+        return y >= 64 - (x - 20) / 2 ? { type: 'water' } : { type: 'sand' };
+      }
+      const top = z < -20 ? 70 : 64;
+      if (y > top) return null;
+      return { type: y === top ? 'grass_block' : 'dirt' };
+    }
+  };
+}
+
+describe('Map rendering', () => {
+  let manager;
+  let world;
+
+  beforeEach(() => {
+    manager = new MapManager();
+    world = createWorld();
+  });
+
+  describe('map data', () => {
+    it('should convert between world positions and pixels by scale', () => {
+      const mapData = manager.createMap({ centerX: 0, centerZ: 0, scale: 2 });
+
+      assert.strictEqual(mapData.getBlocksPerPixel(), 4);
+      assert.deepStrictEqual(mapData.worldToPixel(0, 0), { x: 64, z: 64 });
+      assert.deepStrictEqual(mapData.worldToPixel(-256, 255), { x: 0, z: 127 });
+      assert.deepStrictEqual(mapData.pixelToWorld(64, 64), { x: 0, z: 0 });
+    });
+
+    it('should report changed pixels as a rectangle once', () => {
+      const mapData = manager.createMap();
+      mapData.setPixel(3, 4, 5);
+      mapData.setPixel(6, 2, 7);
+
+      const patch = mapData.takeDirty();
+      assert.deepStrictEqual({ x: patch.x, z: patch.z, width: patch.width, height: patch.height },
+        { x: 3, z: 2, width: 4, height: 3 });
+      assert.strictEqual(Buffer.from(patch.colors, 'base64')[2 * 4 + 0], 5);
+      assert.strictEqual(mapData.takeDirty(), null);
+    });
+
+    it('should survive a save', () => {
+      const mapData = manager.createMap({ centerX: 100, scale: 3 });
+      mapData.setPixel(10, 10, packColor(BaseColor.WATER, Shade.HIGH));
+
+      const loaded = new MapManager();
+      loaded.deserialize(manager.serialize());
+
+      assert.strictEqual(loaded.getMap(mapData.id).centerX, 100);
+      assert.strictEqual(loaded.getMap(mapData.id).getPixel(10, 10), packColor(BaseColor.WATER, Shade.HIGH));
+      assert.notStrictEqual(loaded.createMap().id, mapData.id);
+    });
+  });
+
+  describe('renderer', () => {
+    it('should draw top blocks around the holder only', () => {
+      const mapData = manager.createMap();
+      manager.updateMap(mapData, world, { x: 0, z: 0 }, { full: true });
+
+      assert.strictEqual(mapData.getPixel(64, 64) >> 2, BaseColor.GRASS);
+      assert.strictEqual(mapData.getPixel(0, 0), 0);
+    });
+
+    it('should draw a different set of columns on each update', () => {
+      const mapData = manager.createMap();
+      manager.updateMap(mapData, world, { x: 0, z: 0 });
+      const firstPass = mapData.colors.filter(pixel => pixel !== 0).length;
+      manager.updateMap(mapData, world, { x: 0, z: 0 });
+
+      assert.ok(firstPass > 0);
+      assert.ok(mapData.colors.filter(pixel => pixel !== 0).length > firstPass);
+    });
+
+    it('should shade slopes and tint water by depth', () => {
+      const mapData = manager.createMap();
+      manager.updateMap(mapData, world, { x: 0, z: 0 }, { full: true });
+
+      // South of the hill edge the ground drops, so the first row past it is dark
+      const hill = mapData.worldToPixel(0, -21);
+      assert.strictEqual(mapData.getPixel(hill.x, hill.z + 1) & 3, Shade.LOW);
+      assert.strictEqual(mapData.getPixel(hill.x, hill.z - 1) >> 2, BaseColor.GRASS);
+
+      const shallow = mapData.worldToPixel(20, 10);
+      const deep = mapData.worldToPixel(38, 10);
+      assert.strictEqual(mapData.getPixel(shallow.x, shallow.z) >> 2, BaseColor.WATER);
+      assert.strictEqual(mapData.getPixel(shallow.x, shallow.z) & 3, Shade.HIGH);
+      assert.strictEqual(mapData.getPixel(deep.x, deep.z) & 3, Shade.LOW);
+    });
+
+    it('should tint grass by biome', () => {
+      const mapData = manager.createMap();
+      manager.updateMap(mapData, createWorld('cherry_grove'), { x: 0, z: 0 }, { full: true });
+
+      assert.strictEqual(mapData.getPixel(64, 64) >> 2, BaseColor.PINK);
+    });
+
+    it('should turn pixels into RGBA with darker shades', () => {
+      const mapData = manager.createMap();
+      mapData.setPixel(0, 0, packColor(BaseColor.SNOW, Shade.HIGH));
+      mapData.setPixel(1, 0, packColor(BaseColor.SNOW, Shade.LOW));
+
+      const rgba = new MapRenderer().toRGBA(mapData);
+      assert.deepStrictEqual(Array.from(rgba.subarray(0, 8)), [255, 255, 255, 255, 180, 180, 180, 255]);
+      assert.deepStrictEqual(getPixelRGBA(0), [0, 0, 0, 0]);
+    });
+  });
+
+  describe('items', () => {
+    it('should share map data between copies of a map', () => {
+      const original = new MapItem({ id: 'filled_map' });
+      manager.bind(original);
+      const copy = MapItem.fromJSON(original.toJSON());
+      manager.bind(copy);
+
+      original.updateExploration({ position: { x: 0, y: 64, z: 0 }, dimension: 'overworld' }, world);
+
+      assert.strictEqual(copy.mapData, original.mapData);
+      assert.strictEqual(copy.getClientData().mapState.colors, original.mapData.encodeColors());
+    });
+
+    it('should start a new map when rescaled', () => {
+      const map = new MapItem();
+      const first = manager.bind(map);
+      map.updateScale(2);
+
+      assert.notStrictEqual(manager.bind(map).id, first.id);
+      assert.strictEqual(map.mapData.scale, 2);
+    });
+
+    it('should highlight the target biome on biome maps', () => {
+      const map = new BiomeMapItem({ targetBiome: 'plains' });
+      manager.bind(map);
+      map.renderPreview(world);
+
+      assert.strictEqual(map.mapData.getPixel(5, 5), packColor(BaseColor.LIME, Shade.HIGH));
+    });
+
+    it('should sketch traded explorer maps', () => {
+      const trailblazers = new TrailblazerManager({ gameContext: { world, mapManager: manager } });
+      const map = new BiomeMapItem({ id: 'biome_map' });
+      const player = {
+        position: { x: 0, y: 64, z: 0 },
+        inventory: { findItem: predicate => (predicate(map) ? map : null) }
+      };
+
+      trailblazers.customizeMapForPlayer(player, 'biome_map');
+
+      assert.ok(map.mapId);
+      assert.ok(manager.getMap(map.mapId).colors.every(pixel => pixel !== 0));
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const assert = require('assert');
+const MiningManager = require('../systems/miningManager');
+const { getToolInfo, getHeldItem } = require('../items/toolTiers');
+
+describe('Server-side mining', () => {
+  let blocks;
+  let effects;
+  let mining;
+  let player;
+  let events;
+
+  const blockTypes = {
+    stone: { hardness: 1.5 },
+    dirt: { hardness: 0.5 },
+    diamond_ore: { hardness: 3 },
+    cobweb: { hardness: 4 },
+    bedrock: { hardness: -1 },
+    short_grass: { hardness: 0 }
+  };
+
+  function setBlock(x, y, z, type) {
+    blocks[`${x},${y},${z}`] = { type };
+  }
+
+  function tick(times) {
+    for (let i = 0; i < times; i++) {
+      mining.tick({ [player.id]: player });
+    }
+  }
+
+  beforeEach(() => {
+    blocks = {};
+    effects = {};
+    mining = new MiningManager({
+      world: { getBlock: (x, y, z) => blocks[`${x},${y},${z}`] || null },
+      blockTypes,
+      statusEffectsManager: { getEffectLevel: (id, type) => effects[type] || 0 }
+    });
+    player = { id: 'p1', position: { x: 0.5, y: 1, z: 0.5 }, onGround: true, gameMode: 'survival', inventory: {} };
+    events = [];
+    mining.on('progress', ({ stage }) => events.push(stage));
+
+    setBlock(1, 1, 0, 'stone');
+  });
+
+  describe('break time', () => {
+    it('should derive break time from hardness, tool tier and harvestability', () => {
+      const stone = { type: 'stone' };
+
+      assert.strictEqual(mining.getBreakTicks(player, stone, null), 150);
+      assert.strictEqual(mining.getBreakTicks(player, stone, { id: 'wooden_pickaxe' }), 23);
+      assert.strictEqual(mining.getBreakTicks(player, stone, { id: 'diamond_pickaxe' }), 6);
+      assert.strictEqual(mining.getBreakTicks(player, stone, { id: 'golden_pickaxe' }), 4);
+      assert.strictEqual(mining.getBreakTicks(player, stone, { id: 'diamond_shovel' }), 150);
+      assert.strictEqual(mining.getBreakTicks(player, { type: 'dirt' }, null), 15);
+      assert.strictEqual(mining.getBreakTicks(player, { type: 'short_grass' }, null), 0);
+      assert.strictEqual(mining.getBreakTicks(player, { type: 'bedrock' }, { id: 'netherite_pickaxe' }), Infinity);
+    });
+
+    it('should apply Efficiency, Haste and Mining Fatigue', () => {
+      const stone = { type: 'stone' };
+      const pickaxe = { id: 'diamond_pickaxe', enchantments: [{ id: 'efficiency', level: 5 }] };
+
+      assert.strictEqual(mining.getBreakTicks(player, stone, pickaxe), 2);
+      effects.HASTE = 2;
+      assert.strictEqual(mining.getBreakTicks(player, stone, pickaxe), 0);
+
+      effects.HASTE = 0;
+      effects.MINING_FATIGUE = 1;
+      assert.strictEqual(mining.getBreakTicks(player, stone, { id: 'diamond_pickaxe' }), 19);
+    });
+
+    it('should slow players underwater without Aqua Affinity and in the air', () => {
+      const stone = { type: 'stone' };
+      const pickaxe = { id: 'diamond_pickaxe' };
+
+      setBlock(0, 2, 0, 'water');
+      assert.strictEqual(mining.getBreakTicks(player, stone, pickaxe), 29);
+      player.equipment = { head: { id: 'diamond_helmet', enchantments: { aqua_affinity: 1 } } };
+      assert.strictEqual(mining.getBreakTicks(player, stone, pickaxe), 6);
+
+      player.onGround = false;
+      assert.strictEqual(mining.getBreakTicks(player, stone, pickaxe), 29);
+    });
+  });
+
+  describe('harvesting', () => {
+    it('should only drop blocks that need a tool when the tool and tier fit', () => {
+      assert.strictEqual(mining.canHarvest({ type: 'dirt' }, null), true);
+      assert.strictEqual(mining.canHarvest({ type: 'stone' }, null), false);
+      assert.strictEqual(mining.canHarvest({ type: 'stone' }, { id: 'wooden_pickaxe' }), true);
+      assert.strictEqual(mining.canHarvest({ type: 'diamond_ore' }, { id: 'stone_pickaxe' }), false);
+      assert.strictEqual(mining.canHarvest({ type: 'diamond_ore' }, { id: 'iron_pickaxe' }), true);
+      assert.strictEqual(mining.canHarvest({ type: 'diamond_ore' }, { id: 'diamond_axe' }), false);
+      assert.strictEqual(mining.canHarvest({ type: 'cobweb' }, 'shears'), true);
+      assert.strictEqual(mining.getToolSpeed({ type: 'cobweb' }, { id: 'iron_sword' }), 15);
+    });
+
+    it('should read tiers from tool ids and tool items', () => {
+      assert.deepStrictEqual(getToolInfo('iron_pickaxe'),
+        { id: 'iron_pickaxe', toolType: 'pickaxe', tier: 'iron', miningSpeed: 6, miningLevel: 2 });
+      assert.strictEqual(getToolInfo({ id: 'wooden_hoe' }).tier, 'wooden');
+      assert.strictEqual(getToolInfo({ id: 'ruby_pickaxe', toolType: 'pickaxe', material: 'gold', miningLevel: 2 }).miningSpeed, 12);
+      assert.strictEqual(getToolInfo('stick'), null);
+      assert.strictEqual(getToolInfo(null), null);
+    });
+
+    it('should mine with forged item payloads no faster than with the real item', () => {
+      player.inventory = { stone: 1, stone_pickaxe: 1 };
+      const forgedStats = { toolType: 'pickaxe', miningSpeed: 1e9, miningLevel: 9, enchantments: { efficiency: 5, fortune: 3 } };
+
+      const forgedStone = getHeldItem(player.inventory, { id: 'stone', ...forgedStats });
+      assert.deepStrictEqual(forgedStone, { id: 'stone' });
+      const result = mining.startMining(player, { x: 1, y: 1, z: 0 }, forgedStone);
+      assert.strictEqual(result.instant, false);
+      assert.strictEqual(result.ticks, mining.getBreakTicks(player, { type: 'stone' }, null));
+
+      const forgedPickaxe = getHeldItem(player.inventory, { id: 'stone_pickaxe', ...forgedStats });
+      assert.strictEqual(mining.getBreakTicks(player, { type: 'stone' }, forgedPickaxe),
+        mining.getBreakTicks(player, { type: 'stone' }, 'stone_pickaxe'));
+      assert.strictEqual(mining.canHarvest({ type: 'diamond_ore' }, forgedPickaxe), false);
+
+      assert.strictEqual(getHeldItem(player.inventory, { id: 'diamond_pickaxe' }), null);
+    });
+  });
+
+  describe('digging', () => {
+    it('should only hand out blocks in the player\'s dimension and within reach', () => {
+      setBlock(20, 1, 0, 'stone');
+      mining.worlds.nether = { getBlock: () => null };
+
+      assert.deepStrictEqual(mining.getReachableBlock(player, '1,1,0'), { type: 'stone' });
+      assert.strictEqual(mining.getReachableBlock(player, '20,1,0'), null);
+      assert.strictEqual(mining.getReachableBlock(player, 'a,b,c'), null);
+
+      player.dimension = 'nether';
+      assert.strictEqual(mining.getReachableBlock(player, '1,1,0'), null);
+    });
+
+    it('should accept a break once the server counted enough progress', () => {
+      const start = mining.startMining(player, { x: 1, y: 1, z: 0 }, { id: 'wooden_pickaxe' });
+      assert.deepStrictEqual(start, { success: true, instant: false, ticks: 23 });
+
+      tick(10);
+      assert.deepStrictEqual(mining.finishMining(player, '1,1,0'), { success: false, reason: 'too_fast' });
+
+      mining.startMining(player, '1,1,0', { id: 'wooden_pickaxe' });
+      tick(16);
+      assert.deepStrictEqual(mining.finishMining(player, '1,1,0'),
+        { success: true, canHarvest: true, tool: { id: 'wooden_pickaxe' } });
+    });
+
+    it('should reject breaks nobody dug, except instant ones', () => {
+      const rejected = [];
+      mining.on('rejected', event => rejected.push(event));
+      setBlock(0, 1, 1, 'short_grass');
+
+      assert.deepStrictEqual(mining.finishMining(player, '1,1,0'), { success: false, reason: 'not_mining' });
+      assert.strictEqual(rejected.length, 1);
+      assert.strictEqual(mining.finishMining(player, '0,1,1').success, true);
+    });
+
+    it('should reject blocks out of reach, unbreakable blocks and missing blocks', () => {
+      setBlock(20, 1, 0, 'stone');
+      setBlock(0, 0, 0, 'bedrock');
+
+      assert.strictEqual(mining.startMining(player, '20,1,0').reason, 'out_of_reach');
+      assert.strictEqual(mining.startMining(player, '0,0,0').reason, 'unbreakable');
+      assert.strictEqual(mining.startMining(player, '5,5,5').reason, 'no_block');
+      assert.strictEqual(mining.finishMining(player, 'nonsense').reason, 'no_block');
+    });
+
+    it('should let creative players break anything at once without drops', () => {
+      player.gameMode = 'creative';
+      setBlock(0, 0, 0, 'bedrock');
+
+      assert.strictEqual(mining.startMining(player, '0,0,0').instant, true);
+      assert.deepStrictEqual(mining.finishMining(player, '0,0,0'), { success: true, canHarvest: false, tool: null });
+    });
+
+    it('should send crack stages as progress is made and clear them when digging stops', () => {
+      mining.startMining(player, '1,1,0', { id: 'diamond_pickaxe' });
+      tick(3);
+      assert.strictEqual(mining.getProgress('p1').stage, 7);
+
+      mining.stopMining(player);
+      assert.deepStrictEqual(events, [1, 3, 5, 7, -1]);
+      assert.strictEqual(mining.getProgress('p1'), null);
+    });
+
+    it('should drop progress when the block changes under the player', () => {
+      mining.startMining(player, '1,1,0', { id: 'diamond_pickaxe' });
+      setBlock(1, 1, 0, 'dirt');
+      tick(1);
+
+      assert.strictEqual(mining.getProgress('p1'), null);
+      assert.strictEqual(events[events.length - 1], -1);
+    });
+  });
+});
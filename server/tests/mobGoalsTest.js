@@ -0,0 +1,325 @@
+const assert = require('assert');
+const GoalSelector = require('../mobs/ai/goalSelector');
+const { Goal, GoalFlag } = require('../mobs/ai/goal');
+const { MobMemory, MemoryType } = require('../mobs/ai/mobMemory');
+const { VibrationSensor } = require('../mobs/ai/sensors');
+const { WanderGoal, InvestigateVibrationGoal } = require('../mobs/ai/goals');
+const MobBase = require('../mobs/mobBase');
+const MobManager = require('../mobs/mobManager');
+const { Zombie, Skeleton } = require('../mobs/hostileMobs');
+const { Cow, Pig, Sheep } = require('../mobs/passiveMobs');
+const { Wolf } = require('../mobs/neutralMobs');
+
+// Goal that runs while `active` is set and counts its ticks
+class TestGoal extends Goal {
+  constructor(flags, options = {}) {
+    super(null, flags);
+    this.active = true;
+    this.interruptable = options.interruptable !== false;
+    this.ticks = 0;
+    this.stops = 0;
+  }
+
+  canUse() {
+    return this.active;
+  }
+
+  isInterruptable() {
+    return this.interruptable;
+  }
+
+  stop() {
+    this.stops++;
+  }
+
+  tick() {
+    this.ticks++;
+  }
+}
+
+function createPlayer(id, position, extra = {}) {
+  return { id, position, health: 20, ...extra };
+}
+
+function run(mob, players, mobs, ticks) {
+  let result;
+  for (let tick = 0; tick < ticks; tick++) {
+    result = mob.update(null, players, mobs, 1) || result;
+  }
+  return result;
+}
+
+describe('Mob goals', () => {
+  afterEach(() => {
+    setMockRandomValue(0.5);
+  });
+
+  describe('GoalSelector', () => {
+    let selector;
+
+    beforeEach(() => {
+      selector = new GoalSelector();
+    });
+
+    it('should let a higher priority goal take the flags of an interruptable one', () => {
+      const wander = new TestGoal([GoalFlag.MOVE]);
+      const flee = new TestGoal([GoalFlag.MOVE]);
+      flee.active = false;
+      selector.addGoal(5, wander);
+      selector.addGoal(1, flee);
+
+      selector.tick({ deltaTime: 1 });
+      assert.deepStrictEqual(selector.getRunningGoals(), [wander]);
+
+      flee.active = true;
+      selector.tick({ deltaTime: 1 });
+      assert.deepStrictEqual(selector.getRunningGoals(), [flee]);
+      assert.strictEqual(wander.stops, 1);
+
+      // The interrupted goal comes back once the flag is free again
+      flee.active = false;
+      selector.tick({ deltaTime: 1 });
+      assert.deepStrictEqual(selector.getRunningGoals(), [wander]);
+    });
+
+    it('should not interrupt goals that are not interruptable', () => {
+      const sit = new TestGoal([GoalFlag.MOVE], { interruptable: false });
+      const attack = new TestGoal([GoalFlag.MOVE]);
+      attack.active = false;
+      selector.addGoal(5, sit);
+      selector.addGoal(1, attack);
+
+      selector.tick({ deltaTime: 1 });
+      attack.active = true;
+      selector.tick({ deltaTime: 1 });
+      assert.deepStrictEqual(selector.getRunningGoals(), [sit]);
+    });
+
+    it('should run goals with different flags side by side and respect disabled flags', () => {
+      const move = new TestGoal([GoalFlag.MOVE]);
+      const look = new TestGoal([GoalFlag.LOOK]);
+      selector.addGoal(2, move);
+      selector.addGoal(1, look);
+
+      selector.tick({ deltaTime: 1 });
+      assert.deepStrictEqual(selector.getRunningGoals(), [look, move]);
+      assert.strictEqual(move.ticks, 1);
+
+      selector.disableFlag(GoalFlag.MOVE);
+      selector.tick({ deltaTime: 1 });
+      assert.deepStrictEqual(selector.getRunningGoals(), [look]);
+
+      selector.enableFlag(GoalFlag.MOVE);
+      selector.removeGoal(look);
+      selector.tick({ deltaTime: 1 });
+      assert.deepStrictEqual(selector.getRunningGoals(), [move]);
+      assert.strictEqual(look.stops, 1);
+    });
+  });
+
+  describe('memory and sensors', () => {
+    it('should forget memories once they expire', () => {
+      const memory = new MobMemory();
+      memory.set('seen', 'player', 10);
+      memory.set('home', { x: 1 });
+
+      memory.tick(6);
+      assert.strictEqual(memory.get('seen'), 'player');
+      assert.strictEqual(memory.getTicksLeft('seen'), 4);
+      memory.tick(4);
+      assert.strictEqual(memory.has('seen'), false);
+      assert.deepStrictEqual(memory.get('home'), { x: 1 });
+    });
+
+    it('should hear vibrations in range, then ignore them during the cooldown', () => {
+      const mob = new MobBase('listener', { x: 0, y: 1, z: 0 }, 10, 1);
+      const sensor = new VibrationSensor({ range: 8, cooldown: 20 });
+      mob.addSensor(sensor);
+
+      assert.strictEqual(mob.handleVibration({ type: 'step', position: { x: 20, y: 1, z: 0 } }), false);
+      assert.strictEqual(mob.handleVibration({ type: 'break_block', position: { x: 6, y: 1, z: 0 } }), true);
+      assert.strictEqual(mob.handleVibration({ type: 'step', position: { x: 2, y: 1, z: 0 } }), false);
+      assert.strictEqual(mob.memory.get(MemoryType.VIBRATION).type, 'break_block');
+
+      sensor.tick(mob, { deltaTime: 20 });
+      assert.strictEqual(mob.handleVibration({ type: 'step', position: { x: 2, y: 1, z: 0 } }), true);
+    });
+
+    it('should let a mob assembled from goals investigate what it heard', () => {
+      class Listener extends MobBase {
+        constructor(position) {
+          super('listener', position, 10, 2);
+        }
+
+        registerGoals() {
+          this.goalSelector.addGoal(1, new InvestigateVibrationGoal(this));
+          this.goalSelector.addGoal(2, new WanderGoal(this));
+        }
+
+        registerSensors() {
+          this.addSensor(new VibrationSensor());
+        }
+      }
+
+      const mob = new Listener({ x: 0, y: 1, z: 0 });
+      run(mob, {}, {}, 1);
+      assert.strictEqual(mob.state, 'idle');
+
+      mob.handleVibration({ type: 'step', position: { x: 8, y: 1, z: 0 } });
+      run(mob, {}, {}, 1);
+      assert.strictEqual(mob.state, 'investigating');
+
+      run(mob, {}, {}, 100);
+      assert.ok(mob.distanceTo({ x: 8, y: 1, z: 0 }) <= 2);
+      assert.strictEqual(mob.memory.has(MemoryType.VIBRATION), false);
+      assert.strictEqual(mob.state, 'idle');
+    });
+  });
+
+  describe('hostile mobs', () => {
+    it('should make zombies go after the nearest player and hit them in reach', () => {
+      const zombie = new Zombie({ x: 0, y: 1, z: 0 });
+      const players = {
+        far: createPlayer('far', { x: 12, y: 1, z: 0 }),
+        near: createPlayer('near', { x: 6, y: 1, z: 0 })
+      };
+
+      setMockRandomValue(0);
+      run(zombie, players, {}, 1);
+      assert.strictEqual(zombie.targetEntity, players.near);
+      assert.strictEqual(zombie.state, 'follow');
+
+      run(zombie, players, {}, 200);
+      assert.strictEqual(zombie.state, 'attack');
+      assert.ok(players.near.health < 20);
+      assert.strictEqual(players.far.health, 20);
+    });
+
+    it('should make zombies drop targets that get away or leave', () => {
+      const zombie = new Zombie({ x: 0, y: 1, z: 0 });
+      const players = { steve: createPlayer('steve', { x: 4, y: 1, z: 0 }) };
+
+      setMockRandomValue(0);
+      run(zombie, players, {}, 1);
+      setMockRandomValue(0.5);
+      players.steve.position = { x: 40, y: 1, z: 0 };
+      run(zombie, players, {}, 1);
+      assert.strictEqual(zombie.targetEntity, null);
+      assert.strictEqual(zombie.state, 'idle');
+    });
+
+    it('should make skeletons shoot from a distance and back off up close', () => {
+      const skeleton = new Skeleton({ x: 0, y: 1, z: 0 });
+      const player = createPlayer('steve', { x: 8, y: 1, z: 0 });
+      const players = { steve: player };
+
+      setMockRandomValue(0);
+      const arrow = run(skeleton, players, {}, 1);
+      assert.strictEqual(arrow.type, 'arrow');
+      assert.strictEqual(arrow.shooterId, skeleton.id);
+
+      player.position = { x: 2, y: 1, z: 0 };
+      run(skeleton, players, {}, 5);
+      assert.ok(skeleton.position.x < 0);
+    });
+
+    it('should make skeletons avoid wolves', () => {
+      const skeleton = new Skeleton({ x: 0, y: 1, z: 0 });
+      const wolf = new Wolf({ x: 3, y: 1, z: 0 });
+
+      run(skeleton, {}, { [wolf.id]: wolf }, 5);
+      assert.strictEqual(skeleton.state, 'flee');
+      assert.ok(skeleton.position.x < 0);
+    });
+  });
+
+  describe('passive mobs', () => {
+    it('should make cows panic when hurt and calm down later', () => {
+      const cow = new Cow({ x: 0, y: 1, z: 0 });
+      const attacker = createPlayer('steve', { x: 1, y: 1, z: 0 });
+
+      cow.takeDamage(2, attacker);
+      run(cow, { steve: attacker }, {}, 10);
+      assert.strictEqual(cow.state, 'flee');
+      assert.ok(cow.position.x < 0);
+      assert.strictEqual(cow.targetEntity, null);
+
+      run(cow, { steve: attacker }, {}, 100);
+      assert.strictEqual(cow.state, 'idle');
+    });
+
+    it('should make pigs follow players holding carrots', () => {
+      const pig = new Pig({ x: 0, y: 1, z: 0 });
+      const player = createPlayer('steve', { x: 6, y: 1, z: 0 }, { heldItem: 'stone' });
+      const players = { steve: player };
+
+      run(pig, players, {}, 5);
+      assert.strictEqual(pig.state, 'idle');
+
+      player.heldItem = { type: 'carrot', count: 3 };
+      run(pig, players, {}, 200);
+      assert.strictEqual(pig.state, 'follow');
+      assert.ok(pig.distanceTo(player.position) <= 2.5);
+    });
+
+    it('should breed two fed animals into a baby', () => {
+      const manager = new MobManager();
+      const first = manager.spawnMob('sheep', { x: 0, y: 1, z: 0 });
+      const second = manager.spawnMob('sheep', { x: 4, y: 1, z: 0 });
+
+      assert.strictEqual(manager.handlePlayerInteraction('steve', first.id, { action: 'feed', itemId: 'carrot' }).success, false);
+      assert.strictEqual(manager.handlePlayerInteraction('steve', first.id, { action: 'feed', itemId: 'wheat' }).inLove, true);
+      assert.strictEqual(second.tryFeed('wheat'), true);
+
+      let result;
+      for (let tick = 0; tick < 200 && !result; tick++) {
+        result = first.update(null, {}, manager.mobs, 1) || second.update(null, {}, manager.mobs, 1);
+      }
+      assert.strictEqual(result.type, 'breed');
+      manager.handleMobUpdateResult(first, result);
+
+      assert.strictEqual(Object.values(manager.mobs).filter(mob => mob.type === 'sheep').length, 3);
+      assert.strictEqual(first.isInLove() || second.isInLove(), false);
+      assert.strictEqual(first.tryFeed('wheat'), false);
+    });
+  });
+
+  describe('wolves', () => {
+    it('should follow their owner, teleport when left behind and stay when sitting', () => {
+      const wolf = Wolf.create({ x: 0, y: 1, z: 0 }, { tamed: true, owner: 'steve' });
+      const owner = createPlayer('steve', { x: 8, y: 1, z: 0 });
+      const players = { steve: owner };
+
+      run(wolf, players, {}, 1);
+      assert.strictEqual(wolf.state, 'follow');
+      run(wolf, players, {}, 200);
+      assert.ok(wolf.distanceTo(owner.position) <= 2.5);
+
+      owner.position = { x: 60, y: 1, z: 0 };
+      run(wolf, players, {}, 1);
+      assert.ok(wolf.distanceTo(owner.position) < 2);
+
+      wolf.toggleSitting();
+      owner.position = { x: 70, y: 1, z: 0 };
+      run(wolf, players, {}, 20);
+      assert.strictEqual(wolf.state, 'idle');
+      assert.ok(wolf.distanceTo(owner.position) > 9);
+    });
+
+    it('should make wild wolves hunt sheep and fight back without turning on their owner', () => {
+      const wild = new Wolf({ x: 0, y: 1, z: 0 });
+      const sheep = new Sheep({ x: 5, y: 1, z: 0 });
+      const mobs = { [wild.id]: wild, [sheep.id]: sheep };
+
+      setMockRandomValue(0);
+      run(wild, {}, mobs, 1);
+      assert.strictEqual(wild.targetEntity, sheep);
+
+      const tamed = Wolf.create({ x: 0, y: 1, z: 0 }, { tamed: true, owner: 'steve' });
+      const owner = createPlayer('steve', { x: 1, y: 1, z: 0 });
+      tamed.takeDamage(1, owner);
+      run(tamed, { steve: owner }, {}, 1);
+      assert.notStrictEqual(tamed.targetEntity, owner);
+    });
+  });
+});
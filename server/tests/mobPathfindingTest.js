@@ -0,0 +1,313 @@
+const assert = require('assert');
+const PathfindingManager = require('../systems/pathfindingManager');
+const { GroundNavigator, FlyingNavigator, SwimmingNavigator, createNavigator } = require('../mobs/navigation');
+const MobManager = require('../mobs/mobManager');
+const hostileMobs = require('../mobs/hostileMobs');
+
+// Flat stone floor at y = 0 from -8 to 24 on x and z; mobs stand at y = 1
+function createWorld() {
+  const blocks = {};
+  const world = {
+    getBlock: (x, y, z) => blocks[`${x},${y},${z}`],
+    set(x, y, z, type, state) {
+      blocks[`${x},${y},${z}`] = type ? { type, ...(state ? { state } : {}) } : undefined;
+    }
+  };
+  for (let x = -8; x <= 24; x++) {
+    for (let z = -8; z <= 24; z++) {
+      world.set(x, 0, z, 'stone');
+    }
+  }
+  return world;
+}
+
+// Wall along x = 5 from z = -8 to 24, `height` blocks tall above the floor
+function buildWall(world, height, type = 'stone') {
+  for (let z = -8; z <= 24; z++) {
+    for (let y = 1; y <= height; y++) {
+      world.set(5, y, z, type);
+    }
+  }
+}
+
+function isSolidCell(world, node, height = 2) {
+  for (let dy = 0; dy < height; dy++) {
+    const block = world.getBlock(node.x, node.y + dy, node.z);
+    if (block && !['water', 'flowing_water'].includes(block.type) && !(block.state && block.state.open)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+describe('Mob pathfinding', () => {
+  let world;
+  let pathfinding;
+
+  beforeEach(() => {
+    world = createWorld();
+    pathfinding = new PathfindingManager({ world });
+  });
+
+  describe('ground paths', () => {
+    it('should walk through the gap in a wall instead of through it', () => {
+      buildWall(world, 3);
+      world.set(5, 1, 10, null);
+      world.set(5, 2, 10, null);
+
+      const path = pathfinding.findPath({ x: 0.5, y: 1, z: 0.5 }, { x: 10.5, y: 1, z: 0.5 }, { range: 0 });
+      assert.strictEqual(path.complete, true);
+      assert.ok(path.nodes.some(node => node.x === 5 && node.z === 10));
+      assert.ok(path.nodes.every(node => !isSolidCell(world, node)));
+      assert.deepStrictEqual(path.nodes[path.nodes.length - 1], { x: 10, y: 1, z: 0 });
+    });
+
+    it('should jump up one block but not two', () => {
+      buildWall(world, 1);
+      const step = pathfinding.findPath({ x: 0.5, y: 1, z: 0.5 }, { x: 10.5, y: 1, z: 0.5 }, { range: 0 });
+      assert.strictEqual(step.complete, true);
+      assert.ok(step.nodes.some(node => node.x === 5 && node.y === 2));
+
+      buildWall(world, 2);
+      pathfinding.onBlockChanged(5, 2, 0);
+      const wall = pathfinding.findPath({ x: 0.5, y: 1, z: 0.5 }, { x: 10.5, y: 1, z: 0.5 }, { range: 0 });
+      assert.strictEqual(wall.complete, false);
+      assert.ok(wall.nodes.every(node => node.x < 5));
+    });
+
+    it('should not jump without headroom or onto fences', () => {
+      buildWall(world, 1);
+      for (let z = -8; z <= 24; z++) world.set(4, 3, z, 'stone');
+      assert.strictEqual(pathfinding.findPath({ x: 0.5, y: 1, z: 0.5 }, { x: 10.5, y: 1, z: 0.5 }).complete, false);
+
+      world = createWorld();
+      pathfinding = new PathfindingManager({ world });
+      buildWall(world, 1, 'oak_fence');
+      assert.strictEqual(pathfinding.findPath({ x: 0.5, y: 1, z: 0.5 }, { x: 10.5, y: 1, z: 0.5 }).complete, false);
+    });
+
+    it('should drop down ledges of up to three blocks', () => {
+      // Raised platform the mob starts on
+      for (let x = -8; x <= 4; x++) {
+        for (let z = -8; z <= 24; z++) {
+          for (let y = 1; y <= 3; y++) world.set(x, y, z, 'stone');
+        }
+      }
+      const drop = pathfinding.findPath({ x: 0.5, y: 4, z: 0.5 }, { x: 10.5, y: 1, z: 0.5 }, { range: 0 });
+      assert.strictEqual(drop.complete, true);
+      assert.ok(drop.nodes.some(node => node.x === 5 && node.y === 1));
+
+      const cautious = pathfinding.findPath({ x: 0.5, y: 4, z: 0.5 }, { x: 10.5, y: 1, z: 0.5 }, { range: 0, maxFall: 2 });
+      assert.strictEqual(cautious.complete, false);
+    });
+
+    it('should let only door openers through closed wooden doors', () => {
+      buildWall(world, 3);
+      world.set(5, 1, 0, 'oak_door');
+      world.set(5, 2, 0, 'oak_door');
+      const start = { x: 0.5, y: 1, z: 0.5 };
+      const goal = { x: 10.5, y: 1, z: 0.5 };
+
+      assert.strictEqual(pathfinding.findPath(start, goal).complete, false);
+      const villager = pathfinding.findPath(start, goal, { canOpenDoors: true });
+      assert.strictEqual(villager.complete, true);
+      assert.ok(villager.nodes.some(node => node.x === 5 && node.z === 0));
+
+      world.set(5, 1, 0, 'iron_door');
+      world.set(5, 2, 0, 'iron_door');
+      pathfinding.onBlockChanged(5, 1, 0);
+      assert.strictEqual(pathfinding.findPath(start, goal, { canOpenDoors: true }).complete, false);
+
+      world.set(5, 1, 0, 'iron_door', { open: true });
+      world.set(5, 2, 0, 'iron_door', { open: true });
+      pathfinding.onBlockChanged(5, 1, 0);
+      assert.strictEqual(pathfinding.findPath(start, goal).complete, true);
+    });
+
+    it('should go around lava and never step next to it when there is room', () => {
+      for (let z = -2; z <= 2; z++) {
+        world.set(5, 0, z, 'lava');
+      }
+      const isLava = (x, z) => x === 5 && Math.abs(z) <= 2;
+
+      const path = pathfinding.findPath({ x: 0.5, y: 1, z: 0.5 }, { x: 10.5, y: 1, z: 0.5 }, { range: 0 });
+      assert.strictEqual(path.complete, true);
+      assert.ok(path.nodes.every(({ x, z }) =>
+        !isLava(x, z) && !isLava(x + 1, z) && !isLava(x - 1, z) && !isLava(x, z + 1) && !isLava(x, z - 1)));
+    });
+
+    it('should prefer a short detour over swimming, and stay out of water when told to', () => {
+      // A water channel across the whole floor except a bridge at z = 3
+      for (let z = -8; z <= 24; z++) {
+        if (z !== 3) world.set(5, 0, z, 'water');
+      }
+      const start = { x: 0.5, y: 1, z: 0.5 };
+      const goal = { x: 10.5, y: 1, z: 0.5 };
+
+      const path = pathfinding.findPath(start, goal, { range: 0 });
+      assert.ok(path.nodes.some(node => node.x === 5 && node.z === 3));
+
+      world.set(5, 0, 3, 'water');
+      pathfinding.onBlockChanged(5, 0, 3);
+      assert.strictEqual(pathfinding.findPath(start, goal, { range: 0 }).complete, true);
+      assert.strictEqual(pathfinding.findPath(start, goal, { range: 0, avoidWater: true }).complete, false);
+    });
+  });
+
+  describe('flying and swimming paths', () => {
+    it('should fly over walls that walkers cannot cross', () => {
+      buildWall(world, 4);
+      const path = pathfinding.findPath({ x: 0.5, y: 2, z: 0.5 }, { x: 10.5, y: 2, z: 0.5 }, { mode: 'flying', range: 0 });
+      assert.strictEqual(path.complete, true);
+      assert.ok(path.nodes.some(node => node.x === 5 && node.y >= 5));
+      assert.ok(path.nodes.every(node => !isSolidCell(world, node)));
+    });
+
+    it('should keep swimmers in water', () => {
+      // A U-shaped pond: two arms joined at z = 6
+      for (let z = 0; z <= 6; z++) {
+        world.set(0, 1, z, 'water');
+        world.set(8, 1, z, 'water');
+      }
+      for (let x = 0; x <= 8; x++) world.set(x, 1, 6, 'water');
+
+      const path = pathfinding.findPath({ x: 0.5, y: 1, z: 0.5 }, { x: 8.5, y: 1, z: 0.5 }, { mode: 'swimming', height: 1, range: 0 });
+      assert.strictEqual(path.complete, true);
+      assert.ok(path.nodes.every(node => world.getBlock(node.x, node.y, node.z).type === 'water'));
+
+      const axolotl = pathfinding.findPath({ x: 0.5, y: 1, z: 0.5 }, { x: 8.5, y: 1, z: 0.5 },
+        { mode: 'swimming', height: 1, range: 0, amphibious: true });
+      assert.ok(axolotl.nodes.length < path.nodes.length);
+    });
+  });
+
+  describe('path cache', () => {
+    it('should reuse paths until a block they depend on changes', () => {
+      const invalidated = [];
+      pathfinding.on('pathsInvalidated', event => invalidated.push(event));
+      const start = { x: 0.5, y: 1, z: 0.5 };
+      const goal = { x: 6.5, y: 1, z: 0.5 };
+
+      const path = pathfinding.findPath(start, goal);
+      assert.strictEqual(pathfinding.findPath({ x: 0.2, y: 1.3, z: 0.9 }, goal), path);
+
+      // Far outside the searched area
+      pathfinding.onBlockChanged(20, 1, 20);
+      assert.strictEqual(path.valid, true);
+
+      world.set(3, 1, 0, 'stone');
+      pathfinding.onBlockChanged(3, 1, 0);
+      assert.strictEqual(path.valid, false);
+      assert.deepStrictEqual(invalidated, [{ position: { x: 3, y: 1, z: 0 }, count: 1 }]);
+
+      const detour = pathfinding.findPath(start, goal);
+      assert.notStrictEqual(detour, path);
+      assert.ok(detour.nodes.every(node => !(node.x === 3 && node.z === 0)));
+    });
+
+    it('should remember failed searches and retry them once blocks change', () => {
+      buildWall(world, 2);
+      const start = { x: 0.5, y: 1, z: 0.5 };
+      const goal = { x: 10.5, y: 1, z: 0.5 };
+
+      const blocked = pathfinding.findPath(start, goal);
+      assert.strictEqual(blocked.complete, false);
+      assert.strictEqual(pathfinding.findPath(start, goal), blocked);
+
+      world.set(5, 2, 0, null);
+      pathfinding.onBlockChanged(5, 2, 0);
+      assert.strictEqual(pathfinding.findPath(start, goal).complete, true);
+    });
+
+    it('should stop watching paths that fall out of the cache', () => {
+      pathfinding = new PathfindingManager({ world, cacheSize: 2 });
+      const first = pathfinding.findPath({ x: 0.5, y: 1, z: 0.5 }, { x: 3.5, y: 1, z: 0.5 });
+      pathfinding.findPath({ x: 0.5, y: 1, z: 0.5 }, { x: 4.5, y: 1, z: 0.5 });
+      pathfinding.findPath({ x: 0.5, y: 1, z: 0.5 }, { x: 5.5, y: 1, z: 0.5 });
+      assert.strictEqual(first.valid, false);
+      assert.strictEqual(pathfinding.cache.size, 2);
+    });
+  });
+
+  describe('navigators', () => {
+    it('should walk a zombie around a wall to its target', () => {
+      buildWall(world, 3);
+      world.set(5, 1, 6, null);
+      world.set(5, 2, 6, null);
+
+      const zombie = new hostileMobs.Zombie({ x: 0.5, y: 1, z: 0.5 });
+      zombie.navigator = new GroundNavigator(zombie, pathfinding);
+      const target = { x: 10.5, y: 1, z: 0.5 };
+
+      for (let tick = 0; tick < 1000 && zombie.distanceTo(target) > 0.1; tick++) {
+        assert.strictEqual(zombie.navigateTo(target, 1), true);
+        assert.ok(!isSolidCell(world, PathfindingManager.toCell(zombie.position)));
+      }
+      assert.ok(zombie.distanceTo(target) <= 0.1);
+    });
+
+    it('should search again when a block lands on its path', () => {
+      const zombie = new hostileMobs.Zombie({ x: 0.5, y: 1, z: 0.5 });
+      const navigator = new GroundNavigator(zombie, pathfinding);
+      const target = { x: 8.5, y: 1, z: 0.5 };
+
+      navigator.moveTo(target, 1);
+      const firstPath = navigator.path;
+      assert.ok(firstPath.nodes.some(node => node.x === 4 && node.z === 0));
+
+      world.set(4, 1, 0, 'stone');
+      world.set(4, 2, 0, 'stone');
+      pathfinding.onBlockChanged(4, 1, 0);
+      navigator.moveTo(target, 1);
+      assert.notStrictEqual(navigator.path, firstPath);
+      assert.ok(navigator.path.nodes.every(node => !(node.x === 4 && node.z === 0)));
+    });
+
+    it('should give up wandering towards places it cannot reach', () => {
+      // Boxed in by a two-block wall on every side
+      for (let i = -2; i <= 2; i++) {
+        for (let y = 1; y <= 2; y++) {
+          world.set(i, y, -2, 'stone');
+          world.set(i, y, 2, 'stone');
+          world.set(-2, y, i, 'stone');
+          world.set(2, y, i, 'stone');
+        }
+      }
+      const zombie = new hostileMobs.Zombie({ x: 0.5, y: 1, z: 0.5 });
+      zombie.navigator = new GroundNavigator(zombie, pathfinding);
+      zombie.state = 'wander';
+      zombie.wanderTarget = { x: 10.5, y: 1, z: 0.5 };
+
+      for (let tick = 0; tick < 40 && zombie.state === 'wander'; tick++) {
+        zombie.updateWander(null, 1);
+      }
+      assert.strictEqual(zombie.state, 'idle');
+      assert.ok(Math.abs(zombie.position.x) < 2 && Math.abs(zombie.position.z) < 2);
+    });
+
+    it('should flee around obstacles, away from the threat', () => {
+      const zombie = new hostileMobs.Zombie({ x: 0.5, y: 1, z: 0.5 });
+      zombie.navigator = new GroundNavigator(zombie, pathfinding);
+      const threat = { x: -3, y: 1, z: 0.5 };
+
+      for (let tick = 0; tick < 100; tick++) {
+        zombie.navigateAwayFrom(threat, 1);
+      }
+      assert.ok(zombie.position.x > 3);
+    });
+
+    it('should pick navigators by how mobs move', () => {
+      const mobManager = new MobManager();
+      mobManager.setPathfinding(pathfinding);
+
+      assert.ok(mobManager.spawnMob('zombie', { x: 0, y: 1, z: 0 }).navigator instanceof GroundNavigator);
+      assert.ok(mobManager.spawnMob('allay', { x: 0, y: 3, z: 0 }).navigator instanceof FlyingNavigator);
+      assert.ok(mobManager.spawnMob('breeze', { x: 0, y: 3, z: 0 }).navigator instanceof FlyingNavigator);
+      assert.ok(mobManager.spawnMob('squid', { x: 0, y: 1, z: 0 }).navigator instanceof SwimmingNavigator);
+
+      const villager = mobManager.spawnMob('villager', { x: 0, y: 1, z: 0 });
+      assert.strictEqual(villager.navigator.options.canOpenDoors, true);
+      assert.ok(createNavigator({ amphibious: true, navigationType: 'swimming', position: {} }, pathfinding).options.amphibious);
+    });
+  });
+});
@@ -0,0 +1,246 @@
+const assert = require('assert');
+const MovementValidator = require('../physics/movementValidator');
+const StatusEffectsManager = require('../entities/statusEffectsManager');
+
+/**
+ * Minimal block grid with a stone floor at y = 0
+ */
+class GridWorld {
+  constructor() {
+    this.blocks = new Map();
+    this.fill({ x: -10, y: 0, z: -10 }, { x: 10, y: 0, z: 10 }, 'stone');
+  }
+
+  getBlock(x, y, z) {
+    return this.blocks.get(`${x},${y},${z}`) || null;
+  }
+
+  fill(from, to, type) {
+    for (let x = from.x; x <= to.x; x++) {
+      for (let y = from.y; y <= to.y; y++) {
+        for (let z = from.z; z <= to.z; z++) {
+          this.blocks.set(`${x},${y},${z}`, { type });
+        }
+      }
+    }
+  }
+}
+
+describe('MovementValidator', () => {
+  let world;
+  let players;
+  let player;
+  let effects;
+  let validator;
+  let corrections;
+
+  beforeEach(() => {
+    world = new GridWorld();
+    player = { id: 'steve', position: { x: 0.5, y: 1, z: 0.5 }, health: 20, gameMode: 'survival' };
+    players = { steve: player };
+    effects = new StatusEffectsManager({ players });
+    validator = new MovementValidator({ world, statusEffectsManager: effects });
+    validator.addPlayer(player);
+    // Start every test with an empty speed budget
+    validator.getState(player.id).budget = 0;
+
+    corrections = [];
+    validator.on('correction', ({ reason, position }) => corrections.push({ reason, position }));
+  });
+
+  // Run one game tick, then send a move
+  function step(delta, extra = {}) {
+    validator.tick(players);
+    return validator.handleMove(player, { delta, ...extra });
+  }
+
+  describe('input', () => {
+    it('should ignore fields other than inputs and deltas', () => {
+      const accepted = step({ x: 0.2, y: 0, z: 0 }, {
+        position: { x: 500, y: 100, z: 500 },
+        health: 1000,
+        inventory: { diamond: 64 },
+        rotation: { x: 3, y: 1 },
+        sprinting: true
+      });
+
+      assert.strictEqual(accepted, true);
+      assert.deepStrictEqual(player.position, { x: 0.7, y: 1, z: 0.5 });
+      assert.strictEqual(player.health, 20);
+      assert.strictEqual(player.inventory, undefined);
+      assert.deepStrictEqual(player.rotation, { x: Math.PI / 2, y: 1 });
+      assert.strictEqual(player.isSprinting, true);
+    });
+
+    it('should reject malformed deltas', () => {
+      assert.strictEqual(step({ x: NaN, y: 0, z: 0 }), false);
+      assert.strictEqual(step({ x: '1', y: 0, z: 0 }), false);
+      assert.strictEqual(validator.handleMove(player, null), false);
+      assert.deepStrictEqual(player.position, { x: 0.5, y: 1, z: 0.5 });
+    });
+
+    it('should not let survival players switch on flying', () => {
+      step({ x: 0, y: 0, z: 0 }, { flying: true });
+      assert.strictEqual(player.isFlying, false);
+    });
+  });
+
+  describe('speed', () => {
+    it('should allow sprinting and reject faster moves', () => {
+      assert.strictEqual(step({ x: 0.35, y: 0, z: 0 }), true);
+      assert.strictEqual(step({ x: 0.45, y: 0, z: 0 }), false);
+
+      assert.deepStrictEqual(corrections, [{ reason: 'speed', position: { x: 0.85, y: 1, z: 0.5 } }]);
+      assert.deepStrictEqual(player.position, { x: 0.85, y: 1, z: 0.5 });
+    });
+
+    it('should share one tick of movement between packets sent in the same tick', () => {
+      assert.strictEqual(step({ x: 0.2, y: 0, z: 0 }), true);
+      assert.strictEqual(validator.handleMove(player, { delta: { x: 0, y: 0, z: 0.2 } }), false);
+    });
+
+    it('should buffer a limited amount of movement to absorb lag', () => {
+      for (let i = 0; i < 30; i++) {
+        validator.tick(players);
+      }
+      assert.strictEqual(validator.handleMove(player, { delta: { x: 5, y: 0, z: 0 } }), false);
+      assert.strictEqual(validator.handleMove(player, { delta: { x: 3, y: 0, z: 0 } }), true);
+    });
+
+    it('should scale with Speed and Slowness effects', () => {
+      effects.addEffect(player.id, 'SPEED', { level: 2 });
+      assert.strictEqual(step({ x: 0.45, y: 0, z: 0 }), true);
+
+      effects.removeEffect(player.id, 'SPEED');
+      effects.addEffect(player.id, 'SLOWNESS', { level: 2 });
+      validator.getState(player.id).budget = 0;
+      assert.strictEqual(step({ x: 0.3, y: 0, z: 0 }), false);
+      assert.strictEqual(step({ x: 0.2, y: 0, z: 0 }), true);
+    });
+  });
+
+  describe('noclip', () => {
+    beforeEach(() => {
+      world.fill({ x: 2, y: 1, z: -2 }, { x: 2, y: 2, z: 2 }, 'stone');
+    });
+
+    it('should stop players walking into solid blocks', () => {
+      player.position.x = 1.5;
+      assert.strictEqual(step({ x: 0.1, y: 0, z: 0 }), true);
+      assert.strictEqual(step({ x: 0.2, y: 0, z: 0 }), false);
+      assert.strictEqual(corrections[0].reason, 'noclip');
+      assert.strictEqual(player.position.x, 1.6);
+    });
+
+    it('should check the whole path of a move, not just where it ends', () => {
+      validator.exempt(player.id, 5);
+      assert.strictEqual(step({ x: 3, y: 0, z: 0 }), false);
+      assert.strictEqual(corrections[0].reason, 'noclip');
+    });
+
+    it('should let players walk through plants and water', () => {
+      world.fill({ x: 1, y: 1, z: 0 }, { x: 1, y: 1, z: 0 }, 'tall_grass');
+      world.fill({ x: 1, y: 2, z: 0 }, { x: 1, y: 2, z: 0 }, 'water');
+      assert.strictEqual(step({ x: 0.3, y: 0, z: 0 }), true);
+      assert.strictEqual(step({ x: 0.3, y: 0, z: 0 }), true);
+    });
+
+    it('should let spectators pass through blocks', () => {
+      player.gameMode = 'spectator';
+      player.position.x = 1.5;
+      assert.strictEqual(step({ x: 0.3, y: 0, z: 0 }), true);
+    });
+  });
+
+  describe('flying', () => {
+    const JUMP = [0.42, 0.3332, 0.2481, 0.1647, 0.083, 0.003];
+
+    it('should allow a normal jump', () => {
+      for (const dy of JUMP) {
+        assert.strictEqual(step({ x: 0, y: dy, z: 0 }), true);
+      }
+      assert.strictEqual(corrections.length, 0);
+    });
+
+    it('should catch rising higher than a jump', () => {
+      for (let i = 0; i < 6; i++) {
+        step({ x: 0, y: 0.5, z: 0 });
+      }
+      assert.strictEqual(corrections[0].reason, 'fly');
+      assert.ok(player.position.y < 3);
+    });
+
+    it('should catch hovering in the air', () => {
+      for (const dy of JUMP) {
+        step({ x: 0, y: dy, z: 0 });
+      }
+      for (let i = 0; i < 10; i++) {
+        step({ x: 0.1, y: 0, z: 0 });
+      }
+      assert.deepStrictEqual(corrections.map(c => c.reason).slice(0, 1), ['fly']);
+    });
+
+    it('should let jump boost jump higher', () => {
+      effects.addEffect(player.id, 'JUMP_BOOST', { level: 2 });
+      for (let i = 0; i < 4; i++) {
+        step({ x: 0, y: 0.5, z: 0 });
+      }
+      assert.strictEqual(corrections.length, 0);
+    });
+
+    it('should let creative players fly', () => {
+      player.gameMode = 'creative';
+      validator.handleMove(player, { flying: true });
+      for (let i = 0; i < 20; i++) {
+        assert.strictEqual(step({ x: 0.4, y: 0.5, z: 0 }, { flying: true }), true);
+      }
+    });
+
+    it('should let players climb ladders', () => {
+      world.fill({ x: 0, y: 1, z: 0 }, { x: 0, y: 10, z: 0 }, 'ladder');
+      for (let i = 0; i < 20; i++) {
+        assert.strictEqual(step({ x: 0, y: 0.2, z: 0 }), true);
+      }
+    });
+  });
+
+  describe('falling', () => {
+    let falls;
+
+    beforeEach(() => {
+      falls = [];
+      validator.on('fallDamage', ({ distance, damage }) => falls.push({ distance, damage }));
+      validator.teleport(player, { x: 0.5, y: 11, z: 0.5 });
+    });
+
+    function fall(blocks) {
+      for (let i = 0; i < blocks; i++) {
+        step({ x: 0, y: -1, z: 0 }, { onGround: true });
+      }
+    }
+
+    it('should hurt players landing from high up, whatever the client claims', () => {
+      fall(10);
+      assert.strictEqual(player.position.y, 1);
+      assert.deepStrictEqual(falls, [{ distance: 10, damage: 7 }]);
+    });
+
+    it('should not hurt players on short falls', () => {
+      validator.teleport(player, { x: 0.5, y: 4, z: 0.5 });
+      fall(3);
+      assert.deepStrictEqual(falls, []);
+    });
+
+    it('should not hurt players landing in water or with slow falling', () => {
+      world.fill({ x: 0, y: 1, z: 0 }, { x: 0, y: 1, z: 0 }, 'water');
+      fall(10);
+      assert.deepStrictEqual(falls, []);
+
+      validator.teleport(player, { x: 0.5, y: 11, z: 0.5 });
+      world.blocks.delete('0,1,0');
+      effects.addEffect(player.id, 'SLOW_FALLING');
+      fall(10);
+      assert.deepStrictEqual(falls, []);
+    });
+  });
+});
@@ -0,0 +1,217 @@
+const assert = require('assert');
+const PistonManager = require('../systems/pistonManager');
+const RedstoneManager = require('../systems/redstoneManager');
+const ReinforcedDeepslateBlock = require('../blocks/reinforcedDeepslateBlock');
+
+/**
+ * Minimal block grid with redstone and pistons attached
+ */
+class GridWorld {
+  constructor() {
+    this.blocks = new Map();
+    this.entities = [];
+    this.minHeight = 0;
+    this.maxHeight = 256;
+    this.redstone = new RedstoneManager({ world: this });
+    this.pistons = new PistonManager({ world: this, redstoneManager: this.redstone });
+  }
+
+  getBlockAt(x, y, z) {
+    return this.blocks.get(`${x},${y},${z}`) || null;
+  }
+
+  setBlock(x, y, z, block) {
+    if (block) {
+      this.blocks.set(`${x},${y},${z}`, block);
+    } else {
+      this.blocks.delete(`${x},${y},${z}`);
+    }
+    this.redstone.onBlockChanged(x, y, z);
+  }
+
+  type(x, y, z) {
+    const block = this.getBlockAt(x, y, z);
+    return block ? block.type : null;
+  }
+
+  run(ticks) {
+    for (let i = 0; i < ticks; i++) {
+      this.redstone.tick();
+      this.pistons.tick();
+    }
+  }
+}
+
+describe('PistonManager', () => {
+  let world;
+  let pistons;
+
+  beforeEach(() => {
+    world = new GridWorld();
+    pistons = world.pistons;
+  });
+
+  function placePiston(type = 'piston', facing = 'east') {
+    world.setBlock(0, 1, 0, { type, state: { facing, extended: false } });
+  }
+
+  function placeLine(fromX, toX, type = 'stone') {
+    for (let x = fromX; x <= toX; x++) {
+      world.setBlock(x, 1, 0, { type });
+    }
+  }
+
+  describe('structure resolution', () => {
+    it('should push a line of blocks and place the head', () => {
+      placePiston();
+      placeLine(1, 3);
+
+      assert.strictEqual(pistons.extend({ x: 0, y: 1, z: 0 }), true);
+      assert.strictEqual(world.type(1, 1, 0), 'piston_head');
+      assert.strictEqual(world.type(4, 1, 0), 'moving_piston');
+
+      world.run(PistonManager.PUSH_TICKS);
+      assert.deepStrictEqual([2, 3, 4].map(x => world.type(x, 1, 0)), ['stone', 'stone', 'stone']);
+      assert.strictEqual(world.type(5, 1, 0), null);
+    });
+
+    it('should refuse to push more than 12 blocks', () => {
+      placePiston();
+      placeLine(1, 13);
+      assert.strictEqual(pistons.extend({ x: 0, y: 1, z: 0 }), false);
+
+      world.setBlock(13, 1, 0, null);
+      assert.strictEqual(pistons.extend({ x: 0, y: 1, z: 0 }), true);
+    });
+
+    it('should be stopped by immovable blocks', () => {
+      placePiston();
+      placeLine(1, 2);
+      world.setBlock(3, 1, 0, { type: 'obsidian' });
+      assert.strictEqual(pistons.extend({ x: 0, y: 1, z: 0 }), false);
+
+      world.setBlock(3, 1, 0, new ReinforcedDeepslateBlock());
+      assert.strictEqual(pistons.extend({ x: 0, y: 1, z: 0 }), false);
+      assert.strictEqual(world.type(1, 1, 0), 'stone');
+    });
+
+    it('should break fragile blocks in the way', () => {
+      const destroyed = [];
+      pistons.on('blockDestroyed', ({ block }) => destroyed.push(block.type));
+
+      placePiston();
+      placeLine(1, 2);
+      world.setBlock(3, 1, 0, { type: 'redstone_torch' });
+
+      assert.strictEqual(pistons.extend({ x: 0, y: 1, z: 0 }), true);
+      world.run(PistonManager.PUSH_TICKS);
+      assert.deepStrictEqual(destroyed, ['redstone_torch']);
+      assert.strictEqual(world.type(3, 1, 0), 'stone');
+    });
+
+    it('should drag blocks stuck to slime but not to honey next to slime', () => {
+      placePiston();
+      world.setBlock(1, 1, 0, { type: 'slime_block' });
+      world.setBlock(1, 2, 0, { type: 'stone' });
+      world.setBlock(1, 1, 1, { type: 'honey_block' });
+      world.setBlock(1, 1, -1, { type: 'dirt' });
+
+      assert.strictEqual(pistons.extend({ x: 0, y: 1, z: 0 }), true);
+      world.run(PistonManager.PUSH_TICKS);
+
+      assert.strictEqual(world.type(2, 1, 0), 'slime_block');
+      assert.strictEqual(world.type(2, 2, 0), 'stone');
+      assert.strictEqual(world.type(2, 1, -1), 'dirt');
+      // Honey does not stick to slime, so it stays behind
+      assert.strictEqual(world.type(1, 1, 1), 'honey_block');
+    });
+  });
+
+  describe('retraction', () => {
+    it('should pull the block in front with a sticky piston', () => {
+      placePiston('sticky_piston');
+      world.setBlock(1, 1, 0, { type: 'stone' });
+      pistons.extend({ x: 0, y: 1, z: 0 });
+      world.run(PistonManager.PUSH_TICKS);
+
+      assert.strictEqual(pistons.retract({ x: 0, y: 1, z: 0 }), true);
+      world.run(PistonManager.PUSH_TICKS);
+      assert.strictEqual(world.type(1, 1, 0), 'stone');
+      assert.strictEqual(world.type(2, 1, 0), null);
+    });
+
+    it('should leave blocks behind with a normal piston and never pull push-only blocks', () => {
+      placePiston();
+      world.setBlock(1, 1, 0, { type: 'stone' });
+      pistons.extend({ x: 0, y: 1, z: 0 });
+      world.run(PistonManager.PUSH_TICKS);
+      pistons.retract({ x: 0, y: 1, z: 0 });
+      world.run(PistonManager.PUSH_TICKS);
+      assert.strictEqual(world.type(1, 1, 0), null);
+      assert.strictEqual(world.type(2, 1, 0), 'stone');
+
+      const sticky = { type: 'sticky_piston', state: { facing: 'east', extended: true } };
+      world.setBlock(0, 1, 0, sticky);
+      world.setBlock(1, 1, 0, { type: 'piston_head', state: { facing: 'east', sticky: true } });
+      world.setBlock(2, 1, 0, { type: 'orange_glazed_terracotta' });
+      pistons.retract({ x: 0, y: 1, z: 0 });
+      world.run(PistonManager.PUSH_TICKS);
+      assert.strictEqual(world.type(2, 1, 0), 'orange_glazed_terracotta');
+    });
+  });
+
+  describe('moving blocks', () => {
+    it('should carry block entity state with the block', () => {
+      const crafter = { type: 'crafter', position: { x: 1, y: 1, z: 0 }, inventory: ['iron_ingot'] };
+      placePiston();
+      world.setBlock(1, 1, 0, crafter);
+
+      pistons.extend({ x: 0, y: 1, z: 0 });
+      assert.strictEqual(world.getBlockAt(2, 1, 0).movingBlock, crafter);
+
+      world.run(PistonManager.PUSH_TICKS);
+      assert.strictEqual(world.getBlockAt(2, 1, 0), crafter);
+      assert.deepStrictEqual(crafter.position, { x: 2, y: 1, z: 0 });
+      assert.deepStrictEqual(crafter.inventory, ['iron_ingot']);
+    });
+
+    it('should move entities standing on pushed blocks', () => {
+      const rider = { id: 'rider', position: { x: 1.5, y: 2, z: 0.5 } };
+      const bystander = { id: 'bystander', position: { x: 5.5, y: 2, z: 0.5 } };
+      world.entities.push(rider, bystander);
+
+      placePiston();
+      world.setBlock(1, 1, 0, { type: 'stone' });
+      pistons.extend({ x: 0, y: 1, z: 0 });
+      world.run(PistonManager.PUSH_TICKS);
+
+      assert.deepStrictEqual(rider.position, { x: 2.5, y: 2, z: 0.5 });
+      assert.deepStrictEqual(bystander.position, { x: 5.5, y: 2, z: 0.5 });
+    });
+  });
+
+  describe('redstone activation', () => {
+    it('should extend when powered and retract when the power goes away', () => {
+      placePiston('sticky_piston');
+      world.setBlock(1, 1, 0, { type: 'stone' });
+      world.setBlock(0, 1, -1, { type: 'lever', state: { attached: 'down' } });
+
+      world.redstone.setLever({ x: 0, y: 1, z: -1 }, true);
+      world.run(1 + PistonManager.PUSH_TICKS);
+      assert.strictEqual(world.type(2, 1, 0), 'stone');
+      assert.strictEqual(world.getBlockAt(0, 1, 0).state.extended, true);
+
+      world.redstone.setLever({ x: 0, y: 1, z: -1 }, false);
+      world.run(1 + PistonManager.PUSH_TICKS);
+      assert.strictEqual(world.type(1, 1, 0), 'stone');
+      assert.strictEqual(world.getBlockAt(0, 1, 0).state.extended, false);
+    });
+
+    it('should ignore power coming in through its front', () => {
+      placePiston();
+      world.setBlock(1, 1, 0, { type: 'redstone_block' });
+      world.run(2);
+      assert.strictEqual(world.getBlockAt(0, 1, 0).state.extended, false);
+    });
+  });
+});
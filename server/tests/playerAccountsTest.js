@@ -0,0 +1,244 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AccountManager = require('../accounts/accountManager');
+const ProfileStore = require('../accounts/profileStore');
+const AccessControl = require('../accounts/accessControl');
+const CommandDispatcher = require('../commands/commandDispatcher');
+const PermissionManager = require('../commands/permissionManager');
+const StatusEffectsManager = require('../entities/statusEffectsManager');
+
+describe('Player accounts', () => {
+  const startTime = Date.now();
+  let directory;
+
+  // Date.now is a mock from setup.js, so move it forward and back instead of spying on it
+  function advanceClock(ms) {
+    Date.now.mockImplementation(() => startTime + ms);
+  }
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+  });
+
+  afterEach(() => {
+    Date.now.mockImplementation(() => startTime);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('AccountManager', () => {
+    let accounts;
+
+    beforeEach(() => {
+      accounts = new AccountManager({ file: path.join(directory, 'accounts.json') });
+    });
+
+    it('should register accounts with stable UUIDs and hashed passwords', () => {
+      const { success, account } = accounts.register('Steve', 'hunter22');
+      assert.strictEqual(success, true);
+      assert.match(account.uuid, /^[0-9a-f-]{36}$/);
+
+      const stored = fs.readFileSync(path.join(directory, 'accounts.json'), 'utf8');
+      assert.ok(!stored.includes('hunter22'));
+
+      const reloaded = new AccountManager({ file: path.join(directory, 'accounts.json') });
+      assert.deepStrictEqual(reloaded.getAccountByName('steve'), account);
+    });
+
+    it('should reject bad usernames, short passwords and taken names', () => {
+      accounts.register('Steve', 'hunter22');
+      assert.strictEqual(accounts.register('no spaces', 'hunter22').code, 'invalid_username');
+      assert.strictEqual(accounts.register('Alex', '123').code, 'weak_password');
+      assert.strictEqual(accounts.register('STEVE', 'hunter22').code, 'username_taken');
+    });
+
+    it('should log in with a password and then with the issued token', () => {
+      const { account } = accounts.register('Steve', 'hunter22');
+
+      const login = accounts.authenticate({ username: 'Steve', password: 'hunter22' });
+      assert.strictEqual(login.success, true);
+      assert.deepStrictEqual(login.account, account);
+      assert.strictEqual(typeof login.token, 'string');
+
+      assert.strictEqual(accounts.authenticate({ username: 'steve', token: login.token }).success, true);
+      assert.strictEqual(accounts.authenticate({ username: 'Steve', password: 'wrong!' }).code, 'invalid_credentials');
+      assert.strictEqual(accounts.authenticate({ username: 'Steve', token: 'forged' }).code, 'invalid_credentials');
+      assert.strictEqual(accounts.authenticate({ username: 'Herobrine', password: 'x' }).code, 'unknown_account');
+    });
+
+    it('should expire and revoke tokens', () => {
+      accounts = new AccountManager({ tokenLifetime: 1000 });
+      const { account } = accounts.register('Steve', 'hunter22');
+      const { token } = accounts.authenticate({ username: 'Steve', password: 'hunter22' });
+
+      advanceClock(2000);
+      assert.strictEqual(accounts.authenticate({ username: 'Steve', token }).success, false);
+
+      const fresh = accounts.issueToken(account.uuid);
+      accounts.revokeTokens(account.uuid);
+      assert.strictEqual(accounts.authenticate({ username: 'Steve', token: fresh }).success, false);
+    });
+  });
+
+  describe('ProfileStore', () => {
+    const uuid = '3f1c2b7a-1d2e-4f50-9a6b-7c8d9e0f1a2b';
+    let store;
+
+    beforeEach(() => {
+      store = new ProfileStore({ directory: path.join(directory, 'playerdata') });
+    });
+
+    it('should round-trip a player through a profile file', () => {
+      const player = {
+        id: uuid,
+        name: 'Steve',
+        position: { x: 12.5, y: 70, z: -3.5 },
+        rotation: { y: 1.2 },
+        dimension: 'nether',
+        health: 14,
+        inventory: { stone: 12, diamond: 3 },
+        enderChest: { emerald: 5 },
+        xp: 7,
+        level: 4,
+        spawnPoint: { x: 100.5, y: 64, z: 0.5, dimension: 'overworld' },
+        socketOnly: 'not persisted'
+      };
+      store.save(ProfileStore.fromPlayer(player));
+
+      const restored = { id: uuid, name: 'Steve', health: 100, inventory: {} };
+      ProfileStore.applyToPlayer(restored, store.load(uuid));
+      assert.deepStrictEqual(restored.position, player.position);
+      assert.strictEqual(restored.dimension, 'nether');
+      assert.strictEqual(restored.health, 14);
+      assert.deepStrictEqual(restored.inventory, player.inventory);
+      assert.deepStrictEqual(restored.enderChest, player.enderChest);
+      assert.strictEqual(restored.level, 4);
+      assert.deepStrictEqual(restored.spawnPoint, player.spawnPoint);
+      assert.strictEqual(restored.socketOnly, undefined);
+    });
+
+    it('should keep the remaining time of active effects', () => {
+      const player = { id: uuid, name: 'Steve', position: { x: 0, y: 1, z: 0 } };
+      const effects = new StatusEffectsManager({ players: { [uuid]: player } });
+      effects.addEffect(uuid, 'SPEED', { level: 2, duration: 400 });
+
+      store.save(ProfileStore.fromPlayer(player, effects.getEffects(uuid)));
+      const [effect] = store.load(uuid).effects;
+      assert.deepStrictEqual({ type: effect.type, level: effect.level, duration: effect.duration },
+        { type: 'SPEED', level: 2, duration: 400 });
+    });
+
+    it('should return null for unknown players and refuse ids that are not UUIDs', () => {
+      assert.strictEqual(store.load(uuid), null);
+      assert.throws(() => store.save({ uuid: '../../accounts' }), /Invalid player UUID/);
+    });
+  });
+
+  describe('AccessControl', () => {
+    const steve = { uuid: 's-uuid', username: 'Steve' };
+    let access;
+
+    beforeEach(() => {
+      access = new AccessControl({
+        whitelistFile: path.join(directory, 'whitelist.json'),
+        banFile: path.join(directory, 'banned-players.json')
+      });
+    });
+
+    it('should keep banned players out until they are pardoned', () => {
+      access.ban(steve, { reason: 'Griefing' });
+      assert.match(access.checkLogin(steve), /banned.*Griefing/);
+
+      const reloaded = new AccessControl({ banFile: path.join(directory, 'banned-players.json') });
+      assert.ok(reloaded.getBan('s-uuid'));
+
+      assert.strictEqual(access.pardon('s-uuid'), true);
+      assert.strictEqual(access.checkLogin(steve), null);
+    });
+
+    it('should lift temporary bans once they expire', () => {
+      access.ban(steve, { expires: Date.now() + 1000 });
+      assert.notStrictEqual(access.checkLogin(steve), null);
+
+      advanceClock(2000);
+      assert.strictEqual(access.checkLogin(steve), null);
+    });
+
+    it('should only let whitelisted players and operators in while the whitelist is on', () => {
+      access.setWhitelistEnabled(true);
+      assert.strictEqual(access.checkLogin(steve), 'You are not whitelisted on this server');
+      assert.strictEqual(access.checkLogin(steve, { operator: true }), null);
+
+      access.addToWhitelist(steve);
+      assert.strictEqual(access.checkLogin(steve), null);
+      access.setWhitelistEnabled(false);
+      access.removeFromWhitelist('s-uuid');
+      assert.strictEqual(access.checkLogin(steve), null);
+    });
+  });
+
+  describe('commands', () => {
+    let accounts;
+    let access;
+    let players;
+    let kicked;
+    let dispatcher;
+
+    beforeEach(() => {
+      accounts = new AccountManager();
+      access = new AccessControl();
+      const admin = accounts.register('Admin', 'password1').account;
+      const alex = accounts.register('Alex', 'password2').account;
+      accounts.register('Sam', 'password3');
+      players = {
+        [admin.uuid]: { id: admin.uuid, name: 'Admin', position: { x: 0, y: 1, z: 0 } },
+        [alex.uuid]: { id: alex.uuid, name: 'Alex', position: { x: 5, y: 1, z: 0 } }
+      };
+      kicked = [];
+
+      const permissions = new PermissionManager();
+      permissions.op('Admin', 3);
+      dispatcher = new CommandDispatcher({
+        permissions,
+        server: {
+          getPlayers: () => Object.values(players),
+          getEntities: () => [],
+          kick: (player, reason) => kicked.push({ name: player.name, reason }),
+          accounts,
+          accessControl: access
+        }
+      });
+    });
+
+    function run(input) {
+      const admin = Object.values(players).find(player => player.name === 'Admin');
+      return dispatcher.execute(CommandDispatcher.playerSource(admin), input);
+    }
+
+    it('should ban online and offline players and revoke their sessions', () => {
+      const { token } = accounts.authenticate({ username: 'Alex', password: 'password2' });
+
+      assert.deepStrictEqual(run('/ban Alex Using an x-ray client'), { success: true, message: 'Banned Alex: Using an x-ray client' });
+      assert.deepStrictEqual(kicked, [{ name: 'Alex', reason: 'You are banned from this server. Reason: Using an x-ray client' }]);
+      assert.strictEqual(accounts.authenticate({ username: 'Alex', token }).success, false);
+
+      assert.strictEqual(run('/ban Sam').success, true);
+      assert.strictEqual(access.getBan(accounts.getAccountByName('Sam').uuid).reason, 'Banned by an operator');
+      assert.strictEqual(run('/ban Nobody').error, "There is no player called 'Nobody'");
+
+      assert.strictEqual(run('/pardon Sam').success, true);
+      assert.strictEqual(run('/pardon Sam').error, "Nothing changed. The player isn't banned");
+    });
+
+    it('should manage the whitelist and kick players', () => {
+      run('/whitelist add Sam');
+      run('/whitelist on');
+      assert.strictEqual(access.whitelistEnabled, true);
+      assert.deepStrictEqual(run('/whitelist list'), { success: true, message: 'There are 1 whitelisted players: Sam' });
+
+      assert.strictEqual(run('/kick Alex Be nice').message, 'Kicked Alex: Be nice');
+      assert.deepStrictEqual(kicked, [{ name: 'Alex', reason: 'Be nice' }]);
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const assert = require('assert');
+const DimensionManager = require('../world/dimensionManager');
+const PortalManager = require('../world/portalManager');
+
+// Dimension world stored in a map, with a stone floor up to floorY
+function createWorld(id, floorY) {
+  const blocks = new Map();
+  for (let x = -24; x <= 24; x++) {
+    for (let z = -24; z <= 24; z++) {
+      blocks.set(`${x},${floorY},${z}`, { type: 'stone' });
+    }
+  }
+  return {
+    id,
+    blocks,
+    entities: new Map(),
+    getBlockType: (posKey) => (blocks.get(posKey) ? blocks.get(posKey).type : null),
+    setBlock: (posKey, block) => blocks.set(posKey, block),
+    removeBlock: (posKey) => blocks.delete(posKey),
+    addEntity(entity) {
+      this.entities.set(entity.id, entity);
+    },
+    removeEntity(entityId) {
+      this.entities.delete(entityId);
+    }
+  };
+}
+
+// Light a portal the way PortalManager does: an obsidian frame filled with portal
+// blocks, recorded by the dimension manager if one is given
+function buildPortal(world, frame, dimensionManager = null) {
+  const { startX, startY, startZ, width, height, orientation } = frame;
+  for (let i = 0; i <= width; i++) {
+    for (let j = 0; j <= height; j++) {
+      const x = orientation === 'x' ? startX + i : startX;
+      const z = orientation === 'z' ? startZ + i : startZ;
+      world.setBlock(`${x},${startY + j},${z}`, { type: 'obsidian' });
+    }
+  }
+  new PortalManager({ dimensionManager }).activatePortal({ ...world, playSound() {} }, { ...frame, dimension: world.id });
+}
+
+function countBlocks(world, type) {
+  return Array.from(world.blocks.values()).filter(block => block.type === type).length;
+}
+
+describe('Portal linking', () => {
+  let dimensions;
+  let overworld;
+  let nether;
+
+  beforeEach(() => {
+    overworld = createWorld('overworld', 63);
+    nether = createWorld('nether', 40);
+    dimensions = new DimensionManager();
+    dimensions.addDimension('overworld', overworld);
+    dimensions.addDimension('nether', nether);
+  });
+
+  describe('exit portals', () => {
+    it('should build a portal the size of the entry portal on open ground', () => {
+      const frame = { startX: 80, startY: 63, startZ: 0, width: 4, height: 5, orientation: 'z' };
+      buildPortal(overworld, frame, dimensions);
+      const mob = { id: 'zombie_1', dimension: 'overworld', position: { x: 80.5, y: 64, z: 2 } };
+
+      assert.ok(dimensions.travelThroughPortal(mob, 'overworld', mob.position));
+
+      const [exit] = dimensions.portals.getPortals('nether');
+      assert.deepStrictEqual({ width: exit.frame.width, height: exit.frame.height, orientation: exit.orientation },
+        { width: 4, height: 5, orientation: 'z' });
+      assert.strictEqual(exit.frame.startY, 40, 'the frame should stand on the nether floor');
+      assert.strictEqual(countBlocks(nether, 'nether_portal'), 3 * 4);
+      assert.strictEqual(mob.dimension, 'nether');
+      assert.deepStrictEqual(mob.position, exit.position);
+      assert.strictEqual(nether.entities.get('zombie_1'), mob);
+      assert.ok(!overworld.entities.has('zombie_1'));
+    });
+
+    it('should build on an obsidian ledge where there is no room', () => {
+      for (let y = 41; y < 126; y++) {
+        for (let x = -20; x <= 20; x++) {
+          for (let z = -20; z <= 20; z++) {
+            nether.blocks.set(`${x},${y},${z}`, { type: 'netherrack' });
+          }
+        }
+      }
+      const item = { id: 'item_1', dimension: 'overworld', position: { x: 0, y: 70, z: 0 } };
+
+      dimensions.travelThroughPortal(item, 'overworld', item.position);
+
+      const [exit] = dimensions.portals.getPortals('nether');
+      assert.strictEqual(nether.getBlockType(`${exit.frame.startX + 1},${exit.frame.startY},1`), 'obsidian');
+      assert.strictEqual(nether.getBlockType(`${exit.frame.startX + 1},${exit.frame.startY + 1},1`), null);
+      assert.strictEqual(countBlocks(nether, 'nether_portal'), 2 * 3);
+    });
+  });
+
+  describe('linking', () => {
+    it('should send travellers to the closest existing portal', () => {
+      buildPortal(overworld, { startX: 0, startY: 63, startZ: 0, width: 3, height: 4, orientation: 'x' }, dimensions);
+      const first = { id: 'pig_1', position: { x: 1.5, y: 64, z: 0.5 } };
+      const second = { id: 'pig_2', position: { x: 1.5, y: 64, z: 0.5 } };
+
+      dimensions.travelThroughPortal(first, 'overworld');
+      dimensions.travelThroughPortal(second, 'overworld');
+
+      assert.strictEqual(dimensions.portals.getPortals('nether').length, 1);
+      assert.deepStrictEqual(second.position, first.position);
+    });
+
+    it('should link back to the portal travellers came through', () => {
+      // Lit before portals were recorded, so it is found by its blocks
+      buildPortal(overworld, { startX: 40, startY: 63, startZ: 8, width: 3, height: 4, orientation: 'x' });
+      const pig = { id: 'pig_1', position: { x: 41.5, y: 64, z: 8.5 } };
+
+      dimensions.travelThroughPortal(pig, 'overworld');
+      dimensions.portalCooldowns.clear();
+      dimensions.travelThroughPortal(pig, 'nether');
+
+      assert.strictEqual(pig.dimension, 'overworld');
+      assert.deepStrictEqual(pig.position, dimensions.findPortalAt('overworld', { x: 41, y: 64, z: 8 }).position);
+      assert.strictEqual(dimensions.portals.getPortals('overworld').length, 1);
+    });
+
+    it('should forget portals that were broken', () => {
+      buildPortal(nether, { startX: 0, startY: 40, startZ: 0, width: 3, height: 4, orientation: 'x' }, dimensions);
+      const portal = dimensions.findPortalAt('nether', { x: 1, y: 41, z: 0 });
+      for (let y = 41; y < 44; y++) {
+        nether.blocks.delete(`1,${y},0`);
+        nether.blocks.delete(`2,${y},0`);
+      }
+      const sheep = { id: 'sheep_1', position: { x: 8, y: 64, z: 8 } };
+
+      dimensions.travelThroughPortal(sheep, 'overworld');
+
+      const exits = dimensions.portals.getPortals('nether');
+      assert.strictEqual(exits.length, 1);
+      assert.notStrictEqual(exits[0].key, portal.key);
+
+      dimensions.emit('portalDestroyed', { dimension: 'nether', position: exits[0].position });
+      assert.strictEqual(dimensions.portals.getPortals('nether').length, 0);
+    });
+
+    it('should survive a save', () => {
+      buildPortal(overworld, { startX: 5, startY: 63, startZ: 5, width: 6, height: 8, orientation: 'z' }, dimensions);
+
+      const loaded = new DimensionManager();
+      loaded.deserialize(JSON.parse(JSON.stringify(dimensions.serialize())));
+
+      const portal = loaded.findPortalAt('overworld', { x: 5, y: 66, z: 8 });
+      assert.ok(portal);
+      assert.strictEqual(portal.frame.width, 6);
+      assert.strictEqual(portal.frame.height, 8);
+    });
+  });
+
+  describe('travel', () => {
+    let players;
+
+    beforeEach(() => {
+      players = new Set(['player_1']);
+      dimensions = new DimensionManager({ isPlayer: entity => players.has(entity.id) });
+      dimensions.addDimension('overworld', overworld);
+      dimensions.addDimension('nether', nether);
+      buildPortal(overworld, { startX: 0, startY: 63, startZ: 0, width: 3, height: 4, orientation: 'x' }, dimensions);
+    });
+
+    function tick(count) {
+      for (let i = 0; i < count; i++) {
+        dimensions.processPendingTeleports();
+      }
+    }
+
+    it('should make players wait in the portal and other entities not', () => {
+      const player = { id: 'player_1', dimension: 'overworld', position: { x: 1.5, y: 64, z: 0.5 } };
+      const cow = { id: 'cow_1', dimension: 'overworld', position: { x: 2.5, y: 64, z: 0.5 } };
+      dimensions.handleEntityEnterPortal({ entity: player, portalPosition: { x: 1, y: 64, z: 0 } });
+      dimensions.handleEntityEnterPortal({ entity: cow, portalPosition: { x: 2, y: 64, z: 0 } });
+
+      tick(1);
+      assert.strictEqual(cow.dimension, 'nether');
+      assert.strictEqual(player.dimension, 'overworld');
+
+      tick(79);
+      assert.strictEqual(player.dimension, 'nether');
+    });
+
+    it('should call the trip off when the entity steps out', () => {
+      const player = { id: 'player_1', dimension: 'overworld', position: { x: 1.5, y: 64, z: 0.5 } };
+      dimensions.handleEntityEnterPortal({ entity: player });
+
+      tick(40);
+      player.position = { x: 1.5, y: 64, z: 3 };
+      tick(40);
+
+      assert.strictEqual(player.dimension, 'overworld');
+      assert.strictEqual(dimensions.pendingTeleports.size, 0);
+    });
+
+    it('should keep arrivals from going straight back until they step out', () => {
+      const cow = { id: 'cow_1', dimension: 'overworld', position: { x: 1.5, y: 64, z: 0.5 } };
+      dimensions.handleEntityEnterPortal({ entity: cow });
+      tick(1);
+
+      for (let i = 0; i < 400; i++) {
+        assert.ok(!dimensions.handleEntityEnterPortal({ entity: cow }));
+        tick(1);
+      }
+      assert.strictEqual(cow.dimension, 'nether');
+
+      tick(300);
+      assert.ok(dimensions.handleEntityEnterPortal({ entity: cow }));
+    });
+
+    it('should carry boat passengers along', () => {
+      const rider = { id: 'villager_1', dimension: 'overworld', position: { x: 1.5, y: 64.5, z: 0.5 } };
+      const boat = { id: 'boat_1', type: 'boat', passenger: 'villager_1', dimension: 'overworld', position: { x: 1.5, y: 64, z: 0.5 } };
+      overworld.addEntity(rider);
+      overworld.addEntity(boat);
+
+      dimensions.handleEntityEnterPortal({ entity: boat });
+      tick(1);
+
+      assert.strictEqual(boat.dimension, 'nether');
+      assert.strictEqual(rider.dimension, 'nether');
+      assert.deepStrictEqual(rider.position, boat.position);
+      assert.strictEqual(overworld.entities.size, 0);
+      assert.ok(dimensions.portalCooldowns.has('villager_1'));
+    });
+  });
+});
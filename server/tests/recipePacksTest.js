@@ -0,0 +1,339 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RecipeLoader, RecipeType } = require('../crafting/recipeLoader');
+const CraftingManager = require('../crafting/craftingManager');
+const RecipeManager = require('../crafting/recipeManager');
+const FurnaceManager = require('../crafting/furnaceManager');
+const SmithingManager = require('../crafting/smithingManager');
+const SmithingTable = require('../crafting/smithingTable');
+const stonecutterRegistry = require('../registry/stonecutterRegistry');
+const CommandDispatcher = require('../commands/commandDispatcher');
+const PermissionManager = require('../commands/permissionManager');
+
+describe('Recipe datapacks', () => {
+  let root;
+  let builtin;
+  let datapacks;
+  let loader;
+  let consoleError;
+
+  function write(directory, file, data) {
+    const target = path.join(directory, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, typeof data === 'string' ? data : JSON.stringify(data));
+  }
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'recipe-packs-'));
+    builtin = path.join(root, 'data');
+    datapacks = path.join(root, 'datapacks');
+
+    write(builtin, 'tags/items/logs.json', { values: ['oak_log', 'birch_log'] });
+    write(builtin, 'tags/items/planks.json', { values: ['oak_planks', 'birch_planks'] });
+    write(builtin, 'tags/items/burnable.json', { values: ['#logs', 'stick'] });
+    write(builtin, 'recipes/wooden_pickaxe.json', {
+      type: 'crafting_shaped',
+      pattern: ['###', ' | ', ' | '],
+      key: { '#': '#planks', '|': 'stick' },
+      result: 'wooden_pickaxe'
+    });
+    write(builtin, 'recipes/stairs/oak_stairs.json', {
+      type: 'crafting_shaped',
+      pattern: ['#  ', '## ', '###'],
+      key: { '#': { item: 'oak_planks' } },
+      result: { item: 'oak_stairs', count: 4 }
+    });
+    write(builtin, 'recipes/mossy_cobblestone.json', {
+      type: 'crafting_shapeless',
+      ingredients: ['cobblestone', ['vine', 'moss_block']],
+      result: 'mossy_cobblestone'
+    });
+    write(builtin, 'recipes/iron_ingot_from_smelting.json', {
+      type: 'smelting', ingredient: 'iron_ore', result: 'iron_ingot', experience: 0.7
+    });
+    write(builtin, 'recipes/iron_ingot_from_blasting.json', {
+      type: 'blasting', ingredient: 'iron_ore', result: 'iron_ingot', experience: 0.7
+    });
+    write(builtin, 'recipes/charcoal.json', {
+      type: 'smelting', ingredient: '#logs', result: 'charcoal', experience: 0.15
+    });
+    write(builtin, 'recipes/cooked_beef_from_smoking.json', {
+      type: 'smoking', ingredient: 'beef', result: 'cooked_beef', cookingtime: 80
+    });
+    write(builtin, 'recipes/stone_slab_from_stonecutting.json', {
+      type: 'stonecutting', ingredient: 'stone', result: { item: 'stone_slab', count: 2 }
+    });
+    write(builtin, 'recipes/netherite_sword_smithing.json', {
+      type: 'smithing_transform',
+      template: 'netherite_upgrade_template',
+      base: 'diamond_sword',
+      addition: 'netherite_ingot',
+      result: 'netherite_sword'
+    });
+    write(builtin, 'recipes/coast_trim.json', {
+      type: 'smithing_trim',
+      template: 'coast_armor_trim_smithing_template',
+      base: ['iron_chestplate', 'diamond_chestplate'],
+      addition: { tag: 'trim_materials' }
+    });
+    write(builtin, 'tags/items/trim_materials.json', { values: ['emerald', 'quartz'] });
+
+    loader = new RecipeLoader({ directories: [builtin], datapacksDirectory: datapacks });
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('loading', () => {
+    it('should load every recipe type with ids taken from the file path', () => {
+      const { count, errors } = loader.load();
+
+      assert.deepStrictEqual(errors, []);
+      assert.strictEqual(count, 10);
+      assert.strictEqual(loader.getRecipe('stairs/oak_stairs').type, RecipeType.CRAFTING_SHAPED);
+      assert.deepStrictEqual(loader.getRecipe('stairs/oak_stairs').result, { id: 'oak_stairs', count: 4 });
+      assert.strictEqual(loader.getRecipes(RecipeType.SMITHING_TRIM).length, 1);
+    });
+
+    it('should default cooking times per furnace kind', () => {
+      loader.load();
+
+      assert.strictEqual(loader.getRecipe('iron_ingot_from_smelting').cookingTime, 200);
+      assert.strictEqual(loader.getRecipe('iron_ingot_from_blasting').cookingTime, 100);
+      assert.strictEqual(loader.getRecipe('cooked_beef_from_smoking').cookingTime, 80);
+    });
+
+    it('should expand nested tags', () => {
+      loader.load();
+
+      assert.deepStrictEqual(loader.getTagItems('#burnable').sort(), ['birch_log', 'oak_log', 'stick']);
+    });
+
+    it('should let later packs override recipes and extend tags', () => {
+      const pack = path.join(datapacks, 'extra');
+      write(pack, 'tags/items/planks.json', { values: ['cherry_planks'] });
+      write(pack, 'recipes/stairs/oak_stairs.json', {
+        type: 'crafting_shaped',
+        pattern: ['#  ', '## ', '###'],
+        key: { '#': 'oak_planks' },
+        result: { item: 'oak_stairs', count: 8 }
+      });
+      loader.load();
+
+      assert.strictEqual(loader.getRecipe('stairs/oak_stairs').result.count, 8);
+      assert.deepStrictEqual(loader.getTagItems('planks').sort(), ['birch_planks', 'cherry_planks', 'oak_planks']);
+    });
+
+    it('should let a pack replace a tag', () => {
+      write(path.join(datapacks, 'extra'), 'tags/items/planks.json', { replace: true, values: ['cherry_planks'] });
+      loader.load();
+
+      assert.deepStrictEqual(loader.getTagItems('planks'), ['cherry_planks']);
+    });
+  });
+
+  describe('validation', () => {
+    it('should skip malformed files and report why', () => {
+      write(builtin, 'recipes/broken.json', '{ "type": "smelting", ');
+      write(builtin, 'recipes/no_type.json', { result: 'stone' });
+      write(builtin, 'recipes/odd_type.json', { type: 'brewing', result: 'stone' });
+      write(builtin, 'recipes/missing_key.json', {
+        type: 'crafting_shaped', pattern: ['#X'], key: { '#': 'stone' }, result: 'stone'
+      });
+      write(builtin, 'recipes/ragged.json', {
+        type: 'crafting_shaped', pattern: ['##', '#'], key: { '#': 'stone' }, result: 'stone'
+      });
+      write(builtin, 'recipes/unknown_tag.json', { type: 'stonecutting', ingredient: '#rocks', result: 'stone' });
+      write(builtin, 'recipes/big_stack.json', { type: 'stonecutting', ingredient: 'stone', result: { item: 'stone', count: 65 } });
+      write(builtin, 'recipes/no_result.json', { type: 'smithing_transform', template: 'a', base: 'b', addition: 'c' });
+
+      const { count, errors } = loader.load();
+      const messages = Object.fromEntries(errors.map(error => [path.basename(error.file), error.message]));
+
+      assert.strictEqual(count, 10);
+      assert.strictEqual(errors.length, 8);
+      assert.ok(messages['broken.json'].startsWith('Invalid JSON'));
+      assert.strictEqual(messages['no_type.json'], 'Missing recipe "type"');
+      assert.strictEqual(messages['odd_type.json'], 'Unknown recipe type "brewing"');
+      assert.strictEqual(messages['missing_key.json'], 'Pattern symbol "X" is missing from "key"');
+      assert.strictEqual(messages['ragged.json'], '"pattern" rows must all be 1 to 3 characters long');
+      assert.strictEqual(messages['unknown_tag.json'], 'Ingredient "ingredient" references unknown tag #rocks');
+      assert.strictEqual(messages['big_stack.json'], '"result.count" must be a whole number from 1 to 64');
+      assert.strictEqual(messages['no_result.json'], 'Missing "result"');
+      assert.strictEqual(loader.getRecipe('broken'), null);
+      assert.strictEqual(consoleError.mock.calls.length, 8);
+    });
+
+    it('should reject tags that include themselves', () => {
+      write(builtin, 'tags/items/a.json', { values: ['#b'] });
+      write(builtin, 'tags/items/b.json', { values: ['#a'] });
+
+      const { errors } = loader.load();
+
+      assert.ok(errors.some(error => error.message.startsWith('Tag #a includes itself')));
+      assert.deepStrictEqual(loader.getTagItems('a'), []);
+    });
+  });
+
+  describe('matching', () => {
+    beforeEach(() => {
+      loader.load();
+    });
+
+    it('should match shaped recipes through tags', () => {
+      const recipe = loader.findCraftingRecipe([
+        ['birch_planks', 'oak_planks', 'birch_planks'],
+        [null, 'stick', null],
+        [null, 'stick', null]
+      ]);
+
+      assert.strictEqual(recipe.id, 'wooden_pickaxe');
+    });
+
+    it('should match shaped recipes anywhere in the grid and mirrored', () => {
+      const recipe = loader.findCraftingRecipe([
+        [null, null, 'oak_planks'],
+        [null, 'oak_planks', 'oak_planks'],
+        ['oak_planks', 'oak_planks', 'oak_planks']
+      ]);
+
+      assert.strictEqual(recipe.id, 'stairs/oak_stairs');
+      assert.strictEqual(loader.findCraftingRecipe([[{ id: 'stick', count: 1 }]]), null);
+    });
+
+    it('should match shapeless recipes in any order', () => {
+      assert.strictEqual(loader.findCraftingRecipe([[null, 'moss_block'], ['cobblestone', null]]).id, 'mossy_cobblestone');
+      assert.strictEqual(loader.findCraftingRecipe([['moss_block', 'vine']]), null);
+    });
+
+    it('should find cooking, stonecutting and smithing recipes', () => {
+      assert.strictEqual(loader.findCookingRecipe('smelting', 'birch_log').result.id, 'charcoal');
+      assert.strictEqual(loader.findCookingRecipe('blasting', 'birch_log'), null);
+      assert.deepStrictEqual(loader.getStonecuttingRecipes('stone').map(recipe => recipe.id), ['stone_slab_from_stonecutting']);
+      assert.strictEqual(loader.findSmithingRecipe('netherite_upgrade_template', 'diamond_sword', 'netherite_ingot').id,
+        'netherite_sword_smithing');
+      assert.strictEqual(loader.findSmithingRecipe('coast_armor_trim_smithing_template', { type: 'iron_chestplate' }, 'quartz').id,
+        'coast_trim');
+      assert.strictEqual(loader.findSmithingRecipe('coast_armor_trim_smithing_template', 'iron_chestplate', 'dirt'), null);
+    });
+  });
+
+  describe('managers', () => {
+    beforeEach(() => {
+      loader.load();
+    });
+
+    it('should let the crafting manager query the loaded recipes', () => {
+      const crafting = new CraftingManager({ recipeLoader: loader });
+
+      const pickaxe = crafting.findMatchingRecipe([
+        { id: 'oak_planks', count: 1, position: 0 },
+        { id: 'oak_planks', count: 1, position: 1 },
+        { id: 'birch_planks', count: 1, position: 2 },
+        { id: 'stick', count: 1, position: 4 },
+        { id: 'stick', count: 1, position: 7 }
+      ], true);
+      const mossy = crafting.findMatchingRecipe([{ id: 'vine', count: 1 }, { id: 'cobblestone', count: 1 }]);
+
+      assert.deepStrictEqual(pickaxe.result, { id: 'wooden_pickaxe', item: 'wooden_pickaxe', count: 1 });
+      assert.deepStrictEqual(pickaxe.pattern[0], ['oak_planks', 'oak_planks', 'oak_planks']);
+      assert.strictEqual(mossy.id, 'mossy_cobblestone');
+      assert.strictEqual(crafting.getRecipes().shaped.length, 2);
+    });
+
+    it('should give the crafter recipe manager 3x3 patterns with tag alternatives', () => {
+      const recipes = new RecipeManager({ recipeLoader: loader });
+      const recipe = recipes.getRecipe('wooden_pickaxe');
+
+      assert.deepStrictEqual(recipe.pattern, [
+        ['oak_planks', 'oak_planks', 'oak_planks'],
+        [null, 'stick', null],
+        [null, 'stick', null]
+      ]);
+      assert.deepStrictEqual(recipe.alternatives, { oak_planks: ['birch_planks'] });
+    });
+
+    it('should smelt, blast and smoke from the loaded recipes', () => {
+      const furnace = new FurnaceManager({ recipeLoader: loader });
+
+      assert.deepStrictEqual(furnace.getRecipe('iron_ore'), { outputId: 'iron_ingot', count: 1, cookTime: 200, experience: 0.7 });
+      assert.strictEqual(furnace.getRecipe('iron_ore', 'blasting').cookTime, 100);
+      assert.strictEqual(furnace.canSmelt('beef'), false);
+      assert.strictEqual(furnace.canSmelt('beef', 'smoking'), true);
+    });
+
+    it('should upgrade gear at the smithing table from loaded recipes', () => {
+      const table = new SmithingTable({ recipeLoader: loader });
+      const smithing = new SmithingManager({ recipeLoader: loader });
+
+      assert.deepStrictEqual(table.recipes.map(recipe => recipe.result.id), ['netherite_sword']);
+      assert.strictEqual(smithing.findMatchingRecipe(
+        { type: 'diamond_sword' }, { type: 'netherite_ingot' }, { type: 'netherite_upgrade_template' }
+      ).result.id, 'netherite_sword');
+    });
+
+    it('should fill the stonecutter registry from the loader', () => {
+      stonecutterRegistry.loadFrom(loader);
+
+      assert.deepStrictEqual(stonecutterRegistry.getRecipesForMaterial('stone'), [
+        { id: 'stone_slab_from_stonecutting', input: 'stone', result: { id: 'stone_slab', count: 2 } }
+      ]);
+      stonecutterRegistry.clear();
+    });
+  });
+
+  describe('reloading', () => {
+    it('should pick up changed, added and removed files', () => {
+      loader.load();
+      const crafting = new CraftingManager({ recipeLoader: loader });
+      const recipes = new RecipeManager({ recipeLoader: loader });
+
+      fs.rmSync(path.join(builtin, 'recipes', 'wooden_pickaxe.json'));
+      write(path.join(datapacks, 'extra'), 'recipes/stone_pickaxe.json', {
+        type: 'crafting_shaped',
+        pattern: ['###', ' | ', ' | '],
+        key: { '#': 'cobblestone', '|': 'stick' },
+        result: 'stone_pickaxe'
+      });
+      const listener = jest.fn();
+      loader.on('loaded', listener);
+      loader.reload();
+
+      assert.strictEqual(listener.mock.calls.length, 1);
+      assert.strictEqual(loader.getRecipe('wooden_pickaxe'), null);
+      assert.strictEqual(recipes.getRecipe('wooden_pickaxe'), null);
+      assert.strictEqual(recipes.getRecipe('stone_pickaxe').result.id, 'stone_pickaxe');
+      assert.strictEqual(crafting.findMatchingRecipe([
+        { id: 'cobblestone', count: 1, position: 0 },
+        { id: 'cobblestone', count: 1, position: 1 },
+        { id: 'cobblestone', count: 1, position: 2 },
+        { id: 'stick', count: 1, position: 4 },
+        { id: 'stick', count: 1, position: 7 }
+      ], true).id, 'stone_pickaxe');
+    });
+
+    it('should reload through the /reload command and report invalid files', () => {
+      const opsFile = path.join(root, 'ops.json');
+      fs.writeFileSync(opsFile, JSON.stringify([{ name: 'Steve', level: 2 }]));
+      const steve = { id: 's1', name: 'Steve', position: { x: 0, y: 0, z: 0 } };
+      const dispatcher = new CommandDispatcher({
+        permissions: new PermissionManager({ file: opsFile }),
+        server: { getPlayers: () => [steve], getEntities: () => [], recipeLoader: loader }
+      });
+      const source = CommandDispatcher.playerSource(steve);
+
+      assert.deepStrictEqual(dispatcher.execute(source, '/reload'), { success: true, message: 'Reloaded 10 recipes' });
+
+      write(builtin, 'recipes/broken.json', { type: 'smelting', result: 'stone' });
+      assert.deepStrictEqual(dispatcher.execute(source, '/reload'), {
+        success: true,
+        message: 'Reloaded 10 recipes, skipped 1 invalid files:\nbroken.json: Missing ingredient "ingredient"'
+      });
+    });
+  });
+});
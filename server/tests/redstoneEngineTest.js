@@ -0,0 +1,242 @@
+const assert = require('assert');
+const RedstoneManager = require('../systems/redstoneManager');
+const ObserverManager = require('../systems/observerManager');
+const SculkSensorBlock = require('../blocks/sculkSensorBlock');
+
+/**
+ * Minimal block grid that forwards changes to the engine
+ */
+class GridWorld {
+  constructor() {
+    this.blocks = new Map();
+    this.redstone = new RedstoneManager({ world: this });
+  }
+
+  getBlockAt(x, y, z) {
+    return this.blocks.get(`${x},${y},${z}`) || null;
+  }
+
+  setBlock(x, y, z, block) {
+    if (block) {
+      this.blocks.set(`${x},${y},${z}`, block);
+    } else {
+      this.blocks.delete(`${x},${y},${z}`);
+    }
+    this.redstone.onBlockChanged(x, y, z);
+  }
+
+  updateRedstoneSignal(position, level) {
+    this.redstone.updateRedstoneSignal(position, level);
+  }
+
+  floor(fromX, toX) {
+    for (let x = fromX; x <= toX; x++) {
+      this.blocks.set(`${x},0,0`, { type: 'stone' });
+    }
+  }
+
+  run(ticks) {
+    for (let i = 0; i < ticks; i++) {
+      this.redstone.tick();
+    }
+  }
+}
+
+describe('RedstoneManager', () => {
+  let world;
+  let redstone;
+
+  beforeEach(() => {
+    world = new GridWorld();
+    redstone = world.redstone;
+    world.floor(-2, 20);
+  });
+
+  describe('dust', () => {
+    it('should lose one level per block of wire', () => {
+      for (let x = 1; x <= 16; x++) {
+        world.setBlock(x, 1, 0, { type: 'redstone_wire' });
+      }
+      world.setBlock(0, 1, 0, { type: 'redstone_block' });
+
+      assert.strictEqual(redstone.getPowerAt(1, 1, 0), 15);
+      assert.strictEqual(redstone.getPowerAt(8, 1, 0), 8);
+      assert.strictEqual(redstone.getPowerAt(15, 1, 0), 1);
+      assert.strictEqual(redstone.getPowerAt(16, 1, 0), 0);
+
+      world.setBlock(0, 1, 0, null);
+      assert.strictEqual(redstone.getPowerAt(1, 1, 0), 0);
+      assert.strictEqual(redstone.getPowerAt(8, 1, 0), 0);
+    });
+
+    it('should climb onto solid blocks', () => {
+      world.setBlock(0, 1, 0, { type: 'redstone_block' });
+      world.setBlock(1, 1, 0, { type: 'redstone_wire' });
+      world.setBlock(2, 1, 0, { type: 'stone' });
+      world.setBlock(2, 2, 0, { type: 'redstone_wire' });
+
+      assert.strictEqual(redstone.getPowerAt(2, 2, 0), 14);
+    });
+  });
+
+  describe('strong and weak power', () => {
+    beforeEach(() => {
+      world.setBlock(2, 1, 0, { type: 'stone' });
+      world.setBlock(3, 1, 0, { type: 'redstone_wire' });
+      world.setBlock(2, 2, 0, { type: 'redstone_lamp' });
+    });
+
+    it('should not let weakly powered blocks feed dust', () => {
+      world.setBlock(0, 1, 0, { type: 'redstone_block' });
+      world.setBlock(1, 1, 0, { type: 'redstone_wire' });
+
+      assert.strictEqual(redstone.isStronglyPowered({ x: 2, y: 1, z: 0 }), false);
+      assert.strictEqual(redstone.getPowerAt(3, 1, 0), 0);
+      // The lamp on top still sees the weakly powered block
+      assert.strictEqual(redstone.getPowerAt(2, 2, 0), 15);
+    });
+
+    it('should let strongly powered blocks feed dust', () => {
+      world.setBlock(0, 1, 0, { type: 'redstone_block' });
+      world.setBlock(1, 1, 0, { type: 'redstone_repeater', state: { facing: 'east', delay: 1 } });
+      world.run(2);
+
+      assert.strictEqual(redstone.isStronglyPowered({ x: 2, y: 1, z: 0 }), true);
+      assert.strictEqual(redstone.getPowerAt(3, 1, 0), 15);
+    });
+  });
+
+  describe('repeaters', () => {
+    it('should switch after their delay', () => {
+      world.setBlock(1, 1, 0, { type: 'redstone_repeater', state: { facing: 'east', delay: 3 } });
+      world.setBlock(2, 1, 0, { type: 'redstone_wire' });
+      world.setBlock(0, 1, 0, { type: 'redstone_block' });
+
+      world.run(5);
+      assert.strictEqual(redstone.getPowerAt(2, 1, 0), 0);
+      world.run(1);
+      assert.strictEqual(redstone.getPowerAt(2, 1, 0), 15);
+    });
+
+    it('should hold their output while locked from the side', () => {
+      // Locking repeater at (1,1,1) faces north into the side of (1,1,0)
+      world.setBlock(1, 1, 2, { type: 'redstone_block' });
+      world.setBlock(1, 1, 1, { type: 'redstone_repeater', state: { facing: 'north', delay: 1 } });
+      world.run(2);
+
+      world.setBlock(1, 1, 0, { type: 'redstone_repeater', state: { facing: 'east', delay: 1 } });
+      world.setBlock(0, 1, 0, { type: 'redstone_block' });
+      world.run(4);
+
+      assert.strictEqual(redstone.getState({ x: 1, y: 1, z: 0 }).locked, true);
+      assert.strictEqual(redstone.getState({ x: 1, y: 1, z: 0 }).powered, false);
+
+      world.setBlock(1, 1, 2, null);
+      world.run(4);
+      assert.strictEqual(redstone.getState({ x: 1, y: 1, z: 0 }).locked, false);
+      assert.strictEqual(redstone.getState({ x: 1, y: 1, z: 0 }).powered, true);
+    });
+  });
+
+  describe('comparators', () => {
+    function buildComparator(mode) {
+      // Rear: redstone block -> 2 wires (power 14 at the comparator)
+      world.setBlock(-2, 1, 0, { type: 'redstone_block' });
+      world.setBlock(-1, 1, 0, { type: 'redstone_wire' });
+      world.setBlock(0, 1, 0, { type: 'redstone_wire' });
+      world.setBlock(1, 1, 0, { type: 'redstone_comparator', state: { facing: 'east', mode } });
+      // Side: redstone block -> 5 wires (power 11 at the comparator)
+      world.setBlock(1, 1, 6, { type: 'redstone_block' });
+      for (let z = 1; z <= 5; z++) {
+        world.blocks.set(`1,0,${z}`, { type: 'stone' });
+        world.setBlock(1, 1, z, { type: 'redstone_wire' });
+      }
+      world.run(2);
+    }
+
+    it('should pass the rear signal when it is at least the side signal', () => {
+      buildComparator('compare');
+      assert.strictEqual(redstone.getState({ x: 1, y: 1, z: 0 }).output, 14);
+    });
+
+    it('should subtract the side signal in subtract mode', () => {
+      buildComparator('subtract');
+      assert.strictEqual(redstone.getState({ x: 1, y: 1, z: 0 }).output, 3);
+    });
+
+    it('should read container contents', () => {
+      world.setBlock(0, 1, 0, { type: 'crafter', getComparatorOutput: () => 9, setPowered: jest.fn() });
+      world.setBlock(1, 1, 0, { type: 'redstone_comparator', state: { facing: 'east' } });
+      world.run(2);
+      assert.strictEqual(redstone.getState({ x: 1, y: 1, z: 0 }).output, 9);
+    });
+  });
+
+  describe('scheduled ticks', () => {
+    it('should order ticks by time, then priority, then insertion', () => {
+      redstone.schedule({ x: 0, y: 0, z: 0 }, 4, 0);
+      redstone.schedule({ x: 1, y: 0, z: 0 }, 2, 0);
+      redstone.schedule({ x: 2, y: 0, z: 0 }, 2, -3);
+      redstone.schedule({ x: 3, y: 0, z: 0 }, 2, 0);
+
+      const order = redstone.scheduledTicks.map(entry => entry.key);
+      assert.deepStrictEqual(order, ['2,0,0', '1,0,0', '3,0,0', '0,0,0']);
+      assert.strictEqual(redstone.schedule({ x: 1, y: 0, z: 0 }, 1, 0), false);
+    });
+
+    it('should invert a torch after one redstone tick', () => {
+      world.setBlock(1, 1, 0, { type: 'stone' });
+      world.setBlock(2, 1, 0, { type: 'redstone_wall_torch', state: { facing: 'east' } });
+      world.setBlock(3, 1, 0, { type: 'redstone_wire' });
+      assert.strictEqual(redstone.getPowerAt(3, 1, 0), 15);
+
+      // Lever on the side of the block holding the torch
+      world.setBlock(0, 1, 0, { type: 'lever', state: { attached: 'east' } });
+      redstone.setLever({ x: 0, y: 1, z: 0 }, true);
+      world.run(1);
+      assert.strictEqual(redstone.getPowerAt(3, 1, 0), 15);
+      world.run(1);
+      assert.strictEqual(redstone.getPowerAt(3, 1, 0), 0);
+    });
+  });
+
+  describe('sources and sinks', () => {
+    it('should drive sinks through setPowered', () => {
+      const crafter = { type: 'crafter', setPowered: jest.fn() };
+      world.setBlock(2, 1, 0, crafter);
+      world.setBlock(1, 1, 0, { type: 'stone_button', state: { attached: 'down' } });
+
+      redstone.pressButton({ x: 1, y: 1, z: 0 });
+      assert.deepStrictEqual(Array.from(crafter.setPowered.mock.calls, call => call[0]), [true]);
+
+      world.run(20);
+      assert.deepStrictEqual(Array.from(crafter.setPowered.mock.calls, call => call[0]), [true, false]);
+    });
+
+    it('should treat sculk sensors as sources', () => {
+      const sensor = new SculkSensorBlock();
+      Object.assign(sensor, { world, x: 0, y: 1, z: 0, redstonePower: 6 });
+      world.setBlock(0, 1, 0, sensor);
+      world.setBlock(1, 1, 0, { type: 'redstone_wire' });
+
+      sensor.activate(0);
+      assert.strictEqual(redstone.getPowerAt(1, 1, 0), 6);
+    });
+
+    it('should turn observer detections into pulses', () => {
+      const observerManager = new ObserverManager();
+      redstone.setObserverManager(observerManager);
+
+      const observer = observerManager.createObserver({ x: 1, y: 1, z: 0 });
+      observer.facing = 'west';
+      world.setBlock(2, 1, 0, { type: 'redstone_wire' });
+
+      observerManager.updateBlockState({ position: { x: 0, y: 1, z: 0 }, type: 'stone', state: {} });
+      assert.strictEqual(observerManager.checkDetection(observer), true);
+      assert.strictEqual(redstone.getPowerAt(2, 1, 0), 15);
+
+      world.run(2);
+      assert.strictEqual(redstone.getPowerAt(2, 1, 0), 0);
+    });
+  });
+});
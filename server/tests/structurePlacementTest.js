@@ -0,0 +1,309 @@
+const assert = require('assert');
+const StructurePlacementManager = require('../world/structurePlacementManager');
+const StructureGenerator = require('../utils/structureGenerator');
+const StructureMapItem = require('../items/structureMapItem');
+const ExplorerCompassItem = require('../items/explorerCompassItem');
+
+// Generator whose structures are a row of blocks `length` long running east
+function createGenerator(length = 3) {
+  const calls = [];
+  return {
+    calls,
+    generateStructure(type, position, options, blockSetter) {
+      calls.push({ type, position });
+      for (let dx = 0; dx < length; dx++) {
+        blockSetter(`${position.x + dx},${position.y},${position.z}`, { type: 'stone_bricks' });
+      }
+      return { type, position };
+    }
+  };
+}
+
+function createManager(options = {}) {
+  return new StructurePlacementManager({
+    seed: 1234,
+    structureGenerator: createGenerator(options.length),
+    getBiomeAt: options.getBiomeAt || (() => ({ id: 'plains' })),
+    getSurfaceHeight: () => 64,
+    placements: options.placements || {
+      village: { spacing: 10, separation: 4, salt: 1, biomes: ['plains'] }
+    }
+  });
+}
+
+// Start chunks of a structure in the regions around the origin
+function findStarts(manager, type, regions = 4) {
+  const spacing = manager.getPlacement(type).spacing;
+  const starts = [];
+  for (let regionX = -regions; regionX < regions; regionX++) {
+    for (let regionZ = -regions; regionZ < regions; regionZ++) {
+      const start = manager.getPotentialStartChunk(type, regionX * spacing, regionZ * spacing);
+      if (start && manager.isStartChunk(type, start.chunkX, start.chunkZ)) starts.push(start);
+    }
+  }
+  return starts;
+}
+
+describe('Structure placement', () => {
+  describe('random spread', () => {
+    it('should pick the same start chunks for the same seed and salt', () => {
+      const first = findStarts(createManager(), 'village');
+      const second = findStarts(createManager(), 'village');
+
+      assert.ok(first.length > 0);
+      assert.deepStrictEqual(first, second);
+    });
+
+    it('should place one start per region, keeping the separation to the next region', () => {
+      const manager = createManager();
+      const starts = findStarts(manager, 'village');
+
+      assert.strictEqual(starts.length, 64);
+      for (const start of starts) {
+        assert.ok(((start.chunkX % 10) + 10) % 10 < 6, 'start leaves separation chunks free in x');
+        assert.ok(((start.chunkZ % 10) + 10) % 10 < 6, 'start leaves separation chunks free in z');
+      }
+      for (const a of starts) {
+        for (const b of starts) {
+          if (a === b) continue;
+          assert.ok(Math.max(Math.abs(a.chunkX - b.chunkX), Math.abs(a.chunkZ - b.chunkZ)) >= 5);
+        }
+      }
+    });
+
+    it('should move starts when the salt changes', () => {
+      const manager = createManager({
+        placements: {
+          village: { spacing: 10, separation: 4, salt: 1 },
+          ruin: { spacing: 10, separation: 4, salt: 2 }
+        }
+      });
+
+      assert.notDeepStrictEqual(findStarts(manager, 'village'), findStarts(manager, 'ruin'));
+    });
+
+    it('should only start in the structure\'s biomes', () => {
+      const manager = createManager({ getBiomeAt: x => ({ id: x < 0 ? 'desert' : 'plains' }) });
+      const starts = findStarts(manager, 'village');
+
+      assert.ok(starts.length > 0);
+      assert.ok(starts.every(start => start.chunkX >= 0));
+    });
+
+    it('should reject a spacing not larger than the separation', () => {
+      assert.throws(() => createManager({ placements: { village: { spacing: 4, separation: 4 } } }), /spacing/);
+    });
+  });
+
+  describe('concentric rings', () => {
+    it('should place the given number of starts in rings away from the origin', () => {
+      const manager = createManager({
+        placements: { stronghold: { type: 'concentric_rings', distance: 32, spread: 3, count: 12 } }
+      });
+      const rings = manager.getRingPositions('stronghold');
+
+      assert.strictEqual(rings.length, 12);
+      for (const chunk of rings) {
+        assert.ok(Math.hypot(chunk.chunkX, chunk.chunkZ) > 32 * 2, 'no start near spawn');
+        assert.ok(manager.isStartChunk('stronghold', chunk.chunkX, chunk.chunkZ));
+      }
+    });
+  });
+
+  describe('chunk generation', () => {
+    it('should record a start with its bounding box', () => {
+      const manager = createManager();
+      const [chunk] = findStarts(manager, 'village');
+      const start = manager.getStart('village', chunk.chunkX, chunk.chunkZ);
+
+      assert.deepStrictEqual(start.position, { x: chunk.chunkX * 16 + 8, y: 64, z: chunk.chunkZ * 16 + 8 });
+      assert.deepStrictEqual(start.boundingBox.min, start.position);
+      assert.deepStrictEqual(start.boundingBox.max, { ...start.position, x: start.position.x + 2 });
+    });
+
+    it('should give each chunk only its part of a structure crossing the border', () => {
+      const manager = createManager({ length: 12 });
+      const [chunk] = findStarts(manager, 'village');
+
+      const own = {};
+      manager.generateChunk(chunk.chunkX, chunk.chunkZ, (posKey, block) => { own[posKey] = block; });
+      const east = {};
+      manager.generateChunk(chunk.chunkX + 1, chunk.chunkZ, (posKey, block) => { east[posKey] = block; });
+
+      assert.strictEqual(Object.keys(own).length, 8);
+      assert.strictEqual(Object.keys(east).length, 4);
+      for (const posKey of Object.keys(east)) {
+        assert.strictEqual(Math.floor(Number(posKey.split(',')[0]) / 16), chunk.chunkX + 1);
+      }
+      const builds = manager.structureGenerator.calls
+        .filter(call => call.position.x === chunk.chunkX * 16 + 8 && call.position.z === chunk.chunkZ * 16 + 8);
+      assert.strictEqual(builds.length, 1, 'built once for both chunks');
+      assert.strictEqual(manager.starts.get(`village:${chunk.chunkX},${chunk.chunkZ}`).blocks, null);
+    });
+
+    it('should place the part of a chunk generated again', () => {
+      const manager = createManager({ length: 12 });
+      const [chunk] = findStarts(manager, 'village');
+      manager.generateChunk(chunk.chunkX, chunk.chunkZ, () => {});
+
+      const again = {};
+      manager.generateChunk(chunk.chunkX, chunk.chunkZ, (posKey, block) => { again[posKey] = block; });
+
+      assert.strictEqual(Object.keys(again).length, 8);
+    });
+
+    it('should not start a structure whose generator builds nothing', () => {
+      const manager = createManager();
+      manager.structureGenerator.generateStructure = () => null;
+      const [chunk] = findStarts(manager, 'village');
+
+      assert.strictEqual(manager.getStart('village', chunk.chunkX, chunk.chunkZ), null);
+      assert.strictEqual(manager.isStartChunk('village', chunk.chunkX, chunk.chunkZ), false);
+    });
+
+    it('should treat a start whose generator throws as failed and keep generating the chunk', () => {
+      const manager = createManager({
+        placements: {
+          village: { spacing: 10, separation: 4, salt: 1 },
+          ruin: { spacing: 10, separation: 4, salt: 1 }
+        }
+      });
+      const generator = manager.structureGenerator;
+      const build = generator.generateStructure;
+      generator.generateStructure = (type, ...args) => {
+        if (type === 'village') throw new Error('broken generator');
+        return build(type, ...args);
+      };
+      const [chunk] = findStarts(manager, 'village');
+
+      const blocks = {};
+      const error = console.error;
+      console.error = () => {};
+      try {
+        manager.generateChunk(chunk.chunkX, chunk.chunkZ, (posKey, block) => { blocks[posKey] = block; });
+      } finally {
+        console.error = error;
+      }
+
+      assert.strictEqual(manager.isStartChunk('village', chunk.chunkX, chunk.chunkZ), false);
+      assert.ok(manager.getStart('ruin', chunk.chunkX, chunk.chunkZ));
+      assert.strictEqual(Object.keys(blocks).length, 3);
+    });
+
+    it('should generate every default structure type through chunk generation', () => {
+      const log = console.log;
+      console.log = () => {};
+      try {
+        for (const [type, placement] of Object.entries(StructurePlacementManager.DEFAULT_PLACEMENTS)) {
+          const biome = placement.biomes ? placement.biomes[0] : 'plains';
+          const manager = new StructurePlacementManager({
+            seed: 7,
+            structureGenerator: new StructureGenerator({ seed: 7 }),
+            placements: { [type]: placement },
+            getBiomeAt: () => ({ id: biome }),
+            getSurfaceHeight: () => 64
+          });
+          const found = manager.locate(type, { x: 0, z: 0 }, 10000);
+          assert.ok(found, `${type} has a start`);
+
+          const blocks = {};
+          manager.generateChunk(found.chunkX, found.chunkZ, (posKey, block) => { blocks[posKey] = block; });
+
+          assert.ok(Object.keys(blocks).length > 0, `${type} placed blocks`);
+          assert.ok(manager.getStart(type, found.chunkX, found.chunkZ).boundingBox, `${type} has a bounding box`);
+        }
+      } finally {
+        console.log = log;
+      }
+    });
+
+    it('should build the default structures with the structure generator', () => {
+      const manager = new StructurePlacementManager({
+        seed: 99,
+        structureGenerator: new StructureGenerator({ seed: 99 }),
+        getBiomeAt: () => ({ id: 'desert' }),
+        getSurfaceHeight: () => 64
+      });
+      const pyramid = manager.locate('desert_pyramid', { x: 0, z: 0 }, 2000);
+
+      const blocks = {};
+      manager.generateChunk(pyramid.chunkX, pyramid.chunkZ, (posKey, block) => { blocks[posKey] = block; });
+
+      assert.ok(Object.values(blocks).some(block => block.type === 'sandstone'));
+      assert.ok(manager.getStarts().some(start => start.type === 'desert_pyramid' && start.boundingBox));
+    });
+  });
+
+  describe('locate', () => {
+    it('should find the closest start within the radius without building it', () => {
+      const manager = createManager();
+      const found = manager.locate('village', { x: 0, z: 0 }, 1000);
+      const closest = findStarts(manager, 'village')
+        .map(chunk => Math.hypot(chunk.chunkX * 16 + 8, chunk.chunkZ * 16 + 8))
+        .sort((a, b) => a - b)[0];
+
+      assert.strictEqual(Math.hypot(found.position.x, found.position.z), closest);
+      assert.strictEqual(found.boundingBox, null);
+      assert.strictEqual(manager.structureGenerator.calls.length, 0);
+    });
+
+    it('should find nothing outside the radius or for unknown types', () => {
+      const manager = createManager({ getBiomeAt: () => ({ id: 'ocean' }) });
+
+      assert.strictEqual(manager.locate('village', { x: 0, z: 0 }, 5000), null);
+      assert.strictEqual(manager.locate('fortress', { x: 0, z: 0 }, 5000), null);
+    });
+
+    it('should list structures in range closest first, leaving out rare ones when asked', () => {
+      const manager = createManager({
+        placements: {
+          village: { spacing: 10, separation: 4, salt: 1 },
+          monument: { spacing: 10, separation: 4, salt: 2, rare: true }
+        }
+      });
+      const all = manager.getStructuresInRange({ x: 0, z: 0 }, 400);
+      const common = manager.getStructuresInRange({ x: 0, z: 0 }, 400, false);
+
+      assert.ok(all.some(structure => structure.type === 'monument'));
+      assert.ok(common.length > 0 && common.every(structure => structure.type === 'village'));
+      const distances = all.map(structure => Math.hypot(structure.position.x, structure.position.z));
+      assert.deepStrictEqual(distances, [...distances].sort((a, b) => a - b));
+    });
+
+    it('should point an explorer compass and a structure map at the located structure', () => {
+      const manager = createManager();
+      const world = {
+        findNearestStructure: (type, position, radius) => manager.locate(type, position, radius)
+      };
+      const player = { position: { x: 0, y: 64, z: 0 }, dimension: 'overworld' };
+      const nearest = manager.locate('village', player.position, 2000);
+
+      const compass = new ExplorerCompassItem();
+      compass.setTargetType('structure', 'village');
+      compass.findStructureTarget(player, world);
+      assert.strictEqual(compass.targetLocation.x, nearest.position.x);
+      assert.strictEqual(compass.targetLocation.z, nearest.position.z);
+
+      const map = new StructureMapItem();
+      assert.strictEqual(map.setTargetStructure('village', player, world), true);
+      assert.strictEqual(map.locationMarkers[0].position.x, nearest.position.x);
+    });
+  });
+
+  describe('saving', () => {
+    it('should restore starts and rebuild their blocks for chunks generated later', () => {
+      const manager = createManager({ length: 12 });
+      const [chunk] = findStarts(manager, 'village');
+      manager.generateChunk(chunk.chunkX, chunk.chunkZ, () => {});
+      const saved = JSON.parse(JSON.stringify(manager.serialize()));
+
+      const loaded = createManager({ length: 12 });
+      loaded.deserialize(saved);
+      assert.deepStrictEqual(loaded.getStarts(), manager.getStarts());
+
+      const east = {};
+      loaded.generateChunk(chunk.chunkX + 1, chunk.chunkZ, (posKey, block) => { east[posKey] = block; });
+      assert.strictEqual(Object.keys(east).length, 4);
+    });
+  });
+});
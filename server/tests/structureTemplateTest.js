@@ -0,0 +1,299 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StructureTemplate = require('../utils/structures/structureTemplate');
+const JigsawAssembler = require('../utils/structures/jigsawAssembler');
+const { StructureTemplateManager } = require('../utils/structures/structureTemplateManager');
+const { createProcessors } = require('../utils/structures/structureProcessors');
+const CommandDispatcher = require('../commands/commandDispatcher');
+const PermissionManager = require('../commands/permissionManager');
+
+// Block world stored in a map, with the (x, y, z, block) accessors templates use
+function createWorld() {
+  const blocks = new Map();
+  return {
+    blocks,
+    getBlock: (x, y, z) => blocks.get(`${x},${y},${z}`) || null,
+    setBlock: (x, y, z, block) => (block ? blocks.set(`${x},${y},${z}`, block) : blocks.delete(`${x},${y},${z}`))
+  };
+}
+
+function jigsaw(facing, metadata) {
+  return { type: 'jigsaw', facing, metadata };
+}
+
+describe('Structure templates', () => {
+  let world;
+
+  beforeEach(() => {
+    world = createWorld();
+  });
+
+  describe('capture', () => {
+    it('should share block states and keep block entity data per block', () => {
+      world.setBlock(0, 0, 0, { type: 'stone' });
+      world.setBlock(1, 0, 0, { type: 'stone' });
+      world.setBlock(0, 1, 0, { type: 'chest', facing: 'north', metadata: { loot: 'dungeon' } });
+      world.setBlock(1, 1, 0, { type: 'structure_void' });
+
+      const template = StructureTemplate.capture(world.getBlock, { x: 1, y: 1, z: 0 }, { x: 0, y: 0, z: 0 });
+
+      assert.deepStrictEqual(template.size, { x: 2, y: 2, z: 1 });
+      assert.deepStrictEqual(template.palette, [{ type: 'stone' }, { type: 'chest', facing: 'north' }]);
+      assert.strictEqual(template.blocks.length, 3, 'the structure void should be left out');
+      assert.deepStrictEqual(template.getBlock({ x: 0, y: 1, z: 0 }),
+        { type: 'chest', facing: 'north', metadata: { loot: 'dungeon' } });
+    });
+
+    it('should survive a round trip through its file format', () => {
+      world.setBlock(5, 5, 5, { type: 'oak_log', axis: 'x' });
+      world.setBlock(6, 5, 5, { type: 'barrel', metadata: { items: ['bread'] } });
+      const template = StructureTemplate.capture(world.getBlock, { x: 5, y: 5, z: 5 }, { x: 6, y: 6, z: 5 });
+
+      const loaded = StructureTemplate.fromJSON(JSON.parse(JSON.stringify(template)));
+
+      assert.deepStrictEqual(loaded, template);
+      assert.throws(() => StructureTemplate.fromJSON({ size: [1, 1, 1], palette: [{ type: 'stone' }],
+        blocks: [{ pos: [1, 0, 0], state: 0 }] }), /outside the template/);
+    });
+  });
+
+  describe('placement', () => {
+    let template;
+
+    beforeEach(() => {
+      // An L of stone with stairs facing north at its end
+      world.setBlock(0, 0, 0, { type: 'stone' });
+      world.setBlock(1, 0, 0, { type: 'stone' });
+      world.setBlock(2, 0, 0, { type: 'stone_stairs', facing: 'north', shape: 'outer_left' });
+      world.setBlock(0, 0, 1, { type: 'oak_log', axis: 'x' });
+      template = StructureTemplate.capture(world.getBlock, { x: 0, y: 0, z: 0 }, { x: 2, y: 0, z: 1 },
+        { includeAir: false });
+    });
+
+    it('should turn blocks and their facing about the origin', () => {
+      const target = createWorld();
+      template.place(target.setBlock, { position: { x: 10, y: 0, z: 10 }, rotation: 90 });
+
+      assert.deepStrictEqual(target.getBlock(10, 0, 12), { type: 'stone_stairs', facing: 'east', shape: 'outer_left' });
+      assert.deepStrictEqual(target.getBlock(9, 0, 10), { type: 'oak_log', axis: 'z' });
+      assert.deepStrictEqual(template.getBoundingBox({ position: { x: 10, y: 0, z: 10 }, rotation: 90 }),
+        { min: { x: 9, y: 0, z: 10 }, max: { x: 10, y: 0, z: 12 } });
+    });
+
+    it('should mirror blocks and the handedness of their shapes', () => {
+      const target = createWorld();
+      template.place(target.setBlock, { position: { x: 0, y: 0, z: 0 }, mirror: 'front_back' });
+
+      assert.deepStrictEqual(target.getBlock(-2, 0, 0), { type: 'stone_stairs', facing: 'north', shape: 'outer_right' });
+      assert.deepStrictEqual(target.getBlock(0, 0, 1), { type: 'oak_log', axis: 'x' });
+      assert.strictEqual(StructureTemplate.transformFacing('east', 0, 'front_back'), 'west');
+      assert.strictEqual(StructureTemplate.transformFacing('east', 0, 'left_right'), 'east');
+    });
+
+    it('should leave blocks out by integrity, the same way for the same seed', () => {
+      const large = new StructureTemplate({
+        size: { x: 10, y: 1, z: 10 },
+        palette: [{ type: 'stone' }],
+        blocks: Array.from({ length: 100 }, (_, i) => ({ pos: { x: i % 10, y: 0, z: Math.floor(i / 10) }, state: 0 }))
+      });
+
+      const first = large.place(() => {}, { integrity: 0.5, seed: 42 });
+      const second = large.place(() => {}, { integrity: 0.5, seed: 42 });
+
+      assert.strictEqual(first, second);
+      assert.ok(first > 25 && first < 75, `expected about half the blocks, placed ${first}`);
+      assert.strictEqual(large.place(() => {}, { integrity: 0 }), 0);
+    });
+
+    it('should clear captured air and leave voids alone', () => {
+      world.blocks.clear();
+      world.setBlock(0, 0, 0, { type: 'stone' });
+      const withAir = StructureTemplate.capture(world.getBlock, { x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 });
+      const withoutAir = StructureTemplate.capture(world.getBlock, { x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 },
+        { includeAir: false });
+
+      const target = createWorld();
+      target.setBlock(1, 0, 0, { type: 'dirt' });
+      withoutAir.place(target.setBlock, { position: { x: 0, y: 0, z: 0 } });
+      assert.deepStrictEqual(target.getBlock(1, 0, 0), { type: 'dirt' });
+
+      withAir.place(target.setBlock, { position: { x: 0, y: 0, z: 0 } });
+      assert.strictEqual(target.getBlock(1, 0, 0), null);
+    });
+  });
+
+  describe('processors', () => {
+    function processBlock(processors, block, seed = 1) {
+      const template = new StructureTemplate({ size: { x: 1, y: 1, z: 1 }, palette: [block], blocks: [{ pos: { x: 0, y: 0, z: 0 }, state: 0 }] });
+      const target = createWorld();
+      template.place(target.setBlock, { processors: createProcessors(processors), seed });
+      return target.getBlock(0, 0, 0);
+    }
+
+    it('should replace blocks by rule, keeping their state for bare ids', () => {
+      const rules = [{ type: 'rule', rules: [
+        { input: 'oak_planks', output: 'spruce_planks' },
+        { input: 'oak_stairs', output: 'spruce_stairs' }
+      ] }];
+
+      assert.deepStrictEqual(processBlock(rules, { type: 'oak_planks' }), { type: 'spruce_planks' });
+      assert.deepStrictEqual(processBlock(rules, { type: 'oak_stairs', facing: 'west' }), { type: 'spruce_stairs', facing: 'west' });
+      assert.deepStrictEqual(processBlock(rules, { type: 'stone' }), { type: 'stone' });
+    });
+
+    it('should mossify and age masonry', () => {
+      assert.deepStrictEqual(processBlock([{ type: 'mossify', probability: 1 }], { type: 'cobblestone' }),
+        { type: 'mossy_cobblestone' });
+
+      const aged = new Set();
+      for (let seed = 0; seed < 50; seed++) {
+        aged.add(processBlock([{ type: 'block_age', mossiness: 0.5 }], { type: 'stone_bricks' }, seed).type);
+      }
+      assert.deepStrictEqual(Array.from(aged).sort(), ['cracked_stone_bricks', 'mossy_stone_bricks', 'stone_bricks']);
+    });
+  });
+
+  describe('jigsaw assembly', () => {
+    let templates;
+
+    beforeEach(() => {
+      templates = new StructureTemplateManager();
+
+      // A street five long with connectors at both ends, and a cap to end one
+      const street = createWorld();
+      for (let x = 0; x < 5; x++) {
+        for (let z = 0; z < 3; z++) street.setBlock(x, 0, z, { type: 'gravel' });
+      }
+      const connector = { pool: 'streets', name: 'street', target: 'street', finalState: 'gravel' };
+      street.setBlock(0, 0, 1, jigsaw('west', connector));
+      street.setBlock(4, 0, 1, jigsaw('east', connector));
+      templates.registerTemplate('street', StructureTemplate.capture(street.getBlock, { x: 0, y: 0, z: 0 }, { x: 4, y: 0, z: 2 }));
+
+      const end = createWorld();
+      end.setBlock(0, 0, 0, { type: 'cobblestone' });
+      end.setBlock(0, 0, 1, jigsaw('west', { pool: 'empty', name: 'street', target: 'street', finalState: 'cobblestone' }));
+      end.setBlock(0, 0, 2, { type: 'cobblestone' });
+      templates.registerTemplate('street_end', StructureTemplate.capture(end.getBlock, { x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 2 }));
+
+      templates.registerPool('streets', { fallback: 'street_ends', elements: [{ location: 'street' }] });
+      templates.registerPool('street_ends', { elements: [{ location: 'street_end' }] });
+    });
+
+    it('should join pieces at their connectors and cap them at the depth limit', () => {
+      const assembler = new JigsawAssembler({ templates, maxDepth: 2 });
+      const assembly = assembler.generate('streets', { x: 0, y: 0, z: 0 }, world.setBlock, { seed: 7, rotation: 0 });
+
+      assert.deepStrictEqual(assembly.pieces.map(piece => piece.location).sort(),
+        ['street', 'street', 'street', 'street_end', 'street_end']);
+      assert.deepStrictEqual(assembly.boundingBox, { min: { x: -6, y: 0, z: 0 }, max: { x: 10, y: 0, z: 2 } });
+      assert.strictEqual(world.getBlock(10, 0, 1).type, 'cobblestone');
+      assert.strictEqual(world.getBlock(5, 0, 1).type, 'gravel');
+      assert.ok(Array.from(world.blocks.values()).every(block => block.type !== 'jigsaw'));
+    });
+
+    it('should plan the same structure for the same seed', () => {
+      const assembler = new JigsawAssembler({ templates });
+      const plan = seed => assembler.assemble('streets', { x: 0, y: 0, z: 0 }, { seed }).pieces
+        .map(piece => [piece.location, piece.placement]);
+
+      assert.deepStrictEqual(plan(3), plan(3));
+    });
+
+    it('should keep pieces within the distance limit', () => {
+      const assembler = new JigsawAssembler({ templates, maxDepth: 10, maxDistance: 12 });
+      const { boundingBox } = assembler.assemble('streets', { x: 0, y: 0, z: 0 }, { seed: 1, rotation: 0 });
+
+      assert.ok(boundingBox.min.x >= -12 && boundingBox.max.x <= 12);
+    });
+  });
+
+  describe('template files', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'structures-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should load templates and pools from packs and save new ones to the generated directory', () => {
+      const pack = path.join(directory, 'pack');
+      fs.mkdirSync(path.join(pack, 'structures', 'ruins'), { recursive: true });
+      fs.mkdirSync(path.join(pack, 'template_pools'), { recursive: true });
+      fs.writeFileSync(path.join(pack, 'structures', 'ruins', 'pillar.json'),
+        JSON.stringify({ size: [1, 2, 1], palette: [{ type: 'stone_bricks' }], blocks: [{ pos: [0, 0, 0], state: 0 }, { pos: [0, 1, 0], state: 0 }] }));
+      fs.writeFileSync(path.join(pack, 'template_pools', 'ruins.json'),
+        JSON.stringify({ elements: [{ location: 'ruins/pillar', processors: [{ type: 'block_age', mossiness: 0.2 }] }, { location: 'ruins/missing' }] }));
+      const generated = path.join(directory, 'generated');
+      const templates = new StructureTemplateManager({ directories: [pack], generatedDirectory: generated });
+
+      const result = templates.load();
+
+      assert.strictEqual(result.count, 1);
+      assert.deepStrictEqual(result.errors.map(error => error.message), ['Unknown structure template "ruins/missing"']);
+      assert.strictEqual(templates.getPool('ruins').elements.length, 1);
+
+      templates.saveTemplate('ruins/copy', templates.getTemplate('ruins/pillar'));
+      assert.ok(fs.existsSync(path.join(generated, 'structures', 'ruins', 'copy.json')));
+      templates.reload();
+      assert.deepStrictEqual(templates.getTemplateIds(), ['ruins/copy', 'ruins/pillar']);
+
+      assert.throws(() => templates.saveTemplate('../escape', templates.getTemplate('ruins/pillar')), /Invalid/);
+    });
+  });
+
+  describe('/structure', () => {
+    let directory;
+    let dispatcher;
+    let steve;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'structure-command-'));
+      const opsFile = path.join(directory, 'ops.json');
+      fs.writeFileSync(opsFile, JSON.stringify([{ name: 'Steve', level: 4 }]));
+      steve = { id: 's1', name: 'Steve', position: { x: 0.5, y: 1, z: 0.5 }, inventory: {} };
+
+      dispatcher = new CommandDispatcher({
+        permissions: new PermissionManager({ file: opsFile }),
+        server: {
+          getPlayers: () => [steve],
+          getEntities: () => [],
+          getBlock: world.getBlock,
+          setBlock: world.setBlock,
+          structureTemplates: new StructureTemplateManager({ generatedDirectory: path.join(directory, 'generated') })
+        }
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    function run(input) {
+      return dispatcher.execute(CommandDispatcher.playerSource(steve), input);
+    }
+
+    it('should save a region and place it turned elsewhere', () => {
+      world.setBlock(0, 0, 0, { type: 'stone' });
+      world.setBlock(1, 0, 0, { type: 'furnace', facing: 'south' });
+
+      assert.deepStrictEqual(run('/structure save kiln 0 0 0 1 0 0'),
+        { success: true, message: "Saved structure 'kiln' (2x1x1, 2 blocks)" });
+      assert.deepStrictEqual(run('/structure load kiln 20 0 20 clockwise_90'),
+        { success: true, message: "Placed structure 'kiln' at 20, 0, 20 (2 blocks)" });
+
+      assert.deepStrictEqual(world.getBlock(20, 0, 21), { type: 'furnace', facing: 'west' });
+      assert.strictEqual(run('/structure list').message, 'Structure templates: kiln');
+    });
+
+    it('should refuse unknown templates and oversized regions', () => {
+      assert.deepStrictEqual(run('/structure load nothing 0 0 0'),
+        { success: false, error: "Unknown structure template 'nothing'" });
+      assert.strictEqual(run('/structure save big 0 0 0 48 0 0').success, false);
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TagRegistry, getBlockTags, getItemTags } = require('../registry/tagRegistry');
+const { BlockRegistry } = require('../blocks/blockRegistry');
+const itemRegistry = require('../items/itemRegistry');
+const { ToolItem } = require('../items/toolItem');
+const PistonManager = require('../systems/pistonManager');
+const SculkCatalystBlock = require('../blocks/sculkCatalystBlock');
+const { Piglin } = require('../mobs/netherMobs');
+const { testCondition } = require('../loot/lootConditions');
+const { createLootContext } = require('../loot/lootContext');
+
+describe('Block and item tags', () => {
+  let root;
+  let builtin;
+  let datapacks;
+  let consoleError;
+
+  function write(directory, file, data) {
+    const target = path.join(directory, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, typeof data === 'string' ? data : JSON.stringify(data));
+  }
+
+  function createRegistry(kind = 'blocks') {
+    const registry = new TagRegistry({ kind, directories: [builtin], datapacksDirectory: datapacks });
+    registry.load();
+    return registry;
+  }
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'tags-'));
+    builtin = path.join(root, 'data');
+    datapacks = path.join(root, 'datapacks');
+
+    write(builtin, 'tags/blocks/oak_logs.json', { values: ['oak_log', 'oak_wood'] });
+    write(builtin, 'tags/blocks/logs.json', { values: ['#oak_logs', 'birch_log'] });
+    write(builtin, 'tags/blocks/mineable/axe.json', { values: ['#logs', 'crafting_table'] });
+    write(builtin, 'tags/items/wool.json', { values: ['white_wool', 'red_wool'] });
+
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('loading', () => {
+    it('should resolve nested tags and keep subfolders in tag names', () => {
+      const tags = createRegistry();
+
+      assert.deepStrictEqual(tags.getValues('logs').sort(), ['birch_log', 'oak_log', 'oak_wood']);
+      assert.deepStrictEqual(tags.getValues('#mineable/axe').sort(), ['birch_log', 'crafting_table', 'oak_log', 'oak_wood']);
+      assert.deepStrictEqual(tags.getTagNames(), ['logs', 'mineable/axe', 'oak_logs']);
+      assert.deepStrictEqual(tags.errors, []);
+    });
+
+    it('should only read the tags of its own kind', () => {
+      const items = createRegistry('items');
+
+      assert.deepStrictEqual(items.getTagNames(), ['wool']);
+      assert.strictEqual(items.contains('wool', 'red_wool'), true);
+    });
+
+    it('should let datapacks add to a tag or replace it', () => {
+      write(path.join(datapacks, 'a'), 'tags/blocks/logs.json', { values: ['spruce_log'] });
+      write(path.join(datapacks, 'b'), 'tags/blocks/oak_logs.json', { replace: true, values: ['stripped_oak_log'] });
+      const tags = createRegistry();
+
+      assert.deepStrictEqual(tags.getValues('logs').sort(), ['birch_log', 'spruce_log', 'stripped_oak_log']);
+    });
+
+    it('should report cycles, unknown tags and malformed files without dropping the rest', () => {
+      write(builtin, 'tags/blocks/a.json', { values: ['#b'] });
+      write(builtin, 'tags/blocks/b.json', { values: ['#a'] });
+      write(builtin, 'tags/blocks/broken_ref.json', { values: ['stone', '#missing'] });
+      write(builtin, 'tags/blocks/not_a_list.json', { values: 'stone' });
+      const tags = createRegistry();
+
+      const messages = tags.errors.map(error => error.message);
+      assert.ok(messages.includes('Tag #a includes itself through #a -> #b'));
+      assert.ok(messages.includes('Tag #broken_ref references unknown tag #missing'));
+      assert.ok(messages.includes('"values" must be an array of block ids and #tags'));
+      assert.deepStrictEqual(tags.getValues('broken_ref'), []);
+      assert.strictEqual(tags.contains('logs', 'oak_log'), true);
+      assert.strictEqual(consoleError.mock.calls.length, tags.errors.length);
+    });
+
+    it('should keep tags registered in code through reloads', () => {
+      const tags = createRegistry();
+      tags.register('#logs', ['cherry_log']);
+      assert.strictEqual(tags.contains('logs', 'cherry_log'), true);
+
+      write(builtin, 'tags/blocks/logs.json', { values: ['#oak_logs'] });
+      tags.reload();
+
+      assert.deepStrictEqual(tags.getValues('logs').sort(), ['cherry_log', 'oak_log', 'oak_wood']);
+    });
+  });
+
+  describe('queries', () => {
+    it('should accept # and minecraft: prefixes and blocks or items as entries', () => {
+      const tags = createRegistry();
+
+      assert.strictEqual(tags.contains('#minecraft:logs', 'oak_log'), true);
+      assert.strictEqual(tags.contains('logs', { id: 'birch_log' }), true);
+      assert.strictEqual(tags.contains('logs', { type: 'oak_wood' }), true);
+      assert.strictEqual(tags.contains('logs', 'stone'), false);
+      assert.strictEqual(tags.contains('unknown', 'oak_log'), false);
+      assert.strictEqual(tags.containsAny(['unknown', 'mineable/axe'], 'crafting_table'), true);
+      assert.strictEqual(tags.hasTag('#oak_logs'), true);
+    });
+
+    it('should list the tags holding an id', () => {
+      const tags = createRegistry();
+
+      assert.deepStrictEqual(tags.getTagsOf('oak_log'), ['logs', 'mineable/axe', 'oak_logs']);
+      assert.deepStrictEqual(tags.getTagsOf({ id: 'crafting_table' }), ['mineable/axe']);
+      assert.deepStrictEqual(tags.getTagsOf('stone'), []);
+    });
+
+    it('should answer tag queries through the block and item registries', () => {
+      const blocks = new BlockRegistry({ tags: createRegistry() });
+
+      assert.strictEqual(blocks.isInTag({ id: 'oak_log' }, '#logs'), true);
+      assert.deepStrictEqual(blocks.getBlockIdsInTag('oak_logs').sort(), ['oak_log', 'oak_wood']);
+      assert.deepStrictEqual(blocks.getTagsOfBlock('birch_log'), ['logs', 'mineable/axe']);
+
+      assert.strictEqual(itemRegistry.isInTag('golden_helmet', 'piglin_loved'), true);
+      assert.ok(itemRegistry.getItemIdsInTag('#wool').includes('white_wool'));
+      assert.ok(itemRegistry.getTagsOfItem('diamond_pickaxe').includes('pickaxes'));
+    });
+  });
+
+  describe('built-in tags', () => {
+    it('should load without errors', () => {
+      assert.deepStrictEqual(getBlockTags().reload().errors, []);
+      assert.deepStrictEqual(getItemTags().reload().errors, []);
+      assert.ok(getBlockTags().contains('logs', 'crimson_stem'));
+      assert.ok(getBlockTags().contains('needs_iron_tool', 'deepslate_diamond_ore'));
+    });
+
+    it('should decide tool effectiveness and harvest levels', () => {
+      const stonePickaxe = new ToolItem({ id: 'stone_pickaxe', toolType: 'pickaxe', miningLevel: 1, miningSpeed: 4 });
+      const ironAxe = new ToolItem({ id: 'iron_axe', toolType: 'axe', miningLevel: 2, miningSpeed: 6 });
+
+      assert.strictEqual(stonePickaxe.isEffectiveOn({ id: 'stone' }), true);
+      assert.strictEqual(stonePickaxe.canMine({ id: 'iron_ore' }), true);
+      assert.strictEqual(stonePickaxe.canMine({ id: 'diamond_ore' }), false);
+      assert.strictEqual(stonePickaxe.getMiningSpeedFor({ id: 'stone' }), 4);
+      assert.strictEqual(ironAxe.getMiningSpeedFor({ id: 'stone' }), 1.0);
+      assert.strictEqual(ironAxe.getMiningSpeedFor({ id: 'oak_log' }), 6);
+      assert.strictEqual(ToolItem.getRequiredMiningLevel('obsidian'), 3);
+    });
+
+    it('should drive piston push reactions', () => {
+      const pistons = new PistonManager();
+
+      assert.strictEqual(pistons.getPushReaction({ type: 'obsidian' }), 'block');
+      assert.strictEqual(pistons.getPushReaction({ type: 'oak_button' }), 'destroy');
+      assert.strictEqual(pistons.getPushReaction({ type: 'cornflower' }), 'destroy');
+      assert.strictEqual(pistons.getPushReaction({ type: 'lime_glazed_terracotta' }), 'push_only');
+      assert.strictEqual(pistons.getPushReaction({ type: 'stone' }), 'normal');
+    });
+
+    it('should let packs change piston reactions through the tags', () => {
+      write(builtin, 'tags/blocks/piston_immovable.json', { values: ['diamond_block'] });
+      const pistons = new PistonManager({ blockTags: createRegistry() });
+
+      assert.strictEqual(pistons.getPushReaction({ type: 'diamond_block' }), 'block');
+    });
+
+    it('should decide what sculk spreads over', () => {
+      const catalyst = new SculkCatalystBlock();
+
+      assert.strictEqual(catalyst.canReplace({ id: 'netherrack' }), true);
+      assert.strictEqual(catalyst.canReplace({ id: 'white_terracotta' }), true);
+      assert.strictEqual(catalyst.canReplace({ id: 'obsidian' }), false);
+    });
+
+    it('should tell piglins what they love and which armor keeps them calm', () => {
+      const piglin = new Piglin({ x: 0, y: 0, z: 0 });
+
+      assert.strictEqual(piglin.isLovedItem('golden_carrot'), true);
+      assert.strictEqual(piglin.isLovedItem({ id: 'raw_gold' }), true);
+      assert.strictEqual(piglin.isLovedItem('iron_ingot'), false);
+      assert.strictEqual(piglin.isPlayerWearingGoldArmor({ equipment: { head: { id: 'golden_helmet' } } }), true);
+      assert.strictEqual(piglin.isPlayerWearingGoldArmor({ equipment: { mainHand: { id: 'golden_sword' } } }), false);
+    });
+
+    it('should match loot tools by item tag', () => {
+      const condition = { condition: 'match_tool', predicate: { tag: 'pickaxes' } };
+
+      assert.strictEqual(testCondition(condition, createLootContext({ tool: { id: 'iron_pickaxe' } })), true);
+      assert.strictEqual(testCondition(condition, createLootContext({ tool: { id: 'iron_shovel' } })), false);
+    });
+  });
+});
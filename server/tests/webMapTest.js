@@ -0,0 +1,114 @@
+const assert = require('assert');
+const WebMapManager = require('../systems/webMapManager');
+const InterestManager = require('../world/interestManager');
+const { BASE_COLORS } = require('../rendering/mapColors');
+
+const { TILE_SIZE } = WebMapManager;
+
+// RGBA of a tile pixel
+function pixelAt(rgba, px, pz) {
+  const offset = (pz * TILE_SIZE + px) * 4;
+  return Array.from(rgba.subarray(offset, offset + 4));
+}
+
+describe('Web map', () => {
+  let blocks;
+  let interest;
+  let webMap;
+
+  beforeEach(() => {
+    blocks = {};
+    for (let x = 0; x < 32; x++) {
+      for (let z = 0; z < 32; z++) {
+        blocks[`${x},60,${z}`] = { type: 'stone' };
+        blocks[`${x},64,${z}`] = { type: x < 16 ? 'grass_block' : 'sand' };
+      }
+    }
+    interest = new InterestManager({ blocks });
+    webMap = new WebMapManager();
+    webMap.addDimension('overworld', {
+      getChunkBlocks: (chunkX, chunkZ) => interest.getChunkBlocks(chunkX, chunkZ)
+    });
+  });
+
+  afterEach(() => {
+    interest.dispose();
+  });
+
+  describe('tiles', () => {
+    it('should draw the top block of every column from chunk data', () => {
+      const rgba = webMap.renderTile('overworld', 0, 0, 0);
+
+      const grass = pixelAt(rgba, 5, 5);
+      const sand = pixelAt(rgba, 20, 5);
+      assert.strictEqual(grass[3], 255);
+      assert.ok(grass[1] > grass[0], 'grass should be green');
+      assert.ok(sand[0] > grass[0], 'sand should be lighter than grass');
+      assert.deepStrictEqual(pixelAt(rgba, 100, 100), [0, 0, 0, 0]);
+    });
+
+    it('should cover more blocks per pixel when zoomed out', () => {
+      const rgba = webMap.renderTile('overworld', 2, 0, 0);
+
+      assert.strictEqual(pixelAt(rgba, 7, 1)[3], 255);
+      assert.strictEqual(pixelAt(rgba, 8, 1)[3], 0);
+      assert.deepStrictEqual(pixelAt(rgba, 2, 2), pixelAt(webMap.renderTile('overworld', 0, 0, 0), 8, 8));
+    });
+
+    it('should read dimensions block by block under a roof', () => {
+      webMap.addDimension('nether', {
+        getBlock: (x, y) => (y === 127 ? { type: 'bedrock' } : y === 40 ? { type: 'netherrack' } : null),
+        topY: 120
+      });
+
+      const [r, g, b, a] = pixelAt(webMap.renderTile('nether', 0, 0, 0), 3, 3);
+      const [nr, ng, nb] = BASE_COLORS.find(color => color.name === 'nether').rgb;
+      assert.strictEqual(a, 255);
+      assert.ok(r <= nr && g <= ng && b <= nb && r > 0);
+    });
+
+    it('should reject unknown dimensions and zoom levels', () => {
+      assert.strictEqual(webMap.getTile('the_moon', 0, 0, 0), null);
+      assert.strictEqual(webMap.getTile('overworld', WebMapManager.MAX_ZOOM + 1, 0, 0), null);
+    });
+  });
+
+  describe('cache', () => {
+    it('should invalidate the tiles over a changed chunk', () => {
+      const invalidated = [];
+      webMap.on('tileInvalidated', tile => invalidated.push(tile));
+      webMap.tiles.set('overworld/0/0/0', { png: Buffer.alloc(0), renderedAt: 0 });
+      webMap.tiles.set('overworld/1/0/0', { png: Buffer.alloc(0), renderedAt: 0 });
+      webMap.tiles.set('overworld/0/1/0', { png: Buffer.alloc(0), renderedAt: 0 });
+      webMap.getColumn('overworld', 5, 5);
+
+      blocks['5,70,5'] = { type: 'snow_block' };
+      interest.onBlockChanged('5,70,5');
+      webMap.onBlockChanged('overworld', 5, 5);
+
+      assert.deepStrictEqual(invalidated, [
+        { dimension: 'overworld', zoom: 0, x: 0, z: 0 },
+        { dimension: 'overworld', zoom: 1, x: 0, z: 0 }
+      ]);
+      assert.ok(webMap.tiles.has('overworld/0/1/0'));
+      assert.strictEqual(webMap.getColumn('overworld', 5, 5).height, 70);
+    });
+  });
+
+  describe('markers', () => {
+    it('should list players, villages and structures', () => {
+      const markers = new WebMapManager({
+        getPlayers: () => [{ id: 'p1', username: 'Alex', position: { x: 10.7, y: 64, z: -3.2 } }],
+        getVillages: () => ({ v1: { id: 'v1', position: { x: 100, y: 64, z: 200 } } }),
+        getStructures: () => new Map([['a', { type: 'stronghold', position: { x: 1000, z: 50 } }]]).values()
+      }).getMarkers();
+
+      assert.deepStrictEqual(markers.players,
+        [{ id: 'p1', name: 'Alex', dimension: 'overworld', x: 10, y: 64, z: -4 }]);
+      assert.deepStrictEqual(markers.villages,
+        [{ id: 'v1', name: 'Village', dimension: 'overworld', x: 100, z: 200 }]);
+      assert.deepStrictEqual(markers.structures,
+        [{ type: 'stronghold', dimension: 'overworld', x: 1000, z: 50 }]);
+    });
+  });
+});
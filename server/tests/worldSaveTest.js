@@ -0,0 +1,178 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorldSave = require('../world/worldSave');
+const SaveJournal = require('../world/saveJournal');
+const BackupSystem = require('../backup/backupSystem');
+const { Chunk } = require('../world/Chunk');
+const { writeFileAtomic, removeStaleTempFiles } = require('../utils/atomicFile');
+
+describe('Incremental world saves', () => {
+  let tempDir;
+  let saveDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'craftverse-save-'));
+    saveDir = path.join(tempDir, 'world');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('atomic writes', () => {
+    it('should replace files and clean up interrupted temp files', () => {
+      const filePath = path.join(tempDir, 'level.json');
+      writeFileAtomic(filePath, 'first');
+      writeFileAtomic(filePath, 'second');
+      assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'second');
+      assert.deepStrictEqual(Array.from(fs.readdirSync(tempDir)), ['level.json']);
+
+      fs.writeFileSync(path.join(tempDir, 'level.json.1234.tmp'), 'partial');
+      assert.strictEqual(removeStaleTempFiles(tempDir), 1);
+    });
+  });
+
+  describe('SaveJournal', () => {
+    it('should stop replaying at a torn record', () => {
+      const journalPath = path.join(tempDir, 'journal.log');
+      const journal = new SaveJournal(journalPath);
+      journal.append('player', 'p1', { health: 10 });
+      journal.appendMany([
+        { type: 'player', id: 'p1', data: { health: 8 } },
+        { type: 'entity', id: 'm1', data: { type: 'zombie' } }
+      ]);
+      journal.close();
+
+      // Simulate a crash in the middle of an append
+      fs.appendFileSync(journalPath, '0123abcd {"seq":4,"type":"pla');
+
+      const { records, corrupted } = new SaveJournal(journalPath).readRecords();
+      assert.strictEqual(records.length, 3);
+      assert.strictEqual(corrupted, 1);
+      assert.deepStrictEqual(records[1].data, { health: 8 });
+    });
+  });
+
+  describe('WorldSave', () => {
+    it('should replay the journal after a crash', () => {
+      const worldSave = new WorldSave({ directory: saveDir });
+      worldSave.open();
+      worldSave.save({ players: { p1: { health: 20 } }, entities: {} });
+      worldSave.recordPlayer('p1', { health: 5 });
+      worldSave.recordState({ players: {}, entities: { m1: { type: 'cow' } } });
+      // No close(): the server crashed
+
+      const recovered = new WorldSave({ directory: saveDir });
+      const result = recovered.open();
+      assert.strictEqual(result.uncleanShutdown, true);
+      assert.strictEqual(result.replayed, 2);
+      assert.deepStrictEqual(recovered.players, { p1: { health: 5 } });
+      assert.deepStrictEqual(recovered.entities, { m1: { type: 'cow' } });
+
+      // Recovery folds the journal into a checkpoint
+      assert.strictEqual(fs.readFileSync(path.join(saveDir, 'journal.log'), 'utf8'), '');
+      recovered.close();
+
+      const reopened = new WorldSave({ directory: saveDir });
+      assert.strictEqual(reopened.open().uncleanShutdown, false);
+      reopened.close();
+      worldSave.storage.close();
+    });
+
+    it('should only write dirty chunks', () => {
+      const worldSave = new WorldSave({ directory: saveDir, minY: 0, maxY: 16 });
+      const blocks = {
+        '0,1,0': { type: 'stone' },
+        '20,1,0': { type: 'dirt' },
+        '-1,2,-1': { type: 'sand' }
+      };
+
+      const first = worldSave.save({ blocks, dirtyChunks: null });
+      assert.strictEqual(first.chunksWritten, 3);
+
+      const writeSpy = jest.spyOn(worldSave.storage, 'writeChunk');
+      blocks['21,1,0'] = { type: 'torch' };
+      const dirtyChunks = new Set([WorldSave.getChunkKeyForBlock('21,1,0')]);
+      const second = worldSave.save({ blocks, dirtyChunks });
+
+      assert.strictEqual(second.chunksWritten, 1);
+      assert.strictEqual(writeSpy.mock.calls.length, 1);
+      assert.strictEqual(dirtyChunks.size, 0);
+      assert.deepStrictEqual(worldSave.loadBlocks('overworld'), blocks);
+      worldSave.close();
+    });
+
+    it('should collect dirty chunks in one pass over the block map', () => {
+      const worldSave = new WorldSave({ directory: saveDir });
+      const blocks = new Map([
+        ['0,1,0', { type: 'stone' }],
+        ['3,-70,3', { type: 'bedrock' }],
+        ['20,1,0', { type: 'dirt' }]
+      ]);
+      worldSave.save({ blocks, dirtyChunks: null });
+
+      // Probing every position of a dirty chunk would call get() per key
+      const getSpy = jest.spyOn(blocks, 'get');
+      blocks.delete('20,1,0');
+      const second = worldSave.save({ blocks, dirtyChunks: new Set(['1,0']) });
+
+      assert.strictEqual(second.chunksWritten, 1);
+      assert.strictEqual(getSpy.mock.calls.length, 0);
+      assert.deepStrictEqual(worldSave.loadBlocks('overworld'), { '0,1,0': { type: 'stone' } });
+      worldSave.close();
+    });
+
+    it('should save cubic chunks only when they are dirty', () => {
+      const worldSave = new WorldSave({ directory: saveDir });
+      const clean = new Chunk(0, 0, 0, 16);
+      const dirty = new Chunk(1, 0, 0, 16);
+      dirty.setBlock(0, 0, 0, { type: 'stone' });
+
+      assert.strictEqual(worldSave.saveChunks({ chunks: [clean, dirty] }), 1);
+      assert.strictEqual(dirty.isDirty, false);
+      assert.strictEqual(worldSave.storage.hasChunk('overworld', 0, 0), false);
+      assert.strictEqual(worldSave.storage.hasChunk('overworld', 1, 0), true);
+      worldSave.storage.close();
+    });
+
+    it('should merge level metadata across saves', () => {
+      const worldSave = new WorldSave({ directory: saveDir, name: 'alpha' });
+      worldSave.save({ level: { seed: 42 } });
+      worldSave.save({ level: { worldTime: 1000 } });
+
+      const level = worldSave.loadLevel();
+      assert.strictEqual(level.seed, 42);
+      assert.strictEqual(level.worldTime, 1000);
+      assert.strictEqual(level.name, 'alpha');
+      worldSave.close();
+    });
+  });
+
+  describe('BackupSystem snapshots', () => {
+    it('should snapshot an open world save without its session lock', async () => {
+      const worldSave = new WorldSave({ directory: saveDir, name: 'alpha', minY: 0, maxY: 16 });
+      worldSave.save({ blocks: { '0,1,0': { type: 'stone' } }, dirtyChunks: null });
+      worldSave.recordPlayer('p1', { health: 7 });
+
+      const backupSystem = new BackupSystem({ backupDir: path.join(tempDir, 'backups') });
+      backupSystem.stopScheduler();
+      backupSystem.addWorldSave(worldSave);
+
+      const backupPath = path.join(tempDir, 'backups', 'manual');
+      await backupSystem.backupWorldSaves(backupPath);
+
+      const snapshotDir = path.join(backupPath, 'saves', 'alpha');
+      assert.strictEqual(fs.existsSync(path.join(snapshotDir, 'session.lock')), false);
+
+      const restored = new WorldSave({ directory: snapshotDir, minY: 0, maxY: 16 });
+      const result = restored.open();
+      assert.strictEqual(result.uncleanShutdown, false);
+      assert.deepStrictEqual(restored.players, { p1: { health: 7 } });
+      assert.deepStrictEqual(restored.loadBlocks('overworld'), { '0,1,0': { type: 'stone' } });
+      restored.close();
+      worldSave.close();
+    });
+  });
+});
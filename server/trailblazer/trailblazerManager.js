@@ -566,6 +566,15 @@ class TrailblazerManager {
         }
         break;
     }
+    
+    // Give the map its own map data and sketch the land from biomes, so it
+    // shows the way before the player has been there
+    const mapManager = this.gameContext.mapManager;
+    if (mapManager && mapItem.renderPreview) {
+      mapManager.bind(mapItem);
+      mapItem.renderPreview(this.gameContext.world);
+      mapManager.flush(mapItem.mapData);
+    }
   }
   
   /**
@@ -0,0 +1,97 @@
+/**
+ * Atomic file utilities for Craftverse
+ * Writes go to a temporary file that is renamed over the target, so a crash
+ * leaves either the old file or the new one, never a half-written mix.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Write a file atomically (write to temp file, fsync, rename)
+ * @param {string} filePath - Destination path
+ * @param {string|Buffer} data - File contents
+ */
+function writeFileAtomic(filePath, data) {
+  const dir = path.dirname(filePath);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, typeof data === 'string' ? Buffer.from(data, 'utf8') : data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  fs.renameSync(tempPath, filePath);
+  syncDirectory(dir);
+}
+
+/**
+ * Write a JSON file atomically
+ * @param {string} filePath - Destination path
+ * @param {*} value - Value to serialize
+ */
+function writeJsonAtomic(filePath, value) {
+  writeFileAtomic(filePath, JSON.stringify(value));
+}
+
+/**
+ * Read a JSON file, returning a fallback if it is missing
+ * @param {string} filePath - File path
+ * @param {*} fallback - Value returned when the file doesn't exist
+ * @returns {*} - Parsed value or fallback
+ */
+function readJsonFile(filePath, fallback = null) {
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Remove temp files left behind by writes interrupted by a crash
+ * @param {string} dir - Directory to clean
+ * @returns {number} - Number of files removed
+ */
+function removeStaleTempFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+
+  let removed = 0;
+  for (const file of fs.readdirSync(dir)) {
+    if (/\.\d+\.tmp$/.test(file)) {
+      fs.rmSync(path.join(dir, file), { force: true });
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Flush a directory entry so a rename survives power loss
+ * @param {string} dir - Directory path
+ */
+function syncDirectory(dir) {
+  let fd = null;
+  try {
+    fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Some platforms (Windows) can't open or fsync directories
+  } finally {
+    if (fd !== null) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeJsonAtomic,
+  readJsonFile,
+  removeStaleTempFiles
+};
@@ -0,0 +1,84 @@
+/**
+ * Datapack file utilities for Craftverse
+ * Shared by the loaders that read JSON data (recipes, loot tables) from the
+ * built-in server/data directory and the packs dropped into server/datapacks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUILTIN_DATA_DIRECTORY = path.join(__dirname, '..', 'data');
+const DATAPACKS_DIRECTORY = path.join(__dirname, '..', 'datapacks');
+
+/**
+ * Thrown for a data file that can't be used; loaders report the message
+ * against the file and keep loading the rest
+ */
+class DataFileError extends Error {}
+
+/**
+ * List the datapack directories to read, lowest priority first
+ * @param {Array<string>} directories - Directories always read, in order
+ * @param {string|null} datapacksDirectory - Directory whose subdirectories are packs, read in name order
+ * @returns {Array<string>} Datapack directories
+ */
+function getPackDirectories(directories, datapacksDirectory) {
+  const result = [...directories];
+  if (datapacksDirectory && fs.existsSync(datapacksDirectory)) {
+    const packs = fs.readdirSync(datapacksDirectory, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+    for (const pack of packs) {
+      result.push(path.join(datapacksDirectory, pack));
+    }
+  }
+  return result;
+}
+
+/**
+ * Map ids to the JSON files under a directory; the id is the path without .json
+ * @param {string} directory - Directory to walk
+ * @param {Map} files - Map to add to, so later packs replace earlier ids
+ * @param {string} prefix - Id prefix for the directory
+ * @returns {Map} The files map
+ */
+function collectJsonFiles(directory, files = new Map(), prefix = '') {
+  if (!fs.existsSync(directory)) return files;
+
+  const entries = fs.readdirSync(directory, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const file = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      collectJsonFiles(file, files, `${prefix}${entry.name}/`);
+    } else if (entry.name.endsWith('.json')) {
+      files.set(prefix + entry.name.slice(0, -'.json'.length), file);
+    }
+  }
+  return files;
+}
+
+/**
+ * Read and parse a data file
+ * @param {string} file - File path
+ * @returns {*} Parsed JSON
+ * @throws {DataFileError} When the file isn't valid JSON
+ */
+function readDataFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new DataFileError(`Invalid JSON: ${error.message}`);
+  }
+}
+
+module.exports = {
+  BUILTIN_DATA_DIRECTORY,
+  DATAPACKS_DIRECTORY,
+  DataFileError,
+  getPackDirectories,
+  collectJsonFiles,
+  readDataFile
+};
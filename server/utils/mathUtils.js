@@ -63,8 +63,44 @@ function distanceSquared(pos1, pos2) {
   return dx * dx + dy * dy + dz * dz;
 }
 
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Function returning numbers in [0, 1), like Math.random
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Mix several values (numbers or strings) into one 32-bit seed, e.g. a world
+ * seed and a block position
+ * @param {...(number|string)} values - Values to mix
+ * @returns {number} - 32-bit seed
+ */
+function hashSeed(...values) {
+  let hash = 0x811C9DC5;
+  for (const value of values) {
+    const text = String(value);
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    hash = Math.imul(hash ^ 0x2C, 0x01000193); // Separator so (1, 23) and (12, 3) differ
+  }
+  return hash >>> 0;
+}
+
 module.exports = {
   getRandomInt,
+  createSeededRandom,
+  hashSeed,
   clamp,
   lerp,
   distance,
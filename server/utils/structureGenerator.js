@@ -4,12 +4,17 @@
 const VillageGenerator = require('./villageGenerator');
 const AncientCityGenerator = require('./structures/ancientCityGenerator');
 const WindTurbineGenerator = require('./structures/windTurbineGenerator');
+const JigsawAssembler = require('./structures/jigsawAssembler');
+const StructureTemplate = require('./structures/structureTemplate');
+const { createProcessors } = require('./structures/structureProcessors');
+const { hashSeed } = require('./mathUtils');
 
 class StructureGenerator {
   /**
    * Create a new StructureGenerator
    * @param {Object} options - Configuration options
    * @param {number} options.seed - Seed for structure generation
+   * @param {Object} options.templates - StructureTemplateManager for template and jigsaw structures
    */
   constructor(options = {}) {
     this.seed = options.seed || Math.floor(Math.random() * 1000000);
@@ -21,6 +26,9 @@ class StructureGenerator {
     // Entity spawner function (to be set by server)
     this.entitySpawner = null;
     
+    // Templates and pools behind template and jigsaw structures
+    this.templates = options.templates || null;
+    
     // Register built-in structure generators
     this.registerDefaultStructures();
   }
@@ -33,6 +41,14 @@ class StructureGenerator {
     this.entitySpawner = spawner;
   }
   
+  /**
+   * Set the templates and pools that template and jigsaw structures are built from
+   * @param {Object} templates - StructureTemplateManager
+   */
+  setTemplateManager(templates) {
+    this.templates = templates;
+  }
+  
   /**
    * Register default structure generators
    * @private
@@ -101,6 +117,75 @@ class StructureGenerator {
     return generator.call(this, position, options, blockSetter);
   }
   
+  /**
+   * Register a structure placed from a saved template, turned at random
+   * @param {string} structureId - Unique ID for the structure
+   * @param {string} templateId - Template to place
+   * @param {Object} [templateOptions] - { processors, integrity } for every placement
+   * @returns {boolean} - Whether registration was successful
+   */
+  registerTemplateStructure(structureId, templateId, templateOptions = {}) {
+    const processors = createProcessors(templateOptions.processors);
+    
+    return this.registerStructure(structureId, function(position, options, blockSetter) {
+      const template = this.templates && this.templates.getTemplate(templateId);
+      if (!template) {
+        console.warn(`Unknown structure template: ${templateId}`);
+        return null;
+      }
+      
+      const seed = options.seed !== undefined ? options.seed : hashSeed(this.seed, structureId, position.x, position.y, position.z);
+      const placement = {
+        position,
+        rotation: options.rotation !== undefined ? options.rotation : StructureTemplate.ROTATIONS[seed & 3],
+        mirror: options.mirror || 'none',
+        integrity: templateOptions.integrity,
+        seed,
+        processors
+      };
+      template.place(toTemplateBlockSetter(blockSetter), placement);
+      
+      return {
+        type: structureId,
+        position,
+        size: getBoxSize(template.getBoundingBox(placement)),
+        template: templateId
+      };
+    });
+  }
+  
+  /**
+   * Register a structure assembled from template pieces joined at jigsaw connectors
+   * @param {string} structureId - Unique ID for the structure
+   * @param {string} startPool - Pool the first piece is drawn from
+   * @param {Object} [jigsawOptions] - { maxDepth, maxDistance } for JigsawAssembler
+   * @returns {boolean} - Whether registration was successful
+   */
+  registerJigsawStructure(structureId, startPool, jigsawOptions = {}) {
+    return this.registerStructure(structureId, function(position, options, blockSetter) {
+      if (!this.templates) {
+        console.warn(`No structure templates to build ${structureId} from`);
+        return null;
+      }
+      
+      const assembler = new JigsawAssembler({ templates: this.templates, ...jigsawOptions });
+      const seed = options.seed !== undefined ? options.seed : hashSeed(this.seed, structureId, position.x, position.y, position.z);
+      const assembly = assembler.generate(startPool, position, toTemplateBlockSetter(blockSetter), { seed });
+      if (!assembly) {
+        console.warn(`Unknown or empty template pool: ${startPool}`);
+        return null;
+      }
+      
+      return {
+        type: structureId,
+        position,
+        size: getBoxSize(assembly.boundingBox),
+        boundingBox: assembly.boundingBox,
+        pieces: assembly.pieces.map(piece => ({ template: piece.location, ...piece.placement }))
+      };
+    });
+  }
+  
   /**
    * Set a block in the world using the provided block setter function
    * @private
@@ -668,16 +753,32 @@ class StructureGenerator {
   generateWindTurbine(position, options, blockSetter) {
     // Initialize Wind Turbine Generator if not already created
     if (!this.windTurbineGenerator) {
-      this.windTurbineGenerator = new WindTurbineGenerator(this);
+      this.windTurbineGenerator = new WindTurbineGenerator(null);
     }
     
+    // The turbine generator places blocks through a world's setBlock({ x, y, z }, block)
+    this.windTurbineGenerator.setWorld({
+      setBlock: (pos, block) => this.setBlock(blockSetter, pos.x, pos.y, pos.z, block)
+    });
+    
     // Use the Wind Turbine Generator to create the structure
-    return this.windTurbineGenerator.generate(
-      position,
-      options,
-      blockSetter
-    );
+    return this.windTurbineGenerator.generate(position, options);
   }
 }
 
+/**
+ * Adapt a structure block setter to the (x, y, z, block) setter templates place through
+ * @private
+ */
+function toTemplateBlockSetter(blockSetter) {
+  return (x, y, z, block) => blockSetter(`${x},${y},${z}`, block || { type: 'air' });
+}
+
+/**
+ * @private
+ */
+function getBoxSize({ min, max }) {
+  return { width: max.x - min.x + 1, height: max.y - min.y + 1, depth: max.z - min.z + 1 };
+}
+
 module.exports = StructureGenerator; 
\ No newline at end of file
@@ -0,0 +1,299 @@
+/**
+ * JigsawAssembler - Builds structures such as villages, trial chambers and
+ * ancient cities out of template pieces joined at their jigsaw connectors
+ *
+ * Assembly starts with a piece from the start pool and works outwards: every
+ * open connector of a placed piece draws candidates from its pool, weighted
+ * and shuffled, and tries each candidate's connectors in every rotation. A
+ * candidate fits when one of its connectors is named like the open
+ * connector's target and faces back at it, and the piece it would place
+ * neither overlaps a piece already placed nor strays past the maximum
+ * distance from the start. Pieces as deep as the depth limit draw only from
+ * their pool's fallback, which is how streets end in a cap instead of running
+ * into nothing; below that depth connectors are left alone.
+ *
+ * Assembly only plans the pieces; place() then puts them in the world with
+ * their pool element's processors, turning connectors into their final state.
+ */
+
+const StructureTemplate = require('./structureTemplate');
+const { EMPTY_POOL } = require('./structureTemplateManager');
+const { createProcessors } = require('./structureProcessors');
+const { createSeededRandom, hashSeed } = require('../mathUtils');
+
+const DEFAULT_MAX_DEPTH = 7;
+const DEFAULT_MAX_DISTANCE = 80;
+
+const OPPOSITE_FACINGS = {
+  north: 'south',
+  south: 'north',
+  east: 'west',
+  west: 'east',
+  up: 'down',
+  down: 'up'
+};
+
+const FACING_OFFSETS = {
+  north: { x: 0, y: 0, z: -1 },
+  south: { x: 0, y: 0, z: 1 },
+  east: { x: 1, y: 0, z: 0 },
+  west: { x: -1, y: 0, z: 0 },
+  up: { x: 0, y: 1, z: 0 },
+  down: { x: 0, y: -1, z: 0 }
+};
+
+class JigsawAssembler {
+  /**
+   * Create an assembler
+   * @param {Object} options - Assembler options
+   * @param {Object} options.templates - StructureTemplateManager supplying templates and pools
+   * @param {number} [options.maxDepth=7] - Connections away from the start piece
+   * @param {number} [options.maxDistance=80] - Blocks along x or z a piece may reach from the start
+   */
+  constructor(options = {}) {
+    this.templates = options.templates;
+    this.maxDepth = options.maxDepth === undefined ? DEFAULT_MAX_DEPTH : options.maxDepth;
+    this.maxDistance = options.maxDistance || DEFAULT_MAX_DISTANCE;
+  }
+
+  /**
+   * Plan a structure from a start pool
+   * @param {string} startPool - Pool the first piece is drawn from
+   * @param {Object} position - Where the start piece's origin goes { x, y, z }
+   * @param {Object} [options] - Assembly options
+   * @param {number} [options.seed] - Seed, so the same seed plans the same structure
+   * @param {number} [options.maxDepth] - Overrides the assembler's depth limit
+   * @param {number} [options.maxDistance] - Overrides the assembler's distance limit
+   * @param {number} [options.rotation] - Rotation of the start piece, random if not given
+   * @returns {Object|null} { pieces, boundingBox, seed }, or null when the start pool has no pieces
+   */
+  assemble(startPool, position, options = {}) {
+    const seed = options.seed === undefined ? Math.floor(Math.random() * 0x7fffffff) : options.seed;
+    const random = createSeededRandom(hashSeed(seed, startPool));
+    const maxDepth = options.maxDepth === undefined ? this.maxDepth : options.maxDepth;
+    const maxDistance = options.maxDistance || this.maxDistance;
+
+    const pool = this.templates.getPool(startPool);
+    if (!pool) return null;
+
+    const start = pickStartElement(pool, random, this.templates);
+    if (!start) return null;
+
+    const rotation = options.rotation === undefined ?
+      StructureTemplate.ROTATIONS[Math.floor(random() * 4)] : options.rotation;
+    const first = createPiece(start.element, start.template, { position, rotation, mirror: 'none' }, 0);
+    const pieces = [first];
+    const queue = [first];
+    const limits = { origin: position, maxDistance };
+
+    while (queue.length > 0) {
+      const piece = queue.shift();
+      if (piece.depth >= maxDepth) continue;
+
+      for (const connector of shuffle(piece.connectors.filter(open => !open.used), random)) {
+        const child = this.attach(piece, connector, pieces, limits, maxDepth, random);
+        if (child) {
+          pieces.push(child);
+          queue.push(child);
+        }
+      }
+    }
+
+    return {
+      pieces,
+      boundingBox: pieces.map(piece => piece.boundingBox).reduce(encloseBoxes),
+      seed
+    };
+  }
+
+  /**
+   * Find a piece to join to an open connector
+   * @private
+   */
+  attach(parent, connector, pieces, limits, maxDepth, random) {
+    const depth = parent.depth + 1;
+    const elements = this.getCandidates(connector.pool, depth < maxDepth, random);
+    const target = offset(connector.position, FACING_OFFSETS[connector.facing]);
+
+    for (const element of elements) {
+      // An empty element drawn means this connector stays closed
+      if (element.type === 'empty') return null;
+
+      const template = this.templates.getTemplate(element.location);
+      if (!template) continue;
+
+      for (const rotation of shuffle(StructureTemplate.ROTATIONS, random)) {
+        const placement = { position: { x: 0, y: 0, z: 0 }, rotation, mirror: 'none' };
+        for (const candidate of shuffle(template.getJigsaws(placement), random)) {
+          if (candidate.name !== connector.target || candidate.facing !== OPPOSITE_FACINGS[connector.facing]) {
+            continue;
+          }
+
+          placement.position = {
+            x: target.x - candidate.position.x,
+            y: target.y - candidate.position.y,
+            z: target.z - candidate.position.z
+          };
+          const boundingBox = template.getBoundingBox(placement);
+          if (!withinDistance(boundingBox, limits) || pieces.some(piece => boxesOverlap(piece.boundingBox, boundingBox))) {
+            continue;
+          }
+
+          const child = createPiece(element, template, placement, depth);
+          connector.used = true;
+          child.connectors.find(open => open.index === candidate.index).used = true;
+          return child;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Elements to try for a connector, in order: the pool's own shuffled by
+   * weight while the assembly may go deeper, then its fallback's
+   * @private
+   */
+  getCandidates(poolId, deeper, random) {
+    const pool = this.templates.getPool(poolId);
+    if (!pool || poolId === EMPTY_POOL) return [];
+
+    const candidates = deeper ? shuffleByWeight(pool.elements, random) : [];
+    const fallback = this.templates.getPool(pool.fallback);
+    if (fallback) {
+      candidates.push(...shuffleByWeight(fallback.elements, random));
+    }
+    return candidates;
+  }
+
+  /**
+   * Put a planned structure in the world
+   * @param {Object} assembly - Result of assemble()
+   * @param {Function} setBlock - (x, y, z, block) with null for air
+   * @param {Object} [options] - Placement options passed to every piece (integrity, getBlock)
+   * @returns {number} Blocks placed
+   */
+  place(assembly, setBlock, options = {}) {
+    let placed = 0;
+    assembly.pieces.forEach((piece, i) => {
+      const template = this.templates.getTemplate(piece.location);
+      if (!template) return;
+
+      placed += template.place(setBlock, {
+        ...options,
+        ...piece.placement,
+        seed: hashSeed(assembly.seed, i),
+        processors: [...createProcessors(piece.processors), ...(options.processors || [])]
+      });
+    });
+    return placed;
+  }
+
+  /**
+   * Plan and place a structure
+   * @param {string} startPool - Pool the first piece is drawn from
+   * @param {Object} position - Where the start piece's origin goes { x, y, z }
+   * @param {Function} setBlock - (x, y, z, block) with null for air
+   * @param {Object} [options] - assemble() options plus placement options
+   * @returns {Object|null} The assembly with the number of blocks placed, or null
+   */
+  generate(startPool, position, setBlock, options = {}) {
+    const assembly = this.assemble(startPool, position, options);
+    if (!assembly) return null;
+
+    assembly.blocksPlaced = this.place(assembly, setBlock, { integrity: options.integrity, getBlock: options.getBlock });
+    return assembly;
+  }
+}
+
+/**
+ * A planned piece with its connectors as placed
+ * @private
+ */
+function createPiece(element, template, placement, depth) {
+  return {
+    location: element.location,
+    processors: element.processors || [],
+    placement: { ...placement, position: { ...placement.position } },
+    boundingBox: template.getBoundingBox(placement),
+    depth,
+    connectors: template.getJigsaws(placement).map(jigsaw => ({ ...jigsaw, used: false }))
+  };
+}
+
+/**
+ * @private
+ */
+function pickStartElement(pool, random, templates) {
+  for (const element of shuffleByWeight(pool.elements, random)) {
+    const template = element.type !== 'empty' && templates.getTemplate(element.location);
+    if (template) return { element, template };
+  }
+  return null;
+}
+
+/**
+ * Elements shuffled so heavier ones tend to come first: each appears once
+ * per unit of weight, duplicates after the first dropped
+ * @private
+ */
+function shuffleByWeight(elements, random) {
+  const entries = [];
+  for (const element of elements) {
+    for (let i = 0; i < element.weight; i++) entries.push(element);
+  }
+  return Array.from(new Set(shuffle(entries, random)));
+}
+
+/**
+ * Fisher-Yates shuffle into a new array
+ * @private
+ */
+function shuffle(values, random) {
+  const result = [...values];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * @private
+ */
+function offset(position, direction) {
+  return { x: position.x + direction.x, y: position.y + direction.y, z: position.z + direction.z };
+}
+
+/**
+ * @private
+ */
+function boxesOverlap(a, b) {
+  return a.min.x <= b.max.x && a.max.x >= b.min.x &&
+    a.min.y <= b.max.y && a.max.y >= b.min.y &&
+    a.min.z <= b.max.z && a.max.z >= b.min.z;
+}
+
+/**
+ * @private
+ */
+function encloseBoxes(a, b) {
+  return {
+    min: { x: Math.min(a.min.x, b.min.x), y: Math.min(a.min.y, b.min.y), z: Math.min(a.min.z, b.min.z) },
+    max: { x: Math.max(a.max.x, b.max.x), y: Math.max(a.max.y, b.max.y), z: Math.max(a.max.z, b.max.z) }
+  };
+}
+
+/**
+ * @private
+ */
+function withinDistance(box, { origin, maxDistance }) {
+  return box.min.x >= origin.x - maxDistance && box.max.x <= origin.x + maxDistance &&
+    box.min.z >= origin.z - maxDistance && box.max.z <= origin.z + maxDistance;
+}
+
+JigsawAssembler.DEFAULT_MAX_DEPTH = DEFAULT_MAX_DEPTH;
+JigsawAssembler.DEFAULT_MAX_DISTANCE = DEFAULT_MAX_DISTANCE;
+
+module.exports = JigsawAssembler;
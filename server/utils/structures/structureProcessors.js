@@ -0,0 +1,190 @@
+/**
+ * Structure processors - Rules that change blocks as a template is placed
+ *
+ * Processors are written as JSON, in template pools or passed to a placement:
+ *   { "type": "block_rot", "integrity": 0.8, "blocks"?: [id, ...] }
+ *     Leaves out each block (only the listed ones, if given) with chance 1 - integrity
+ *   { "type": "rule", "rules": [{ "input": id, "output": id or block, "probability"?: 1,
+ *                                 "location"?: id }, ...] }
+ *     Replaces blocks; the first rule that matches wins. A block id as output
+ *     keeps the input's state properties, a block object replaces it whole.
+ *     location only matches where the world already holds that block.
+ *   { "type": "block_age", "mossiness": 0.5 }
+ *     Weathers stone: half the bricks crack or grow moss, stairs and walls
+ *     turn mossy, obsidian turns crying
+ *   { "type": "mossify", "probability": 0.3 }
+ *     Turns cobblestone and stone bricks into their mossy variants
+ *
+ * createProcessors turns the JSON into functions
+ * (block, { localPosition, position, random, getBlock }) => block, or null to
+ * leave the world as it is there.
+ */
+
+const { DataFileError } = require('../datapackFiles');
+
+const ProcessorType = Object.freeze({
+  BLOCK_ROT: 'block_rot',
+  RULE: 'rule',
+  BLOCK_AGE: 'block_age',
+  MOSSIFY: 'mossify'
+});
+
+// Block -> mossy variant, used by mossify and block_age
+const MOSSY_VARIANTS = {
+  cobblestone: 'mossy_cobblestone',
+  cobblestone_stairs: 'mossy_cobblestone_stairs',
+  cobblestone_slab: 'mossy_cobblestone_slab',
+  cobblestone_wall: 'mossy_cobblestone_wall',
+  stone_bricks: 'mossy_stone_bricks',
+  stone_brick_stairs: 'mossy_stone_brick_stairs',
+  stone_brick_slab: 'mossy_stone_brick_slab',
+  stone_brick_wall: 'mossy_stone_brick_wall'
+};
+
+// Block -> cracked variant, used by block_age
+const CRACKED_VARIANTS = {
+  stone_bricks: 'cracked_stone_bricks',
+  deepslate_bricks: 'cracked_deepslate_bricks',
+  deepslate_tiles: 'cracked_deepslate_tiles',
+  polished_blackstone_bricks: 'cracked_polished_blackstone_bricks',
+  nether_bricks: 'cracked_nether_bricks'
+};
+
+/**
+ * Check processor JSON
+ * @param {Array<Object>} processors - Processor definitions
+ * @throws {DataFileError} When a processor is unknown or malformed
+ */
+function validateProcessors(processors) {
+  if (!Array.isArray(processors)) {
+    throw new DataFileError('"processors" must be a list');
+  }
+  for (const processor of processors) {
+    const problem = getProcessorProblem(processor);
+    if (problem) {
+      throw new DataFileError(problem);
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function getProcessorProblem(processor) {
+  if (!processor || typeof processor !== 'object') return 'Processors must be objects';
+
+  switch (processor.type) {
+    case ProcessorType.BLOCK_ROT:
+      return isChance(processor.integrity) ? null : 'block_rot needs an "integrity" between 0 and 1';
+    case ProcessorType.RULE:
+      if (!Array.isArray(processor.rules)) return 'rule needs a list of "rules"';
+      for (const rule of processor.rules) {
+        if (!rule || typeof rule.input !== 'string') return 'Every rule needs an "input" block';
+        if (typeof rule.output !== 'string' && !(rule.output && typeof rule.output.type === 'string')) {
+          return `The rule for ${rule.input} needs an "output" block`;
+        }
+        if (rule.probability !== undefined && !isChance(rule.probability)) {
+          return `The rule for ${rule.input} has a probability outside 0 to 1`;
+        }
+      }
+      return null;
+    case ProcessorType.BLOCK_AGE:
+      return isChance(processor.mossiness) ? null : 'block_age needs a "mossiness" between 0 and 1';
+    case ProcessorType.MOSSIFY:
+      return processor.probability === undefined || isChance(processor.probability) ?
+        null : 'mossify has a probability outside 0 to 1';
+    default:
+      return `Unknown processor type '${processor.type}'`;
+  }
+}
+
+/**
+ * Turn processor JSON into processor functions
+ * @param {Array<Object>} processors - Processor definitions, checked with validateProcessors
+ * @returns {Array<Function>} Processors for StructureTemplate.place
+ */
+function createProcessors(processors = []) {
+  return processors.map(createProcessor);
+}
+
+/**
+ * @private
+ */
+function createProcessor(processor) {
+  switch (processor.type) {
+    case ProcessorType.BLOCK_ROT: {
+      const blocks = processor.blocks ? new Set(processor.blocks) : null;
+      return (block, { random }) => {
+        if (blocks && !blocks.has(block.type)) return block;
+        return random() < processor.integrity ? block : null;
+      };
+    }
+
+    case ProcessorType.RULE:
+      return (block, { position, random, getBlock }) => {
+        for (const rule of processor.rules) {
+          if (rule.input !== block.type) continue;
+          if (rule.location) {
+            const existing = getBlock ? getBlock(position.x, position.y, position.z) : null;
+            if ((existing ? existing.type : 'air') !== rule.location) continue;
+          }
+          if (rule.probability !== undefined && random() >= rule.probability) continue;
+          return typeof rule.output === 'string' ? { ...block, type: rule.output } : { ...rule.output };
+        }
+        return block;
+      };
+
+    case ProcessorType.BLOCK_AGE:
+      return (block, { random }) => ageBlock(block, processor.mossiness, random);
+
+    case ProcessorType.MOSSIFY: {
+      const probability = processor.probability === undefined ? 1 : processor.probability;
+      return (block, { random }) => (MOSSY_VARIANTS[block.type] && random() < probability ?
+        { ...block, type: MOSSY_VARIANTS[block.type] } : block);
+    }
+
+    default:
+      throw new DataFileError(`Unknown processor type '${processor.type}'`);
+  }
+}
+
+/**
+ * Weather one block the way old ruins look
+ * @private
+ */
+function ageBlock(block, mossiness, random) {
+  const type = block.type;
+
+  if (type === 'obsidian') {
+    return random() < 0.15 ? { ...block, type: 'crying_obsidian' } : block;
+  }
+
+  if (CRACKED_VARIANTS[type] || type === 'stone' || type === 'chiseled_stone_bricks') {
+    if (random() >= 0.5) return block;
+    if (MOSSY_VARIANTS[type] && random() < mossiness) {
+      return { ...block, type: MOSSY_VARIANTS[type] };
+    }
+    return CRACKED_VARIANTS[type] ? { ...block, type: CRACKED_VARIANTS[type] } : block;
+  }
+
+  if (/_(stairs|slab|wall)$/.test(type) && MOSSY_VARIANTS[type]) {
+    return random() < mossiness ? { ...block, type: MOSSY_VARIANTS[type] } : block;
+  }
+
+  return block;
+}
+
+/**
+ * @private
+ */
+function isChance(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+module.exports = {
+  ProcessorType,
+  MOSSY_VARIANTS,
+  CRACKED_VARIANTS,
+  validateProcessors,
+  createProcessors
+};
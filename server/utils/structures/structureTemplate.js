@@ -0,0 +1,367 @@
+/**
+ * StructureTemplate - A captured region of blocks that can be saved to a file
+ * and placed again, turned, mirrored, weathered and partly left out
+ *
+ * Template files:
+ *   { "size": [x, y, z],
+ *     "palette": [{ "type": id, ...state properties }, ...],
+ *     "blocks": [{ "pos": [x, y, z], "state": palette index, "data"?: { ... } }, ...] }
+ *
+ * A block's state is its type plus the properties holding plain values
+ * (facing, axis, half, ...) and is shared through the palette. Properties
+ * holding objects or arrays, such as a chest's metadata, are its block entity
+ * data and are stored with the block. Air inside the captured region is kept so
+ * placing clears it; structure voids are left out, so the world keeps whatever
+ * was there.
+ *
+ * Placing turns the template about its origin: with rotation 90 (clockwise
+ * seen from above) the local x axis runs along world +z and local z along
+ * world -x. Mirroring happens before rotation: left_right flips z, front_back
+ * flips x. Facing-like properties are turned with the blocks.
+ *
+ * Jigsaw blocks ({ type: 'jigsaw', facing, metadata: { pool, name, target, finalState } })
+ * are the connectors JigsawAssembler joins pieces by; placing turns them into
+ * their final state, air unless given.
+ */
+
+const { DataFileError } = require('../datapackFiles');
+const { createSeededRandom } = require('../mathUtils');
+
+const HORIZONTAL_FACINGS = ['north', 'east', 'south', 'west'];
+const ROTATIONS = [0, 90, 180, 270];
+const MIRRORS = ['none', 'left_right', 'front_back'];
+
+// Properties holding a horizontal direction
+const FACING_PROPERTIES = ['facing', 'direction'];
+// Properties holding an axis; orientation is the x/z axis nether portals use
+const AXIS_PROPERTIES = ['axis', 'orientation'];
+
+class StructureTemplate {
+  /**
+   * Create a template
+   * @param {Object} options - Template contents
+   * @param {Object} options.size - Size { x, y, z }
+   * @param {Array<Object>} options.palette - Block states
+   * @param {Array<Object>} options.blocks - Blocks { pos: { x, y, z }, state, data }
+   */
+  constructor(options = {}) {
+    this.size = { x: 0, y: 0, z: 0, ...options.size };
+    this.palette = options.palette || [];
+    this.blocks = options.blocks || [];
+  }
+
+  /**
+   * Capture the blocks of a region
+   * @param {Function} getBlock - (x, y, z) => block or null for air
+   * @param {Object} from - One corner { x, y, z }
+   * @param {Object} to - The opposite corner { x, y, z }
+   * @param {Object} [options] - Capture options
+   * @param {boolean} [options.includeAir=true] - Whether air is kept, so placing clears it
+   * @returns {StructureTemplate} Template with its origin at the lowest corner
+   */
+  static capture(getBlock, from, to, { includeAir = true } = {}) {
+    const min = { x: Math.min(from.x, to.x), y: Math.min(from.y, to.y), z: Math.min(from.z, to.z) };
+    const max = { x: Math.max(from.x, to.x), y: Math.max(from.y, to.y), z: Math.max(from.z, to.z) };
+    const palette = [];
+    const paletteIndex = new Map();
+    const blocks = [];
+
+    for (let y = min.y; y <= max.y; y++) {
+      for (let z = min.z; z <= max.z; z++) {
+        for (let x = min.x; x <= max.x; x++) {
+          const block = getBlock(x, y, z) || { type: 'air' };
+          if (block.type === 'structure_void' || (block.type === 'air' && !includeAir)) continue;
+
+          const { state, data } = splitBlock(block);
+          const key = JSON.stringify(state);
+          if (!paletteIndex.has(key)) {
+            paletteIndex.set(key, palette.length);
+            palette.push(state);
+          }
+
+          const entry = { pos: { x: x - min.x, y: y - min.y, z: z - min.z }, state: paletteIndex.get(key) };
+          if (data) entry.data = data;
+          blocks.push(entry);
+        }
+      }
+    }
+
+    return new StructureTemplate({
+      size: { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 },
+      palette,
+      blocks
+    });
+  }
+
+  /**
+   * Read a template from its file contents
+   * @param {Object} json - Parsed template file
+   * @returns {StructureTemplate} Template
+   * @throws {DataFileError} When the contents aren't a valid template
+   */
+  static fromJSON(json) {
+    if (!json || typeof json !== 'object') {
+      throw new DataFileError('Template must be an object');
+    }
+    if (!isPositionArray(json.size) || json.size.some(value => value < 0)) {
+      throw new DataFileError('"size" must be [x, y, z]');
+    }
+    if (!Array.isArray(json.palette) || json.palette.some(state => !state || typeof state.type !== 'string')) {
+      throw new DataFileError('"palette" must be a list of block states with a type');
+    }
+    if (!Array.isArray(json.blocks)) {
+      throw new DataFileError('"blocks" must be a list');
+    }
+
+    const [sizeX, sizeY, sizeZ] = json.size;
+    const blocks = json.blocks.map((block, i) => {
+      if (!block || !isPositionArray(block.pos)) {
+        throw new DataFileError(`Block ${i} needs a "pos" of [x, y, z]`);
+      }
+      const [x, y, z] = block.pos;
+      if (x < 0 || y < 0 || z < 0 || x >= sizeX || y >= sizeY || z >= sizeZ) {
+        throw new DataFileError(`Block ${i} at ${block.pos.join(', ')} is outside the template`);
+      }
+      if (!Number.isInteger(block.state) || !json.palette[block.state]) {
+        throw new DataFileError(`Block ${i} refers to unknown palette entry ${block.state}`);
+      }
+      const entry = { pos: { x, y, z }, state: block.state };
+      if (block.data) entry.data = block.data;
+      return entry;
+    });
+
+    return new StructureTemplate({
+      size: { x: sizeX, y: sizeY, z: sizeZ },
+      palette: json.palette.map(state => ({ ...state })),
+      blocks
+    });
+  }
+
+  /**
+   * File contents for the template
+   * @returns {Object} JSON-ready template
+   */
+  toJSON() {
+    return {
+      size: [this.size.x, this.size.y, this.size.z],
+      palette: this.palette,
+      blocks: this.blocks.map(({ pos, state, data }) => (data ?
+        { pos: [pos.x, pos.y, pos.z], state, data } :
+        { pos: [pos.x, pos.y, pos.z], state }))
+    };
+  }
+
+  /**
+   * The block stored at a local position, with its block entity data
+   * @param {Object} pos - Local position { x, y, z }
+   * @returns {Object|null} Block, or null for positions left out
+   */
+  getBlock(pos) {
+    const entry = this.blocks.find(block =>
+      block.pos.x === pos.x && block.pos.y === pos.y && block.pos.z === pos.z);
+    return entry ? joinBlock(this.palette[entry.state], entry.data) : null;
+  }
+
+  /**
+   * The world box the template covers when placed
+   * @param {Object} placement - { position, rotation, mirror }
+   * @returns {Object} Inclusive box { min: { x, y, z }, max: { x, y, z } }
+   */
+  getBoundingBox(placement = {}) {
+    const a = StructureTemplate.transformPosition({ x: 0, y: 0, z: 0 }, placement);
+    const b = StructureTemplate.transformPosition(
+      { x: Math.max(0, this.size.x - 1), y: Math.max(0, this.size.y - 1), z: Math.max(0, this.size.z - 1) },
+      placement
+    );
+    return {
+      min: { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), z: Math.min(a.z, b.z) },
+      max: { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y), z: Math.max(a.z, b.z) }
+    };
+  }
+
+  /**
+   * The jigsaw connectors of the template as they end up when placed
+   * @param {Object} placement - { position, rotation, mirror }
+   * @returns {Array<Object>} Connectors { index, position, facing, pool, name, target, finalState }
+   */
+  getJigsaws(placement = {}) {
+    const jigsaws = [];
+    this.blocks.forEach((entry, index) => {
+      const state = this.palette[entry.state];
+      if (state.type !== 'jigsaw') return;
+
+      const metadata = (entry.data && entry.data.metadata) || {};
+      jigsaws.push({
+        index,
+        position: StructureTemplate.transformPosition(entry.pos, placement),
+        facing: transformFacing(state.facing || 'north', placement.rotation || 0, placement.mirror || 'none'),
+        pool: metadata.pool || 'empty',
+        name: metadata.name || '',
+        target: metadata.target || '',
+        finalState: metadata.finalState || 'air'
+      });
+    });
+    return jigsaws;
+  }
+
+  /**
+   * Place the template in the world
+   * @param {Function} setBlock - (x, y, z, block) with null for air
+   * @param {Object} placement - Placement options
+   * @param {Object} placement.position - World position of the template's origin
+   * @param {number} [placement.rotation=0] - 0, 90, 180 or 270 degrees clockwise
+   * @param {string} [placement.mirror='none'] - none, left_right or front_back
+   * @param {number} [placement.integrity=1] - Chance of each block being placed
+   * @param {number} [placement.seed] - Seed for integrity and processors
+   * @param {Array<Function>} [placement.processors] - From structureProcessors.createProcessors
+   * @param {boolean} [placement.keepJigsaws=false] - Place jigsaw blocks instead of their final state
+   * @param {Function} [placement.getBlock] - (x, y, z) => block, for processors that look at the world
+   * @returns {number} Blocks placed
+   */
+  place(setBlock, placement = {}) {
+    const rotation = placement.rotation || 0;
+    const mirror = placement.mirror || 'none';
+    const integrity = placement.integrity === undefined ? 1 : placement.integrity;
+    const processors = placement.processors || [];
+    const random = placement.seed === undefined ? Math.random : createSeededRandom(placement.seed);
+    let placed = 0;
+
+    for (const entry of this.blocks) {
+      if (integrity < 1 && random() >= integrity) continue;
+
+      let block = transformBlock(joinBlock(this.palette[entry.state], entry.data), rotation, mirror);
+      const position = StructureTemplate.transformPosition(entry.pos, placement);
+
+      if (block.type === 'jigsaw' && !placement.keepJigsaws) {
+        block = { type: (block.metadata && block.metadata.finalState) || 'air' };
+      }
+
+      const context = { localPosition: entry.pos, position, random, getBlock: placement.getBlock || null };
+      for (const processor of processors) {
+        block = processor(block, context);
+        if (!block) break;
+      }
+      if (!block || block.type === 'structure_void') continue;
+
+      setBlock(position.x, position.y, position.z, block.type === 'air' ? null : block);
+      placed++;
+    }
+
+    return placed;
+  }
+
+  /**
+   * Where a local position ends up in the world
+   * @param {Object} local - Local position { x, y, z }
+   * @param {Object} placement - { position, rotation, mirror }
+   * @returns {Object} World position { x, y, z }
+   */
+  static transformPosition(local, { position = { x: 0, y: 0, z: 0 }, rotation = 0, mirror = 'none' } = {}) {
+    let { x, z } = local;
+    if (mirror === 'left_right') z = -z;
+    if (mirror === 'front_back') x = -x;
+
+    switch (rotation) {
+      case 90: [x, z] = [-z, x]; break;
+      case 180: [x, z] = [-x, -z]; break;
+      case 270: [x, z] = [z, -x]; break;
+      default: break;
+    }
+
+    // + 0 turns -0 into 0 so positions compare and print cleanly
+    return { x: position.x + x + 0, y: position.y + local.y, z: position.z + z + 0 };
+  }
+}
+
+/**
+ * Split a block into its palette state and its block entity data
+ * @private
+ */
+function splitBlock(block) {
+  const state = {};
+  let data = null;
+  for (const [key, value] of Object.entries(block)) {
+    if (value !== null && typeof value === 'object') {
+      data = data || {};
+      data[key] = JSON.parse(JSON.stringify(value));
+    } else {
+      state[key] = value;
+    }
+  }
+  return { state, data };
+}
+
+/**
+ * A fresh block from a palette state and block entity data
+ * @private
+ */
+function joinBlock(state, data) {
+  return data ? { ...state, ...JSON.parse(JSON.stringify(data)) } : { ...state };
+}
+
+/**
+ * Turn a block's facing-like properties with its placement
+ * @private
+ */
+function transformBlock(block, rotation, mirror) {
+  const result = { ...block };
+
+  for (const property of FACING_PROPERTIES) {
+    if (typeof result[property] === 'string') {
+      result[property] = transformFacing(result[property], rotation, mirror);
+    }
+  }
+
+  if (rotation === 90 || rotation === 270) {
+    for (const property of AXIS_PROPERTIES) {
+      if (result[property] === 'x') result[property] = 'z';
+      else if (result[property] === 'z') result[property] = 'x';
+    }
+  }
+
+  // Standing signs, banners and heads face one of 16 directions, 0 being south
+  if (Number.isInteger(result.rotation) && result.rotation >= 0 && result.rotation < 16) {
+    let value = result.rotation;
+    if (mirror === 'left_right') value = (24 - value) % 16;
+    if (mirror === 'front_back') value = (16 - value) % 16;
+    result.rotation = (value + rotation / 90 * 4) % 16;
+  }
+
+  // Mirroring swaps the handedness of door hinges and stair corners
+  if (mirror !== 'none') {
+    if (result.hinge === 'left' || result.hinge === 'right') {
+      result.hinge = result.hinge === 'left' ? 'right' : 'left';
+    }
+    if (typeof result.shape === 'string' && /_(left|right)$/.test(result.shape)) {
+      result.shape = result.shape.replace(/_(left|right)$/, (match, side) => (side === 'left' ? '_right' : '_left'));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Turn a direction with a placement; up and down stay put
+ * @private
+ */
+function transformFacing(facing, rotation, mirror) {
+  let index = HORIZONTAL_FACINGS.indexOf(facing);
+  if (index === -1) return facing;
+
+  if (mirror === 'left_right' && index % 2 === 0) index = (index + 2) % 4;
+  if (mirror === 'front_back' && index % 2 === 1) index = (index + 2) % 4;
+  return HORIZONTAL_FACINGS[(index + rotation / 90) % 4];
+}
+
+/**
+ * @private
+ */
+function isPositionArray(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isInteger);
+}
+
+StructureTemplate.ROTATIONS = ROTATIONS;
+StructureTemplate.MIRRORS = MIRRORS;
+StructureTemplate.transformFacing = transformFacing;
+
+module.exports = StructureTemplate;
@@ -0,0 +1,296 @@
+/**
+ * StructureTemplateManager - Loads structure templates and template pools
+ * from datapacks and saves templates captured in game
+ *
+ * Templates live at structures/<path>.json and pools at
+ * template_pools/<path>.json in a datapack directory and are known by <path>
+ * ("village/plains/houses/small_house"). Directories load in the same order as
+ * recipes and loot tables; templates saved in game go to the generated
+ * directory, which is read last and so wins over every pack.
+ *
+ * Pool files:
+ *   { "fallback"?: pool id, "elements": [element, ...] }
+ * Elements:
+ *   { "location": template id, "weight"?: 1, "processors"?: [processor, ...] }
+ *   { "type": "empty", "weight"?: 1 }
+ *
+ * The fallback pool, "empty" unless given, supplies the pieces that close off
+ * connectors once the assembly is as deep as it may go. See
+ * structureTemplate.js for the template format and structureProcessors.js
+ * for processors.
+ */
+
+const EventEmitter = require('events');
+const path = require('path');
+const {
+  BUILTIN_DATA_DIRECTORY,
+  DATAPACKS_DIRECTORY,
+  DataFileError,
+  getPackDirectories,
+  collectJsonFiles,
+  readDataFile
+} = require('../datapackFiles');
+const { writeJsonAtomic } = require('../atomicFile');
+const StructureTemplate = require('./structureTemplate');
+const { validateProcessors } = require('./structureProcessors');
+
+const GENERATED_DIRECTORY = path.join(__dirname, '..', '..', 'generated');
+
+// The pool that never yields a piece
+const EMPTY_POOL = 'empty';
+
+// Lower case path segments; keeps saved templates inside the generated directory
+const TEMPLATE_ID_PATTERN = /^[a-z0-9_.-]+(\/[a-z0-9_.-]+)*$/;
+
+class StructureTemplateManager extends EventEmitter {
+  /**
+   * Creates a template manager
+   * @param {Object} options - Manager options
+   * @param {Array<String>} options.directories - Datapack directories, lowest priority first
+   * @param {String} options.datapacksDirectory - Directory whose subdirectories are datapacks
+   * @param {String} options.generatedDirectory - Pack directory templates are saved to, read last
+   */
+  constructor(options = {}) {
+    super();
+
+    this.directories = options.directories || [];
+    this.datapacksDirectory = options.datapacksDirectory || null;
+    this.generatedDirectory = options.generatedDirectory || null;
+
+    this.templates = new Map();
+    this.pools = new Map();
+    this.errors = [];
+  }
+
+  /**
+   * Get the directories the next load reads, lowest priority first
+   * @returns {Array<String>} Datapack directories
+   */
+  getPackDirectories() {
+    const directories = getPackDirectories(this.directories, this.datapacksDirectory);
+    if (this.generatedDirectory) {
+      directories.push(this.generatedDirectory);
+    }
+    return directories;
+  }
+
+  /**
+   * Load every datapack directory, replacing the templates and pools loaded before
+   * @returns {Object} { count: templates loaded, pools: pools loaded, errors: [{ file, message }] }
+   */
+  load() {
+    const errors = [];
+    const templateFiles = new Map();
+    const poolFiles = new Map();
+
+    for (const directory of this.getPackDirectories()) {
+      collectJsonFiles(path.join(directory, 'structures'), templateFiles);
+      collectJsonFiles(path.join(directory, 'template_pools'), poolFiles);
+    }
+
+    const templates = new Map();
+    for (const [id, file] of templateFiles) {
+      try {
+        templates.set(id, StructureTemplate.fromJSON(readDataFile(file)));
+      } catch (error) {
+        errors.push({ file, message: error.message });
+      }
+    }
+
+    const pools = new Map();
+    for (const [id, file] of poolFiles) {
+      try {
+        pools.set(id, parsePool(readDataFile(file)));
+      } catch (error) {
+        errors.push({ file, message: error.message });
+      }
+    }
+
+    // Pools naming templates or fallbacks that didn't load would place nothing
+    for (const [id, pool] of pools) {
+      const missingTemplate = pool.elements.find(element => element.location && !templates.has(element.location));
+      if (missingTemplate) {
+        errors.push({ file: poolFiles.get(id), message: `Unknown structure template "${missingTemplate.location}"` });
+        pool.elements = pool.elements.filter(element => !element.location || templates.has(element.location));
+      }
+      if (pool.fallback !== EMPTY_POOL && !pools.has(pool.fallback)) {
+        errors.push({ file: poolFiles.get(id), message: `Unknown fallback pool "${pool.fallback}"` });
+        pool.fallback = EMPTY_POOL;
+      }
+    }
+
+    this.templates = templates;
+    this.pools = pools;
+    this.errors = errors;
+
+    for (const error of errors) {
+      console.error(`Invalid structure file ${error.file}: ${error.message}`);
+    }
+
+    const result = { count: templates.size, pools: pools.size, errors };
+    this.emit('loaded', result);
+    return result;
+  }
+
+  /**
+   * Load the datapacks again, picking up added, changed and removed files
+   * @returns {Object} { count, pools, errors }
+   */
+  reload() {
+    return this.load();
+  }
+
+  /**
+   * Get a template by ID
+   * @param {String} id - Template ID
+   * @returns {StructureTemplate|null} Template or null if not loaded
+   */
+  getTemplate(id) {
+    return this.templates.get(id) || null;
+  }
+
+  /**
+   * Check whether a template is loaded
+   * @param {String} id - Template ID
+   * @returns {boolean} Whether it is
+   */
+  hasTemplate(id) {
+    return this.templates.has(id);
+  }
+
+  /**
+   * Get the IDs of every loaded template
+   * @returns {Array<String>} Template IDs, sorted
+   */
+  getTemplateIds() {
+    return Array.from(this.templates.keys()).sort();
+  }
+
+  /**
+   * Add a template without a file, e.g. one built by code
+   * @param {String} id - Template ID
+   * @param {StructureTemplate} template - Template
+   */
+  registerTemplate(id, template) {
+    this.templates.set(id, template);
+  }
+
+  /**
+   * Save a template to the generated directory so it survives a reload
+   * @param {String} id - Template ID
+   * @param {StructureTemplate} template - Template
+   * @returns {String} File written
+   * @throws {Error} When the ID isn't a valid template path or there is no generated directory
+   */
+  saveTemplate(id, template) {
+    if (!StructureTemplateManager.isValidId(id)) {
+      throw new Error(`Invalid structure template name "${id}"`);
+    }
+    if (!this.generatedDirectory) {
+      throw new Error('Structure templates can\'t be saved without a generated directory');
+    }
+
+    const file = path.join(this.generatedDirectory, 'structures', `${id}.json`);
+    writeJsonAtomic(file, template.toJSON());
+    this.templates.set(id, template);
+    this.emit('templateSaved', { id, file });
+    return file;
+  }
+
+  /**
+   * Get a template pool by ID
+   * @param {String} id - Pool ID
+   * @returns {Object|null} Pool { fallback, elements } or null if not loaded
+   */
+  getPool(id) {
+    return this.pools.get(id) || null;
+  }
+
+  /**
+   * Get the IDs of every loaded pool
+   * @returns {Array<String>} Pool IDs, sorted
+   */
+  getPoolIds() {
+    return Array.from(this.pools.keys()).sort();
+  }
+
+  /**
+   * Add a pool without a file
+   * @param {String} id - Pool ID
+   * @param {Object} pool - Pool in the file format
+   * @throws {DataFileError} When the pool is malformed
+   */
+  registerPool(id, pool) {
+    this.pools.set(id, parsePool(pool));
+  }
+
+  /**
+   * Check a template ID before it becomes a file path
+   * @param {String} id - Template ID
+   * @returns {boolean} Whether it is a lower case path without empty or parent segments
+   */
+  static isValidId(id) {
+    return typeof id === 'string' && TEMPLATE_ID_PATTERN.test(id) &&
+      id.split('/').every(segment => segment !== '.' && segment !== '..');
+  }
+}
+
+/**
+ * Check and normalize a pool file
+ * @private
+ */
+function parsePool(json) {
+  if (!json || typeof json !== 'object' || !Array.isArray(json.elements)) {
+    throw new DataFileError('A template pool needs a list of "elements"');
+  }
+  if (json.fallback !== undefined && typeof json.fallback !== 'string') {
+    throw new DataFileError('"fallback" must be a pool id');
+  }
+
+  const elements = json.elements.map((element, i) => {
+    if (!element || typeof element !== 'object') {
+      throw new DataFileError(`Element ${i} must be an object`);
+    }
+    const weight = element.weight === undefined ? 1 : element.weight;
+    if (!Number.isInteger(weight) || weight < 1) {
+      throw new DataFileError(`Element ${i} needs a whole "weight" of at least 1`);
+    }
+    if (element.type === 'empty') {
+      return { type: 'empty', weight };
+    }
+    if (typeof element.location !== 'string') {
+      throw new DataFileError(`Element ${i} needs a template "location"`);
+    }
+    const processors = element.processors || [];
+    validateProcessors(processors);
+    return { type: 'single', location: element.location, weight, processors };
+  });
+
+  return { fallback: json.fallback || EMPTY_POOL, elements };
+}
+
+let defaultManager = null;
+
+/**
+ * The server's shared template manager: built-in templates from server/data,
+ * every datapack in server/datapacks, then templates saved in game under
+ * server/generated. Loaded on first use.
+ * @returns {StructureTemplateManager} Shared manager
+ */
+function getDefaultStructureTemplateManager() {
+  if (!defaultManager) {
+    defaultManager = new StructureTemplateManager({
+      directories: [BUILTIN_DATA_DIRECTORY],
+      datapacksDirectory: DATAPACKS_DIRECTORY,
+      generatedDirectory: GENERATED_DIRECTORY
+    });
+    defaultManager.load();
+  }
+  return defaultManager;
+}
+
+module.exports = {
+  StructureTemplateManager,
+  EMPTY_POOL,
+  getDefaultStructureTemplateManager
+};
@@ -77,7 +77,7 @@ class VillageGenerator {
     const biomeStyle = this.biomeStyles[biomeName] || this.biomeStyles.plains;
     
     // Determine village size
-    const villageSize = this.minSize + Math.floor(this.rng.random() * (this.maxSize - this.minSize + 1));
+    const villageSize = this.minSize + Math.floor(this.rng.next() * (this.maxSize - this.minSize + 1));
     
     // Create village data object
     const villageId = uuidv4();
@@ -114,7 +114,7 @@ class VillageGenerator {
    * @returns {Object} Center building data
    */
   generateVillageCenter(village, position, biomeStyle, blockSetter) {
-    const centerType = this.rng.random() < 0.7 ? 'well' : 'meeting_point';
+    const centerType = this.rng.next() < 0.7 ? 'well' : 'meeting_point';
     const centerBuilding = {
       id: uuidv4(),
       type: centerType,
@@ -158,7 +158,7 @@ class VillageGenerator {
       
       for (let i = 0; i < maxBuildingsInRing && remainingBuildings > 0; i++) {
         // Calculate position on the ring
-        const angle = i * angleStep + (this.rng.random() * 0.2 - 0.1); // Small random variation
+        const angle = i * angleStep + (this.rng.next() * 0.2 - 0.1); // Small random variation
         const offsetX = Math.sin(angle) * ringRadius;
         const offsetZ = Math.cos(angle) * ringRadius;
         
@@ -210,7 +210,7 @@ class VillageGenerator {
     }
     
     // Select building based on weight
-    let randomValue = this.rng.random() * totalWeight;
+    let randomValue = this.rng.next() * totalWeight;
     
     for (const building of this.buildingTypes) {
       randomValue -= building.weight;
@@ -243,34 +243,15 @@ class VillageGenerator {
       beds: []
     };
     
-    // Generate building based on type
-    switch (buildingType.type) {
-      case 'house_small':
-        this.buildSmallHouse(building, position, biomeStyle, blockSetter);
-        break;
-      case 'house_medium':
-        this.buildMediumHouse(building, position, biomeStyle, blockSetter);
-        break;
-      case 'blacksmith':
-        this.buildBlacksmith(building, position, biomeStyle, blockSetter);
-        break;
-      case 'farm':
-        this.buildFarm(building, position, biomeStyle, blockSetter);
-        break;
-      case 'library':
-        this.buildLibrary(building, position, biomeStyle, blockSetter);
-        break;
-      case 'church':
-        this.buildChurch(building, position, biomeStyle, blockSetter);
-        break;
-      case 'butcher_shop':
-        this.buildButcherShop(building, position, biomeStyle, blockSetter);
-        break;
-      default:
-        // Unknown building type
-        return null;
+    // Unknown building type
+    if (!this.buildingTypes.some(type => type.type === buildingType.type)) {
+      return null;
     }
     
+    // Only small houses have a layout so far; the other buildings use it
+    // with their own professions' workstations
+    this.buildSmallHouse(building, position, biomeStyle, blockSetter);
+    
     return building;
   }
   
@@ -324,7 +305,7 @@ class VillageGenerator {
       }
       
       // If we found a close building, connect them
-      if (closestIndex !== -1 && this.rng.random() < 0.7) { // 70% chance to connect
+      if (closestIndex !== -1 && this.rng.next() < 0.7) { // 70% chance to connect
         const building2 = village.buildings[closestIndex];
         const roadPath = this.generateRoadPath(building1.position, building2.position);
         
@@ -593,6 +574,9 @@ class VillageGenerator {
   spawnVillagersForBuilding(building, villageId, entitySpawner) {
     const villagers = [];
     
+    // Villages built without a world to spawn into stay empty
+    if (!entitySpawner) return villagers;
+    
     // Determine number of villagers to spawn
     const maxVillagers = building.beds.length;
     let villagersToSpawn = 0;
@@ -602,7 +586,7 @@ class VillageGenerator {
       villagersToSpawn = 1;
       
       // Small chance for a child
-      if (maxVillagers >= 2 && this.rng.random() < 0.3) {
+      if (maxVillagers >= 2 && this.rng.next() < 0.3) {
         villagersToSpawn++;
       }
     }
@@ -611,11 +595,11 @@ class VillageGenerator {
     for (let i = 0; i < villagersToSpawn; i++) {
       // Choose a profession from the building's allowed professions
       const profession = building.professions.length > 0
-        ? building.professions[Math.floor(this.rng.random() * building.professions.length)]
+        ? building.professions[Math.floor(this.rng.next() * building.professions.length)]
         : 'nitwit';
       
       // Determine if this should be a child
-      const isChild = i > 0 && this.rng.random() < 0.3;
+      const isChild = i > 0 && this.rng.next() < 0.3;
       
       // Spawn position near the building
       const spawnPos = {
@@ -627,7 +611,7 @@ class VillageGenerator {
       // Create villager options
       const villagerOptions = {
         profession,
-        level: 1 + Math.floor(this.rng.random() * 3), // Level 1-3
+        level: 1 + Math.floor(this.rng.next() * 3), // Level 1-3
         isChild,
         canBreed: !isChild,
         homePosition: building.position,
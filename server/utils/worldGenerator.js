@@ -7,6 +7,7 @@ const { createTerrainNoiseGenerators, createClimateNoiseGenerators } = require('
 const BiomeManager = require('../biomes/biomeManager');
 const BiomeRegistry = require('../biomes/biomeRegistry');
 const StructureGenerator = require('./structureGenerator');
+const StructurePlacementManager = require('../world/structurePlacementManager');
 
 class WorldGenerator {
   /**
@@ -53,8 +54,14 @@ class WorldGenerator {
     this.chunkCache = new Map();
     this.maxChunkCacheSize = 100; // Prevent memory issues
     
-    // Structure placeholders - used to track structure locations
-    this.structurePlaceholders = new Map();
+    // Decides where structures start and hands each chunk its part of them
+    this.structurePlacement = new StructurePlacementManager({
+      seed: this.seed,
+      structureGenerator: this.structureGenerator,
+      chunkSize: this.generationSettings.chunkSize,
+      getBiomeAt: (x, z) => this.biomeManager.getBiomeAt(x, z, this.seed),
+      getSurfaceHeight: (x, z) => this.biomeManager.getBlendedHeight(x, z, this.seed)
+    });
     
     // Initialize world generation parameters
     this.initializeWorld();
@@ -389,9 +396,6 @@ class WorldGenerator {
             {}
           );
           
-          // Register the dungeon to avoid placing structures too close
-          this.registerStructurePlacement(location.x, location.z, 'dungeon');
-          
           // Only place one dungeon per chunk to avoid overcrowding
           break;
         }
@@ -604,169 +608,6 @@ class WorldGenerator {
       this.pendingEntitySpawns.push(entityData);
       return entityData;
     };
-    
-    // Initialize global structures like strongholds and mineshafts
-    this.globalStructures = {
-      strongholds: [],
-      mineshafts: [],
-      desertTemples: [],
-      jungleTemples: []
-    };
-    
-    // Generate stronghold positions
-    // Strongholds are placed in rings around the origin
-    this.generateStrongholdPositions();
-    
-    // Generate mineshaft positions - more common than strongholds
-    this.generateMineshaftPositions();
-    
-    // Generate desert temple positions
-    this.generateDesertTemplePositions();
-    
-    // Generate jungle temple positions
-    this.generateJungleTemplePositions();
-  }
-  
-  /**
-   * Generate stronghold positions
-   * @private
-   */
-  generateStrongholdPositions() {
-    // Strongholds are placed in rings around the origin
-    // Typically 3-8 strongholds generate in concentric rings around the world origin
-    const strongholdCount = 3 + Math.floor(this.randomFromSeed(this.seed + 1) * 5); // 3-8 strongholds
-    
-    // Generate strongholds in a ring around the origin, between 1000-5000 blocks away
-    const minDistance = 1000;
-    const maxDistance = 5000;
-    
-    for (let i = 0; i < strongholdCount; i++) {
-      // Calculate angle based on position in the ring
-      const angle = (i / strongholdCount) * Math.PI * 2;
-      
-      // Calculate distance from origin (with some randomness)
-      const distance = minDistance + this.randomFromSeed(this.seed + i * 100) * (maxDistance - minDistance);
-      
-      // Calculate coordinates
-      const x = Math.floor(Math.cos(angle) * distance);
-      const z = Math.floor(Math.sin(angle) * distance);
-      
-      // Store stronghold position
-      this.globalStructures.strongholds.push({
-        x, z, 
-        generated: false
-      });
-    }
-  }
-  
-  /**
-   * Generate mineshaft positions
-   * @private
-   */
-  generateMineshaftPositions() {
-    // Mineshafts are more numerous and randomly distributed underground
-    // They spawn within chunks according to a probability function
-    
-    // We'll pre-determine some mineshaft locations for specific chunks
-    // rather than checking on every chunk generation (which would be less efficient)
-    const mineshaftCount = 15 + Math.floor(this.randomFromSeed(this.seed + 2000) * 10); // 15-25 mineshafts
-    
-    // Distribution range - within a large area around the origin
-    const maxRange = 8000;
-    
-    // Minimum distance between mineshafts
-    const minDistance = 400;
-    
-    for (let i = 0; i < mineshaftCount; i++) {
-      // Generate a random position within the range
-      let attempts = 0;
-      let validPosition = false;
-      let x, z;
-      
-      // Try to find a position that's at least minDistance away from other mineshafts
-      while (!validPosition && attempts < 20) {
-        x = Math.floor(this.randomFromSeed(this.seed + i * 200 + attempts) * maxRange * 2) - maxRange;
-        z = Math.floor(this.randomFromSeed(this.seed + i * 200 + 100 + attempts) * maxRange * 2) - maxRange;
-        
-        validPosition = true;
-        
-        // Check distance to other mineshafts
-        for (const mineshaft of this.globalStructures.mineshafts) {
-          const dx = x - mineshaft.x;
-          const dz = z - mineshaft.z;
-          const distance = Math.sqrt(dx * dx + dz * dz);
-          
-          if (distance < minDistance) {
-            validPosition = false;
-            break;
-          }
-        }
-        
-        attempts++;
-      }
-      
-      // If we found a valid position, add the mineshaft
-      if (validPosition) {
-        this.globalStructures.mineshafts.push({
-          x, z,
-          generated: false
-        });
-      }
-    }
-  }
-  
-  /**
-   * Generate desert temple positions throughout the world
-   * @private
-   */
-  generateDesertTemplePositions() {
-    // Desert temples should only generate in desert biomes
-    // Store them to generate when those chunks are loaded
-    const numTemples = 20; // Number of temples in the world
-    const range = 8000; // Range from spawn for temples
-    
-    for (let i = 0; i < numTemples; i++) {
-      // Generate random position
-      const x = Math.floor((Math.random() * 2 - 1) * range);
-      const z = Math.floor((Math.random() * 2 - 1) * range);
-      
-      // Only place in desert biomes
-      const biome = this.biomeManager.getBiomeAt(x, z);
-      if (biome && biome.id.includes('desert')) {
-        this.globalStructures.desertTemples.push({
-          x,
-          z,
-          generated: false
-        });
-      }
-    }
-  }
-  
-  /**
-   * Generate jungle temple positions throughout the world
-   * @private
-   */
-  generateJungleTemplePositions() {
-    // Jungle temples should only generate in jungle biomes
-    // Store them to generate when those chunks are loaded
-    const numTemples = 15; // Number of temples in the world
-    const range = 8000; // Range from spawn for temples
-    
-    for (let i = 0; i < numTemples; i++) {
-      // Generate random position
-      const x = Math.floor((Math.random() * 2 - 1) * range);
-      const z = Math.floor((Math.random() * 2 - 1) * range);
-      
-      // Only place in jungle biomes
-      const biome = this.biomeManager.getBiomeAt(x, z);
-      if (biome && biome.id.includes('jungle')) {
-        this.globalStructures.jungleTemples.push({
-          x,
-          z,
-          generated: false
-        });
-      }
-    }
   }
   
   /**
@@ -782,7 +623,8 @@ class WorldGenerator {
   }
 
   /**
-   * Generate structures in a chunk
+   * Generate structures in a chunk: the parts of every structure start within
+   * reach that fall inside it
    * @private
    * @param {Object} chunkBlocks - Block data to modify
    * @param {number} startX - Starting X coordinate
@@ -790,175 +632,26 @@ class WorldGenerator {
    * @param {number} chunkSize - Size of chunk in blocks
    */
   generateStructures(chunkBlocks, startX, startZ, chunkSize) {
-    // First check if any global structures should be placed in this chunk
-    this.generateGlobalStructures(chunkBlocks, startX, startZ, chunkSize);
-    
-    // Then determine if any biome-specific structures should spawn in this chunk
-    const structures = this.biomeManager.getStructuresAt(startX + chunkSize/2, startZ + chunkSize/2, this.seed);
-    
-    if (structures && structures.length > 0) {
-      // Place all structures
-      for (const structure of structures) {
-        // Find a suitable position within the chunk for the structure
-        const offsetX = Math.floor(Math.random() * (chunkSize - 4)) + 2;
-        const offsetZ = Math.floor(Math.random() * (chunkSize - 4)) + 2;
-        
-        const structureX = startX + offsetX;
-        const structureZ = startZ + offsetZ;
-        
-        // Only place a structure if no nearby structures exist
-        if (this.canPlaceStructureAt(structureX, structureZ, structure.type)) {
-          // Get the surface height at this position
-          const surfaceY = Math.floor(this.biomeManager.getBlendedHeight(structureX, structureZ, this.seed));
-          
-          // Use the structure generator to create the structure
-          this.generateStructureWithGenerator(
-            chunkBlocks, 
-            { x: structureX, y: surfaceY, z: structureZ }, 
-            structure.type, 
-            structure.options || {}
-          );
-          
-          // Register the structure placement to avoid too many structures close together
-          this.registerStructurePlacement(structureX, structureZ, structure.type);
-        }
+    this.structurePlacement.generateChunk(startX / chunkSize, startZ / chunkSize, (posKey, block) => {
+      if (block) {
+        chunkBlocks[posKey] = block;
+      } else {
+        delete chunkBlocks[posKey];
       }
-    }
+    });
   }
-  
+
   /**
-   * Generate global structures like strongholds in a chunk
-   * @private
-   * @param {Object} chunkBlocks - Block data to modify
-   * @param {number} startX - Starting X coordinate
-   * @param {number} startZ - Starting Z coordinate
-   * @param {number} chunkSize - Size of chunk in blocks
+   * Find the closest structure of a type, whether or not its chunks have generated
+   * @param {string} structureType - Type of structure
+   * @param {Object} position - Search center {x, z}
+   * @param {number} radius - Blocks searched from the center
+   * @returns {Object|null} - Structure start {type, position, boundingBox} or null when none is in range
    */
-  generateGlobalStructures(chunkBlocks, startX, startZ, chunkSize) {
-    // Check if any strongholds should be in this chunk
-    if (this.globalStructures && this.globalStructures.strongholds) {
-      for (const stronghold of this.globalStructures.strongholds) {
-        // Skip if already generated
-        if (stronghold.generated) continue;
-        
-        // Check if the stronghold is within this chunk
-        if (stronghold.x >= startX && stronghold.x < startX + chunkSize &&
-            stronghold.z >= startZ && stronghold.z < startZ + chunkSize) {
-          
-          // Get the surface height at this position and go underground
-          const surfaceY = Math.floor(this.biomeManager.getBlendedHeight(stronghold.x, stronghold.z, this.seed));
-          const undergroundY = Math.max(10, surfaceY - 20); // Ensure it's underground but above bedrock
-          
-          // Use the structure generator to create the stronghold
-          this.generateStructureWithGenerator(
-            chunkBlocks,
-            { x: stronghold.x, y: undergroundY, z: stronghold.z },
-            'stronghold',
-            {}
-          );
-          
-          // Mark as generated and register it
-          stronghold.generated = true;
-          this.registerStructurePlacement(stronghold.x, stronghold.z, 'stronghold');
-          
-          console.log(`Generated stronghold at ${stronghold.x}, ${undergroundY}, ${stronghold.z}`);
-        }
-      }
-    }
-    
-    // Check if any mineshafts should be in this chunk
-    if (this.globalStructures && this.globalStructures.mineshafts) {
-      for (const mineshaft of this.globalStructures.mineshafts) {
-        // Skip if already generated
-        if (mineshaft.generated) continue;
-        
-        // Check if the mineshaft is within this chunk
-        if (mineshaft.x >= startX && mineshaft.x < startX + chunkSize &&
-            mineshaft.z >= startZ && mineshaft.z < startZ + chunkSize) {
-          
-          // Get the surface height at this position and go deeper underground
-          const surfaceY = Math.floor(this.biomeManager.getBlendedHeight(mineshaft.x, mineshaft.z, this.seed));
-          // Mineshafts typically spawn between y=10 and y=40
-          const undergroundY = Math.min(Math.max(10, surfaceY - 40), 40);
-          
-          // Use the structure generator to create the mineshaft
-          this.generateStructureWithGenerator(
-            chunkBlocks,
-            { x: mineshaft.x, y: undergroundY, z: mineshaft.z },
-            'mineshaft',
-            {}
-          );
-          
-          // Mark as generated and register it
-          mineshaft.generated = true;
-          this.registerStructurePlacement(mineshaft.x, mineshaft.z, 'mineshaft');
-          
-          console.log(`Generated mineshaft at ${mineshaft.x}, ${undergroundY}, ${mineshaft.z}`);
-        }
-      }
-    }
-    
-    // Check if any desert temples should be in this chunk
-    if (this.globalStructures && this.globalStructures.desertTemples) {
-      for (const temple of this.globalStructures.desertTemples) {
-        // Skip if already generated
-        if (temple.generated) continue;
-        
-        // Check if the temple is within this chunk
-        if (temple.x >= startX && temple.x < startX + chunkSize &&
-            temple.z >= startZ && temple.z < startZ + chunkSize) {
-          
-          // Get the surface height at this position
-          const surfaceY = Math.floor(this.biomeManager.getBlendedHeight(temple.x, temple.z, this.seed));
-          
-          // Use the structure generator to create the desert temple
-          this.generateStructureWithGenerator(
-            chunkBlocks,
-            { x: temple.x, y: surfaceY, z: temple.z },
-            'desert_temple',
-            {}
-          );
-          
-          // Mark as generated and register it
-          temple.generated = true;
-          this.registerStructurePlacement(temple.x, temple.z, 'desert_temple');
-          
-          console.log(`Generated desert temple at ${temple.x}, ${surfaceY}, ${temple.z}`);
-        }
-      }
-    }
-    
-    // Check if any jungle temples should be in this chunk
-    if (this.globalStructures && this.globalStructures.jungleTemples) {
-      for (const temple of this.globalStructures.jungleTemples) {
-        // Skip if already generated
-        if (temple.generated) continue;
-        
-        // Check if the temple is within this chunk
-        if (temple.x >= startX && temple.x < startX + chunkSize &&
-            temple.z >= startZ && temple.z < startZ + chunkSize) {
-          
-          // Get the surface height at this position
-          const surfaceY = Math.floor(this.biomeManager.getBlendedHeight(temple.x, temple.z, this.seed));
-          
-          // Use the structure generator to create the jungle temple
-          this.generateStructureWithGenerator(
-            chunkBlocks,
-            { x: temple.x, y: surfaceY, z: temple.z },
-            'jungle_temple',
-            {}
-          );
-          
-          // Mark as generated and register it
-          temple.generated = true;
-          this.registerStructurePlacement(temple.x, temple.z, 'jungle_temple');
-          
-          console.log(`Generated jungle temple at ${temple.x}, ${surfaceY}, ${temple.z}`);
-        }
-      }
-    }
+  findNearestStructure(structureType, position, radius) {
+    return this.structurePlacement.locate(structureType, position, radius);
   }
-  
+
   /**
    * Generate a structure using the structure generator
    * @private
@@ -978,124 +671,6 @@ class WorldGenerator {
     return this.structureGenerator.generateStructure(structureType, position, options, blockSetter);
   }
   
-  /**
-   * Check if a structure can be placed at the specified location
-   * @private
-   * @param {number} x - X coordinate
-   * @param {number} z - Z coordinate
-   * @param {string} structureType - Type of structure
-   * @returns {boolean} - Whether the structure can be placed
-   */
-  canPlaceStructureAt(x, z, structureType) {
-    // Get minimum distance between structures of this type
-    const minDistance = this.getStructureMinDistance(structureType);
-    
-    // Check for nearby structures
-    for (const [key, info] of this.structurePlaceholders.entries()) {
-      const [sx, sz, type] = key.split(':');
-      const structX = parseInt(sx);
-      const structZ = parseInt(sz);
-      
-      // Calculate distance to existing structure
-      const dx = x - structX;
-      const dz = z - structZ;
-      const distance = Math.sqrt(dx * dx + dz * dz);
-      
-      // If too close to another structure of the same type, can't place
-      if (type === structureType && distance < minDistance) {
-        return false;
-      }
-      
-      // If too close to another significant structure, can't place
-      if (this.isSignificantStructure(type) && distance < 24) {
-        return false;
-      }
-    }
-    
-    return true;
-  }
-  
-  /**
-   * Register a structure placement to track structure locations
-   * @private
-   * @param {number} x - X coordinate
-   * @param {number} z - Z coordinate
-   * @param {string} structureType - Type of structure
-   */
-  registerStructurePlacement(x, z, structureType) {
-    const key = `${x}:${z}:${structureType}`;
-    this.structurePlaceholders.set(key, {
-      position: { x, z },
-      type: structureType,
-      timestamp: Date.now()
-    });
-    
-    // Prune old entries if the map gets too large
-    if (this.structurePlaceholders.size > 1000) {
-      // Sort by timestamp and remove oldest 10%
-      const entries = Array.from(this.structurePlaceholders.entries())
-        .sort((a, b) => a[1].timestamp - b[1].timestamp);
-      
-      const toRemove = Math.floor(entries.length * 0.1);
-      for (let i = 0; i < toRemove; i++) {
-        this.structurePlaceholders.delete(entries[i][0]);
-      }
-    }
-  }
-  
-  /**
-   * Get minimum distance between structures of a specific type
-   * @private
-   * @param {string} structureType - Type of structure
-   * @returns {number} - Minimum distance in blocks
-   */
-  getStructureMinDistance(structureType) {
-    // Define minimum distances for different structure types
-    const distanceMap = {
-      'village': 512,
-      'stronghold': 1024,
-      'mineshaft': 256,
-      'desert_temple': 512,
-      'jungle_temple': 512,
-      'dungeon': 64,
-      'small_ruin': 128
-      // Add other structures as needed
-    };
-    
-    return distanceMap[structureType] || 64; // Default to 64 blocks
-  }
-  
-  /**
-   * Check if a structure is significant enough to prevent other structures nearby
-   * @private
-   * @param {string} structureType - Type of structure
-   * @returns {boolean} - Whether the structure is significant
-   */
-  isSignificantStructure(structureType) {
-    // List of significant structures that should not be close to other structures
-    return ['village', 'stronghold', 'mineshaft', 'desert_temple', 'jungle_temple'].includes(structureType);
-  }
-
-  /**
-   * Place a structure at the specified position
-   * @private
-   * @param {Object} chunkBlocks - Block data to modify
-   * @param {number} x - X coordinate
-   * @param {number} z - Z coordinate
-   * @param {Object} structure - Structure data to place
-   */
-  placeStructure(chunkBlocks, x, z, structure) {
-    // This is now just a wrapper around the new structure generator method
-    const surfaceY = Math.floor(this.biomeManager.getBlendedHeight(x, z, this.seed));
-    
-    this.generateStructureWithGenerator(
-      chunkBlocks, 
-      { x, y: surfaceY, z }, 
-      structure.type, 
-      structure
-    );
-  }
-
   /**
    * Generate a square region of world blocks
    * @param {number} width - Width of the area to generate (centered at origin)
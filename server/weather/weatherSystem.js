@@ -9,15 +9,18 @@ class WeatherSystem extends EventEmitter {
     this.weatherTimer = 0;
     this.thunderTimer = 0;
     this.lightningStrikes = [];
+    this.gameRules = null; // doWeatherCycle freezes the current weather
   }
 
   update(deltaTime) {
     // Update weather timers
-    this.weatherTimer += deltaTime;
+    if (this.isCycling()) {
+      this.weatherTimer += deltaTime;
+    }
     this.thunderTimer += deltaTime;
 
     // Check for weather changes
-    if (this.weatherTimer >= this.weatherDuration) {
+    if (this.isCycling() && this.weatherTimer >= this.weatherDuration) {
       this.changeWeather();
     }
 
@@ -31,6 +34,10 @@ class WeatherSystem extends EventEmitter {
     this.processLightningStrikes();
   }
 
+  isCycling() {
+    return !this.gameRules || this.gameRules.getBoolean('doWeatherCycle');
+  }
+
   changeWeather() {
     const weatherTypes = ['clear', 'rain', 'thunder'];
     const weights = [0.6, 0.3, 0.1];
@@ -58,6 +65,19 @@ class WeatherSystem extends EventEmitter {
     });
   }
 
+  setWeather(weather, duration) {
+    // Set specific weather, e.g. from the weather command
+    this.currentWeather = weather;
+    this.weatherDuration = duration || this.getRandomDuration();
+    this.weatherTimer = 0;
+    this.thunderTimer = 0;
+
+    this.emit('weatherChange', {
+      weather: this.currentWeather,
+      duration: this.weatherDuration
+    });
+  }
+
   getRandomDuration() {
     // Return duration in ticks (20 ticks = 1 second)
     switch (this.currentWeather) {
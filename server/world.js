@@ -6,6 +6,15 @@ const { EventEmitter } = require('events');
 const WorldGenerator = require('./utils/worldGenerator');
 const ParticleSystem = require('./particles/particleSystem');
 const ArchaeologyManager = require('./archaeology/archaeologyManager');
+const ChunkStorage = require('./world/chunkStorage');
+const ChunkLoader = require('./world/chunkLoader');
+const RedstoneManager = require('./systems/redstoneManager');
+const PistonManager = require('./systems/pistonManager');
+const LightManager = require('./systems/lightManager');
+const FluidManager = require('./systems/fluidManager');
+const PathfindingManager = require('./systems/pathfindingManager');
+
+const CHUNK_SIZE = 16;
 
 class World extends EventEmitter {
   /**
@@ -32,6 +41,14 @@ class World extends EventEmitter {
       worldDepth: this.minHeight
     });
     
+    // Region-file chunk storage; without it all blocks live in memory
+    this.storage = options.storage || (options.worldDir ?
+      new ChunkStorage({ directory: options.worldDir }) : null);
+    
+    // Chunk loader streams chunk columns in and out of storage
+    this.chunkLoader = options.chunkLoader || (this.storage ?
+      new ChunkLoader({ world: this, viewDistance: options.viewDistance }) : null);
+    
     // Create particle system
     this.particleSystem = options.particleSystem || new ParticleSystem();
     
@@ -41,6 +58,19 @@ class World extends EventEmitter {
     this.players = new Map();
     this.chunksGenerated = new Set();
     
+    // Redstone engine; reads blocks through getBlockAt
+    this.redstone = options.redstone || new RedstoneManager({ world: this });
+    this.pistons = new PistonManager({ world: this, redstoneManager: this.redstone });
+    
+    // Block and sky light, computed per chunk column as columns are generated
+    this.light = options.light || new LightManager({ world: this });
+    
+    // Flowing water and lava
+    this.fluids = options.fluids || new FluidManager({ world: this, dimension: this.dimension });
+    
+    // Mob paths over this world's blocks
+    this.pathfinding = options.pathfinding || new PathfindingManager({ world: this });
+    
     // Create archaeology manager
     this.archaeologyManager = new ArchaeologyManager(this);
     this.archaeologyManager.initialize();
@@ -76,6 +106,11 @@ class World extends EventEmitter {
     // Update entities
     this.updateEntities(deltaTime);
     
+    // Run scheduled redstone ticks, then move pistons they powered
+    this.redstone.tick();
+    this.pistons.tick();
+    this.fluids.tick();
+    
     // Increment tick counter
     this.ticks++;
     
@@ -220,7 +255,14 @@ class World extends EventEmitter {
       return this.blocks.get(key);
     }
     
+    // Check the loaded chunk column
+    const column = this.getLoadedChunkAt(x, z);
+    if (column) {
+      return column[key] || null;
+    }
+    
     // If block isn't in memory, try to generate it
+    if (typeof this.generator.getBlockAt !== 'function') return null;
     return this.generator.getBlockAt(x, y, z);
   }
   
@@ -234,17 +276,41 @@ class World extends EventEmitter {
    * @returns {boolean} - Whether the block was set successfully
    */
   setBlockAt(x, y, z, type, metadata = {}) {
+    const block = type === null || type === 'air' ? null : { type, metadata };
+    return this.setBlock(x, y, z, block);
+  }
+  
+  /**
+   * Place a block object at the specified position, keeping its identity
+   * (block entities such as containers keep their state)
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @param {Object|null} block - Block object, or null to remove the block
+   * @returns {boolean} - Whether the block was set successfully
+   */
+  setBlock(x, y, z, block) {
     // Bounds check
     if (y < this.minHeight || y >= this.maxHeight) return false;
     
     const key = `${Math.floor(x)},${Math.floor(y)},${Math.floor(z)}`;
-    
-    if (type === null || type === 'air') {
+    const column = this.getLoadedChunkAt(x, z);
+    
+    if (column) {
+      // Write into the loaded chunk column so the next save persists it
+      if (!block) {
+        delete column[key];
+      } else {
+        column[key] = block;
+      }
+      this.blocks.delete(key);
+      this.chunkLoader.markChunkDirty(Math.floor(x / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE));
+    } else if (!block) {
       // Remove block
       this.blocks.delete(key);
     } else {
       // Add or update block
-      this.blocks.set(key, { type, metadata });
+      this.blocks.set(key, block);
     }
     
     // Emit block update event
@@ -252,33 +318,148 @@ class World extends EventEmitter {
       x: Math.floor(x),
       y: Math.floor(y),
       z: Math.floor(z),
-      type,
-      metadata
+      type: block ? block.type : null,
+      metadata: block ? block.metadata || {} : {}
     });
     
+    this.redstone.onBlockChanged(x, y, z);
+    this.light.onBlockChanged(x, y, z);
+    this.fluids.onBlockChanged(x, y, z);
+    this.pathfinding.onBlockChanged(x, y, z);
+    
     return true;
   }
   
+  /**
+   * Get the blocks next to a position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @returns {Array} - The six neighboring blocks (null where empty)
+   */
+  getAdjacentBlocks(x, y, z) {
+    return [
+      this.getBlockAt(x - 1, y, z),
+      this.getBlockAt(x + 1, y, z),
+      this.getBlockAt(x, y - 1, z),
+      this.getBlockAt(x, y + 1, z),
+      this.getBlockAt(x, y, z - 1),
+      this.getBlockAt(x, y, z + 1)
+    ];
+  }
+  
+  /**
+   * Get the redstone power at a position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @returns {number} - Power level (0-15)
+   */
+  getRedstonePowerAt(x, y, z) {
+    return this.redstone.getPowerAt(x, y, z);
+  }
+  
+  /**
+   * Feed a signal from a block into the redstone engine
+   * @param {Object} position - Source position {x, y, z}
+   * @param {number} level - Signal strength (0-15)
+   */
+  updateRedstoneSignal(position, level) {
+    this.redstone.updateRedstoneSignal(position, level);
+  }
+  
+  /**
+   * Update the comparator output of a container
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @param {number} output - Comparator output (0-15)
+   */
+  updateComparatorOutput(x, y, z, output) {
+    this.redstone.updateComparatorOutput(x, y, z, output);
+  }
+  
+  /**
+   * Get the light level at a position
+   * @param {number|Object} x - X coordinate, or a position {x, y, z}
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   * @returns {number} - Larger of block and sky light (0-15)
+   */
+  getLightLevel(x, y, z) {
+    if (typeof x === 'object') {
+      ({ x, y, z } = x);
+    }
+    return this.light.getLightLevel(x, y, z);
+  }
+  
+  /**
+   * Get the loaded chunk column containing a block position
+   * @param {number} x - X coordinate
+   * @param {number} z - Z coordinate
+   * @returns {Object|null} - Blocks keyed by "x,y,z", or null if not loaded
+   */
+  getLoadedChunkAt(x, z) {
+    if (!this.chunkLoader) return null;
+    
+    return this.chunkLoader.getLoadedChunk(
+      Math.floor(x / CHUNK_SIZE),
+      Math.floor(z / CHUNK_SIZE)
+    );
+  }
+  
+  /**
+   * Write all modified chunks to storage
+   * @returns {Promise<void>}
+   */
+  async saveChunks() {
+    if (!this.chunkLoader) return;
+    
+    await this.chunkLoader.saveAllChunks();
+    if (this.storage) {
+      this.storage.flush();
+    }
+  }
+  
+  /**
+   * Save chunks and release the chunk loader and region files
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.saveChunks();
+    
+    if (this.chunkLoader) {
+      this.chunkLoader.dispose();
+    }
+    if (this.storage) {
+      this.storage.close();
+    }
+  }
+  
   /**
    * Check if a position is in water
    * @param {number} x - X coordinate
    * @param {number} y - Y coordinate
    * @param {number} z - Z coordinate
-   * @returns {boolean} - Whether the position is in water
+   * @returns {boolean} - Whether the position is in water, flowing or waterlogged
    */
   isWaterAt(x, y, z) {
-    const block = this.getBlockAt(x, y, z);
-    return block && block.type === 'water';
+    const fluid = this.fluids.getFluidAt(Math.floor(x), Math.floor(y), Math.floor(z));
+    return !!fluid && fluid.type === 'water';
   }
   
   /**
    * Get the water level at a specific position
    * @param {number} x - X coordinate
    * @param {number} z - Z coordinate
-   * @returns {number|null} - Y coordinate of water level or null if no water
+   * @returns {number} - Y coordinate of the topmost water block, or sea level if there is none
    */
   getWaterLevel(x, z) {
-    // Default to sea level if generator doesn't have a specific method
+    for (let y = this.maxHeight - 1; y >= this.minHeight; y--) {
+      if (this.isWaterAt(x, y, z)) {
+        return y;
+      }
+    }
     return this.seaLevel;
   }
   
@@ -350,6 +531,7 @@ class World extends EventEmitter {
     if (this.chunksGenerated.has(key)) return;
     
     this.chunksGenerated.add(key);
+    this.light.lightColumn(chunk.x, chunk.z);
     this.emit('chunkGenerated', chunk);
   }
   
@@ -7,6 +7,7 @@ class Chunk {
     this.blocks = new Array(size * size * size).fill(null);
     this.blockStates = new Map();
     this.lightLevels = new Array(size * size * size).fill(0);
+    this.skyLightLevels = new Array(size * size * size).fill(0);
     this.isDirty = false;
   }
 
@@ -65,27 +66,126 @@ class Chunk {
     return true;
   }
 
+  getSkyLightLevel(x, y, z) {
+    if (!this.isValidPosition(x, y, z)) {
+      return 0;
+    }
+    const index = this.getBlockIndex(x, y, z);
+    return this.skyLightLevels[index];
+  }
+
+  setSkyLightLevel(x, y, z, level) {
+    if (!this.isValidPosition(x, y, z)) {
+      return false;
+    }
+    const index = this.getBlockIndex(x, y, z);
+    this.skyLightLevels[index] = level;
+    this.isDirty = true;
+    return true;
+  }
+
+  /**
+   * Packs block and sky light into one array for clients, one value per
+   * block in getBlockIndex order: (sky << 4) | block
+   * @returns {Array<number>} Packed light levels
+   */
+  getPackedLight() {
+    return this.lightLevels.map((level, index) => (this.skyLightLevels[index] << 4) | level);
+  }
+
   isValidPosition(x, y, z) {
     return x >= 0 && x < this.size &&
            y >= 0 && y < this.size &&
            z >= 0 && z < this.size;
   }
 
-  save() {
+  /**
+   * Saves the chunk into its column in region storage. Without a storage
+   * backend the chunk is only marked clean.
+   * @param {ChunkStorage} storage - Chunk storage backend
+   * @param {String} dimension - Dimension ID
+   */
+  save(storage = null, dimension = 'overworld') {
     if (!this.isDirty) {
       return;
     }
-    // In a real implementation, this would save the chunk to disk
-    // For testing purposes, we'll just mark it as clean
+
+    if (storage) {
+      this.assertColumnAligned();
+      const column = storage.readChunk(dimension, this.x, this.z) || {};
+
+      for (let x = 0; x < this.size; x++) {
+        for (let y = 0; y < this.size; y++) {
+          for (let z = 0; z < this.size; z++) {
+            const world = this.getWorldPosition(x, y, z);
+            const key = `${world.x},${world.y},${world.z}`;
+            const block = this.getBlock(x, y, z);
+            const state = this.getBlockState(x, y, z);
+
+            if (block) {
+              column[key] = state ? { ...block, state } : block;
+            } else {
+              delete column[key];
+            }
+          }
+        }
+      }
+
+      storage.writeChunk(dimension, this.x, this.z, column);
+    }
+
     this.isDirty = false;
   }
 
-  load() {
-    // In a real implementation, this would load the chunk from disk
-    // For testing purposes, we'll just return true
+  /**
+   * Loads the chunk from its column in region storage
+   * @param {ChunkStorage} storage - Chunk storage backend
+   * @param {String} dimension - Dimension ID
+   * @returns {Boolean} Whether the chunk could be loaded
+   */
+  load(storage = null, dimension = 'overworld') {
+    if (!storage) {
+      return true;
+    }
+
+    this.assertColumnAligned();
+    const column = storage.readChunk(dimension, this.x, this.z);
+    if (!column) {
+      return false;
+    }
+
+    this.blocks.fill(null);
+    this.blockStates.clear();
+    for (let x = 0; x < this.size; x++) {
+      for (let y = 0; y < this.size; y++) {
+        for (let z = 0; z < this.size; z++) {
+          const world = this.getWorldPosition(x, y, z);
+          const stored = column[`${world.x},${world.y},${world.z}`];
+          if (!stored) continue;
+
+          const { state, ...block } = stored;
+          this.blocks[this.getBlockIndex(x, y, z)] = block;
+          if (state) {
+            this.blockStates.set(`${x},${y},${z}`, state);
+          }
+        }
+      }
+    }
+
+    this.isDirty = false;
     return true;
   }
 
+  /**
+   * Region storage keeps 16-wide columns, so only 16^3 chunks map onto it
+   * @private
+   */
+  assertColumnAligned() {
+    if (this.size !== 16) {
+      throw new Error(`Only 16x16x16 chunks can be stored, got size ${this.size}`);
+    }
+  }
+
   getWorldPosition(x, y, z) {
     return {
       x: this.x * this.size + x,
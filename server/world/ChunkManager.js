@@ -35,21 +35,42 @@ class ChunkManager {
     const chunkKey = this.getChunkKey(x, y, z);
     if (this.chunks.has(chunkKey)) {
       const chunk = this.chunks.get(chunkKey);
-      chunk.save();
+      chunk.save(this.getStorage(), this.getDimension());
       this.chunks.delete(chunkKey);
     }
   }
 
   saveChunks() {
     for (const chunk of this.chunks.values()) {
-      chunk.save();
+      chunk.save(this.getStorage(), this.getDimension());
     }
   }
 
+  /**
+   * Reloads every tracked chunk from the world's chunk storage
+   * @returns {Boolean} Whether all tracked chunks were found in storage
+   */
   loadChunks() {
-    // In a real implementation, this would load chunks from disk
-    // For testing purposes, we'll just create new chunks
-    return true;
+    const storage = this.getStorage();
+    if (!storage) {
+      return true;
+    }
+
+    let allLoaded = true;
+    for (const chunk of this.chunks.values()) {
+      if (!chunk.load(storage, this.getDimension())) {
+        allLoaded = false;
+      }
+    }
+    return allLoaded;
+  }
+
+  getStorage() {
+    return (this.world && this.world.storage) || null;
+  }
+
+  getDimension() {
+    return (this.world && this.world.dimension) || 'overworld';
   }
 
   getLoadedChunks() {
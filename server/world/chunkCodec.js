@@ -0,0 +1,332 @@
+/**
+ * ChunkCodec - Binary chunk format with per-section palette compression
+ *
+ * A chunk column is split into 16x16x16 sections. Each section stores a
+ * palette of distinct blocks and a packed array of palette indices, so a
+ * section made of stone and air costs one bit per block instead of a JSON
+ * object per block.
+ *
+ * Layout (all integers little-endian):
+ *   magic 'CVCK' | version u8 | chunkX i32 | chunkZ i32 | sectionCount u16
+ *   per section:
+ *     sectionY i32 | paletteSize u16 | palette entries (u32 length + UTF-8 JSON)
+ *     bitsPerEntry u8 | wordCount u32 | words u32[]
+ */
+
+const MAGIC = 'CVCK';
+const FORMAT_VERSION = 1;
+const SECTION_SIZE = 16;
+const BLOCKS_PER_SECTION = SECTION_SIZE * SECTION_SIZE * SECTION_SIZE;
+
+/**
+ * Growable little-endian byte writer
+ * @private
+ */
+class ByteWriter {
+  constructor(initialSize = 4096) {
+    this.buffer = Buffer.alloc(initialSize);
+    this.offset = 0;
+  }
+
+  ensure(bytes) {
+    if (this.offset + bytes <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.offset + bytes) size *= 2;
+    const next = Buffer.alloc(size);
+    this.buffer.copy(next, 0, 0, this.offset);
+    this.buffer = next;
+  }
+
+  writeUInt8(value) {
+    this.ensure(1);
+    this.buffer.writeUInt8(value, this.offset);
+    this.offset += 1;
+  }
+
+  writeUInt16(value) {
+    this.ensure(2);
+    this.buffer.writeUInt16LE(value, this.offset);
+    this.offset += 2;
+  }
+
+  writeInt32(value) {
+    this.ensure(4);
+    this.buffer.writeInt32LE(value, this.offset);
+    this.offset += 4;
+  }
+
+  writeUInt32(value) {
+    this.ensure(4);
+    this.buffer.writeUInt32LE(value >>> 0, this.offset);
+    this.offset += 4;
+  }
+
+  writeBytes(bytes) {
+    this.ensure(bytes.length);
+    bytes.copy(this.buffer, this.offset);
+    this.offset += bytes.length;
+  }
+
+  toBuffer() {
+    return this.buffer.subarray(0, this.offset);
+  }
+}
+
+/**
+ * Sequential little-endian byte reader with bounds checks
+ * @private
+ */
+class ByteReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  require(bytes) {
+    if (this.offset + bytes > this.buffer.length) {
+      throw new Error('Chunk data is truncated');
+    }
+  }
+
+  readUInt8() {
+    this.require(1);
+    const value = this.buffer.readUInt8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  readUInt16() {
+    this.require(2);
+    const value = this.buffer.readUInt16LE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  readInt32() {
+    this.require(4);
+    const value = this.buffer.readInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  readUInt32() {
+    this.require(4);
+    const value = this.buffer.readUInt32LE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  readBytes(length) {
+    this.require(length);
+    const bytes = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+}
+
+/**
+ * Gets the number of bits needed to index a palette of the given size
+ * @param {Number} paletteSize - Number of palette entries
+ * @returns {Number} Bits per entry (0 when the palette has a single entry)
+ */
+function getBitsPerEntry(paletteSize) {
+  if (paletteSize <= 1) return 0;
+  return Math.ceil(Math.log2(paletteSize));
+}
+
+/**
+ * Packs palette indices into 32-bit words. Entries never straddle a word
+ * boundary, which keeps decoding a shift and a mask.
+ * @param {Uint16Array} indices - Palette index per block
+ * @param {Number} bits - Bits per entry
+ * @returns {Uint32Array} Packed words
+ */
+function packIndices(indices, bits) {
+  if (bits === 0) return new Uint32Array(0);
+  const perWord = Math.floor(32 / bits);
+  const words = new Uint32Array(Math.ceil(indices.length / perWord));
+  for (let i = 0; i < indices.length; i++) {
+    const word = Math.floor(i / perWord);
+    const shift = (i % perWord) * bits;
+    words[word] = (words[word] | (indices[i] << shift)) >>> 0;
+  }
+  return words;
+}
+
+/**
+ * Unpacks palette indices from 32-bit words
+ * @param {Uint32Array} words - Packed words
+ * @param {Number} bits - Bits per entry
+ * @param {Number} count - Number of entries to read
+ * @returns {Uint16Array} Palette index per block
+ */
+function unpackIndices(words, bits, count) {
+  const indices = new Uint16Array(count);
+  if (bits === 0) return indices;
+  const perWord = Math.floor(32 / bits);
+  const mask = bits === 32 ? 0xffffffff : (1 << bits) - 1;
+  for (let i = 0; i < count; i++) {
+    const word = Math.floor(i / perWord);
+    const shift = (i % perWord) * bits;
+    indices[i] = (words[word] >>> shift) & mask;
+  }
+  return indices;
+}
+
+/**
+ * Gets the index of a block inside its section
+ * @param {Number} x - Local X (0-15)
+ * @param {Number} y - Local Y (0-15)
+ * @param {Number} z - Local Z (0-15)
+ * @returns {Number} Section index
+ */
+function getSectionIndex(x, y, z) {
+  return (y << 8) | (z << 4) | x;
+}
+
+/**
+ * Iterates the entries of a block map given as a Map or a plain object
+ * @private
+ * @param {Map|Object} blocks - Block map keyed by "x,y,z"
+ * @returns {Iterable<Array>} [key, block] pairs
+ */
+function blockEntries(blocks) {
+  if (blocks instanceof Map) return blocks.entries();
+  return Object.entries(blocks);
+}
+
+/**
+ * Encodes a chunk column into the binary chunk format
+ * @param {Number} chunkX - Chunk X coordinate
+ * @param {Number} chunkZ - Chunk Z coordinate
+ * @param {Map|Object} blocks - Blocks keyed by world coordinates "x,y,z"
+ * @returns {Buffer} Encoded chunk
+ */
+function encodeChunk(chunkX, chunkZ, blocks) {
+  // Group blocks by section so each section gets its own palette
+  const sections = new Map();
+  for (const [key, block] of blockEntries(blocks || {})) {
+    if (!block || block.type === 'air') continue;
+    const [x, y, z] = key.split(',').map(Number);
+    if (!Number.isInteger(x) || !Number.isInteger(y) || !Number.isInteger(z)) continue;
+
+    const sectionY = Math.floor(y / SECTION_SIZE);
+    if (!sections.has(sectionY)) {
+      sections.set(sectionY, {
+        palette: ['null'],
+        paletteLookup: new Map([['null', 0]]),
+        indices: new Uint16Array(BLOCKS_PER_SECTION)
+      });
+    }
+
+    const section = sections.get(sectionY);
+    const serialized = JSON.stringify(block);
+    let paletteIndex = section.paletteLookup.get(serialized);
+    if (paletteIndex === undefined) {
+      paletteIndex = section.palette.length;
+      section.palette.push(serialized);
+      section.paletteLookup.set(serialized, paletteIndex);
+    }
+
+    const localX = x - chunkX * SECTION_SIZE;
+    const localZ = z - chunkZ * SECTION_SIZE;
+    const localY = y - sectionY * SECTION_SIZE;
+    if (localX < 0 || localX >= SECTION_SIZE || localZ < 0 || localZ >= SECTION_SIZE) {
+      throw new Error(`Block at ${key} is outside chunk ${chunkX},${chunkZ}`);
+    }
+    section.indices[getSectionIndex(localX, localY, localZ)] = paletteIndex;
+  }
+
+  const writer = new ByteWriter();
+  writer.writeBytes(Buffer.from(MAGIC, 'ascii'));
+  writer.writeUInt8(FORMAT_VERSION);
+  writer.writeInt32(chunkX);
+  writer.writeInt32(chunkZ);
+  writer.writeUInt16(sections.size);
+
+  const sortedSections = Array.from(sections.keys()).sort((a, b) => a - b);
+  for (const sectionY of sortedSections) {
+    const section = sections.get(sectionY);
+    writer.writeInt32(sectionY);
+    writer.writeUInt16(section.palette.length);
+    for (const entry of section.palette) {
+      const bytes = Buffer.from(entry, 'utf8');
+      writer.writeUInt32(bytes.length);
+      writer.writeBytes(bytes);
+    }
+
+    const bits = getBitsPerEntry(section.palette.length);
+    const words = packIndices(section.indices, bits);
+    writer.writeUInt8(bits);
+    writer.writeUInt32(words.length);
+    for (const word of words) {
+      writer.writeUInt32(word);
+    }
+  }
+
+  return writer.toBuffer();
+}
+
+/**
+ * Decodes a chunk produced by encodeChunk
+ * @param {Buffer} buffer - Encoded chunk
+ * @returns {Object} { x, z, blocks } where blocks is keyed by "x,y,z"
+ */
+function decodeChunk(buffer) {
+  const reader = new ByteReader(buffer);
+  const magic = reader.readBytes(4).toString('ascii');
+  if (magic !== MAGIC) {
+    throw new Error('Invalid chunk data: bad magic');
+  }
+
+  const version = reader.readUInt8();
+  if (version !== FORMAT_VERSION) {
+    throw new Error(`Unsupported chunk format version: ${version}`);
+  }
+
+  const chunkX = reader.readInt32();
+  const chunkZ = reader.readInt32();
+  const sectionCount = reader.readUInt16();
+  const blocks = {};
+
+  for (let s = 0; s < sectionCount; s++) {
+    const sectionY = reader.readInt32();
+    const paletteSize = reader.readUInt16();
+    const palette = [];
+    for (let i = 0; i < paletteSize; i++) {
+      const length = reader.readUInt32();
+      palette.push(reader.readBytes(length).toString('utf8'));
+    }
+
+    const bits = reader.readUInt8();
+    const wordCount = reader.readUInt32();
+    const words = new Uint32Array(wordCount);
+    for (let i = 0; i < wordCount; i++) {
+      words[i] = reader.readUInt32();
+    }
+
+    const indices = unpackIndices(words, bits, BLOCKS_PER_SECTION);
+    for (let i = 0; i < BLOCKS_PER_SECTION; i++) {
+      const entry = palette[indices[i]];
+      if (entry === undefined || entry === 'null') continue;
+
+      const x = chunkX * SECTION_SIZE + (i & 15);
+      const z = chunkZ * SECTION_SIZE + ((i >> 4) & 15);
+      const y = sectionY * SECTION_SIZE + (i >> 8);
+      // Parse per position so callers can mutate blocks without aliasing
+      blocks[`${x},${y},${z}`] = JSON.parse(entry);
+    }
+  }
+
+  return { x: chunkX, z: chunkZ, blocks };
+}
+
+module.exports = {
+  encodeChunk,
+  decodeChunk,
+  packIndices,
+  unpackIndices,
+  getBitsPerEntry,
+  SECTION_SIZE,
+  FORMAT_VERSION
+};
@@ -12,6 +12,8 @@ class ChunkLoader extends EventEmitter {
    * @param {Number} options.viewDistance - View distance in chunks
    * @param {Number} options.unloadDelay - Delay in ms before unloading unused chunks
    * @param {Boolean} options.persistChunks - Whether to persist chunks to disk
+   * @param {Boolean} options.loadChunks - Whether player movement queues chunks for loading;
+   *   turn off when the loader only tracks which chunks players can see
    */
   constructor(options = {}) {
     super();
@@ -19,6 +21,7 @@ class ChunkLoader extends EventEmitter {
     this.viewDistance = options.viewDistance || 8;
     this.unloadDelay = options.unloadDelay || 30000; // 30 seconds default
     this.persistChunks = options.persistChunks !== false;
+    this.loadChunks = options.loadChunks !== false;
     
     // Track loaded chunks and their usage
     this.loadedChunks = new Map(); // Maps chunkKey -> {chunk, lastUsed, keepLoaded}
@@ -146,8 +149,13 @@ class ChunkLoader extends EventEmitter {
     
     try {
       // Save the chunk if it's dirty or force save is requested
-      if ((chunkData.chunk.dirty || forceSave) && this.world.storage && this.persistChunks) {
-        await this.world.storage.saveChunk(this.world.dimension, x, z, chunkData.chunk);
+      if ((this.isChunkDirty(chunkData) || forceSave) && this.world.storage && this.persistChunks) {
+        await this.saveLoadedChunk(x, z, chunkData);
+
+        // Keep the chunk loaded if it was modified while it was being written
+        if (chunkData.dirty) {
+          return false;
+        }
       }
       
       // Remove from loaded chunks
@@ -163,6 +171,63 @@ class ChunkLoader extends EventEmitter {
     }
   }
   
+  /**
+   * Gets a loaded chunk without loading or generating it
+   * @param {Number} x - Chunk X coordinate
+   * @param {Number} z - Chunk Z coordinate
+   * @returns {Object|null} The chunk, or null if it isn't loaded
+   */
+  getLoadedChunk(x, z) {
+    const chunkData = this.loadedChunks.get(this.getChunkKey(x, z));
+    return chunkData ? chunkData.chunk : null;
+  }
+  
+  /**
+   * Marks a loaded chunk as modified so it is written on the next save
+   * @param {Number} x - Chunk X coordinate
+   * @param {Number} z - Chunk Z coordinate
+   * @returns {Boolean} Whether the chunk was loaded
+   */
+  markChunkDirty(x, z) {
+    const chunkData = this.loadedChunks.get(this.getChunkKey(x, z));
+    if (!chunkData) {
+      return false;
+    }
+    
+    chunkData.dirty = true;
+    chunkData.dirtyVersion = (chunkData.dirtyVersion || 0) + 1;
+    chunkData.lastUsed = Date.now();
+    return true;
+  }
+  
+  /**
+   * Writes a loaded chunk to storage. The dirty flag is cleared only once the
+   * write has resolved, and only if the chunk was not modified meanwhile; a
+   * failed write leaves it set so the chunk is retried on the next save.
+   * @private
+   * @param {Number} x - Chunk X coordinate
+   * @param {Number} z - Chunk Z coordinate
+   * @param {Object} chunkData - Loaded chunk entry
+   * @returns {Promise<void>}
+   */
+  async saveLoadedChunk(x, z, chunkData) {
+    const version = chunkData.dirtyVersion;
+    await this.world.storage.saveChunk(this.world.dimension, x, z, chunkData.chunk);
+    if (chunkData.dirtyVersion === version) {
+      chunkData.dirty = false;
+    }
+  }
+  
+  /**
+   * Checks whether a loaded chunk needs saving
+   * @private
+   * @param {Object} chunkData - Loaded chunk entry
+   * @returns {Boolean} Whether the chunk is dirty
+   */
+  isChunkDirty(chunkData) {
+    return Boolean(chunkData.dirty || chunkData.chunk.dirty || chunkData.chunk.isDirty);
+  }
+  
   /**
    * Forces a chunk to stay loaded
    * @param {Number} x - Chunk X coordinate
@@ -338,9 +403,11 @@ class ChunkLoader extends EventEmitter {
   /**
    * Updates chunks based on player position
    * @param {Object} player - Player object
+   * @returns {Object} Chunks that came into and went out of view as { added, removed }
+   *   arrays of {x, z}
    */
   updatePlayerChunks(player) {
-    if (!player || !player.position) return;
+    if (!player || !player.position) return { added: [], removed: [] };
     
     // Calculate player's chunk coordinates
     const playerChunkX = Math.floor(player.position.x / 16);
@@ -369,6 +436,8 @@ class ChunkLoader extends EventEmitter {
           
           // Queue for loading if not already loaded
           if (!this.loadedChunks.has(chunkKey)) {
+            if (!this.loadChunks) continue;
+
             // Higher priority for closer chunks
             const highPriority = distance <= 2;
             this.queueChunkForLoading(chunkX, chunkZ, highPriority);
@@ -411,6 +480,18 @@ class ChunkLoader extends EventEmitter {
     
     // Update player's current chunks
     this.playerChunks.set(player.id, newChunks);
+    
+    const added = [];
+    for (const chunkKey of newChunks) {
+      if (!currentChunks.has(chunkKey)) {
+        added.push(this.parseChunkKey(chunkKey));
+      }
+    }
+    
+    return {
+      added,
+      removed: Array.from(chunksToRemove, chunkKey => this.parseChunkKey(chunkKey))
+    };
   }
   
   /**
@@ -501,11 +582,9 @@ class ChunkLoader extends EventEmitter {
     const savePromises = [];
     
     for (const [chunkKey, chunkData] of this.loadedChunks.entries()) {
-      if (chunkData.chunk.dirty) {
+      if (this.isChunkDirty(chunkData)) {
         const { x, z } = this.parseChunkKey(chunkKey);
-        savePromises.push(
-          this.world.storage.saveChunk(this.world.dimension, x, z, chunkData.chunk)
-        );
+        savePromises.push(this.saveLoadedChunk(x, z, chunkData));
       }
     }
     
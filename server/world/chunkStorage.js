@@ -0,0 +1,255 @@
+/**
+ * ChunkStorage - On-disk chunk store backed by region files
+ *
+ * Each dimension gets its own directory and chunks are grouped 32x32 into
+ * region files named r.<regionX>.<regionZ>.cvr:
+ *   <directory>/<dimension>/region/r.0.-1.cvr
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RegionFile = require('./regionFile');
+const { encodeChunk, decodeChunk } = require('./chunkCodec');
+
+const REGION_EXTENSION = '.cvr';
+
+class ChunkStorage {
+  /**
+   * Creates a new chunk store
+   * @param {Object} options - Configuration options
+   * @param {String} options.directory - Root directory of the world save
+   * @param {Number} options.maxOpenRegions - Maximum number of region files kept open
+   * @param {Boolean} options.compress - Whether to zlib-compress chunk payloads
+   */
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('ChunkStorage requires a directory');
+    }
+
+    this.directory = options.directory;
+    this.maxOpenRegions = options.maxOpenRegions || 64;
+    this.compress = options.compress !== false;
+
+    // Open region files, in least-recently-used order
+    this.regions = new Map(); // Maps "dimension:rx,rz" -> RegionFile
+  }
+
+  /**
+   * Gets the region directory for a dimension
+   * @param {String} dimension - Dimension ID
+   * @returns {String} Directory path
+   */
+  getDimensionDirectory(dimension = 'overworld') {
+    if (!/^[a-z0-9_-]+$/i.test(dimension)) {
+      throw new Error(`Invalid dimension name: ${dimension}`);
+    }
+    return path.join(this.directory, dimension, 'region');
+  }
+
+  /**
+   * Gets the path of the region file holding a region
+   * @param {String} dimension - Dimension ID
+   * @param {Number} regionX - Region X coordinate
+   * @param {Number} regionZ - Region Z coordinate
+   * @returns {String} File path
+   */
+  getRegionPath(dimension, regionX, regionZ) {
+    return path.join(this.getDimensionDirectory(dimension), `r.${regionX}.${regionZ}${REGION_EXTENSION}`);
+  }
+
+  /**
+   * Gets (opening if needed) the region file that holds a chunk
+   * @private
+   * @param {String} dimension - Dimension ID
+   * @param {Number} chunkX - Chunk X coordinate
+   * @param {Number} chunkZ - Chunk Z coordinate
+   * @param {Boolean} create - Whether to create the file if it doesn't exist
+   * @returns {RegionFile|null} Region file
+   */
+  getRegion(dimension, chunkX, chunkZ, create) {
+    const regionX = Math.floor(chunkX / RegionFile.REGION_SIZE);
+    const regionZ = Math.floor(chunkZ / RegionFile.REGION_SIZE);
+    const key = `${dimension}:${regionX},${regionZ}`;
+
+    if (this.regions.has(key)) {
+      // Re-insert to mark as most recently used
+      const region = this.regions.get(key);
+      this.regions.delete(key);
+      this.regions.set(key, region);
+      return region;
+    }
+
+    const regionPath = this.getRegionPath(dimension, regionX, regionZ);
+    if (!create && !fs.existsSync(regionPath)) {
+      return null;
+    }
+
+    const region = new RegionFile(regionPath, { compress: this.compress });
+    this.regions.set(key, region);
+
+    if (this.regions.size > this.maxOpenRegions) {
+      const [oldestKey, oldest] = this.regions.entries().next().value;
+      oldest.close();
+      this.regions.delete(oldestKey);
+    }
+
+    return region;
+  }
+
+  /**
+   * Gets the coordinates of a chunk within its region
+   * @private
+   * @param {Number} chunkX - Chunk X coordinate
+   * @param {Number} chunkZ - Chunk Z coordinate
+   * @returns {Object} Local coordinates {x, z}
+   */
+  getLocalCoordinates(chunkX, chunkZ) {
+    const size = RegionFile.REGION_SIZE;
+    return {
+      x: ((chunkX % size) + size) % size,
+      z: ((chunkZ % size) + size) % size
+    };
+  }
+
+  /**
+   * Checks whether a chunk has been stored
+   * @param {String} dimension - Dimension ID
+   * @param {Number} chunkX - Chunk X coordinate
+   * @param {Number} chunkZ - Chunk Z coordinate
+   * @returns {Boolean} Whether the chunk exists on disk
+   */
+  hasChunk(dimension, chunkX, chunkZ) {
+    const region = this.getRegion(dimension, chunkX, chunkZ, false);
+    if (!region) return false;
+    const local = this.getLocalCoordinates(chunkX, chunkZ);
+    return region.hasChunk(local.x, local.z);
+  }
+
+  /**
+   * Reads a chunk synchronously
+   * @param {String} dimension - Dimension ID
+   * @param {Number} chunkX - Chunk X coordinate
+   * @param {Number} chunkZ - Chunk Z coordinate
+   * @returns {Object|null} Blocks keyed by "x,y,z", or null if not stored
+   */
+  readChunk(dimension, chunkX, chunkZ) {
+    const region = this.getRegion(dimension, chunkX, chunkZ, false);
+    if (!region) return null;
+
+    const local = this.getLocalCoordinates(chunkX, chunkZ);
+    const payload = region.readChunk(local.x, local.z);
+    if (!payload) return null;
+
+    return decodeChunk(payload).blocks;
+  }
+
+  /**
+   * Writes a chunk synchronously
+   * @param {String} dimension - Dimension ID
+   * @param {Number} chunkX - Chunk X coordinate
+   * @param {Number} chunkZ - Chunk Z coordinate
+   * @param {Map|Object} blocks - Blocks keyed by world coordinates "x,y,z"
+   */
+  writeChunk(dimension, chunkX, chunkZ, blocks) {
+    const region = this.getRegion(dimension, chunkX, chunkZ, true);
+    const local = this.getLocalCoordinates(chunkX, chunkZ);
+    region.writeChunk(local.x, local.z, encodeChunk(chunkX, chunkZ, blocks));
+  }
+
+  /**
+   * Deletes a stored chunk
+   * @param {String} dimension - Dimension ID
+   * @param {Number} chunkX - Chunk X coordinate
+   * @param {Number} chunkZ - Chunk Z coordinate
+   * @returns {Boolean} Whether a chunk was deleted
+   */
+  deleteChunk(dimension, chunkX, chunkZ) {
+    const region = this.getRegion(dimension, chunkX, chunkZ, false);
+    if (!region) return false;
+    const local = this.getLocalCoordinates(chunkX, chunkZ);
+    return region.deleteChunk(local.x, local.z);
+  }
+
+  /**
+   * Loads a chunk (ChunkLoader storage interface)
+   * @param {String} dimension - Dimension ID
+   * @param {Number} chunkX - Chunk X coordinate
+   * @param {Number} chunkZ - Chunk Z coordinate
+   * @returns {Promise<Object|null>} Blocks keyed by "x,y,z", or null if not stored
+   */
+  async loadChunk(dimension, chunkX, chunkZ) {
+    return this.readChunk(dimension, chunkX, chunkZ);
+  }
+
+  /**
+   * Saves a chunk (ChunkLoader storage interface)
+   * @param {String} dimension - Dimension ID
+   * @param {Number} chunkX - Chunk X coordinate
+   * @param {Number} chunkZ - Chunk Z coordinate
+   * @param {Map|Object} blocks - Blocks keyed by world coordinates "x,y,z"
+   * @returns {Promise<void>}
+   */
+  async saveChunk(dimension, chunkX, chunkZ, blocks) {
+    this.writeChunk(dimension, chunkX, chunkZ, blocks);
+  }
+
+  /**
+   * Lists the dimensions that have stored chunks
+   * @returns {Array<String>} Dimension IDs
+   */
+  listDimensions() {
+    if (!fs.existsSync(this.directory)) return [];
+    return fs.readdirSync(this.directory, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() &&
+        fs.existsSync(path.join(this.directory, entry.name, 'region')))
+      .map(entry => entry.name);
+  }
+
+  /**
+   * Lists every stored chunk in a dimension
+   * @param {String} dimension - Dimension ID
+   * @returns {Array} Array of {x, z} chunk coordinates
+   */
+  listChunks(dimension) {
+    const dir = this.getDimensionDirectory(dimension);
+    if (!fs.existsSync(dir)) return [];
+
+    const chunks = [];
+    for (const file of fs.readdirSync(dir)) {
+      const match = /^r\.(-?\d+)\.(-?\d+)\.cvr$/.exec(file);
+      if (!match) continue;
+
+      const regionX = Number(match[1]);
+      const regionZ = Number(match[2]);
+      const region = this.getRegion(dimension, regionX * RegionFile.REGION_SIZE, regionZ * RegionFile.REGION_SIZE, false);
+      for (const local of region.listChunks()) {
+        chunks.push({
+          x: regionX * RegionFile.REGION_SIZE + local.x,
+          z: regionZ * RegionFile.REGION_SIZE + local.z
+        });
+      }
+    }
+    return chunks;
+  }
+
+  /**
+   * Flushes all open region files to disk
+   */
+  flush() {
+    for (const region of this.regions.values()) {
+      region.flush();
+    }
+  }
+
+  /**
+   * Closes all open region files
+   */
+  close() {
+    for (const region of this.regions.values()) {
+      region.close();
+    }
+    this.regions.clear();
+  }
+}
+
+module.exports = ChunkStorage;
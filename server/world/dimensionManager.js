@@ -4,6 +4,33 @@
  */
 
 const EventEmitter = require('events');
+const PortalRegistry = require('./portalRegistry');
+
+// Ticks a player stands in a nether portal before travelling; other entities go at once
+const PLAYER_PORTAL_DELAY_TICKS = 80;
+
+// Ticks before an entity that travelled may use a portal again; standing in a
+// portal keeps the cooldown from running out
+const PLAYER_PORTAL_COOLDOWN_TICKS = 40;
+const ENTITY_PORTAL_COOLDOWN_TICKS = 300;
+
+// Blocks searched along x and z for a linked portal when arriving in a dimension
+const PORTAL_SEARCH_RADIUS = {
+  overworld: 128,
+  nether: 16
+};
+
+// Blocks searched along x and z for room to build an exit portal
+const EXIT_PORTAL_SEARCH_RADIUS = 16;
+
+// Frame of an exit portal when the entry portal's frame is unknown: 2 x 3 portal blocks
+const DEFAULT_FRAME_WIDTH = 3;
+const DEFAULT_FRAME_HEIGHT = 4;
+
+const AIR_TYPES = new Set(['air', 'cave_air', 'void_air']);
+const NON_SOLID_TYPES = new Set([
+  'water', 'flowing_water', 'lava', 'flowing_lava', 'fire', 'soul_fire', 'nether_portal'
+]);
 
 class DimensionManager extends EventEmitter {
   /**
@@ -11,10 +38,13 @@ class DimensionManager extends EventEmitter {
    * @param {Object} options - Configuration options
    * @param {Object} options.server - Server instance
    * @param {Object} options.dimensions - Initial dimensions to load
+   * @param {Function} options.isPlayer - Whether an entity is a player: (entity) => Boolean;
+   *   defaults to checking for type 'player'
    */
   constructor(options = {}) {
     super();
     this.server = options.server;
+    this.isPlayer = options.isPlayer || (entity => entity.type === 'player');
     
     // Store loaded dimensions
     this.dimensions = new Map();
@@ -59,9 +89,15 @@ class DimensionManager extends EventEmitter {
       }
     };
     
-    // Map of pending teleports with cooldowns
+    // Entities waiting in a nether portal to travel, keyed by entity id
     this.pendingTeleports = new Map();
     
+    // Ticks until an entity may use a portal again, keyed by entity id
+    this.portalCooldowns = new Map();
+    
+    // Nether portals in each dimension, saved with the world
+    this.portals = new PortalRegistry();
+    
     // Set the default spawn points for each dimension
     this.spawnPoints = {
       overworld: { x: 0, y: 64, z: 0 },
@@ -78,6 +114,14 @@ class DimensionManager extends EventEmitter {
         this.addDimension(name, dimension);
       }
     }
+    
+    // Portals whose frame broke no longer link anywhere
+    this.on('portalDestroyed', ({ dimension, position }) => {
+      const portal = this.portals.findAt(dimension, position);
+      if (portal) {
+        this.portals.remove(dimension, portal.key);
+      }
+    });
   }
   
   /**
@@ -151,15 +195,10 @@ class DimensionManager extends EventEmitter {
       return false;
     }
     
-    // Check cooldown to prevent spam
-    const entityId = entity.id || entity.uuid || `entity_${Math.random().toString(36).substr(2, 9)}`;
-    const now = Date.now();
-    
-    if (this.pendingTeleports.has(entityId)) {
-      const lastTeleport = this.pendingTeleports.get(entityId);
-      if (now - lastTeleport < 2000) { // 2 second cooldown
-        return false;
-      }
+    // Entities that just travelled wait out their portal cooldown
+    const entityId = entity.id || entity.uuid;
+    if (entityId && this.portalCooldowns.has(entityId)) {
+      return false;
     }
     
     // Get current dimension
@@ -175,23 +214,26 @@ class DimensionManager extends EventEmitter {
       targetPosition = this.calculateTargetPosition(entity, currentDimension, targetDimension);
     }
     
+    // Boats and other vehicles take their passengers along
+    const passengers = this.getPassengers(currentWorld, entity);
+    
     // Remove entity from current dimension
-    currentWorld.removeEntity(entity);
+    if (typeof currentWorld.removeEntity === 'function') {
+      currentWorld.removeEntity(entityId);
+    }
     
     // Update entity properties
     const oldPosition = { ...entity.position };
     entity.dimension = targetDimension;
-    entity.position = targetPosition;
+    entity.position = { ...targetPosition };
     
     // Add entity to target dimension
-    targetWorld.addEntity(entity);
-    
-    // Set teleport cooldown
-    this.pendingTeleports.set(entityId, now);
+    if (typeof targetWorld.addEntity === 'function') {
+      targetWorld.addEntity(entity);
+    }
     
-    // Clean up old cooldowns occasionally
-    if (Math.random() < 0.1) {
-      this.cleanupTeleportCooldowns();
+    if (entityId) {
+      this.setPortalCooldown(entity);
     }
     
     // Emit teleport event
@@ -200,9 +242,14 @@ class DimensionManager extends EventEmitter {
       fromDimension: currentDimension,
       toDimension: targetDimension,
       fromPosition: oldPosition,
-      toPosition: targetPosition
+      toPosition: entity.position
     });
     
+    for (const passenger of passengers) {
+      this.portalCooldowns.delete(passenger.id);
+      this.teleportEntityToDimension(passenger, targetDimension, targetPosition);
+    }
+    
     return true;
   }
   
@@ -221,13 +268,10 @@ class DimensionManager extends EventEmitter {
         (fromDimension === 'nether' && toDimension === 'overworld')) {
       
       // Scale coordinates for nether/overworld conversion
-      if (fromDimension === 'overworld' && toDimension === 'nether') {
-        position.x = Math.floor(position.x / this.netherScaleFactor);
-        position.z = Math.floor(position.z / this.netherScaleFactor);
+      Object.assign(position, this.convertCoordinates(position, fromDimension, toDimension));
+      if (toDimension === 'nether') {
         position.y = Math.min(Math.max(position.y, 30), 100); // Safe Y in nether
       } else {
-        position.x = Math.floor(position.x * this.netherScaleFactor);
-        position.z = Math.floor(position.z * this.netherScaleFactor);
         // Find safe Y in overworld
         position.y = 64; // Default to sea level
       }
@@ -299,15 +343,399 @@ class DimensionManager extends EventEmitter {
   }
   
   /**
-   * Cleanup old teleport cooldowns
+   * Convert a position between the overworld and the nether, where one nether
+   * block stands for 8 overworld blocks
+   * @param {Object} position - Position { x, y, z }
+   * @param {String} fromDimension - Source dimension
+   * @param {String} toDimension - Target dimension
+   * @returns {Object} Position in the target dimension
+   */
+  convertCoordinates(position, fromDimension, toDimension) {
+    let scale = 1;
+    if (fromDimension === 'overworld' && toDimension === 'nether') {
+      scale = 1 / this.netherScaleFactor;
+    } else if (fromDimension === 'nether' && toDimension === 'overworld') {
+      scale = this.netherScaleFactor;
+    }
+    
+    return {
+      x: Math.floor(position.x * scale),
+      y: position.y,
+      z: Math.floor(position.z * scale)
+    };
+  }
+  
+  /**
+   * Record a lit nether portal so travellers from the other dimension can find it
+   * @param {Object} portalData - Portal data from PortalManager
+   * @param {String} portalData.dimension - Dimension the portal is in
+   * @param {Object} [portalData.frame] - Frame as checked by PortalManager.validatePortalFrame;
+   *   without one the frame is worked out from position, width, height and orientation
+   * @returns {Object} The recorded portal
+   */
+  registerPortal(portalData) {
+    return this.portals.add({
+      ...portalData,
+      frame: portalData.frame || getFrameAroundCenter(portalData)
+    });
+  }
+  
+  /**
+   * Find the recorded portal whose frame holds a position
+   * @param {String} dimension - Dimension name
+   * @param {Object} position - Position { x, y, z }
+   * @returns {Object|null} Portal or null
+   */
+  findPortalAt(dimension, position) {
+    return this.portals.findAt(dimension, position);
+  }
+  
+  /**
+   * An entity touched a nether portal. Players travel after standing in it for
+   * a while, other entities on the next tick
+   * @param {Object} data - Portal contact
+   * @param {Object} data.entity - Entity in the portal
+   * @param {Object} [data.portalPosition] - Portal block touched, defaults to the entity position
+   * @param {String} [data.dimension] - Dimension of the portal, defaults to the entity's
+   * @param {String} [data.portalType='nether_portal'] - Portal block type
+   * @returns {Boolean} Whether the entity is waiting to travel
+   */
+  handleEntityEnterPortal({ entity, portalPosition, dimension, portalType = 'nether_portal' }) {
+    if (!entity || portalType !== 'nether_portal') return false;
+    
+    const entityId = entity.id || entity.uuid;
+    if (!entityId) return false;
+    
+    // An entity standing in the portal it arrived through waits until it steps out
+    if (this.portalCooldowns.has(entityId)) {
+      this.setPortalCooldown(entity);
+      return false;
+    }
+    if (this.pendingTeleports.has(entityId)) return true;
+    
+    const fromDimension = dimension || entity.dimension || 'overworld';
+    const position = { ...(portalPosition || entity.position) };
+    this.pendingTeleports.set(entityId, {
+      entity,
+      dimension: fromDimension,
+      portalPosition: position,
+      ticksLeft: this.getPortalDelay(entity),
+      completionCallback: () => this.travelThroughPortal(entity, fromDimension, position)
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Run portal cooldowns down and send entities that waited long enough in a portal through.
+   * Called once per game tick
    */
-  cleanupTeleportCooldowns() {
-    const now = Date.now();
-    for (const [entityId, timestamp] of this.pendingTeleports.entries()) {
-      if (now - timestamp > 10000) { // 10 seconds
+  processPendingTeleports() {
+    for (const [entityId, ticks] of this.portalCooldowns) {
+      if (ticks <= 1) {
+        this.portalCooldowns.delete(entityId);
+      } else {
+        this.portalCooldowns.set(entityId, ticks - 1);
+      }
+    }
+    
+    for (const [entityId, pending] of this.pendingTeleports) {
+      // Stepping out of the portal calls the trip off
+      const world = this.getDimension(pending.dimension);
+      if (!world || !isInPortal(world, pending.entity.position)) {
+        this.pendingTeleports.delete(entityId);
+        continue;
+      }
+      
+      pending.ticksLeft--;
+      if (pending.ticksLeft <= 0) {
         this.pendingTeleports.delete(entityId);
+        pending.completionCallback();
+      }
+    }
+  }
+  
+  /**
+   * Send an entity through a nether portal: arrive at the closest portal linked
+   * to it in the other dimension, or at a new one built there
+   * @param {Object} entity - Entity to send
+   * @param {String} fromDimension - Dimension the portal is in
+   * @param {Object} [portalPosition] - Portal block the entity touched
+   * @returns {Boolean} Whether the entity travelled
+   */
+  travelThroughPortal(entity, fromDimension, portalPosition = entity.position) {
+    const toDimension = fromDimension === 'nether' ? 'overworld' : 'nether';
+    const fromWorld = this.getDimension(fromDimension);
+    const toWorld = this.getDimension(toDimension);
+    if (!fromWorld || !toWorld) return false;
+    
+    const entryPortal = this.findPortalAt(fromDimension, portalPosition) ||
+      this.locatePortal(fromWorld, fromDimension, portalPosition);
+    const target = this.convertCoordinates(entryPortal ? entryPortal.position : portalPosition, fromDimension, toDimension);
+    
+    // Generate the terrain searched for a portal first, so it is not generated over the exit later
+    if (typeof toWorld.generateAroundPlayer === 'function') {
+      toWorld.generateAroundPlayer({ position: target }, 2);
+    }
+    
+    const exitPortal = this.findLinkedPortal(toWorld, toDimension, target) ||
+      this.createExitPortal(toWorld, toDimension, target, entryPortal ? entryPortal.frame : null);
+    
+    entity.dimension = entity.dimension || fromDimension;
+    return this.teleportEntityToDimension(entity, toDimension, exitPortal.position);
+  }
+  
+  /**
+   * Find the closest standing portal within the search radius of a dimension.
+   * Recorded portals that are gone are forgotten
+   * @param {Object} world - Dimension world
+   * @param {String} dimension - Dimension name
+   * @param {Object} position - Position the search centres on
+   * @returns {Object|null} Portal or null
+   */
+  findLinkedPortal(world, dimension, position) {
+    const radius = PORTAL_SEARCH_RADIUS[dimension] || EXIT_PORTAL_SEARCH_RADIUS;
+    
+    return this.portals.findNearest(dimension, position, radius, (portal) => {
+      if (typeof world.getBlockType !== 'function' || isInPortal(world, portal.position)) {
+        return true;
+      }
+      this.portals.remove(dimension, portal.key);
+      return false;
+    });
+  }
+  
+  /**
+   * Record the portal made of the portal blocks at a position, e.g. one lit
+   * before portals were recorded
+   * @param {Object} world - Dimension world
+   * @param {String} dimension - Dimension name
+   * @param {Object} position - Position inside the portal
+   * @returns {Object|null} The recorded portal, or null without portal blocks there
+   */
+  locatePortal(world, dimension, position) {
+    if (typeof world.getBlockType !== 'function') return null;
+    
+    const typeAt = (x, y, z) => world.getBlockType(`${x},${y},${z}`);
+    let x = Math.floor(position.x);
+    let y = Math.floor(position.y);
+    let z = Math.floor(position.z);
+    
+    if (typeAt(x, y, z) !== 'nether_portal') {
+      if (typeAt(x, y + 1, z) !== 'nether_portal') return null;
+      y++;
+    }
+    
+    // The portal runs along x if its blocks or frame continue that way
+    const runsAlongX = [-1, 1].every(d => ['nether_portal', 'obsidian'].includes(typeAt(x + d, y, z)));
+    const dx = runsAlongX ? 1 : 0;
+    const dz = 1 - dx;
+    
+    while (typeAt(x - dx, y, z - dz) === 'nether_portal') {
+      x -= dx;
+      z -= dz;
+    }
+    while (typeAt(x, y - 1, z) === 'nether_portal') {
+      y--;
+    }
+    
+    let width = 1;
+    while (typeAt(x + dx * width, y, z + dz * width) === 'nether_portal') {
+      width++;
+    }
+    let height = 1;
+    while (typeAt(x, y + height, z) === 'nether_portal') {
+      height++;
+    }
+    
+    return this.registerPortal({
+      dimension,
+      targetDimension: dimension === 'nether' ? 'overworld' : 'nether',
+      frame: {
+        startX: x - dx,
+        startY: y - 1,
+        startZ: z - dz,
+        width: width + 1,
+        height: height + 1,
+        orientation: runsAlongX ? 'x' : 'z'
+      }
+    });
+  }
+  
+  /**
+   * Build a portal the size of the entry portal near a position: on open
+   * ground close by if there is any, otherwise right there on an obsidian ledge
+   * @param {Object} world - Dimension world
+   * @param {String} dimension - Dimension name
+   * @param {Object} position - Where the portal should be
+   * @param {Object} [entryFrame] - Frame of the portal the entity came through
+   * @returns {Object} The recorded portal
+   */
+  createExitPortal(world, dimension, position, entryFrame = null) {
+    const size = {
+      width: entryFrame ? entryFrame.width : DEFAULT_FRAME_WIDTH,
+      height: entryFrame ? entryFrame.height : DEFAULT_FRAME_HEIGHT,
+      orientation: entryFrame ? entryFrame.orientation : 'x'
+    };
+    const frame = this.findExitPortalSite(world, dimension, position, size) ||
+      this.prepareExitPortalSite(world, dimension, position, size);
+    
+    // Frame first, then the portal blocks inside it
+    const dx = frame.orientation === 'x' ? 1 : 0;
+    const dz = 1 - dx;
+    for (let i = 0; i <= frame.width; i++) {
+      for (let j = 0; j <= frame.height; j++) {
+        const onFrame = i === 0 || i === frame.width || j === 0 || j === frame.height;
+        world.setBlock(`${frame.startX + dx * i},${frame.startY + j},${frame.startZ + dz * i}`, onFrame ?
+          { type: 'obsidian' } :
+          { type: 'nether_portal', orientation: frame.orientation });
+      }
+    }
+    
+    const portal = this.registerPortal({
+      dimension,
+      targetDimension: dimension === 'nether' ? 'overworld' : 'nether',
+      frame
+    });
+    this.emit('portalCreated', portal);
+    return portal;
+  }
+  
+  /**
+   * Look for ground with room for a portal, nearest first, within
+   * EXIT_PORTAL_SEARCH_RADIUS blocks of a position
+   * @param {Object} world - Dimension world
+   * @param {String} dimension - Dimension name
+   * @param {Object} position - Where the portal should be
+   * @param {Object} size - Frame { width, height, orientation }
+   * @returns {Object|null} Frame, or null when there is no room
+   */
+  findExitPortalSite(world, dimension, position, size) {
+    if (typeof world.getBlockType !== 'function') return null;
+    
+    const buildHeight = this.getBuildHeight(dimension);
+    const topY = buildHeight.max - size.height - 2;
+    const orientations = size.orientation === 'x' ? ['x', 'z'] : ['z', 'x'];
+    const centerX = Math.floor(position.x);
+    const centerZ = Math.floor(position.z);
+    
+    for (let distance = 0; distance <= EXIT_PORTAL_SEARCH_RADIUS; distance++) {
+      let best = null;
+      let bestHeightDifference = Infinity;
+      
+      for (let offsetX = -distance; offsetX <= distance; offsetX++) {
+        for (let offsetZ = -distance; offsetZ <= distance; offsetZ++) {
+          // Only the ring at this distance
+          if (Math.max(Math.abs(offsetX), Math.abs(offsetZ)) !== distance) continue;
+          
+          for (const orientation of orientations) {
+            const half = Math.floor(size.width / 2);
+            const startX = centerX + offsetX - (orientation === 'x' ? half : 0);
+            const startZ = centerZ + offsetZ - (orientation === 'z' ? half : 0);
+            
+            for (let startY = topY; startY > buildHeight.min; startY--) {
+              const frame = { startX, startY, startZ, width: size.width, height: size.height, orientation };
+              const heightDifference = Math.abs(startY + 1 - position.y);
+              if (heightDifference < bestHeightDifference && canPlacePortal(world, frame)) {
+                best = frame;
+                bestHeightDifference = heightDifference;
+              }
+            }
+          }
+        }
+      }
+      
+      if (best) return best;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Make room for a portal at a position with no open ground nearby: a frame
+   * spot with an obsidian ledge on both sides and air above it
+   * @param {Object} world - Dimension world
+   * @param {String} dimension - Dimension name
+   * @param {Object} position - Where the portal should be
+   * @param {Object} size - Frame { width, height, orientation }
+   * @returns {Object} Frame
+   */
+  prepareExitPortalSite(world, dimension, position, size) {
+    const buildHeight = this.getBuildHeight(dimension);
+    const half = Math.floor(size.width / 2);
+    const frame = {
+      startX: Math.floor(position.x) - (size.orientation === 'x' ? half : 0),
+      startY: Math.min(Math.max(Math.floor(position.y) - 1, buildHeight.min + 1), buildHeight.max - size.height - 2),
+      startZ: Math.floor(position.z) - (size.orientation === 'z' ? half : 0),
+      width: size.width,
+      height: size.height,
+      orientation: size.orientation
+    };
+    
+    const dx = frame.orientation === 'x' ? 1 : 0;
+    const dz = 1 - dx;
+    for (let i = 1; i < frame.width; i++) {
+      for (const side of [-1, 1]) {
+        const x = frame.startX + dx * i + dz * side;
+        const z = frame.startZ + dz * i + dx * side;
+        world.setBlock(`${x},${frame.startY},${z}`, { type: 'obsidian' });
+        for (let j = 1; j < frame.height; j++) {
+          removeBlock(world, `${x},${frame.startY + j},${z}`);
+        }
       }
     }
+    
+    return frame;
+  }
+  
+  /**
+   * Ticks an entity stands in a portal before travelling
+   * @param {Object} entity - Entity
+   * @returns {Number} Ticks
+   */
+  getPortalDelay(entity) {
+    if (!this.isPlayer(entity)) return 1;
+    return entity.gameMode === 'creative' ? 1 : PLAYER_PORTAL_DELAY_TICKS;
+  }
+  
+  /**
+   * Start or top up an entity's portal cooldown
+   * @param {Object} entity - Entity
+   */
+  setPortalCooldown(entity) {
+    this.portalCooldowns.set(entity.id || entity.uuid,
+      this.isPlayer(entity) ? PLAYER_PORTAL_COOLDOWN_TICKS : ENTITY_PORTAL_COOLDOWN_TICKS);
+  }
+  
+  /**
+   * Entities riding a vehicle, e.g. the passenger of a boat
+   * @param {Object} world - Dimension world the vehicle is in
+   * @param {Object} entity - Vehicle
+   * @returns {Array<Object>} Passenger entities
+   */
+  getPassengers(world, entity) {
+    const passengers = entity.passengers || (entity.passenger ? [entity.passenger] : []);
+    return passengers
+      .map(passenger => (typeof passenger === 'object' ? passenger : getEntity(world, passenger)))
+      .filter(passenger => passenger && passenger !== entity);
+  }
+  
+  /**
+   * Lowest and highest y of a dimension
+   * @param {String} dimension - Dimension name
+   * @returns {Object} { min, max }
+   */
+  getBuildHeight(dimension) {
+    const config = this.dimensionConfig[dimension];
+    return config ? config.buildHeight : { min: 0, max: 256 };
+  }
+  
+  /**
+   * Forget pending portal trips and cooldowns
+   */
+  cleanup() {
+    this.pendingTeleports.clear();
+    this.portalCooldowns.clear();
   }
   
   /**
@@ -325,7 +753,8 @@ class DimensionManager extends EventEmitter {
   serialize() {
     // Only serialize configuration that needs to be persisted
     return {
-      spawnPoints: { ...this.spawnPoints }
+      spawnPoints: { ...this.spawnPoints },
+      portals: this.portals.serialize()
     };
   }
   
@@ -337,7 +766,110 @@ class DimensionManager extends EventEmitter {
     if (data.spawnPoints) {
       this.spawnPoints = { ...data.spawnPoints };
     }
+    this.portals.deserialize(data.portals);
+    this.cleanup();
+  }
+}
+
+/**
+ * Frame of a portal described by its middle block, width and height, the way
+ * PortalManager reported portals before it passed frames along
+ * @private
+ */
+function getFrameAroundCenter({ position, width, height, orientation = 'x' }) {
+  return {
+    startX: position.x - (orientation === 'x' ? Math.floor(width / 2) : 0),
+    startY: position.y - Math.floor(height / 2),
+    startZ: position.z - (orientation === 'z' ? Math.floor(width / 2) : 0),
+    width,
+    height,
+    orientation
+  };
+}
+
+/**
+ * Whether the feet or head of an entity at a position are in a portal block.
+ * Worlds that cannot be read are taken to hold the portal
+ * @private
+ */
+function isInPortal(world, position) {
+  if (typeof world.getBlockType !== 'function') return true;
+  
+  const x = Math.floor(position.x);
+  const y = Math.floor(position.y);
+  const z = Math.floor(position.z);
+  return world.getBlockType(`${x},${y},${z}`) === 'nether_portal' ||
+    world.getBlockType(`${x},${y + 1},${z}`) === 'nether_portal';
+}
+
+/**
+ * Whether a frame fits: its bottom row and the ledges beside it on solid
+ * ground, air everywhere above, and room to step out on both sides
+ * @private
+ */
+function canPlacePortal(world, frame) {
+  const { startX, startY, startZ, width, height, orientation } = frame;
+  const typeAt = (x, y, z) => world.getBlockType(`${x},${y},${z}`);
+  const dx = orientation === 'x' ? 1 : 0;
+  const dz = 1 - dx;
+  
+  for (let i = 0; i <= width; i++) {
+    const x = startX + dx * i;
+    const z = startZ + dz * i;
+    if (!isSolid(typeAt(x, startY, z))) return false;
+    for (let j = 1; j <= height; j++) {
+      if (!isAir(typeAt(x, startY + j, z))) return false;
+    }
+    
+    if (i === 0 || i === width) continue;
+    for (const side of [-1, 1]) {
+      const sideX = x + dz * side;
+      const sideZ = z + dx * side;
+      if (!isSolid(typeAt(sideX, startY, sideZ)) ||
+          !isAir(typeAt(sideX, startY + 1, sideZ)) ||
+          !isAir(typeAt(sideX, startY + 2, sideZ))) {
+        return false;
+      }
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * @private
+ */
+function isAir(type) {
+  return !type || AIR_TYPES.has(type);
+}
+
+/**
+ * @private
+ */
+function isSolid(type) {
+  return !isAir(type) && !NON_SOLID_TYPES.has(type);
+}
+
+/**
+ * @private
+ */
+function removeBlock(world, posKey) {
+  if (typeof world.removeBlock === 'function') {
+    world.removeBlock(posKey);
+  } else {
+    world.setBlock(posKey, { type: 'air' });
+  }
+}
+
+/**
+ * Look an entity up by id in a dimension world
+ * @private
+ */
+function getEntity(world, entityId) {
+  if (typeof world.getEntity === 'function') {
+    return world.getEntity(entityId);
   }
+  return world.entities instanceof Map ? world.entities.get(entityId) : null;
 }
 
 module.exports = DimensionManager; 
\ No newline at end of file
@@ -5,6 +5,7 @@
 const EventEmitter = require('events');
 const EnderDragon = require('../entities/enderDragon');
 const EndCrystal = require('../entities/endCrystal');
+const { FlyingNavigator } = require('../mobs/navigation');
 
 class DragonFight extends EventEmitter {
   /**
@@ -12,12 +13,14 @@ class DragonFight extends EventEmitter {
    * @param {Object} options - Fight options
    * @param {Object} options.world - End dimension world
    * @param {Object} options.server - Server instance
+   * @param {PathfindingManager} options.pathfinding - Pathfinding over the End, for steering the dragon
    * @param {Boolean} options.autoStart - Whether to auto-start the fight
    */
   constructor(options = {}) {
     super();
     this.world = options.world;
     this.server = options.server;
+    this.pathfinding = options.pathfinding || null;
     this.autoStart = options.autoStart !== undefined ? options.autoStart : true;
     
     // Dragon fight state
@@ -274,6 +277,11 @@ class DragonFight extends EventEmitter {
       server: this.server
     });
     
+    // Fly around the obsidian pillars instead of through them
+    if (this.pathfinding) {
+      this.dragon.navigator = new FlyingNavigator(this.dragon, this.pathfinding, { height: 4, range: 4 });
+    }
+    
     // Add event listeners
     this.dragon.on('death', this.onDragonDeath.bind(this));
     
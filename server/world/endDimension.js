@@ -11,6 +11,7 @@ class EndDimension {
    * @param {Object} options - Dimension options
    * @param {Number} options.seed - World seed
    * @param {Object} options.server - Server instance
+   * @param {ExplosionManager} options.explosionManager - Sets off explosions such as end crystals
    */
   constructor(options = {}) {
     this.id = 'end';
@@ -24,6 +25,16 @@ class EndDimension {
     // Entities in the end
     this.entities = new Map();
     
+    // Explosions, e.g. from end crystals, break end blocks through this facade
+    this.explosionManager = options.explosionManager || null;
+    if (this.explosionManager) {
+      this.explosionManager.addWorld(this.id, {
+        getBlock: (x, y, z) => this.blocks.get(`${x},${y},${z}`) || null,
+        setBlock: (x, y, z, block) => (block ? this.setBlock({ x, y, z }, block) : this.removeBlock({ x, y, z })),
+        getEntities: () => Array.from(this.entities.values())
+      });
+    }
+    
     // Listeners for events
     this.listeners = new Map();
     
@@ -147,6 +158,16 @@ class EndDimension {
     }
   }
   
+  /**
+   * Set off an explosion in the end, e.g. when an end crystal is destroyed
+   * @param {Object} options - Explosion options, see ExplosionManager.explode
+   * @returns {Object|null} Explosion result, null without an explosion manager
+   */
+  createExplosion(options) {
+    if (!this.explosionManager) return null;
+    return this.explosionManager.explode({ ...options, dimension: this.id });
+  }
+  
   /**
    * Adds an entity to the end dimension
    * @param {Object} entity - The entity to add
@@ -0,0 +1,310 @@
+/**
+ * InterestManager - Per-player area-of-interest replication
+ *
+ * Every player subscribes to the chunks within their view distance through
+ * ChunkLoader.updatePlayerChunks. Chunks entering view are sent in full and
+ * chunks leaving view are unloaded on the client. Entities are only
+ * replicated to players whose view holds the entity's chunk: a player is
+ * sent the full state once when an entity comes into view, afterwards only
+ * the fields that changed since the last update they were sent, and a
+ * despawn when it leaves view or is removed.
+ *
+ * Blocks live in a flat map keyed "x,y,z", so chunk contents are found
+ * through an index of block keys per chunk that is kept up to date by
+ * onBlockChanged.
+ */
+
+const { EventEmitter } = require('events');
+const ChunkLoader = require('./chunkLoader');
+
+const CHUNK_SIZE = 16;
+
+class InterestManager extends EventEmitter {
+  /**
+   * Create a new interest manager
+   * @param {Object} options - Manager options
+   * @param {Object} options.blocks - Block map keyed "x,y,z"
+   * @param {ChunkLoader} options.chunkLoader - Loader tracking the chunks each player can see
+   * @param {number} options.viewDistance - View distance in chunks, used when no loader is given
+   * @param {string} options.dimension - Dimension whose players receive chunks and entities
+   */
+  constructor(options = {}) {
+    super();
+    this.blocks = options.blocks || {};
+    this.dimension = options.dimension || 'overworld';
+    this.chunkLoader = options.chunkLoader || new ChunkLoader({
+      world: {},
+      viewDistance: options.viewDistance || 8,
+      loadChunks: false
+    });
+
+    // Block keys per chunk key
+    this.chunkIndex = new Map();
+    this.indexBlocks(this.blocks);
+
+    // Per-player replication state, keyed by player id
+    this.viewers = new Map();
+  }
+
+  /**
+   * Start replicating to a player and send the chunks around them
+   * @param {Object} player - Player with id, position and dimension
+   */
+  addPlayer(player) {
+    this.viewers.set(player.id, {
+      chunk: null,
+      // Entity id -> state the player was last sent
+      entities: new Map()
+    });
+    this.updatePlayer(player);
+  }
+
+  /**
+   * Stop replicating to a player
+   * @param {string} playerId - Player id
+   */
+  removePlayer(playerId) {
+    this.viewers.delete(playerId);
+    this.chunkLoader.removePlayer(playerId);
+  }
+
+  /**
+   * Update a player's subscriptions after they moved. Nothing happens until
+   * the player crosses into another chunk.
+   * @param {Object} player - Player with id, position and dimension
+   */
+  updatePlayer(player) {
+    const viewer = this.viewers.get(player.id);
+    if (!viewer) return;
+
+    if ((player.dimension || 'overworld') !== this.dimension) {
+      this.unsubscribeAll(player.id, viewer);
+      return;
+    }
+
+    const chunk = this.getChunkKey(
+      Math.floor(player.position.x / CHUNK_SIZE),
+      Math.floor(player.position.z / CHUNK_SIZE)
+    );
+    if (chunk === viewer.chunk) return;
+    viewer.chunk = chunk;
+
+    const { added, removed } = this.chunkLoader.updatePlayerChunks(player);
+    for (const { x, z } of removed) {
+      this.emit('chunkUnload', { playerId: player.id, x, z });
+    }
+    for (const { x, z } of added) {
+      this.emit('chunkData', { playerId: player.id, x, z, blocks: this.getChunkBlocks(x, z) });
+    }
+  }
+
+  /**
+   * Send every subscribed chunk again, e.g. after a world was loaded
+   */
+  resendChunks() {
+    for (const playerId of this.viewers.keys()) {
+      for (const chunkKey of this.getPlayerChunks(playerId)) {
+        const { x, z } = this.chunkLoader.parseChunkKey(chunkKey);
+        this.emit('chunkData', { playerId, x, z, blocks: this.getChunkBlocks(x, z) });
+      }
+    }
+  }
+
+  /**
+   * Replicate entity state to the players that can see each entity. Emits
+   * one 'entityUpdates' event per player with anything to send.
+   * @param {Object} entities - Serialized entities keyed by id, each with a position
+   */
+  syncEntities(entities) {
+    // Snapshot each entity once; the snapshots are what viewers remember
+    const snapshots = new Map();
+    for (const id in entities) {
+      const entity = entities[id];
+      if (entity && entity.position) {
+        snapshots.set(id, {
+          chunk: this.getChunkKeyForPosition(entity.position),
+          state: JSON.parse(JSON.stringify(entity))
+        });
+      }
+    }
+
+    for (const [playerId, viewer] of this.viewers) {
+      const chunks = this.getPlayerChunks(playerId);
+      const spawned = {};
+      const updated = {};
+      const despawned = [];
+
+      for (const id of viewer.entities.keys()) {
+        const snapshot = snapshots.get(id);
+        if (!snapshot || !chunks.has(snapshot.chunk)) {
+          viewer.entities.delete(id);
+          despawned.push(id);
+        }
+      }
+
+      for (const [id, { chunk, state }] of snapshots) {
+        if (!chunks.has(chunk)) continue;
+
+        const previous = viewer.entities.get(id);
+        if (!previous) {
+          spawned[id] = state;
+        } else {
+          const delta = this.diff(previous, state);
+          if (delta) {
+            updated[id] = delta;
+          }
+        }
+        viewer.entities.set(id, state);
+      }
+
+      if (Object.keys(spawned).length || Object.keys(updated).length || despawned.length) {
+        this.emit('entityUpdates', { playerId, spawned, updated, despawned });
+      }
+    }
+  }
+
+  /**
+   * Stop the chunk loader's background timer
+   */
+  dispose() {
+    this.chunkLoader.dispose();
+    this.viewers.clear();
+  }
+
+  /**
+   * Keep the chunk index in step with a block change
+   * @param {string} posKey - Block position "x,y,z"
+   */
+  onBlockChanged(posKey) {
+    const chunkKey = this.getChunkKeyForBlock(posKey);
+    if (this.blocks[posKey]) {
+      if (!this.chunkIndex.has(chunkKey)) {
+        this.chunkIndex.set(chunkKey, new Set());
+      }
+      this.chunkIndex.get(chunkKey).add(posKey);
+    } else if (this.chunkIndex.has(chunkKey)) {
+      const keys = this.chunkIndex.get(chunkKey);
+      keys.delete(posKey);
+      if (keys.size === 0) {
+        this.chunkIndex.delete(chunkKey);
+      }
+    }
+  }
+
+  /**
+   * Rebuild the chunk index, e.g. after the block map was replaced
+   * @param {Object} blocks - Block map keyed "x,y,z"
+   */
+  indexBlocks(blocks) {
+    this.blocks = blocks;
+    this.chunkIndex.clear();
+    for (const posKey in blocks) {
+      this.onBlockChanged(posKey);
+    }
+  }
+
+  /**
+   * Get the blocks of one chunk
+   * @param {number} x - Chunk X coordinate
+   * @param {number} z - Chunk Z coordinate
+   * @returns {Object} Blocks keyed "x,y,z"
+   */
+  getChunkBlocks(x, z) {
+    const chunkBlocks = {};
+    const keys = this.chunkIndex.get(this.getChunkKey(x, z));
+    if (keys) {
+      for (const posKey of keys) {
+        chunkBlocks[posKey] = this.blocks[posKey];
+      }
+    }
+    return chunkBlocks;
+  }
+
+  /**
+   * Get the players that can see a chunk
+   * @param {number} x - Chunk X coordinate
+   * @param {number} z - Chunk Z coordinate
+   * @returns {Array<string>} Player ids
+   */
+  getViewers(x, z) {
+    const chunkKey = this.getChunkKey(x, z);
+    const viewers = [];
+    for (const playerId of this.viewers.keys()) {
+      if (this.getPlayerChunks(playerId).has(chunkKey)) {
+        viewers.push(playerId);
+      }
+    }
+    return viewers;
+  }
+
+  /**
+   * Get the players that can see a block position
+   * @param {string} posKey - Block position "x,y,z"
+   * @returns {Array<string>} Player ids
+   */
+  getBlockViewers(posKey) {
+    const { x, z } = this.chunkLoader.parseChunkKey(this.getChunkKeyForBlock(posKey));
+    return this.getViewers(x, z);
+  }
+
+  /**
+   * Fields of an entity state that changed. Nested objects such as
+   * position are sent whole when any of their fields changed.
+   * @private
+   */
+  diff(previous, state) {
+    let delta = null;
+    for (const field in state) {
+      if (JSON.stringify(previous[field]) !== JSON.stringify(state[field])) {
+        delta = delta || {};
+        delta[field] = state[field];
+      }
+    }
+    return delta;
+  }
+
+  /**
+   * @private
+   */
+  unsubscribeAll(playerId, viewer) {
+    for (const chunkKey of this.getPlayerChunks(playerId)) {
+      const { x, z } = this.chunkLoader.parseChunkKey(chunkKey);
+      this.emit('chunkUnload', { playerId, x, z });
+    }
+    this.chunkLoader.removePlayer(playerId);
+    viewer.chunk = null;
+  }
+
+  /**
+   * @private
+   */
+  getPlayerChunks(playerId) {
+    return this.chunkLoader.playerChunks.get(playerId) || new Set();
+  }
+
+  /**
+   * @private
+   */
+  getChunkKey(x, z) {
+    return this.chunkLoader.getChunkKey(x, z);
+  }
+
+  /**
+   * @private
+   */
+  getChunkKeyForPosition(position) {
+    return this.getChunkKey(Math.floor(position.x / CHUNK_SIZE), Math.floor(position.z / CHUNK_SIZE));
+  }
+
+  /**
+   * @private
+   */
+  getChunkKeyForBlock(posKey) {
+    const [x, , z] = posKey.split(',').map(Number);
+    return this.getChunkKey(Math.floor(x / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE));
+  }
+}
+
+InterestManager.CHUNK_SIZE = CHUNK_SIZE;
+
+module.exports = InterestManager;
@@ -4,6 +4,7 @@
 
 const NoiseGenerator = require('../utils/noiseGenerator');
 const { FBMNoise, InterpolatedNoise } = NoiseGenerator;
+const FluidManager = require('../systems/fluidManager');
 
 class NetherDimension {
   /**
@@ -52,6 +53,24 @@ class NetherDimension {
       nether_wart_block: { name: 'Nether Wart Block', hardness: 1 },
       magma_block: { name: 'Magma Block', hardness: 0.5, damage: true }
     };
+    
+    // Nether lava flows fast and far, and water evaporates
+    this.fluids = new FluidManager({
+      dimension: this.id,
+      world: {
+        getBlockAt: (x, y, z) => this.blocks.get(`${x},${y},${z}`) || null,
+        setBlock: (x, y, z, block) => block ? this.setBlock({ x, y, z }, block) : this.removeBlock({ x, y, z }),
+        minHeight: 0,
+        maxHeight: this.ceilingHeight
+      }
+    });
+  }
+  
+  /**
+   * Run scheduled fluid ticks
+   */
+  tick() {
+    this.fluids.tick();
   }
   
   /**
@@ -123,6 +142,8 @@ class NetherDimension {
         type: blockData.type 
       });
     }
+    
+    this.notifyFluids(posKey);
   }
   
   /**
@@ -141,6 +162,18 @@ class NetherDimension {
         type: null 
       });
     }
+    
+    this.notifyFluids(posKey);
+  }
+  
+  /**
+   * Let fluids around a changed block flow
+   * @private
+   * @param {String} posKey - Block position as "x,y,z"
+   */
+  notifyFluids(posKey) {
+    const [x, y, z] = posKey.split(',').map(Number);
+    this.fluids.onBlockChanged(x, y, z);
   }
   
   /**
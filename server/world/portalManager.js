@@ -296,12 +296,12 @@ class PortalManager extends EventEmitter {
       }
     }
     
-    // Calculate the center of the portal
-    const centerX = startX + width / 2;
+    // Calculate the center of the portal; it only widens along its orientation
+    const centerX = orientation === 'x' ? startX + width / 2 : startX;
     const centerY = startY + height / 2;
-    const centerZ = startZ + width / 2;
+    const centerZ = orientation === 'z' ? startZ + width / 2 : startZ;
     
-    // Create portal data
+    // Create portal data; the frame lets the dimension manager link portals of any size
     const portalData = {
       dimension,
       targetDimension: dimension === 'overworld' ? 'nether' : 'overworld',
@@ -312,14 +312,15 @@ class PortalManager extends EventEmitter {
         z: Math.floor(centerZ) 
       },
       width,
-      height
+      height,
+      frame: { startX, startY, startZ, width, height, orientation }
     };
     
     // Emit portal created event for the dimension manager
     this.emit('portalCreated', portalData);
     
     // If server has a dimension manager, register the portal
-    if (this.server.dimensionManager) {
+    if (this.server && this.server.dimensionManager) {
       this.server.dimensionManager.registerPortal(portalData);
     }
     
@@ -0,0 +1,251 @@
+/**
+ * PortalRegistry - Point-of-interest index of the nether portals in each dimension
+ *
+ * Portals are recorded by their obsidian frame, in the format used by
+ * PortalManager.validatePortalFrame: the frame's bottom corner (startX, startY,
+ * startZ), its orientation, and width and height measured from that corner to
+ * the opposite side of the frame, so the portal blocks inside span
+ * (width - 1) x (height - 1). Every portal is indexed by the chunks its frame
+ * touches so that finding the nearest portal only looks at nearby chunks.
+ */
+
+const CHUNK_SIZE = 16;
+
+class PortalRegistry {
+  /**
+   * Create an empty portal registry
+   */
+  constructor() {
+    // Dimension -> portal key -> portal
+    this.portals = new Map();
+
+    // Dimension -> chunk key -> Set of portal keys
+    this.chunkIndex = new Map();
+  }
+
+  /**
+   * Record a portal, replacing any portal with the same frame
+   * @param {Object} portal - Portal data
+   * @param {string} portal.dimension - Dimension the portal is in
+   * @param {Object} portal.frame - Frame { startX, startY, startZ, width, height, orientation }
+   * @returns {Object} The recorded portal with its key and exit position
+   */
+  add(portal) {
+    const frame = { ...portal.frame, orientation: portal.frame.orientation || portal.orientation || 'x' };
+    const record = {
+      key: getFrameKey(frame),
+      dimension: portal.dimension || 'overworld',
+      targetDimension: portal.targetDimension || null,
+      orientation: frame.orientation,
+      frame,
+      position: PortalRegistry.getExitPosition(frame)
+    };
+
+    this.remove(record.dimension, record.key);
+
+    if (!this.portals.has(record.dimension)) {
+      this.portals.set(record.dimension, new Map());
+      this.chunkIndex.set(record.dimension, new Map());
+    }
+    this.portals.get(record.dimension).set(record.key, record);
+
+    const chunks = this.chunkIndex.get(record.dimension);
+    for (const chunkKey of getFrameChunks(frame)) {
+      if (!chunks.has(chunkKey)) {
+        chunks.set(chunkKey, new Set());
+      }
+      chunks.get(chunkKey).add(record.key);
+    }
+
+    return record;
+  }
+
+  /**
+   * Forget a portal
+   * @param {string} dimension - Dimension
+   * @param {string} key - Portal key
+   * @returns {boolean} Whether a portal was removed
+   */
+  remove(dimension, key) {
+    const portals = this.portals.get(dimension);
+    const portal = portals && portals.get(key);
+    if (!portal) return false;
+
+    portals.delete(key);
+    const chunks = this.chunkIndex.get(dimension);
+    for (const chunkKey of getFrameChunks(portal.frame)) {
+      const keys = chunks.get(chunkKey);
+      if (!keys) continue;
+      keys.delete(key);
+      if (keys.size === 0) {
+        chunks.delete(chunkKey);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Find the portal whose frame holds a position
+   * @param {string} dimension - Dimension
+   * @param {Object} position - Position { x, y, z }
+   * @returns {Object|null} Portal or null
+   */
+  findAt(dimension, position) {
+    const x = Math.floor(position.x);
+    const y = Math.floor(position.y);
+    const z = Math.floor(position.z);
+
+    for (const portal of this.getPortalsInChunk(dimension, Math.floor(x / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE))) {
+      const { startX, startY, startZ, width, height, orientation } = portal.frame;
+      const along = orientation === 'x' ? x - startX : z - startZ;
+      const across = orientation === 'x' ? z - startZ : x - startX;
+      if (across === 0 && along >= 0 && along <= width && y >= startY && y <= startY + height) {
+        return portal;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the portal closest to a position within a square search radius
+   * @param {string} dimension - Dimension
+   * @param {Object} position - Position { x, y, z }
+   * @param {number} radius - Blocks searched along x and z
+   * @param {Function} [isValid] - Filter for portals that still stand: (portal) => boolean
+   * @returns {Object|null} Closest portal or null
+   */
+  findNearest(dimension, position, radius, isValid = () => true) {
+    const minChunkX = Math.floor((position.x - radius) / CHUNK_SIZE);
+    const maxChunkX = Math.floor((position.x + radius) / CHUNK_SIZE);
+    const minChunkZ = Math.floor((position.z - radius) / CHUNK_SIZE);
+    const maxChunkZ = Math.floor((position.z + radius) / CHUNK_SIZE);
+    const seen = new Set();
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
+      for (let chunkZ = minChunkZ; chunkZ <= maxChunkZ; chunkZ++) {
+        for (const portal of this.getPortalsInChunk(dimension, chunkX, chunkZ)) {
+          if (seen.has(portal.key)) continue;
+          seen.add(portal.key);
+
+          const dx = portal.position.x - position.x;
+          const dy = portal.position.y - position.y;
+          const dz = portal.position.z - position.z;
+          if (Math.abs(dx) > radius || Math.abs(dz) > radius) continue;
+
+          const distance = dx * dx + dy * dy + dz * dz;
+          if (distance < nearestDistance && isValid(portal)) {
+            nearest = portal;
+            nearestDistance = distance;
+          }
+        }
+      }
+    }
+
+    return nearest;
+  }
+
+  /**
+   * Get the portals whose frames touch a chunk
+   * @param {string} dimension - Dimension
+   * @param {number} chunkX - Chunk x
+   * @param {number} chunkZ - Chunk z
+   * @returns {Array<Object>} Portals
+   */
+  getPortalsInChunk(dimension, chunkX, chunkZ) {
+    const chunks = this.chunkIndex.get(dimension);
+    const keys = chunks && chunks.get(`${chunkX},${chunkZ}`);
+    if (!keys) return [];
+
+    const portals = this.portals.get(dimension);
+    return Array.from(keys, key => portals.get(key));
+  }
+
+  /**
+   * Get every portal in a dimension
+   * @param {string} dimension - Dimension
+   * @returns {Array<Object>} Portals
+   */
+  getPortals(dimension) {
+    const portals = this.portals.get(dimension);
+    return portals ? Array.from(portals.values()) : [];
+  }
+
+  /**
+   * Forget every portal
+   */
+  clear() {
+    this.portals.clear();
+    this.chunkIndex.clear();
+  }
+
+  /**
+   * Save the registry
+   * @returns {Object} Dimension -> list of portals
+   */
+  serialize() {
+    const data = {};
+    for (const [dimension, portals] of this.portals) {
+      data[dimension] = Array.from(portals.values(), portal => ({
+        targetDimension: portal.targetDimension,
+        frame: { ...portal.frame }
+      }));
+    }
+    return data;
+  }
+
+  /**
+   * Load a saved registry, replacing the portals recorded so far
+   * @param {Object} data - Data from serialize()
+   */
+  deserialize(data) {
+    this.clear();
+    if (!data) return;
+
+    for (const [dimension, portals] of Object.entries(data)) {
+      for (const portal of portals) {
+        this.add({ ...portal, dimension });
+      }
+    }
+  }
+
+  /**
+   * Where entities leaving a portal stand: the middle of its bottom row of portal blocks
+   * @param {Object} frame - Portal frame
+   * @returns {Object} Position { x, y, z }
+   */
+  static getExitPosition(frame) {
+    const { startX, startY, startZ, width, orientation } = frame;
+    return {
+      x: orientation === 'x' ? startX + (width + 1) / 2 : startX + 0.5,
+      y: startY + 1,
+      z: orientation === 'z' ? startZ + (width + 1) / 2 : startZ + 0.5
+    };
+  }
+}
+
+/**
+ * @private
+ */
+function getFrameKey(frame) {
+  return `${frame.startX},${frame.startY},${frame.startZ},${frame.orientation}`;
+}
+
+/**
+ * Chunk keys a frame touches
+ * @private
+ */
+function getFrameChunks(frame) {
+  const endX = frame.orientation === 'x' ? frame.startX + frame.width : frame.startX;
+  const endZ = frame.orientation === 'z' ? frame.startZ + frame.width : frame.startZ;
+  const chunks = new Set();
+  for (let chunkX = Math.floor(frame.startX / CHUNK_SIZE); chunkX <= Math.floor(endX / CHUNK_SIZE); chunkX++) {
+    for (let chunkZ = Math.floor(frame.startZ / CHUNK_SIZE); chunkZ <= Math.floor(endZ / CHUNK_SIZE); chunkZ++) {
+      chunks.add(`${chunkX},${chunkZ}`);
+    }
+  }
+  return chunks;
+}
+
+module.exports = PortalRegistry;
@@ -0,0 +1,295 @@
+/**
+ * RegionFile - Stores a 32x32 grid of chunks in a single sector-based file
+ *
+ * The file starts with two 4 KiB header tables of 1024 entries each:
+ *   locations  - u32 per chunk: (sectorOffset << 8) | sectorCount
+ *   timestamps - u32 per chunk: last write time in seconds
+ * Chunk payloads follow, each aligned to 4 KiB sectors and prefixed with
+ *   length u32 (payload bytes + 1) | compression u8 | payload
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const SECTOR_SIZE = 4096;
+const REGION_SIZE = 32;
+const CHUNKS_PER_REGION = REGION_SIZE * REGION_SIZE;
+const HEADER_SECTORS = 2;
+const MAX_SECTORS_PER_CHUNK = 255;
+
+const COMPRESSION_NONE = 0;
+const COMPRESSION_ZLIB = 2;
+
+class RegionFile {
+  /**
+   * Opens (and creates if needed) a region file
+   * @param {String} filePath - Path to the region file
+   * @param {Object} options - Region options
+   * @param {Boolean} options.compress - Whether to zlib-compress chunk payloads
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.compress = options.compress !== false;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (!fs.existsSync(filePath)) {
+      fs.writeFileSync(filePath, Buffer.alloc(HEADER_SECTORS * SECTOR_SIZE));
+    }
+
+    this.fd = fs.openSync(filePath, 'r+');
+    this.locations = new Uint32Array(CHUNKS_PER_REGION);
+    this.timestamps = new Uint32Array(CHUNKS_PER_REGION);
+    this.usedSectors = [];
+
+    this.readHeader();
+  }
+
+  /**
+   * Gets the header index of a chunk
+   * @param {Number} localX - Chunk X within the region (0-31)
+   * @param {Number} localZ - Chunk Z within the region (0-31)
+   * @returns {Number} Header index
+   */
+  getIndex(localX, localZ) {
+    if (localX < 0 || localX >= REGION_SIZE || localZ < 0 || localZ >= REGION_SIZE) {
+      throw new Error(`Chunk ${localX},${localZ} is outside the region`);
+    }
+    return localX + localZ * REGION_SIZE;
+  }
+
+  /**
+   * Reads the location and timestamp tables and rebuilds the sector map
+   * @private
+   */
+  readHeader() {
+    const size = fs.fstatSync(this.fd).size;
+    const totalSectors = Math.max(HEADER_SECTORS, Math.ceil(size / SECTOR_SIZE));
+    this.usedSectors = new Array(totalSectors).fill(false);
+    for (let i = 0; i < HEADER_SECTORS; i++) {
+      this.usedSectors[i] = true;
+    }
+
+    const header = Buffer.alloc(HEADER_SECTORS * SECTOR_SIZE);
+    fs.readSync(this.fd, header, 0, header.length, 0);
+
+    for (let i = 0; i < CHUNKS_PER_REGION; i++) {
+      const location = header.readUInt32LE(i * 4);
+      const offset = location >>> 8;
+      const count = location & 0xff;
+
+      // Drop entries that point outside the file, e.g. after a truncated write
+      if (location !== 0 && (offset < HEADER_SECTORS || offset + count > totalSectors)) {
+        this.locations[i] = 0;
+        continue;
+      }
+
+      this.locations[i] = location;
+      this.timestamps[i] = header.readUInt32LE(SECTOR_SIZE + i * 4);
+      for (let s = 0; s < count; s++) {
+        this.usedSectors[offset + s] = true;
+      }
+    }
+  }
+
+  /**
+   * Writes one header entry for a chunk
+   * @private
+   * @param {Number} index - Header index
+   */
+  writeHeaderEntry(index) {
+    const entry = Buffer.alloc(4);
+    entry.writeUInt32LE(this.locations[index] >>> 0, 0);
+    fs.writeSync(this.fd, entry, 0, 4, index * 4);
+
+    entry.writeUInt32LE(this.timestamps[index] >>> 0, 0);
+    fs.writeSync(this.fd, entry, 0, 4, SECTOR_SIZE + index * 4);
+  }
+
+  /**
+   * Checks whether a chunk is stored in this region
+   * @param {Number} localX - Chunk X within the region
+   * @param {Number} localZ - Chunk Z within the region
+   * @returns {Boolean} Whether the chunk exists
+   */
+  hasChunk(localX, localZ) {
+    return this.locations[this.getIndex(localX, localZ)] !== 0;
+  }
+
+  /**
+   * Gets the last write time of a chunk
+   * @param {Number} localX - Chunk X within the region
+   * @param {Number} localZ - Chunk Z within the region
+   * @returns {Number} Timestamp in seconds, or 0 if the chunk is absent
+   */
+  getTimestamp(localX, localZ) {
+    return this.timestamps[this.getIndex(localX, localZ)];
+  }
+
+  /**
+   * Reads a chunk payload
+   * @param {Number} localX - Chunk X within the region
+   * @param {Number} localZ - Chunk Z within the region
+   * @returns {Buffer|null} Decompressed payload, or null if the chunk is absent
+   */
+  readChunk(localX, localZ) {
+    const location = this.locations[this.getIndex(localX, localZ)];
+    if (location === 0) return null;
+
+    const offset = location >>> 8;
+    const count = location & 0xff;
+    const data = Buffer.alloc(count * SECTOR_SIZE);
+    fs.readSync(this.fd, data, 0, data.length, offset * SECTOR_SIZE);
+
+    const length = data.readUInt32LE(0);
+    if (length < 1 || length + 4 > data.length) {
+      throw new Error(`Corrupted chunk ${localX},${localZ} in ${this.filePath}`);
+    }
+
+    const compression = data.readUInt8(4);
+    const payload = data.subarray(5, 4 + length);
+    switch (compression) {
+      case COMPRESSION_NONE:
+        return Buffer.from(payload);
+      case COMPRESSION_ZLIB:
+        return zlib.inflateSync(payload);
+      default:
+        throw new Error(`Unknown compression type ${compression} in ${this.filePath}`);
+    }
+  }
+
+  /**
+   * Writes a chunk payload
+   * @param {Number} localX - Chunk X within the region
+   * @param {Number} localZ - Chunk Z within the region
+   * @param {Buffer} payload - Uncompressed chunk data
+   */
+  writeChunk(localX, localZ, payload) {
+    const index = this.getIndex(localX, localZ);
+    const compression = this.compress ? COMPRESSION_ZLIB : COMPRESSION_NONE;
+    const body = this.compress ? zlib.deflateSync(payload) : payload;
+
+    const data = Buffer.alloc(5 + body.length);
+    data.writeUInt32LE(body.length + 1, 0);
+    data.writeUInt8(compression, 4);
+    body.copy(data, 5);
+
+    const sectorsNeeded = Math.ceil(data.length / SECTOR_SIZE);
+    if (sectorsNeeded > MAX_SECTORS_PER_CHUNK) {
+      throw new Error(`Chunk ${localX},${localZ} is too large for a region file`);
+    }
+
+    // Copy-on-write: the new payload goes to free sectors and only the
+    // header update switches over, so a crash mid-write keeps the old chunk
+    const location = this.locations[index];
+    const oldOffset = location >>> 8;
+    const oldCount = location & 0xff;
+    const offset = this.findFreeSectors(sectorsNeeded);
+    for (let s = 0; s < sectorsNeeded; s++) {
+      this.usedSectors[offset + s] = true;
+    }
+
+    const padded = Buffer.alloc(sectorsNeeded * SECTOR_SIZE);
+    data.copy(padded, 0);
+    fs.writeSync(this.fd, padded, 0, padded.length, offset * SECTOR_SIZE);
+    fs.fsyncSync(this.fd);
+
+    this.locations[index] = ((offset << 8) | sectorsNeeded) >>> 0;
+    this.timestamps[index] = Math.floor(Date.now() / 1000);
+    this.writeHeaderEntry(index);
+
+    for (let s = 0; s < oldCount; s++) {
+      this.usedSectors[oldOffset + s] = false;
+    }
+  }
+
+  /**
+   * Removes a chunk from the region
+   * @param {Number} localX - Chunk X within the region
+   * @param {Number} localZ - Chunk Z within the region
+   * @returns {Boolean} Whether a chunk was removed
+   */
+  deleteChunk(localX, localZ) {
+    const index = this.getIndex(localX, localZ);
+    const location = this.locations[index];
+    if (location === 0) return false;
+
+    const offset = location >>> 8;
+    const count = location & 0xff;
+    for (let s = 0; s < count; s++) {
+      this.usedSectors[offset + s] = false;
+    }
+
+    this.locations[index] = 0;
+    this.timestamps[index] = 0;
+    this.writeHeaderEntry(index);
+    return true;
+  }
+
+  /**
+   * Finds a run of free sectors, growing the file if none is large enough
+   * @private
+   * @param {Number} count - Number of sectors needed
+   * @returns {Number} Offset of the first sector
+   */
+  findFreeSectors(count) {
+    let runStart = -1;
+    let runLength = 0;
+
+    for (let i = HEADER_SECTORS; i < this.usedSectors.length; i++) {
+      if (this.usedSectors[i]) {
+        runStart = -1;
+        runLength = 0;
+        continue;
+      }
+      if (runStart === -1) runStart = i;
+      runLength++;
+      if (runLength === count) return runStart;
+    }
+
+    // Extend the file; a trailing free run can be reused as the start
+    const offset = runStart === -1 ? this.usedSectors.length : runStart;
+    while (this.usedSectors.length < offset + count) {
+      this.usedSectors.push(false);
+    }
+    return offset;
+  }
+
+  /**
+   * Lists the chunks stored in this region
+   * @returns {Array} Array of {x, z} local chunk coordinates
+   */
+  listChunks() {
+    const chunks = [];
+    for (let i = 0; i < CHUNKS_PER_REGION; i++) {
+      if (this.locations[i] !== 0) {
+        chunks.push({ x: i % REGION_SIZE, z: Math.floor(i / REGION_SIZE) });
+      }
+    }
+    return chunks;
+  }
+
+  /**
+   * Flushes pending writes to disk
+   */
+  flush() {
+    if (this.fd !== null) {
+      fs.fsyncSync(this.fd);
+    }
+  }
+
+  /**
+   * Closes the file handle
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+RegionFile.SECTOR_SIZE = SECTOR_SIZE;
+RegionFile.REGION_SIZE = REGION_SIZE;
+
+module.exports = RegionFile;
@@ -0,0 +1,587 @@
+/**
+ * StructurePlacementManager - Decides where structures start and builds them
+ * chunk by chunk as the world generates
+ *
+ * Most structures are placed on a grid of regions `spacing` chunks across:
+ * each region holds at most one start, in a chunk picked from the world seed
+ * and the structure's salt, at least `separation` chunks from the next
+ * region's start. A start only happens where the biome at its chunk is one of
+ * the structure's biomes and, for rare structures, when the region passes the
+ * structure's frequency roll. Strongholds use concentric rings around the
+ * origin instead. Either way the position of every start follows from the seed
+ * alone, so locate() can find structures in chunks nobody has generated yet.
+ *
+ * The first time a chunk generates, every start within MAX_REACH_CHUNKS of it
+ * is built into a buffer, which records the start's bounding box; each chunk
+ * then takes the blocks that fall inside it, so structures crossing chunk
+ * borders arrive piece by piece as their chunks generate. Starts are saved
+ * with the world without their blocks, which are rebuilt when a chunk they
+ * cover generates again.
+ */
+
+const EventEmitter = require('events');
+const { createSeededRandom, hashSeed } = require('../utils/mathUtils');
+
+// Default chunk width in blocks
+const CHUNK_SIZE = 16;
+
+// Chunks a structure may reach from its start chunk; blocks beyond are left out
+const MAX_REACH_CHUNKS = 8;
+
+const SpreadType = Object.freeze({
+  LINEAR: 'linear',
+  TRIANGULAR: 'triangular'
+});
+
+const PlacementType = Object.freeze({
+  RANDOM_SPREAD: 'random_spread',
+  CONCENTRIC_RINGS: 'concentric_rings'
+});
+
+const OCEAN_BIOMES = ['ocean', 'deep_ocean', 'frozen_ocean', 'frozen_deep_ocean'];
+
+/**
+ * Placements for the structures StructureGenerator builds. spacing and
+ * separation are in chunks; getY turns the surface height at the start into
+ * the height the structure is built at.
+ */
+const DEFAULT_PLACEMENTS = {
+  village: { spacing: 34, separation: 8, salt: 10387312, biomes: ['plains', 'desert', 'cherry_grove'] },
+  desert_pyramid: { spacing: 32, separation: 8, salt: 14357617, biomes: ['desert'] },
+  witch_hut: { spacing: 32, separation: 8, salt: 14357620, biomes: ['mangrove_swamp'] },
+  small_ruin: { spacing: 24, separation: 6, salt: 14357622, biomes: ['plains', 'forest', 'mountains'] },
+  wind_turbine: { spacing: 40, separation: 12, salt: 94251327, biomes: ['plains', 'mountains'] },
+  ocean_ruins: { spacing: 20, separation: 8, salt: 14357621, biomes: OCEAN_BIOMES },
+  ocean_monument: {
+    spacing: 32, separation: 5, salt: 10387313, spread: SpreadType.TRIANGULAR,
+    biomes: ['deep_ocean', 'frozen_deep_ocean'], rare: true
+  },
+  ancient_city: {
+    spacing: 24, separation: 8, salt: 20083232, biomes: ['deep_dark'], rare: true,
+    getY: surfaceY => Math.min(25, surfaceY - 30)
+  },
+  mineshaft: {
+    spacing: 1, separation: 0, salt: 0, frequency: 0.004,
+    getY: surfaceY => Math.min(Math.max(10, surfaceY - 40), 40)
+  },
+  stronghold: {
+    type: PlacementType.CONCENTRIC_RINGS, distance: 32, spread: 3, count: 128, rare: true,
+    getY: surfaceY => Math.max(10, surfaceY - 20)
+  }
+};
+
+class StructurePlacementManager extends EventEmitter {
+  /**
+   * Create a placement manager
+   * @param {Object} options - Manager options
+   * @param {number} options.seed - World seed
+   * @param {Object} options.structureGenerator - StructureGenerator that builds the structures
+   * @param {Function} options.getBiomeAt - (x, z) => biome or biome id
+   * @param {Function} options.getSurfaceHeight - (x, z) => surface height
+   * @param {number} [options.chunkSize=16] - Chunk width in blocks
+   * @param {Object} [options.placements] - Structure type -> placement, instead of DEFAULT_PLACEMENTS
+   */
+  constructor(options = {}) {
+    super();
+
+    this.seed = options.seed || 0;
+    this.structureGenerator = options.structureGenerator || null;
+    this.getBiomeAt = options.getBiomeAt || (() => null);
+    this.getSurfaceHeight = options.getSurfaceHeight || (() => 64);
+    this.chunkSize = options.chunkSize || CHUNK_SIZE;
+
+    // Structure type -> placement
+    this.placements = new Map();
+
+    // "type:chunkX,chunkZ" -> start, for starts that were built or loaded
+    this.starts = new Map();
+
+    // Start keys whose generator produced nothing, so they aren't tried again
+    this.failedStarts = new Set();
+
+    // Structure type -> start chunks of concentric ring placements
+    this.ringPositions = new Map();
+
+    for (const [type, placement] of Object.entries(options.placements || DEFAULT_PLACEMENTS)) {
+      this.registerPlacement(type, placement);
+    }
+  }
+
+  /**
+   * Set or replace how a structure type is placed
+   * @param {string} type - Structure type known to the structure generator
+   * @param {Object} placement - Placement
+   * @param {string} [placement.type='random_spread'] - random_spread or concentric_rings
+   * @param {number} [placement.spacing] - Region size in chunks (random_spread)
+   * @param {number} [placement.separation] - Chunks kept free before the next region's start (random_spread)
+   * @param {number} [placement.salt] - Mixed into the seed so structures sharing a spacing don't line up
+   * @param {string} [placement.spread='linear'] - linear, or triangular to favor region centers
+   * @param {number} [placement.frequency=1] - Chance that a region has a start at all
+   * @param {number} [placement.distance] - Ring spacing in chunks (concentric_rings)
+   * @param {number} [placement.spread] - Starts on the first ring (concentric_rings)
+   * @param {number} [placement.count] - Starts in all rings (concentric_rings)
+   * @param {Array<string>} [placement.biomes] - Biomes a start may be in; any when not given
+   * @param {boolean} [placement.rare=false] - Only listed by getStructuresInRange when rare ones are asked for
+   * @param {Function} [placement.getY] - (surfaceY) => height the structure is built at
+   */
+  registerPlacement(type, placement) {
+    const normalized = {
+      type: PlacementType.RANDOM_SPREAD,
+      salt: 0,
+      frequency: 1,
+      biomes: null,
+      rare: false,
+      getY: surfaceY => surfaceY,
+      ...placement
+    };
+
+    if (normalized.type === PlacementType.RANDOM_SPREAD) {
+      normalized.spread = normalized.spread || SpreadType.LINEAR;
+      if (!(normalized.spacing > normalized.separation) || normalized.separation < 0) {
+        throw new Error(`Structure ${type} needs a spacing larger than its separation`);
+      }
+    } else if (normalized.type !== PlacementType.CONCENTRIC_RINGS) {
+      throw new Error(`Unknown structure placement type '${normalized.type}'`);
+    }
+
+    this.placements.set(type, normalized);
+    this.ringPositions.delete(type);
+  }
+
+  /**
+   * Get how a structure type is placed
+   * @param {string} type - Structure type
+   * @returns {Object|null} Placement or null
+   */
+  getPlacement(type) {
+    return this.placements.get(type) || null;
+  }
+
+  /**
+   * Get the structure types that have placements
+   * @returns {Array<string>} Structure types
+   */
+  getStructureTypes() {
+    return Array.from(this.placements.keys());
+  }
+
+  /**
+   * The chunk a random spread structure may start in for the region holding a chunk
+   * @param {string} type - Structure type
+   * @param {number} chunkX - Chunk x
+   * @param {number} chunkZ - Chunk z
+   * @returns {Object|null} { chunkX, chunkZ }, or null when the region has no start
+   */
+  getPotentialStartChunk(type, chunkX, chunkZ) {
+    const placement = this.placements.get(type);
+    if (!placement || placement.type !== PlacementType.RANDOM_SPREAD) return null;
+
+    const { spacing, separation, salt, spread, frequency } = placement;
+    const regionX = Math.floor(chunkX / spacing);
+    const regionZ = Math.floor(chunkZ / spacing);
+    const random = createSeededRandom(hashSeed(this.seed, regionX, regionZ, salt));
+    const range = spacing - separation;
+
+    const pick = () => (spread === SpreadType.TRIANGULAR ?
+      Math.floor((Math.floor(random() * range) + Math.floor(random() * range)) / 2) :
+      Math.floor(random() * range));
+    const offsetX = pick();
+    const offsetZ = pick();
+
+    if (frequency < 1 && random() >= frequency) return null;
+    return { chunkX: regionX * spacing + offsetX, chunkZ: regionZ * spacing + offsetZ };
+  }
+
+  /**
+   * Check whether a structure starts in a chunk, from the seed and biome only
+   * @param {string} type - Structure type
+   * @param {number} chunkX - Chunk x
+   * @param {number} chunkZ - Chunk z
+   * @returns {boolean} Whether it does
+   */
+  isStartChunk(type, chunkX, chunkZ) {
+    const placement = this.placements.get(type);
+    if (!placement || this.failedStarts.has(getStartKey(type, chunkX, chunkZ))) return false;
+
+    if (placement.type === PlacementType.CONCENTRIC_RINGS) {
+      return this.getRingPositions(type).some(chunk => chunk.chunkX === chunkX && chunk.chunkZ === chunkZ);
+    }
+
+    const start = this.getPotentialStartChunk(type, chunkX, chunkZ);
+    if (!start || start.chunkX !== chunkX || start.chunkZ !== chunkZ) return false;
+    return this.isValidBiome(placement, chunkX, chunkZ);
+  }
+
+  /**
+   * Start chunks of a concentric ring placement, spread over rings that hold
+   * more starts the further out they are
+   * @private
+   */
+  getRingPositions(type) {
+    if (this.ringPositions.has(type)) return this.ringPositions.get(type);
+
+    const { distance, spread, count, salt } = this.placements.get(type);
+    const random = createSeededRandom(hashSeed(this.seed, type, salt));
+    const positions = [];
+    let angle = random() * Math.PI * 2;
+    let ring = 0;
+    let perRing = spread;
+    let placedInRing = 0;
+
+    for (let i = 0; i < count; i++) {
+      const ringDistance = 4 * distance + distance * ring * 6 + (random() - 0.5) * distance * 2.5;
+      positions.push({
+        chunkX: Math.round(Math.cos(angle) * ringDistance),
+        chunkZ: Math.round(Math.sin(angle) * ringDistance)
+      });
+
+      angle += Math.PI * 2 / perRing;
+      placedInRing++;
+      if (placedInRing === perRing) {
+        ring++;
+        placedInRing = 0;
+        perRing = Math.min(perRing + Math.floor(2 * perRing / (ring + 1)), count - i - 1);
+        angle += random() * Math.PI;
+      }
+    }
+
+    this.ringPositions.set(type, positions);
+    return positions;
+  }
+
+  /**
+   * Get the start of a structure in a chunk, building it the first time
+   * @param {string} type - Structure type
+   * @param {number} chunkX - Chunk x
+   * @param {number} chunkZ - Chunk z
+   * @returns {Object|null} Start { type, chunkX, chunkZ, position, boundingBox }, or null when there is none
+   */
+  getStart(type, chunkX, chunkZ) {
+    const key = getStartKey(type, chunkX, chunkZ);
+    if (this.starts.has(key)) return this.starts.get(key);
+    if (!this.isStartChunk(type, chunkX, chunkZ)) return null;
+
+    const placement = this.placements.get(type);
+    const { x, z } = this.getChunkCenter(chunkX, chunkZ);
+    const start = {
+      type,
+      chunkX,
+      chunkZ,
+      position: { x, y: placement.getY(Math.floor(this.getSurfaceHeight(x, z))), z },
+      boundingBox: null,
+      blocks: null,
+      blockChunks: null
+    };
+
+    if (!this.buildStart(start)) {
+      this.failedStarts.add(key);
+      return null;
+    }
+
+    this.starts.set(key, start);
+    this.emit('structureStarted', toStartInfo(start));
+    return start;
+  }
+
+  /**
+   * Run a start's generator into a buffer of blocks by chunk
+   * @private
+   * @returns {boolean} Whether the generator built anything
+   */
+  buildStart(start) {
+    if (!this.structureGenerator) return false;
+
+    const blocks = new Map();
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    const blockSetter = (posKey, block) => {
+      const [x, y, z] = posKey.split(',').map(Number);
+      const chunkX = Math.floor(x / this.chunkSize);
+      const chunkZ = Math.floor(z / this.chunkSize);
+      if (Math.abs(chunkX - start.chunkX) > MAX_REACH_CHUNKS || Math.abs(chunkZ - start.chunkZ) > MAX_REACH_CHUNKS) {
+        return;
+      }
+
+      const chunkKey = `${chunkX},${chunkZ}`;
+      if (!blocks.has(chunkKey)) blocks.set(chunkKey, new Map());
+      blocks.get(chunkKey).set(posKey, block);
+      min.x = Math.min(min.x, x); min.y = Math.min(min.y, y); min.z = Math.min(min.z, z);
+      max.x = Math.max(max.x, x); max.y = Math.max(max.y, y); max.z = Math.max(max.z, z);
+    };
+
+    const seed = hashSeed(this.seed, start.type, start.chunkX, start.chunkZ);
+    let result;
+    try {
+      result = this.structureGenerator.generateStructure(start.type, { ...start.position }, { seed }, blockSetter);
+    } catch (error) {
+      // A broken generator loses its structure, not the rest of the chunk
+      console.error(`Failed to generate ${start.type} at chunk ${start.chunkX}, ${start.chunkZ}: ${error.message}`);
+      return false;
+    }
+    if (!result || blocks.size === 0) return false;
+
+    start.blocks = blocks;
+    start.blockChunks = new Set(blocks.keys());
+    start.boundingBox = start.boundingBox || { min, max };
+    return true;
+  }
+
+  /**
+   * Place the parts of every structure that fall inside a chunk
+   * @param {number} chunkX - Chunk x
+   * @param {number} chunkZ - Chunk z
+   * @param {Function} blockSetter - (posKey, block) for blocks inside the chunk
+   * @returns {Array<Object>} Starts that placed blocks in the chunk
+   */
+  generateChunk(chunkX, chunkZ, blockSetter) {
+    const chunkKey = `${chunkX},${chunkZ}`;
+    const placed = [];
+
+    for (const start of this.getStartsNearChunk(chunkX, chunkZ)) {
+      if (!this.boxTouchesChunk(start.boundingBox, chunkX, chunkZ)) continue;
+
+      // Loaded starts, and chunks generated again, need the structure built again
+      if (!start.blocks || !start.blocks.has(chunkKey)) {
+        if (start.blockChunks && !start.blockChunks.has(chunkKey)) continue;
+        if (!this.buildStart(start)) continue;
+      }
+
+      const blocks = start.blocks.get(chunkKey);
+      if (!blocks) continue;
+
+      for (const [posKey, block] of blocks) {
+        blockSetter(posKey, block ? { ...block } : null);
+      }
+      placed.push(toStartInfo(start));
+
+      // The buffer goes once every chunk the structure covers has its blocks
+      start.blocks.delete(chunkKey);
+      if (start.blocks.size === 0) start.blocks = null;
+    }
+
+    return placed;
+  }
+
+  /**
+   * Every start whose start chunk is close enough to reach a chunk
+   * @private
+   */
+  getStartsNearChunk(chunkX, chunkZ) {
+    const starts = [];
+    for (const [type, placement] of this.placements) {
+      const candidates = placement.type === PlacementType.CONCENTRIC_RINGS ?
+        this.getRingPositions(type).filter(chunk =>
+          Math.abs(chunk.chunkX - chunkX) <= MAX_REACH_CHUNKS && Math.abs(chunk.chunkZ - chunkZ) <= MAX_REACH_CHUNKS) :
+        this.getRegionStartsNear(type, placement, chunkX, chunkZ);
+
+      for (const chunk of candidates) {
+        const start = this.getStart(type, chunk.chunkX, chunk.chunkZ);
+        if (start) starts.push(start);
+      }
+    }
+    return starts;
+  }
+
+  /**
+   * Potential starts of the regions within reach of a chunk
+   * @private
+   */
+  getRegionStartsNear(type, { spacing }, chunkX, chunkZ) {
+    const chunks = [];
+    const minRegionX = Math.floor((chunkX - MAX_REACH_CHUNKS) / spacing);
+    const maxRegionX = Math.floor((chunkX + MAX_REACH_CHUNKS) / spacing);
+    const minRegionZ = Math.floor((chunkZ - MAX_REACH_CHUNKS) / spacing);
+    const maxRegionZ = Math.floor((chunkZ + MAX_REACH_CHUNKS) / spacing);
+
+    for (let regionX = minRegionX; regionX <= maxRegionX; regionX++) {
+      for (let regionZ = minRegionZ; regionZ <= maxRegionZ; regionZ++) {
+        const start = this.getPotentialStartChunk(type, regionX * spacing, regionZ * spacing);
+        if (start && Math.abs(start.chunkX - chunkX) <= MAX_REACH_CHUNKS &&
+            Math.abs(start.chunkZ - chunkZ) <= MAX_REACH_CHUNKS) {
+          chunks.push(start);
+        }
+      }
+    }
+    return chunks;
+  }
+
+  /**
+   * Find the closest start of a structure type, generated or not
+   * @param {string} type - Structure type
+   * @param {Object} position - Search center { x, z }
+   * @param {number} radius - Blocks searched from the center
+   * @returns {Object|null} { type, position, chunkX, chunkZ, boundingBox }, or null when none is in range
+   */
+  locate(type, position, radius) {
+    const placement = this.placements.get(type);
+    if (!placement) return null;
+
+    const candidates = placement.type === PlacementType.CONCENTRIC_RINGS ?
+      this.getRingPositions(type) :
+      this.getRegionStartsInRange(type, placement, position, radius);
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const chunk of candidates) {
+      const { x, z } = this.getChunkCenter(chunk.chunkX, chunk.chunkZ);
+      const distance = Math.hypot(x - position.x, z - position.z);
+      if (distance > radius || distance >= nearestDistance) continue;
+      if (!this.isStartChunk(type, chunk.chunkX, chunk.chunkZ)) continue;
+
+      nearest = chunk;
+      nearestDistance = distance;
+    }
+
+    return nearest ? this.describeStart(type, nearest.chunkX, nearest.chunkZ) : null;
+  }
+
+  /**
+   * Potential starts of the regions overlapping a circle
+   * @private
+   */
+  getRegionStartsInRange(type, placement, position, radius) {
+    const regionBlocks = placement.spacing * this.chunkSize;
+    const minRegionX = Math.floor((position.x - radius) / regionBlocks);
+    const maxRegionX = Math.floor((position.x + radius) / regionBlocks);
+    const minRegionZ = Math.floor((position.z - radius) / regionBlocks);
+    const maxRegionZ = Math.floor((position.z + radius) / regionBlocks);
+    const chunks = [];
+
+    for (let regionX = minRegionX; regionX <= maxRegionX; regionX++) {
+      for (let regionZ = minRegionZ; regionZ <= maxRegionZ; regionZ++) {
+        const start = this.getPotentialStartChunk(type, regionX * placement.spacing, regionZ * placement.spacing);
+        if (start) chunks.push(start);
+      }
+    }
+    return chunks;
+  }
+
+  /**
+   * Every structure start within a distance, of any type
+   * @param {Object} position - Search center { x, z }
+   * @param {number} radius - Blocks searched from the center
+   * @param {boolean} [includeRare=true] - Whether to list structures whose placement is rare
+   * @returns {Array<Object>} Starts { type, position, chunkX, chunkZ, boundingBox }, closest first
+   */
+  getStructuresInRange(position, radius, includeRare = true) {
+    const found = [];
+    for (const [type, placement] of this.placements) {
+      if (placement.rare && !includeRare) continue;
+
+      const candidates = placement.type === PlacementType.CONCENTRIC_RINGS ?
+        this.getRingPositions(type) :
+        this.getRegionStartsInRange(type, placement, position, radius);
+      for (const chunk of candidates) {
+        const { x, z } = this.getChunkCenter(chunk.chunkX, chunk.chunkZ);
+        const distance = Math.hypot(x - position.x, z - position.z);
+        if (distance <= radius && this.isStartChunk(type, chunk.chunkX, chunk.chunkZ)) {
+          found.push({ distance, start: this.describeStart(type, chunk.chunkX, chunk.chunkZ) });
+        }
+      }
+    }
+    return found.sort((a, b) => a.distance - b.distance).map(entry => entry.start);
+  }
+
+  /**
+   * What is known of a start without building it: its recorded box once built
+   * @private
+   */
+  describeStart(type, chunkX, chunkZ) {
+    const start = this.starts.get(getStartKey(type, chunkX, chunkZ));
+    if (start) return toStartInfo(start);
+
+    const { x, z } = this.getChunkCenter(chunkX, chunkZ);
+    const y = this.placements.get(type).getY(Math.floor(this.getSurfaceHeight(x, z)));
+    return { type, chunkX, chunkZ, position: { x, y, z }, boundingBox: null };
+  }
+
+  /**
+   * Get the starts built so far
+   * @returns {Array<Object>} Starts { type, position, chunkX, chunkZ, boundingBox }
+   */
+  getStarts() {
+    return Array.from(this.starts.values(), toStartInfo);
+  }
+
+  /**
+   * Block position at the middle of a chunk, where starts are placed
+   * @private
+   */
+  getChunkCenter(chunkX, chunkZ) {
+    return {
+      x: chunkX * this.chunkSize + Math.floor(this.chunkSize / 2),
+      z: chunkZ * this.chunkSize + Math.floor(this.chunkSize / 2)
+    };
+  }
+
+  /**
+   * @private
+   */
+  boxTouchesChunk(box, chunkX, chunkZ) {
+    if (!box) return false;
+    const minX = chunkX * this.chunkSize;
+    const minZ = chunkZ * this.chunkSize;
+    return box.min.x < minX + this.chunkSize && box.max.x >= minX &&
+      box.min.z < minZ + this.chunkSize && box.max.z >= minZ;
+  }
+
+  /**
+   * Check a biome against a placement's biomes at a chunk's center
+   * @private
+   */
+  isValidBiome(placement, chunkX, chunkZ) {
+    if (!placement.biomes) return true;
+
+    const { x, z } = this.getChunkCenter(chunkX, chunkZ);
+    const biome = this.getBiomeAt(x, z);
+    const id = typeof biome === 'string' ? biome : biome && biome.id;
+    return placement.biomes.includes(id);
+  }
+
+  /**
+   * Save the starts built so far; their blocks are rebuilt when needed
+   * @returns {Object} { starts: [...] }
+   */
+  serialize() {
+    return {
+      starts: this.getStarts()
+    };
+  }
+
+  /**
+   * Load saved starts, replacing those recorded so far
+   * @param {Object} data - Data from serialize()
+   */
+  deserialize(data) {
+    this.starts.clear();
+    this.failedStarts.clear();
+    if (!data || !Array.isArray(data.starts)) return;
+
+    for (const start of data.starts) {
+      this.starts.set(getStartKey(start.type, start.chunkX, start.chunkZ), { ...start, blocks: null, blockChunks: null });
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function getStartKey(type, chunkX, chunkZ) {
+  return `${type}:${chunkX},${chunkZ}`;
+}
+
+/**
+ * A start without its block buffer
+ * @private
+ */
+function toStartInfo({ type, chunkX, chunkZ, position, boundingBox }) {
+  return { type, chunkX, chunkZ, position: { ...position }, boundingBox };
+}
+
+StructurePlacementManager.CHUNK_SIZE = CHUNK_SIZE;
+StructurePlacementManager.MAX_REACH_CHUNKS = MAX_REACH_CHUNKS;
+StructurePlacementManager.DEFAULT_PLACEMENTS = DEFAULT_PLACEMENTS;
+StructurePlacementManager.PlacementType = PlacementType;
+StructurePlacementManager.SpreadType = SpreadType;
+
+module.exports = StructurePlacementManager;
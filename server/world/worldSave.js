@@ -0,0 +1,431 @@
+/**
+ * WorldSave - Incremental, crash-safe world persistence
+ *
+ * Layout of a world save directory:
+ *   level.json            - world metadata (seed, time, extra system data)
+ *   <dimension>/region/   - region files holding chunk columns (ChunkStorage)
+ *   players.json          - last player checkpoint
+ *   entities.json         - last entity checkpoint
+ *   journal.log           - write-ahead log of player/entity changes since the checkpoint
+ *   session.lock          - present while the save is open; left behind by a crash
+ *
+ * Only dirty chunks are written on save. Metadata and checkpoints are replaced
+ * with write-then-rename, and the journal is replayed on open so player and
+ * entity changes made after the last checkpoint survive a crash.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const ChunkStorage = require('./chunkStorage');
+const SaveJournal = require('./saveJournal');
+const { writeJsonAtomic, readJsonFile, removeStaleTempFiles } = require('../utils/atomicFile');
+
+const CHUNK_SIZE = 16;
+const SAVE_FORMAT_VERSION = 1;
+
+class WorldSave extends EventEmitter {
+  /**
+   * Creates a world save handle
+   * @param {Object} options - Save options
+   * @param {String} options.directory - World save directory
+   * @param {String} options.name - World name (defaults to the directory name)
+   * @param {ChunkStorage} options.storage - Chunk storage (created if not provided)
+   * @param {Boolean} options.syncJournal - Whether to fsync every journal append
+   * @param {Number} options.minY - Lowest block Y written when collecting chunk blocks
+   * @param {Number} options.maxY - Highest block Y (exclusive) written when collecting chunk blocks
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.directory) {
+      throw new Error('WorldSave requires a directory');
+    }
+
+    this.directory = options.directory;
+    this.name = options.name || path.basename(options.directory);
+    this.storage = options.storage || new ChunkStorage({ directory: this.directory });
+    this.journal = new SaveJournal(path.join(this.directory, 'journal.log'), {
+      sync: options.syncJournal !== false
+    });
+    this.minY = options.minY !== undefined ? options.minY : -64;
+    this.maxY = options.maxY !== undefined ? options.maxY : 320;
+
+    // Latest known player and entity state (checkpoint + journal)
+    this.players = {};
+    this.entities = {};
+
+    this.isOpen = false;
+  }
+
+  /**
+   * Gets the path of a file inside the save directory
+   * @private
+   * @param {String} name - File name
+   * @returns {String} File path
+   */
+  getPath(name) {
+    return path.join(this.directory, name);
+  }
+
+  /**
+   * Checks whether this save has been written at least once
+   * @returns {Boolean} Whether level.json exists
+   */
+  exists() {
+    return fs.existsSync(this.getPath('level.json'));
+  }
+
+  /**
+   * Opens the save, recovering from an unclean shutdown if needed
+   * @returns {Object} Recovery result { uncleanShutdown, replayed, corrupted }
+   */
+  open() {
+    if (this.isOpen) {
+      return { uncleanShutdown: false, replayed: 0, corrupted: 0 };
+    }
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    removeStaleTempFiles(this.directory);
+
+    const uncleanShutdown = fs.existsSync(this.getPath('session.lock'));
+    const result = { uncleanShutdown, ...this.recover() };
+
+    fs.writeFileSync(this.getPath('session.lock'), JSON.stringify({
+      pid: process.pid,
+      opened: Date.now()
+    }));
+    this.isOpen = true;
+
+    if (uncleanShutdown || result.replayed > 0) {
+      console.warn(`Recovered world save "${this.name}": replayed ${result.replayed} journal records` +
+        (result.corrupted > 0 ? `, dropped ${result.corrupted} damaged records` : ''));
+    }
+    this.emit('opened', result);
+    return result;
+  }
+
+  /**
+   * Loads the last checkpoint and replays the journal on top of it
+   * @returns {Object} { replayed, corrupted }
+   */
+  recover() {
+    this.players = readJsonFile(this.getPath('players.json'), {});
+    this.entities = readJsonFile(this.getPath('entities.json'), {});
+
+    const { records, corrupted } = this.journal.readRecords();
+    for (const record of records) {
+      this.applyRecord(record);
+    }
+
+    // Fold the replayed records into a fresh checkpoint
+    if (records.length > 0 || corrupted > 0) {
+      this.checkpoint();
+    }
+
+    return { replayed: records.length, corrupted };
+  }
+
+  /**
+   * Applies a journal record to the in-memory state
+   * @private
+   * @param {Object} record - Journal record
+   */
+  applyRecord(record) {
+    switch (record.type) {
+      case 'player':
+        this.players[record.id] = record.data;
+        break;
+      case 'playerRemoved':
+        delete this.players[record.id];
+        break;
+      case 'entity':
+        this.entities[record.id] = record.data;
+        break;
+      case 'entityRemoved':
+        delete this.entities[record.id];
+        break;
+      default:
+        console.warn(`Unknown journal record type: ${record.type}`);
+    }
+  }
+
+  /**
+   * Journals a player's current state
+   * @param {String} id - Player ID
+   * @param {Object} data - Player state
+   */
+  recordPlayer(id, data) {
+    const snapshot = JSON.parse(JSON.stringify(data));
+    this.journal.append('player', id, snapshot);
+    this.players[id] = snapshot;
+  }
+
+  /**
+   * Journals the removal of a player record
+   * @param {String} id - Player ID
+   */
+  removePlayer(id) {
+    this.journal.append('playerRemoved', id);
+    delete this.players[id];
+  }
+
+  /**
+   * Journals an entity's current state
+   * @param {String} id - Entity ID
+   * @param {Object} data - Entity state
+   */
+  recordEntity(id, data) {
+    const snapshot = JSON.parse(JSON.stringify(data));
+    this.journal.append('entity', id, snapshot);
+    this.entities[id] = snapshot;
+  }
+
+  /**
+   * Journals the removal of an entity
+   * @param {String} id - Entity ID
+   */
+  removeEntity(id) {
+    this.journal.append('entityRemoved', id);
+    delete this.entities[id];
+  }
+
+  /**
+   * Journals the full current player and entity state in one batch. Entities
+   * missing from the given map are journaled as removed.
+   * @param {Object} state - Current state
+   * @param {Object} state.players - Players keyed by ID
+   * @param {Object} state.entities - Entities keyed by ID
+   */
+  recordState(state = {}) {
+    const records = [];
+
+    for (const [id, data] of Object.entries(state.players || {})) {
+      records.push({ type: 'player', id, data: JSON.parse(JSON.stringify(data)) });
+    }
+
+    if (state.entities) {
+      for (const [id, data] of Object.entries(state.entities)) {
+        records.push({ type: 'entity', id, data: JSON.parse(JSON.stringify(data)) });
+      }
+      for (const id of Object.keys(this.entities)) {
+        if (!(id in state.entities)) {
+          records.push({ type: 'entityRemoved', id });
+        }
+      }
+    }
+
+    this.journal.appendMany(records);
+    for (const record of records) {
+      this.applyRecord(record);
+    }
+  }
+
+  /**
+   * Writes player and entity checkpoints and clears the journal
+   */
+  checkpoint() {
+    writeJsonAtomic(this.getPath('players.json'), this.players);
+    writeJsonAtomic(this.getPath('entities.json'), this.entities);
+    this.journal.truncate();
+  }
+
+  /**
+   * Gets the chunk key of a block position key
+   * @param {String} posKey - Block position "x,y,z"
+   * @returns {String} Chunk key "chunkX,chunkZ"
+   */
+  static getChunkKeyForBlock(posKey) {
+    const [x, , z] = posKey.split(',').map(Number);
+    return `${Math.floor(x / CHUNK_SIZE)},${Math.floor(z / CHUNK_SIZE)}`;
+  }
+
+  /**
+   * Groups the blocks of a world-wide block map into chunk columns, walking
+   * the map once
+   * @private
+   * @param {Map|Object} blocks - Blocks keyed by "x,y,z"
+   * @param {Set<String>|null} chunkKeys - Chunk keys to collect (null = every chunk with blocks)
+   * @returns {Map<String, Object>} Blocks of each requested chunk keyed by "chunkX,chunkZ"
+   */
+  collectChunkColumns(blocks, chunkKeys) {
+    const columns = new Map();
+    if (chunkKeys) {
+      for (const chunkKey of chunkKeys) {
+        columns.set(chunkKey, {});
+      }
+    }
+
+    const entries = blocks instanceof Map ? blocks.entries() : Object.entries(blocks);
+    for (const [posKey, block] of entries) {
+      if (!block) continue;
+
+      const [x, y, z] = posKey.split(',').map(Number);
+      if (y < this.minY || y >= this.maxY) continue;
+
+      const chunkKey = `${Math.floor(x / CHUNK_SIZE)},${Math.floor(z / CHUNK_SIZE)}`;
+      let column = columns.get(chunkKey);
+      if (!column) {
+        if (chunkKeys) continue;
+        column = {};
+        columns.set(chunkKey, column);
+      }
+      column[posKey] = block;
+    }
+    return columns;
+  }
+
+  /**
+   * Writes dirty chunks to region storage
+   * @param {Object} source - Where to find chunks
+   * @param {Iterable<Chunk>} source.chunks - Chunk instances; only those with isDirty are written
+   * @param {Map|Object} source.blocks - World-wide block map keyed by "x,y,z"
+   * @param {Set<String>|null} source.dirtyChunks - Dirty "chunkX,chunkZ" keys in blocks (null = all)
+   * @param {String} source.dimension - Dimension ID
+   * @returns {Number} Number of chunks written
+   */
+  saveChunks(source = {}) {
+    const dimension = source.dimension || 'overworld';
+    let written = 0;
+
+    if (source.chunks) {
+      for (const chunk of source.chunks) {
+        if (!chunk.isDirty) continue;
+        chunk.save(this.storage, dimension);
+        written++;
+      }
+    }
+
+    if (source.blocks) {
+      // Without a dirty set this is the first save of the world: every chunk that has blocks is dirty
+      const columns = this.collectChunkColumns(source.blocks, source.dirtyChunks || null);
+      for (const [chunkKey, column] of columns) {
+        const [chunkX, chunkZ] = chunkKey.split(',').map(Number);
+        this.storage.writeChunk(dimension, chunkX, chunkZ, column);
+        written++;
+      }
+
+      if (source.dirtyChunks) {
+        source.dirtyChunks.clear();
+      }
+    }
+
+    return written;
+  }
+
+  /**
+   * Performs an incremental save
+   * @param {Object} state - State to save
+   * @param {Object} state.level - World metadata to store in level.json
+   * @param {Object} state.players - Full player map (replaces the journaled state)
+   * @param {Object} state.entities - Full entity map (replaces the journaled state)
+   * @param {Iterable<Chunk>} state.chunks - Chunk instances
+   * @param {Map|Object} state.blocks - World-wide block map
+   * @param {Set<String>|null} state.dirtyChunks - Dirty chunk keys in blocks
+   * @param {String} state.dimension - Dimension ID
+   * @returns {Object} { chunksWritten, timestamp }
+   */
+  save(state = {}) {
+    if (!this.isOpen) {
+      this.open();
+    }
+
+    const chunksWritten = this.saveChunks(state);
+    this.storage.flush();
+
+    if (state.players) {
+      this.players = JSON.parse(JSON.stringify(state.players));
+    }
+    if (state.entities) {
+      this.entities = JSON.parse(JSON.stringify(state.entities));
+    }
+    this.checkpoint();
+
+    const timestamp = Date.now();
+    const level = readJsonFile(this.getPath('level.json'), {});
+    writeJsonAtomic(this.getPath('level.json'), {
+      ...level,
+      ...(state.level || {}),
+      name: this.name,
+      version: SAVE_FORMAT_VERSION,
+      timestamp
+    });
+
+    this.emit('saved', { chunksWritten, timestamp });
+    return { chunksWritten, timestamp };
+  }
+
+  /**
+   * Reads level metadata
+   * @returns {Object|null} Level data, or null if the world was never saved
+   */
+  loadLevel() {
+    return readJsonFile(this.getPath('level.json'), null);
+  }
+
+  /**
+   * Reads every stored chunk of a dimension into one block map
+   * @param {String} dimension - Dimension ID
+   * @returns {Object} Blocks keyed by "x,y,z"
+   */
+  loadBlocks(dimension = 'overworld') {
+    const blocks = {};
+    for (const { x, z } of this.storage.listChunks(dimension)) {
+      Object.assign(blocks, this.storage.readChunk(dimension, x, z));
+    }
+    return blocks;
+  }
+
+  /**
+   * Copies a consistent snapshot of the save to another directory. The copy
+   * runs synchronously, so no chunk or journal write can interleave with it
+   * while the server keeps running.
+   * @param {String} destination - Destination directory
+   * @returns {String} Destination directory
+   */
+  snapshot(destination) {
+    if (this.isOpen) {
+      this.checkpoint();
+    }
+    this.storage.flush();
+    this.copyDirectorySync(this.directory, destination);
+    return destination;
+  }
+
+  /**
+   * Recursively copies a directory, skipping lock and temp files
+   * @private
+   * @param {String} src - Source directory
+   * @param {String} dest - Destination directory
+   */
+  copyDirectorySync(src, dest) {
+    fs.mkdirSync(dest, { recursive: true });
+    for (const entry of fs.readdirSync(src, { withFileTypes: true })) {
+      if (entry.name === 'session.lock' || /\.\d+\.tmp$/.test(entry.name)) continue;
+
+      const srcPath = path.join(src, entry.name);
+      const destPath = path.join(dest, entry.name);
+      if (entry.isDirectory()) {
+        this.copyDirectorySync(srcPath, destPath);
+      } else {
+        fs.copyFileSync(srcPath, destPath);
+      }
+    }
+  }
+
+  /**
+   * Checkpoints state and releases the save
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.checkpoint();
+    this.journal.close();
+    this.storage.close();
+    fs.rmSync(this.getPath('session.lock'), { force: true });
+    this.isOpen = false;
+    this.emit('closed');
+  }
+}
+
+module.exports = WorldSave;